@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "isArchived" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "Conversation_userId_isArchived_updatedAt_idx" ON "Conversation"("userId", "isArchived", "updatedAt");
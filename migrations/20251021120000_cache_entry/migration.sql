@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "CacheEntry" (
+    "key" TEXT NOT NULL,
+    "namespace" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CacheEntry_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "CacheEntry_namespace_expiresAt_idx" ON "CacheEntry"("namespace", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "CacheEntry_namespace_updatedAt_idx" ON "CacheEntry"("namespace", "updatedAt");
@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "HotelBooking" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "itineraryId" INTEGER,
+    "itineraryItemId" INTEGER,
+    "offerId" TEXT NOT NULL,
+    "hotelId" TEXT,
+    "hotelName" TEXT NOT NULL,
+    "checkInDate" TEXT NOT NULL,
+    "checkOutDate" TEXT NOT NULL,
+    "guestName" TEXT NOT NULL,
+    "guestEmail" TEXT NOT NULL,
+    "totalPrice" DOUBLE PRECISION,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "status" TEXT NOT NULL DEFAULT 'confirmed',
+    "providerBookingId" TEXT NOT NULL,
+    "confirmationNumber" TEXT,
+    "cardVendor" TEXT,
+    "cardLast4" TEXT,
+    "providerResponse" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "HotelBooking_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "HotelBooking_userId_createdAt_idx" ON "HotelBooking"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "HotelBooking_itineraryId_idx" ON "HotelBooking"("itineraryId");
+
+-- AddForeignKey
+ALTER TABLE "HotelBooking" ADD CONSTRAINT "HotelBooking_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HotelBooking" ADD CONSTRAINT "HotelBooking_itineraryId_fkey" FOREIGN KEY ("itineraryId") REFERENCES "Itinerary"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HotelBooking" ADD CONSTRAINT "HotelBooking_itineraryItemId_fkey" FOREIGN KEY ("itineraryItemId") REFERENCES "ItineraryItem"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "BookingJob" (
+    "id" TEXT NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "hotelName" TEXT NOT NULL,
+    "checkInDate" TEXT,
+    "checkOutDate" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "currentStep" INTEGER NOT NULL DEFAULT 0,
+    "totalSteps" INTEGER NOT NULL DEFAULT 0,
+    "steps" TEXT NOT NULL DEFAULT '[]',
+    "error" TEXT,
+    "resultUrl" TEXT,
+    "result" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "BookingJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BookingJob_userId_createdAt_idx" ON "BookingJob"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "BookingJob" ADD CONSTRAINT "BookingJob_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Itinerary" ADD COLUMN     "calendarToken" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Itinerary_calendarToken_key" ON "Itinerary"("calendarToken");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Itinerary" ADD COLUMN     "shareToken" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Itinerary_shareToken_key" ON "Itinerary"("shareToken");
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "ItineraryMember" (
+    "id" SERIAL NOT NULL,
+    "itineraryId" INTEGER NOT NULL,
+    "userId" INTEGER,
+    "email" TEXT NOT NULL,
+    "role" TEXT NOT NULL DEFAULT 'viewer',
+    "inviteToken" TEXT,
+    "invitedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "acceptedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ItineraryMember_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ItineraryMember_inviteToken_key" ON "ItineraryMember"("inviteToken");
+
+-- CreateIndex
+CREATE INDEX "ItineraryMember_userId_idx" ON "ItineraryMember"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ItineraryMember_itineraryId_email_key" ON "ItineraryMember"("itineraryId", "email");
+
+-- AddForeignKey
+ALTER TABLE "ItineraryMember" ADD CONSTRAINT "ItineraryMember_itineraryId_fkey" FOREIGN KEY ("itineraryId") REFERENCES "Itinerary"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ItineraryMember" ADD CONSTRAINT "ItineraryMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Itinerary" ADD COLUMN     "travelers" INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "preferredCurrency" TEXT NOT NULL DEFAULT 'USD';
+
+-- CreateTable
+CREATE TABLE "ExchangeRate" (
+    "currency" TEXT NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "rateDate" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExchangeRate_pkey" PRIMARY KEY ("currency")
+);
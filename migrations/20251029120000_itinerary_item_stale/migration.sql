@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ItineraryItem" ADD COLUMN     "isStale" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "ItineraryChange" (
+    "id" SERIAL NOT NULL,
+    "itineraryId" INTEGER NOT NULL,
+    "userId" INTEGER,
+    "action" TEXT NOT NULL,
+    "itemId" INTEGER,
+    "summary" TEXT NOT NULL,
+    "before" TEXT,
+    "after" TEXT,
+    "revertOfId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ItineraryChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ItineraryChange_revertOfId_key" ON "ItineraryChange"("revertOfId");
+
+-- CreateIndex
+CREATE INDEX "ItineraryChange_itineraryId_createdAt_idx" ON "ItineraryChange"("itineraryId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ItineraryChange" ADD CONSTRAINT "ItineraryChange_itineraryId_fkey" FOREIGN KEY ("itineraryId") REFERENCES "Itinerary"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ItineraryChange" ADD CONSTRAINT "ItineraryChange_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ItineraryChange" ADD CONSTRAINT "ItineraryChange_revertOfId_fkey" FOREIGN KEY ("revertOfId") REFERENCES "ItineraryChange"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -1,16 +1,22 @@
-// Simple in-memory cache for hotel search results
-// Key: city+dates, Value: hotel results array
+// Hotel search results cache, shared across server instances (see api/cache/ttlCache.js)
+// Key: city+dates+guests+filters, Value: hotel offers response
 
-const hotelCache = {};
+import { TTLCache } from "../cache/ttlCache.js";
 
-function getCachedHotels(key) {
-    if (!hotelCache[key]) return null;
-    // Optionally, add cache expiry logic here
-    return hotelCache[key];
+const HOTEL_CACHE_TTL = 30 * 60 * 1000; // 30 minutes - offers are re-priced often
+
+const hotelCache = new TTLCache({
+    namespace: "hotels",
+    ttlMs: HOTEL_CACHE_TTL,
+    maxEntries: 500,
+});
+
+async function getCachedHotels(key) {
+    return hotelCache.get(key);
 }
 
-function setCachedHotels(key, data) {
-    hotelCache[key] = data;
+async function setCachedHotels(key, data, ttlMs) {
+    await hotelCache.set(key, data, ttlMs);
 }
 
 export { getCachedHotels, setCachedHotels };
@@ -1,5 +1,11 @@
 import { getAmadeusToken } from "./amadeusAuth.js";
 import { getCachedHotels, setCachedHotels } from "./cache.js";
+import { isMockMode } from "../../config/environment.js";
+import logger from "../../utils/logger.js";
+import {
+    mockAmadeusHotelOffersResponse,
+    mockAmadeusHotelBookingResponse,
+} from "../testing/mockData.js";
 
 // Use global fetch with proper node-fetch fallback
 let fetchAPI;
@@ -23,9 +29,30 @@ const AMADEUS_HOTEL_LIST_URL =
 const AMADEUS_HOTEL_OFFERS_URL = "https://test.api.amadeus.com/v3/shopping/hotel-offers";
 const AMADEUS_HOTEL_BOOK_URL = "https://test.api.amadeus.com/v1/booking/hotel-bookings";
 
-// Helper to build cache key
+// Fixture hotel offers re-targeted at the requested city, dates and guests (TRAVEL_API_MODE=mock)
+function getMockHotelOffers({ cityCode, checkInDate, checkOutDate, adults }) {
+    const data = mockAmadeusHotelOffersResponse.data.map((entry) => ({
+        ...entry,
+        hotel: { ...entry.hotel, cityCode },
+        offers: entry.offers.map((offer) => ({
+            ...offer,
+            checkInDate,
+            checkOutDate,
+            guests: { adults },
+        })),
+    }));
+    return { data };
+}
+
+// Empty results are cached briefly so a sandbox outage is retried soon
+const EMPTY_RESULT_TTL = 5 * 60 * 1000;
+
+// Helper to build cache key; filter keys are sorted so equivalent searches share an entry
 function buildCacheKey({ cityCode, checkInDate, checkOutDate, adults, filters }) {
-    return `${cityCode}_${checkInDate}_${checkOutDate}_${adults}_${JSON.stringify(filters)}`;
+    const sortedFilters = Object.keys(filters || {})
+        .sort()
+        .map((key) => [key, filters[key]]);
+    return `${String(cityCode).toUpperCase()}_${checkInDate}_${checkOutDate}_${adults}_${JSON.stringify(sortedFilters)}`;
 }
 
 async function searchHotels({ cityCode, checkInDate, checkOutDate, adults = 1, filters = {} }) {
@@ -37,8 +64,12 @@ async function searchHotels({ cityCode, checkInDate, checkOutDate, adults = 1, f
         filters,
     });
 
+    if (isMockMode()) {
+        return getMockHotelOffers({ cityCode, checkInDate, checkOutDate, adults });
+    }
+
     const cacheKey = buildCacheKey({ cityCode, checkInDate, checkOutDate, adults, filters });
-    const cached = getCachedHotels(cacheKey);
+    const cached = await getCachedHotels(cacheKey);
     if (cached) return cached;
 
     const token = await getAmadeusToken();
@@ -212,7 +243,7 @@ async function searchHotels({ cityCode, checkInDate, checkOutDate, adults = 1, f
                 `Successfully collected ${workingHotels.length} working hotels and ${hotelInfo.length} hotel info`,
             );
             const result = { data: allHotels };
-            setCachedHotels(cacheKey, result);
+            await setCachedHotels(cacheKey, result);
             console.log("Returning hotel results with data length:", result.data.length);
             return result;
         }
@@ -220,7 +251,7 @@ async function searchHotels({ cityCode, checkInDate, checkOutDate, adults = 1, f
         // If no hotels worked, return empty - no fallback data
         console.log("No working hotels found - returning empty result");
         const emptyResult = { data: [] };
-        setCachedHotels(cacheKey, emptyResult);
+        await setCachedHotels(cacheKey, emptyResult, EMPTY_RESULT_TTL);
         return emptyResult;
     } catch (error) {
         console.error("Hotel search error:", error);
@@ -228,7 +259,68 @@ async function searchHotels({ cityCode, checkInDate, checkOutDate, adults = 1, f
     }
 }
 
-async function bookHotel({ offerId, guestInfo }) {
+// Read the first error detail from an Amadeus error response body
+async function readAmadeusError(res) {
+    const text = await res.text();
+    try {
+        const body = JSON.parse(text);
+        const error = body.errors?.[0];
+        return error?.detail || error?.title || text;
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * Re-price a hotel offer right before booking (GET v3 hotel-offers/{offerId})
+ * @param {string} offerId - Offer id from a previous search
+ * @returns {Promise<{hotel: Object, offer: Object}|null>} Current offer, or null if no longer available
+ */
+async function getHotelOffer(offerId) {
+    if (isMockMode()) {
+        const entry = mockAmadeusHotelOffersResponse.data.find((hotelOffers) =>
+            hotelOffers.offers.some((offer) => offer.id === offerId),
+        );
+        if (!entry) return null;
+        return { hotel: entry.hotel, offer: entry.offers.find((offer) => offer.id === offerId) };
+    }
+
+    const token = await getAmadeusToken();
+    const res = await fetchAPI(`${AMADEUS_HOTEL_OFFERS_URL}/${encodeURIComponent(offerId)}`, {
+        headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+        },
+    });
+
+    // 400/404 mean the offer expired or was sold out since the search
+    if (res.status === 400 || res.status === 404) {
+        logger.warn("Hotel offer no longer available:", offerId, await readAmadeusError(res));
+        return null;
+    }
+    if (!res.ok) {
+        throw new Error(`Failed to re-price hotel offer: ${await readAmadeusError(res)}`);
+    }
+
+    const body = await res.json();
+    const offer = body.data?.offers?.[0];
+    if (!body.data?.available || !offer) return null;
+    return { hotel: body.data.hotel, offer };
+}
+
+/**
+ * Book a priced hotel offer (POST v1 booking/hotel-bookings)
+ * @param {Object} params
+ * @param {string} params.offerId - Offer id returned by getHotelOffer
+ * @param {Object} params.guest - { title, firstName, lastName, email, phone }
+ * @param {Object} params.card - { vendorCode, cardNumber, expiryDate (YYYY-MM) }
+ * @returns {Promise<Object>} First booking from the response: id, providerConfirmationId, associatedRecords
+ */
+async function bookHotel({ offerId, guest, card }) {
+    if (isMockMode()) {
+        return mockAmadeusHotelBookingResponse.data[0];
+    }
+
     const token = await getAmadeusToken();
     const res = await fetchAPI(AMADEUS_HOTEL_BOOK_URL, {
         method: "POST",
@@ -236,11 +328,42 @@ async function bookHotel({ offerId, guestInfo }) {
             Authorization: `Bearer ${token}`,
             "Content-Type": "application/json",
         },
-        body: JSON.stringify({ offerId, guests: [guestInfo] }),
+        body: JSON.stringify({
+            data: {
+                offerId,
+                guests: [
+                    {
+                        name: {
+                            title: guest.title || "MR",
+                            firstName: guest.firstName,
+                            lastName: guest.lastName,
+                        },
+                        contact: { phone: guest.phone, email: guest.email },
+                    },
+                ],
+                payments: [
+                    {
+                        method: "creditCard",
+                        card: {
+                            vendorCode: card.vendorCode,
+                            cardNumber: card.cardNumber,
+                            expiryDate: card.expiryDate,
+                        },
+                    },
+                ],
+            },
+        }),
     });
 
-    if (!res.ok) throw new Error("Failed to book hotel");
-    return await res.json();
+    if (!res.ok) {
+        throw new Error(`Failed to book hotel: ${await readAmadeusError(res)}`);
+    }
+
+    const body = await res.json();
+    if (!body.data?.[0]) {
+        throw new Error("Failed to book hotel: empty booking response");
+    }
+    return body.data[0];
 }
 
-export { searchHotels, bookHotel };
+export { searchHotels, getHotelOffer, bookHotel };
@@ -1,31 +1,21 @@
-const cache = new Map();
-const CACHE_TTL = 30 * 60 * 1000; // 30 minutes in milliseconds
+import { TTLCache } from "./ttlCache.js";
 
-export function getCachedBookingOptions(token) {
-    const cached = cache.get(token);
-    if (!cached) return null;
+const CACHE_TTL = 30 * 60 * 1000; // 30 minutes in milliseconds
 
-    const now = Date.now();
-    if (now - cached.timestamp > CACHE_TTL) {
-        cache.delete(token);
-        return null;
-    }
+const bookingOptionsCache = new TTLCache({
+    namespace: "booking-options",
+    ttlMs: CACHE_TTL,
+    maxEntries: 1000,
+});
 
-    return cached.data;
+export async function getCachedBookingOptions(token) {
+    return bookingOptionsCache.get(token);
 }
 
-export function setCachedBookingOptions(token, data) {
-    cache.set(token, {
-        data: data,
-        timestamp: Date.now(),
-    });
+export async function setCachedBookingOptions(token, data) {
+    await bookingOptionsCache.set(token, data);
 }
 
-export function clearExpiredCache() {
-    const now = Date.now();
-    for (const [token, cached] of cache.entries()) {
-        if (now - cached.timestamp > CACHE_TTL) {
-            cache.delete(token);
-        }
-    }
+export async function clearExpiredCache() {
+    await bookingOptionsCache.purgeExpired();
 }
@@ -0,0 +1,151 @@
+import { prisma } from "wasp/server";
+
+/**
+ * Cache Stores
+ * Storage backends for TTLCache. Every store holds entries of the shape
+ * { value, expiresAt } where expiresAt is a millisecond timestamp.
+ */
+
+/**
+ * In-process store kept in least-recently-used order (Map iteration order)
+ */
+export class MemoryStore {
+    constructor() {
+        this.name = "memory";
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        // Re-insert so the most recently read entries are evicted last
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    async set(key, value, expiresAt) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+
+    async size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Remove expired entries, then the least recently used ones beyond maxEntries
+     * @returns {Promise<{expired: number, evicted: number}>}
+     */
+    async prune({ now = Date.now(), maxEntries = Infinity } = {}) {
+        let expired = 0;
+        let evicted = 0;
+
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+                expired++;
+            }
+        }
+
+        for (const key of this.entries.keys()) {
+            if (this.entries.size <= maxEntries) break;
+            this.entries.delete(key);
+            evicted++;
+        }
+
+        return { expired, evicted };
+    }
+}
+
+/**
+ * Database store backed by the CacheEntry table, shared by every server instance
+ */
+export class PrismaStore {
+    constructor(namespace) {
+        this.name = "database";
+        this.namespace = namespace;
+    }
+
+    storageKey(key) {
+        return `${this.namespace}:${key}`;
+    }
+
+    async get(key) {
+        const entry = await prisma.cacheEntry.findUnique({
+            where: { key: this.storageKey(key) },
+        });
+        if (!entry) return null;
+
+        return { value: JSON.parse(entry.value), expiresAt: entry.expiresAt.getTime() };
+    }
+
+    async set(key, value, expiresAt) {
+        const data = { value: JSON.stringify(value), expiresAt: new Date(expiresAt) };
+        await prisma.cacheEntry.upsert({
+            where: { key: this.storageKey(key) },
+            create: { key: this.storageKey(key), namespace: this.namespace, ...data },
+            update: data,
+        });
+    }
+
+    async delete(key) {
+        await prisma.cacheEntry.deleteMany({ where: { key: this.storageKey(key) } });
+    }
+
+    async clear() {
+        await prisma.cacheEntry.deleteMany({ where: { namespace: this.namespace } });
+    }
+
+    async size() {
+        return prisma.cacheEntry.count({ where: { namespace: this.namespace } });
+    }
+
+    /**
+     * Remove expired entries, then the least recently written ones beyond maxEntries
+     * @returns {Promise<{expired: number, evicted: number}>}
+     */
+    async prune({ now = Date.now(), maxEntries = Infinity } = {}) {
+        const { count: expired } = await prisma.cacheEntry.deleteMany({
+            where: { namespace: this.namespace, expiresAt: { lte: new Date(now) } },
+        });
+
+        let evicted = 0;
+        const total = await this.size();
+        if (total > maxEntries) {
+            const oldest = await prisma.cacheEntry.findMany({
+                where: { namespace: this.namespace },
+                orderBy: { updatedAt: "asc" },
+                take: total - maxEntries,
+                select: { key: true },
+            });
+            const result = await prisma.cacheEntry.deleteMany({
+                where: { key: { in: oldest.map((entry) => entry.key) } },
+            });
+            evicted = result.count;
+        }
+
+        return { expired, evicted };
+    }
+}
+
+/**
+ * Create the shared store configured by API_CACHE_STORE ("database" by default, or "memory")
+ * @param {string} namespace - Cache namespace, used to partition the shared table
+ * @returns {PrismaStore|null} Shared store, or null when only the in-process cache is wanted
+ */
+export function createSharedStore(namespace) {
+    if (process.env.API_CACHE_STORE === "memory") {
+        return null;
+    }
+    return new PrismaStore(namespace);
+}
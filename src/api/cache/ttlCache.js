@@ -0,0 +1,191 @@
+import { MemoryStore, createSharedStore } from "./stores.js";
+import logger from "../../utils/logger.js";
+
+// Prune the shared store after this many writes rather than on every one
+const SHARED_PRUNE_INTERVAL = 25;
+
+const caches = new Map();
+
+/**
+ * TTL Cache
+ * Two-level cache for API results: an in-process LRU in front of an optional shared store
+ * (the CacheEntry table by default) so results survive restarts and are reused across
+ * server instances. Shared-store failures are logged and treated as misses, never thrown.
+ */
+export class TTLCache {
+    /**
+     * @param {Object} options
+     * @param {string} options.namespace - Unique cache name (e.g. "hotels")
+     * @param {number} options.ttlMs - Default time to live in milliseconds
+     * @param {number} [options.maxEntries] - Size limit for each level
+     * @param {Object|null} [options.sharedStore] - Shared store; defaults to createSharedStore()
+     */
+    constructor({ namespace, ttlMs, maxEntries = 500, sharedStore }) {
+        this.namespace = namespace;
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.local = new MemoryStore();
+        this.shared = sharedStore === undefined ? createSharedStore(namespace) : sharedStore;
+        this.writesSincePrune = 0;
+        this.metrics = {
+            hits: 0,
+            sharedHits: 0,
+            misses: 0,
+            sets: 0,
+            expirations: 0,
+            evictions: 0,
+            errors: 0,
+        };
+
+        caches.set(namespace, this);
+    }
+
+    /**
+     * Get a cached value
+     * @param {string} key - Cache key
+     * @returns {Promise<*|null>} Cached value, or null on a miss
+     */
+    async get(key) {
+        const now = Date.now();
+
+        const local = await this.local.get(key);
+        if (local && local.expiresAt > now) {
+            this.metrics.hits++;
+            return local.value;
+        }
+        if (local) {
+            await this.local.delete(key);
+            this.metrics.expirations++;
+        }
+
+        if (this.shared) {
+            try {
+                const shared = await this.shared.get(key);
+                if (shared && shared.expiresAt > now) {
+                    await this.setLocal(key, shared.value, shared.expiresAt);
+                    this.metrics.hits++;
+                    this.metrics.sharedHits++;
+                    return shared.value;
+                }
+                if (shared) {
+                    await this.shared.delete(key);
+                    this.metrics.expirations++;
+                }
+            } catch (error) {
+                this.recordError("get", error);
+            }
+        }
+
+        this.metrics.misses++;
+        return null;
+    }
+
+    /**
+     * Cache a value
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serializable value
+     * @param {number} [ttlMs] - Overrides the default time to live
+     */
+    async set(key, value, ttlMs = this.ttlMs) {
+        const expiresAt = Date.now() + ttlMs;
+        this.metrics.sets++;
+        await this.setLocal(key, value, expiresAt);
+
+        if (!this.shared) return;
+        try {
+            await this.shared.set(key, value, expiresAt);
+
+            this.writesSincePrune++;
+            if (this.writesSincePrune >= SHARED_PRUNE_INTERVAL) {
+                this.writesSincePrune = 0;
+                this.recordPrune(await this.shared.prune({ maxEntries: this.maxEntries }));
+            }
+        } catch (error) {
+            this.recordError("set", error);
+        }
+    }
+
+    /**
+     * Remove a cached value from both levels
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+        await this.local.delete(key);
+        if (!this.shared) return;
+        try {
+            await this.shared.delete(key);
+        } catch (error) {
+            this.recordError("delete", error);
+        }
+    }
+
+    /**
+     * Remove expired entries from both levels
+     */
+    async purgeExpired() {
+        this.recordPrune(await this.local.prune({ maxEntries: this.maxEntries }));
+        if (!this.shared) return;
+        try {
+            this.recordPrune(await this.shared.prune({ maxEntries: this.maxEntries }));
+        } catch (error) {
+            this.recordError("prune", error);
+        }
+    }
+
+    /**
+     * Empty both levels
+     */
+    async clear() {
+        await this.local.clear();
+        if (!this.shared) return;
+        try {
+            await this.shared.clear();
+        } catch (error) {
+            this.recordError("clear", error);
+        }
+    }
+
+    /**
+     * Get hit/miss counters for this cache
+     * @returns {Object} Metrics including hitRate (0-1) and in-process size
+     */
+    getMetrics() {
+        const lookups = this.metrics.hits + this.metrics.misses;
+        return {
+            namespace: this.namespace,
+            store: this.shared ? this.shared.name : this.local.name,
+            ttlMs: this.ttlMs,
+            maxEntries: this.maxEntries,
+            size: this.local.entries.size,
+            ...this.metrics,
+            hitRate: lookups > 0 ? this.metrics.hits / lookups : 0,
+        };
+    }
+
+    async setLocal(key, value, expiresAt) {
+        await this.local.set(key, value, expiresAt);
+        if (this.local.entries.size > this.maxEntries) {
+            this.recordPrune(await this.local.prune({ maxEntries: this.maxEntries }));
+        }
+    }
+
+    recordPrune({ expired, evicted }) {
+        this.metrics.expirations += expired;
+        this.metrics.evictions += evicted;
+    }
+
+    recordError(operation, error) {
+        this.metrics.errors++;
+        logger.warn(`Cache "${this.namespace}" ${operation} failed, using in-process cache only:`, {
+            error: error.message,
+        });
+    }
+}
+
+/**
+ * Get metrics for every cache created in this process
+ * @returns {Object[]} One metrics object per cache namespace
+ */
+export function getCacheMetrics() {
+    return [...caches.values()].map((cache) => cache.getMetrics());
+}
@@ -5,19 +5,60 @@ import {
     PlaceSearchParams,
     TransitSearchParams,
     StandardizedCard,
+    SerpFlightData,
+    SerpFlightResponse,
+    SerpFlightSegment,
+    FareCalendar,
+    FareCalendarCell,
 } from "./types.js";
 import { SerpAPIClient } from "./serpapi/client.js";
 import { GoogleMapsClient } from "./googlemaps/client.js";
 import { AITranslator } from "./translation/aiTranslator.js";
+import { MockSerpAPIClient, MockGoogleMapsClient } from "./testing/mockClients.js";
+import { isMockMode } from "../config/environment.js";
 import { TravelAPIError, getUserFriendlyMessage } from "./utils/errors.js";
+import { mapWithConcurrency } from "./utils/concurrency.js";
+import { getCachedFare, setCachedFare } from "./serpapi/cache.js";
+import { addDays } from "../utils/itineraryTimeline.js";
+import { formatCurrency } from "../utils/costBreakdown.js";
 import logger from "../utils/logger.js";
 
+// First legs followed through to a complete priced multi-city trip
+const MAX_MULTI_CITY_COMBINATIONS = 3;
+
+// Fare calendar window: days either side of each requested date
+const MAX_FLEXIBLE_DAYS = 3;
+
+// SerpAPI searches run at once when one request fans out into several
+const SEARCH_CONCURRENCY = 3;
+
+// Airport pairs searched for one metro-area search, main airports first
+const MAX_METRO_AIRPORT_PAIRS = 9;
+
+// Priced options from a SerpAPI flight response, cheapest first
+const cheapestOptions = (response: SerpFlightResponse): SerpFlightData[] =>
+    [...(response.best_flights || []), ...(response.other_flights || [])]
+        .filter((flight) => flight.price)
+        .sort((a, b) => (a.price ?? 0) - (b.price ?? 0));
+
 export class TravelAPIModule implements TravelAPIInterface {
     private _serpClient?: SerpAPIClient;
     private googleMapsClient?: GoogleMapsClient;
     private translator: AITranslator;
+    private readonly mockMode: boolean;
 
     constructor() {
+        this.mockMode = isMockMode();
+
+        // Offline mode: fixture-backed clients and rule-based translation, no keys needed
+        if (this.mockMode) {
+            logger.info("TRAVEL_API_MODE=mock - serving travel APIs from mock fixtures");
+            this._serpClient = new MockSerpAPIClient();
+            this.googleMapsClient = new MockGoogleMapsClient();
+            this.translator = new AITranslator(undefined);
+            return;
+        }
+
         // Initialize API clients with environment variables
         const serpApiKey = process.env.SERP_API_KEY;
         const googleMapsApiKey = process.env.GOOGLE_MAPS_API_KEY;
@@ -69,6 +110,333 @@ export class TravelAPIModule implements TravelAPIInterface {
         }
     }
 
+    /**
+     * Multi-city flight search (SerpAPI type 3). SerpAPI prices the trip as a whole: the first
+     * request lists options for the first leg, and the departure token of a chosen leg lists
+     * the options for the next. The cheapest first legs are each followed through the cheapest
+     * option for every later leg, and each complete combination comes back as linked cards,
+     * one per leg, sharing details.multiCity.groupId. The trip price is on the first leg only
+     * so totals do not count it twice; every leg carries the combination's booking token.
+     */
+    async searchMultiCityFlights(
+        params: FlightSearchParams,
+        maxCombinations = MAX_MULTI_CITY_COMBINATIONS,
+    ): Promise<StandardizedCard[]> {
+        const serpClient = this._serpClient;
+        if (!serpClient) {
+            throw new TravelAPIError(
+                "INVALID_PARAMS",
+                "SerpAPI key not configured. Flight search is unavailable.",
+                "SerpAPI",
+            );
+        }
+
+        const legs = params.multiCityLegs || [];
+        if (legs.length < 2) {
+            throw new TravelAPIError(
+                "INVALID_PARAMS",
+                "A multi-city search needs at least two flight legs",
+                "SerpAPI",
+            );
+        }
+
+        try {
+            logger.info("Searching multi-city flights with params:", params);
+
+            const firstLegs = cheapestOptions(await serpClient.searchFlights(params)).slice(
+                0,
+                maxCombinations,
+            );
+
+            const combinations: SerpFlightData[][] = [];
+            for (const firstLeg of firstLegs) {
+                const chosen = [firstLeg];
+                while (chosen.length < legs.length) {
+                    const departureToken = chosen[chosen.length - 1].departure_token;
+                    if (!departureToken) break;
+                    const [nextLeg] = cheapestOptions(
+                        await serpClient.searchFlights({ ...params, departureToken }),
+                    );
+                    if (!nextLeg) break;
+                    chosen.push(nextLeg);
+                }
+                if (chosen.length === legs.length) {
+                    combinations.push(chosen);
+                }
+            }
+
+            const currency = params.currency || "USD";
+            const cards: StandardizedCard[] = [];
+            for (const [combinationIndex, combination] of combinations.entries()) {
+                const finalLeg = combination[combination.length - 1];
+                const totalPrice = finalLeg.price;
+                const groupId = `multi-city-${Date.now()}-${combinationIndex}`;
+                const totalPriceLabel = totalPrice
+                    ? `${formatCurrency(totalPrice, currency)} for all ${legs.length} flights`
+                    : "Multi-city price unavailable";
+
+                const legCards = await Promise.all(
+                    combination.map(async (flight) => {
+                        const [card] = await this.translator.translateSerpFlights({
+                            best_flights: [flight],
+                            other_flights: [],
+                        } as unknown as SerpFlightResponse);
+                        return card;
+                    }),
+                );
+                const bookingLink = legCards[legCards.length - 1]?.externalLinks.booking;
+
+                legCards.forEach((card, legIndex) => {
+                    if (!card) return;
+                    const isFirstLeg = legIndex === 0;
+                    cards.push({
+                        ...card,
+                        subtitle: `Leg ${legIndex + 1} of ${legs.length} · ${card.subtitle}`,
+                        price:
+                            isFirstLeg && totalPrice ? { amount: totalPrice, currency } : undefined,
+                        details: {
+                            ...card.details,
+                            type: "Multi-city",
+                            multiCity: {
+                                groupId,
+                                legIndex,
+                                legCount: legs.length,
+                                legs,
+                                totalPrice: totalPrice ? { amount: totalPrice, currency } : null,
+                            },
+                        },
+                        essentialDetails: {
+                            ...card.essentialDetails,
+                            price: isFirstLeg
+                                ? totalPriceLabel
+                                : "Included in the multi-city price",
+                        },
+                        externalLinks: { ...card.externalLinks, booking: bookingLink },
+                        metadata: {
+                            ...card.metadata,
+                            bookingToken: finalLeg.booking_token,
+                            searchContext: params,
+                        },
+                    });
+                });
+            }
+
+            logger.info(
+                `Found ${combinations.length} multi-city combinations for ${legs.length} legs`,
+            );
+            return cards;
+        } catch (error) {
+            if (error instanceof TravelAPIError) {
+                throw error;
+            }
+            throw new TravelAPIError(
+                "UNKNOWN",
+                `Multi-city flight search failed: ${error instanceof Error ? error.message : "Unknown error"}`,
+                "SerpAPI",
+            );
+        }
+    }
+
+    /**
+     * Cheapest fare for every outbound/return date pair within `flexibleDays` of the requested
+     * dates, for a price calendar. Searches run a few at a time and each cell's price is cached,
+     * so repeated or overlapping calendars reuse earlier results. A cell that fails to load
+     * has a null price instead of failing the whole calendar.
+     */
+    async searchFareCalendar(params: FlightSearchParams, flexibleDays = 2): Promise<FareCalendar> {
+        const serpClient = this._serpClient;
+        if (!serpClient) {
+            throw new TravelAPIError(
+                "INVALID_PARAMS",
+                "SerpAPI key not configured. Flight search is unavailable.",
+                "SerpAPI",
+            );
+        }
+
+        const days = Math.max(0, Math.min(Math.round(flexibleDays), MAX_FLEXIBLE_DAYS));
+        const today = new Date().toISOString().slice(0, 10);
+        const around = (date: string) =>
+            Array.from({ length: days * 2 + 1 }, (_, index) => addDays(date, index - days));
+
+        const outboundDates = around(params.outboundDate).filter((date) => date >= today);
+        const returnDates = params.returnDate ? around(params.returnDate) : [];
+        const pairs: FareCalendarCell[] = outboundDates.flatMap((outboundDate) =>
+            params.returnDate
+                ? returnDates
+                      .filter((returnDate) => returnDate > outboundDate)
+                      .map((returnDate) => ({ outboundDate, returnDate, price: null }))
+                : [{ outboundDate, price: null }],
+        );
+
+        const currency = params.currency || "USD";
+        const routeKey = [
+            params.departure,
+            params.arrival,
+            params.adults,
+            params.children || 0,
+            params.travelClass || "economy",
+            currency,
+        ].join(":");
+
+        logger.info(`Searching fare calendar for ${pairs.length} date pairs:`, params);
+        const cells = await mapWithConcurrency(pairs, SEARCH_CONCURRENCY, async (pair) => {
+            const cacheKey = `${routeKey}:${pair.outboundDate}:${pair.returnDate || "oneway"}`;
+            const cached = await getCachedFare(cacheKey);
+            if (cached) {
+                return { ...pair, price: cached.price };
+            }
+
+            try {
+                const response = await serpClient.searchFlights({
+                    ...params,
+                    outboundDate: pair.outboundDate,
+                    returnDate: pair.returnDate,
+                });
+                const price = cheapestOptions(response)[0]?.price ?? null;
+                await setCachedFare(cacheKey, { price });
+                return { ...pair, price };
+            } catch (error) {
+                logger.warn(
+                    `Fare calendar search failed for ${pair.outboundDate}/${pair.returnDate}:`,
+                    error instanceof Error ? error.message : error,
+                );
+                return pair;
+            }
+        });
+
+        const cheapest = cells.reduce<FareCalendarCell | null>(
+            (best, cell) =>
+                cell.price !== null && (best?.price == null || cell.price < best.price)
+                    ? cell
+                    : best,
+            null,
+        );
+
+        return {
+            departure: params.departure,
+            arrival: params.arrival,
+            currency,
+            flexibleDays: days,
+            outboundDates,
+            returnDates,
+            cells,
+            requested: { outboundDate: params.outboundDate, returnDate: params.returnDate },
+            cheapest,
+            searchContext: {
+                departure: params.departure,
+                arrival: params.arrival,
+                outboundDate: params.outboundDate,
+                returnDate: params.returnDate,
+                currency,
+                adults: params.adults,
+                children: params.children || 0,
+                travelClass: params.travelClass,
+                gl: params.gl,
+                hl: params.hl,
+            },
+        };
+    }
+
+    /**
+     * Metro-area flight search: every pair of departureAirports × arrivalAirports is searched
+     * (main airports first, up to MAX_METRO_AIRPORT_PAIRS), and the results are merged,
+     * de-duplicated and sorted by price. Each card keeps the search context of the airport
+     * pair it came from, so booking options are fetched for the right airports, and names the
+     * airports it uses in details.airports. Pairs that fail are skipped.
+     */
+    async searchMetroAreaFlights(params: FlightSearchParams): Promise<StandardizedCard[]> {
+        const departures = params.departureAirports?.length
+            ? params.departureAirports
+            : [params.departure];
+        const arrivals = params.arrivalAirports?.length ? params.arrivalAirports : [params.arrival];
+
+        const pairs = departures
+            .flatMap((departure, i) =>
+                arrivals.map((arrival, j) => ({ departure, arrival, rank: i + j })),
+            )
+            .filter((pair) => pair.departure !== pair.arrival)
+            .sort((a, b) => a.rank - b.rank)
+            .slice(0, MAX_METRO_AIRPORT_PAIRS);
+
+        const baseParams = { ...params };
+        delete baseParams.departureAirports;
+        delete baseParams.arrivalAirports;
+
+        logger.info(
+            `Searching ${pairs.length} metro-area airport pairs:`,
+            pairs.map((pair) => `${pair.departure}-${pair.arrival}`),
+        );
+        const results = await mapWithConcurrency<(typeof pairs)[number], StandardizedCard[]>(
+            pairs,
+            SEARCH_CONCURRENCY,
+            async (pair) => {
+                const pairParams = {
+                    ...baseParams,
+                    departure: pair.departure,
+                    arrival: pair.arrival,
+                };
+                try {
+                    const cards = await this.searchFlights(pairParams);
+                    return cards.map((card) => {
+                        const segments = (card.details?.segments || []) as SerpFlightSegment[];
+                        const first = segments[0];
+                        const last = segments[segments.length - 1];
+                        return {
+                            ...card,
+                            details: {
+                                ...card.details,
+                                airports: {
+                                    departure: {
+                                        code: first?.departure_airport?.id || pair.departure,
+                                        name: first?.departure_airport?.name,
+                                    },
+                                    arrival: {
+                                        code: last?.arrival_airport?.id || pair.arrival,
+                                        name: last?.arrival_airport?.name,
+                                    },
+                                },
+                            },
+                            metadata: { ...card.metadata, searchContext: pairParams },
+                        };
+                    });
+                } catch (error) {
+                    logger.warn(
+                        `Metro-area search failed for ${pair.departure}-${pair.arrival}:`,
+                        error instanceof Error ? error.message : error,
+                    );
+                    return [];
+                }
+            },
+        );
+
+        // The same flights can come back from overlapping searches; keep the cheaper copy
+        const unique = new Map<string, StandardizedCard>();
+        results.flat().forEach((card) => {
+            const segments = (card.details?.segments || []) as SerpFlightSegment[];
+            const key = segments.length
+                ? segments
+                      .map(
+                          (segment) =>
+                              `${segment.flight_number}@${segment.departure_airport?.time}`,
+                      )
+                      .join("|")
+                : card.id;
+            const existing = unique.get(key);
+            if (
+                !existing ||
+                (card.price?.amount ?? Infinity) < (existing.price?.amount ?? Infinity)
+            ) {
+                unique.set(key, card);
+            }
+        });
+
+        const cards = [...unique.values()].sort(
+            (a, b) => (a.price?.amount ?? Infinity) - (b.price?.amount ?? Infinity),
+        );
+        logger.info(`Metro-area search found ${cards.length} unique flights`);
+        return cards;
+    }
+
     async searchPlaces(params: PlaceSearchParams): Promise<StandardizedCard[]> {
         if (!this.googleMapsClient) {
             throw new TravelAPIError(
@@ -84,7 +452,7 @@ export class TravelAPIModule implements TravelAPIInterface {
             const placesResponse = await this.googleMapsClient.searchPlaces(params);
             const standardizedCards = await this.translator.translateGooglePlaces(
                 placesResponse,
-                process.env.GOOGLE_MAPS_API_KEY!,
+                this.mockMode ? "" : process.env.GOOGLE_MAPS_API_KEY!,
             );
 
             logger.info(`Found ${standardizedCards.length} place options`);
@@ -298,7 +666,7 @@ export class TravelAPIModule implements TravelAPIInterface {
         const results = {
             serpAPI: false,
             googleMaps: false,
-            openAI: !!process.env.OPENAI_API_KEY,
+            openAI: this.mockMode || !!process.env.OPENAI_API_KEY,
         };
 
         try {
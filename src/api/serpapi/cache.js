@@ -0,0 +1,22 @@
+// Fare calendar cache, shared across server instances (see api/cache/ttlCache.js)
+// Key: route+dates+passengers+class+currency, Value: { price } with the cheapest fare, or null
+
+import { TTLCache } from "../cache/ttlCache.js";
+
+const FARE_CACHE_TTL = 60 * 60 * 1000; // 1 hour - calendar prices are indicative only
+
+const fareCache = new TTLCache({
+    namespace: "fares",
+    ttlMs: FARE_CACHE_TTL,
+    maxEntries: 2000,
+});
+
+async function getCachedFare(key) {
+    return fareCache.get(key);
+}
+
+async function setCachedFare(key, fare, ttlMs) {
+    await fareCache.set(key, fare, ttlMs);
+}
+
+export { getCachedFare, setCachedFare };
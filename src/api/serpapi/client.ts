@@ -2,14 +2,26 @@ import axios from "axios";
 import {
     FlightSearchParams,
     FlightSearchContext,
+    MultiCityLeg,
     SerpFlightResponse,
     SerpBookingResponse,
     SerpFlightData,
     SerpFlightSegment,
+    SerpCarbonEmissions,
 } from "../types.js";
 import { handleAPIError, withRetry } from "../utils/errors.js";
 import logger from "../../utils/logger.js";
 
+// SerpAPI's multi_city_json format: one object per leg
+const toMultiCityJson = (legs: MultiCityLeg[]): string =>
+    JSON.stringify(
+        legs.map((leg) => ({
+            departure_id: leg.departure,
+            arrival_id: leg.arrival,
+            date: leg.date,
+        })),
+    );
+
 export class SerpAPIClient {
     private readonly apiKey: string;
     private readonly baseURL = "https://serpapi.com/search";
@@ -81,14 +93,25 @@ export class SerpAPIClient {
             hl: params.hl || "en", // Google language interface (required)
         };
 
-        // Set trip type and add return date if provided
-        if (params.returnDate) {
+        // Set trip type: multi-city legs replace the single route, otherwise add the return date
+        if (params.multiCityLegs?.length) {
+            serpParams.type = "3"; // Multi-city
+            serpParams.multi_city_json = toMultiCityJson(params.multiCityLegs);
+            delete serpParams.departure_id;
+            delete serpParams.arrival_id;
+            delete serpParams.outbound_date;
+        } else if (params.returnDate) {
             serpParams.type = "1"; // Round trip
             serpParams.return_date = params.returnDate;
         } else {
             serpParams.type = "2"; // One-way trip
         }
 
+        // Options for the next leg of a round or multi-city trip, given the chosen earlier leg
+        if (params.departureToken) {
+            serpParams.departure_token = params.departureToken;
+        }
+
         if (params.children && params.children > 0) {
             serpParams.children = params.children.toString();
         }
@@ -126,7 +149,13 @@ export class SerpAPIClient {
 
         // Set trip type and add return date if provided
         // IMPORTANT: For return flights that were searched separately, they should be treated as one-way
-        if (context.returnDate) {
+        if (context.multiCityLegs?.length) {
+            bookingParams.type = "3"; // Multi-city
+            bookingParams.multi_city_json = toMultiCityJson(context.multiCityLegs);
+            delete bookingParams.departure_id;
+            delete bookingParams.arrival_id;
+            delete bookingParams.outbound_date;
+        } else if (context.returnDate) {
             bookingParams.type = "1"; // Round trip
             bookingParams.return_date = context.returnDate;
         } else {
@@ -258,6 +287,24 @@ export function extractAirlineNames(flights: SerpFlightSegment[]): string {
     return Array.from(airlines).join(", ");
 }
 
+// Helper function to convert the CO₂ estimate to kilograms for flight cards
+export function extractEmissions(
+    emissions?: SerpCarbonEmissions,
+): { kg: number; typicalKg: number | null; differencePercent: number | null } | undefined {
+    if (!emissions?.this_flight) {
+        return undefined;
+    }
+
+    return {
+        kg: Math.round(emissions.this_flight / 1000),
+        typicalKg: emissions.typical_for_this_route
+            ? Math.round(emissions.typical_for_this_route / 1000)
+            : null,
+        differencePercent:
+            typeof emissions.difference_percent === "number" ? emissions.difference_percent : null,
+    };
+}
+
 // Helper function to calculate confidence score
 export function calculateFlightConfidence(flight: SerpFlightData): number {
     let confidence = 0.5; // Base confidence
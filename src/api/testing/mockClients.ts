@@ -0,0 +1,171 @@
+import {
+    FlightSearchParams,
+    FlightSearchContext,
+    MultiCityLeg,
+    PlaceSearchParams,
+    TransitSearchParams,
+    SerpFlightResponse,
+    SerpBookingResponse,
+    GooglePlacesResponse,
+    GoogleDirectionsResponse,
+    GooglePlaceData,
+} from "../types.js";
+import { SerpAPIClient } from "../serpapi/client.js";
+import { GoogleMapsClient } from "../googlemaps/client.js";
+import {
+    mockSerpAPIFlightResponse,
+    mockSerpAPIBookingResponse,
+    mockGooglePlacesResponse,
+    mockGoogleDirectionsResponse,
+} from "./mockData.js";
+import logger from "../../utils/logger.js";
+
+// Airports and dates baked into the flight fixture; rewritten to match each search
+const FIXTURE_DEPARTURE = "AUS";
+const FIXTURE_ARRIVAL = "SFO";
+const FIXTURE_OUTBOUND_DATE = "2024-12-15";
+const FIXTURE_RETURN_DATE = "2024-12-20";
+
+// Mock departure tokens for multi-city searches name the leg they lead to
+const MOCK_LEG_TOKEN = /^mock-leg-(\d+)-/;
+
+/**
+ * Deep-copy a fixture, swapping airport codes and date prefixes so responses line up with the
+ * request. Airports whose code changes get a generic name instead of the fixture's.
+ */
+export function rewriteFixture<T>(fixture: T, replacements: Record<string, string>): T {
+    const rewrite = (value: unknown): unknown => {
+        if (typeof value === "string") {
+            for (const [from, to] of Object.entries(replacements)) {
+                if (value === from) return to;
+                if (/^\d{4}-\d{2}-\d{2}$/.test(from) && value.startsWith(from)) {
+                    return to + value.slice(from.length);
+                }
+            }
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(rewrite);
+        }
+        if (value && typeof value === "object") {
+            const source = value as Record<string, unknown>;
+            const copy: Record<string, unknown> = {};
+            Object.entries(source).forEach(([key, entry]) => {
+                copy[key] = rewrite(entry);
+            });
+            if (typeof source.id === "string" && replacements[source.id] && "name" in source) {
+                copy.name = `${replacements[source.id]} Airport`;
+            }
+            return copy;
+        }
+        return value;
+    };
+
+    return rewrite(fixture) as T;
+}
+
+/**
+ * SerpAPI stand-in for TRAVEL_API_MODE=mock
+ * Serves the Google Flights fixture re-targeted at the requested route and dates.
+ */
+export class MockSerpAPIClient extends SerpAPIClient {
+    constructor() {
+        super("mock");
+    }
+
+    async searchFlights(params: FlightSearchParams): Promise<SerpFlightResponse> {
+        logger.info("Mock SerpAPI - searchFlights:", params);
+
+        if (params.multiCityLegs?.length) {
+            return this.searchMultiCityLeg(params.multiCityLegs, params.departureToken);
+        }
+
+        const replacements: Record<string, string> = {
+            [FIXTURE_DEPARTURE]: params.departure,
+            [FIXTURE_ARRIVAL]: params.arrival,
+            [FIXTURE_OUTBOUND_DATE]: params.outboundDate,
+        };
+        if (params.returnDate) {
+            replacements[FIXTURE_RETURN_DATE] = params.returnDate;
+        }
+
+        return rewriteFixture(
+            mockSerpAPIFlightResponse,
+            replacements,
+        ) as unknown as SerpFlightResponse;
+    }
+
+    /**
+     * One leg of a multi-city search: the first leg without a departure token, later legs from
+     * the token of the leg before. Options on the last leg carry booking tokens instead.
+     */
+    private searchMultiCityLeg(legs: MultiCityLeg[], departureToken?: string): SerpFlightResponse {
+        const legIndex = Math.min(
+            Number(departureToken?.match(MOCK_LEG_TOKEN)?.[1] || 0),
+            legs.length - 1,
+        );
+        const leg = legs[legIndex];
+        const response = rewriteFixture(mockSerpAPIFlightResponse, {
+            [FIXTURE_DEPARTURE]: leg.departure,
+            [FIXTURE_ARRIVAL]: leg.arrival,
+            [FIXTURE_OUTBOUND_DATE]: leg.date,
+        }) as unknown as SerpFlightResponse;
+
+        const isLastLeg = legIndex === legs.length - 1;
+        [...response.best_flights, ...response.other_flights].forEach((flight, index) => {
+            flight.type = "Multi-city";
+            if (isLastLeg) {
+                delete flight.departure_token;
+                flight.booking_token = `mock-booking-${index}`;
+            } else {
+                flight.departure_token = `mock-leg-${legIndex + 1}-${index}`;
+            }
+        });
+        return response;
+    }
+
+    async getBookingOptions(
+        bookingToken: string,
+        context: FlightSearchContext,
+    ): Promise<SerpBookingResponse> {
+        logger.info("Mock SerpAPI - getBookingOptions:", { bookingToken, context });
+        return rewriteFixture(mockSerpAPIBookingResponse, {}) as unknown as SerpBookingResponse;
+    }
+
+    async validateApiKey(): Promise<boolean> {
+        return true;
+    }
+}
+
+/**
+ * Google Maps stand-in for TRAVEL_API_MODE=mock
+ * Serves the Places and Directions fixtures regardless of the query.
+ */
+export class MockGoogleMapsClient extends GoogleMapsClient {
+    constructor() {
+        super("mock");
+    }
+
+    async searchPlaces(params: PlaceSearchParams): Promise<GooglePlacesResponse> {
+        logger.info("Mock Google Maps - searchPlaces:", params);
+        return rewriteFixture(mockGooglePlacesResponse, {}) as unknown as GooglePlacesResponse;
+    }
+
+    async getDirections(params: TransitSearchParams): Promise<GoogleDirectionsResponse> {
+        logger.info("Mock Google Maps - getDirections:", params);
+        return rewriteFixture(
+            mockGoogleDirectionsResponse,
+            {},
+        ) as unknown as GoogleDirectionsResponse;
+    }
+
+    async getPlaceDetails(placeId: string): Promise<GooglePlaceData> {
+        const places = mockGooglePlacesResponse.results as unknown as GooglePlaceData[];
+        const place = places.find((result) => result.place_id === placeId) || places[0];
+        return rewriteFixture(place, {});
+    }
+
+    async validateApiKey(): Promise<boolean> {
+        return true;
+    }
+}
@@ -1,6 +1,7 @@
 /**
  * Mock Data Generator for Travel API Testing
- * Provides sample responses for SerpAPI, Google Maps Places, and Google Maps Directions APIs
+ * Provides sample responses for SerpAPI, Google Maps Places, Google Maps Directions and Amadeus
+ * hotel APIs. Also backs TRAVEL_API_MODE=mock (see mockClients.ts and mockOpenAI.js)
  */
 
 // Sample SerpAPI Flight Response (Based on SerpAPIDocumentation.md)
@@ -381,6 +382,188 @@ export const mockGoogleDirectionsResponse = {
     status: "OK",
 };
 
+// Sample SerpAPI Booking Options Response (google_flights with booking_token)
+export const mockSerpAPIBookingResponse = {
+    selected_flights: [],
+    baggage_prices: {
+        together: ["1 free carry-on", "1st checked bag: $35"],
+    },
+    booking_options: [
+        {
+            separate_tickets: false,
+            together: {
+                book_with: "Southwest",
+                airline_logos: ["https://www.gstatic.com/flights/airline_logos/70px/WN.png"],
+                marketed_as: ["WN 1547", "WN 2210"],
+                price: 298,
+                option_title: "Wanna Get Away",
+                extensions: ["2 free checked bags", "No change fees"],
+                baggage_prices: ["2 free checked bags"],
+                booking_request: {
+                    url: "https://www.southwest.com/air/booking/",
+                    post_data: "u=mock-booking-request",
+                },
+            },
+        },
+        {
+            separate_tickets: false,
+            together: {
+                book_with: "Expedia",
+                airline_logos: ["https://www.gstatic.com/flights/airline_logos/70px/WN.png"],
+                marketed_as: ["WN 1547", "WN 2210"],
+                price: 312,
+                extensions: ["Online travel agency"],
+                booking_request: {
+                    url: "https://www.expedia.com/Flights",
+                    post_data: "u=mock-booking-request",
+                },
+                booking_phone: "1-800-397-3342",
+                estimated_phone_service_fee: 25,
+            },
+        },
+    ],
+};
+
+// Sample Amadeus Hotel Offers Response (v3 shopping/hotel-offers, one entry per hotel)
+export const mockAmadeusHotelOffersResponse = {
+    data: [
+        {
+            type: "hotel-offers",
+            hotel: {
+                type: "hotel",
+                hotelId: "MCSFO001",
+                chainCode: "MC",
+                name: "Union Square Grand Hotel",
+                cityCode: "SFO",
+                latitude: 37.7879,
+                longitude: -122.4075,
+                amenities: ["WIFI", "FITNESS_CENTER", "RESTAURANT"],
+            },
+            available: true,
+            offers: [
+                {
+                    id: "MOCKOFFER001",
+                    checkInDate: "2024-12-15",
+                    checkOutDate: "2024-12-20",
+                    room: {
+                        type: "A1K",
+                        typeEstimated: { category: "STANDARD_ROOM", beds: 1, bedType: "KING" },
+                        description: { text: "Standard King Room, city view" },
+                    },
+                    guests: { adults: 1 },
+                    price: { currency: "USD", base: "845.00", total: "972.50" },
+                    policies: {
+                        paymentType: "guarantee",
+                        cancellations: [{ deadline: "2024-12-13T23:59:00", amount: "194.50" }],
+                    },
+                },
+            ],
+        },
+        {
+            type: "hotel-offers",
+            hotel: {
+                type: "hotel",
+                hotelId: "HISFO002",
+                chainCode: "HI",
+                name: "Embarcadero Bay Inn",
+                cityCode: "SFO",
+                latitude: 37.7955,
+                longitude: -122.3937,
+                amenities: ["WIFI", "PARKING"],
+            },
+            available: true,
+            offers: [
+                {
+                    id: "MOCKOFFER002",
+                    checkInDate: "2024-12-15",
+                    checkOutDate: "2024-12-20",
+                    room: {
+                        type: "B2D",
+                        typeEstimated: { category: "STANDARD_ROOM", beds: 2, bedType: "DOUBLE" },
+                        description: { text: "Two Double Beds, bay view" },
+                    },
+                    guests: { adults: 1 },
+                    price: { currency: "USD", base: "690.00", total: "793.50" },
+                    policies: { paymentType: "deposit" },
+                },
+            ],
+        },
+        {
+            type: "hotel-offers",
+            hotel: {
+                type: "hotel",
+                hotelId: "BWSFO003",
+                chainCode: "BW",
+                name: "Mission District Lodge",
+                cityCode: "SFO",
+                latitude: 37.7599,
+                longitude: -122.4148,
+                amenities: ["WIFI"],
+            },
+            available: false,
+            offers: [],
+        },
+    ],
+};
+
+// Sample Amadeus Hotel Booking Response (v1 booking/hotel-bookings, recorded from the sandbox)
+export const mockAmadeusHotelBookingResponse = {
+    data: [
+        {
+            type: "hotel-booking",
+            id: "XD_8138319951754",
+            providerConfirmationId: "8138319951754",
+            associatedRecords: [
+                {
+                    reference: "QVH2BX",
+                    originSystemCode: "GDS",
+                },
+            ],
+            self: "https://test.api.amadeus.com/v1/booking/hotel-bookings/XD_8138319951754",
+        },
+    ],
+};
+
+// Sample OpenAI activities response (JSON array expected by getActivities)
+export const mockActivitiesResponse = [
+    {
+        id: 1,
+        title: "Golden Gate Bridge Walk",
+        subtitle: "Self-guided walk across the bridge with bay views",
+        timing: "9:00 AM - 11:00 AM",
+        price: "Free",
+        bookingUrl: "https://www.google.com/maps/search/Golden+Gate+Bridge",
+        externalLinks: [
+            { label: "Google Maps", url: "https://www.google.com/maps/search/Golden+Gate+Bridge" },
+        ],
+    },
+    {
+        id: 2,
+        title: "Ferry Building Marketplace",
+        subtitle: "Local food hall on the Embarcadero",
+        timing: "12:00 PM - 2:00 PM",
+        price: "$20",
+        bookingUrl: "https://www.google.com/maps/search/Ferry+Building+Marketplace",
+        externalLinks: [
+            {
+                label: "Google Maps",
+                url: "https://www.google.com/maps/search/Ferry+Building+Marketplace",
+            },
+        ],
+    },
+    {
+        id: 3,
+        title: "Alcatraz Island Tour",
+        subtitle: "Ferry and audio tour of the former prison",
+        timing: "3:00 PM - 6:00 PM",
+        price: "$45",
+        bookingUrl: "https://www.alcatrazcruises.com/",
+        externalLinks: [
+            { label: "Alcatraz City Cruises", url: "https://www.alcatrazcruises.com/" },
+        ],
+    },
+];
+
 // Error Response Samples
 export const mockAPIErrors = {
     serpAPI: {
@@ -460,6 +643,9 @@ export const getMockResponse = (provider, operation, shouldError = false) => {
             if (operation === "searchFlights") {
                 return mockSerpAPIFlightResponse;
             }
+            if (operation === "getBookingOptions") {
+                return mockSerpAPIBookingResponse;
+            }
             break;
         case "googlemaps":
             if (operation === "searchPlaces") {
@@ -469,6 +655,14 @@ export const getMockResponse = (provider, operation, shouldError = false) => {
                 return mockGoogleDirectionsResponse;
             }
             break;
+        case "amadeus":
+            if (operation === "searchHotels") {
+                return mockAmadeusHotelOffersResponse;
+            }
+            if (operation === "bookHotel") {
+                return mockAmadeusHotelBookingResponse;
+            }
+            break;
         default:
             return { error: "Unknown provider or operation" };
     }
@@ -480,6 +674,10 @@ export default {
     mockSerpAPIFlightResponse,
     mockGooglePlacesResponse,
     mockGoogleDirectionsResponse,
+    mockSerpAPIBookingResponse,
+    mockAmadeusHotelOffersResponse,
+    mockAmadeusHotelBookingResponse,
+    mockActivitiesResponse,
     mockAPIErrors,
     mockTestParameters,
     getMockResponse,
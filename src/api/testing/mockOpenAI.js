@@ -0,0 +1,190 @@
+/**
+ * Mock OpenAI Client
+ * Deterministic stand-in for the OpenAI SDK used when TRAVEL_API_MODE=mock. Replies are chosen
+ * from the system prompt: parameter extraction and trip parsing get rule-based JSON, the
+ * activities prompt gets the activities fixture, and everything else gets a canned reply.
+ */
+
+import { mockActivitiesResponse } from "./mockData.js";
+
+const MOCK_TRANSCRIPTION = "Find flights from AUS to SFO on 2024-12-15 returning 2024-12-20";
+
+const HOTEL_KEYWORDS = /\b(hotels?|accommodations?|stay|lodging|motels?|resorts?)\b/i;
+const PLACE_KEYWORDS =
+    /\b(things to do|what to do|restaurants?|food|attractions?|activities|museums?|parks?|nightlife|sights?)\b/i;
+const TRIP_KEYWORDS = /\b(roadtrip|road trip|drive|then|itinerary)\b/i;
+const FLIGHT_KEYWORDS = /\b(fly|flights?|plane|airfare)\b/i;
+
+const findAirportCodes = (text) => text.match(/\b[A-Z]{3}\b/g) || [];
+const findDates = (text) => text.match(/\b\d{4}-\d{2}-\d{2}\b/g) || [];
+
+// Text after " in " up to punctuation or a date, e.g. "hotels in Lisbon from ..." → "Lisbon"
+const findLocation = (text) => {
+    const match = text.match(
+        /\bin ([A-Za-z][A-Za-z .'-]*?)(?=\s+(?:from|on|for|between)\b|[,.?!]|$)/,
+    );
+    return match ? match[1].trim() : undefined;
+};
+
+const findAdults = (text) => {
+    const match = text.match(/\b(\d)\s+(?:adults?|people|passengers?|travell?ers?|guests?)\b/i);
+    return match ? parseInt(match[1], 10) : 1;
+};
+
+const classifyIntent = (text) => {
+    const codes = findAirportCodes(text);
+    if (HOTEL_KEYWORDS.test(text)) return "hotel_search";
+    if (codes.length >= 3 && TRIP_KEYWORDS.test(text)) return "trip_planning";
+    if (codes.length >= 2 || FLIGHT_KEYWORDS.test(text)) return "flight_search";
+    if (PLACE_KEYWORDS.test(text)) return "place_search";
+    return "general_question";
+};
+
+const extractParameters = (text) => {
+    const intent = classifyIntent(text);
+    const codes = findAirportCodes(text);
+    const [firstDate, secondDate] = findDates(text);
+    const location = findLocation(text);
+    const parameters = { intent, adults: findAdults(text) };
+
+    switch (intent) {
+        case "flight_search":
+            Object.assign(parameters, {
+                departure: codes[0],
+                destination: codes[1],
+                outboundDate: firstDate,
+                returnDate: secondDate,
+            });
+            break;
+        case "hotel_search":
+            Object.assign(parameters, {
+                destination: codes[0] || location,
+                checkInDate: firstDate,
+                checkOutDate: secondDate,
+            });
+            break;
+        case "place_search":
+            Object.assign(parameters, {
+                destination: location || codes[0],
+                query: text,
+                outboundDate: firstDate,
+                returnDate: secondDate,
+            });
+            break;
+        case "trip_planning":
+            Object.assign(parameters, {
+                departure: codes[0],
+                destinations: codes.slice(1),
+                outboundDate: firstDate,
+                returnDate: secondDate,
+            });
+            break;
+        default:
+            break;
+    }
+
+    // Drop fields the message did not mention, as the real extraction prompt asks for
+    return Object.fromEntries(
+        Object.entries(parameters).filter(([, value]) => value !== undefined),
+    );
+};
+
+const parseTripPlan = (text) => {
+    const codes = findAirportCodes(text);
+    const [startDate, endDate] = findDates(text);
+    if (codes.length < 2) {
+        return {
+            isValid: false,
+            clarificationMessage:
+                "Which airports does your trip start and end at? Please use 3-letter codes like AUS or SFO.",
+        };
+    }
+
+    const origin = codes[0];
+    const finalDestination = codes[codes.length - 1];
+    return {
+        isValid: true,
+        origin,
+        finalDestination,
+        intermediateStops: codes.slice(1, -1),
+        transportationLegs: [
+            { mode: "flight", from: origin, to: codes[1] },
+            { mode: "flight", from: finalDestination, to: origin },
+        ],
+        activities: [],
+        dates: { startDate, endDate },
+    };
+};
+
+const cannedReply = (text) =>
+    `Here's what I found for "${text}". This reply was generated in offline mock mode, so any results come from the bundled test fixtures.`;
+
+// Pick the reply for a chat completion request based on which prompt is being sent
+const buildReply = ({ messages = [] }) => {
+    const systemPrompt = messages.find((message) => message.role === "system")?.content || "";
+    const userMessages = messages.filter((message) => message.role === "user");
+    const lastUserMessage = String(userMessages[userMessages.length - 1]?.content || "");
+
+    if (systemPrompt.startsWith("Extract travel parameters")) {
+        return JSON.stringify(extractParameters(lastUserMessage));
+    }
+    if (systemPrompt.startsWith("Classify this travel-related message")) {
+        return classifyIntent(lastUserMessage);
+    }
+    if (systemPrompt.startsWith("Analyze this trip planning request")) {
+        return JSON.stringify(parseTripPlan(lastUserMessage));
+    }
+    if (systemPrompt.startsWith("Analyze the user message and extract any timezone")) {
+        return JSON.stringify({ timezone: null });
+    }
+    if (systemPrompt.startsWith("You are a knowledgeable travel expert")) {
+        return JSON.stringify(mockActivitiesResponse);
+    }
+    return cannedReply(lastUserMessage);
+};
+
+// Emit the reply a word at a time in the same chunk shape the SDK streams
+async function* streamReply(content) {
+    const words = content.split(/(?<= )/);
+    for (const word of words) {
+        yield { choices: [{ index: 0, delta: { content: word } }] };
+    }
+}
+
+/**
+ * Create a mock OpenAI client exposing the SDK surface the app uses
+ * @returns {Object} Client with chat.completions.create and audio.transcriptions.create
+ */
+export function createMockOpenAI() {
+    return {
+        chat: {
+            completions: {
+                create: async (params) => {
+                    const content = buildReply(params);
+                    if (params.stream) {
+                        return streamReply(content);
+                    }
+                    return {
+                        id: "chatcmpl-mock",
+                        object: "chat.completion",
+                        model: params.model,
+                        choices: [
+                            {
+                                index: 0,
+                                message: { role: "assistant", content },
+                                finish_reason: "stop",
+                            },
+                        ],
+                    };
+                },
+            },
+        },
+        audio: {
+            transcriptions: {
+                create: async () => ({ text: MOCK_TRANSCRIPTION }),
+            },
+        },
+    };
+}
+
+export default createMockOpenAI;
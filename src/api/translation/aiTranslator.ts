@@ -13,6 +13,7 @@ import {
 import {
     generateFlightId,
     extractAirlineNames,
+    extractEmissions,
     calculateFlightConfidence,
 } from "../serpapi/client.js";
 import {
@@ -301,6 +302,7 @@ Return only valid JSON array.`;
                     segments: segments,
                     layovers: flight.layovers || [],
                     carbonEmissions: flight.carbon_emissions,
+                    emissions: extractEmissions(flight.carbon_emissions),
                     // Enhanced airline logo support with backward compatibility
                     airlineLogo: logoData.primaryLogo, // Current single logo (backward compatible)
                     airlineLogos: logoData.allLogos, // Future multi-logo support - array of {airline, logo, flightNumber, segmentIndex}
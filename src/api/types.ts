@@ -49,6 +49,7 @@ export interface StandardizedCard {
         confidence: number;
         timestamp: string;
         bookingToken?: string; // SerpAPI booking token for flights
+        searchContext?: FlightSearchContext; // Search the booking token belongs to
     };
     // Index signature for SuperJSON compatibility
     // eslint-disable-next-line @typescript-eslint/no-explicit-any
@@ -75,11 +76,21 @@ export interface ItineraryState {
 }
 
 // API Request Parameters
+export interface MultiCityLeg {
+    departure: string; // IATA code
+    arrival: string; // IATA code
+    date: string; // YYYY-MM-DD
+}
+
 export interface FlightSearchParams {
     departure: string; // IATA code
     arrival: string; // IATA code
     outboundDate: string; // YYYY-MM-DD
     returnDate?: string; // YYYY-MM-DD for round trip
+    multiCityLegs?: MultiCityLeg[]; // Every leg of a multi-city trip, in order
+    departureToken?: string; // Selected earlier leg, to fetch options for the next one
+    departureAirports?: string[]; // Metro-area mode: every airport to search from
+    arrivalAirports?: string[]; // Metro-area mode: every airport to search to
     adults: number;
     children?: number;
     travelClass?: "economy" | "business" | "first";
@@ -93,6 +104,7 @@ export interface FlightSearchContext {
     arrival: string;
     outboundDate: string;
     returnDate?: string;
+    multiCityLegs?: MultiCityLeg[];
     currency?: string;
     adults: number;
     children?: number;
@@ -101,6 +113,27 @@ export interface FlightSearchContext {
     hl?: string;
 }
 
+// Cheapest fare for one outbound/return date pair
+export interface FareCalendarCell {
+    outboundDate: string; // YYYY-MM-DD
+    returnDate?: string; // YYYY-MM-DD, absent for one-way searches
+    price: number | null; // null when no fare was found or the search failed
+}
+
+// Prices for every date pair in a window around the requested dates
+export interface FareCalendar {
+    departure: string;
+    arrival: string;
+    currency: string;
+    flexibleDays: number;
+    outboundDates: string[];
+    returnDates: string[]; // Empty for one-way searches
+    cells: FareCalendarCell[];
+    requested: { outboundDate: string; returnDate?: string };
+    cheapest: FareCalendarCell | null;
+    searchContext: FlightSearchContext;
+}
+
 export interface PlaceSearchParams {
     query: string;
     location?: {
@@ -122,14 +155,21 @@ export interface TransitSearchParams {
 
 // SerpAPI Flight Data Structures
 export interface SerpFlightSegment {
-    departure_airport?: { id?: string; time?: string };
-    arrival_airport?: { id?: string; time?: string };
+    departure_airport?: { id?: string; name?: string; time?: string };
+    arrival_airport?: { id?: string; name?: string; time?: string };
     airline?: string;
     airline_logo?: string;
     flight_number?: string;
     [key: string]: unknown;
 }
 
+// Google Flights CO₂ estimate, in grams
+export interface SerpCarbonEmissions {
+    this_flight?: number;
+    typical_for_this_route?: number;
+    difference_percent?: number;
+}
+
 export interface SerpFlightData {
     flights?: SerpFlightSegment[];
     layovers?: unknown[];
@@ -139,7 +179,7 @@ export interface SerpFlightData {
     booking_token?: string;
     airline_logo?: string;
     type?: string;
-    carbon_emissions?: unknown;
+    carbon_emissions?: SerpCarbonEmissions;
     [key: string]: unknown;
 }
 
@@ -251,6 +291,9 @@ export interface APIError {
 // Travel API Module interface
 export interface TravelAPIInterface {
     searchFlights(params: FlightSearchParams): Promise<StandardizedCard[]>;
+    searchMultiCityFlights(params: FlightSearchParams): Promise<StandardizedCard[]>;
+    searchFareCalendar(params: FlightSearchParams, flexibleDays?: number): Promise<FareCalendar>;
+    searchMetroAreaFlights(params: FlightSearchParams): Promise<StandardizedCard[]>;
     searchPlaces(params: PlaceSearchParams): Promise<StandardizedCard[]>;
     getTransitInfo(params: TransitSearchParams): Promise<StandardizedCard[]>;
 }
@@ -0,0 +1,25 @@
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * @param items - Items to process
+ * @param limit - Maximum number of concurrent calls
+ * @param fn - Called with each item and its index
+ * @returns Results in the same order as `items`
+ */
+export async function mapWithConcurrency<T, R>(
+    items: T[],
+    limit: number,
+    fn: (item: T, index: number) => Promise<R>,
+): Promise<R[]> {
+    const results: R[] = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+    return results;
+}
@@ -0,0 +1,40 @@
+import { buildItineraryCalendar, getCalendarFileName } from "../utils/icalendar.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Calendar Feed API
+ * Public iCalendar subscription feed for an itinerary, addressed by its secret calendarToken
+ * (GET /api/calendar/<token>.ics). Calendar apps poll it, so changes to the trip show up
+ * without re-importing. Revoking or rotating the token cuts off existing subscribers.
+ */
+
+// Serve the calendar for the itinerary matching the feed token
+export const itineraryCalendarFeed = async (req, res, context) => {
+    const token = String(req.params.feed || "").replace(/\.ics$/i, "");
+    if (!token) {
+        res.status(404).send("Calendar not found");
+        return;
+    }
+
+    try {
+        const itinerary = await context.entities.Itinerary.findUnique({
+            where: { calendarToken: token },
+            include: { items: { orderBy: { orderIndex: "asc" } } },
+        });
+
+        if (!itinerary) {
+            res.status(404).send("Calendar not found");
+            return;
+        }
+
+        res.set({
+            "Content-Type": "text/calendar; charset=utf-8",
+            "Content-Disposition": `inline; filename="${getCalendarFileName(itinerary)}"`,
+            "Cache-Control": "private, max-age=300",
+        });
+        res.send(buildItineraryCalendar(itinerary));
+    } catch (error) {
+        logger.error("Calendar feed error:", error);
+        res.status(500).send("Failed to build calendar");
+    }
+};
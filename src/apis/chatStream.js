@@ -0,0 +1,76 @@
+import { HttpError } from "wasp/server";
+import { runAIConversationTurn } from "../operations/conversation.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Chat Streaming API
+ * Server-sent events endpoint that streams an AI chat turn to the dashboard: an "accepted" event
+ * once the message is received (the client must not resend it after that), progress events
+ * while searches run, cards as soon as they are found, reply tokens as the
+ * model writes them, and a final "done" event with the saved messages.
+ */
+
+// Keep the default middleware (CORS, JSON body parsing) for the streaming namespace
+export const chatStreamMiddleware = (middlewareConfig) => middlewareConfig;
+
+// Write one server-sent event to the response
+const sendEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Stream an AI reply for a chat message
+export const streamAIMessage = async (req, res, context) => {
+    if (!context.user) {
+        res.status(401).json({ message: "User must be logged in" });
+        return;
+    }
+
+    const { message, frontendTimezone, conversationId } = req.body || {};
+    if (typeof message !== "string" || !message.trim()) {
+        res.status(400).json({ message: "Message is required" });
+        return;
+    }
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders?.();
+
+    let clientClosed = false;
+    req.on("close", () => {
+        clientClosed = true;
+    });
+
+    const send = (event, data) => {
+        if (!clientClosed) {
+            sendEvent(res, event, data);
+        }
+    };
+
+    // Sent before the message is saved, so a client that sees it never falls back to resending
+    send("accepted", { received: true });
+
+    try {
+        const result = await runAIConversationTurn(
+            { message, frontendTimezone, conversationId },
+            context,
+            {
+                onProgress: (progress) => send("progress", progress),
+                onCards: (cards) => send("cards", { cards }),
+                onToken: (text) => send("token", { text }),
+            },
+        );
+
+        send("done", result);
+    } catch (error) {
+        logger.error("Stream AI message error:", error);
+        send("error", {
+            message: error instanceof HttpError ? error.message : "Failed to process AI message",
+        });
+    } finally {
+        res.end();
+    }
+};
@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from "react";
+import { searchAirports } from "wasp/client/operations";
+import logger from "../utils/logger.js";
+
+const SEARCH_DELAY_MS = 200;
+
+const formatAirport = (airport) => `${airport.city} (${airport.iata})`;
+
+/**
+ * Text input that suggests airports by city, airport name or code; `value` is the selected
+ * airport ({ iata, name, city, cityCode, country }) or null while the text doesn't match one
+ */
+export function AirportAutocomplete({ label, value, onChange, placeholder, disabled }) {
+    const [text, setText] = useState(value ? formatAirport(value) : "");
+    const [suggestions, setSuggestions] = useState([]);
+    const [highlighted, setHighlighted] = useState(0);
+    const [isOpen, setIsOpen] = useState(false);
+
+    // Follow selections made by the parent, e.g. swapping origin and destination
+    useEffect(() => {
+        if (value) setText(formatAirport(value));
+    }, [value]);
+
+    // Search after the user pauses typing; ignore responses for text that has since changed
+    useEffect(() => {
+        const query = text.trim();
+        if (!isOpen || query.length < 2) {
+            setSuggestions([]);
+            return undefined;
+        }
+
+        let isCurrent = true;
+        const timer = setTimeout(async () => {
+            try {
+                const airports = await searchAirports({ query, limit: 8 });
+                if (isCurrent) {
+                    setSuggestions(airports);
+                    setHighlighted(0);
+                }
+            } catch (error) {
+                logger.error("Airport search failed:", error);
+            }
+        }, SEARCH_DELAY_MS);
+
+        return () => {
+            isCurrent = false;
+            clearTimeout(timer);
+        };
+    }, [text, isOpen]);
+
+    const select = (airport) => {
+        setText(formatAirport(airport));
+        setIsOpen(false);
+        onChange(airport);
+    };
+
+    const handleKeyDown = (event) => {
+        if (!isOpen || suggestions.length === 0) return;
+
+        if (event.key === "ArrowDown") {
+            event.preventDefault();
+            setHighlighted((index) => Math.min(index + 1, suggestions.length - 1));
+        } else if (event.key === "ArrowUp") {
+            event.preventDefault();
+            setHighlighted((index) => Math.max(index - 1, 0));
+        } else if (event.key === "Enter") {
+            event.preventDefault();
+            select(suggestions[highlighted]);
+        } else if (event.key === "Escape") {
+            setIsOpen(false);
+        }
+    };
+
+    return (
+        <label
+            style={{
+                position: "relative",
+                display: "flex",
+                flexDirection: "column",
+                gap: "0.25rem",
+                fontSize: "0.75rem",
+                fontWeight: "600",
+                color: "#495057",
+            }}
+        >
+            {label}
+            <input
+                type="text"
+                value={text}
+                placeholder={placeholder}
+                disabled={disabled}
+                autoComplete="off"
+                role="combobox"
+                aria-expanded={isOpen && suggestions.length > 0}
+                onChange={(event) => {
+                    setText(event.target.value);
+                    setIsOpen(true);
+                    if (value) onChange(null);
+                }}
+                onFocus={() => setIsOpen(true)}
+                onBlur={() => setIsOpen(false)}
+                onKeyDown={handleKeyDown}
+                style={{
+                    padding: "0.375rem 0.5rem",
+                    border: `1px solid ${text && !value ? "#ffc107" : "#ced4da"}`,
+                    borderRadius: "4px",
+                    fontSize: "0.875rem",
+                    fontWeight: "400",
+                }}
+            />
+            {isOpen && suggestions.length > 0 && (
+                <ul
+                    role="listbox"
+                    style={{
+                        position: "absolute",
+                        top: "100%",
+                        left: 0,
+                        right: 0,
+                        zIndex: 10,
+                        margin: "2px 0 0",
+                        padding: 0,
+                        listStyle: "none",
+                        backgroundColor: "white",
+                        border: "1px solid #ced4da",
+                        borderRadius: "4px",
+                        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
+                        maxHeight: "16rem",
+                        overflowY: "auto",
+                    }}
+                >
+                    {suggestions.map((airport, index) => (
+                        <li
+                            key={airport.iata}
+                            role="option"
+                            aria-selected={index === highlighted}
+                            // Select before the input's blur closes the list
+                            onMouseDown={(event) => {
+                                event.preventDefault();
+                                select(airport);
+                            }}
+                            onMouseEnter={() => setHighlighted(index)}
+                            style={{
+                                padding: "0.375rem 0.5rem",
+                                backgroundColor: index === highlighted ? "#e7f1ff" : "white",
+                                cursor: "pointer",
+                                fontWeight: "400",
+                            }}
+                        >
+                            <strong>{airport.iata}</strong> {airport.city}
+                            <span style={{ color: "#6c757d" }}>
+                                {" "}
+                                · {airport.name}, {airport.country}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </label>
+    );
+}
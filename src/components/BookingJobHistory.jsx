@@ -0,0 +1,103 @@
+import React from "react";
+import { useQuery, getBookingJobs } from "wasp/client/operations";
+
+const STATUS_STYLES = {
+    running: { label: "In progress", color: "#1d4ed8", background: "#dbeafe" },
+    completed: { label: "Ready to pay", color: "#047857", background: "#d1fae5" },
+    failed: { label: "Failed", color: "#b91c1c", background: "#fee2e2" },
+    cancelled: { label: "Cancelled", color: "#6b7280", background: "#f3f4f6" },
+};
+
+const formatDate = (value) =>
+    new Date(value).toLocaleString("en-US", {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+    });
+
+/**
+ * Lists the user's recent AI hotel booking attempts with their outcome
+ */
+export function BookingJobHistory() {
+    const { data: jobs, isLoading } = useQuery(getBookingJobs, { limit: 10 });
+
+    if (isLoading || !jobs || jobs.length === 0) return null;
+
+    return (
+        <div
+            style={{
+                marginTop: "2rem",
+                padding: "1.5rem",
+                backgroundColor: "white",
+                borderRadius: "8px",
+                boxShadow: "0 1px 3px rgba(0, 0, 0, 0.1)",
+            }}
+        >
+            <h3 style={{ margin: "0 0 1rem 0", fontSize: "1.125rem", fontWeight: "600" }}>
+                🤖 AI Booking History
+            </h3>
+            <ul style={{ listStyle: "none", margin: 0, padding: 0 }}>
+                {jobs.map((job) => {
+                    const status = STATUS_STYLES[job.status] || STATUS_STYLES.failed;
+                    return (
+                        <li
+                            key={job.id}
+                            style={{
+                                display: "flex",
+                                alignItems: "center",
+                                gap: "1rem",
+                                padding: "0.75rem 0",
+                                borderTop: "1px solid #f3f4f6",
+                            }}
+                        >
+                            <div style={{ flex: 1, minWidth: 0 }}>
+                                <div style={{ fontWeight: "500", color: "#111827" }}>
+                                    {job.hotelName}
+                                </div>
+                                <div style={{ fontSize: "0.875rem", color: "#6b7280" }}>
+                                    {job.checkInDate && job.checkOutDate
+                                        ? `${job.checkInDate} → ${job.checkOutDate} · `
+                                        : ""}
+                                    Started {formatDate(job.createdAt)}
+                                </div>
+                                {job.status === "failed" && job.error && (
+                                    <div style={{ fontSize: "0.875rem", color: "#b91c1c" }}>
+                                        {job.error}
+                                    </div>
+                                )}
+                            </div>
+                            {job.status === "running" && (
+                                <span style={{ fontSize: "0.875rem", color: "#6b7280" }}>
+                                    Step {job.currentStep}/{job.totalSteps}
+                                </span>
+                            )}
+                            <span
+                                style={{
+                                    padding: "0.25rem 0.625rem",
+                                    borderRadius: "9999px",
+                                    fontSize: "0.75rem",
+                                    fontWeight: "600",
+                                    color: status.color,
+                                    backgroundColor: status.background,
+                                }}
+                            >
+                                {status.label}
+                            </span>
+                            {job.resultUrl && (
+                                <a
+                                    href={job.resultUrl}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    style={{ fontSize: "0.875rem", color: "#2563eb" }}
+                                >
+                                    Open booking page
+                                </a>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
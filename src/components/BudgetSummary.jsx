@@ -0,0 +1,117 @@
+import React from "react";
+import { formatCurrency } from "../utils/costBreakdown.js";
+import { describeBudgetStatus } from "../utils/budget.js";
+
+const STATUS_COLORS = {
+    under: { bar: "#28a745", text: "#155724" },
+    near_limit: { bar: "#ffc107", text: "#856404" },
+    over: { bar: "#dc3545", text: "#721c24" },
+    currency_mismatch: { bar: "#ffc107", text: "#856404" },
+};
+
+const CATEGORY_LABELS = {
+    flights: "✈️ Flights",
+    hotels: "🏨 Hotels",
+    activities: "🎯 Activities",
+    rentalCars: "🚗 Car rentals",
+};
+
+/**
+ * Budget progress and per-category spend for an itinerary (see calculateBudgetStatus)
+ */
+export function BudgetSummary({ budgetStatus }) {
+    const { currency, status, travelers } = budgetStatus;
+    const colors = STATUS_COLORS[status];
+    const message = describeBudgetStatus(budgetStatus);
+
+    const categoryRows = Object.entries(budgetStatus.categories).filter(
+        ([, category]) => category.count > 0,
+    );
+
+    return (
+        <div style={{ marginTop: "1rem" }}>
+            {message ? (
+                <>
+                    <div style={{ fontWeight: "600", color: colors.text }}>
+                        {status === "over" ? "⚠️ " : ""}
+                        {message}
+                    </div>
+                    {budgetStatus.percentUsed !== null && (
+                        <div
+                            role="progressbar"
+                            aria-valuenow={budgetStatus.percentUsed}
+                            aria-valuemin={0}
+                            aria-valuemax={100}
+                            style={{
+                                height: "8px",
+                                marginTop: "0.5rem",
+                                backgroundColor: "#d6e9ef",
+                                borderRadius: "4px",
+                                overflow: "hidden",
+                            }}
+                        >
+                            <div
+                                style={{
+                                    width: `${Math.min(budgetStatus.percentUsed, 100)}%`,
+                                    height: "100%",
+                                    backgroundColor: colors.bar,
+                                }}
+                            />
+                        </div>
+                    )}
+                </>
+            ) : (
+                <div style={{ color: "#0c5460", fontSize: "0.875rem" }}>
+                    Set a budget with ✏️ Edit trip to track spending.
+                </div>
+            )}
+
+            {categoryRows.length > 0 && (
+                <table
+                    style={{
+                        width: "100%",
+                        marginTop: "0.75rem",
+                        borderCollapse: "collapse",
+                        fontSize: "0.875rem",
+                        color: "#0c5460",
+                    }}
+                >
+                    <tbody>
+                        {categoryRows.map(([key, category]) => (
+                            <tr key={key}>
+                                <td style={{ padding: "0.25rem 0" }}>{CATEGORY_LABELS[key]}</td>
+                                <td style={{ padding: "0.25rem 0", color: "#527b84" }}>
+                                    {category.perTraveler != null &&
+                                        travelers > 1 &&
+                                        `${formatCurrency(category.perTraveler, currency)} per traveler`}
+                                    {category.perNight != null &&
+                                        `${formatCurrency(category.perNight, currency)} per night`}
+                                </td>
+                                <td style={{ padding: "0.25rem 0", textAlign: "right" }}>
+                                    {formatCurrency(category.total, currency)}
+                                </td>
+                            </tr>
+                        ))}
+                        {travelers > 1 && (
+                            <tr>
+                                <td style={{ padding: "0.25rem 0", fontWeight: "600" }}>
+                                    Per traveler ({travelers})
+                                </td>
+                                <td />
+                                <td
+                                    style={{
+                                        padding: "0.25rem 0",
+                                        textAlign: "right",
+                                        fontWeight: "600",
+                                    }}
+                                >
+                                    {formatCurrency(budgetStatus.perTraveler, currency)}
+                                </td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
@@ -1,4 +1,10 @@
 import "./card.css";
+import { formatCurrency } from "../utils/costBreakdown.js";
+import {
+    describeEmissionsDifference,
+    formatEmissions,
+    getFlightEmissions,
+} from "../utils/emissions.js";
 
 // Helper function to get appropriate icons for flight features
 function getFeatureIcon(feature) {
@@ -35,6 +41,8 @@ export function Card({
         arrivalTime,
         layoverInfo,
         metadata,
+        budgetImpact,
+        convertedPrice,
         // Hotel-specific fields
         rating,
         location,
@@ -43,6 +51,8 @@ export function Card({
         bookingUrl,
         additionalInfo,
     } = cardData;
+    const emissions = type === "flight" ? getFlightEmissions(cardData) : null;
+    const emissionsDifference = describeEmissionsDifference(emissions?.differencePercent);
 
     return (
         <div className="card">
@@ -124,6 +134,38 @@ export function Card({
                                 </div>
                             )}
 
+                            {/* Airports used, for results searched across a metro area */}
+                            {cardData.details?.airports && (
+                                <div className="flight-airports">
+                                    {[
+                                        cardData.details.airports.departure,
+                                        cardData.details.airports.arrival,
+                                    ]
+                                        .map((airport) =>
+                                            airport.name
+                                                ? `${airport.name} (${airport.code})`
+                                                : airport.code,
+                                        )
+                                        .join(" → ")}
+                                </div>
+                            )}
+
+                            {/* CO₂ estimate, compared with the typical flight on this route */}
+                            {emissions && (
+                                <div
+                                    className={`flight-emissions${
+                                        emissions.differencePercent < 0
+                                            ? " flight-emissions--lower"
+                                            : emissions.differencePercent > 0
+                                              ? " flight-emissions--higher"
+                                              : ""
+                                    }`}
+                                >
+                                    🌱 {formatEmissions(emissions.kg)}
+                                    {emissionsDifference && ` · ${emissionsDifference}`}
+                                </div>
+                            )}
+
                             {/* Flight Details Section */}
                             {type === "flight" && cardData.details && (
                                 <div className="flight-details">
@@ -324,6 +366,26 @@ export function Card({
                             )}
                         </div>
                     )}
+                    {convertedPrice && convertedPrice.currency !== price?.currency && (
+                        <div
+                            className="card-converted-price"
+                            title={`Converted at rates from ${convertedPrice.rateDate}`}
+                        >
+                            ≈ {formatCurrency(convertedPrice.amount, convertedPrice.currency)}
+                        </div>
+                    )}
+                    {budgetImpact && (
+                        <div
+                            className={`card-budget-impact${budgetImpact.isOverBudget ? " over" : ""}`}
+                        >
+                            {budgetImpact.isOverBudget ? "⚠️ " : "✅ "}
+                            {formatCurrency(
+                                Math.abs(budgetImpact.remaining),
+                                budgetImpact.currency,
+                            )}{" "}
+                            {budgetImpact.isOverBudget ? "over budget" : "left in budget"}
+                        </div>
+                    )}
                     {/* Essential details - only show for non-flight cards to avoid duplication */}
                     {type !== "flight" && (
                         <div className="card-details">
@@ -10,6 +10,8 @@ export function ConfirmationModal({
     onCancel,
     confirmButtonColor,
     icon,
+    confirmDisabled = false,
+    children,
 }) {
     if (!isOpen) return null;
 
@@ -53,6 +55,7 @@ export function ConfirmationModal({
                 >
                     {message}
                 </p>
+                {children && <div style={{ marginBottom: "1.5rem" }}>{children}</div>}
                 <div
                     style={{
                         display: "flex",
@@ -75,13 +78,15 @@ export function ConfirmationModal({
                     </button>
                     <button
                         onClick={onConfirm}
+                        disabled={confirmDisabled}
                         style={{
                             padding: "0.5rem 1rem",
                             backgroundColor: confirmButtonColor,
                             color: "white",
                             border: "none",
                             borderRadius: "4px",
-                            cursor: "pointer",
+                            cursor: confirmDisabled ? "not-allowed" : "pointer",
+                            opacity: confirmDisabled ? 0.6 : 1,
                         }}
                     >
                         {confirmText}
@@ -0,0 +1,50 @@
+import React from "react";
+import { DISPLAY_CURRENCIES } from "../utils/currency.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Display currency picker; prices are converted to the chosen currency for totals
+ */
+export function CurrencySelector({ currency, onChange }) {
+    const options = DISPLAY_CURRENCIES.includes(currency)
+        ? DISPLAY_CURRENCIES
+        : [currency, ...DISPLAY_CURRENCIES];
+
+    const handleChange = async (event) => {
+        try {
+            await onChange(event.target.value);
+        } catch (error) {
+            logger.error("Error updating currency:", error);
+            alert("Failed to change the display currency");
+        }
+    };
+
+    return (
+        <label
+            style={{
+                display: "inline-flex",
+                alignItems: "center",
+                gap: "0.5rem",
+                fontSize: "0.875rem",
+                color: "#495057",
+            }}
+        >
+            Show prices in
+            <select
+                value={currency}
+                onChange={handleChange}
+                style={{
+                    padding: "0.25rem 0.5rem",
+                    border: "1px solid #ced4da",
+                    borderRadius: "4px",
+                }}
+            >
+                {options.map((code) => (
+                    <option key={code} value={code}>
+                        {code}
+                    </option>
+                ))}
+            </select>
+        </label>
+    );
+}
@@ -0,0 +1,139 @@
+import React from "react";
+
+const shortDate = (date) =>
+    new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", {
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+        timeZone: "UTC",
+    });
+
+const compactPrice = (amount, currency) =>
+    new Intl.NumberFormat("en-US", {
+        style: "currency",
+        currency,
+        maximumFractionDigits: 0,
+    }).format(amount);
+
+const sameDates = (a, b) =>
+    Boolean(a && b) && a.outboundDate === b.outboundDate && a.returnDate === b.returnDate;
+
+const headerStyle = {
+    padding: "0.25rem 0.5rem",
+    fontSize: "0.75rem",
+    fontWeight: "600",
+    color: "#6c757d",
+    whiteSpace: "nowrap",
+};
+
+/**
+ * Price grid of outbound × return dates around the requested dates; click a cell to load its
+ * flights
+ */
+export function FareCalendar({ calendar, selected, loadingDates, onSelectDates }) {
+    const isRoundTrip = calendar.returnDates.length > 0;
+    const columns = isRoundTrip ? calendar.returnDates : [null];
+    const current = selected || calendar.requested;
+
+    const findCell = (outboundDate, returnDate) =>
+        calendar.cells.find(
+            (cell) =>
+                cell.outboundDate === outboundDate &&
+                (cell.returnDate || null) === (returnDate || null),
+        );
+
+    const renderCell = (outboundDate, returnDate) => {
+        const cell = findCell(outboundDate, returnDate);
+        if (!cell) {
+            return <td key={returnDate || "oneway"} style={{ backgroundColor: "#f8f9fa" }} />;
+        }
+
+        const isCheapest = cell.price !== null && cell.price === calendar.cheapest?.price;
+        const isCurrent = sameDates(cell, current);
+        const isLoading = sameDates(cell, loadingDates);
+
+        return (
+            <td key={returnDate || "oneway"} style={{ padding: "2px" }}>
+                <button
+                    onClick={() => onSelectDates(cell)}
+                    disabled={cell.price === null || Boolean(loadingDates)}
+                    title={
+                        isRoundTrip
+                            ? `${shortDate(cell.outboundDate)} → ${shortDate(cell.returnDate)}`
+                            : shortDate(cell.outboundDate)
+                    }
+                    style={{
+                        width: "100%",
+                        padding: "0.375rem 0.25rem",
+                        border: isCurrent ? "2px solid #007bff" : "1px solid #dee2e6",
+                        borderRadius: "4px",
+                        backgroundColor: isCheapest ? "#d1e7dd" : "white",
+                        color: cell.price === null ? "#adb5bd" : "#212529",
+                        fontSize: "0.8125rem",
+                        fontWeight: isCurrent ? "600" : "400",
+                        cursor: cell.price === null ? "default" : "pointer",
+                    }}
+                >
+                    {isLoading
+                        ? "…"
+                        : cell.price === null
+                          ? "–"
+                          : compactPrice(cell.price, calendar.currency)}
+                </button>
+            </td>
+        );
+    };
+
+    return (
+        <div
+            style={{
+                marginBottom: "0.75rem",
+                padding: "0.75rem",
+                backgroundColor: "white",
+                border: "1px solid #e9ecef",
+                borderRadius: "8px",
+                overflowX: "auto",
+            }}
+        >
+            <div style={{ marginBottom: "0.5rem", fontWeight: "600", fontSize: "0.875rem" }}>
+                📅 Prices ±{calendar.flexibleDays} day{calendar.flexibleDays === 1 ? "" : "s"} ·{" "}
+                {calendar.departure} → {calendar.arrival}
+                {calendar.cheapest && (
+                    <span style={{ marginLeft: "0.5rem", fontWeight: "400", color: "#198754" }}>
+                        Cheapest {compactPrice(calendar.cheapest.price, calendar.currency)}
+                    </span>
+                )}
+            </div>
+            <table style={{ borderCollapse: "collapse", width: "100%" }}>
+                <thead>
+                    <tr>
+                        <th style={{ ...headerStyle, textAlign: "left" }}>
+                            {isRoundTrip ? "Depart ↓ / Return →" : "Depart"}
+                        </th>
+                        {isRoundTrip &&
+                            columns.map((returnDate) => (
+                                <th key={returnDate} style={headerStyle}>
+                                    {shortDate(returnDate)}
+                                </th>
+                            ))}
+                        {!isRoundTrip && <th style={headerStyle}>Price</th>}
+                    </tr>
+                </thead>
+                <tbody>
+                    {calendar.outboundDates.map((outboundDate) => (
+                        <tr key={outboundDate}>
+                            <th style={{ ...headerStyle, textAlign: "left" }}>
+                                {shortDate(outboundDate)}
+                            </th>
+                            {columns.map((returnDate) => renderCell(outboundDate, returnDate))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div style={{ marginTop: "0.5rem", fontSize: "0.75rem", color: "#6c757d" }}>
+                Cheapest {isRoundTrip ? "round-trip" : "one-way"} fare for each date. Click a price
+                to see its flights.
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,242 @@
+import React, { useState } from "react";
+import {
+    DEFAULT_FLIGHT_FILTERS,
+    FLIGHT_SORT_OPTIONS,
+    hasActiveFlightFilters,
+} from "../utils/flightFilters.js";
+
+const labelStyle = {
+    display: "flex",
+    flexDirection: "column",
+    gap: "0.25rem",
+    fontSize: "0.75rem",
+    fontWeight: "600",
+    color: "#495057",
+};
+
+const inputStyle = {
+    padding: "0.25rem 0.375rem",
+    border: "1px solid #ced4da",
+    borderRadius: "4px",
+    fontSize: "0.8125rem",
+};
+
+const hoursToMinutes = (value) => (value === "" ? null : Math.round(Number(value) * 60));
+const minutesToHours = (value) => (value === null ? "" : value / 60);
+
+// Airline chips cycle through any → only these → exclude
+const AIRLINE_STATES = {
+    any: { next: "include", prefix: "", color: "#495057", background: "white" },
+    include: { next: "exclude", prefix: "✓ ", color: "#0f5132", background: "#d1e7dd" },
+    exclude: { next: "any", prefix: "✕ ", color: "#842029", background: "#f8d7da" },
+};
+
+/**
+ * Filter and sort controls for flight results: stops, airlines, departure and arrival times,
+ * total duration and layover length
+ */
+export function FlightFilterPanel({ filters, airlines, onChange, shownCount, totalCount }) {
+    const [isOpen, setIsOpen] = useState(hasActiveFlightFilters(filters));
+    const update = (changes) => onChange({ ...filters, ...changes });
+
+    const airlineState = (airline) => {
+        if (filters.includeAirlines.includes(airline)) return "include";
+        if (filters.excludeAirlines.includes(airline)) return "exclude";
+        return "any";
+    };
+
+    const cycleAirline = (airline) => {
+        const next = AIRLINE_STATES[airlineState(airline)].next;
+        const without = (list) => list.filter((name) => name !== airline);
+        update({
+            includeAirlines:
+                next === "include"
+                    ? [...filters.includeAirlines, airline]
+                    : without(filters.includeAirlines),
+            excludeAirlines:
+                next === "exclude"
+                    ? [...filters.excludeAirlines, airline]
+                    : without(filters.excludeAirlines),
+        });
+    };
+
+    const timeInput = (field, label) => (
+        <input
+            type="time"
+            value={filters[field] || ""}
+            onChange={(event) => update({ [field]: event.target.value || null })}
+            aria-label={label}
+            style={inputStyle}
+        />
+    );
+
+    return (
+        <div
+            style={{
+                marginBottom: "0.75rem",
+                padding: "0.75rem",
+                backgroundColor: "#f8f9fa",
+                border: "1px solid #e9ecef",
+                borderRadius: "8px",
+                fontSize: "0.8125rem",
+            }}
+        >
+            <div
+                style={{ display: "flex", alignItems: "center", gap: "0.75rem", flexWrap: "wrap" }}
+            >
+                <button
+                    onClick={() => setIsOpen(!isOpen)}
+                    aria-expanded={isOpen}
+                    style={{
+                        padding: 0,
+                        border: "none",
+                        background: "none",
+                        fontWeight: "600",
+                        cursor: "pointer",
+                    }}
+                >
+                    ⚙️ Filter & sort {isOpen ? "▾" : "▸"}
+                </button>
+                <select
+                    value={filters.sortBy}
+                    onChange={(event) => update({ sortBy: event.target.value })}
+                    aria-label="Sort flights"
+                    style={inputStyle}
+                >
+                    {Object.entries(FLIGHT_SORT_OPTIONS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                            {label}
+                        </option>
+                    ))}
+                </select>
+                <label style={{ display: "flex", alignItems: "center", gap: "0.25rem" }}>
+                    <input
+                        type="checkbox"
+                        checked={filters.nonstopOnly}
+                        onChange={(event) =>
+                            update({
+                                nonstopOnly: event.target.checked,
+                                maxStops: event.target.checked ? 0 : null,
+                            })
+                        }
+                    />
+                    Nonstop only
+                </label>
+                <span style={{ marginLeft: "auto", color: "#6c757d" }}>
+                    Showing {shownCount} of {totalCount} flights
+                </span>
+                {hasActiveFlightFilters(filters) && (
+                    <button
+                        onClick={() => onChange(DEFAULT_FLIGHT_FILTERS)}
+                        style={{
+                            padding: "0.125rem 0.5rem",
+                            border: "1px solid #6c757d",
+                            borderRadius: "4px",
+                            backgroundColor: "white",
+                            cursor: "pointer",
+                        }}
+                    >
+                        Reset
+                    </button>
+                )}
+            </div>
+
+            {isOpen && (
+                <div
+                    style={{
+                        display: "grid",
+                        gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))",
+                        gap: "0.75rem",
+                        marginTop: "0.75rem",
+                    }}
+                >
+                    <label style={labelStyle}>
+                        Max stops
+                        <select
+                            value={filters.maxStops ?? ""}
+                            onChange={(event) => {
+                                const maxStops =
+                                    event.target.value === "" ? null : Number(event.target.value);
+                                update({ maxStops, nonstopOnly: maxStops === 0 });
+                            }}
+                            style={inputStyle}
+                        >
+                            <option value="">Any</option>
+                            <option value="0">Nonstop</option>
+                            <option value="1">1 stop</option>
+                            <option value="2">2 stops</option>
+                        </select>
+                    </label>
+                    <label style={labelStyle}>
+                        Max total duration (hours)
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.5"
+                            value={minutesToHours(filters.maxDurationMinutes)}
+                            onChange={(event) =>
+                                update({ maxDurationMinutes: hoursToMinutes(event.target.value) })
+                            }
+                            style={inputStyle}
+                        />
+                    </label>
+                    <label style={labelStyle}>
+                        Max layover (hours)
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.5"
+                            value={minutesToHours(filters.maxLayoverMinutes)}
+                            onChange={(event) =>
+                                update({ maxLayoverMinutes: hoursToMinutes(event.target.value) })
+                            }
+                            style={inputStyle}
+                        />
+                    </label>
+                    <div style={labelStyle}>
+                        Departs between
+                        <div style={{ display: "flex", gap: "0.25rem" }}>
+                            {timeInput("departureAfter", "Departs after")}
+                            {timeInput("departureBefore", "Departs before")}
+                        </div>
+                    </div>
+                    <div style={labelStyle}>
+                        Arrives between
+                        <div style={{ display: "flex", gap: "0.25rem" }}>
+                            {timeInput("arrivalAfter", "Arrives after")}
+                            {timeInput("arrivalBefore", "Arrives before")}
+                        </div>
+                    </div>
+                    {airlines.length > 0 && (
+                        <div style={{ ...labelStyle, gridColumn: "1 / -1" }}>
+                            Airlines (click to show only, again to exclude)
+                            <div style={{ display: "flex", gap: "0.375rem", flexWrap: "wrap" }}>
+                                {airlines.map((airline) => {
+                                    const state = AIRLINE_STATES[airlineState(airline)];
+                                    return (
+                                        <button
+                                            key={airline}
+                                            onClick={() => cycleAirline(airline)}
+                                            style={{
+                                                padding: "0.125rem 0.5rem",
+                                                border: "1px solid #ced4da",
+                                                borderRadius: "999px",
+                                                backgroundColor: state.background,
+                                                color: state.color,
+                                                fontSize: "0.75rem",
+                                                cursor: "pointer",
+                                            }}
+                                        >
+                                            {state.prefix}
+                                            {airline}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
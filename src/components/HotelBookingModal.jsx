@@ -1,9 +1,74 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { useAuth } from "wasp/client/auth";
 import { useAction, useQuery } from "wasp/client/operations";
-import { bookHotelWithAI, getAIBookingStatus, cancelAIBooking } from "wasp/client/operations";
+import {
+    bookHotelWithAI,
+    bookHotelOffer,
+    getAIBookingStatus,
+    cancelAIBooking,
+} from "wasp/client/operations";
+import { validatePaymentCard } from "../utils/paymentCard.js";
 import logger from "../utils/logger.js";
 
+// Booking page URL for a hotel, pre-filled with the stay dates
+const buildPreFilledBookingUrl = (hotel, offerData) => {
+    // Determine the best booking URL to use
+    let bookingBaseUrl;
+
+    // First try to use hotel's actual booking/external links
+    if (hotel.externalLinks?.booking && !hotel.externalLinks.booking.includes("api.amadeus.com")) {
+        bookingBaseUrl = hotel.externalLinks.booking;
+    } else if (hotel.bookingUrl && !hotel.bookingUrl.includes("api.amadeus.com")) {
+        bookingBaseUrl = hotel.bookingUrl;
+    } else {
+        // Use booking.com with comprehensive pre-filling
+        const hotelName = encodeURIComponent(hotel.name || hotel.title || "");
+
+        // Fix the location handling to avoid [object Object]
+        let locationStr = "";
+        if (typeof hotel.location === "string") {
+            locationStr = hotel.location;
+        } else if (hotel.location?.address) {
+            locationStr = hotel.location.address;
+        } else if (hotel.address) {
+            locationStr = hotel.address;
+        } else if (hotel.subtitle) {
+            locationStr = hotel.subtitle;
+        } else {
+            locationStr = "Los Angeles"; // Default fallback
+        }
+
+        // Build simple search parameters
+        const searchString = `${hotelName} ${locationStr}`.trim();
+
+        // Build simple parameters - no complex additions
+        const simpleParams = [
+            `ss=${encodeURIComponent(searchString)}`,
+            `checkin=${offerData.checkInDate}`,
+            `checkout=${offerData.checkOutDate}`,
+            "group_adults=1",
+            "group_children=0",
+            "no_rooms=1",
+            "selected_currency=USD",
+        ];
+
+        // Simple working URL
+        return `https://www.booking.com/searchresults.html?${simpleParams.join("&")}`;
+    }
+
+    // If using an external URL, append simple parameters
+    const simpleParams = [
+        `checkin=${offerData.checkInDate}`,
+        `checkout=${offerData.checkOutDate}`,
+        "group_adults=1",
+        "group_children=0",
+        "no_rooms=1",
+    ];
+
+    const paramString = simpleParams.join("&");
+    return `${bookingBaseUrl}${bookingBaseUrl.includes("?") ? "&" : "?"}${paramString}`;
+};
+
 export function HotelBookingModal({
     isOpen,
     onClose,
@@ -14,20 +79,32 @@ export function HotelBookingModal({
     autoFillEnabled = true,
 }) {
     const { data: user } = useAuth();
+    // Amadeus offer id, when the hotel came from an Amadeus search and can be booked directly
+    const offerId =
+        offer?.id ||
+        hotel?.details?.offerId ||
+        hotel?.additionalInfo?.offerId ||
+        hotel?.metadata?.offerId;
+
     const [bookingStep, setBookingStep] = useState("details"); // 'details', 'ai-booking', 'confirmation'
     const [isBooking, setIsBooking] = useState(false);
     const [bookingError, setBookingError] = useState(null);
-    const [useAIAgent, setUseAIAgent] = useState(false);
+    const [bookingMethod, setBookingMethod] = useState("redirect"); // 'direct', 'ai', 'redirect'
+    const [priceChange, setPriceChange] = useState(null);
+    const [confirmation, setConfirmation] = useState(null);
+    const [jobId, setJobId] = useState(null);
+    const useAIAgent = bookingMethod === "ai";
 
     // Wasp operations
     const bookHotelWithAIFn = useAction(bookHotelWithAI);
+    const bookHotelOfferFn = useAction(bookHotelOffer);
     const cancelAIBookingFn = useAction(cancelAIBooking);
     const { data: bookingStatus } = useQuery(
         getAIBookingStatus,
-        {},
+        { jobId },
         {
-            enabled: isBooking && useAIAgent,
-            refetchInterval: useAIAgent && isBooking ? 1000 : false,
+            enabled: !!jobId && isBooking,
+            refetchInterval: jobId && isBooking ? 1000 : false,
         },
     );
 
@@ -68,10 +145,10 @@ export function HotelBookingModal({
         specialRequests: "",
         checkInDate: "",
         checkOutDate: "",
-        // Payment info (in real implementation, use secure payment processor)
+        // Payment info - sent once to the booking action, never stored in full
+        cardHolderName: "",
         cardNumber: "",
         expiryDate: "",
-        cvv: "",
         billingAddress: "",
     });
 
@@ -82,7 +159,10 @@ export function HotelBookingModal({
             setBookingStep("details");
             setIsBooking(false);
             setBookingError(null);
-            setUseAIAgent(false);
+            setBookingMethod(offerId ? "direct" : "redirect");
+            setPriceChange(null);
+            setConfirmation(null);
+            setJobId(null);
 
             // Auto-fill user information and dates
             if (autoFillEnabled && user) {
@@ -108,7 +188,7 @@ export function HotelBookingModal({
                 checkOutDate: offer?.checkOutDate || dayAfterTomorrow.toISOString().split("T")[0],
             }));
         }
-    }, [isOpen, autoFillEnabled, user, guestInfo]);
+    }, [isOpen, autoFillEnabled, user, guestInfo, offerId]);
 
     const handleInputChange = (e) => {
         const { name, value } = e.target;
@@ -141,6 +221,77 @@ export function HotelBookingModal({
         return null;
     };
 
+    // Book the Amadeus offer directly; the server re-prices it first
+    const handleDirectBooking = async () => {
+        if (!formData.firstName || !formData.lastName || !formData.email || !formData.phone) {
+            setBookingError("Please fill in your name, email and phone number");
+            return;
+        }
+
+        const payment = {
+            cardNumber: formData.cardNumber,
+            expiryDate: formData.expiryDate,
+            holderName: formData.cardHolderName || `${formData.firstName} ${formData.lastName}`,
+        };
+        const cardValidation = validatePaymentCard(payment);
+        if (!cardValidation.isValid) {
+            setBookingError(cardValidation.errors.join(". "));
+            return;
+        }
+
+        setIsBooking(true);
+        setBookingError(null);
+
+        try {
+            const result = await bookHotelOfferFn({
+                offerId,
+                hotel,
+                guest: {
+                    firstName: formData.firstName,
+                    lastName: formData.lastName,
+                    email: formData.email,
+                    phone: formData.phone,
+                },
+                payment,
+                itineraryId: hotel.itineraryId,
+                itineraryItemId: hotel.itineraryItemId,
+                expectedTotal:
+                    priceChange?.price?.total ?? offer?.price?.total ?? hotel.price?.amount,
+                acceptPriceChange: !!priceChange,
+            });
+
+            if (result.status === "price_changed") {
+                setPriceChange(result.offer);
+                setBookingError(
+                    `The price has changed to ${result.offer.price.currency} ${result.offer.price.total}. Confirm again to book at the new price.`,
+                );
+                return;
+            }
+
+            const { booking } = result;
+            setConfirmation({ ...booking, saved: result.saved !== false });
+            setBookingStep("confirmation");
+            setFormData((prev) => ({ ...prev, cardNumber: "", expiryDate: "" }));
+
+            if (onBookingComplete) {
+                onBookingComplete({
+                    bookingId: booking.providerBookingId,
+                    confirmationCode: booking.confirmationNumber,
+                    hotel: hotel,
+                    checkIn: booking.checkInDate,
+                    checkOut: booking.checkOutDate,
+                    method: "direct_booking",
+                    booking,
+                });
+            }
+        } catch (error) {
+            logger.error("Direct hotel booking failed:", error);
+            setBookingError(error.message || "Booking failed. Please try again.");
+        } finally {
+            setIsBooking(false);
+        }
+    };
+
     const handleAIBooking = async () => {
         // Validate dates first
         const dateError = validateDates();
@@ -187,179 +338,146 @@ export function HotelBookingModal({
                 },
             };
 
-            const bookingResult = await bookHotelWithAIFn(bookingData);
+            const { jobId: startedJobId } = await bookHotelWithAIFn(bookingData);
+            logger.info("AI booking job started:", startedJobId);
+            setJobId(startedJobId);
+        } catch (error) {
+            logger.error("AI booking failed:", error);
+            setBookingError(error.message || "AI booking failed. Please try manual booking.");
+            setBookingStep("details");
+            setIsBooking(false);
+        }
+    };
 
-            if (bookingResult.success) {
-                // Automation completed successfully - open the final page
-                logger.info("✅ AI booking automation completed successfully!");
-                logger.info("🔍 Booking result details:", bookingResult);
+    // Open the booking page once the server-side booking job completes
+    const handleAIBookingSuccess = useCallback(
+        async (bookingResult) => {
+            const updatedOffer = {
+                ...offer,
+                checkInDate: formData.checkInDate,
+                checkOutDate: formData.checkOutDate,
+            };
 
-                // Handle different automation results
-                if (bookingResult.browserOpen) {
-                    // Browser automation completed and left browser open
-                    logger.info(
-                        "✅ REAL automation completed - browser left open for final checkout!",
-                    );
-                    // Don't open new tab, browser is already there for user to complete payment
-                } else if (bookingResult.checkoutUrl || bookingResult.bookingUrl) {
-                    // Open the checkout page in new tab
-                    const urlToOpen = bookingResult.checkoutUrl || bookingResult.bookingUrl;
-                    logger.info("🚀 Opening URL:", urlToOpen);
-
-                    try {
-                        // NEVER switch screens - always stay on UI and open new tab
-                        const newWindow = window.open(urlToOpen, "_blank", "noopener,noreferrer");
-                        if (
-                            !newWindow ||
-                            newWindow.closed ||
-                            typeof newWindow.closed === "undefined"
-                        ) {
-                            // Popup blocked - show user instruction instead of redirecting current page
-                            setBookingError(
-                                `Please allow popups to open booking page. URL copied to clipboard.`,
-                            );
-
-                            // Copy URL to clipboard for user
-                            try {
-                                await navigator.clipboard.writeText(urlToOpen);
-                                logger.info("URL copied to clipboard:", urlToOpen);
-                            } catch (clipboardError) {
-                                logger.warn("Could not copy to clipboard:", clipboardError);
-                                // Show URL in error message as fallback
-                                setBookingError(`Please copy this URL manually: ${urlToOpen}`);
-                            }
-                        } else {
-                            logger.info("✅ Successfully opened booking page in new tab");
-                        }
-                    } catch (error) {
-                        logger.error("Failed to open booking page:", error);
-                        setBookingError(`Failed to open booking page. Please try again.`);
-                    }
-                } else {
-                    // Fallback - build our own URL but NEVER redirect current page
-                    const fallbackUrl = buildPreFilledBookingUrl(null, formData, updatedOffer);
-                    logger.info("🚀 Using fallback URL:", fallbackUrl);
-
-                    const fallbackWindow = window.open(
-                        fallbackUrl,
-                        "_blank",
-                        "noopener,noreferrer",
-                    );
-                    if (
-                        !fallbackWindow ||
-                        fallbackWindow.closed ||
-                        typeof fallbackWindow.closed === "undefined"
-                    ) {
+            // Automation completed successfully - open the final page
+            logger.info("✅ AI booking automation completed successfully!");
+            logger.info("🔍 Booking result details:", bookingResult);
+
+            // Handle different automation results
+            if (bookingResult.browserOpen) {
+                // Browser automation completed and left browser open
+                logger.info("✅ REAL automation completed - browser left open for final checkout!");
+                // Don't open new tab, browser is already there for user to complete payment
+            } else if (bookingResult.checkoutUrl || bookingResult.bookingUrl) {
+                // Open the checkout page in new tab
+                const urlToOpen = bookingResult.checkoutUrl || bookingResult.bookingUrl;
+                logger.info("🚀 Opening URL:", urlToOpen);
+
+                try {
+                    // NEVER switch screens - always stay on UI and open new tab
+                    const newWindow = window.open(urlToOpen, "_blank", "noopener,noreferrer");
+                    if (!newWindow || newWindow.closed || typeof newWindow.closed === "undefined") {
+                        // Popup blocked - show user instruction instead of redirecting current page
                         setBookingError(
-                            `Please allow popups to open booking page. URL: ${fallbackUrl}`,
+                            `Please allow popups to open booking page. URL copied to clipboard.`,
                         );
+
+                        // Copy URL to clipboard for user
+                        try {
+                            await navigator.clipboard.writeText(urlToOpen);
+                            logger.info("URL copied to clipboard:", urlToOpen);
+                        } catch (clipboardError) {
+                            logger.warn("Could not copy to clipboard:", clipboardError);
+                            // Show URL in error message as fallback
+                            setBookingError(`Please copy this URL manually: ${urlToOpen}`);
+                        }
+                    } else {
+                        logger.info("✅ Successfully opened booking page in new tab");
                     }
+                } catch (error) {
+                    logger.error("Failed to open booking page:", error);
+                    setBookingError(`Failed to open booking page. Please try again.`);
                 }
-
-                // Show success message
-                const successMsg =
-                    bookingResult.message ||
-                    "🎉 AI automation completed! Check the browser window that opened.";
-
-                if (onBookingComplete) {
-                    onBookingComplete({
-                        bookingId: bookingResult.bookingId,
-                        confirmationCode: bookingResult.confirmationCode,
-                        hotel: hotel,
-                        checkIn: formData.checkInDate,
-                        checkOut: formData.checkOutDate,
-                        guestInfo: formData,
-                        method: bookingResult.browserOpen
-                            ? "real_browser_automation"
-                            : bookingResult.fallback
-                              ? "fallback_automation"
-                              : "browser_automation",
-                        automationSuccess: true,
-                        message: successMsg,
-                        redirected: !bookingResult.browserOpen, // Only redirect if browser not left open
-                        browserLeft: bookingResult.browserOpen,
-                    });
+            } else {
+                // Fallback - build our own URL but NEVER redirect current page
+                const fallbackUrl = buildPreFilledBookingUrl(hotel, updatedOffer);
+                logger.info("🚀 Using fallback URL:", fallbackUrl);
+
+                const fallbackWindow = window.open(fallbackUrl, "_blank", "noopener,noreferrer");
+                if (
+                    !fallbackWindow ||
+                    fallbackWindow.closed ||
+                    typeof fallbackWindow.closed === "undefined"
+                ) {
+                    setBookingError(
+                        `Please allow popups to open booking page. URL: ${fallbackUrl}`,
+                    );
                 }
+            }
 
-                // Close modal after automation completes
-                const closeDelay = bookingResult.browserOpen ? 5000 : 2000; // Longer delay for real automation
-                setTimeout(() => {
-                    onClose();
-                }, closeDelay);
+            // Show success message
+            const successMsg =
+                bookingResult.message ||
+                "🎉 AI automation completed! Check the browser window that opened.";
 
-                // Modal will close automatically after automation completes and redirects
-            } else {
-                throw new Error(bookingResult.message || "AI booking failed");
+            if (onBookingComplete) {
+                onBookingComplete({
+                    bookingId: bookingResult.bookingId,
+                    confirmationCode: bookingResult.confirmationCode,
+                    hotel: hotel,
+                    checkIn: formData.checkInDate,
+                    checkOut: formData.checkOutDate,
+                    guestInfo: formData,
+                    method: bookingResult.browserOpen
+                        ? "real_browser_automation"
+                        : bookingResult.fallback
+                          ? "fallback_automation"
+                          : "browser_automation",
+                    automationSuccess: true,
+                    message: successMsg,
+                    redirected: !bookingResult.browserOpen, // Only redirect if browser not left open
+                    browserLeft: bookingResult.browserOpen,
+                });
             }
-        } catch (error) {
-            logger.error("AI booking failed:", error);
-            setBookingError(error.message || "AI booking failed. Please try manual booking.");
-            setBookingStep("details");
-        } finally {
+
+            // Close modal after automation completes
+            const closeDelay = bookingResult.browserOpen ? 5000 : 2000; // Longer delay for real automation
+            setTimeout(() => {
+                onClose();
+            }, closeDelay);
+        },
+        [offer, formData, hotel, onBookingComplete, onClose],
+    );
+
+    // Follow the booking job until it finishes
+    useEffect(() => {
+        if (!jobId || !isBooking || !bookingStatus || bookingStatus.id !== jobId) return;
+
+        if (bookingStatus.status === "completed") {
+            setIsBooking(false);
+            handleAIBookingSuccess({
+                ...bookingStatus.result,
+                checkoutUrl: bookingStatus.resultUrl || bookingStatus.result?.checkoutUrl,
+            });
+        } else if (bookingStatus.status === "failed" || bookingStatus.status === "cancelled") {
             setIsBooking(false);
+            setBookingError(
+                bookingStatus.status === "cancelled"
+                    ? "Booking cancelled"
+                    : bookingStatus.error || "AI booking failed. Please try manual booking.",
+            );
+            setBookingStep("details");
         }
-    };
-
-    // Build pre-filled booking URL with guest information
-    const buildPreFilledBookingUrl = (baseUrl, guestInfo, offerData) => {
-        // Determine the best booking URL to use
-        let bookingBaseUrl;
-
-        // First try to use hotel's actual booking/external links
-        if (
-            hotel.externalLinks?.booking &&
-            !hotel.externalLinks.booking.includes("api.amadeus.com")
-        ) {
-            bookingBaseUrl = hotel.externalLinks.booking;
-        } else if (hotel.bookingUrl && !hotel.bookingUrl.includes("api.amadeus.com")) {
-            bookingBaseUrl = hotel.bookingUrl;
-        } else {
-            // Use booking.com with comprehensive pre-filling
-            const hotelName = encodeURIComponent(hotel.name || hotel.title || "");
-
-            // Fix the location handling to avoid [object Object]
-            let locationStr = "";
-            if (typeof hotel.location === "string") {
-                locationStr = hotel.location;
-            } else if (hotel.location?.address) {
-                locationStr = hotel.location.address;
-            } else if (hotel.address) {
-                locationStr = hotel.address;
-            } else if (hotel.subtitle) {
-                locationStr = hotel.subtitle;
-            } else {
-                locationStr = "Los Angeles"; // Default fallback
+    }, [bookingStatus, jobId, isBooking, handleAIBookingSuccess]);
+
+    const handleCancelAIBooking = async () => {
+        if (jobId && isBooking) {
+            try {
+                await cancelAIBookingFn({ jobId });
+            } catch (error) {
+                logger.error("Failed to cancel AI booking:", error);
             }
-
-            // Build simple search parameters
-            const searchString = `${hotelName} ${locationStr}`.trim();
-
-            // Build simple parameters - no complex additions
-            const simpleParams = [
-                `ss=${encodeURIComponent(searchString)}`,
-                `checkin=${offerData.checkInDate}`,
-                `checkout=${offerData.checkOutDate}`,
-                "group_adults=1",
-                "group_children=0",
-                "no_rooms=1",
-                "selected_currency=USD",
-            ];
-
-            // Simple working URL
-            return `https://www.booking.com/searchresults.html?${simpleParams.join("&")}`;
         }
-
-        // If using an external URL, append simple parameters
-        const simpleParams = [
-            `checkin=${offerData.checkInDate}`,
-            `checkout=${offerData.checkOutDate}`,
-            "group_adults=1",
-            "group_children=0",
-            "no_rooms=1",
-        ];
-
-        const paramString = simpleParams.join("&");
-        return `${bookingBaseUrl}${bookingBaseUrl.includes("?") ? "&" : "?"}${paramString}`;
+        onClose();
     };
 
     const handleManualBooking = async () => {
@@ -389,7 +507,7 @@ export function HotelBookingModal({
             };
 
             // Use the same URL building logic as AI booking
-            const bookingUrl = buildPreFilledBookingUrl(null, formData, updatedOffer);
+            const bookingUrl = buildPreFilledBookingUrl(hotel, updatedOffer);
 
             logger.info("Opening manual booking URL:", bookingUrl);
             window.open(bookingUrl, "_blank", "noopener,noreferrer");
@@ -452,8 +570,12 @@ export function HotelBookingModal({
                                 {formData.checkOutDate || offer?.checkOutDate}
                             </p>
                             <p>
-                                <strong>Price:</strong> {offer?.price?.currency}{" "}
-                                {offer?.price?.total}
+                                <strong>Price:</strong>{" "}
+                                {priceChange
+                                    ? `${priceChange.price.currency} ${priceChange.price.total}`
+                                    : `${offer?.price?.currency || hotel.price?.currency || ""} ${
+                                          offer?.price?.total || hotel.price?.amount || ""
+                                      }`}
                             </p>
                             {hotel.rating && (
                                 <p>
@@ -465,15 +587,32 @@ export function HotelBookingModal({
 
                     {bookingStep === "details" && (
                         <div className="booking-form">
-                            {/* AI Booking Option */}
+                            {/* Booking Method */}
                             <div className="ai-booking-option">
+                                {offerId && (
+                                    <label className="ai-booking-toggle">
+                                        <input
+                                            type="radio"
+                                            name="bookingMethod"
+                                            checked={bookingMethod === "direct"}
+                                            onChange={() => setBookingMethod("direct")}
+                                        />
+                                        <span className="ai-booking-text">
+                                            💳 Book Now
+                                            <small>
+                                                Confirm this room instantly and get a confirmation
+                                                number
+                                            </small>
+                                        </span>
+                                    </label>
+                                )}
                                 <label className="ai-booking-toggle">
                                     <input
-                                        type="checkbox"
-                                        checked={useAIAgent}
-                                        onChange={(e) => setUseAIAgent(e.target.checked)}
+                                        type="radio"
+                                        name="bookingMethod"
+                                        checked={bookingMethod === "ai"}
+                                        onChange={() => setBookingMethod("ai")}
                                     />
-                                    <span className="checkmark"></span>
                                     <span className="ai-booking-text">
                                         🤖 Use AI Agent for Automatic Booking
                                         <small>
@@ -481,6 +620,20 @@ export function HotelBookingModal({
                                         </small>
                                     </span>
                                 </label>
+                                <label className="ai-booking-toggle">
+                                    <input
+                                        type="radio"
+                                        name="bookingMethod"
+                                        checked={bookingMethod === "redirect"}
+                                        onChange={() => setBookingMethod("redirect")}
+                                    />
+                                    <span className="ai-booking-text">
+                                        🌐 Continue on a Booking Site
+                                        <small>
+                                            Open the hotel on a booking site to finish there
+                                        </small>
+                                    </span>
+                                </label>
                             </div>
 
                             {/* Date Selection */}
@@ -495,6 +648,7 @@ export function HotelBookingModal({
                                             value={formData.checkInDate}
                                             onChange={handleInputChange}
                                             min={new Date().toISOString().split("T")[0]}
+                                            disabled={bookingMethod === "direct"}
                                             required
                                         />
                                     </div>
@@ -509,10 +663,17 @@ export function HotelBookingModal({
                                                 formData.checkInDate ||
                                                 new Date().toISOString().split("T")[0]
                                             }
+                                            disabled={bookingMethod === "direct"}
                                             required
                                         />
                                     </div>
                                 </div>
+                                {bookingMethod === "direct" && (
+                                    <small className="date-lock-note">
+                                        This offer is priced for these dates. Search again to book
+                                        different dates.
+                                    </small>
+                                )}
                             </div>
 
                             {/* Guest Information Form */}
@@ -548,7 +709,11 @@ export function HotelBookingModal({
                                     <input
                                         type="tel"
                                         name="phone"
-                                        placeholder="Phone Number"
+                                        placeholder={
+                                            bookingMethod === "direct"
+                                                ? "Phone Number *"
+                                                : "Phone Number"
+                                        }
                                         value={formData.phone}
                                         onChange={handleInputChange}
                                     />
@@ -562,6 +727,47 @@ export function HotelBookingModal({
                                 />
                             </div>
 
+                            {bookingMethod === "direct" && (
+                                <div className="payment-info-form">
+                                    <h4>💳 Payment Card</h4>
+                                    <div className="form-row">
+                                        <input
+                                            type="text"
+                                            name="cardHolderName"
+                                            placeholder="Name on Card"
+                                            value={formData.cardHolderName}
+                                            onChange={handleInputChange}
+                                            autoComplete="cc-name"
+                                        />
+                                    </div>
+                                    <div className="form-row">
+                                        <input
+                                            type="text"
+                                            name="cardNumber"
+                                            placeholder="Card Number *"
+                                            value={formData.cardNumber}
+                                            onChange={handleInputChange}
+                                            inputMode="numeric"
+                                            autoComplete="cc-number"
+                                            required
+                                        />
+                                        <input
+                                            type="text"
+                                            name="expiryDate"
+                                            placeholder="MM/YY *"
+                                            value={formData.expiryDate}
+                                            onChange={handleInputChange}
+                                            autoComplete="cc-exp"
+                                            required
+                                        />
+                                    </div>
+                                    <small className="payment-note">
+                                        Your card is sent securely to the hotel to guarantee the
+                                        booking. Only the last 4 digits are stored.
+                                    </small>
+                                </div>
+                            )}
+
                             {bookingError && <div className="booking-error">{bookingError}</div>}
                         </div>
                     )}
@@ -712,16 +918,29 @@ export function HotelBookingModal({
                                 <div className="success-icon">🎉</div>
                                 <h3>Booking Successful!</h3>
                             </div>
-                            <div className="confirmation-details">
-                                <p>
-                                    <strong>Confirmation Code:</strong> CONF-
-                                    {Math.random().toString(36).substring(2, 8).toUpperCase()}
-                                </p>
-                                <p>
-                                    <strong>Booking ID:</strong> HTL-{Date.now()}
-                                </p>
-                                <p>A confirmation email has been sent to {formData.email}</p>
-                            </div>
+                            {confirmation && (
+                                <div className="confirmation-details">
+                                    <p>
+                                        <strong>Confirmation Number:</strong>{" "}
+                                        {confirmation.confirmationNumber ||
+                                            confirmation.providerBookingId}
+                                    </p>
+                                    <p>
+                                        <strong>Booking ID:</strong>{" "}
+                                        {confirmation.providerBookingId}
+                                    </p>
+                                    <p>
+                                        <strong>Total:</strong> {confirmation.currency}{" "}
+                                        {confirmation.totalPrice}
+                                    </p>
+                                    <p>
+                                        Charged to card ending in {confirmation.cardLast4}.{" "}
+                                        {confirmation.saved
+                                            ? "The booking has been saved to your itinerary."
+                                            : "Keep this confirmation: the booking could not be saved to your account."}
+                                    </p>
+                                </div>
+                            )}
                         </div>
                     )}
                 </div>
@@ -732,7 +951,19 @@ export function HotelBookingModal({
                             <button className="btn btn-secondary" onClick={onClose}>
                                 Cancel
                             </button>
-                            {useAIAgent ? (
+                            {bookingMethod === "direct" ? (
+                                <button
+                                    className="btn btn-primary"
+                                    onClick={handleDirectBooking}
+                                    disabled={isBooking}
+                                >
+                                    {isBooking
+                                        ? "Booking..."
+                                        : priceChange
+                                          ? "Confirm at New Price"
+                                          : "Confirm Booking"}
+                                </button>
+                            ) : useAIAgent ? (
                                 <button
                                     className="btn btn-primary ai-booking-btn"
                                     onClick={handleAIBooking}
@@ -754,7 +985,7 @@ export function HotelBookingModal({
                         </>
                     )}
                     {bookingStep === "ai-booking" && (
-                        <button className="btn btn-secondary" onClick={onClose}>
+                        <button className="btn btn-secondary" onClick={handleCancelAIBooking}>
                             Cancel Booking
                         </button>
                     )}
@@ -838,6 +1069,10 @@ export function HotelBookingModal({
                     font-weight: 500;
                 }
 
+                .ai-booking-toggle + .ai-booking-toggle {
+                    margin-top: 0.75rem;
+                }
+
                 .ai-booking-toggle input {
                     margin-right: 0.5rem;
                 }
@@ -893,6 +1128,20 @@ export function HotelBookingModal({
                     margin-bottom: 1rem;
                 }
 
+                .payment-info-form {
+                    margin-bottom: 1rem;
+                    padding: 1rem;
+                    background: #f8f9fa;
+                    border-radius: 8px;
+                    border: 1px solid #e9ecef;
+                }
+
+                .payment-note,
+                .date-lock-note {
+                    display: block;
+                    color: #666;
+                }
+
                 textarea {
                     width: 100%;
                     padding: 0.75rem;
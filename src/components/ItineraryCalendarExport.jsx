@@ -0,0 +1,165 @@
+import React, { useState } from "react";
+import { config } from "wasp/client";
+import {
+    useAction,
+    createItineraryCalendarFeed,
+    revokeItineraryCalendarFeed,
+} from "wasp/client/operations";
+import { buildItineraryCalendar, getCalendarFileName } from "../utils/icalendar.js";
+import logger from "../utils/logger.js";
+
+const buttonStyle = {
+    padding: "0.5rem 1rem",
+    border: "1px solid #6c757d",
+    borderRadius: "6px",
+    backgroundColor: "white",
+    color: "#495057",
+    cursor: "pointer",
+    fontWeight: "500",
+};
+
+export const getCalendarFeedUrl = (calendarToken) =>
+    `${config.apiUrl}/api/calendar/${calendarToken}.ics`;
+
+/**
+ * Calendar export for an itinerary: one-off .ics download and, for the owner, a subscription
+ * feed URL
+ */
+export function ItineraryCalendarExport({ itinerary, canManageFeed = true }) {
+    const createFeedFn = useAction(createItineraryCalendarFeed);
+    const revokeFeedFn = useAction(revokeItineraryCalendarFeed);
+    const [showFeed, setShowFeed] = useState(false);
+    const [isUpdating, setIsUpdating] = useState(false);
+    const [copied, setCopied] = useState(false);
+
+    const feedUrl = itinerary.calendarToken ? getCalendarFeedUrl(itinerary.calendarToken) : null;
+
+    const handleDownload = () => {
+        const blob = new Blob([buildItineraryCalendar(itinerary)], {
+            type: "text/calendar;charset=utf-8",
+        });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = getCalendarFileName(itinerary);
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const updateFeed = async (action) => {
+        setIsUpdating(true);
+        setCopied(false);
+        try {
+            await action({ itineraryId: itinerary.id });
+        } catch (error) {
+            logger.error("Error updating calendar feed:", error);
+            alert("Failed to update the calendar feed");
+        } finally {
+            setIsUpdating(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(feedUrl);
+            setCopied(true);
+        } catch (error) {
+            logger.warn("Could not copy to clipboard:", error);
+        }
+    };
+
+    return (
+        <div>
+            <div style={{ display: "flex", gap: "0.5rem", flexWrap: "wrap" }}>
+                <button style={buttonStyle} onClick={handleDownload}>
+                    📆 Download .ics
+                </button>
+                {canManageFeed && (
+                    <button style={buttonStyle} onClick={() => setShowFeed(!showFeed)}>
+                        🔗 Calendar feed
+                    </button>
+                )}
+            </div>
+
+            {canManageFeed && showFeed && (
+                <div
+                    style={{
+                        marginTop: "0.75rem",
+                        padding: "1rem",
+                        backgroundColor: "#f8f9fa",
+                        border: "1px solid #e9ecef",
+                        borderRadius: "6px",
+                        fontSize: "0.875rem",
+                    }}
+                >
+                    {feedUrl ? (
+                        <>
+                            <p style={{ margin: "0 0 0.5rem 0", color: "#495057" }}>
+                                Subscribe to this URL in Google Calendar, Outlook or Apple Calendar.
+                                Anyone with the link can see this trip.
+                            </p>
+                            <div style={{ display: "flex", gap: "0.5rem", flexWrap: "wrap" }}>
+                                <input
+                                    readOnly
+                                    value={feedUrl}
+                                    onFocus={(event) => event.target.select()}
+                                    aria-label="Calendar feed URL"
+                                    style={{
+                                        flex: 1,
+                                        minWidth: "16rem",
+                                        padding: "0.5rem",
+                                        border: "1px solid #ced4da",
+                                        borderRadius: "4px",
+                                    }}
+                                />
+                                <button style={buttonStyle} onClick={handleCopy}>
+                                    {copied ? "✅ Copied" : "Copy"}
+                                </button>
+                                <a
+                                    href={feedUrl.replace(/^https?:/, "webcal:")}
+                                    style={{ ...buttonStyle, textDecoration: "none" }}
+                                >
+                                    Open in calendar app
+                                </a>
+                            </div>
+                            <div style={{ display: "flex", gap: "0.5rem", marginTop: "0.5rem" }}>
+                                <button
+                                    style={buttonStyle}
+                                    disabled={isUpdating}
+                                    onClick={() => updateFeed(createFeedFn)}
+                                >
+                                    Reset link
+                                </button>
+                                <button
+                                    style={{
+                                        ...buttonStyle,
+                                        color: "#dc3545",
+                                        borderColor: "#dc3545",
+                                    }}
+                                    disabled={isUpdating}
+                                    onClick={() => updateFeed(revokeFeedFn)}
+                                >
+                                    Turn off feed
+                                </button>
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <p style={{ margin: "0 0 0.5rem 0", color: "#495057" }}>
+                                Create a private feed URL so your calendar stays in sync as you add
+                                and remove items.
+                            </p>
+                            <button
+                                style={buttonStyle}
+                                disabled={isUpdating}
+                                onClick={() => updateFeed(createFeedFn)}
+                            >
+                                {isUpdating ? "Creating..." : "Create feed URL"}
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
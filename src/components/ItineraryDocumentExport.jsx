@@ -0,0 +1,68 @@
+import React, { useState } from "react";
+import { getItineraryDocument } from "wasp/client/operations";
+import logger from "../utils/logger.js";
+
+const buttonStyle = {
+    padding: "0.5rem 1rem",
+    border: "1px solid #6c757d",
+    borderRadius: "6px",
+    backgroundColor: "white",
+    color: "#495057",
+    cursor: "pointer",
+    fontWeight: "500",
+};
+
+/**
+ * Printable itinerary: opens the server-rendered document for printing / "Save as PDF",
+ * or downloads it as an HTML file for offline use
+ */
+export function ItineraryDocumentExport({ itinerary }) {
+    const [isLoading, setIsLoading] = useState(false);
+
+    const withDocument = async (handler) => {
+        setIsLoading(true);
+        try {
+            handler(await getItineraryDocument({ itineraryId: itinerary.id }));
+        } catch (error) {
+            logger.error("Error generating itinerary document:", error);
+            alert("Failed to generate the itinerary document");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handlePrint = () =>
+        withDocument(({ html }) => {
+            const printWindow = window.open("", "_blank");
+            if (!printWindow) {
+                alert("Allow pop-ups for this site to print your itinerary");
+                return;
+            }
+            printWindow.document.write(html);
+            printWindow.document.close();
+            printWindow.focus();
+            printWindow.print();
+        });
+
+    const handleDownload = () =>
+        withDocument(({ html, fileName }) => {
+            const blob = new Blob([html], { type: "text/html;charset=utf-8" });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = fileName;
+            link.click();
+            URL.revokeObjectURL(url);
+        });
+
+    return (
+        <div style={{ display: "flex", gap: "0.5rem", flexWrap: "wrap" }}>
+            <button style={buttonStyle} disabled={isLoading} onClick={handlePrint}>
+                🖨️ Print / PDF
+            </button>
+            <button style={buttonStyle} disabled={isLoading} onClick={handleDownload}>
+                💾 Download for offline
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,141 @@
+import React, { useState } from "react";
+import { useAction, duplicateItinerary } from "wasp/client/operations";
+import logger from "../utils/logger.js";
+
+const buttonStyle = {
+    padding: "0.5rem 1rem",
+    border: "1px solid #6c757d",
+    borderRadius: "6px",
+    backgroundColor: "white",
+    color: "#495057",
+    cursor: "pointer",
+    fontWeight: "500",
+};
+
+const inputStyle = {
+    padding: "0.5rem",
+    border: "1px solid #ced4da",
+    borderRadius: "4px",
+};
+
+/**
+ * Copy an itinerary into a new trip, optionally moving it to new dates
+ */
+export function ItineraryDuplicate({ itinerary, onDuplicated }) {
+    const duplicateItineraryFn = useAction(duplicateItinerary);
+    const [isOpen, setIsOpen] = useState(false);
+    const [title, setTitle] = useState("");
+    const [mode, setMode] = useState("startDate"); // 'startDate' or 'shiftDays'
+    const [startDate, setStartDate] = useState("");
+    const [shiftDays, setShiftDays] = useState("");
+    const [isDuplicating, setIsDuplicating] = useState(false);
+
+    const open = () => {
+        setTitle(`${itinerary.title} (copy)`);
+        setStartDate("");
+        setShiftDays("");
+        setIsOpen(true);
+    };
+
+    const handleDuplicate = async (event) => {
+        event.preventDefault();
+        setIsDuplicating(true);
+        try {
+            const copy = await duplicateItineraryFn({
+                itineraryId: itinerary.id,
+                title,
+                ...(mode === "startDate" && startDate && { startDate }),
+                ...(mode === "shiftDays" && shiftDays !== "" && { shiftDays: Number(shiftDays) }),
+            });
+            setIsOpen(false);
+            onDuplicated?.(copy);
+        } catch (error) {
+            logger.error("Error duplicating itinerary:", error);
+            alert(error.message || "Failed to duplicate trip");
+        } finally {
+            setIsDuplicating(false);
+        }
+    };
+
+    if (!isOpen) {
+        return (
+            <button style={buttonStyle} onClick={open}>
+                📄 Duplicate trip
+            </button>
+        );
+    }
+
+    return (
+        <form
+            onSubmit={handleDuplicate}
+            style={{
+                display: "flex",
+                flexDirection: "column",
+                gap: "0.5rem",
+                padding: "1rem",
+                backgroundColor: "#f8f9fa",
+                border: "1px solid #e9ecef",
+                borderRadius: "6px",
+                fontSize: "0.875rem",
+            }}
+        >
+            <label style={{ display: "flex", flexDirection: "column", gap: "0.25rem" }}>
+                New trip name
+                <input
+                    value={title}
+                    onChange={(event) => setTitle(event.target.value)}
+                    style={inputStyle}
+                />
+            </label>
+            <div style={{ display: "flex", gap: "1rem" }}>
+                <label>
+                    <input
+                        type="radio"
+                        checked={mode === "startDate"}
+                        onChange={() => setMode("startDate")}
+                    />{" "}
+                    New start date
+                </label>
+                <label>
+                    <input
+                        type="radio"
+                        checked={mode === "shiftDays"}
+                        onChange={() => setMode("shiftDays")}
+                    />{" "}
+                    Shift by days
+                </label>
+            </div>
+            {mode === "startDate" ? (
+                <input
+                    type="date"
+                    value={startDate}
+                    onChange={(event) => setStartDate(event.target.value)}
+                    aria-label="New start date"
+                    style={inputStyle}
+                />
+            ) : (
+                <input
+                    type="number"
+                    step="1"
+                    value={shiftDays}
+                    onChange={(event) => setShiftDays(event.target.value)}
+                    placeholder="e.g. 365"
+                    aria-label="Days to shift"
+                    style={inputStyle}
+                />
+            )}
+            <p style={{ margin: 0, color: "#6c757d" }}>
+                Leave the date empty to copy the trip as is. Moved flights and hotels are marked so
+                you can search their prices again.
+            </p>
+            <div style={{ display: "flex", gap: "0.5rem" }}>
+                <button type="submit" style={buttonStyle} disabled={isDuplicating}>
+                    {isDuplicating ? "Duplicating..." : "Duplicate"}
+                </button>
+                <button type="button" style={buttonStyle} onClick={() => setIsOpen(false)}>
+                    Cancel
+                </button>
+            </div>
+        </form>
+    );
+}
@@ -0,0 +1,415 @@
+import React, { useState } from "react";
+import {
+    useAction,
+    updateItinerary,
+    moveItineraryItem,
+    updateItineraryItemNotes,
+} from "wasp/client/operations";
+import logger from "../utils/logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "");
+
+// Number of days covered by the trip dates (inclusive), or 0 when they are not set
+const getTripLength = (itinerary) => {
+    if (!itinerary.startDate || !itinerary.endDate) return 0;
+    const start = new Date(toDateInput(itinerary.startDate));
+    const end = new Date(toDateInput(itinerary.endDate));
+    return Math.max(Math.round((end - start) / DAY_MS) + 1, 0);
+};
+
+const getDayLabel = (itinerary, dayNumber) => {
+    if (dayNumber === null) return "Unscheduled";
+    if (!itinerary.startDate) return `Day ${dayNumber}`;
+
+    const date = new Date(
+        new Date(toDateInput(itinerary.startDate)).getTime() + (dayNumber - 1) * DAY_MS,
+    );
+    const formatted = date.toLocaleDateString("en-US", {
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+        timeZone: "UTC",
+    });
+    return `Day ${dayNumber} · ${formatted}`;
+};
+
+const parseCard = (item) => {
+    try {
+        return JSON.parse(item.cardData);
+    } catch (error) {
+        logger.error("Error parsing card data:", error);
+        return { title: "Saved item", subtitle: "" };
+    }
+};
+
+const inputStyle = {
+    padding: "0.5rem",
+    border: "1px solid #d1d5db",
+    borderRadius: "6px",
+    fontSize: "0.875rem",
+};
+
+const buttonStyle = {
+    padding: "0.375rem 0.75rem",
+    border: "1px solid #d1d5db",
+    borderRadius: "6px",
+    backgroundColor: "white",
+    cursor: "pointer",
+    fontSize: "0.875rem",
+};
+
+/**
+ * Trip title, dates, budget and party size with inline editing
+ */
+function ItineraryDetailsForm({ itinerary }) {
+    const updateItineraryFn = useAction(updateItinerary);
+    const [isEditing, setIsEditing] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [form, setForm] = useState({});
+
+    const startEditing = () => {
+        setForm({
+            title: itinerary.title,
+            startDate: toDateInput(itinerary.startDate),
+            endDate: toDateInput(itinerary.endDate),
+            budget: itinerary.budget ?? "",
+            travelers: itinerary.travelers ?? 1,
+        });
+        setError(null);
+        setIsEditing(true);
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError(null);
+        try {
+            await updateItineraryFn({
+                id: itinerary.id,
+                ...form,
+                travelers: parseInt(form.travelers, 10),
+            });
+            setIsEditing(false);
+        } catch (saveError) {
+            logger.error("Error updating itinerary:", saveError);
+            setError(saveError.message || "Failed to update itinerary");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (!isEditing) {
+        return (
+            <div style={{ display: "flex", alignItems: "center", gap: "1rem", flexWrap: "wrap" }}>
+                <h2 style={{ margin: 0, fontSize: "1.25rem", color: "#2c3e50" }}>
+                    {itinerary.title}
+                </h2>
+                <span style={{ color: "#666", fontSize: "0.875rem" }}>
+                    {itinerary.startDate
+                        ? `${toDateInput(itinerary.startDate)} → ${toDateInput(itinerary.endDate) || "?"}`
+                        : "No dates set"}
+                    {itinerary.budget != null &&
+                        ` · Budget ${itinerary.budget.toLocaleString("en-US", {
+                            style: "currency",
+                            currency: itinerary.currency || "USD",
+                        })}`}
+                    {itinerary.travelers > 1 && ` · ${itinerary.travelers} travelers`}
+                </span>
+                <button style={buttonStyle} onClick={startEditing}>
+                    ✏️ Edit trip
+                </button>
+            </div>
+        );
+    }
+
+    const handleChange = (field) => (event) =>
+        setForm((prev) => ({ ...prev, [field]: event.target.value }));
+
+    return (
+        <div style={{ display: "flex", alignItems: "flex-end", gap: "0.75rem", flexWrap: "wrap" }}>
+            <label style={{ display: "flex", flexDirection: "column", fontSize: "0.75rem" }}>
+                Title
+                <input style={inputStyle} value={form.title} onChange={handleChange("title")} />
+            </label>
+            <label style={{ display: "flex", flexDirection: "column", fontSize: "0.75rem" }}>
+                Start date
+                <input
+                    type="date"
+                    style={inputStyle}
+                    value={form.startDate}
+                    onChange={handleChange("startDate")}
+                />
+            </label>
+            <label style={{ display: "flex", flexDirection: "column", fontSize: "0.75rem" }}>
+                End date
+                <input
+                    type="date"
+                    style={inputStyle}
+                    value={form.endDate}
+                    min={form.startDate || undefined}
+                    onChange={handleChange("endDate")}
+                />
+            </label>
+            <label style={{ display: "flex", flexDirection: "column", fontSize: "0.75rem" }}>
+                Budget
+                <input
+                    type="number"
+                    min="0"
+                    style={{ ...inputStyle, width: "8rem" }}
+                    value={form.budget}
+                    onChange={handleChange("budget")}
+                />
+            </label>
+            <label style={{ display: "flex", flexDirection: "column", fontSize: "0.75rem" }}>
+                Travelers
+                <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    style={{ ...inputStyle, width: "5rem" }}
+                    value={form.travelers}
+                    onChange={handleChange("travelers")}
+                />
+            </label>
+            <button style={buttonStyle} onClick={handleSave} disabled={isSaving}>
+                {isSaving ? "Saving..." : "Save"}
+            </button>
+            <button style={buttonStyle} onClick={() => setIsEditing(false)} disabled={isSaving}>
+                Cancel
+            </button>
+            {error && (
+                <div style={{ width: "100%", color: "#dc3545", fontSize: "0.875rem" }}>{error}</div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * One draggable itinerary item with editable notes
+ */
+function ItineraryEditorItem({ item, card, onDragStart, onDragEnd, onDrop, onMoreInfo }) {
+    const updateNotesFn = useAction(updateItineraryItemNotes);
+    const [isEditingNotes, setIsEditingNotes] = useState(false);
+    const [notes, setNotes] = useState(item.notes || "");
+
+    const handleSaveNotes = async () => {
+        try {
+            await updateNotesFn({ itemId: item.id, notes });
+            setIsEditingNotes(false);
+        } catch (error) {
+            logger.error("Error updating notes:", error);
+            alert("Failed to save notes");
+        }
+    };
+
+    return (
+        <li
+            draggable
+            onDragStart={(event) => onDragStart(event, item)}
+            onDragEnd={onDragEnd}
+            onDragOver={(event) => event.preventDefault()}
+            onDrop={(event) => onDrop(event, item)}
+            style={{
+                padding: "0.75rem",
+                marginBottom: "0.5rem",
+                backgroundColor: "white",
+                border: "1px solid #e5e7eb",
+                borderRadius: "6px",
+                cursor: "grab",
+            }}
+        >
+            <div style={{ display: "flex", alignItems: "center", gap: "0.75rem" }}>
+                <span style={{ color: "#9ca3af" }} aria-hidden="true">
+                    ⠿
+                </span>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontWeight: "500", color: "#111827" }}>{card.title}</div>
+                    {card.subtitle && (
+                        <div style={{ fontSize: "0.875rem", color: "#6b7280" }}>
+                            {card.subtitle}
+                        </div>
+                    )}
+                </div>
+                {card.price?.amount != null && (
+                    <span style={{ fontSize: "0.875rem", fontWeight: "600", color: "#047857" }}>
+                        {Number(card.price.amount).toLocaleString("en-US", {
+                            style: "currency",
+                            currency: card.price.currency || "USD",
+                        })}
+                    </span>
+                )}
+                {onMoreInfo && (
+                    <button style={buttonStyle} onClick={() => onMoreInfo(card)}>
+                        Info
+                    </button>
+                )}
+                <button
+                    style={buttonStyle}
+                    onClick={() => {
+                        setNotes(item.notes || "");
+                        setIsEditingNotes(!isEditingNotes);
+                    }}
+                >
+                    📝 Notes
+                </button>
+            </div>
+            {isEditingNotes ? (
+                <div style={{ marginTop: "0.5rem", display: "flex", gap: "0.5rem" }}>
+                    <textarea
+                        style={{ ...inputStyle, flex: 1, minHeight: "3rem" }}
+                        value={notes}
+                        onChange={(event) => setNotes(event.target.value)}
+                        placeholder="Confirmation numbers, reminders, ideas..."
+                    />
+                    <button style={buttonStyle} onClick={handleSaveNotes}>
+                        Save
+                    </button>
+                </div>
+            ) : (
+                item.notes && (
+                    <div
+                        style={{
+                            marginTop: "0.5rem",
+                            fontSize: "0.875rem",
+                            color: "#4b5563",
+                            whiteSpace: "pre-wrap",
+                        }}
+                    >
+                        {item.notes}
+                    </div>
+                )
+            )}
+        </li>
+    );
+}
+
+/**
+ * Day-by-day itinerary editor
+ * Items can be dragged between days (or to "Unscheduled") and reordered within a day.
+ */
+export function ItineraryEditor({ itinerary, onMoreInfo }) {
+    const moveItemFn = useAction(moveItineraryItem);
+    const [draggedItemId, setDraggedItemId] = useState(null);
+    const [extraDays, setExtraDays] = useState(0);
+    const [moveError, setMoveError] = useState(null);
+
+    const items = itinerary.items || [];
+    const lastScheduledDay = Math.max(0, ...items.map((item) => item.dayNumber || 0));
+    const dayCount = Math.max(getTripLength(itinerary), lastScheduledDay, 1) + extraDays;
+    const dayNumbers = [...Array.from({ length: dayCount }, (_, index) => index + 1), null];
+
+    const itemsForDay = (dayNumber) =>
+        items.filter((item) => (item.dayNumber ?? null) === dayNumber);
+
+    const handleDragStart = (event, item) => {
+        event.dataTransfer.effectAllowed = "move";
+        event.dataTransfer.setData("text/plain", String(item.id));
+        setDraggedItemId(item.id);
+    };
+
+    const moveItem = async (dayNumber, beforeItem) => {
+        const itemId = draggedItemId;
+        setDraggedItemId(null);
+        if (!itemId || beforeItem?.id === itemId) return;
+
+        // Position among the day's other items, so it is unaffected by the dragged item
+        const others = itemsForDay(dayNumber).filter((item) => item.id !== itemId);
+        const position = beforeItem ? others.indexOf(beforeItem) : others.length;
+
+        setMoveError(null);
+        try {
+            await moveItemFn({ itemId, dayNumber, position });
+        } catch (error) {
+            logger.error("Error moving itinerary item:", error);
+            setMoveError(error.message || "Failed to move item");
+        }
+    };
+
+    const handleDropOnItem = (dayNumber) => (event, item) => {
+        event.preventDefault();
+        event.stopPropagation();
+        moveItem(dayNumber, item);
+    };
+
+    const handleDropOnDay = (dayNumber) => (event) => {
+        event.preventDefault();
+        moveItem(dayNumber, null);
+    };
+
+    return (
+        <div
+            style={{
+                marginBottom: "2rem",
+                padding: "1.5rem",
+                backgroundColor: "#f8f9fa",
+                borderRadius: "8px",
+                border: "1px solid #e9ecef",
+            }}
+        >
+            <ItineraryDetailsForm itinerary={itinerary} />
+
+            {moveError && (
+                <div style={{ marginTop: "0.75rem", color: "#dc3545", fontSize: "0.875rem" }}>
+                    {moveError}
+                </div>
+            )}
+
+            <div style={{ marginTop: "1.25rem" }}>
+                {dayNumbers.map((dayNumber) => {
+                    const dayItems = itemsForDay(dayNumber);
+                    return (
+                        <section
+                            key={dayNumber ?? "unscheduled"}
+                            onDragOver={(event) => event.preventDefault()}
+                            onDrop={handleDropOnDay(dayNumber)}
+                            style={{
+                                marginBottom: "1rem",
+                                padding: "0.75rem",
+                                borderRadius: "6px",
+                                border: draggedItemId
+                                    ? "2px dashed #93c5fd"
+                                    : "2px dashed transparent",
+                            }}
+                        >
+                            <h3
+                                style={{
+                                    margin: "0 0 0.5rem 0",
+                                    fontSize: "0.95rem",
+                                    fontWeight: "600",
+                                    color: "#495057",
+                                }}
+                            >
+                                {getDayLabel(itinerary, dayNumber)}
+                            </h3>
+                            {dayItems.length === 0 ? (
+                                <div style={{ fontSize: "0.875rem", color: "#9ca3af" }}>
+                                    Drag items here
+                                </div>
+                            ) : (
+                                <ul style={{ listStyle: "none", margin: 0, padding: 0 }}>
+                                    {dayItems.map((item) => (
+                                        <ItineraryEditorItem
+                                            key={item.id}
+                                            item={item}
+                                            card={parseCard(item)}
+                                            onDragStart={handleDragStart}
+                                            onDragEnd={() => setDraggedItemId(null)}
+                                            onDrop={handleDropOnItem(dayNumber)}
+                                            onMoreInfo={onMoreInfo}
+                                        />
+                                    ))}
+                                </ul>
+                            )}
+                        </section>
+                    );
+                })}
+            </div>
+
+            <button style={buttonStyle} onClick={() => setExtraDays(extraDays + 1)}>
+                + Add day
+            </button>
+        </div>
+    );
+}
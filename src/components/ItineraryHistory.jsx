@@ -0,0 +1,140 @@
+import React, { useState } from "react";
+import {
+    useQuery,
+    useAction,
+    getItineraryHistory,
+    revertItineraryChange,
+} from "wasp/client/operations";
+import logger from "../utils/logger.js";
+
+const ACTION_ICONS = {
+    add_item: "➕",
+    remove_item: "🗑️",
+    reorder_items: "↕️",
+    move_item: "📅",
+    update_notes: "📝",
+    update_itinerary: "✏️",
+    refresh_item: "🔄",
+    revert: "↩️",
+};
+
+const formatDate = (value) =>
+    new Date(value).toLocaleString("en-US", {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+    });
+
+/**
+ * Recent changes to an itinerary, with undo for each change
+ */
+export function ItineraryHistory({ itinerary }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const { data: changes, isLoading } = useQuery(
+        getItineraryHistory,
+        { itineraryId: itinerary.id },
+        { enabled: isOpen },
+    );
+    const revertItineraryChangeFn = useAction(revertItineraryChange);
+    const [revertingId, setRevertingId] = useState(null);
+
+    const handleRevert = async (change) => {
+        setRevertingId(change.id);
+        try {
+            await revertItineraryChangeFn({ changeId: change.id });
+        } catch (error) {
+            logger.error("Error reverting itinerary change:", error);
+            alert(error.message || "Failed to undo this change");
+        } finally {
+            setRevertingId(null);
+        }
+    };
+
+    return (
+        <div
+            style={{
+                marginTop: "2rem",
+                padding: "1.5rem",
+                backgroundColor: "white",
+                borderRadius: "8px",
+                boxShadow: "0 1px 3px rgba(0, 0, 0, 0.1)",
+            }}
+        >
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                aria-expanded={isOpen}
+                style={{
+                    padding: 0,
+                    border: "none",
+                    background: "none",
+                    fontSize: "1.125rem",
+                    fontWeight: "600",
+                    color: "#111827",
+                    cursor: "pointer",
+                }}
+            >
+                🕘 Change History {isOpen ? "▾" : "▸"}
+            </button>
+
+            {isOpen && isLoading && (
+                <p style={{ margin: "1rem 0 0 0", color: "#6b7280" }}>Loading history...</p>
+            )}
+            {isOpen && changes?.length === 0 && (
+                <p style={{ margin: "1rem 0 0 0", color: "#6b7280" }}>No changes yet.</p>
+            )}
+            {isOpen && changes?.length > 0 && (
+                <ul style={{ listStyle: "none", margin: "1rem 0 0 0", padding: 0 }}>
+                    {changes.map((change) => (
+                        <li
+                            key={change.id}
+                            style={{
+                                display: "flex",
+                                alignItems: "center",
+                                gap: "1rem",
+                                padding: "0.75rem 0",
+                                borderTop: "1px solid #f3f4f6",
+                            }}
+                        >
+                            <span aria-hidden="true">{ACTION_ICONS[change.action] || "•"}</span>
+                            <div style={{ flex: 1, minWidth: 0 }}>
+                                <div
+                                    style={{
+                                        fontWeight: "500",
+                                        color: change.revertedAt ? "#9ca3af" : "#111827",
+                                        textDecoration: change.revertedAt ? "line-through" : "none",
+                                    }}
+                                >
+                                    {change.summary}
+                                </div>
+                                <div style={{ fontSize: "0.875rem", color: "#6b7280" }}>
+                                    {change.changedBy ? `${change.changedBy} · ` : ""}
+                                    {formatDate(change.createdAt)}
+                                    {change.revertedAt &&
+                                        ` · undone ${formatDate(change.revertedAt)}`}
+                                </div>
+                            </div>
+                            {change.canRevert && (
+                                <button
+                                    onClick={() => handleRevert(change)}
+                                    disabled={revertingId !== null}
+                                    style={{
+                                        padding: "0.25rem 0.75rem",
+                                        border: "1px solid #6c757d",
+                                        borderRadius: "4px",
+                                        backgroundColor: "white",
+                                        color: "#495057",
+                                        cursor: "pointer",
+                                        fontSize: "0.875rem",
+                                    }}
+                                >
+                                    {revertingId === change.id ? "Undoing..." : "Undo"}
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
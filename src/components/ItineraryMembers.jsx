@@ -0,0 +1,211 @@
+import React, { useState } from "react";
+import {
+    useQuery,
+    useAction,
+    getItineraryMembers,
+    inviteItineraryMember,
+    updateItineraryMemberRole,
+    removeItineraryMember,
+} from "wasp/client/operations";
+import logger from "../utils/logger.js";
+
+const buttonStyle = {
+    padding: "0.5rem 1rem",
+    border: "1px solid #6c757d",
+    borderRadius: "6px",
+    backgroundColor: "white",
+    color: "#495057",
+    cursor: "pointer",
+    fontWeight: "500",
+};
+
+const inputStyle = {
+    padding: "0.5rem",
+    border: "1px solid #ced4da",
+    borderRadius: "4px",
+};
+
+const ROLE_LABELS = {
+    owner: "Owner",
+    editor: "Can edit",
+    viewer: "Can view",
+};
+
+/**
+ * Trip members: the owner invites people by email and manages their roles; members can leave
+ */
+export function ItineraryMembers({ itinerary, currentUserEmail }) {
+    const { data, isLoading } = useQuery(getItineraryMembers, { itineraryId: itinerary.id });
+    const inviteFn = useAction(inviteItineraryMember);
+    const updateRoleFn = useAction(updateItineraryMemberRole);
+    const removeFn = useAction(removeItineraryMember);
+
+    const [isOpen, setIsOpen] = useState(false);
+    const [email, setEmail] = useState("");
+    const [role, setRole] = useState("editor");
+    const [isInviting, setIsInviting] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const isOwner = data?.role === "owner";
+    const memberCount = data?.members.filter((member) => member.status === "accepted").length || 0;
+
+    const handleInvite = async (event) => {
+        event.preventDefault();
+        setIsInviting(true);
+        setMessage(null);
+        try {
+            const result = await inviteFn({ itineraryId: itinerary.id, email, role });
+            setMessage(
+                result.emailSent
+                    ? `Invitation sent to ${result.member.email}`
+                    : `Invitation saved, but the email could not be sent. Try again later.`,
+            );
+            setEmail("");
+        } catch (error) {
+            logger.error("Error inviting member:", error);
+            setMessage(error.message || "Failed to send the invitation");
+        } finally {
+            setIsInviting(false);
+        }
+    };
+
+    const handleRoleChange = async (memberId, newRole) => {
+        try {
+            await updateRoleFn({ memberId, role: newRole });
+        } catch (error) {
+            logger.error("Error updating member role:", error);
+            alert("Failed to update the member's role");
+        }
+    };
+
+    const handleRemove = async (member) => {
+        const isSelf = member.email === currentUserEmail?.toLowerCase();
+        const prompt = isSelf
+            ? `Leave "${itinerary.title}"? You will lose access to this trip.`
+            : `Remove ${member.email} from "${itinerary.title}"?`;
+        if (!window.confirm(prompt)) return;
+
+        try {
+            await removeFn({ memberId: member.id });
+        } catch (error) {
+            logger.error("Error removing member:", error);
+            alert("Failed to remove the member");
+        }
+    };
+
+    return (
+        <div>
+            <button style={buttonStyle} onClick={() => setIsOpen(!isOpen)}>
+                👥 {isOwner ? "Invite" : "Members"}
+                {memberCount > 0 ? ` (${memberCount + 1})` : ""}
+            </button>
+
+            {isOpen && (
+                <div
+                    style={{
+                        marginTop: "0.75rem",
+                        padding: "1rem",
+                        backgroundColor: "#f8f9fa",
+                        border: "1px solid #e9ecef",
+                        borderRadius: "6px",
+                        fontSize: "0.875rem",
+                        minWidth: "20rem",
+                    }}
+                >
+                    {isLoading || !data ? (
+                        <div>Loading members...</div>
+                    ) : (
+                        <>
+                            <ul style={{ listStyle: "none", margin: "0 0 0.75rem 0", padding: 0 }}>
+                                <li style={{ padding: "0.25rem 0" }}>
+                                    <strong>{data.owner.name}</strong> · {ROLE_LABELS.owner}
+                                </li>
+                                {data.members.map((member) => (
+                                    <li
+                                        key={member.id}
+                                        style={{
+                                            display: "flex",
+                                            alignItems: "center",
+                                            gap: "0.5rem",
+                                            padding: "0.25rem 0",
+                                        }}
+                                    >
+                                        <span style={{ flex: 1 }}>
+                                            {member.name || member.email}
+                                            {member.status === "pending" && (
+                                                <span style={{ color: "#6c757d" }}> (invited)</span>
+                                            )}
+                                        </span>
+                                        {isOwner ? (
+                                            <select
+                                                value={member.role}
+                                                onChange={(event) =>
+                                                    handleRoleChange(member.id, event.target.value)
+                                                }
+                                                aria-label={`Role for ${member.email}`}
+                                                style={inputStyle}
+                                            >
+                                                <option value="editor">{ROLE_LABELS.editor}</option>
+                                                <option value="viewer">{ROLE_LABELS.viewer}</option>
+                                            </select>
+                                        ) : (
+                                            <span>{ROLE_LABELS[member.role]}</span>
+                                        )}
+                                        {(isOwner ||
+                                            member.email === currentUserEmail?.toLowerCase()) && (
+                                            <button
+                                                onClick={() => handleRemove(member)}
+                                                style={{
+                                                    ...buttonStyle,
+                                                    padding: "0.25rem 0.5rem",
+                                                    color: "#dc3545",
+                                                    borderColor: "#dc3545",
+                                                }}
+                                            >
+                                                {isOwner ? "Remove" : "Leave"}
+                                            </button>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+
+                            {isOwner && (
+                                <form
+                                    onSubmit={handleInvite}
+                                    style={{ display: "flex", gap: "0.5rem", flexWrap: "wrap" }}
+                                >
+                                    <input
+                                        type="email"
+                                        required
+                                        value={email}
+                                        onChange={(event) => setEmail(event.target.value)}
+                                        placeholder="partner@example.com"
+                                        aria-label="Email to invite"
+                                        style={{ ...inputStyle, flex: 1, minWidth: "12rem" }}
+                                    />
+                                    <select
+                                        value={role}
+                                        onChange={(event) => setRole(event.target.value)}
+                                        aria-label="Role for the invited person"
+                                        style={inputStyle}
+                                    >
+                                        <option value="editor">{ROLE_LABELS.editor}</option>
+                                        <option value="viewer">{ROLE_LABELS.viewer}</option>
+                                    </select>
+                                    <button type="submit" style={buttonStyle} disabled={isInviting}>
+                                        {isInviting ? "Sending..." : "Send invite"}
+                                    </button>
+                                </form>
+                            )}
+                            {message && (
+                                <p style={{ margin: "0.5rem 0 0 0", color: "#495057" }}>
+                                    {message}
+                                </p>
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,96 @@
+import React from "react";
+
+export const NEW_ITINERARY = "new";
+export const DEFAULT_ITINERARY_TITLE = "My Travel Plans";
+
+/**
+ * Default picker selection: the most recent trip, or a new one when the user has none
+ * @param {Array} itineraries - Itineraries from getItineraries (newest first)
+ * @param {number} [preferredId] - Trip to keep selected if it still exists
+ */
+export function getDefaultItinerarySelection(itineraries = [], preferredId) {
+    const preferred = itineraries.find((itinerary) => itinerary.id === preferredId);
+    const itinerary = preferred || itineraries[0];
+    return itinerary
+        ? { itineraryId: itinerary.id, newTitle: "" }
+        : { itineraryId: NEW_ITINERARY, newTitle: DEFAULT_ITINERARY_TITLE };
+}
+
+/**
+ * Trip selector with an option to name a new trip
+ * selection is { itineraryId, newTitle }; itineraryId is NEW_ITINERARY when creating one.
+ * When onCreate is given, a Create button is shown for new trips.
+ */
+export function ItineraryPicker({
+    itineraries = [],
+    selection,
+    onChange,
+    onCreate,
+    isCreating = false,
+    label = "Trip",
+}) {
+    const isNew = selection.itineraryId === NEW_ITINERARY;
+
+    const handleSelect = (event) => {
+        const value = event.target.value;
+        onChange(
+            value === NEW_ITINERARY
+                ? { itineraryId: NEW_ITINERARY, newTitle: selection.newTitle || "" }
+                : { itineraryId: parseInt(value, 10), newTitle: "" },
+        );
+    };
+
+    const controlStyle = {
+        padding: "0.5rem",
+        border: "1px solid #ced4da",
+        borderRadius: "4px",
+        fontSize: "0.95rem",
+    };
+
+    return (
+        <div style={{ display: "flex", alignItems: "center", gap: "0.5rem", flexWrap: "wrap" }}>
+            <label style={{ display: "flex", alignItems: "center", gap: "0.5rem" }}>
+                <span style={{ color: "#495057", fontWeight: "500" }}>{label}</span>
+                <select style={controlStyle} value={selection.itineraryId} onChange={handleSelect}>
+                    {itineraries.map((itinerary) => (
+                        <option key={itinerary.id} value={itinerary.id}>
+                            {itinerary.title} ({itinerary.items?.length || 0} items)
+                            {itinerary.role && itinerary.role !== "owner" ? " · shared" : ""}
+                        </option>
+                    ))}
+                    <option value={NEW_ITINERARY}>➕ New trip…</option>
+                </select>
+            </label>
+            {isNew && (
+                <>
+                    <input
+                        style={{ ...controlStyle, flex: 1, minWidth: "10rem" }}
+                        value={selection.newTitle}
+                        onChange={(event) =>
+                            onChange({ ...selection, newTitle: event.target.value })
+                        }
+                        placeholder="Trip name, e.g. Lisbon in May"
+                        aria-label="New trip name"
+                        autoFocus
+                    />
+                    {onCreate && (
+                        <button
+                            onClick={onCreate}
+                            disabled={isCreating || !selection.newTitle.trim()}
+                            style={{
+                                padding: "0.5rem 1rem",
+                                backgroundColor: "#007bff",
+                                color: "white",
+                                border: "none",
+                                borderRadius: "4px",
+                                cursor: "pointer",
+                            }}
+                        >
+                            {isCreating ? "Creating..." : "Create"}
+                        </button>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
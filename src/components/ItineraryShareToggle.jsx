@@ -0,0 +1,115 @@
+import React, { useState } from "react";
+import { useAction, shareItinerary, unshareItinerary } from "wasp/client/operations";
+import logger from "../utils/logger.js";
+
+const buttonStyle = {
+    padding: "0.5rem 1rem",
+    border: "1px solid #6c757d",
+    borderRadius: "6px",
+    backgroundColor: "white",
+    color: "#495057",
+    cursor: "pointer",
+    fontWeight: "500",
+};
+
+export const getShareUrl = (shareToken) => `${window.location.origin}/trip/${shareToken}`;
+
+/**
+ * Public share link for an itinerary: toggle sharing on or off, copy or reset the link
+ */
+export function ItineraryShareToggle({ itinerary }) {
+    const shareFn = useAction(shareItinerary);
+    const unshareFn = useAction(unshareItinerary);
+    const [isUpdating, setIsUpdating] = useState(false);
+    const [copied, setCopied] = useState(false);
+
+    const isShared = itinerary.isPublic && itinerary.shareToken;
+    const shareUrl = isShared ? getShareUrl(itinerary.shareToken) : null;
+
+    const updateSharing = async (action) => {
+        setIsUpdating(true);
+        setCopied(false);
+        try {
+            await action({ itineraryId: itinerary.id });
+        } catch (error) {
+            logger.error("Error updating share link:", error);
+            alert("Failed to update the share link");
+        } finally {
+            setIsUpdating(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(shareUrl);
+            setCopied(true);
+        } catch (error) {
+            logger.warn("Could not copy to clipboard:", error);
+        }
+    };
+
+    return (
+        <div>
+            <label
+                style={{
+                    ...buttonStyle,
+                    display: "inline-flex",
+                    alignItems: "center",
+                    gap: "0.5rem",
+                    cursor: isUpdating ? "wait" : "pointer",
+                }}
+            >
+                <input
+                    type="checkbox"
+                    checked={Boolean(isShared)}
+                    disabled={isUpdating}
+                    onChange={() => updateSharing(isShared ? unshareFn : shareFn)}
+                />
+                🌐 Share read-only link
+            </label>
+
+            {shareUrl && (
+                <div
+                    style={{
+                        marginTop: "0.75rem",
+                        padding: "1rem",
+                        backgroundColor: "#f8f9fa",
+                        border: "1px solid #e9ecef",
+                        borderRadius: "6px",
+                        fontSize: "0.875rem",
+                    }}
+                >
+                    <p style={{ margin: "0 0 0.5rem 0", color: "#495057" }}>
+                        Anyone with this link can view the trip without logging in. Your notes and
+                        bookings stay private.
+                    </p>
+                    <div style={{ display: "flex", gap: "0.5rem", flexWrap: "wrap" }}>
+                        <input
+                            readOnly
+                            value={shareUrl}
+                            onFocus={(event) => event.target.select()}
+                            aria-label="Share link"
+                            style={{
+                                flex: 1,
+                                minWidth: "16rem",
+                                padding: "0.5rem",
+                                border: "1px solid #ced4da",
+                                borderRadius: "4px",
+                            }}
+                        />
+                        <button style={buttonStyle} onClick={handleCopy}>
+                            {copied ? "✅ Copied" : "Copy"}
+                        </button>
+                        <button
+                            style={buttonStyle}
+                            disabled={isUpdating}
+                            onClick={() => updateSharing(shareFn)}
+                        >
+                            Reset link
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
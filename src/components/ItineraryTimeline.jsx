@@ -0,0 +1,174 @@
+import React, { useMemo } from "react";
+import { buildItineraryTimeline } from "../utils/itineraryTimeline.js";
+
+const ENTRY_ICONS = {
+    flight: "✈️",
+    stay: "🏨",
+    activity: "🎯",
+};
+
+const WARNING_ICONS = {
+    missing_hotel: "🌙",
+    overlap: "⏰",
+    double_booked_hotel: "🏨",
+};
+
+const formatDay = (date) =>
+    new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", {
+        weekday: "long",
+        month: "short",
+        day: "numeric",
+        timeZone: "UTC",
+    });
+
+const describeEntry = (entry) => {
+    if (entry.kind === "flight") {
+        const arrival =
+            entry.endTime && entry.endDate !== entry.date
+                ? `${entry.endTime} (+${entry.endDate})`
+                : entry.endTime;
+        return entry.startTime ? `${entry.startTime} → ${arrival || "?"}` : "Time not set";
+    }
+    if (entry.kind === "stay") {
+        return entry.event === "check_in"
+            ? `Check-in · ${entry.nights} night${entry.nights === 1 ? "" : "s"}`
+            : "Check-out";
+    }
+    return entry.startTime || "Any time";
+};
+
+function TimelineWarning({ warning }) {
+    return (
+        <div
+            style={{
+                marginTop: "0.5rem",
+                padding: "0.5rem 0.75rem",
+                backgroundColor: "#fff3cd",
+                border: "1px solid #ffe69c",
+                borderRadius: "6px",
+                color: "#664d03",
+                fontSize: "0.875rem",
+            }}
+        >
+            {WARNING_ICONS[warning.type] || "⚠️"} {warning.message}
+        </div>
+    );
+}
+
+function TimelineEntry({ entry, onMoreInfo }) {
+    return (
+        <li style={{ display: "flex", gap: "0.75rem", padding: "0.5rem 0" }}>
+            <span style={{ width: "7rem", flexShrink: 0, color: "#6b7280", fontSize: "0.875rem" }}>
+                {describeEntry(entry)}
+            </span>
+            <span aria-hidden="true">{ENTRY_ICONS[entry.kind]}</span>
+            <div style={{ flex: 1, minWidth: 0 }}>
+                <button
+                    onClick={() => onMoreInfo?.(entry.card)}
+                    style={{
+                        padding: 0,
+                        border: "none",
+                        background: "none",
+                        fontWeight: "500",
+                        color: "#111827",
+                        cursor: onMoreInfo ? "pointer" : "default",
+                        textAlign: "left",
+                    }}
+                >
+                    {entry.title}
+                </button>
+                {entry.subtitle && (
+                    <div style={{ fontSize: "0.8rem", color: "#6b7280" }}>{entry.subtitle}</div>
+                )}
+            </div>
+        </li>
+    );
+}
+
+/**
+ * Chronological, day-by-day view of a saved itinerary with gap and overlap warnings
+ */
+export function ItineraryTimeline({ itinerary, onMoreInfo }) {
+    const timeline = useMemo(() => buildItineraryTimeline(itinerary), [itinerary]);
+
+    return (
+        <div style={{ marginBottom: "2rem" }}>
+            {timeline.warnings.length > 0 && (
+                <p style={{ margin: "0 0 1rem 0", color: "#664d03", fontWeight: "500" }}>
+                    ⚠️ {timeline.warnings.length} thing
+                    {timeline.warnings.length === 1 ? "" : "s"} to check in this trip
+                </p>
+            )}
+
+            {timeline.days.length === 0 && (
+                <p style={{ color: "#6c757d" }}>
+                    Set trip dates or save flights and hotels with dates to see a timeline.
+                </p>
+            )}
+
+            <ol style={{ listStyle: "none", margin: 0, padding: 0 }}>
+                {timeline.days.map((day) => (
+                    <li
+                        key={day.date}
+                        style={{
+                            marginBottom: "1rem",
+                            padding: "1rem",
+                            backgroundColor: "white",
+                            border: "1px solid #e9ecef",
+                            borderLeft: "4px solid #007bff",
+                            borderRadius: "6px",
+                        }}
+                    >
+                        <h3 style={{ margin: 0, fontSize: "1rem", color: "#2c3e50" }}>
+                            Day {day.dayNumber} · {formatDay(day.date)}
+                        </h3>
+                        {day.entries.length > 0 && (
+                            <ul style={{ listStyle: "none", margin: "0.5rem 0 0 0", padding: 0 }}>
+                                {day.entries.map((entry) => (
+                                    <TimelineEntry
+                                        key={`${entry.itemId}-${entry.event || entry.kind}`}
+                                        entry={entry}
+                                        onMoreInfo={onMoreInfo}
+                                    />
+                                ))}
+                            </ul>
+                        )}
+                        {day.stays.map((stay) => (
+                            <div
+                                key={stay.itemId}
+                                style={{
+                                    marginTop: "0.5rem",
+                                    fontSize: "0.875rem",
+                                    color: "#495057",
+                                }}
+                            >
+                                🛏️ Night {stay.night} of {stay.nights} at {stay.title}
+                            </div>
+                        ))}
+                        {day.warnings.map((warning) => (
+                            <TimelineWarning
+                                key={`${warning.type}-${warning.itemIds.join("-")}`}
+                                warning={warning}
+                            />
+                        ))}
+                    </li>
+                ))}
+            </ol>
+
+            {timeline.unscheduled.length > 0 && (
+                <div style={{ marginTop: "1rem" }}>
+                    <h3 style={{ fontSize: "1rem", color: "#495057" }}>Not scheduled yet</h3>
+                    <ul style={{ listStyle: "none", margin: 0, padding: 0 }}>
+                        {timeline.unscheduled.map((entry) => (
+                            <TimelineEntry
+                                key={`${entry.itemId}-${entry.kind}`}
+                                entry={entry}
+                                onMoreInfo={onMoreInfo}
+                            />
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+}
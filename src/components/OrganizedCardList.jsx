@@ -1,6 +1,12 @@
 import { useState } from "react";
 import { Card } from "./Card.jsx";
 import { InfoModal } from "./InfoModal.jsx";
+import { FlightFilterPanel } from "./FlightFilterPanel.jsx";
+import {
+    applyFlightFilters,
+    getFlightAirlines,
+    normalizeFlightFilters,
+} from "../utils/flightFilters.js";
 import logger from "../utils/logger.js";
 import "./cardlist.css";
 import "./organized-cardlist.css";
@@ -14,7 +20,13 @@ export function OrganizedCardList({
     onBookHotel,
     addToItineraryText,
     addToItineraryIcon,
+    showFlightFilters = false,
+    initialFlightFilters,
 }) {
+    const [flightFilters, setFlightFilters] = useState(() =>
+        normalizeFlightFilters(initialFlightFilters || {}),
+    );
+
     const [modalState, setModalState] = useState({
         isOpen: false,
         cardData: null,
@@ -42,8 +54,10 @@ export function OrganizedCardList({
         other: [],
     };
 
-    // Collect all flights and analyze them
-    const flights = cards.filter((card) => card.type === "flight");
+    // Collect the flights that pass the filter panel and analyze them
+    const allFlights = cards.filter((card) => card.type === "flight");
+    const flights = applyFlightFilters(allFlights, flightFilters);
+    const airlines = [...new Set(allFlights.flatMap(getFlightAirlines))].sort();
 
     if (flights.length > 0) {
         console.log(
@@ -275,6 +289,16 @@ export function OrganizedCardList({
                     </h2>
                 </div>
 
+                {showFlightFilters && allFlights.length > 1 && (
+                    <FlightFilterPanel
+                        filters={flightFilters}
+                        airlines={airlines}
+                        onChange={(filters) => setFlightFilters(normalizeFlightFilters(filters))}
+                        shownCount={flights.length}
+                        totalCount={allFlights.length}
+                    />
+                )}
+
                 {/* Outbound Flights */}
                 {renderSection(
                     outboundRoute || "Outbound Flights",
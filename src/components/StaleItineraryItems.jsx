@@ -0,0 +1,174 @@
+import React, { useState } from "react";
+import {
+    useAction,
+    refreshItineraryItem,
+    searchFlights,
+    searchHotels,
+} from "wasp/client/operations";
+import { formatCurrency } from "../utils/costBreakdown.js";
+import { applyHotelOffer, getResearchParams } from "../utils/itineraryShift.js";
+import logger from "../utils/logger.js";
+
+const MAX_OPTIONS = 3;
+
+const buttonStyle = {
+    padding: "0.25rem 0.75rem",
+    border: "1px solid #6c757d",
+    borderRadius: "4px",
+    backgroundColor: "white",
+    color: "#495057",
+    cursor: "pointer",
+    fontSize: "0.875rem",
+};
+
+const byPrice = (a, b) => (a.price?.amount ?? Infinity) - (b.price?.amount ?? Infinity);
+
+// Search again for a card on its new dates; cheapest options first, the same hotel first
+async function searchReplacements(card, research) {
+    if (research.type === "flight") {
+        const flights = await searchFlights(research.params);
+        return flights.filter((option) => option.price?.amount).sort(byPrice);
+    }
+
+    const hotels = await searchHotels(research.params);
+    const hotelId = card.details?.hotelId;
+    return (hotels?.data || [])
+        .map((result) => applyHotelOffer(card, result))
+        .filter(Boolean)
+        .sort(
+            (a, b) =>
+                (b.details.hotelId === hotelId) - (a.details.hotelId === hotelId) || byPrice(a, b),
+        );
+}
+
+function StaleItem({ item, card, travelers }) {
+    const refreshItineraryItemFn = useAction(refreshItineraryItem);
+    const [options, setOptions] = useState(null);
+    const [isSearching, setIsSearching] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const research = getResearchParams(card, { travelers });
+
+    const handleSearch = async () => {
+        setIsSearching(true);
+        setError(null);
+        try {
+            setOptions((await searchReplacements(card, research)).slice(0, MAX_OPTIONS));
+        } catch (searchError) {
+            logger.error("Error searching new dates:", searchError);
+            setError(searchError.message || "Search failed");
+        } finally {
+            setIsSearching(false);
+        }
+    };
+
+    const handleRefresh = async (cardData) => {
+        setIsSaving(true);
+        try {
+            await refreshItineraryItemFn({ itemId: item.id, cardData });
+        } catch (saveError) {
+            logger.error("Error refreshing itinerary item:", saveError);
+            alert("Failed to update the item");
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <li style={{ padding: "0.5rem 0", borderTop: "1px solid #ffe69c" }}>
+            <div style={{ display: "flex", gap: "0.5rem", alignItems: "center", flexWrap: "wrap" }}>
+                <strong style={{ flex: 1, minWidth: "10rem" }}>{card.title}</strong>
+                {research && (
+                    <button style={buttonStyle} disabled={isSearching} onClick={handleSearch}>
+                        {isSearching ? "Searching..." : "🔄 Search new dates"}
+                    </button>
+                )}
+                <button style={buttonStyle} disabled={isSaving} onClick={() => handleRefresh()}>
+                    Keep as is
+                </button>
+            </div>
+            {error && <div style={{ color: "#dc3545", marginTop: "0.25rem" }}>{error}</div>}
+            {options && options.length === 0 && (
+                <div style={{ marginTop: "0.25rem", color: "#6c757d" }}>
+                    Nothing available for the new dates
+                </div>
+            )}
+            {options && options.length > 0 && (
+                <ul style={{ listStyle: "none", margin: "0.5rem 0 0 0", padding: 0 }}>
+                    {options.map((option, index) => (
+                        <li
+                            key={option.id || index}
+                            style={{ display: "flex", gap: "0.5rem", alignItems: "center" }}
+                        >
+                            <span style={{ flex: 1 }}>
+                                {option.title}
+                                {option.subtitle && (
+                                    <span style={{ color: "#6c757d" }}> · {option.subtitle}</span>
+                                )}
+                            </span>
+                            {option.price && (
+                                <span>
+                                    {formatCurrency(option.price.amount, option.price.currency)}
+                                </span>
+                            )}
+                            <button
+                                style={buttonStyle}
+                                disabled={isSaving}
+                                onClick={() => handleRefresh(option)}
+                            >
+                                Use this
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+}
+
+/**
+ * Items whose dates moved when the trip was duplicated, with a re-search for the new dates
+ */
+export function StaleItineraryItems({ itinerary }) {
+    const staleItems = (itinerary.items || [])
+        .filter((item) => item.isStale)
+        .map((item) => {
+            try {
+                return { item, card: JSON.parse(item.cardData) };
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean);
+
+    if (staleItems.length === 0) return null;
+
+    return (
+        <div
+            style={{
+                marginBottom: "1.5rem",
+                padding: "1rem",
+                backgroundColor: "#fff3cd",
+                border: "1px solid #ffe69c",
+                borderRadius: "6px",
+                color: "#664d03",
+                fontSize: "0.875rem",
+            }}
+        >
+            <p style={{ margin: "0 0 0.5rem 0", fontWeight: "500" }}>
+                ⏳ {staleItems.length} item{staleItems.length === 1 ? " has" : "s have"} new dates.
+                Prices and availability may have changed.
+            </p>
+            <ul style={{ listStyle: "none", margin: 0, padding: 0 }}>
+                {staleItems.map(({ item, card }) => (
+                    <StaleItem
+                        key={item.id}
+                        item={item}
+                        card={card}
+                        travelers={itinerary.travelers}
+                    />
+                ))}
+            </ul>
+        </div>
+    );
+}
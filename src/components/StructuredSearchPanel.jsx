@@ -0,0 +1,320 @@
+import React, { useState } from "react";
+import { searchFlights, searchHotels } from "wasp/client/operations";
+import { AirportAutocomplete } from "./AirportAutocomplete.jsx";
+import { OrganizedCardList } from "./OrganizedCardList";
+import { addDays } from "../utils/itineraryTimeline.js";
+import logger from "../utils/logger.js";
+
+const labelStyle = {
+    display: "flex",
+    flexDirection: "column",
+    gap: "0.25rem",
+    fontSize: "0.75rem",
+    fontWeight: "600",
+    color: "#495057",
+};
+
+const inputStyle = {
+    padding: "0.375rem 0.5rem",
+    border: "1px solid #ced4da",
+    borderRadius: "4px",
+    fontSize: "0.875rem",
+};
+
+const tabStyle = (isActive) => ({
+    padding: "0.375rem 0.875rem",
+    border: "none",
+    borderBottom: isActive ? "2px solid #007bff" : "2px solid transparent",
+    background: "none",
+    color: isActive ? "#007bff" : "#495057",
+    fontWeight: "600",
+    cursor: "pointer",
+});
+
+const today = () => new Date().toISOString().split("T")[0];
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, index) => from + index);
+
+/**
+ * Classic flight and hotel search form for users who would rather not chat: airport
+ * autocomplete, dates, passengers and class. Results are shown with the same cards and actions
+ * as chat results.
+ */
+export function StructuredSearchPanel({
+    onGoToWebsite,
+    onMoreInfo,
+    onAddToItinerary,
+    onBookFlight,
+    onBookHotel,
+}) {
+    const [mode, setMode] = useState("flights");
+    const [origin, setOrigin] = useState(null);
+    const [destination, setDestination] = useState(null);
+    const [startDate, setStartDate] = useState(addDays(today(), 14));
+    const [endDate, setEndDate] = useState("");
+    const [adults, setAdults] = useState(1);
+    const [children, setChildren] = useState(0);
+    const [travelClass, setTravelClass] = useState("economy");
+    const [results, setResults] = useState(null); // { mode, cards, summary }
+    const [error, setError] = useState(null);
+    const [isSearching, setIsSearching] = useState(false);
+
+    const isFlights = mode === "flights";
+
+    // A missing field or impossible date range, or null when the form can be submitted
+    const getFormError = () => {
+        if (isFlights && !origin) return "Choose a departure airport from the list";
+        if (!destination) {
+            return isFlights
+                ? "Choose a destination airport from the list"
+                : "Choose a city from the list";
+        }
+        if (isFlights && origin.iata === destination.iata) {
+            return "Departure and destination must be different";
+        }
+        if (!startDate) return isFlights ? "Choose a departure date" : "Choose a check-in date";
+        if (!isFlights && !endDate) return "Choose a check-out date";
+        if (endDate && endDate <= startDate) {
+            return isFlights
+                ? "Return date must be after the departure date"
+                : "Check-out must be after check-in";
+        }
+        return null;
+    };
+
+    const searchFlightCards = async () => {
+        const searchContext = {
+            departure: origin.iata,
+            arrival: destination.iata,
+            outboundDate: startDate,
+            returnDate: endDate || undefined,
+            adults,
+            children,
+            travelClass,
+        };
+        const flights = await searchFlights(searchContext);
+        // Booking options are fetched with the search that found the flight
+        return flights.map((card) =>
+            card.metadata?.bookingToken
+                ? { ...card, metadata: { ...card.metadata, searchContext } }
+                : card,
+        );
+    };
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        const formError = getFormError();
+        if (formError) {
+            setError(formError);
+            return;
+        }
+
+        setIsSearching(true);
+        setError(null);
+        try {
+            const cards = isFlights
+                ? await searchFlightCards()
+                : await searchHotels({
+                      cityCode: destination.cityCode,
+                      checkInDate: startDate,
+                      checkOutDate: endDate,
+                      adults,
+                      asCards: true,
+                  });
+            setResults({
+                mode,
+                cards,
+                summary: isFlights
+                    ? `${origin.iata} → ${destination.iata}`
+                    : `Hotels in ${destination.city}`,
+            });
+        } catch (searchError) {
+            logger.error("Search form error:", searchError);
+            setError(searchError.message || "Search failed. Please try again.");
+        } finally {
+            setIsSearching(false);
+        }
+    };
+
+    const switchMode = (nextMode) => {
+        setMode(nextMode);
+        setError(null);
+        // Hotels need a check-out date; default to a three-night stay
+        if (nextMode === "hotels" && !endDate && startDate) {
+            setEndDate(addDays(startDate, 3));
+        }
+    };
+
+    return (
+        <div
+            style={{
+                marginBottom: "1rem",
+                padding: "0.75rem 1rem 1rem",
+                backgroundColor: "white",
+                border: "1px solid #e9ecef",
+                borderRadius: "8px",
+            }}
+        >
+            <div
+                style={{
+                    display: "flex",
+                    borderBottom: "1px solid #e9ecef",
+                    marginBottom: "0.75rem",
+                }}
+            >
+                <button
+                    type="button"
+                    onClick={() => switchMode("flights")}
+                    style={tabStyle(isFlights)}
+                >
+                    ✈️ Flights
+                </button>
+                <button
+                    type="button"
+                    onClick={() => switchMode("hotels")}
+                    style={tabStyle(!isFlights)}
+                >
+                    🏨 Hotels
+                </button>
+            </div>
+
+            <form
+                onSubmit={handleSubmit}
+                style={{
+                    display: "grid",
+                    gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))",
+                    gap: "0.75rem",
+                    alignItems: "end",
+                }}
+            >
+                {isFlights && (
+                    <AirportAutocomplete
+                        label="From"
+                        value={origin}
+                        onChange={setOrigin}
+                        placeholder="City or airport"
+                        disabled={isSearching}
+                    />
+                )}
+                <AirportAutocomplete
+                    label={isFlights ? "To" : "City"}
+                    value={destination}
+                    onChange={setDestination}
+                    placeholder="City or airport"
+                    disabled={isSearching}
+                />
+                <label style={labelStyle}>
+                    {isFlights ? "Depart" : "Check-in"}
+                    <input
+                        type="date"
+                        value={startDate}
+                        min={today()}
+                        onChange={(event) => setStartDate(event.target.value)}
+                        style={inputStyle}
+                    />
+                </label>
+                <label style={labelStyle}>
+                    {isFlights ? "Return (optional)" : "Check-out"}
+                    <input
+                        type="date"
+                        value={endDate}
+                        min={startDate ? addDays(startDate, 1) : today()}
+                        onChange={(event) => setEndDate(event.target.value)}
+                        style={inputStyle}
+                    />
+                </label>
+                <label style={labelStyle}>
+                    Adults
+                    <select
+                        value={adults}
+                        onChange={(event) => setAdults(Number(event.target.value))}
+                        style={inputStyle}
+                    >
+                        {range(1, 9).map((count) => (
+                            <option key={count} value={count}>
+                                {count}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                {isFlights && (
+                    <label style={labelStyle}>
+                        Children
+                        <select
+                            value={children}
+                            onChange={(event) => setChildren(Number(event.target.value))}
+                            style={inputStyle}
+                        >
+                            {range(0, 8).map((count) => (
+                                <option key={count} value={count}>
+                                    {count}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+                {isFlights && (
+                    <label style={labelStyle}>
+                        Class
+                        <select
+                            value={travelClass}
+                            onChange={(event) => setTravelClass(event.target.value)}
+                            style={inputStyle}
+                        >
+                            <option value="economy">Economy</option>
+                            <option value="business">Business</option>
+                            <option value="first">First</option>
+                        </select>
+                    </label>
+                )}
+                <button
+                    type="submit"
+                    disabled={isSearching}
+                    style={{
+                        padding: "0.5rem 1rem",
+                        border: "none",
+                        borderRadius: "4px",
+                        backgroundColor: isSearching ? "#6c757d" : "#007bff",
+                        color: "white",
+                        fontWeight: "600",
+                        cursor: isSearching ? "default" : "pointer",
+                    }}
+                >
+                    {isSearching ? "Searching…" : "Search"}
+                </button>
+            </form>
+
+            {error && (
+                <div style={{ marginTop: "0.75rem", color: "#842029", fontSize: "0.875rem" }}>
+                    {error}
+                </div>
+            )}
+
+            {results && !isSearching && (
+                <div style={{ marginTop: "1rem" }}>
+                    <div
+                        style={{ marginBottom: "0.5rem", fontWeight: "600", fontSize: "0.875rem" }}
+                    >
+                        {results.summary} · {results.cards.length}{" "}
+                        {results.mode === "flights" ? "flights" : "hotels"} found
+                    </div>
+                    {results.cards.length > 0 ? (
+                        <OrganizedCardList
+                            cards={results.cards}
+                            showFlightFilters={results.mode === "flights"}
+                            onGoToWebsite={onGoToWebsite}
+                            onMoreInfo={onMoreInfo}
+                            onAddToItinerary={onAddToItinerary}
+                            onBookFlight={onBookFlight}
+                            onBookHotel={onBookHotel}
+                        />
+                    ) : (
+                        <div style={{ color: "#6c757d", fontSize: "0.875rem" }}>
+                            Nothing found for these details. Try other dates or airports.
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
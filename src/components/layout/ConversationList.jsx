@@ -0,0 +1,186 @@
+import React, { useState } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
+import {
+    useQuery,
+    useAction,
+    getConversations,
+    createConversation,
+    renameConversation,
+    archiveConversation,
+    switchConversation,
+} from "wasp/client/operations";
+import logger from "../../utils/logger.js";
+
+export default function ConversationList({ onNavigate }) {
+    const navigate = useNavigate();
+    const location = useLocation();
+    const [showArchived, setShowArchived] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [editingTitle, setEditingTitle] = useState("");
+
+    const { data: conversations, isLoading } = useQuery(getConversations, {
+        includeArchived: showArchived,
+    });
+    const createConversationFn = useAction(createConversation);
+    const renameConversationFn = useAction(renameConversation);
+    const archiveConversationFn = useAction(archiveConversation);
+    const switchConversationFn = useAction(switchConversation);
+
+    const openChat = () => {
+        if (location.pathname !== "/dashboard") {
+            navigate("/dashboard");
+        }
+        onNavigate?.();
+    };
+
+    const handleNewConversation = async () => {
+        try {
+            await createConversationFn({});
+            openChat();
+        } catch (error) {
+            logger.error("Failed to create conversation:", error);
+            alert("Failed to start a new conversation. Please try again.");
+        }
+    };
+
+    const handleSwitch = async (conversation) => {
+        if (editingId === conversation.id) return;
+        try {
+            if (!conversation.isActive || conversation.isArchived) {
+                await switchConversationFn({ conversationId: conversation.id });
+            }
+            openChat();
+        } catch (error) {
+            logger.error("Failed to switch conversation:", error);
+            alert("Failed to open that conversation. Please try again.");
+        }
+    };
+
+    const startRename = (event, conversation) => {
+        event.stopPropagation();
+        setEditingId(conversation.id);
+        setEditingTitle(conversation.title);
+    };
+
+    const cancelRename = () => {
+        setEditingId(null);
+        setEditingTitle("");
+    };
+
+    const saveRename = async () => {
+        const title = editingTitle.trim();
+        const conversationId = editingId;
+        cancelRename();
+        if (!title) return;
+        try {
+            await renameConversationFn({ conversationId, title });
+        } catch (error) {
+            logger.error("Failed to rename conversation:", error);
+            alert("Failed to rename conversation. Please try again.");
+        }
+    };
+
+    const handleRenameKeyDown = (event) => {
+        if (event.key === "Enter") {
+            event.preventDefault();
+            saveRename();
+        } else if (event.key === "Escape") {
+            cancelRename();
+        }
+    };
+
+    const handleArchive = async (event, conversation) => {
+        event.stopPropagation();
+        try {
+            await archiveConversationFn({
+                conversationId: conversation.id,
+                archived: !conversation.isArchived,
+            });
+        } catch (error) {
+            logger.error("Failed to archive conversation:", error);
+            alert("Failed to update conversation. Please try again.");
+        }
+    };
+
+    return (
+        <div className="conversation-list">
+            <div className="conversation-list-header">
+                <span className="conversation-list-title">Conversations</span>
+                <button
+                    className="conversation-new-btn"
+                    onClick={handleNewConversation}
+                    title="Start a new conversation"
+                >
+                    + New
+                </button>
+            </div>
+
+            {isLoading && <div className="conversation-list-empty">Loading...</div>}
+
+            {!isLoading && conversations?.length === 0 && (
+                <div className="conversation-list-empty">No conversations yet</div>
+            )}
+
+            <ul className="conversation-items">
+                {conversations?.map((conversation) => (
+                    <li
+                        key={conversation.id}
+                        className={`conversation-item ${conversation.isActive ? "active" : ""} ${
+                            conversation.isArchived ? "archived" : ""
+                        }`}
+                        onClick={() => handleSwitch(conversation)}
+                        title={conversation.title}
+                    >
+                        {editingId === conversation.id ? (
+                            <input
+                                className="conversation-rename-input"
+                                value={editingTitle}
+                                onChange={(e) => setEditingTitle(e.target.value)}
+                                onKeyDown={handleRenameKeyDown}
+                                onBlur={saveRename}
+                                onClick={(e) => e.stopPropagation()}
+                                maxLength={80}
+                                autoFocus
+                            />
+                        ) : (
+                            <>
+                                <span className="conversation-item-title">
+                                    {conversation.title}
+                                </span>
+                                <span className="conversation-item-actions">
+                                    <button
+                                        className="conversation-action-btn"
+                                        onClick={(e) => startRename(e, conversation)}
+                                        title="Rename"
+                                        aria-label="Rename conversation"
+                                    >
+                                        ✎
+                                    </button>
+                                    <button
+                                        className="conversation-action-btn"
+                                        onClick={(e) => handleArchive(e, conversation)}
+                                        title={conversation.isArchived ? "Restore" : "Archive"}
+                                        aria-label={
+                                            conversation.isArchived
+                                                ? "Restore conversation"
+                                                : "Archive conversation"
+                                        }
+                                    >
+                                        {conversation.isArchived ? "↺" : "🗄"}
+                                    </button>
+                                </span>
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            <button
+                className="conversation-archived-toggle"
+                onClick={() => setShowArchived(!showArchived)}
+            >
+                {showArchived ? "Hide archived" : "Show archived"}
+            </button>
+        </div>
+    );
+}
@@ -1,6 +1,7 @@
 import React from "react";
 import { Link, useLocation } from "react-router-dom";
 import { logout } from "wasp/client/auth";
+import ConversationList from "./ConversationList.jsx";
 
 export default function MobileNavigation({ user, isOpen, onClose }) {
     const location = useLocation();
@@ -58,6 +59,8 @@ export default function MobileNavigation({ user, isOpen, onClose }) {
                 >
                     <span className="nav-link-icon">Itinerary</span>
                 </Link>
+
+                <ConversationList onNavigate={onClose} />
             </nav>
 
             {/* Footer with Logout */}
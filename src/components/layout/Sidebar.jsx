@@ -4,6 +4,7 @@ import { logout } from "wasp/client/auth";
 import { useAction } from "wasp/client/operations";
 import { clearConversation } from "wasp/client/operations";
 import { ConfirmDialog } from "../ConfirmDialog.jsx";
+import ConversationList from "./ConversationList.jsx";
 
 export default function Sidebar({ user, onMobileMenuToggle }) {
     const location = useLocation();
@@ -83,6 +84,8 @@ export default function Sidebar({ user, onMobileMenuToggle }) {
                 <button onClick={handleClearConversation} className="nav-link nav-link-button">
                     <span className="nav-link-icon">Clear</span>
                 </button>
+
+                <ConversationList />
             </nav>
 
             {/* Footer with Logout */}
@@ -95,7 +98,7 @@ export default function Sidebar({ user, onMobileMenuToggle }) {
             <ConfirmDialog
                 isOpen={showClearDialog}
                 title="Clear Conversation"
-                message="Are you sure you want to clear all chat history? This action cannot be undone."
+                message="Are you sure you want to clear the chat history of this conversation? This action cannot be undone."
                 onConfirm={handleConfirmClear}
                 onCancel={handleCancelClear}
                 isLoading={isClearing}
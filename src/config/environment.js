@@ -53,6 +53,23 @@ export function shouldIncludeTestingOperations() {
     return false;
 }
 
+/**
+ * Get the travel API mode
+ * "mock" swaps SerpAPI, Google Maps, Amadeus and OpenAI for fixture-backed stand-ins
+ * @returns {string} Travel API mode (live, mock)
+ */
+export function getTravelAPIMode() {
+    return process.env.TRAVEL_API_MODE === "mock" ? "mock" : "live";
+}
+
+/**
+ * Check if travel APIs are served from mock fixtures
+ * @returns {boolean} True if TRAVEL_API_MODE=mock
+ */
+export function isMockMode() {
+    return getTravelAPIMode() === "mock";
+}
+
 /**
  * Get feature flags based on environment
  * @returns {object} Object containing feature flags
@@ -63,6 +80,7 @@ export function getFeatureFlags() {
         extendedLogging: isDevelopment(),
         performanceMonitoring: isProduction(),
         errorReporting: isProduction(),
+        mockTravelAPIs: isMockMode(),
     };
 }
 
@@ -78,6 +96,7 @@ export function getEnvironmentConfig() {
         environment: env,
         isDevelopment: isDevelopment(),
         isProduction: isProduction(),
+        travelAPIMode: getTravelAPIMode(),
         featureFlags: flags,
         timestamp: new Date().toISOString(),
     };
@@ -0,0 +1,250 @@
+/**
+ * Airport Reference Data
+ * Major airports that travelers commonly search for; every other commercial airport is in
+ * commercialAirports.js.
+ * Airports of a metro area share its IATA metro (city) code and are listed main airport first;
+ * the first airport of a metro is the one a city name resolves to. `metro` is null unless IATA
+ * groups the airport under such a code: John Wayne (SNA) is not part of a "LAX" metro.
+ *
+ * Row columns: [iata, icao, name, city, metro, country, latitude, longitude, timezone]
+ */
+
+export const AIRPORT_COLUMNS = [
+    "iata",
+    "icao",
+    "name",
+    "city",
+    "metro",
+    "country",
+    "latitude",
+    "longitude",
+    "timezone",
+];
+
+// prettier-ignore
+export const AIRPORT_ROWS = [
+    // United States
+    ["JFK", "KJFK", "John F. Kennedy International", "New York", "NYC", "US", 40.64, -73.78, "America/New_York"],
+    ["EWR", "KEWR", "Newark Liberty International", "Newark", "NYC", "US", 40.69, -74.17, "America/New_York"],
+    ["LGA", "KLGA", "LaGuardia", "New York", "NYC", "US", 40.78, -73.87, "America/New_York"],
+    ["ORD", "KORD", "O'Hare International", "Chicago", "CHI", "US", 41.98, -87.9, "America/Chicago"],
+    ["MDW", "KMDW", "Midway International", "Chicago", "CHI", "US", 41.79, -87.75, "America/Chicago"],
+    ["IAD", "KIAD", "Washington Dulles International", "Washington", "WAS", "US", 38.95, -77.46, "America/New_York"],
+    ["DCA", "KDCA", "Ronald Reagan Washington National", "Washington", "WAS", "US", 38.85, -77.04, "America/New_York"],
+    ["BWI", "KBWI", "Baltimore/Washington International", "Baltimore", "WAS", "US", 39.18, -76.67, "America/New_York"],
+    ["SFO", "KSFO", "San Francisco International", "San Francisco", null, "US", 37.62, -122.38, "America/Los_Angeles"],
+    ["OAK", "KOAK", "Oakland International", "Oakland", null, "US", 37.72, -122.22, "America/Los_Angeles"],
+    ["SJC", "KSJC", "San Jose Mineta International", "San Jose", null, "US", 37.36, -121.93, "America/Los_Angeles"],
+    ["LAX", "KLAX", "Los Angeles International", "Los Angeles", null, "US", 33.94, -118.41, "America/Los_Angeles"],
+    ["BUR", "KBUR", "Hollywood Burbank", "Burbank", null, "US", 34.2, -118.36, "America/Los_Angeles"],
+    ["LGB", "KLGB", "Long Beach", "Long Beach", null, "US", 33.82, -118.15, "America/Los_Angeles"],
+    ["SNA", "KSNA", "John Wayne", "Santa Ana", null, "US", 33.68, -117.87, "America/Los_Angeles"],
+    ["ONT", "KONT", "Ontario International", "Ontario", null, "US", 34.06, -117.6, "America/Los_Angeles"],
+    ["DFW", "KDFW", "Dallas/Fort Worth International", "Dallas", "DFW", "US", 32.9, -97.04, "America/Chicago"],
+    ["DAL", "KDAL", "Dallas Love Field", "Dallas", "DFW", "US", 32.85, -96.85, "America/Chicago"],
+    ["IAH", "KIAH", "George Bush Intercontinental", "Houston", "HOU", "US", 29.98, -95.34, "America/Chicago"],
+    ["HOU", "KHOU", "William P. Hobby", "Houston", "HOU", "US", 29.65, -95.28, "America/Chicago"],
+    ["MIA", "KMIA", "Miami International", "Miami", null, "US", 25.8, -80.29, "America/New_York"],
+    ["FLL", "KFLL", "Fort Lauderdale-Hollywood International", "Fort Lauderdale", null, "US", 26.07, -80.15, "America/New_York"],
+    ["ATL", "KATL", "Hartsfield-Jackson Atlanta International", "Atlanta", null, "US", 33.64, -84.43, "America/New_York"],
+    ["BOS", "KBOS", "Logan International", "Boston", null, "US", 42.36, -71.01, "America/New_York"],
+    ["SEA", "KSEA", "Seattle-Tacoma International", "Seattle", null, "US", 47.45, -122.31, "America/Los_Angeles"],
+    ["DEN", "KDEN", "Denver International", "Denver", null, "US", 39.86, -104.67, "America/Denver"],
+    ["LAS", "KLAS", "Harry Reid International", "Las Vegas", null, "US", 36.08, -115.15, "America/Los_Angeles"],
+    ["PHX", "KPHX", "Phoenix Sky Harbor International", "Phoenix", null, "US", 33.43, -112.01, "America/Phoenix"],
+    ["MSP", "KMSP", "Minneapolis-Saint Paul International", "Minneapolis", null, "US", 44.88, -93.22, "America/Chicago"],
+    ["DTW", "KDTW", "Detroit Metropolitan Wayne County", "Detroit", null, "US", 42.21, -83.35, "America/Detroit"],
+    ["PHL", "KPHL", "Philadelphia International", "Philadelphia", null, "US", 39.87, -75.24, "America/New_York"],
+    ["CLT", "KCLT", "Charlotte Douglas International", "Charlotte", null, "US", 35.21, -80.94, "America/New_York"],
+    ["MCO", "KMCO", "Orlando International", "Orlando", null, "US", 28.43, -81.31, "America/New_York"],
+    ["TPA", "KTPA", "Tampa International", "Tampa", null, "US", 27.98, -82.53, "America/New_York"],
+    ["JAX", "KJAX", "Jacksonville International", "Jacksonville", null, "US", 30.49, -81.69, "America/New_York"],
+    ["SAN", "KSAN", "San Diego International", "San Diego", null, "US", 32.73, -117.19, "America/Los_Angeles"],
+    ["PDX", "KPDX", "Portland International", "Portland", null, "US", 45.59, -122.6, "America/Los_Angeles"],
+    ["SLC", "KSLC", "Salt Lake City International", "Salt Lake City", null, "US", 40.79, -111.98, "America/Denver"],
+    ["AUS", "KAUS", "Austin-Bergstrom International", "Austin", null, "US", 30.19, -97.67, "America/Chicago"],
+    ["SAT", "KSAT", "San Antonio International", "San Antonio", null, "US", 29.53, -98.47, "America/Chicago"],
+    ["MSY", "KMSY", "Louis Armstrong New Orleans International", "New Orleans", null, "US", 29.99, -90.26, "America/Chicago"],
+    ["BNA", "KBNA", "Nashville International", "Nashville", null, "US", 36.12, -86.68, "America/Chicago"],
+    ["STL", "KSTL", "St. Louis Lambert International", "St. Louis", null, "US", 38.75, -90.37, "America/Chicago"],
+    ["MCI", "KMCI", "Kansas City International", "Kansas City", null, "US", 39.3, -94.71, "America/Chicago"],
+    ["MSN", "KMSN", "Dane County Regional", "Madison", null, "US", 43.14, -89.34, "America/Chicago"],
+    ["MKE", "KMKE", "Milwaukee Mitchell International", "Milwaukee", null, "US", 42.95, -87.9, "America/Chicago"],
+    ["IND", "KIND", "Indianapolis International", "Indianapolis", null, "US", 39.72, -86.29, "America/Indiana/Indianapolis"],
+    ["CVG", "KCVG", "Cincinnati/Northern Kentucky International", "Cincinnati", null, "US", 39.05, -84.66, "America/New_York"],
+    ["CMH", "KCMH", "John Glenn Columbus International", "Columbus", null, "US", 40.0, -82.89, "America/New_York"],
+    ["CLE", "KCLE", "Cleveland Hopkins International", "Cleveland", null, "US", 41.41, -81.85, "America/New_York"],
+    ["PIT", "KPIT", "Pittsburgh International", "Pittsburgh", null, "US", 40.49, -80.23, "America/New_York"],
+    ["RDU", "KRDU", "Raleigh-Durham International", "Raleigh", null, "US", 35.88, -78.79, "America/New_York"],
+    ["SMF", "KSMF", "Sacramento International", "Sacramento", null, "US", 38.7, -121.59, "America/Los_Angeles"],
+    ["FAT", "KFAT", "Fresno Yosemite International", "Fresno", null, "US", 36.78, -119.72, "America/Los_Angeles"],
+    ["RNO", "KRNO", "Reno-Tahoe International", "Reno", null, "US", 39.5, -119.77, "America/Los_Angeles"],
+    ["HNL", "PHNL", "Daniel K. Inouye International", "Honolulu", null, "US", 21.32, -157.92, "Pacific/Honolulu"],
+    ["OGG", "PHOG", "Kahului", "Kahului", null, "US", 20.9, -156.43, "Pacific/Honolulu"],
+    ["ANC", "PANC", "Ted Stevens Anchorage International", "Anchorage", null, "US", 61.17, -150.0, "America/Anchorage"],
+    ["SJU", "TJSJ", "Luis Muñoz Marín International", "San Juan", null, "PR", 18.44, -66.0, "America/Puerto_Rico"],
+
+    // Canada
+    ["YYZ", "CYYZ", "Toronto Pearson International", "Toronto", "YTO", "CA", 43.68, -79.63, "America/Toronto"],
+    ["YTZ", "CYTZ", "Billy Bishop Toronto City", "Toronto", "YTO", "CA", 43.63, -79.4, "America/Toronto"],
+    ["YUL", "CYUL", "Montréal-Trudeau International", "Montreal", "YMQ", "CA", 45.47, -73.74, "America/Toronto"],
+    ["YVR", "CYVR", "Vancouver International", "Vancouver", null, "CA", 49.19, -123.18, "America/Vancouver"],
+    ["YYC", "CYYC", "Calgary International", "Calgary", null, "CA", 51.13, -114.01, "America/Edmonton"],
+    ["YOW", "CYOW", "Ottawa Macdonald-Cartier International", "Ottawa", null, "CA", 45.32, -75.67, "America/Toronto"],
+
+    // Mexico, Central and South America
+    ["MEX", "MMMX", "Mexico City International", "Mexico City", null, "MX", 19.44, -99.07, "America/Mexico_City"],
+    ["CUN", "MMUN", "Cancún International", "Cancun", null, "MX", 21.04, -86.87, "America/Cancun"],
+    ["GDL", "MMGL", "Guadalajara International", "Guadalajara", null, "MX", 20.52, -103.31, "America/Mexico_City"],
+    ["PTY", "MPTO", "Tocumen International", "Panama City", null, "PA", 9.07, -79.38, "America/Panama"],
+    ["BOG", "SKBO", "El Dorado International", "Bogota", null, "CO", 4.7, -74.15, "America/Bogota"],
+    ["LIM", "SPJC", "Jorge Chávez International", "Lima", null, "PE", -12.02, -77.11, "America/Lima"],
+    ["SCL", "SCEL", "Arturo Merino Benítez International", "Santiago", null, "CL", -33.39, -70.79, "America/Santiago"],
+    ["GRU", "SBGR", "São Paulo/Guarulhos International", "Sao Paulo", "SAO", "BR", -23.43, -46.47, "America/Sao_Paulo"],
+    ["CGH", "SBSP", "Congonhas", "Sao Paulo", "SAO", "BR", -23.63, -46.66, "America/Sao_Paulo"],
+    ["VCP", "SBKP", "Viracopos International", "Campinas", "SAO", "BR", -23.01, -47.13, "America/Sao_Paulo"],
+    ["GIG", "SBGL", "Rio de Janeiro/Galeão International", "Rio de Janeiro", "RIO", "BR", -22.81, -43.25, "America/Sao_Paulo"],
+    ["SDU", "SBRJ", "Santos Dumont", "Rio de Janeiro", "RIO", "BR", -22.91, -43.16, "America/Sao_Paulo"],
+    ["EZE", "SAEZ", "Ministro Pistarini International", "Buenos Aires", "BUE", "AR", -34.82, -58.54, "America/Argentina/Buenos_Aires"],
+    ["AEP", "SABE", "Aeroparque Jorge Newbery", "Buenos Aires", "BUE", "AR", -34.56, -58.42, "America/Argentina/Buenos_Aires"],
+
+    // Europe
+    ["LHR", "EGLL", "Heathrow", "London", "LON", "GB", 51.47, -0.45, "Europe/London"],
+    ["LGW", "EGKK", "Gatwick", "London", "LON", "GB", 51.15, -0.19, "Europe/London"],
+    ["STN", "EGSS", "Stansted", "London", "LON", "GB", 51.89, 0.24, "Europe/London"],
+    ["LTN", "EGGW", "Luton", "London", "LON", "GB", 51.87, -0.37, "Europe/London"],
+    ["LCY", "EGLC", "London City", "London", "LON", "GB", 51.51, 0.06, "Europe/London"],
+    ["SEN", "EGMC", "Southend", "London", "LON", "GB", 51.57, 0.7, "Europe/London"],
+    ["MAN", "EGCC", "Manchester", "Manchester", null, "GB", 53.35, -2.28, "Europe/London"],
+    ["EDI", "EGPH", "Edinburgh", "Edinburgh", null, "GB", 55.95, -3.37, "Europe/London"],
+    ["DUB", "EIDW", "Dublin", "Dublin", null, "IE", 53.42, -6.27, "Europe/Dublin"],
+    ["CDG", "LFPG", "Charles de Gaulle", "Paris", "PAR", "FR", 49.01, 2.55, "Europe/Paris"],
+    ["ORY", "LFPO", "Orly", "Paris", "PAR", "FR", 48.72, 2.38, "Europe/Paris"],
+    ["NCE", "LFMN", "Nice Côte d'Azur", "Nice", null, "FR", 43.66, 7.22, "Europe/Paris"],
+    ["LYS", "LFLL", "Lyon-Saint Exupéry", "Lyon", null, "FR", 45.73, 5.08, "Europe/Paris"],
+    ["AMS", "EHAM", "Amsterdam Schiphol", "Amsterdam", null, "NL", 52.31, 4.76, "Europe/Amsterdam"],
+    ["BRU", "EBBR", "Brussels", "Brussels", null, "BE", 50.9, 4.48, "Europe/Brussels"],
+    ["FRA", "EDDF", "Frankfurt", "Frankfurt", null, "DE", 50.03, 8.56, "Europe/Berlin"],
+    ["MUC", "EDDM", "Munich", "Munich", null, "DE", 48.35, 11.79, "Europe/Berlin"],
+    ["BER", "EDDB", "Berlin Brandenburg", "Berlin", null, "DE", 52.37, 13.5, "Europe/Berlin"],
+    ["HAM", "EDDH", "Hamburg", "Hamburg", null, "DE", 53.63, 9.99, "Europe/Berlin"],
+    ["DUS", "EDDL", "Düsseldorf", "Dusseldorf", null, "DE", 51.29, 6.77, "Europe/Berlin"],
+    ["ZRH", "LSZH", "Zurich", "Zurich", null, "CH", 47.46, 8.55, "Europe/Zurich"],
+    ["GVA", "LSGG", "Geneva", "Geneva", null, "CH", 46.24, 6.11, "Europe/Zurich"],
+    ["VIE", "LOWW", "Vienna International", "Vienna", null, "AT", 48.11, 16.57, "Europe/Vienna"],
+    ["PRG", "LKPR", "Václav Havel Prague", "Prague", null, "CZ", 50.1, 14.26, "Europe/Prague"],
+    ["BUD", "LHBP", "Budapest Ferenc Liszt International", "Budapest", null, "HU", 47.43, 19.26, "Europe/Budapest"],
+    ["WAW", "EPWA", "Warsaw Chopin", "Warsaw", null, "PL", 52.17, 20.97, "Europe/Warsaw"],
+    ["KRK", "EPKK", "Kraków John Paul II International", "Krakow", null, "PL", 50.08, 19.78, "Europe/Warsaw"],
+    ["CPH", "EKCH", "Copenhagen", "Copenhagen", null, "DK", 55.62, 12.66, "Europe/Copenhagen"],
+    ["ARN", "ESSA", "Stockholm Arlanda", "Stockholm", "STO", "SE", 59.65, 17.92, "Europe/Stockholm"],
+    ["BMA", "ESSB", "Stockholm Bromma", "Stockholm", "STO", "SE", 59.35, 17.94, "Europe/Stockholm"],
+    ["OSL", "ENGM", "Oslo Gardermoen", "Oslo", null, "NO", 60.19, 11.1, "Europe/Oslo"],
+    ["HEL", "EFHK", "Helsinki-Vantaa", "Helsinki", null, "FI", 60.32, 24.96, "Europe/Helsinki"],
+    ["KEF", "BIKF", "Keflavík International", "Reykjavik", null, "IS", 63.99, -22.62, "Atlantic/Reykjavik"],
+    ["MAD", "LEMD", "Adolfo Suárez Madrid-Barajas", "Madrid", null, "ES", 40.49, -3.57, "Europe/Madrid"],
+    ["BCN", "LEBL", "Josep Tarradellas Barcelona-El Prat", "Barcelona", null, "ES", 41.3, 2.08, "Europe/Madrid"],
+    ["PMI", "LEPA", "Palma de Mallorca", "Palma", null, "ES", 39.55, 2.74, "Europe/Madrid"],
+    ["AGP", "LEMG", "Málaga-Costa del Sol", "Malaga", null, "ES", 36.67, -4.5, "Europe/Madrid"],
+    ["LIS", "LPPT", "Humberto Delgado", "Lisbon", null, "PT", 38.77, -9.13, "Europe/Lisbon"],
+    ["OPO", "LPPR", "Francisco Sá Carneiro", "Porto", null, "PT", 41.24, -8.68, "Europe/Lisbon"],
+    ["FAO", "LPFR", "Faro", "Faro", null, "PT", 37.01, -7.97, "Europe/Lisbon"],
+    ["FCO", "LIRF", "Leonardo da Vinci-Fiumicino", "Rome", "ROM", "IT", 41.8, 12.25, "Europe/Rome"],
+    ["CIA", "LIRA", "Ciampino", "Rome", "ROM", "IT", 41.8, 12.59, "Europe/Rome"],
+    ["MXP", "LIMC", "Milan Malpensa", "Milan", "MIL", "IT", 45.63, 8.72, "Europe/Rome"],
+    ["LIN", "LIML", "Milan Linate", "Milan", "MIL", "IT", 45.45, 9.28, "Europe/Rome"],
+    ["BGY", "LIME", "Milan Bergamo", "Bergamo", "MIL", "IT", 45.67, 9.7, "Europe/Rome"],
+    ["VCE", "LIPZ", "Venice Marco Polo", "Venice", null, "IT", 45.51, 12.35, "Europe/Rome"],
+    ["NAP", "LIRN", "Naples International", "Naples", null, "IT", 40.89, 14.29, "Europe/Rome"],
+    ["FLR", "LIRQ", "Florence Peretola", "Florence", null, "IT", 43.81, 11.2, "Europe/Rome"],
+    ["ATH", "LGAV", "Athens International", "Athens", null, "GR", 37.94, 23.94, "Europe/Athens"],
+    ["IST", "LTFM", "Istanbul", "Istanbul", "IST", "TR", 41.26, 28.74, "Europe/Istanbul"],
+    ["SAW", "LTFJ", "Sabiha Gökçen International", "Istanbul", "IST", "TR", 40.9, 29.31, "Europe/Istanbul"],
+    ["SVO", "UUEE", "Sheremetyevo International", "Moscow", "MOW", "RU", 55.97, 37.41, "Europe/Moscow"],
+    ["DME", "UUDD", "Domodedovo International", "Moscow", "MOW", "RU", 55.41, 37.91, "Europe/Moscow"],
+    ["VKO", "UUWW", "Vnukovo International", "Moscow", "MOW", "RU", 55.6, 37.27, "Europe/Moscow"],
+
+    // Middle East and Africa
+    ["DXB", "OMDB", "Dubai International", "Dubai", null, "AE", 25.25, 55.36, "Asia/Dubai"],
+    ["AUH", "OMAA", "Zayed International", "Abu Dhabi", null, "AE", 24.43, 54.65, "Asia/Dubai"],
+    ["DOH", "OTHH", "Hamad International", "Doha", null, "QA", 25.27, 51.61, "Asia/Qatar"],
+    ["TLV", "LLBG", "Ben Gurion", "Tel Aviv", null, "IL", 32.01, 34.89, "Asia/Jerusalem"],
+    ["CAI", "HECA", "Cairo International", "Cairo", null, "EG", 30.12, 31.41, "Africa/Cairo"],
+    ["CMN", "GMMN", "Mohammed V International", "Casablanca", null, "MA", 33.37, -7.59, "Africa/Casablanca"],
+    ["RAK", "GMMX", "Marrakesh Menara", "Marrakesh", null, "MA", 31.61, -8.04, "Africa/Casablanca"],
+    ["JNB", "FAOR", "O. R. Tambo International", "Johannesburg", null, "ZA", -26.14, 28.25, "Africa/Johannesburg"],
+    ["CPT", "FACT", "Cape Town International", "Cape Town", null, "ZA", -33.97, 18.6, "Africa/Johannesburg"],
+    ["NBO", "HKJK", "Jomo Kenyatta International", "Nairobi", null, "KE", -1.32, 36.93, "Africa/Nairobi"],
+    ["ADD", "HAAB", "Addis Ababa Bole International", "Addis Ababa", null, "ET", 8.98, 38.8, "Africa/Addis_Ababa"],
+    ["LOS", "DNMM", "Murtala Muhammed International", "Lagos", null, "NG", 6.58, 3.32, "Africa/Lagos"],
+
+    // Asia
+    ["BOM", "VABB", "Chhatrapati Shivaji Maharaj International", "Mumbai", null, "IN", 19.09, 72.87, "Asia/Kolkata"],
+    ["DEL", "VIDP", "Indira Gandhi International", "Delhi", null, "IN", 28.56, 77.1, "Asia/Kolkata"],
+    ["BLR", "VOBL", "Kempegowda International", "Bangalore", null, "IN", 13.2, 77.71, "Asia/Kolkata"],
+    ["MAA", "VOMM", "Chennai International", "Chennai", null, "IN", 12.99, 80.17, "Asia/Kolkata"],
+    ["CCU", "VECC", "Netaji Subhas Chandra Bose International", "Kolkata", null, "IN", 22.65, 88.45, "Asia/Kolkata"],
+    ["HYD", "VOHS", "Rajiv Gandhi International", "Hyderabad", null, "IN", 17.24, 78.43, "Asia/Kolkata"],
+    ["GOI", "VOGO", "Dabolim", "Goa", null, "IN", 15.38, 73.83, "Asia/Kolkata"],
+    ["COK", "VOCI", "Cochin International", "Kochi", null, "IN", 10.15, 76.4, "Asia/Kolkata"],
+    ["NRT", "RJAA", "Narita International", "Tokyo", "TYO", "JP", 35.77, 140.39, "Asia/Tokyo"],
+    ["HND", "RJTT", "Haneda", "Tokyo", "TYO", "JP", 35.55, 139.78, "Asia/Tokyo"],
+    ["KIX", "RJBB", "Kansai International", "Osaka", "OSA", "JP", 34.43, 135.24, "Asia/Tokyo"],
+    ["ITM", "RJOO", "Osaka Itami", "Osaka", "OSA", "JP", 34.79, 135.44, "Asia/Tokyo"],
+    ["ICN", "RKSI", "Incheon International", "Seoul", "SEL", "KR", 37.46, 126.44, "Asia/Seoul"],
+    ["GMP", "RKSS", "Gimpo International", "Seoul", "SEL", "KR", 37.56, 126.79, "Asia/Seoul"],
+    ["PEK", "ZBAA", "Beijing Capital International", "Beijing", "BJS", "CN", 40.08, 116.58, "Asia/Shanghai"],
+    ["PKX", "ZBAD", "Beijing Daxing International", "Beijing", "BJS", "CN", 39.51, 116.41, "Asia/Shanghai"],
+    ["PVG", "ZSPD", "Shanghai Pudong International", "Shanghai", "SHA", "CN", 31.14, 121.81, "Asia/Shanghai"],
+    ["SHA", "ZSSS", "Shanghai Hongqiao International", "Shanghai", "SHA", "CN", 31.2, 121.34, "Asia/Shanghai"],
+    ["CAN", "ZGGG", "Guangzhou Baiyun International", "Guangzhou", null, "CN", 23.39, 113.3, "Asia/Shanghai"],
+    ["HKG", "VHHH", "Hong Kong International", "Hong Kong", null, "HK", 22.31, 113.91, "Asia/Hong_Kong"],
+    ["TPE", "RCTP", "Taoyuan International", "Taipei", null, "TW", 25.08, 121.23, "Asia/Taipei"],
+    ["SIN", "WSSS", "Changi", "Singapore", null, "SG", 1.36, 103.99, "Asia/Singapore"],
+    ["KUL", "WMKK", "Kuala Lumpur International", "Kuala Lumpur", null, "MY", 2.75, 101.71, "Asia/Kuala_Lumpur"],
+    ["BKK", "VTBS", "Suvarnabhumi", "Bangkok", "BKK", "TH", 13.69, 100.75, "Asia/Bangkok"],
+    ["DMK", "VTBD", "Don Mueang International", "Bangkok", "BKK", "TH", 13.91, 100.61, "Asia/Bangkok"],
+    ["HKT", "VTSP", "Phuket International", "Phuket", null, "TH", 8.11, 98.32, "Asia/Bangkok"],
+    ["SGN", "VVTS", "Tan Son Nhat International", "Ho Chi Minh City", null, "VN", 10.82, 106.65, "Asia/Ho_Chi_Minh"],
+    ["HAN", "VVNB", "Noi Bai International", "Hanoi", null, "VN", 21.22, 105.81, "Asia/Ho_Chi_Minh"],
+    ["MNL", "RPLL", "Ninoy Aquino International", "Manila", null, "PH", 14.51, 121.02, "Asia/Manila"],
+    ["CGK", "WIII", "Soekarno-Hatta International", "Jakarta", null, "ID", -6.13, 106.66, "Asia/Jakarta"],
+    ["DPS", "WADD", "I Gusti Ngurah Rai International", "Denpasar", null, "ID", -8.75, 115.17, "Asia/Makassar"],
+    ["KTM", "VNKT", "Tribhuvan International", "Kathmandu", null, "NP", 27.7, 85.36, "Asia/Kathmandu"],
+    ["CMB", "VCBI", "Bandaranaike International", "Colombo", null, "LK", 7.18, 79.88, "Asia/Colombo"],
+    ["MLE", "VRMM", "Velana International", "Male", null, "MV", 4.19, 73.53, "Indian/Maldives"],
+
+    // Oceania
+    ["SYD", "YSSY", "Sydney Kingsford Smith", "Sydney", null, "AU", -33.95, 151.18, "Australia/Sydney"],
+    ["MEL", "YMML", "Melbourne", "Melbourne", null, "AU", -37.67, 144.84, "Australia/Melbourne"],
+    ["BNE", "YBBN", "Brisbane", "Brisbane", null, "AU", -27.38, 153.12, "Australia/Brisbane"],
+    ["PER", "YPPH", "Perth", "Perth", null, "AU", -31.94, 115.97, "Australia/Perth"],
+    ["AKL", "NZAA", "Auckland", "Auckland", null, "NZ", -37.01, 174.79, "Pacific/Auckland"],
+    ["CHC", "NZCH", "Christchurch", "Christchurch", null, "NZ", -43.49, 172.53, "Pacific/Auckland"],
+];
+
+// Other names for cities, metro areas and countries, resolved to a metro or airport code
+export const LOCATION_ALIASES = {
+    nyc: "NYC",
+    "new york city": "NYC",
+    manhattan: "NYC",
+    "washington dc": "WAS",
+    "washington d.c.": "WAS",
+    dc: "WAS",
+    "bay area": "SFO",
+    "silicon valley": "SFO",
+    "orange county": "SNA",
+    maui: "OGG",
+    hawaii: "HNL",
+    bombay: "BOM",
+    "new delhi": "DEL",
+    bengaluru: "BLR",
+    madras: "MAA",
+    calcutta: "CCU",
+    saigon: "SGN",
+    bali: "DPS",
+    peking: "BJS",
+    yosemite: "FAT",
+    portugal: "LIS", // Lisbon - main Portugal airport
+    germany: "FRA",
+};
@@ -0,0 +1,4577 @@
+/**
+ * Commercial Airport Reference Data
+ * Every airport with an IATA code and scheduled passenger service, from the OurAirports
+ * database (public domain). Complements the curated major airports in airports.js, which add
+ * metro codes and decide which airport a city name resolves to.
+ *
+ * Row columns: [iata, icao, name, city, country, latitude, longitude, timezone]
+ * `icao` is null for airports without one.
+ */
+
+export const COMMERCIAL_AIRPORT_COLUMNS = [
+    "iata",
+    "icao",
+    "name",
+    "city",
+    "country",
+    "latitude",
+    "longitude",
+    "timezone",
+];
+
+// prettier-ignore
+export const COMMERCIAL_AIRPORT_ROWS = [
+    ["AAA", "NTGA", "Anaa Airport", "Anaa", "PF", -17.36, -145.51, "Pacific/Tahiti"],
+    ["AAC", "HEAR", "El Arish International Airport", "El Arish", "EG", 31.08, 33.83, "Africa/Cairo"],
+    ["AAE", "DABB", "Annaba Rabah Bitat Airport", "Annaba", "DZ", 36.82, 7.81, "Africa/Algiers"],
+    ["AAG", "SSYA", "Arapoti", "Arapoti", "BR", -24.14, -49.86, "America/Sao_Paulo"],
+    ["AAI", "SWRA", "Arraias Airport", "Arraias", "BR", -12.92, -46.93, "America/Belem"],
+    ["AAK", "NGUK", "Aranuka Airport", "Buariki", "KI", 0.17, 173.58, "Pacific/Tarawa"],
+    ["AAL", "EKYT", "Aalborg Airport", "Aalborg", "DK", 57.09, 9.87, "Europe/Copenhagen"],
+    ["AAN", "OMAL", "Al Ain Airport", "Al Ain", "AE", 24.26, 55.62, "Asia/Dubai"],
+    ["AAP", "WALS", "Aji Pangeran Tumenggung Pranoto International Airport", "Samarinda", "ID", -0.37, 117.26, "Asia/Makassar"],
+    ["AAQ", "URKA", "Anapa Airport", "Krasnyi Kurgan", "RU", 45, 37.35, "Europe/Moscow"],
+    ["AAR", "EKAH", "Aarhus Airport", "Aarhus", "DK", 56.31, 10.63, "Europe/Copenhagen"],
+    ["AAT", "ZWAT", "Altay Airport", "Altay", "CN", 47.75, 88.08, "Asia/Urumqi"],
+    ["AAX", "SBAX", "Araxa Airport", "Araxa", "BR", -19.57, -46.93, "America/Sao_Paulo"],
+    ["AAY", "OYGD", "Al Ghaydah Airport", "Al Ghaydah", "YE", 16.2, 52.17, "Asia/Aden"],
+    ["AAZ", "MGQZ", "Los Altos Airport", "Quezaltenango", "GT", 14.87, -91.5, "America/Guatemala"],
+    ["ABA", "UNAA", "Abakan Airport", "Abakan", "RU", 53.72, 91.5, "Asia/Krasnoyarsk"],
+    ["ABD", "OIAA", "Abadan Airport", "Abadan", "IR", 30.36, 48.23, "Asia/Tehran"],
+    ["ABE", "KABE", "Lehigh Valley International Airport", "Allentown", "US", 40.65, -75.43, "America/New_York"],
+    ["ABI", "KABI", "Abilene Regional Airport", "Abilene", "US", 32.41, -99.68, "America/Chicago"],
+    ["ABJ", "DIAP", "Felix Houphouet Boigny Airport", "Abidjan", "CI", 5.25, -3.93, "Africa/Abidjan"],
+    ["ABK", "HAKD", "Kabri Dar Airport", "Kebri Dahar", "ET", 6.73, 44.25, "Africa/Addis_Ababa"],
+    ["ABL", "PAFM", "Ambler Airport", "Ambler", "US", 67.09, -157.85, "America/Anchorage"],
+    ["ABM", "YNPE", "Northern Peninsula Airport", "Amberley", "AU", -10.94, 142.45, "Australia/Brisbane"],
+    ["ABQ", "KABQ", "Albuquerque International Sunport", "Albuquerque", "US", 35.05, -106.62, "America/Denver"],
+    ["ABR", "KABR", "Aberdeen Regional Airport", "Aberdeen", "US", 45.45, -98.43, "America/Chicago"],
+    ["ABS", "HEBL", "Abu Simbel Airport", "Abu Simbel", "EG", 22.37, 31.61, "Africa/Cairo"],
+    ["ABT", "OEBA", "Al-Aqiq Airport", "Al-Baha", "SA", 20.29, 41.64, "Asia/Riyadh"],
+    ["ABU", "WATA", "A.A. Bere Tallo Airport", "A.A. Bere Tallo", "ID", -9.08, 124.91, "Asia/Makassar"],
+    ["ABV", "DNAA", "Nnamdi Azikiwe International Airport", "Abuja", "NG", 9, 7.27, "Africa/Lagos"],
+    ["ABX", "YMAY", "Albury Airport", "Albury", "AU", -36.07, 146.95, "Australia/Sydney"],
+    ["ABY", "KABY", "Southwest Georgia Regional Airport", "Albany", "US", 31.53, -84.2, "America/New_York"],
+    ["ABZ", "EGPD", "Aberdeen International Airport", "Aberdeen", "GB", 57.2, -2.2, "Europe/London"],
+    ["ACA", "MMAA", "Acapulco International Airport", "Ciudad de Acapulco", "MX", 16.76, -99.75, "America/Mexico_City"],
+    ["ACC", "DGAA", "Kotoka International Airport", "Accra", "GH", 5.61, -0.17, "Africa/Accra"],
+    ["ACE", "GCRR", "Lanzarote Airport", "San Bartolomé", "ES", 28.95, -13.61, "Atlantic/Canary"],
+    ["ACF", "ZWAL", "Alaer Talimu Airport", "Brisbane", "CN", 40.46, 81.25, "Asia/Shanghai"],
+    ["ACH", "LSZR", "Altenrhein Airport", "Altenrhein", "CH", 47.48, 9.57, "Europe/Zurich"],
+    ["ACI", "EGJA", "Alderney Airport", "Saint Anne", "GG", 49.71, -2.22, "Europe/Guernsey"],
+    ["ACK", "KACK", "Nantucket Memorial Airport", "Nantucket", "US", 41.26, -70.06, "America/New_York"],
+    ["ACM", null, "Arica Airport", "Arica", "CO", -2, -71.83, "America/Bogota"],
+    ["ACT", "KACT", "Waco Regional Airport", "Waco", "US", 31.61, -97.22, "America/Chicago"],
+    ["ACV", "KACV", "California Redwood Coast-Humboldt County Airport", "Arcata/Eureka", "US", 40.97, -124.11, "America/Los_Angeles"],
+    ["ACX", "ZUYI", "Xingyi Wanfenglin Airport", "Xingyi", "CN", 25.09, 104.96, "Asia/Shanghai"],
+    ["ACY", "KACY", "Atlantic City International Airport", "Atlantic City", "US", 39.45, -74.57, "America/New_York"],
+    ["ADA", "LTAF", "Adana Sakirpasa Airport", "Seyhan", "TR", 36.99, 35.3, "Europe/Istanbul"],
+    ["ADB", "LTBJ", "Izmir Adnan Menderes Airport", "İzmir", "TR", 38.29, 27.15, "Europe/Istanbul"],
+    ["ADD", "HAAB", "Addis Ababa Bole International Airport", "Addis Ababa", "ET", 8.98, 38.8, "Africa/Addis_Ababa"],
+    ["ADE", "OYAA", "Aden International Airport", "Aden", "YE", 12.83, 45.04, "Asia/Aden"],
+    ["ADF", "LTCP", "Adiyaman Airport", "Adıyaman", "TR", 37.75, 38.27, "Europe/Istanbul"],
+    ["ADJ", "OJAM", "Marka International Airport", "Amman", "JO", 31.98, 35.98, "Asia/Amman"],
+    ["ADK", "PADK", "Adak Island Naval Station", "Adak", "US", 51.88, -176.64, "America/Adak"],
+    ["ADL", "YPAD", "Adelaide Airport", "Adelaide", "AU", -34.94, 138.54, "Australia/Adelaide"],
+    ["ADQ", "PADQ", "Kodiak Airport", "Kodiak", "US", 57.75, -152.51, "America/Anchorage"],
+    ["ADU", "OITL", "Ardabil Airport", "Ardabil", "IR", 38.32, 48.42, "Asia/Tehran"],
+    ["ADZ", "SKSP", "Gustavo Rojas Pinilla International Airport", "San Andrés", "CO", 12.59, -81.7, "America/Bogota"],
+    ["AEB", "ZGBS", "Baise Bama Airport", "Baise (Tianyang)", "CN", 23.72, 106.97, "Asia/Shanghai"],
+    ["AED", null, "Aleneva Airport", "Aleneva", "US", 58.03, -152.9, "America/Anchorage"],
+    ["AEH", "FTTC", "Abeche Airport", "Abeche", "TD", 13.85, 20.85, "Africa/Ndjamena"],
+    ["AEP", "SABE", "Aeroparque Internacional Jorge Newbery", "Buenos Aires", "AR", -34.56, -58.42, "America/Argentina/Buenos_Aires"],
+    ["AER", "URSS", "Sochi International Airport", "Sochi", "RU", 43.45, 39.94, "Europe/Moscow"],
+    ["AES", "ENAL", "Vigra Alesund Airport", "Ålesund", "NO", 62.56, 6.12, "Europe/Oslo"],
+    ["AET", "PFAL", "Allakaket Airport", "Allakaket", "US", 66.55, -152.61, "America/Anchorage"],
+    ["AEU", "OIBA", "Abu Musa Airport", "Abu Musa", "IR", 25.88, 55.03, "Asia/Tehran"],
+    ["AEX", "KAEX", "Alexandria International Airport (Louisiana)", "Alexandria", "US", 31.32, -92.54, "America/Chicago"],
+    ["AEY", "BIAR", "Akureyri Airport", "Akureyri", "IS", 65.65, -18.08, "Atlantic/Reykjavik"],
+    ["AFA", "SAMR", "San Rafael Airport", "San Rafael", "AR", -34.59, -68.4, "America/Argentina/Buenos_Aires"],
+    ["AFL", "SBAT", "Alta Floresta Airport", "Alta Floresta", "BR", -9.87, -56.1, "America/Campo_Grande"],
+    ["AFS", "UTSN", "Zarafshan Airport", "Zarafshan", "UZ", 41.61, 64.23, "Asia/Tashkent"],
+    ["AFZ", "OIMS", "Sabzevar Airport", "Sabzevar", "IR", 36.17, 57.6, "Asia/Tehran"],
+    ["AGA", "GMAD", "Agadir Al Massira Airport", "Agadir (Temsia)", "MA", 30.33, -9.41, "Africa/Casablanca"],
+    ["AGE", "EDWG", "Wangerooge Airport", "Wangerooge", "DE", 53.78, 7.92, "Europe/Berlin"],
+    ["AGH", "ESTA", "Angelholm Helsingborg Airport", "Ängelholm", "SE", 56.29, 12.87, "Europe/Stockholm"],
+    ["AGI", "SMWA", "Wageningen Airport", "Wageningen", "SR", 5.83, -56.83, "America/Paramaribo"],
+    ["AGJ", "RORA", "Aguni Airport", "Aguni", "JP", 26.59, 127.24, "Asia/Tokyo"],
+    ["AGM", "BGAM", "Tasiilaq Heliport", "Tasiilaq", "GL", 65.61, -37.62, "America/Godthab"],
+    ["AGN", "PAGN", "Angoon Seaplane Base", "Angoon", "US", 57.5, -134.57, "America/Juneau"],
+    ["AGP", "LEMG", "Malaga Airport", "Málaga", "ES", 36.68, -4.49, "Europe/Madrid"],
+    ["AGR", "VIAG", "Agra Airport", "Agra", "IN", 27.16, 77.96, "Asia/Kolkata"],
+    ["AGS", "KAGS", "Augusta Regional Airport", "Augusta", "US", 33.37, -81.97, "America/New_York"],
+    ["AGT", "SGES", "Alejo Garcia Airport", "Ciudad del Este", "PY", -25.5, -54.83, "America/Asuncion"],
+    ["AGU", "MMAS", "International Airport of Aguascalientes", "Aguascalientes", "MX", 21.7, -102.31, "America/Mexico_City"],
+    ["AGX", "VOAT", "Agatti Island Airport", "Agatti", "IN", 10.83, 72.18, "Asia/Kolkata"],
+    ["AHA", "VEAP", "Maa Mahamaya Ambikapur Airport", "Maa Mahamaya Ambikapur", "IN", 22.99, 83.2, "Asia/Kolkata"],
+    ["AHB", "OEAB", "Abha Regional Airport", "Abha", "SA", 18.23, 42.66, "Asia/Riyadh"],
+    ["AHE", "NTHE", "Ahe", "Ahe Atoll", "PF", -14.53, -146.32, "Pacific/Tahiti"],
+    ["AHO", "LIEA", "Alghero-Fertilia Airport", "Alghero", "IT", 40.63, 8.3, "Europe/Rome"],
+    ["AHT", null, "Amchitka Airport", "Amchitka", "US", 51.5, 179, "America/Adak"],
+    ["AIA", "KAIA", "Alliance Municipal Airport", "Alliance", "US", 42.05, -102.81, "America/Denver"],
+    ["AIB", null, "Anita Bay Airport", "Anita Bay", "US", 56.23, -132.38, "America/Juneau"],
+    ["AIN", "PAWI", "Wainwright Airport", "Wainwright", "US", 70.63, -160.03, "America/Anchorage"],
+    ["AIP", "VIAX", "Adampur Airport", "Adampur", "IN", 31.43, 75.76, "Asia/Kolkata"],
+    ["AIT", "NCAI", "Aitutaki Airport", "Aitutaki", "CK", -18.83, -159.77, "Pacific/Rarotonga"],
+    ["AIU", "NCAT", "Atiu Island Airport", "Atiu Island", "CK", -20.03, -158.1, "Pacific/Rarotonga"],
+    ["AJA", "LFKJ", "Ajaccio Napoleon Bonaparte Airport", "Ajaccio/Napoléon Bonaparte", "FR", 41.92, 8.79, "Europe/Paris"],
+    ["AJF", "OESK", "Jouf Airport", "Al-Jawf", "SA", 29.79, 40.1, "Asia/Riyadh"],
+    ["AJI", "LTCO", "Agri Airport", "Ağrı", "TR", 39.65, 43.03, "Europe/Istanbul"],
+    ["AJL", "VELP", "Aizawl Airport", "Aizawl (Lengpui)", "IN", 23.84, 92.62, "Asia/Kolkata"],
+    ["AJN", "FMCV", "Ouani Airport", "Ouani", "KM", -12.13, 44.43, "Indian/Comoro"],
+    ["AJR", "ESNX", "Arvidsjaur Airport", "Arvidsjaur", "SE", 65.59, 19.29, "Europe/Stockholm"],
+    ["AJU", "SBAR", "Santa Maria Airport", "Aracaju", "BR", -10.99, -37.07, "America/Belem"],
+    ["AJY", "DRZA", "Manu Dayak International Airport", "Agadez", "NE", 16.96, 7.99, "Africa/Niamey"],
+    ["AKA", "ZLAK", "Ankang Fuqiang Airport", "Ankang", "CN", 32.76, 108.87, "Asia/Shanghai"],
+    ["AKB", "PAAK", "Atka Airport", "Atka", "US", 52.22, -174.2, "America/Adak"],
+    ["AKF", "HLKF", "Kufra Airport", "Kufra", "LY", 24.18, 23.32, "Africa/Tripoli"],
+    ["AKI", "PFAK", "Akiak Airport", "Akiak", "US", 60.91, -161.22, "America/Anchorage"],
+    ["AKJ", "RJEC", "Asahikawa Airport", "Asahikawa", "JP", 43.67, 142.45, "Asia/Tokyo"],
+    ["AKK", "PAKH", "Akhiok Sea Plane Base", "Akhiok", "US", 56.94, -154.17, "America/Anchorage"],
+    ["AKL", "NZAA", "Auckland Airport", "Auckland", "NZ", -37, 174.78, "Pacific/Auckland"],
+    ["AKN", "PAKN", "King Salmon Airport", "King Salmon", "US", 58.68, -156.67, "America/Anchorage"],
+    ["AKP", "PAKP", "Anaktuvuk Airport", "Anaktuvuk Pass", "US", 68.14, -151.74, "America/Anchorage"],
+    ["AKR", "DNAK", "Akure Airport", "Akure", "NG", 7.25, 5.3, "Africa/Lagos"],
+    ["AKS", "AGGA", "Gwaunaru'u Airport", "Auki", "SB", -8.7, 160.68, "Pacific/Guadalcanal"],
+    ["AKU", "ZWAK", "Aksu Airport", "Aksu (Onsu)", "CN", 41.26, 80.29, "Asia/Shanghai"],
+    ["AKV", "CYKO", "Akulivik Airport", "Akulivik", "CA", 60.73, -78.58, "America/Toronto"],
+    ["AKX", "UATT", "Aktobe International Airport", "Aktobe", "KZ", 50.25, 57.21, "Asia/Aqtobe"],
+    ["AKY", "VYSW", "Sittwe Airport", "Sittwe", "MM", 20.13, 92.88, "Asia/Yangon"],
+    ["ALA", "UAAA", "Almaty International Airport", "Almaty", "KZ", 43.35, 77.01, "Asia/Almaty"],
+    ["ALB", "KALB", "Albany International Airport", "Albany", "US", 42.75, -73.81, "America/New_York"],
+    ["ALC", "LEAL", "Alicante-Elche Airport", "Alicante", "ES", 38.29, -0.56, "Europe/Madrid"],
+    ["ALF", "ENAT", "Alta Airport", "Alta", "NO", 69.98, 23.36, "Europe/Oslo"],
+    ["ALG", "DAAG", "Houari Boumediene Airport", "Algiers", "DZ", 36.7, 3.21, "Africa/Algiers"],
+    ["ALH", "YABA", "Albany Airport", "Albany", "AU", -34.94, 117.8, "Australia/Perth"],
+    ["ALO", "KALO", "Waterloo Regional Airport", "Waterloo", "US", 42.56, -92.4, "America/Chicago"],
+    ["ALP", "OSAP", "Aleppo International Airport", "Aleppo", "SY", 36.19, 37.23, "Asia/Damascus"],
+    ["ALS", "KALS", "San Luis Valley Regional Airport", "Alamosa", "US", 37.44, -105.87, "America/Denver"],
+    ["ALV", null, "Andorra La Vella Heliport", "Andorra La Vella", "AD", 42.5, 1.52, "Europe/Andorra"],
+    ["ALW", "KALW", "Walla Walla Regional Airport", "Walla Walla", "US", 46.09, -118.29, "America/Los_Angeles"],
+    ["ALY", "HEAX", "El Nouzha Airport", "Alexandria", "EG", 31.18, 29.95, "Africa/Cairo"],
+    ["ALZ", null, "Alitak Sea Plane Base", "Alitak", "US", 56.9, -154.25, "America/Anchorage"],
+    ["AMA", "KAMA", "Rick Husband Amarillo International Airport", "Amarillo", "US", 35.22, -101.71, "America/Chicago"],
+    ["AMD", "VAAH", "Sardar Vallabhbhai Patel International Airport", "Ahmedabad", "IN", 23.07, 72.62, "Asia/Kolkata"],
+    ["AMH", "HAAM", "Arba Mintch Airport", "Arba Minch", "ET", 6.04, 37.58, "Africa/Addis_Ababa"],
+    ["AMM", "OJAI", "Queen Alia International Airport", "Amman", "JO", 31.72, 35.99, "Asia/Amman"],
+    ["AMQ", "WAPP", "Pattimura International Airport", "Ambon", "ID", -3.7, 128.09, "Asia/Jayapura"],
+    ["AMS", "EHAM", "Amsterdam Airport Schiphol", "Amsterdam", "NL", 52.31, 4.76, "Europe/Amsterdam"],
+    ["AMV", "ULDD", "Amderma Airport", "Amderma", "RU", 69.76, 61.57, "Europe/Moscow"],
+    ["ANC", "PANC", "Ted Stevens Anchorage International Airport", "Anchorage", "US", 61.17, -150, "America/Anchorage"],
+    ["ANF", "SCFA", "Andres Sabella Galvez International Airport", "Antofagasta", "CL", -23.45, -70.44, "America/Santiago"],
+    ["ANH", null, "Anuha Island Resort Airport", "Anuha Island Resort", "SB", -8.98, 160.5, "Pacific/Guadalcanal"],
+    ["ANI", "PANI", "Aniak Airport", "Aniak", "US", 61.57, -159.54, "America/Anchorage"],
+    ["ANR", "EBAW", "Antwerp International Airport", "Antwerp", "BE", 51.19, 4.45, "Europe/Brussels"],
+    ["ANS", "SPHY", "Andahuaylas Airport", "Andahuaylas", "PE", -13.72, -73.36, "America/Lima"],
+    ["ANT", null, "St. Anton Airport", "St. Anton", "AT", 47.15, 10.28, "Europe/Vienna"],
+    ["ANU", "TAPA", "V.C. Bird International Airport", "Osbourn", "AG", 17.14, -61.79, "America/Antigua"],
+    ["ANV", "PANV", "Anvik Airport", "Anvik", "US", 62.65, -160.19, "America/Anchorage"],
+    ["ANX", "ENAN", "Andenes Airport", "Andenes", "NO", 69.3, 16.13, "Europe/Oslo"],
+    ["AOE", "LTBY", "Anadolu Airport", "Eskişehir", "TR", 39.81, 30.52, "Europe/Istanbul"],
+    ["AOG", "ZYAS", "Anshan Teng'ao Airport", "Anshan", "CN", 41.1, 123.86, "Asia/Shanghai"],
+    ["AOI", "LIPY", "Ancona Falconara Airport", "Ancona", "IT", 43.61, 13.36, "Europe/Rome"],
+    ["AOJ", "RJSA", "Aomori Airport", "Aomori", "JP", 40.74, 140.69, "Asia/Tokyo"],
+    ["AOK", "LGKP", "Karpathos Airport", "Karpathos Island", "GR", 35.42, 27.15, "Europe/Athens"],
+    ["AOO", "KAOO", "Altoona Airport", "Altoona", "US", 40.3, -78.32, "America/New_York"],
+    ["AOQ", "BGAG", "Aappilattoq Heliport (Upernavik)", "Aappilattoq", "GL", 72.89, -55.6, "America/Godthab"],
+    ["AOR", "WMKA", "Sultan Abdul Halim Airport", "Alor Satar", "MY", 6.19, 100.4, "Asia/Kuala_Lumpur"],
+    ["AOS", null, "Amook Bay Seaplane Base", "Amook Bay", "US", 57.47, -153.82, "America/Anchorage"],
+    ["APK", "NTGD", "Apataki Airport", "Apataki", "PF", -15.57, -146.41, "Pacific/Tahiti"],
+    ["APL", "FQNP", "Nampula Airport", "Nampula", "MZ", -15.1, 39.29, "Africa/Maputo"],
+    ["APN", "KAPN", "Alpena County Regional Airport", "Alpena", "US", 45.08, -83.56, "America/Detroit"],
+    ["APO", "SKLC", "Apartado Airport", "Carepa", "CO", 7.82, -76.72, "America/Bogota"],
+    ["APW", "NSFA", "Faleolo Airport", "Apia", "WS", -13.83, -172, "Pacific/Apia"],
+    ["APY", "SNAI", "Alto Parnaiba Airport", "Alto Parnaiba", "BR", -9.13, -45.93, "America/Belem"],
+    ["AQA", "SBAQ", "Araraquara Airport", "Araraquara", "BR", -21.81, -48.14, "America/Sao_Paulo"],
+    ["AQG", "ZSAQ", "Anqing Tianzhushan Airport", "Anqing", "CN", 30.58, 117.05, "Asia/Shanghai"],
+    ["AQI", "OEPA", "Qaisumah Airport", "Qaisumah", "SA", 28.33, 46.12, "Asia/Riyadh"],
+    ["AQJ", "OJAQ", "King Hussein International Airport", "Aqaba", "JO", 29.61, 35.02, "Asia/Amman"],
+    ["AQP", "SPQU", "Rodriguez Ballon International Airport", "Arequipa", "PE", -16.34, -71.57, "America/Lima"],
+    ["ARC", "PARC", "Arctic Village Airport", "Arctic Village", "US", 68.14, -145.52, "America/Anchorage"],
+    ["ARD", "WATM", "Alor Island Airport", "Alor Island", "ID", -8.13, 124.6, "Asia/Makassar"],
+    ["ARH", "ULAA", "Talagi Airport", "Archangelsk", "RU", 64.6, 40.71, "Europe/Moscow"],
+    ["ARI", "SCAR", "Chacalluta Airport", "Arica", "CL", -18.35, -70.34, "America/Santiago"],
+    ["ARK", "HTAR", "Arusha Airport", "Arusha", "TZ", -3.37, 36.68, "Africa/Dar_es_Salaam"],
+    ["ARM", "YARM", "Armidale Airport", "Armidale", "AU", -30.53, 151.61, "Australia/Sydney"],
+    ["ARN", "ESSA", "Stockholm Arlanda Airport", "Stockholm", "SE", 59.65, 17.93, "Europe/Stockholm"],
+    ["ART", "KART", "Watertown International Airport", "Watertown", "US", 43.99, -76.02, "America/New_York"],
+    ["ARU", "SBAU", "Aracatuba Airport", "Araçatuba", "BR", -21.14, -50.43, "America/Sao_Paulo"],
+    ["ARW", "LRAR", "Arad International Airport", "Arad", "RO", 46.17, 21.28, "Europe/Bucharest"],
+    ["ASA", "HHSB", "Assab Airport", "Asab", "ER", 13.07, 42.64, "Africa/Asmara"],
+    ["ASB", "UTAA", "Ashgabat International Airport", "Ashgabat", "TM", 37.98, 58.37, "Asia/Ashgabat"],
+    ["ASE", "KASE", "Aspen/Pitkin County Airport", "Aspen", "US", 39.22, -106.86, "America/Denver"],
+    ["ASF", "URWA", "Astrakhan Airport", "Astrakhan", "RU", 46.29, 48, "Europe/Samara"],
+    ["ASI", "FHAW", "Wideawake Field", "Cat Hill", "SH", -7.97, -14.4, "Atlantic/St_Helena"],
+    ["ASJ", "RJKA", "Amami Airport", "Amami", "JP", 28.43, 129.71, "Asia/Tokyo"],
+    ["ASM", "HHAS", "Asmara International Airport", "Asmara", "ER", 15.29, 38.91, "Africa/Asmara"],
+    ["ASO", "HASO", "Asosa Airport", "Asosa", "ET", 10.05, 34.54, "Africa/Addis_Ababa"],
+    ["ASP", "YBAS", "Alice Springs Airport", "Alice Springs", "AU", -23.8, 133.9, "Australia/Darwin"],
+    ["ASR", "LTAU", "Kayseri Erkilet Airport", "Kayseri", "TR", 38.77, 35.49, "Europe/Istanbul"],
+    ["ASU", "SGAS", "Silvio Pettirossi International Airport", "Luque", "PY", -25.24, -57.51, "America/Asuncion"],
+    ["ASV", "HKAM", "Amboseli Airport", "Amboseli National Park", "KE", -2.63, 37.25, "Africa/Nairobi"],
+    ["ASW", "HESN", "Aswan Airport", "Aswan", "EG", 23.97, 32.82, "Africa/Cairo"],
+    ["ATC", "MYCA", "Arthur's Town Airport", "Arthur's Town", "BS", 24.63, -75.67, "America/Nassau"],
+    ["ATH", "LGAV", "Athens International Airport", "Athens", "GR", 37.94, 23.95, "Europe/Athens"],
+    ["ATK", "PATQ", "Atqasuk Airport", "Atqasuk", "US", 70.5, -157.33, "America/Anchorage"],
+    ["ATL", "KATL", "Hartsfield-Jackson Atlanta International Airport", "Atlanta", "US", 33.64, -84.44, "America/New_York"],
+    ["ATM", "SBHT", "Altamira Airport", "Altamira", "BR", -3.2, -52.22, "America/Belem"],
+    ["ATQ", "VIAR", "Sri Guru Ram Dass Jee International Airport", "Amritsar", "IN", 31.71, 74.81, "Asia/Kolkata"],
+    ["ATT", "K4A2", "Atmautluak Airport", "Atmautluak", "US", 60.87, -162.27, "America/Anchorage"],
+    ["ATW", "KATW", "Appleton International Airport", "Appleton", "US", 44.26, -88.51, "America/Chicago"],
+    ["ATY", "KATY", "Watertown Regional Airport", "Watertown", "US", 44.91, -97.15, "America/Chicago"],
+    ["ATZ", "HEAT", "Assiut Airport", "Asyut", "EG", 27.05, 31.01, "Africa/Cairo"],
+    ["AUA", "TNCA", "Reina Beatrix International Airport", "Oranjestad", "AW", 12.5, -70.01, "America/Aruba"],
+    ["AUB", null, "Itauba Airport", "Itauba", "BR", -5.77, -63.35, "America/Campo_Grande"],
+    ["AUC", "SKUC", "Arauca Airport", "Arauca", "CO", 7.07, -70.74, "America/Bogota"],
+    ["AUG", "KAUG", "Augusta State Airport", "Augusta", "US", 44.32, -69.8, "America/New_York"],
+    ["AUH", "OMAA", "Abu Dhabi International Airport", "Abu Dhabi", "AE", 24.43, 54.65, "Asia/Dubai"],
+    ["AUK", "PAUK", "Alakanuk Airport", "Alakanuk", "US", 62.69, -164.61, "America/Anchorage"],
+    ["AUL", null, "Aur Island Airport", "Aur Island", "MH", 8.13, 171.17, "Pacific/Majuro"],
+    ["AUQ", "NTMN", "Hiva Oa Airport", "Hiva Oa Island", "PF", -9.77, -139.01, "Pacific/Marquesas"],
+    ["AUR", "LFLW", "Aurillac Airport", "Aurillac", "FR", 44.9, 2.42, "Europe/Paris"],
+    ["AUS", "KAUS", "Austin-Bergstrom International Airport", "Austin", "US", 30.2, -97.67, "America/Chicago"],
+    ["AUU", "YAUR", "Aurukun Airport", "Aurukun", "AU", -13.36, 141.72, "Australia/Brisbane"],
+    ["AUX", "SWGN", "Araguaina Airport", "Araguaína", "BR", -7.2, -48.2, "America/Belem"],
+    ["AVA", "ZUAS", "An Shun/Huang Guo Shu Airport", "Anshun (Xixiu)", "CN", 26.26, 105.87, "Asia/Shanghai"],
+    ["AVF", null, "Avoriaz Airport", "Avoriaz", "FR", 46.2, 6.77, "Europe/Paris"],
+    ["AVK", "ZMAH", "Arvaikheer Airport", "Arvaikheer", "MN", 46.27, 102.78, "Asia/Ulaanbaatar"],
+    ["AVL", "KAVL", "Asheville Regional Airport", "Asheville", "US", 35.44, -82.54, "America/New_York"],
+    ["AVN", "LFMV", "Avignon-Caumont Airport", "Avignon/Caumont", "FR", 43.91, 4.9, "Europe/Paris"],
+    ["AVP", "KAVP", "Wilkes-Barre/Scranton International Airport", "Wilkes-Barre/Scranton", "US", 41.34, -75.73, "America/New_York"],
+    ["AVR", "VAAM", "Amravati Airport", "Vila Franca de Xira", "IN", 20.81, 77.72, "Asia/Kolkata"],
+    ["AVV", "YMAV", "Avalon Airport", "Lara", "AU", -38.03, 144.47, "Australia/Sydney"],
+    ["AWA", "HALA", "Awasa Airport", "Hawassa", "ET", 7.06, 38.49, "Africa/Addis_Ababa"],
+    ["AWH", null, "Awareh Airport", "Awareh", "ET", 8.27, 44.18, "Africa/Addis_Ababa"],
+    ["AWK", "PWAK", "Wake Island Airport", "Wake Island", "UM", 19.28, 166.63, "Pacific/Wake"],
+    ["AWZ", "OIAW", "Ahwaz International Airport", "Ahvaz", "IR", 31.34, 48.75, "Asia/Tehran"],
+    ["AXA", "TQPF", "Clayton J. Lloyd International Airport", "The Valley", "AI", 18.21, -63.05, "America/Anguilla"],
+    ["AXD", "LGAL", "Demokritos Airport", "Alexandroupolis", "GR", 40.86, 25.94, "Europe/Athens"],
+    ["AXF", "ZBAL", "Alxa Left Banner Bayanhot Airport", "Bayanhot", "CN", 38.82, 105.63, "Asia/Shanghai"],
+    ["AXJ", "RJDA", "Amakusa Airport", "Amakusa", "JP", 32.48, 130.16, "Asia/Tokyo"],
+    ["AXM", "SKAR", "El Eden Airport", "Armenia", "CO", 4.45, -75.77, "America/Bogota"],
+    ["AXP", "MYAP", "Springpoint Airport", "Spring Point", "BS", 22.45, -73.97, "America/Nassau"],
+    ["AXR", "NTGU", "Arutua Airport", "Arutua", "PF", -15.25, -146.75, "Pacific/Tahiti"],
+    ["AXT", "RJSK", "Akita Airport", "Akita", "JP", 39.61, 140.22, "Asia/Tokyo"],
+    ["AXU", "HAAX", "Axum Airport", "Axum", "ET", 14.12, 38.72, "Africa/Addis_Ababa"],
+    ["AYJ", "VEAY", "Ayodhya Airport", "Ayodhya", "IN", 26.75, 82.15, "Asia/Kolkata"],
+    ["AYP", "SPHO", "Ayacucho Airport", "Ayacucho", "PE", -13.2, -74.25, "America/Lima"],
+    ["AYQ", "YAYE", "Connellan Airport", "Yulara", "AU", -25.19, 130.98, "Australia/Darwin"],
+    ["AYT", "LTAI", "Antalya Airport", "Antalya", "TR", 36.9, 30.8, "Europe/Istanbul"],
+    ["AYZ", null, "Zahns Airport", "Zahns", "US", 40.67, -73.42, "America/New_York"],
+    ["AZA", "KIWA", "Phoenix-Mesa Gateway Airport", "Mesa", "US", 33.31, -111.66, "America/Phoenix"],
+    ["AZD", "OIYY", "Yazd Airport", "Yazd", "IR", 31.9, 54.28, "Asia/Tehran"],
+    ["AZN", "UTFA", "Andizhan Airport", "Andizhan", "UZ", 40.73, 72.3, "Asia/Tashkent"],
+    ["AZO", "KAZO", "Kalamazoo Battle Creek International Airport", "Kalamazoo", "US", 42.24, -85.56, "America/Detroit"],
+    ["AZR", "DAUA", "Adrar Airport", "Adrar", "DZ", 27.88, -0.28, "Africa/Algiers"],
+    ["AZS", "MDCY", "Samana El Catey Airport", "Samana", "DO", 19.27, -69.74, "America/Santo_Domingo"],
+    ["BAG", "RPUB", "Loakan Airport", "Baguio City", "PH", 16.38, 120.62, "Asia/Manila"],
+    ["BAH", "OBBI", "Bahrain International Airport", "Manama", "BH", 26.27, 50.63, "Asia/Bahrain"],
+    ["BAK", null, "Metropolitan Area", "Metropolitan Area", "AZ", 40.5, 49.83, "Asia/Baku"],
+    ["BAL", "LTCJ", "Batman Airport", "Batman", "TR", 37.92, 41.08, "Europe/Istanbul"],
+    ["BAQ", "SKBQ", "Ernesto Cortissoz International Airport", "Barranquilla", "CO", 10.89, -74.78, "America/Bogota"],
+    ["BAR", "ZJQH", "Qionghai Bo'ao Airport", "Qionghai (Basuo)", "CN", 19.14, 110.46, "Asia/Shanghai"],
+    ["BAS", "AGGE", "Balalae Airport", "Ballalae", "SB", -6.99, 155.88, "Pacific/Guadalcanal"],
+    ["BAV", "ZBOW", "Baotou Erliban Airport", "Baotou", "CN", 40.56, 110, "Asia/Shanghai"],
+    ["BAX", "UNBB", "Barnaul Airport", "Barnaul", "RU", 53.36, 83.55, "Asia/Omsk"],
+    ["BAY", "LRBM", "Baia Mare Airport", "Baia Mare", "RO", 47.66, 23.47, "Europe/Bucharest"],
+    ["BAZ", "SWBC", "Barcelos Airport", "Barcelos", "BR", -0.97, -62.93, "America/Boa_Vista"],
+    ["BBA", "SCBA", "Balmaceda Airport", "Balmaceda", "CL", -45.92, -71.69, "America/Santiago"],
+    ["BBG", "NGTU", "Butaritari Airport", "Butaritari", "KI", 3.17, 172.75, "Pacific/Tarawa"],
+    ["BBI", "VEBS", "Biju Patnaik International Airport", "Bhubaneswar", "IN", 20.25, 85.82, "Asia/Kolkata"],
+    ["BBK", "FBKE", "Kasane Airport", "Kasane", "BW", -17.83, 25.16, "Africa/Gaborone"],
+    ["BBM", "VDBG", "Battambang Airport", "Battambang", "KH", 13.12, 103.2, "Asia/Phnom_Penh"],
+    ["BBN", "WBGZ", "Bario Airport", "Bario", "MY", 3.68, 115.47, "Asia/Kuala_Lumpur"],
+    ["BBO", "HCMI", "Berbera International Airport", "Berbera", "SO", 10.39, 44.94, "Africa/Mogadishu"],
+    ["BBQ", "TAPH", "Barbuda Codrington Airport", "Codrington", "AG", 17.64, -61.83, "America/Antigua"],
+    ["BBR", "TFFB", "Baillif Airport", "Basse Terre", "GP", 16.02, -61.74, "America/Guadeloupe"],
+    ["BBU", "LRBS", "Bucharest Baneasa-Aurel Vlaicu International Airport", "Bucharest", "RO", 44.5, 26.08, "Europe/Bucharest"],
+    ["BCA", "MUBA", "Baracoa Airport", "Baracoa", "CU", 20.35, -74.5, "America/Havana"],
+    ["BCD", "RPVB", "Bacolod-Silay International Airport", "Bacolod City", "PH", 10.78, 123.01, "Asia/Manila"],
+    ["BCI", "YBAR", "Barcaldine Airport", "Barcaldine", "AU", -23.56, 145.3, "Australia/Brisbane"],
+    ["BCM", "LRBC", "Bacau Airport", "Bacău", "RO", 46.6, 26.88, "Europe/Bucharest"],
+    ["BCN", "LEBL", "Josep Tarradellas Barcelona-El Prat Airport", "Barcelona", "ES", 41.3, 2.08, "Europe/Madrid"],
+    ["BCU", "DNBC", "Bauchi Airport", "Bauchi", "NG", 10.3, 9.82, "Africa/Lagos"],
+    ["BDA", "TXKF", "L.F. Wade International Airport", "Hamilton", "BM", 32.36, -64.7, "Atlantic/Bermuda"],
+    ["BDB", "YBUD", "Bundaberg Airport", "Bundaberg", "AU", -24.9, 152.32, "Australia/Brisbane"],
+    ["BDD", "YBAU", "Badu Island Airport", "Badu Island", "AU", -10.15, 142.17, "Australia/Brisbane"],
+    ["BDH", "OIBL", "Bandar Lengeh International Airport", "Bandar Lengeh", "IR", 26.53, 54.83, "Asia/Tehran"],
+    ["BDJ", "WAOO", "Syamsudin Noor International Airport", "Landasan Ulin", "ID", -3.44, 114.75, "Asia/Makassar"],
+    ["BDL", "KBDL", "Bradley International Airport", "Hartford", "US", 41.93, -72.68, "America/New_York"],
+    ["BDO", "WICC", "Husein Sastranegara International Airport", "Bandung", "ID", -6.9, 107.58, "Asia/Jakarta"],
+    ["BDP", "VNCG", "Bhadrapur Airport", "Chandragarhi", "NP", 26.53, 88.08, "Asia/Kathmandu"],
+    ["BDQ", "VABO", "Vadodara Airport", "Vadodara", "IN", 22.33, 73.22, "Asia/Kolkata"],
+    ["BDS", "LIBR", "Brindisi - Salento Airport", "Brindisi", "IT", 40.66, 17.94, "Europe/Rome"],
+    ["BDT", "FZFD", "Gbadolite Airport", "Gbadolite", "CD", 4.08, 22.45, "Africa/Kinshasa"],
+    ["BDU", "ENDU", "Bardufoss Airport", "Målselv", "NO", 69.06, 18.54, "Europe/Oslo"],
+    ["BEB", "EGPL", "Benbecula Airport", "Balivanich", "GB", 57.47, -7.38, "Europe/London"],
+    ["BED", "KBED", "Laurence G. Hanscom Field", "Bedford", "US", 42.47, -71.29, "America/New_York"],
+    ["BEF", "MNBL", "Bluefields Airport", "Bluefileds", "NI", 12, -83.77, "America/Managua"],
+    ["BEG", "LYBE", "Belgrad Nikola Tesla Airport", "Belgrade", "RS", 44.82, 20.31, "Europe/Belgrade"],
+    ["BEJ", "WAQT", "Kalimarau Airport", "Tanjung Redeb - Borneo Island", "ID", 2.16, 117.43, "Asia/Makassar"],
+    ["BEK", "VIBY", "Bareilly Airport", "Bareilly", "IN", 28.47, 79.45, "Asia/Kolkata"],
+    ["BEL", "SBBE", "Val De Cans International Airport", "Belém", "BR", -1.39, -48.48, "America/Belem"],
+    ["BEN", "HLLB", "Benina International Airport", "Benina", "LY", 32.09, 20.26, "Africa/Tripoli"],
+    ["BER", "EDDB", "Berlin Brandenburg Airport", "Berlin", "DE", 52.36, 13.51, "Europe/Berlin"],
+    ["BES", "LFRB", "Brest Bretagne Airport", "Brest/Guipavas", "FR", 48.44, -4.42, "Europe/Paris"],
+    ["BET", "PABE", "Bethel Airport", "Bethel", "US", 60.78, -161.83, "America/Anchorage"],
+    ["BEU", "YBIE", "Bedourie Airport", "Bedourie", "AU", -24.23, 139.45, "Australia/Brisbane"],
+    ["BEW", "FQBR", "Beira International Airport", "Beira", "MZ", -19.8, 34.9, "Africa/Maputo"],
+    ["BEY", "OLBA", "Beirut-Rafic Hariri International Airport", "Beirut", "LB", 33.83, 35.49, "Asia/Beirut"],
+    ["BFD", "KBFD", "Bradford Regional Airport", "Bradford", "US", 41.8, -78.64, "America/New_York"],
+    ["BFF", "KBFF", "Western Nebraska Regional Airport", "Scottsbluff", "US", 41.87, -103.59, "America/Denver"],
+    ["BFI", "KBFI", "King County International Airport", "Seattle", "US", 47.53, -122.3, "America/Los_Angeles"],
+    ["BFJ", "ZUBJ", "Bijie Feixiong Airport", "Bijie", "CN", 27.27, 105.47, "Asia/Shanghai"],
+    ["BFL", "KBFL", "Meadows Field Airport", "Bakersfield", "US", 35.44, -119.06, "America/Los_Angeles"],
+    ["BFN", "FABL", "Bram Fischer International Airport", "Bloemfontain", "ZA", -29.1, 26.3, "Africa/Johannesburg"],
+    ["BFQ", "MPPI", "Bahia Pinas Airport", "Bahia Pinas", "PA", 7.58, -78.17, "America/Panama"],
+    ["BFS", "EGAA", "Belfast International Airport", "Belfast", "GB", 54.66, -6.22, "Europe/London"],
+    ["BFV", "VTUO", "Buriram Airport", "Buriram", "TH", 15.32, 103.3, "Asia/Bangkok"],
+    ["BFY", "ZSBA", "Bengbu Tenghu Airport", "Bengbu Tenghu", "CN", 33.17, 117.06, "Asia/Shanghai"],
+    ["BGA", "SKBG", "Palonegro International Airport", "Bucaramanga", "CO", 7.13, -73.18, "America/Bogota"],
+    ["BGC", "LPBG", "Braganca Airport", "Bragança", "PT", 41.86, -6.71, "Europe/Lisbon"],
+    ["BGF", "FEFF", "Bangui-M'poko International Airport", "Bangui", "CF", 4.4, 18.52, "Africa/Bangui"],
+    ["BGG", "LTCU", "Bingol Airport", "Bingol", "TR", 38.86, 40.59, "Europe/Istanbul"],
+    ["BGI", "TBPB", "Grantley Adams International Airport", "Bridgetown", "BB", 13.08, -59.49, "America/Barbados"],
+    ["BGK", "MZBG", "Big Creek Airport", "Big Creek", "BZ", 16.52, -88.4, "America/Belize"],
+    ["BGM", "KBGM", "Greater Binghamton Airport", "Binghamton", "US", 42.21, -75.98, "America/New_York"],
+    ["BGO", "ENBR", "Bergen Airport", "Bergen", "NO", 60.29, 5.23, "Europe/Oslo"],
+    ["BGR", "KBGR", "Bangor International Airport", "Bangor", "US", 44.81, -68.82, "America/New_York"],
+    ["BGW", "ORBI", "Baghdad International Airport", "Baghdad", "IQ", 33.26, 44.23, "Asia/Baghdad"],
+    ["BGY", "LIME", "Orio al Serio International Airport", "Milan", "IT", 45.67, 9.7, "Europe/Rome"],
+    ["BHB", "KBHB", "Hancock County-Bar Harbor Airport", "Bar Harbor", "US", 44.45, -68.36, "America/New_York"],
+    ["BHC", null, "Bhurban Heliport", "Bhurban", "PK", 33.92, 73.43, "Asia/Karachi"],
+    ["BHD", "EGAC", "George Best Belfast City Airport", "Belfast", "GB", 54.61, -5.87, "Europe/London"],
+    ["BHE", "NZWB", "Woodbourne Airport", "Blenheim", "NZ", -41.52, 173.87, "Pacific/Auckland"],
+    ["BHH", "OEBH", "Bisha Domestic Airport", "Bisha", "SA", 19.99, 42.62, "Asia/Riyadh"],
+    ["BHI", "SAZB", "Comandante Espora Airport", "Bahia Blanca", "AR", -38.73, -62.15, "America/Argentina/Buenos_Aires"],
+    ["BHJ", "VABJ", "Shyamji Krishna Verma Airport", "Bhuj", "IN", 23.29, 69.67, "Asia/Kolkata"],
+    ["BHK", "UTSB", "Bukhara Airport", "Bukhara", "UZ", 39.76, 64.47, "Asia/Tashkent"],
+    ["BHM", "KBHM", "Birmingham-Shuttlesworth International Airport", "Birmingham", "US", 33.56, -86.75, "America/Chicago"],
+    ["BHO", "VABP", "Raja Bhoj Airport", "Bhopal", "IN", 23.29, 77.34, "Asia/Kolkata"],
+    ["BHQ", "YBHI", "Broken Hill Airport", "Broken Hill", "AU", -32, 141.47, "Australia/Broken_Hill"],
+    ["BHR", "VNBP", "Bharatpur Airport", "Bharatpur", "NP", 27.68, 84.43, "Asia/Kathmandu"],
+    ["BHS", "YBTH", "Bathurst Airport (New South Wales)", "Bathurst", "AU", -33.41, 149.66, "Australia/Sydney"],
+    ["BHU", "VABV", "Bhavnagar Airport", "Bhavnagar", "IN", 21.76, 72.18, "Asia/Kolkata"],
+    ["BHV", "OPBW", "Bahawalpur Airport", "Bahawalpur", "PK", 29.4, 71.68, "Asia/Karachi"],
+    ["BHX", "EGBB", "Birmingham Airport", "Birmingham", "GB", 52.45, -1.73, "Europe/London"],
+    ["BHY", "ZGBH", "Beihai Fucheng Airport", "Beihai", "CN", 21.54, 109.29, "Asia/Shanghai"],
+    ["BIA", "LFKB", "Airport of Bastia Poretta", "Bastia/Poretta", "FR", 42.55, 9.48, "Europe/Paris"],
+    ["BIC", "LFEA", "Belle Ile", "Belle Ile", "FR", 47.42, -3.33, "Europe/Paris"],
+    ["BID", "KBID", "Block Island State Airport", "Block Island", "US", 41.17, -71.58, "America/New_York"],
+    ["BIH", "KBIH", "Bishop Airport", "Bishop", "US", 37.37, -118.36, "America/Los_Angeles"],
+    ["BII", null, "Enyu Airfield", "Enyu", "MH", 11.53, 165.57, "Pacific/Kwajalein"],
+    ["BIK", "WABB", "Frans Kaisiepo International Airport", "Biak", "ID", -1.19, 136.11, "Asia/Jayapura"],
+    ["BIL", "KBIL", "Billings Logan International Airport", "Billings", "US", 45.8, -108.54, "America/Denver"],
+    ["BIM", "MYBS", "Bimini International Airport", "South Bimini", "BS", 25.7, -79.26, "America/Nassau"],
+    ["BIO", "LEBB", "Bilbao Airport", "Bilbao", "ES", 43.31, -2.91, "Europe/Madrid"],
+    ["BIQ", "LFBZ", "Biarritz - Anglet - Bayonne Airport", "Biarritz/Anglet/Bayonne", "FR", 43.47, -1.53, "Europe/Paris"],
+    ["BIR", "VNVT", "Biratnagar Airport", "Biratnagar", "NP", 26.48, 87.27, "Asia/Kathmandu"],
+    ["BIS", "KBIS", "Bismarck Airport", "Bismarck", "US", 46.77, -100.76, "America/Chicago"],
+    ["BJA", "DAAE", "Soummam – Abane Ramdane Airport", "Béjaïa", "DZ", 36.75, 5.08, "Africa/Algiers"],
+    ["BJB", "OIMN", "Bojnurd International Airport", "Bojnord", "IR", 37.49, 57.31, "Asia/Tehran"],
+    ["BJC", "KBJC", "Rocky Mountain Metropolitan Airport", "Denver", "US", 39.91, -105.12, "America/Denver"],
+    ["BJF", "ENBS", "Batsfjord Airport", "Båtsfjord", "NO", 70.6, 29.67, "Europe/Oslo"],
+    ["BJL", "GBYD", "Yundum International Airport", "Banjul", "GM", 13.34, -16.65, "Africa/Banjul"],
+    ["BJM", "HBBA", "Bujumbura International Airport", "Bujumbura", "BI", -3.32, 29.32, "Africa/Bujumbura"],
+    ["BJR", "HABD", "Bahir Dar Airport", "Bahir Dar", "ET", 11.6, 37.32, "Africa/Addis_Ababa"],
+    ["BJT", null, "Bentota River Seaplane Base", "Bentota River", "LK", 6.43, 79.99, "Asia/Colombo"],
+    ["BJV", "LTFE", "Milas-Bodrum Airport", "Bodrum", "TR", 37.24, 27.67, "Europe/Istanbul"],
+    ["BJX", "MMLO", "Guanajuato International Airport", "Ciudad de Silao", "MX", 20.99, -101.48, "America/Mexico_City"],
+    ["BJZ", "LEBZ", "Badajoz Airport", "Badajoz", "ES", 38.89, -6.82, "Europe/Madrid"],
+    ["BKC", "PABL", "Buckland Airport", "Buckland", "US", 65.98, -161.13, "America/Anchorage"],
+    ["BKF", null, "Lake Brooks Seaplane Base", "Lake Brooks", "US", 58.6, -156.23, "America/Anchorage"],
+    ["BKG", "KBBG", "Branson Airport", "Branson", "US", 36.53, -93.2, "America/Chicago"],
+    ["BKI", "WBKK", "Kota Kinabalu International Airport", "Kota Kinabalu", "MY", 5.92, 116.05, "Asia/Kuala_Lumpur"],
+    ["BKK", "VTBS", "Suvarnabhumi Airport", "Bangkok", "TH", 13.69, 100.75, "Asia/Bangkok"],
+    ["BKM", "WBGQ", "Bakelalan Airport", "Bakalalan", "MY", 3.97, 115.62, "Asia/Kuala_Lumpur"],
+    ["BKO", "GABS", "Bamako-Senou International Airport", "Bamako", "ML", 12.54, -7.95, "Africa/Bamako"],
+    ["BKQ", "YBCK", "Blackall Airport", "Blackall", "AU", -24.43, 145.43, "Australia/Brisbane"],
+    ["BKS", "WIPL", "Fatmawati Soekarno Airport", "Bengkulu", "ID", -3.86, 102.34, "Asia/Jakarta"],
+    ["BKV", null, "Bailing Airport", "Bailing", "CN", 41.66, 110.31, "Asia/Shanghai"],
+    ["BKW", "KBKW", "Raleigh County Memorial Airport", "Beckley", "US", 37.78, -81.12, "America/New_York"],
+    ["BKZ", "HTBU", "Bukoba Airport", "Bukoba", "TZ", -1.33, 31.82, "Africa/Dar_es_Salaam"],
+    ["BLA", "SVBC", "General Jose Antonio Anzoategui International Airport", "Barcelona", "VE", 10.11, -64.69, "America/Caracas"],
+    ["BLB", "MPHO", "Panama Pacifico Airport", "Howard", "PA", 8.91, -79.6, "America/Panama"],
+    ["BLE", "ESSD", "Dala Airport", "Borlange", "SE", 60.43, 15.51, "Europe/Stockholm"],
+    ["BLI", "KBLI", "Bellingham International Airport", "Bellingham", "US", 48.8, -122.53, "America/Los_Angeles"],
+    ["BLJ", "DABT", "Batna Airport", "Batna", "DZ", 35.57, 6.18, "Africa/Algiers"],
+    ["BLL", "EKBI", "Billund Airport", "Billund", "DK", 55.75, 9.15, "Europe/Copenhagen"],
+    ["BLP", "SPBL", "Huallaga Airport", "Huallaga", "PE", -16.58, -69.42, "America/Lima"],
+    ["BLQ", "LIPE", "Guglielmo Marconi Airport", "Bologna", "IT", 44.53, 11.29, "Europe/Rome"],
+    ["BLR", "VOBL", "Kempegowda International Airport", "Bangalore", "IN", 13.2, 77.71, "Asia/Kolkata"],
+    ["BLV", "KBLV", "MidAmerica St. Louis Airport / Scott AFB", "Belleville", "US", 38.55, -89.82, "America/Chicago"],
+    ["BLW", "HCMN", "Beledweyne Airport", "Beledweyne", "SO", 4.7, 45.22, "Africa/Mogadishu"],
+    ["BLZ", "FWCL", "Chileka International Airport", "Blantyre", "MW", -15.67, 34.97, "Africa/Blantyre"],
+    ["BMA", "ESSB", "Bromma Stockholm Airport", "Stockholm", "SE", 59.36, 17.95, "Europe/Stockholm"],
+    ["BME", "YBRM", "Broome International Airport", "Broome", "AU", -17.95, 122.23, "Australia/Perth"],
+    ["BMI", "KBMI", "Central Illinois Regional Airport", "Bloomington/Normal", "US", 40.48, -88.91, "America/Chicago"],
+    ["BMK", "EDWR", "Borkum Airport", "Borkum", "DE", 53.6, 6.7, "Europe/Berlin"],
+    ["BMO", "VYBM", "Banmaw Airport", "Banmaw", "MM", 24.27, 97.25, "Asia/Yangon"],
+    ["BMQ", "HKBM", "Bamburi Airport", "Bamburi", "KE", -4.5, 39.83, "Africa/Nairobi"],
+    ["BMR", "EDWZ", "Baltrum Airport", "Baltrum", "DE", 53.72, 7.4, "Europe/Berlin"],
+    ["BMS", "SNBU", "Brumado Airport", "Brumado", "BR", -14.23, -41.63, "America/Belem"],
+    ["BMU", "WADB", "Sultan Muhammad Salahuddin Airport", "Bima", "ID", -8.54, 118.69, "Asia/Makassar"],
+    ["BMV", "VVBM", "Phung-Duc Airport", "Buon Ma Thuot", "VN", 12.67, 108.05, "Asia/Ho_Chi_Minh"],
+    ["BMW", "DATM", "Bordj Badji Mokhtar Airport", "Bordj Badji Mokhtar", "DZ", 21.38, 0.93, "Africa/Algiers"],
+    ["BMY", "NWWC", "Belep Island Airport", "Waala", "NC", -19.75, 163.67, "Pacific/Noumea"],
+    ["BNA", "KBNA", "Nashville International Airport", "Nashville", "US", 36.13, -86.67, "America/Chicago"],
+    ["BNB", "FZGN", "Boende Airport", "Boende", "CD", -0.29, 20.88, "Africa/Kinshasa"],
+    ["BND", "OIKB", "Bandar Abbas International Airport", "Bandar Abbas", "IR", 27.21, 56.37, "Asia/Tehran"],
+    ["BNE", "YBBN", "Brisbane Airport", "Brisbane", "AU", -27.4, 153.11, "Australia/Brisbane"],
+    ["BNI", "DNBE", "Benin City Airport", "Benin", "NG", 6.32, 5.6, "Africa/Lagos"],
+    ["BNK", "YBNA", "Ballina Byron Gateway Airport", "Ballina", "AU", -28.84, 153.56, "Australia/Sydney"],
+    ["BNN", "ENBN", "Bronnoysund Airport, Bronnoy", "Brønnøy", "NO", 65.46, 12.21, "Europe/Oslo"],
+    ["BNS", "SVBI", "Barinas Airport", "Barinas", "VE", 8.62, -70.22, "America/Caracas"],
+    ["BNX", "LQBK", "Banja Luka International Airport", "Banja Luka", "BA", 44.93, 17.3, "Europe/Sarajevo"],
+    ["BNY", "AGGB", "Bellona Airport", "Bellona", "SB", -11.3, 159.82, "Pacific/Guadalcanal"],
+    ["BOB", "NTTB", "Bora Bora Airport", "Motu Mute", "PF", -16.45, -151.75, "Pacific/Tahiti"],
+    ["BOC", "MPBO", "Bocas Del Toro Airport", "Isla Colón", "PA", 9.34, -82.25, "America/Panama"],
+    ["BOD", "LFBD", "Bordeaux Airport", "Bordeaux/Mérignac", "FR", 44.83, -0.7, "Europe/Paris"],
+    ["BOF", "KBOF", "Bolling AFB Heliport", "Bolling AFB", "US", 38.85, -77.01, "America/New_York"],
+    ["BOG", "SKBO", "El Dorado International Airport", "Bogota", "CO", 4.7, -74.14, "America/Bogota"],
+    ["BOH", "EGHH", "Bournemouth International Airport", "Bournemouth", "GB", 50.78, -1.83, "Europe/London"],
+    ["BOI", "KBOI", "Boise Airport", "Boise", "US", 43.57, -116.22, "America/Boise"],
+    ["BOJ", "LBBG", "Bourgas Airport", "Burgas", "BG", 42.57, 27.52, "Europe/Sofia"],
+    ["BOM", "VABB", "Chhatrapati Shivaji Maharaj International Airport", "Mumbai", "IN", 19.09, 72.87, "Asia/Kolkata"],
+    ["BON", "TNCB", "Flamingo International Airport", "Kralendijk, Bonaire", "BQ", 12.13, -68.28, "America/Curacao"],
+    ["BOO", "ENBO", "Bodo Airport", "Bodø", "NO", 67.27, 14.37, "Europe/Oslo"],
+    ["BOS", "KBOS", "Logan International Airport", "Boston", "US", 42.37, -71.02, "America/New_York"],
+    ["BOT", "AYET", "Boset Airport", "Boset", "PG", -7.23, 141.08, "Pacific/Port_Moresby"],
+    ["BOY", "DFOO", "Bobo Dioulasso Airport", "Bobo Dioulasso", "BF", 11.16, -4.32, "Africa/Ouagadougou"],
+    ["BPE", "ZBDH", "Qinhuangdao Beidaihe Airport", "Qinhuangdao", "CN", 39.67, 119.06, "Asia/Shanghai"],
+    ["BPL", "ZWBL", "Bole Alashankou Airport", "Bole", "CN", 44.9, 82.02, "Asia/Shanghai"],
+    ["BPN", "WALL", "Sultan Aji Muhammad International Airport", "Balikpapan", "ID", -1.26, 116.9, "Asia/Makassar"],
+    ["BPS", "SBPS", "Porto Seguro International Airport", "Porto Seguro", "BR", -16.44, -39.08, "America/Belem"],
+    ["BPT", "KBPT", "Jack Brooks Regional Airport", "Beaumont/Port Arthur", "US", 29.95, -94.02, "America/Chicago"],
+    ["BPX", "ZUBD", "Changdu Bangda Airport", "Bangda", "CN", 30.56, 97.11, "Asia/Shanghai"],
+    ["BPY", "FMNQ", "Besalampy Airport", "Besalampy", "MG", -16.75, 44.48, "Indian/Antananarivo"],
+    ["BQB", "YBLN", "Busselton Margaret River Airport", "Brusselton", "AU", -33.69, 115.4, "Australia/Perth"],
+    ["BQG", "UHNB", "Bogorodskoye Airport", "Bogorodskoe", "RU", 52.38, 140.45, "Asia/Vladivostok"],
+    ["BQJ", "UEBB", "Batagay Airport", "Batagay", "RU", 67.65, 134.7, "Asia/Vladivostok"],
+    ["BQK", "KBQK", "Brunswick Golden Isles Airport", "Brunswick", "US", 31.17, -81.48, "America/New_York"],
+    ["BQL", "YBOU", "Boulia Airport", "Boulia", "AU", -22.9, 139.9, "Australia/Brisbane"],
+    ["BQN", "TJBQ", "Rafael Hernández International Airport", "Aguadilla", "PR", 18.5, -67.13, "America/Puerto_Rico"],
+    ["BQS", "UHBB", "Ignatievo Airport", "Blagoveschensk", "RU", 50.42, 127.4, "Asia/Yakutsk"],
+    ["BQT", "UMBB", "Brest Airport", "Brest", "BY", 52.11, 23.9, "Europe/Minsk"],
+    ["BQU", "TVSB", "J.F. Mitchell", "Bequia", "VC", 13.02, -61.39, "America/St_Vincent"],
+    ["BRA", "SNBR", "Barreiras Airport", "Barreiras", "BR", -12.07, -45.01, "America/Belem"],
+    ["BRB", "SBRR", "Barreirinhas Airport", "Barreirinhas", "BR", -2.76, -42.82, "America/Fortaleza"],
+    ["BRC", "SAZS", "San Carlos de Bariloche International Airport", "San Carlos de Bariloche", "AR", -41.15, -71.16, "America/Argentina/Buenos_Aires"],
+    ["BRD", "KBRD", "Brainerd Lakes Regional Airport", "Brainerd", "US", 46.4, -94.14, "America/Chicago"],
+    ["BRE", "EDDW", "Bremen Airport", "Bremen", "DE", 53.05, 8.79, "Europe/Berlin"],
+    ["BRI", "LIBD", "Bari International Airport-Karol Wojtyla", "Bari", "IT", 41.13, 16.76, "Europe/Rome"],
+    ["BRK", "YBKE", "Bourke Airport", "Bourke", "AU", -30.08, 145.93, "Australia/Sydney"],
+    ["BRL", "KBRL", "Southeast Iowa Regional Airport", "Burlington", "US", 40.79, -91.12, "America/Chicago"],
+    ["BRM", "SVBM", "Barquisimeto Airport", "Barquisimeto", "VE", 10.05, -69.36, "America/Caracas"],
+    ["BRN", "LSZB", "Bern Airport", "Bern-Belp", "CH", 46.91, 7.5, "Europe/Zurich"],
+    ["BRO", "KBRO", "Brownsville/South Padre Island International Airport", "Brownsville", "US", 25.91, -97.42, "America/Chicago"],
+    ["BRQ", "LKTB", "Turany Airport", "Brno", "CZ", 49.15, 16.7, "Europe/Prague"],
+    ["BRR", "EGPR", "Barra Eoligarry Airport", "Eoligarry", "GB", 57.03, -7.45, "Europe/London"],
+    ["BRS", "EGGD", "Bristol Airport", "Bristol", "GB", 51.39, -2.71, "Europe/London"],
+    ["BRU", "EBBR", "Brussels Airport", "Zaventem", "BE", 50.9, 4.48, "Europe/Brussels"],
+    ["BRW", "PABR", "Wiley Post-Will Rogers Memorial Airport", "Utqiaġvik", "US", 71.29, -156.77, "America/Anchorage"],
+    ["BRX", "MDBH", "Barahona Airport", "Barahona", "DO", 18.22, -71.12, "America/Santo_Domingo"],
+    ["BSA", "HCMF", "Bosaso International Airport", "Bosaso", "SO", 11.28, 49.15, "Africa/Mogadishu"],
+    ["BSB", "SBBR", "International Airport of Brasilia", "Brasília", "BR", -15.87, -47.92, "America/Sao_Paulo"],
+    ["BSC", "SKBS", "Bahia Solano Airport", "Bahía Solano", "CO", 6.18, -77.4, "America/Bogota"],
+    ["BSD", "ZPBS", "Baoshan Airport", "Baoshan (Longyang)", "CN", 25.06, 99.16, "Asia/Shanghai"],
+    ["BSG", "FGBT", "Bata Airport", "Bata", "GQ", 1.91, 9.8, "Africa/Malabo"],
+    ["BSK", "DAUB", "Biskra Airport", "Biskra", "DZ", 34.79, 5.74, "Africa/Algiers"],
+    ["BSL", "LFSB", "EuroAirport Basel-Mulhouse-Freiburg - French", "Bâle/Mulhouse", "FR", 47.6, 7.53, "Europe/Paris"],
+    ["BSO", "RPUO", "Basco Airport", "Basco", "PH", 20.45, 121.98, "Asia/Manila"],
+    ["BSR", "ORMM", "Basra International Airport", "Basra", "IQ", 30.55, 47.67, "Asia/Baghdad"],
+    ["BSX", "VYPN", "Pathein Airport", "Pathein", "MM", 16.81, 94.77, "Asia/Yangon"],
+    ["BSZ", "UCFM", "Manas International Airport", "Manas", "KG", 43.05, 74.47, "Asia/Bishkek"],
+    ["BTC", "VCCB", "Batticaloa Airport", "Batticaloa", "LK", 7.7, 81.68, "Asia/Colombo"],
+    ["BTH", "WIDD", "Hang Nadim Airport", "Batam", "ID", 1.12, 104.12, "Asia/Jakarta"],
+    ["BTI", "PABA", "Barter Island Airport", "Barter Island", "US", 70.13, -143.58, "America/Anchorage"],
+    ["BTJ", "WITT", "Sultan Iskandar Muda International Airport", "Banda Aceh", "ID", 5.52, 95.42, "Asia/Jakarta"],
+    ["BTK", "UIBB", "Bratsk Airport", "Bratsk", "RU", 56.37, 101.82, "Asia/Irkutsk"],
+    ["BTM", "KBTM", "Bert Mooney Airport", "Butte", "US", 45.95, -112.49, "America/Denver"],
+    ["BTO", "SMBO", "Botopasi Airport", "Botopasi", "SR", 4.25, -55.45, "America/Paramaribo"],
+    ["BTR", "KBTR", "Baton Rouge Metropolitan Airport", "Baton Rouge", "US", 30.53, -91.16, "America/Chicago"],
+    ["BTS", "LZIB", "Bratislava Airport", "Bratislava", "SK", 48.17, 17.2, "Europe/Bratislava"],
+    ["BTT", "PABT", "Bettles Airport", "Bettles", "US", 66.92, -151.53, "America/Anchorage"],
+    ["BTU", "WBGB", "Bintulu Airport", "Bintulu", "MY", 3.12, 113.02, "Asia/Kuala_Lumpur"],
+    ["BTV", "KBTV", "Burlington International Airport", "South Burlington", "US", 44.47, -73.16, "America/New_York"],
+    ["BTW", "WAOC", "Batulicin Airport", "Batu Licin", "ID", -3.41, 116, "Asia/Makassar"],
+    ["BUA", "AYBK", "Buka Airport", "Buka Island", "PG", -5.42, 154.67, "Pacific/Bougainville"],
+    ["BUC", "YBKT", "Burketown Airport", "Burketown", "AU", -17.75, 139.53, "Australia/Brisbane"],
+    ["BUD", "LHBP", "Budapest Airport", "Budapest", "HU", 47.43, 19.26, "Europe/Budapest"],
+    ["BUF", "KBUF", "Buffalo Niagara International Airport", "Buffalo", "US", 42.93, -78.73, "America/New_York"],
+    ["BUI", "WAJB", "Bokondini Airport", "Bokondini-Papua Island", "ID", -3.68, 138.68, "Asia/Jayapura"],
+    ["BUN", "SKBU", "Buenaventura Airport", "Buenaventura", "CO", 3.83, -77, "America/Bogota"],
+    ["BUQ", "FVBU", "Bulawayo Joshua Mqabuko Nkomo International Airport", "Bulawayo", "ZW", -20.01, 28.62, "Africa/Harare"],
+    ["BUR", "KBUR", "Hollywood Burbank Airport", "Burbank", "US", 34.2, -118.35, "America/Los_Angeles"],
+    ["BUS", "UGSB", "Batumi Airport", "Batumi", "GE", 41.61, 41.6, "Asia/Tbilisi"],
+    ["BUT", "VQBT", "Bathpalathang Airport", "Jakar", "BT", 27.56, 90.75, "Asia/Thimphu"],
+    ["BUU", "WIPI", "Muara Bungo Airport", "Muara Bungo", "ID", -1.54, 102.18, "Asia/Jakarta"],
+    ["BUX", "FZKA", "Bunia Airport", "Bunia", "CD", 1.57, 30.22, "Africa/Lubumbashi"],
+    ["BUZ", "OIBB", "Bushehr Airport", "Bushehr", "IR", 28.96, 50.83, "Asia/Tehran"],
+    ["BVA", "LFOB", "Paris Beauvais Airport", "Beauvais", "FR", 49.46, 2.11, "Europe/Paris"],
+    ["BVB", "SBBV", "Boa Vista Airport", "Boa Vista", "BR", 2.83, -60.67, "America/Porto_Velho"],
+    ["BVC", "GVBA", "Aristides Pereira International Airport", "Rabil", "CV", 16.08, -22.83, "Atlantic/Cape_Verde"],
+    ["BVE", "LFSL", "Brive–Souillac Airport", "Brive la Gaillarde", "FR", 45.04, 1.49, "Europe/Paris"],
+    ["BVG", "ENBV", "Berlevag Airport", "Berlevåg", "NO", 70.87, 29, "Europe/Oslo"],
+    ["BVH", "SBVH", "Vilhena Airport", "Vilhena", "BR", -12.72, -60.12, "America/Porto_Velho"],
+    ["BVI", "YBDV", "Birdsville Airport", "Birdsville", "AU", -25.9, 139.34, "Australia/Brisbane"],
+    ["BVJ", "USDB", "Bovanenkovo Airport", "Bovanenkovo", "RU", 70.32, 68.33, "Asia/Yekaterinburg"],
+    ["BVS", "SNVS", "Breves Airport", "Breves", "BR", -1.67, -50.47, "America/Belem"],
+    ["BWA", "VNBW", "Gautam Buddha International Airport", "Siddharthanagar (Bhairahawa)", "NP", 27.5, 83.42, "Asia/Kathmandu"],
+    ["BWI", "KBWI", "Baltimore/Washington International Thurgood Marshall Airport", "Baltimore", "US", 39.18, -76.67, "America/New_York"],
+    ["BWK", "LDSB", "Bol Airport", "Bol", "HR", 43.28, 16.68, "Europe/Zagreb"],
+    ["BWN", "WBSB", "Brunei International Airport", "Bandar Seri Begawan", "BN", 4.95, 114.93, "Asia/Brunei"],
+    ["BWO", "UWSB", "Balakovo Airport", "Balakovo", "RU", 51.86, 47.75, "Europe/Saratov"],
+    ["BWT", "YWYY", "Burnie Wynyard Airport", "Burnie", "AU", -41, 145.73, "Australia/Brisbane"],
+    ["BWX", "WADY", "Banyuwangi International Airport", "Banyuwangi", "ID", -8.31, 114.34, "Asia/Jakarta"],
+    ["BXG", "YBDG", "Bendigo Airport", "Bendigo", "AU", -36.74, 144.33, "Australia/Melbourne"],
+    ["BXH", "UAAH", "Balkhash Airport", "Balkhash", "KZ", 46.89, 75, "Asia/Almaty"],
+    ["BXR", "OIKM", "Bam Airport", "Bam", "IR", 29.08, 58.45, "Asia/Tehran"],
+    ["BXT", "WRLC", "Bontang Airport", "Bontang", "ID", 0.17, 117.5, "Asia/Makassar"],
+    ["BXU", "RPME", "Butuan Airport", "Butuan", "PH", 8.95, 125.48, "Asia/Manila"],
+    ["BYK", "DIBK", "Bouake Airport", "Bouaké", "CI", 7.74, -5.07, "Africa/Abidjan"],
+    ["BYM", "MUBY", "C.M. de Cespedes Airport", "Bayamo", "CU", 20.38, -76.65, "America/Havana"],
+    ["BYN", "ZMBH", "Bayankhongor Airport", "Bayankhongor", "MN", 46.1, 100.68, "Asia/Ulaanbaatar"],
+    ["BYO", "SBDB", "Bonito Airport", "Bointo", "BR", -21.24, -56.45, "America/Campo_Grande"],
+    ["BYR", "EKLS", "Laeso Airport", "Laeso", "DK", 57.28, 11.01, "Europe/Copenhagen"],
+    ["BYW", "38WA", "Blakely Island Airport", "Blakely Island", "US", 48.5, -123, "America/Los_Angeles"],
+    ["BZE", "MZBZ", "Philip S.W. Goldson International Airport", "Belize City", "BZ", 17.54, -88.31, "America/Belize"],
+    ["BZG", "EPBY", "Bydgoszcz Ignacy Jan Paderewski Airport", "Bydgoszcz", "PL", 53.1, 17.98, "Europe/Warsaw"],
+    ["BZI", "LTBF", "Balikesir Airport", "Balikesir", "TR", 39.62, 27.93, "Europe/Istanbul"],
+    ["BZK", "UUBP", "Bryansk International Airport", "Bryansk", "RU", 53.21, 34.18, "Europe/Moscow"],
+    ["BZL", "VGBR", "Barisal Airport", "Barisal", "BD", 22.8, 90.3, "Asia/Dhaka"],
+    ["BZN", "KBZN", "Bozeman Yellowstone International Airport", "Bozeman", "US", 45.78, -111.16, "America/Denver"],
+    ["BZO", "LIPB", "Bolzano Airport", "Bolzano", "IT", 46.46, 11.33, "Europe/Rome"],
+    ["BZR", "LFMU", "Beziers Vias Airport", "Béziers/Vias", "FR", 43.32, 3.35, "Europe/Paris"],
+    ["BZV", "FCBB", "Maya Maya Airport", "Brazzaville", "CG", -4.26, 15.25, "Africa/Brazzaville"],
+    ["BZX", "ZUBZ", "Bazhong Enyang Airport", "Bazhong Enyang", "CN", 31.74, 106.65, "Asia/Shanghai"],
+    ["CAA", "MHGE", "Catacamas Airport", "Catacamas", "HN", 14.83, -85.89, "America/Tegucigalpa"],
+    ["CAB", "FNCA", "Cabinda Airport", "Cabinda", "AO", -5.58, 12.2, "Africa/Luanda"],
+    ["CAC", "SBCA", "Cascavel Airport", "Cascavel", "BR", -25, -53.5, "America/Sao_Paulo"],
+    ["CAE", "KCAE", "Columbia Metropolitan Airport", "Columbia", "US", 33.95, -81.13, "America/New_York"],
+    ["CAF", "SWCA", "Carauari Airport", "Carauari", "BR", -4.9, -66.92, "America/Manaus"],
+    ["CAG", "LIEE", "Cagliari Elmas Airport", "Cagliari", "IT", 39.25, 9.06, "Europe/Rome"],
+    ["CAH", "VVCM", "Ca Mau Airport", "Ca Mau City", "VN", 9.18, 105.18, "Asia/Ho_Chi_Minh"],
+    ["CAI", "HECA", "Cairo International Airport", "Cairo", "EG", 30.12, 31.41, "Africa/Cairo"],
+    ["CAJ", "SVCN", "Canaima Airport", "Canaima", "VE", 6.24, -62.85, "America/Caracas"],
+    ["CAK", "KCAK", "Akron-Canton Regional Airport", "Akron", "US", 40.91, -81.44, "America/New_York"],
+    ["CAL", "EGEC", "Campbeltown Airport", "Campbeltown", "GB", 55.44, -5.69, "Europe/London"],
+    ["CAN", "ZGGG", "Guangzhou Baiyun International Airport", "Guangzhou (Huadu)", "CN", 23.39, 113.3, "Asia/Shanghai"],
+    ["CAP", "MTCH", "Cap Haitien Airport", "Cap Haitien", "HT", 19.73, -72.19, "America/Port-au-Prince"],
+    ["CAT", "LPCS", "Cascais Municipal Aerodrome", "Cascais", "PT", 38.73, -9.36, "Europe/Lisbon"],
+    ["CAU", "SNRU", "Caruaru Airport", "Caruaru", "BR", -8.25, -35.92, "America/Belem"],
+    ["CAW", "SBCP", "Bartolomeu Lisandro Airport", "Campos Dos Goytacazes", "BR", -21.7, -41.3, "America/Sao_Paulo"],
+    ["CAY", "SOCA", "Felix Eboue Airport", "Matoury", "GF", 4.82, -52.37, "America/Cayenne"],
+    ["CAZ", "YCBA", "Cobar Airport", "Cobar", "AU", -31.54, 145.8, "Australia/Sydney"],
+    ["CBB", "SLCB", "Jorge Wilstermann International Airport", "Cochabamba", "BO", -17.41, -66.18, "America/La_Paz"],
+    ["CBH", "DAOR", "Boudghene Ben Ali Lotfi Airport", "Béchar", "DZ", 31.65, -2.26, "Africa/Algiers"],
+    ["CBO", "RPMC", "Awang Airport", "Datu Odin Sinsuat", "PH", 7.16, 124.21, "Asia/Manila"],
+    ["CBQ", "DNCA", "Calabar Airport", "Calabar", "NG", 4.97, 8.35, "Africa/Lagos"],
+    ["CBR", "YSCB", "Canberra Airport", "Canberra", "AU", -35.31, 149.19, "Australia/Sydney"],
+    ["CBT", "FNCT", "Catumbela Airport", "Catumbela", "AO", -12.48, 13.48, "Africa/Luanda"],
+    ["CBZ", null, "Binzhou Dagao General Airport", "Binzhou Dagao General", "CN", 37.61, 117.89, "Asia/Shanghai"],
+    ["CCA", "SLCH", "Chimore Airport", "Chapacura", "BO", -16.99, -65.14, "America/La_Paz"],
+    ["CCC", "MUCC", "Jardines del Rey Airport", "Cayo Coco", "CU", 22.46, -78.33, "America/Havana"],
+    ["CCD", null, "Century City Heliport", "Century City", "US", 34.06, -118.42, "America/Los_Angeles"],
+    ["CCF", "LFMK", "Carcassonne Airport", "Carcassonne/Salvaza", "FR", 43.22, 2.31, "Europe/Paris"],
+    ["CCJ", "VOCL", "Kozhikode Calicut International Airport", "Calicut", "IN", 11.14, 75.95, "Asia/Kolkata"],
+    ["CCK", "YPCC", "Cocos Islands Airport", "West Island", "CC", -12.17, 96.92, "Indian/Cocos"],
+    ["CCM", "SBCM", "Criciuma Airport", "Criciúma", "BR", -28.7, -49.37, "America/Sao_Paulo"],
+    ["CCP", "SCIE", "Carriel Sur Airport", "Concepcion", "CL", -36.78, -73.06, "America/Santiago"],
+    ["CCR", "KCCR", "Buchanan Field", "Concord", "US", 37.99, -122.06, "America/Los_Angeles"],
+    ["CCS", "SVMI", "Simon Bolivar International Airport", "Caracas", "VE", 10.6, -67.01, "America/Caracas"],
+    ["CCU", "VECC", "Netaji Subhas Chandra Bose Airport", "Kolkata", "IN", 22.65, 88.44, "Asia/Kolkata"],
+    ["CCV", "NVSF", "Craig Cove Airport", "Craig Cove", "VU", -16.2, 167.5, "Pacific/Efate"],
+    ["CCZ", "MYBC", "Chub Cay Airport", "Chub Cay", "BS", 25.42, -77.88, "America/Nassau"],
+    ["CDB", "PACD", "Cold Bay Airport", "Cold Bay", "US", 55.2, -162.72, "America/Anchorage"],
+    ["CDC", "KCDC", "Cedar City Regional Airport", "Cedar City", "US", 37.7, -113.1, "America/Denver"],
+    ["CDE", "ZBCD", "Chengde Puning Airport", "Chengde", "CN", 41.12, 118.07, "Asia/Shanghai"],
+    ["CDG", "LFPG", "Paris-Charles De Gaulle Airport", "Paris", "FR", 49, 2.57, "Europe/Paris"],
+    ["CDP", "VOCP", "Kadapa Airport", "Kadapa", "IN", 14.51, 78.76, "Asia/Kolkata"],
+    ["CDR", "KCDR", "Chadron Airport", "Chadron", "US", 42.84, -103.1, "America/Denver"],
+    ["CDT", "LECS", "Castellon-Costa Azahar Airport", "Castellón de la Plana", "ES", 40.21, 0.07, "Europe/Madrid"],
+    ["CDV", "PACV", "Mudhole Smith Airport", "Cordova", "US", 60.49, -145.47, "America/Anchorage"],
+    ["CEB", "RPVM", "Mactan-Cebu International Airport", "Lapu-Lapu City", "PH", 10.31, 123.98, "Asia/Manila"],
+    ["CEC", "KCEC", "Del Norte County Regional Airport", "Crescent City", "US", 41.78, -124.24, "America/Los_Angeles"],
+    ["CED", "YCDU", "Ceduna Airport", "Ceduna", "AU", -32.12, 133.7, "Australia/Adelaide"],
+    ["CEE", "ULWC", "Cherepovets Airport", "Cherepovets", "RU", 59.28, 38.07, "Europe/Moscow"],
+    ["CEI", "VTCT", "Chiang Rai International Airport", "Chiang Rai", "TH", 19.95, 99.88, "Asia/Bangkok"],
+    ["CEK", "USCC", "Chelyabinsk International Airport", "Chelyabinsk", "RU", 55.3, 61.51, "Asia/Yekaterinburg"],
+    ["CEL", "SSCN", "Canela", "Canela", "BR", -29.5, -50.92, "America/Sao_Paulo"],
+    ["CEM", "PARL", "Central Airport", "Central", "US", 65.57, -144.78, "America/Anchorage"],
+    ["CEN", "MMCN", "Ciudad Obregon Airport", "Ciudad Obregón", "MX", 27.39, -109.84, "America/Hermosillo"],
+    ["CEZ", "KCEZ", "Montezuma County Airport", "Cortez", "US", 37.3, -108.63, "America/Denver"],
+    ["CFB", "SBCB", "Cabo Frio International Airport", "Cabo Frio", "BR", -22.92, -42.08, "America/Sao_Paulo"],
+    ["CFE", "LFLC", "Clermont-Ferrand Auvergne Airport", "Clermont-Ferrand/Auvergne", "FR", 45.79, 3.16, "Europe/Paris"],
+    ["CFG", "MUCF", "Jaime Gonzalez Airport", "Cienfuegos", "CU", 22.15, -80.41, "America/Havana"],
+    ["CFK", "DAOI", "Chlef International Airport", "Chlef", "DZ", 36.21, 1.33, "Africa/Algiers"],
+    ["CFN", "EIDL", "Donegal Airport", "Donegal", "IE", 55.04, -8.34, "Europe/Dublin"],
+    ["CFR", "LFRK", "Carpiquet Airport", "Caen/Carpiquet", "FR", 49.18, -0.46, "Europe/Paris"],
+    ["CFS", "YCFS", "Coffs Harbour Airport", "Coffs Harbour", "AU", -30.32, 153.12, "Australia/Sydney"],
+    ["CFU", "LGKR", "Ioannis Kapodistrias Airport", "Kerkyra Island", "GR", 39.61, 19.91, "Europe/Athens"],
+    ["CGA", null, "Craig Seaplane Base", "Craig", "US", 55.48, -133.15, "America/Juneau"],
+    ["CGB", "SBCY", "Marechal Rondon International Airport", "Cuiabá", "BR", -15.65, -56.12, "America/Campo_Grande"],
+    ["CGD", "ZGCD", "Changde Airport", "Changde (Dingcheng)", "CN", 28.92, 111.64, "Asia/Shanghai"],
+    ["CGH", "SBSP", "Sao Paulo Congonhas Airport", "São Paulo", "BR", -23.63, -46.66, "America/Sao_Paulo"],
+    ["CGI", "KCGI", "Cape Girardeau Regional Airport", "Cape Girardeau", "US", 37.22, -89.57, "America/Chicago"],
+    ["CGK", "WIII", "Soekarno-Hatta International Airport", "Jakarta", "ID", -6.13, 106.66, "Asia/Jakarta"],
+    ["CGM", "RPMH", "Camiguin Airport", "Mambajao", "PH", 9.25, 124.71, "Asia/Manila"],
+    ["CGN", "EDDK", "Cologne Bonn Airport", "Köln (Cologne)", "DE", 50.88, 7.12, "Europe/Berlin"],
+    ["CGO", "ZHCC", "Zhengzhou Xinzheng International Airport", "Zhengzhou", "CN", 34.53, 113.84, "Asia/Shanghai"],
+    ["CGP", "VGEG", "Shah Amanat International Airport", "Chattogram (Chittagong)", "BD", 22.25, 91.82, "Asia/Dhaka"],
+    ["CGQ", "ZYCC", "Changchun Longjia International Airport", "Changchun", "CN", 44, 125.7, "Asia/Shanghai"],
+    ["CGR", "SBCG", "Campo Grande International Airport", "Campo Grande", "BR", -20.46, -54.67, "America/Campo_Grande"],
+    ["CGY", "RPMY", "Laguindingan Airport", "Cagayan de Oro", "PH", 8.61, 124.46, "Asia/Manila"],
+    ["CHA", "KCHA", "Chattanooga Metropolitan Airport", "Chattanooga", "US", 35.04, -85.2, "America/New_York"],
+    ["CHC", "NZCH", "Christchurch International Airport", "Christchurch", "NZ", -43.49, 172.54, "Pacific/Auckland"],
+    ["CHD", "SNQU", "Mucuge Airport", "Mucuge", "BR", -13.03, -41.44, "America/Bahia"],
+    ["CHG", "ZYCY", "Chaoyang Airport", "Shuangta, Chaoyang", "CN", 41.55, 120.44, "Asia/Shanghai"],
+    ["CHH", "SPPY", "Chachapoyas Airport", "Chachapoyas", "PE", -6.22, -77.85, "America/Lima"],
+    ["CHM", "SPEO", "Chimbote Airport", "Chimbote", "PE", -9.15, -78.53, "America/Lima"],
+    ["CHO", "KCHO", "Charlottesville Albemarle Airport", "Charlottesville", "US", 38.14, -78.45, "America/New_York"],
+    ["CHQ", "LGSA", "Chania International Airport", "Souda", "GR", 35.54, 24.14, "Europe/Athens"],
+    ["CHS", "KCHS", "Charleston International Airport", "Charleston", "US", 32.88, -80.04, "America/New_York"],
+    ["CHT", "NZCI", "Chatham Islands / Tuuta Airport", "Te One", "NZ", -43.8, -176.35, "Pacific/Chatham"],
+    ["CHU", "PACH", "Chuathbaluk Airport", "Chuathbaluk", "US", 61.58, -159.24, "America/Anchorage"],
+    ["CHX", "MPCH", "Changuinola Airport", "Changuinola", "PA", 9.45, -82.45, "America/Panama"],
+    ["CHY", "AGGC", "Choiseul Bay Airport", "Choiseul Bay", "SB", -6.71, 156.4, "Pacific/Guadalcanal"],
+    ["CIA", "LIRA", "Rome Ciampino Giovan Battista Pastine Airport", "Rome", "IT", 41.8, 12.59, "Europe/Rome"],
+    ["CID", "KCID", "Eastern Iowa Airport", "Cedar Rapids", "US", 41.89, -91.7, "America/Chicago"],
+    ["CIF", "ZBCF", "Chifeng Yulong Airport", "Chifeng", "CN", 42.15, 118.83, "Asia/Shanghai"],
+    ["CIH", "ZBCZ", "Changzhi Wangcun Airport", "Changzhi", "CN", 36.25, 113.12, "Asia/Shanghai"],
+    ["CIJ", "SLCO", "Capitan Anibal Arab Airport", "Cobija", "BO", -11.03, -68.75, "America/La_Paz"],
+    ["CIK", "PACI", "Chalkyitsik Airport", "Chalkyitsik", "US", 66.65, -143.73, "America/Anchorage"],
+    ["CIT", "UAII", "Shymkent International Airport", "Shymkent", "KZ", 42.36, 69.49, "Asia/Almaty"],
+    ["CIU", "KCIU", "Chippewa County International Airport", "Sault Ste Marie", "US", 46.25, -84.46, "America/Detroit"],
+    ["CIW", "TVSC", "Canouan Island Airport", "Canouan", "VC", 12.7, -61.32, "America/St_Vincent"],
+    ["CIX", "SPHI", "J.A. Quinones Gonzalez Airport", "Chiclayo", "PE", -6.79, -79.83, "America/Lima"],
+    ["CIY", "LICB", "Comiso Airport", "Comiso", "IT", 37, 14.61, "Europe/Rome"],
+    ["CJA", "SPJR", "Cajamarca Airport", "Cajamarca", "PE", -7.13, -78.5, "America/Lima"],
+    ["CJB", "VOCB", "Coimbatore International Airport", "Coimbatore", "IN", 11.03, 77.04, "Asia/Kolkata"],
+    ["CJC", "SCCF", "El Loa Airport", "Calama", "CL", -22.5, -68.91, "America/Santiago"],
+    ["CJJ", "RKTU", "Cheongju International Airport", "Cheongju", "KR", 36.72, 127.5, "Asia/Seoul"],
+    ["CJL", "OPCH", "Chitral Airport", "Chitral", "PK", 35.89, 71.79, "Asia/Karachi"],
+    ["CJM", "VTSE", "Chumphon Airport", "Chumphon", "TH", 10.71, 99.36, "Asia/Bangkok"],
+    ["CJN", "WICN", "Cijulang Nusawiru Airport", "Nusawiru", "ID", -7.72, 108.49, "Asia/Jakarta"],
+    ["CJS", "MMCS", "Abraham Gonzalez International Airport", "Ciudad Juárez", "MX", 31.64, -106.44, "America/Ciudad_Juarez"],
+    ["CJU", "RKPC", "Jeju International Airport", "Jeju City", "KR", 33.51, 126.49, "Asia/Seoul"],
+    ["CJZ", "SJZA", "Cajazeiras Airport", "Cajazeiras", "BR", -6.88, -38.62, "America/Fortaleza"],
+    ["CKB", "KCKB", "North Central West Virginia Airport", "Bridgeport", "US", 39.3, -80.23, "America/New_York"],
+    ["CKD", "PACJ", "Crooked Creek Airport", "Crooked Creek", "US", 61.87, -158.1, "America/Anchorage"],
+    ["CKG", "ZUCK", "Chongqing Jiangbei International Airport", "Chongqing", "CN", 29.72, 106.63, "Asia/Shanghai"],
+    ["CKH", "UESO", "Chokurdah Airport", "Chokurdah", "RU", 70.63, 147.88, "Asia/Magadan"],
+    ["CKS", "SBCJ", "Carajas Airport", "Parauapebas", "BR", -6.11, -50, "America/Belem"],
+    ["CKW", "YCHK", "Christmas Creek Mine Airport", "Christmas Creek Mine", "AU", -22.35, 119.64, "Australia/Perth"],
+    ["CKX", null, "Chicken Airport", "Chicken", "US", 64.07, -141.95, "America/Anchorage"],
+    ["CKY", "GUCY", "Conakry International Airport", "Conakry", "GN", 9.58, -13.62, "Africa/Conakry"],
+    ["CKZ", "LTBH", "Canakkale Airport", "Çanakkale", "TR", 40.14, 26.43, "Europe/Istanbul"],
+    ["CLD", "KCRQ", "McClellan-Palomar Airport", "Carlsbad", "US", 33.13, -117.28, "America/Los_Angeles"],
+    ["CLE", "KCLE", "Cleveland Hopkins International Airport", "Cleveland", "US", 41.41, -81.84, "America/New_York"],
+    ["CLJ", "LRCL", "Avram Iancu Cluj International Airport", "Cluj-Napoca", "RO", 46.78, 23.69, "Europe/Bucharest"],
+    ["CLL", "KCLL", "Easterwood Airport", "College Station", "US", 30.59, -96.37, "America/Chicago"],
+    ["CLO", "SKCL", "Alfonso Bonilla Aragon International Airport", "Cali", "CO", 3.54, -76.38, "America/Bogota"],
+    ["CLP", "PFCL", "Clarks Point Airport", "Clarks Point", "US", 58.84, -158.53, "America/Anchorage"],
+    ["CLQ", "MMIA", "Colima Airport", "Colima", "MX", 19.3, -103.65, "America/Mexico_City"],
+    ["CLT", "KCLT", "Charlotte Douglas International Airport", "Charlotte", "US", 35.22, -80.94, "America/New_York"],
+    ["CLV", "SWKN", "Nelson Ribeiro Guimaraes Airport", "Caldas Novas", "BR", -17.73, -48.61, "America/Sao_Paulo"],
+    ["CLY", "LFKC", "Sainte Catherine Airport", "Calvi/Sainte-Catherine", "FR", 42.53, 8.79, "Europe/Paris"],
+    ["CMA", "YCMU", "Cunnamulla Airport", "Cunnamulla", "AU", -28.03, 145.62, "Australia/Brisbane"],
+    ["CMB", "VCBI", "Bandaranaike International Airport", "Colombo", "LK", 7.17, 79.89, "Asia/Colombo"],
+    ["CME", "MMCE", "Ciudad del Carmen International Airport", "Ciudad del Carmen", "MX", 18.65, -91.8, "America/Merida"],
+    ["CMF", "LFLB", "Chambery Airport", "Chambéry/Aix-les-Bains", "FR", 45.64, 5.88, "Europe/Paris"],
+    ["CMG", "SBCR", "Corumba Internacional Airport", "Corumbá", "BR", -19.01, -57.67, "America/Campo_Grande"],
+    ["CMH", "KCMH", "John Glenn Columbus International Airport", "Columbus", "US", 40, -82.88, "America/New_York"],
+    ["CMI", "KCMI", "University of Illinois Willard Airport", "Savoy", "US", 40.04, -88.27, "America/Chicago"],
+    ["CMN", "GMMN", "Mohammed V International Airport", "Casablanca", "MA", 33.37, -7.59, "Africa/Casablanca"],
+    ["CMP", "SNKE", "Campo Alegre Airport", "Santana do Araguaia", "BR", -9.8, -36.35, "America/Belem"],
+    ["CMU", "AYCH", "Chimbu Airport", "Kundiawa", "PG", -6.02, 144.97, "Pacific/Port_Moresby"],
+    ["CMW", "MUCM", "Ign Agramonte International Airport", "Camaguey", "CU", 21.42, -77.85, "America/Havana"],
+    ["CMX", "KCMX", "Houghton County Memorial Airport", "Hancock", "US", 47.17, -88.49, "America/Detroit"],
+    ["CNB", "YCNM", "Coonamble Airport", "Coonamble", "AU", -30.98, 148.38, "Australia/Sydney"],
+    ["CNC", "YCCT", "Coconut Island Airport", "Coconut Island", "AU", -10.05, 143.07, "Australia/Brisbane"],
+    ["CND", "LRCK", "Kogalniceanu Airport", "Constanţa", "RO", 44.35, 28.48, "Europe/Bucharest"],
+    ["CNF", "SBCF", "Tancredo Neves International Airport", "Belo Horizonte", "BR", -19.63, -43.96, "America/Sao_Paulo"],
+    ["CNI", "ZYCH", "Changhai Airport", "Changhai, Dalian", "CN", 39.27, 122.66, "Asia/Shanghai"],
+    ["CNJ", "YCCY", "Cloncurry Airport", "Cloncurry", "AU", -20.67, 140.51, "Australia/Brisbane"],
+    ["CNM", "KCNM", "Cavern City Air Terminal", "Carlsbad", "US", 32.34, -104.26, "America/Denver"],
+    ["CNN", "VOKN", "Kannur International Airport", "Kannur", "IN", 11.92, 75.55, "Asia/Kolkata"],
+    ["CNP", "BGCO", "Neerlerit Inaat Airport", "Neerlerit Inaat", "GL", 70.74, -22.66, "America/Scoresbysund"],
+    ["CNQ", "SARC", "Camba Punta Airport", "Corrientes", "AR", -27.45, -58.76, "America/Argentina/Buenos_Aires"],
+    ["CNS", "YBCS", "Cairns Airport", "Cairns", "AU", -16.88, 145.75, "Australia/Brisbane"],
+    ["CNX", "VTCC", "Chiang Mai International Airport", "Chiang Mai", "TH", 18.77, 98.97, "Asia/Bangkok"],
+    ["CNY", "KCNY", "Canyonlands Regional Airport, Moab", "Moab", "US", 38.76, -109.75, "America/Denver"],
+    ["COD", "KCOD", "Yellowstone Regional Airport", "Cody", "US", 44.52, -109.03, "America/Denver"],
+    ["COK", "VOCI", "Cochin International Airport", "Kochi", "IN", 10.16, 76.39, "Asia/Kolkata"],
+    ["COL", "EGEL", "Coll Island Airport", "Coll Island", "GB", 56.62, -6.62, "Europe/London"],
+    ["COO", "DBBB", "Cotonou Airport", "Cotonou", "BJ", 6.35, 2.38, "Africa/Porto-Novo"],
+    ["COR", "SACO", "Ingeniero Aeronautico Ambrosio L.V. Taravella International Airport", "Cordoba", "AR", -31.32, -64.21, "America/Argentina/Buenos_Aires"],
+    ["COS", "KCOS", "Colorado Springs Airport", "Colorado Springs", "US", 38.8, -104.7, "America/Denver"],
+    ["COU", "KCOU", "Columbia Regional Airport", "Columbia", "US", 38.81, -92.22, "America/Chicago"],
+    ["COV", "LTDB", "Çukurova International Airport", "Çukurova", "TR", 36.9, 35.07, "Europe/Istanbul"],
+    ["CPC", "SAZY", "Aviador Carlos Campos Airport", "Chapelco/San Martin de los Andes", "AR", -40.07, -71.13, "America/Argentina/Salta"],
+    ["CPD", "YCBP", "Coober Pedy Airport", "Coober Pedy", "AU", -29.04, 134.75, "Australia/Adelaide"],
+    ["CPE", "MMCP", "Campeche International Airport", "Campeche", "MX", 19.84, -90.51, "America/Merida"],
+    ["CPH", "EKCH", "Copenhagen Airport", "Copenhagen", "DK", 55.63, 12.65, "Europe/Copenhagen"],
+    ["CPO", "SCAT", "Chamonate Airport", "Copiapo", "CL", -27.3, -70.41, "America/Santiago"],
+    ["CPR", "KCPR", "Casper/Natrona County International Airport", "Casper", "US", 42.91, -106.46, "America/Denver"],
+    ["CPT", "FACT", "Cape Town International Airport", "Cape Town", "ZA", -33.97, 18.6, "Africa/Johannesburg"],
+    ["CPV", "SBKG", "Joao Suassuna Airport", "Campina Grande", "BR", -7.27, -35.9, "America/Belem"],
+    ["CPX", "TJCP", "Benjamin Rivera Noriega Airport", "Culebra Island", "PR", 18.31, -65.3, "America/Puerto_Rico"],
+    ["CQW", "ZUWL", "Chongqing Xiannyushan Airport", "Wulong", "CN", 29.47, 107.69, "Asia/Shanghai"],
+    ["CRA", "LRCV", "Craiova Airport", "Craiova", "RO", 44.32, 23.89, "Europe/Bucharest"],
+    ["CRD", "SAVC", "General E. Mosconi International Airport", "Comodoro Rivadavia", "AR", -45.79, -67.47, "America/Argentina/Buenos_Aires"],
+    ["CRI", "MYCI", "Crooked Island Airport", "Colonel Hill", "BS", 22.75, -74.15, "America/Nassau"],
+    ["CRK", "RPLC", "Clark International Airport", "Mabalacat", "PH", 15.19, 120.55, "Asia/Manila"],
+    ["CRL", "EBCI", "Brussels South Charleroi Airport", "Brussels", "BE", 50.46, 4.45, "Europe/Brussels"],
+    ["CRM", "RPVF", "Catarman National Airport", "Catarman", "PH", 12.48, 124.58, "Asia/Manila"],
+    ["CRP", "KCRP", "Corpus Christi International Airport", "Corpus Christi", "US", 27.77, -97.5, "America/Chicago"],
+    ["CRU", "TGPZ", "Carriacou Island Airport", "Carriacou Island", "GD", 12.48, -61.47, "America/Grenada"],
+    ["CRV", "LIBC", "Crotone Airport", "Crotone", "IT", 39, 17.08, "Europe/Rome"],
+    ["CRW", "KCRW", "Yeager Airport", "Charleston", "US", 38.37, -81.6, "America/New_York"],
+    ["CRZ", "UTAV", "Turkmenabat Airport", "Türkmenabat", "TM", 39.09, 63.6, "Asia/Ashgabat"],
+    ["CSG", "KCSG", "Columbus Airport (Georgia)", "Columbus", "US", 32.51, -84.94, "America/New_York"],
+    ["CSH", "ULAS", "Solovky Airport", "Solovetsky Islands", "RU", 65.03, 35.73, "Europe/Moscow"],
+    ["CSK", "GOGS", "Cap Skirring Airport", "Cap Skirring", "SN", 12.39, -16.74, "Africa/Dakar"],
+    ["CSP", "PACA", "Cape Spencer Coast Guard Heliport", "Cape Spencer Coast Guard", "US", 58.2, -136.64, "America/Juneau"],
+    ["CSW", "MMSL", "Cabo San Lucas International Airport", "Cabo San Lucas", "MX", 22.95, -109.94, "America/Mazatlan"],
+    ["CSX", "ZGHA", "Changsha Huanghua International Airport", "Changsha (Changsha)", "CN", 28.19, 113.21, "Asia/Shanghai"],
+    ["CSY", "UWKS", "Cheboksary Airport", "Cheboksary", "RU", 56.13, 47.27, "Europe/Moscow"],
+    ["CTA", "LICC", "Catania-Fontanarossa Airport", "Catania", "IT", 37.47, 15.07, "Europe/Rome"],
+    ["CTC", "SANC", "Catamarca Airport", "Catamarca", "AR", -28.45, -65.78, "America/Argentina/Buenos_Aires"],
+    ["CTD", "MPCE", "Chitre Alonso Valderrama Airport", "Chitré", "PA", 7.98, -80.41, "America/Panama"],
+    ["CTG", "SKCG", "Rafael Nunez International Airport", "Cartagena", "CO", 10.45, -75.52, "America/Bogota"],
+    ["CTL", "YBCV", "Charleville Airport", "Charleville", "AU", -26.41, 146.26, "Australia/Brisbane"],
+    ["CTM", "MMCM", "Chetumal Airport", "Chetumal", "MX", 18.48, -88.33, "America/Cancun"],
+    ["CTN", "YCKN", "Cooktown Airport", "Cooktown", "AU", -15.44, 145.18, "Australia/Brisbane"],
+    ["CTP", null, "Carutapera Airport", "Carutapera", "BR", -1.25, -46.02, "America/Belem"],
+    ["CTQ", "SSVP", "Do Palmar Airport", "Do Palmar", "BR", -18.85, -50.1, "America/Sao_Paulo"],
+    ["CTS", "RJCC", "New Chitose Airport", "Sapporo", "JP", 42.79, 141.68, "Asia/Tokyo"],
+    ["CTU", "ZUUU", "Chengdu Shuangliu International Airport", "Chengdu (Shuangliu)", "CN", 30.58, 103.96, "Asia/Shanghai"],
+    ["CUA", "MMDA", "Ciudad Constitucion Airport", "Comondú", "MX", 25.05, -111.61, "America/Mazatlan"],
+    ["CUC", "SKCC", "Camilo Daza International Airport", "Cúcuta", "CO", 7.93, -72.51, "America/Bogota"],
+    ["CUE", "SECU", "Mariscal Lamar International Airport", "Cuenca", "EC", -2.89, -78.99, "America/Guayaquil"],
+    ["CUF", "LIMZ", "Levaldigi Airport", "Cuneo", "IT", 44.54, 7.62, "Europe/Rome"],
+    ["CUK", "MZCK", "Caye Caulker Airport", "Caye Caulker", "BZ", 17.74, -88.03, "America/Belize"],
+    ["CUL", "MMCL", "Culiacan International Airport", "Culiacán", "MX", 24.77, -107.47, "America/Mazatlan"],
+    ["CUM", "SVCU", "Antonio Jose de Sucre Airport", "Cumana", "VE", 10.45, -64.13, "America/Caracas"],
+    ["CUN", "MMUN", "Cancun International Airport", "Ciudad de Cancún", "MX", 21.04, -86.87, "America/Cancun"],
+    ["CUP", "SVCP", "Carupano Airport", "Carúpano", "VE", 10.66, -63.26, "America/Caracas"],
+    ["CUQ", "YCOE", "Coen Airport", "Coen", "AU", -13.77, 143.12, "Australia/Brisbane"],
+    ["CUR", "TNCC", "Curacao International Airport", "Willemstad", "CW", 12.18, -68.96, "America/Curacao"],
+    ["CUU", "MMCU", "Gen Fierro Villalobos International Airport", "Chihuahua", "MX", 28.7, -105.97, "America/Mazatlan"],
+    ["CUZ", "SPZO", "Alejandro Velasco Astete International Airport", "Cusco", "PE", -13.54, -71.94, "America/Lima"],
+    ["CVA", null, "Civic Ar Heliport", "Civic Ar", "US", 40.44, -79.99, "America/New_York"],
+    ["CVG", "KCVG", "Cincinnati/Northern Kentucky International Airport", "Cincinnati / Covington", "US", 39.06, -84.66, "America/New_York"],
+    ["CVM", "MMCV", "Ciudad Victoria Airport", "Ciudad Victoria", "MX", 23.71, -98.97, "America/Monterrey"],
+    ["CVN", "KCVN", "Clovis Regional Airport", "Clovis", "US", 34.43, -103.08, "America/Denver"],
+    ["CVQ", "YCAR", "Carnarvon Airport", "Carnarvon", "AU", -24.88, 113.66, "Australia/Perth"],
+    ["CVU", "LPCR", "Corvo Island (Azores) Airport", "Corvo", "PT", 39.7, -31.1, "Atlantic/Azores"],
+    ["CWA", "KCWA", "Central Wisconsin Airport", "Mosinee", "US", 44.78, -89.67, "America/Chicago"],
+    ["CWB", "SBCT", "Afonso Pena International Airport", "Curitiba", "BR", -25.54, -49.17, "America/Sao_Paulo"],
+    ["CWC", "UKLN", "Chernivtsi International Airport", "Chernivtsi", "UA", 48.27, 25.97, "Europe/Kyiv"],
+    ["CWJ", "ZPCW", "Cangyuan Washan Airport", "Lincang (Cangyuan)", "CN", 23.27, 99.37, "Asia/Shanghai"],
+    ["CWL", "EGFF", "Cardiff Airport", "Cardiff", "GB", 51.4, -3.34, "Europe/London"],
+    ["CWS", null, "Center Island Airport", "Center Island", "US", 47.49, -122.83, "America/Los_Angeles"],
+    ["CXB", "VGCB", "Coxs Bazar Airport", "Cox's Bazar", "BD", 21.45, 91.97, "Asia/Dhaka"],
+    ["CXH", "CYHC", "Vancouver Harbour Flight Centre Seaplane Terminal", "Vancouver", "CA", 49.29, -123.12, "America/Vancouver"],
+    ["CXI", "PLCH", "Christmas Island Airport", "Kiritimati", "KI", 1.97, -157.45, "Pacific/Kiritimati"],
+    ["CXJ", "SBCX", "Hugo Cantergiani Regional Airport", "Caxias Do Sul", "BR", -29.2, -51.19, "America/Sao_Paulo"],
+    ["CXP", "WIHL", "Tunggul Wulung Airport", "Cilacap", "ID", -7.73, 109, "Asia/Jakarta"],
+    ["CXR", "VVCR", "Cam Ranh International Airport", "Cam Ranh", "VN", 12.01, 109.22, "Asia/Ho_Chi_Minh"],
+    ["CYA", "MTCA", "Les Cayes Airport", "Les Cayes", "HT", 18.27, -73.79, "America/Port-au-Prince"],
+    ["CYB", "MWCB", "Charles Kirkconnel International Airport", "Cayman Brac", "KY", 19.69, -79.88, "America/Cayman"],
+    ["CYC", "MZCP", "Caye Chapel Airport", "Caye Chapel", "BZ", 17.69, -88.04, "America/Belize"],
+    ["CYF", "PACK", "Chefornak Sea Plane Base", "Chefornak", "US", 60.22, -164.2, "America/Anchorage"],
+    ["CYI", "RCKU", "Chiayi Airport", "Chiayi City", "TW", 23.45, 120.4, "Asia/Taipei"],
+    ["CYO", "MUCL", "Cayo Largo Del Sur Airport", "Cayo Largo del Sur", "CU", 21.62, -81.52, "America/Havana"],
+    ["CYP", "RPVC", "Calbayog Airport", "Calbayog City", "PH", 12.08, 124.54, "Asia/Manila"],
+    ["CYS", "KCYS", "Cheyenne Regional Airport", "Cheyenne", "US", 41.16, -104.82, "America/Denver"],
+    ["CYT", "PACY", "Yakataga Intermediate Airport", "Yakataga", "US", 60.08, -142.49, "America/Anchorage"],
+    ["CYU", "RPLO", "Cuyo Airport", "Cuyo", "PH", 10.88, 121, "Asia/Manila"],
+    ["CYX", "UESS", "Cherskiy Airport", "Cherskiy", "RU", 68.75, 161.35, "Asia/Magadan"],
+    ["CYZ", "RPUY", "Cauayan Airport", "Cauayan City", "PH", 16.93, 121.76, "Asia/Manila"],
+    ["CZE", "SVCR", "Coro Airport", "Coro", "VE", 11.42, -69.68, "America/Caracas"],
+    ["CZH", "MZCZ", "Corozal Airport", "Corozal", "BZ", 18.38, -88.41, "America/Belize"],
+    ["CZL", "DABC", "Mohamed Boudiaf International Airport", "Constantine", "DZ", 36.29, 6.62, "Africa/Algiers"],
+    ["CZM", "MMCZ", "Cozumel Airport", "Ciudad de Cozumel", "MX", 20.51, -86.93, "America/Cancun"],
+    ["CZS", "SBCZ", "Cruzeiro do Sul International Airport", "Cruzeiro Do Sul", "BR", -7.58, -72.78, "America/Eirunepe"],
+    ["CZU", "SKCZ", "Corozal Airport", "Corozal", "CO", 9.34, -75.28, "America/Bogota"],
+    ["CZX", "ZSCG", "Changzhou Airport", "Changzhou", "CN", 31.91, 119.78, "Asia/Shanghai"],
+    ["DAB", "KDAB", "Daytona Beach International Airport", "Daytona Beach", "US", 29.19, -81.06, "America/New_York"],
+    ["DAC", "VGHS", "Hazrat Shahjalal International Airport", "Dhaka", "BD", 23.85, 90.41, "Asia/Dhaka"],
+    ["DAD", "VVDN", "Da Nang International Airport", "Da Nang", "VN", 16.05, 108.2, "Asia/Ho_Chi_Minh"],
+    ["DAL", "KDAL", "Dallas Love Field", "Dallas", "US", 32.84, -96.85, "America/Chicago"],
+    ["DAM", "OSDI", "Damascus International Airport", "Damascus", "SY", 33.41, 36.51, "Asia/Damascus"],
+    ["DAR", "HTDA", "Julius Nyerere International Airport", "Dar es Salaam", "TZ", -6.87, 39.2, "Africa/Dar_es_Salaam"],
+    ["DAT", "ZBDT", "Datong Yungang Airport", "Datong", "CN", 40.06, 113.48, "Asia/Shanghai"],
+    ["DAU", "AYDU", "Daru Airport", "Daru", "PG", -9.08, 143.21, "Pacific/Port_Moresby"],
+    ["DAV", "MPDA", "Enrique Malek Airport", "David", "PA", 8.38, -82.43, "America/Panama"],
+    ["DAX", "ZUDX", "Dazhou Heshi Airport", "Dazhou", "CN", 31.13, 107.43, "Asia/Shanghai"],
+    ["DAY", "KDAY", "James M. Cox Dayton International Airport", "Dayton", "US", 39.9, -84.22, "America/New_York"],
+    ["DBA", "OPDB", "Dalbandin Airport", "Dalbandin", "PK", 28.87, 64.4, "Asia/Karachi"],
+    ["DBB", "HEAL", "Al Alamain International Airport", "El Alamein", "EG", 30.92, 28.46, "Africa/Cairo"],
+    ["DBC", "ZYBA", "Baicheng Chang'an Airport", "Baicheng", "CN", 45.51, 123.02, "Asia/Shanghai"],
+    ["DBO", "YSDU", "Dubbo City Regional Airport", "Dubbo", "AU", -32.22, 148.57, "Australia/Sydney"],
+    ["DBQ", "KDBQ", "Dubuque Regional Airport", "Dubuque", "US", 42.41, -90.71, "America/Chicago"],
+    ["DBR", "VEDH", "Darbhanga Airport", "Darbhanga", "IN", 26.19, 85.92, "Asia/Kolkata"],
+    ["DBV", "LDDU", "Dubrovnik Airport", "Dubrovnik", "HR", 42.56, 18.26, "Europe/Zagreb"],
+    ["DCA", "KDCA", "Ronald Reagan National Airport", "Washington", "US", 38.85, -77.04, "America/New_York"],
+    ["DCF", "TDCF", "Canefield Airport", "Canefield", "DM", 15.34, -61.39, "America/Dominica"],
+    ["DCM", "LFCK", "Mazamet Airport", "Castres/Mazamet", "FR", 43.56, 2.28, "Europe/Paris"],
+    ["DCP", null, "Cabin Plant Heliport", "Cabin Plant", "CA", 59.23, -121.69, "America/Fort_Nelson"],
+    ["DCY", "ZUDC", "Daocheng Yading Airport", "Garzê (Daocheng)", "CN", 29.32, 100.05, "Asia/Shanghai"],
+    ["DDC", "KDDC", "Dodge City Municipal Airport", "Dodge City", "US", 37.76, -99.96, "America/Chicago"],
+    ["DDG", "ZYDD", "Dandong Langtou Airport", "Zhenxing, Dandong", "CN", 40.03, 124.28, "Asia/Shanghai"],
+    ["DDI", null, "Daydream Island Heliport", "Daydream Island", "AU", -20.26, 148.81, "Australia/Brisbane"],
+    ["DDR", "ZUDR", "Xigaze Dingri Airport", "Xigazê (Dingri)", "CN", 28.6, 86.81, "Asia/Shanghai"],
+    ["DEA", "OPDG", "Dera Ghazi Khan Airport", "Dera Ghazi Khan", "PK", 29.96, 70.49, "Asia/Karachi"],
+    ["DEB", "LHDC", "Debrecen Airport", "Debrecen", "HU", 47.55, 21.7, "Europe/Budapest"],
+    ["DEC", "KDEC", "Decatur Airport", "Decatur", "US", 39.83, -88.88, "America/Chicago"],
+    ["DED", "VIDN", "Dehra Dun Airport", "Dehradun (Jauligrant)", "IN", 30.32, 78.03, "Asia/Kolkata"],
+    ["DEE", "UHSM", "Mendeleyevo Airport", "Yuzhno-Kurilsk", "RU", 43.96, 145.68, "Asia/Vladivostok"],
+    ["DEF", "OIAD", "Dezful Airport", "Dezful", "IR", 32.44, 48.38, "Asia/Tehran"],
+    ["DEL", "VIDP", "Indira Gandhi International Airport", "New Delhi", "IN", 28.56, 77.1, "Asia/Kolkata"],
+    ["DEM", "HADD", "Dembidolo Airport", "Dembidollo", "ET", 8.55, 34.86, "Africa/Addis_Ababa"],
+    ["DEN", "KDEN", "Denver International Airport", "Denver", "US", 39.85, -104.67, "America/Denver"],
+    ["DEO", null, "Hyatt Regency Heliport", "Hyatt Regency", "US", 42.3, -83.17, "America/Detroit"],
+    ["DEX", "WAVD", "Nop Goliath Airport", "Dekai", "ID", -4.86, 139.48, "Asia/Jayapura"],
+    ["DFA", null, "Danfeng Shangzhen General Airport", "Danfeng Shangzhen General", "CN", 33.71, 110.25, "Asia/Shanghai"],
+    ["DFW", "KDFW", "Dallas/Fort Worth International Airport", "Dallas-Fort Worth", "US", 32.9, -97.04, "America/Chicago"],
+    ["DGA", "MZPB", "Dangriga Airport", "Dangriga", "BZ", 16.98, -88.23, "America/Belize"],
+    ["DGG", null, "Fishermans Heliport", "Fishermans", "PG", -9.51, 147.05, "Pacific/Port_Moresby"],
+    ["DGH", "VEDO", "Deoghar Airport", "Deoghar", "IN", 24.44, 86.7, "Asia/Kolkata"],
+    ["DGO", "MMDO", "Durango International Airport", "Ciudad de Durango", "MX", 24.13, -104.52, "America/Monterrey"],
+    ["DGT", "RPVD", "Dumaguete Airport", "Dumaguete City", "PH", 9.33, 123.3, "Asia/Manila"],
+    ["DHB", null, "Deer Harbor Seaplane Airport", "Deer Harbor Seaplane", "US", 48.62, -123.01, "America/Los_Angeles"],
+    ["DHG", null, "Dalnegorsk Airport", "Dalnegorsk", "RU", 44.56, 135.49, "Asia/Vladivostok"],
+    ["DHM", "VIGG", "Gaggal Airport", "Kangra", "IN", 32.17, 76.26, "Asia/Kolkata"],
+    ["DHN", "KDHN", "Dothan Regional Airport", "Dothan", "US", 31.32, -85.45, "America/Chicago"],
+    ["DHO", null, "Horn River Heliport", "Horn River", "CA", 59.46, -122.26, "America/Vancouver"],
+    ["DIB", "VEMN", "Dibrugarh Airport", "Dibrugarh", "IN", 27.48, 95.02, "Asia/Kolkata"],
+    ["DIE", "FMNA", "Antsiranana/Arrachart Airport", "Antisiranana", "MG", -12.35, 49.29, "Indian/Antananarivo"],
+    ["DIG", "ZPDQ", "Diqing Shangri-La Airport", "Diqing (Shangri-La)", "CN", 27.8, 99.68, "Asia/Shanghai"],
+    ["DIJ", "LFSD", "Dijon Airport", "Dijon/Longvic", "FR", 47.27, 5.09, "Europe/Paris"],
+    ["DIK", "KDIK", "Dickinson Regional Airport", "Dickinson", "US", 46.8, -102.79, "America/Denver"],
+    ["DIL", "WPDL", "Presidente Nicolau Lobato International Airport", "Dili", "TL", -8.55, 125.53, "Asia/Dili"],
+    ["DIN", "VVDB", "Dien Bien Airport", "Dien Bien Phu", "VN", 21.38, 103, "Asia/Ho_Chi_Minh"],
+    ["DIR", "HADR", "Aba Tenna D Yilma Airport", "Dire Dawa", "ET", 9.61, 41.86, "Africa/Addis_Ababa"],
+    ["DIS", "FCPL", "Dolisie Airport", "Dolisie", "CG", -4.21, 12.67, "Africa/Brazzaville"],
+    ["DIU", "VADU", "Diu Airport", "Diu", "IN", 20.72, 70.92, "Asia/Kolkata"],
+    ["DIY", "LTCC", "Diyarbakir Airport", "Diyarbakır", "TR", 37.91, 40.2, "Europe/Istanbul"],
+    ["DJB", "WIPA", "Sultan Thaha Syaifuddin Airport", "Jambi", "ID", -1.63, 103.64, "Asia/Jakarta"],
+    ["DJE", "DTTJ", "Djerba–Zarzis International Airport", "Mellita", "TN", 33.87, 10.78, "Africa/Tunis"],
+    ["DJG", "DAAJ", "Tiska Djanet Airport", "Djanet", "DZ", 24.47, 9.49, "Africa/Algiers"],
+    ["DJJ", "WAJJ", "Sentani Airport", "Sentani", "ID", -2.57, 140.51, "Asia/Jayapura"],
+    ["DJT", "KDJT", "President Donald J. Trump International Airport", "President Donald J. Trump", "US", 26.68, -80.1, "America/New_York"],
+    ["DKL", null, "Kiwigana Lodge Heliport", "Kiwigana Lodge", "CA", 59.24, -122.92, "America/Fort_Nelson"],
+    ["DLA", "FKKD", "Douala International Airport", "Douala", "CM", 4.01, 9.72, "Africa/Douala"],
+    ["DLC", "ZYTL", "Dalian International Airport", "Ganjingzi, Dalian", "CN", 38.96, 121.54, "Asia/Shanghai"],
+    ["DLE", "LFGJ", "Dole-Jura Airport", "Dole/Tavaux", "FR", 47.04, 5.43, "Europe/Paris"],
+    ["DLG", "PADL", "Dillingham Airport", "Dillingham", "US", 59.04, -158.51, "America/Anchorage"],
+    ["DLH", "KDLH", "Duluth International Airport", "Duluth", "US", 46.84, -92.18, "America/Chicago"],
+    ["DLI", "VVDL", "Lien Khuong Airport", "Da Lat", "VN", 11.75, 108.38, "Asia/Ho_Chi_Minh"],
+    ["DLM", "LTBS", "Dalaman Airport", "Dalaman", "TR", 36.72, 28.79, "Europe/Istanbul"],
+    ["DLR", "UHHD", "Dalnerechensk Airport", "Dalnerechensk", "RU", 45.88, 133.74, "Asia/Vladivostok"],
+    ["DLU", "ZPDL", "Dali Airport", "Dali (Xiaguan)", "CN", 25.65, 100.32, "Asia/Shanghai"],
+    ["DLZ", "ZMDZ", "Gurvan Saikhan Airport", "Dalanzadgad, Ömnögovi", "MN", 43.61, 104.37, "Asia/Ulaanbaatar"],
+    ["DMB", "UADD", "Taraz Airport", "Taraz", "KZ", 42.86, 71.3, "Asia/Almaty"],
+    ["DMD", "YDMG", "Doomadgee Airport", "Doomadgee", "AU", -17.94, 138.82, "Australia/Brisbane"],
+    ["DME", "UUDD", "Moscow Domodedovo Airport", "Moscow", "RU", 55.41, 37.9, "Europe/Moscow"],
+    ["DMK", "VTBD", "Don Mueang International Airport", "Bangkok", "TH", 13.91, 100.61, "Asia/Bangkok"],
+    ["DMM", "OEDF", "King Fahd International Airport", "Ad Dammam", "SA", 26.47, 49.8, "Asia/Riyadh"],
+    ["DMU", "VEMR", "Dimapur Airport", "Dimapur", "IN", 25.88, 93.77, "Asia/Kolkata"],
+    ["DND", "EGPN", "Dundee Airport", "Dundee", "GB", 56.45, -3.01, "Europe/London"],
+    ["DNH", "ZLDH", "Dunhuang Airport", "Dunhuang", "CN", 40.2, 94.68, "Asia/Shanghai"],
+    ["DNK", "UKDD", "Dnepropetrovsk International Airport", "Dnipro", "UA", 48.37, 35.09, "Europe/Kyiv"],
+    ["DNR", "LFRD", "Pleurtuit Airport", "Dinard/Pleurtuit/Saint-Malo", "FR", 48.59, -2.08, "Europe/Paris"],
+    ["DNZ", "LTAY", "Cardak Airport", "Denizli", "TR", 37.79, 29.7, "Europe/Istanbul"],
+    ["DOD", "HTDO", "Dodoma Airport", "Dodoma", "TZ", -6.17, 35.75, "Africa/Dar_es_Salaam"],
+    ["DOE", "SMDJ", "Djoemoe Airport", "Djoemoe", "SR", 4.02, -55.48, "America/Paramaribo"],
+    ["DOF", null, "Dora Bay Airport", "Dora Bay", "US", 55.21, -132.27, "America/Juneau"],
+    ["DOG", "HSDN", "Dongola Airport", "Dongola", "SD", 19.15, 30.43, "Africa/Khartoum"],
+    ["DOH", "OTHH", "Hamad International Airport", "Doha", "QA", 25.26, 51.61, "Asia/Qatar"],
+    ["DOL", "LFRG", "Saint Gatien Airport", "Deauville", "FR", 49.36, 0.16, "Europe/Paris"],
+    ["DOM", "TDPD", "Douglas-Charles Airport", "Marigot", "DM", 15.55, -61.3, "America/Dominica"],
+    ["DOP", "VNDP", "Dolpa Airport", "Dolpa", "NP", 29, 82.82, "Asia/Kathmandu"],
+    ["DOY", "ZSDY", "Dongying Airport", "Dongying", "CN", 37.52, 118.79, "Asia/Shanghai"],
+    ["DPL", "RPMG", "Dipolog Airport", "Dipolog", "PH", 8.6, 123.34, "Asia/Manila"],
+    ["DPO", "YDPO", "Devonport Airport", "Devonport", "AU", -41.17, 146.43, "Australia/Hobart"],
+    ["DPS", "WADD", "Ngurah Rai International Airport", "Denpasar", "ID", -8.75, 115.17, "Asia/Makassar"],
+    ["DPT", "UEBD", "Deputatskiy Airport", "Deputatskiy", "RU", 69.39, 139.9, "Asia/Vladivostok"],
+    ["DQA", "ZYDQ", "Daqing Sartu Airport", "Daqing", "CN", 46.75, 125.13, "Asia/Shanghai"],
+    ["DQM", "OODQ", "Duqm International Airport", "Duqm", "OM", 19.5, 57.64, "Asia/Muscat"],
+    ["DRG", "PADE", "Deering Airport", "Deering", "US", 66.07, -162.76, "America/Anchorage"],
+    ["DRJ", "SMDA", "Drietabbetje Airport", "Drietabbetje", "SR", 4.12, -54.67, "America/Paramaribo"],
+    ["DRO", "KDRO", "Durango-La Plata County Airport", "Durango", "US", 37.16, -107.75, "America/Denver"],
+    ["DRP", "RPLK", "Bicol International Airport", "Legazpi", "PH", 13.11, 123.68, "Asia/Manila"],
+    ["DRS", "EDDC", "Dresden International Airport", "Dresden", "DE", 51.12, 13.77, "Europe/Berlin"],
+    ["DRV", "VRMD", "Dharavandhoo AIrport", "DHARAVANDHOO", "MV", 5.16, 73.13, "Indian/Maldives"],
+    ["DRW", "YPDN", "Darwin International Airport", "Darwin", "AU", -12.41, 130.88, "Australia/Darwin"],
+    ["DSD", "TFFA", "La Desirade Airport", "Grande Anse", "GP", 16.33, -61.02, "America/Guadeloupe"],
+    ["DSE", "HADC", "Kombolcha Airport", "Dessie", "ET", 11.11, 39.73, "Africa/Addis_Ababa"],
+    ["DSI", "KDTS", "Destin Executive Airport", "Destin", "US", 30.4, -86.47, "America/Chicago"],
+    ["DSM", "KDSM", "Des Moines International Airport", "Des Moines", "US", 41.53, -93.65, "America/Chicago"],
+    ["DSN", "ZBDS", "Ordos Ejin Horo International Airport", "Ordos", "CN", 39.5, 109.86, "Asia/Shanghai"],
+    ["DSO", "ZKSD", "Sondok Airport", "Sŏndŏng-ni", "KP", 39.75, 127.47, "Asia/Pyongyang"],
+    ["DSS", "GOBD", "Blaise Diagne International Airport", "Dakar", "SN", 14.67, -17.07, "Africa/Dakar"],
+    ["DST", null, "Dubai Seaplane Terminal", "Dubai Seaplane Terminal", "AE", 25.26, 55.27, "Asia/Dubai"],
+    ["DTB", "WIMN", "Silangit Airport", "Siborong-Borong", "ID", 2.26, 99, "Asia/Jakarta"],
+    ["DTD", "WALJ", "Datadawai Airport", "Datadawai-Borneo Island", "ID", 0.81, 114.53, "Asia/Makassar"],
+    ["DTM", "EDLW", "Dortmund Airport", "Dortmund", "DE", 51.51, 7.61, "Europe/Berlin"],
+    ["DTR", null, "Decatur Island Airport", "Decatur Island", "US", 48.52, -122.83, "America/Los_Angeles"],
+    ["DTU", "ZYDU", "Wudalianchi Dedu Airport", "Heihe", "CN", 48.45, 126.13, "Asia/Shanghai"],
+    ["DTW", "KDTW", "Detroit Metropolitan Wayne County Airport", "Detroit", "US", 42.21, -83.36, "America/New_York"],
+    ["DUB", "EIDW", "Dublin International Airport", "Dublin", "IE", 53.43, -6.24, "Europe/Dublin"],
+    ["DUD", "NZDN", "Dunedin International Airport", "Dunedin", "NZ", -45.92, 170.2, "Pacific/Auckland"],
+    ["DUE", "FNDU", "Dundo Airport", "Chitato", "AO", -7.4, 20.82, "Africa/Luanda"],
+    ["DUJ", "KDUJ", "DuBois Regional Airport", "Dubois", "US", 41.18, -78.9, "America/New_York"],
+    ["DUM", "WIBD", "Pinang Kampai Airport", "Dumai", "ID", 1.61, 101.43, "Asia/Jakarta"],
+    ["DUR", "FALE", "King Shaka International Airport", "Durban", "ZA", -29.61, 31.12, "Africa/Johannesburg"],
+    ["DUS", "EDDL", "Dusseldorf International Airport", "Düsseldorf", "DE", 51.28, 6.77, "Europe/Berlin"],
+    ["DUT", "PADU", "Unalaska Airport", "Unalaska", "US", 53.89, -166.54, "America/Anchorage"],
+    ["DVL", "KDVL", "Devils Lake Airport", "Devils Lake", "US", 48.11, -98.91, "America/Chicago"],
+    ["DVO", "RPMD", "Francisco Bangoy Intl Airport", "Davao", "PH", 7.13, 125.64, "Asia/Manila"],
+    ["DWB", "FMNO", "Soalala Airport", "Soalala", "MG", -16.1, 45.37, "Indian/Antananarivo"],
+    ["DWC", "OMDW", "Al Maktoum International Airport", "Jebel Ali", "AE", 24.89, 55.16, "Asia/Dubai"],
+    ["DWD", "OEDW", "Dawadmi Airport", "Dawadmi", "SA", 24.45, 44.13, "Asia/Riyadh"],
+    ["DWO", null, "Diyawanna Oya Seaplane Base", "Diyawanna Oya", "LK", 6.9, 79.91, "Asia/Colombo"],
+    ["DWS", null, "Morin Dawa Banner Airport", "Morin Dawa Banner", "CN", 48.39, 124.43, "Asia/Shanghai"],
+    ["DXB", "OMDB", "Dubai International Airport", "Dubai", "AE", 25.25, 55.35, "Asia/Dubai"],
+    ["DXJ", "ZGXX", "Xiangxi Biancheng Airport", "Xiangxi Biancheng", "CN", 28.5, 109.52, "Asia/Shanghai"],
+    ["DYG", "ZGDY", "Zhangjiajie Hehua Airport", "Dayong", "CN", 29.11, 110.45, "Asia/Shanghai"],
+    ["DYR", "UHMA", "Anadyr Airport", "Anadyr", "RU", 64.73, 177.75, "Asia/Anadyr"],
+    ["DYU", "UTDD", "Dushanbe Airport", "Dushanbe", "TJ", 38.55, 68.82, "Asia/Dushanbe"],
+    ["DZA", "FMCZ", "Dzaoudzi–Pamandzi International Airport", "Dzaoudzi", "YT", -12.8, 45.28, "Indian/Mayotte"],
+    ["DZH", "ZUDA", "Dazhou Jinya Airport", "Dazhou Jinya", "CN", 31.04, 107.44, "Asia/Shanghai"],
+    ["DZN", "UAKD", "Zhezkazgan Airport", "Zhezkazgan", "KZ", 47.7, 67.73, "Asia/Almaty"],
+    ["EAA", "PAEG", "Eagle Airport", "Eagle", "US", 64.78, -141.15, "America/Anchorage"],
+    ["EAM", "OENG", "Nejran Airport", "Najran", "SA", 17.61, 44.41, "Asia/Riyadh"],
+    ["EAR", "KEAR", "Kearney Regional Airport", "Kearney", "US", 40.73, -99.01, "America/Chicago"],
+    ["EAS", "LESO", "San Sebastian Airport", "Hondarribia", "ES", 43.36, -1.79, "Europe/Madrid"],
+    ["EAT", "KEAT", "Pangborn Memorial Airport", "Wenatchee", "US", 47.4, -120.21, "America/Los_Angeles"],
+    ["EAU", "KEAU", "Chippewa Valley Regional Airport", "Eau Claire", "US", 44.86, -91.49, "America/Chicago"],
+    ["EAX", "SMEG", "Paramaribo Eduard Alexander Gummels Airport", "Paramaribo Eduard Alexander Gummels", "SR", 5.86, -55.19, "America/Paramaribo"],
+    ["EBA", "LIRJ", "Marina Di Campo Airport", "Marina  Di Campo", "IT", 42.76, 10.24, "Europe/Rome"],
+    ["EBB", "HUEN", "Entebbe International Airport", "Kampala", "UG", 0.05, 32.44, "Africa/Kampala"],
+    ["EBD", "HSOB", "El Obeid Airport", "El-Obeid", "SD", 13.16, 30.23, "Africa/Khartoum"],
+    ["EBJ", "EKEB", "Esbjerg Airport", "Esbjerg", "DK", 55.52, 8.55, "Europe/Copenhagen"],
+    ["EBL", "ORER", "Erbil International Airport", "Arbil", "IQ", 36.24, 43.96, "Asia/Baghdad"],
+    ["ECN", "LCEN", "Ercan Airport", "Tymbou (Kirklar)", "CY", 35.16, 33.5, "Asia/Famagusta"],
+    ["ECP", "KECP", "Northwest Florida Beaches International Airport", "Panama City Beach", "US", 30.36, -85.8, "America/Chicago"],
+    ["EDA", null, "Edna Bay Airport", "Edna Bay", "US", 55.95, -133.67, "America/Sitka"],
+    ["EDG", "KEDG", "Weide Army Air Field", "Weide Army Air Field", "US", 39.47, -76.36, "America/New_York"],
+    ["EDI", "EGPH", "Edinburgh Airport", "Edinburgh", "GB", 55.95, -3.36, "Europe/London"],
+    ["EDL", "HKEL", "Eldoret Airport", "Eldoret", "KE", 0.41, 35.22, "Africa/Nairobi"],
+    ["EDO", "LTFD", "Balikesir Koca Seyit Airport", "Edremit", "TR", 39.55, 27.01, "Europe/Istanbul"],
+    ["EDR", "YPMP", "Edward River Airport", "Pormpuraaw", "AU", -14.9, 141.62, "Australia/Brisbane"],
+    ["EEK", "PAEE", "Eek Airport", "Eek", "US", 60.22, -162.02, "America/Anchorage"],
+    ["EFL", "LGKF", "Kefallinia Airport", "Kefallinia Island", "GR", 38.12, 20.51, "Europe/Athens"],
+    ["EGC", "LFBE", "Roumanieres Airport", "Bergerac/Roumanière", "FR", 44.85, 0.48, "Europe/Paris"],
+    ["EGE", "KEGE", "Eagle County Airport", "Eagle", "US", 39.64, -106.91, "America/Denver"],
+    ["EGO", "UUOB", "Belgorod International Airport", "Belgorod", "RU", 50.64, 36.58, "Europe/Moscow"],
+    ["EGS", "BIEG", "Egilsstadir Airport", "Egilsstaðir", "IS", 65.28, -14.4, "Atlantic/Reykjavik"],
+    ["EGX", "PAII", "Egegik Airport", "Egegik", "US", 58.21, -157.37, "America/Anchorage"],
+    ["EHU", "ZHEC", "Ezhou Huahu Airport", "Ezhou", "CN", 30.34, 115.03, "Asia/Shanghai"],
+    ["EIE", "UNII", "Eniseysk Airport", "Yeniseysk", "RU", 58.47, 92.12, "Asia/Krasnoyarsk"],
+    ["EIK", "URKE", "Yeysk Airport", "Yeysk", "RU", 46.68, 38.21, "Europe/Moscow"],
+    ["EIN", "EHEH", "Eindhoven Airport", "Eindhoven", "NL", 51.46, 5.39, "Europe/Amsterdam"],
+    ["EIS", "TUPJ", "Terrance B. Lettsome International Airport", "Road Town", "VG", 18.44, -64.54, "America/Tortola"],
+    ["EJA", "SKEJ", "Yariguies Airport", "Barrancabermeja", "CO", 7.02, -73.8, "America/Bogota"],
+    ["EJH", "OEWJ", "Wedjh Airport", "Al Wajh", "SA", 26.21, 36.47, "Asia/Riyadh"],
+    ["EJN", "ZBEN", "Ejin Banner Taolai Airport", "Ejin Banner", "CN", 42.02, 101, "Asia/Shanghai"],
+    ["EJT", null, "Enejit Airport", "Enejit", "MH", 6.08, 171.95, "Pacific/Majuro"],
+    ["EKO", "KEKO", "Elko Airport", "Elko", "US", 40.82, -115.79, "America/Los_Angeles"],
+    ["EKS", "UHSK", "Shakhtyorsk Airport", "Shakhtyorsk", "RU", 49.19, 142.09, "Asia/Vladivostok"],
+    ["ELC", "YELD", "Elcho Island Airport", "Elcho Island", "AU", -12.02, 135.57, "Australia/Darwin"],
+    ["ELD", "KELD", "South Arkansas Regional Airport", "El Dorado", "US", 33.22, -92.81, "America/Chicago"],
+    ["ELF", "HSFS", "El Fasher Airport", "El Fasher", "SD", 13.62, 25.32, "Africa/Khartoum"],
+    ["ELG", "DAUE", "El Golea Airport", "El Menia", "DZ", 30.57, 2.86, "Africa/Algiers"],
+    ["ELH", "MYEH", "North Eleuthera International Airport", "North Eleuthera", "BS", 25.48, -76.68, "America/Nassau"],
+    ["ELI", "PFEL", "Elim Airport", "Elim", "US", 64.61, -162.27, "America/Anchorage"],
+    ["ELJ", null, "El Recreo Airport", "El Recreo", "CO", 2, -73.83, "America/Bogota"],
+    ["ELM", "KELM", "Elmira Corning Regional Airport", "Elmira/Corning", "US", 42.16, -76.9, "America/New_York"],
+    ["ELP", "KELP", "El Paso International Airport", "El Paso", "US", 31.8, -106.4, "America/Denver"],
+    ["ELQ", "OEGS", "Prince Nayef bin Abdulaziz Regional Airport", "Buraidah", "SA", 26.31, 43.77, "Asia/Riyadh"],
+    ["ELS", "FAEL", "King Phalo Airport", "East London", "ZA", -33.04, 27.83, "Africa/Johannesburg"],
+    ["ELU", "DAUO", "Guemar Airport", "Guemar", "DZ", 33.51, 6.78, "Africa/Algiers"],
+    ["ELV", "PAEL", "Elfin Cove Sea Plane Base", "Elfin Cove", "US", 58.2, -136.35, "America/Juneau"],
+    ["EMA", "EGNX", "East Midlands Airport", "Nottingham", "GB", 52.83, -1.33, "Europe/London"],
+    ["EMD", "YEML", "Emerald Airport", "Emerald", "AU", -23.57, 148.17, "Australia/Brisbane"],
+    ["EME", "EDWE", "Emden Airport", "Emden", "DE", 53.39, 7.23, "Europe/Berlin"],
+    ["EMK", "PAEM", "Emmonak Airport", "Emmonak", "US", 62.78, -164.49, "America/Anchorage"],
+    ["EMR", null, "El Mirador Heliport", "El Mirador", "GT", 17.75, -89.92, "America/Guatemala"],
+    ["ENA", "PAEN", "Kenai Municipal Airport", "Kenai", "US", 60.57, -151.25, "America/Anchorage"],
+    ["ENE", "WATE", "H. Hasan Aroeboesman Airport", "Ende", "ID", -8.85, 121.66, "Asia/Makassar"],
+    ["ENF", "EFET", "Enontekio Airport", "Enontekio", "FI", 68.36, 23.42, "Europe/Helsinki"],
+    ["ENH", "ZHES", "Xujiaping Airport", "Enshi (Enshi)", "CN", 30.32, 109.48, "Asia/Shanghai"],
+    ["ENI", "RPEN", "El Nido Airport", "El Nido", "PH", 11.2, 119.41, "Asia/Manila"],
+    ["ENO", "SGEN", "Teniente Amin Ayub Gonzalez Airport", "Encarnacion", "PY", -27.22, -55.83, "America/Asuncion"],
+    ["ENT", "PKMA", "Enewetak Island Airport", "Eniwetok Atoll", "MH", 11.5, 162.25, "Pacific/Majuro"],
+    ["ENU", "DNEN", "Enugu Airport", "Enegu", "NG", 6.47, 7.57, "Africa/Lagos"],
+    ["ENY", "ZLYA", "Yan'an Nanniwan Airport", "Yan'an (Baota)", "CN", 36.48, 109.47, "Asia/Shanghai"],
+    ["EOH", "SKMD", "Olaya Herrera International Airport", "Medellín", "CO", 6.22, -75.59, "America/Bogota"],
+    ["EOI", "EGED", "Eday Airport", "Eday", "GB", 59.19, -2.77, "Europe/London"],
+    ["EPR", "YESP", "Esperance Airport", "Esperance", "AU", -33.68, 121.83, "Australia/Perth"],
+    ["EPU", "EEPU", "Parnu Airport", "Pärnu", "EE", 58.42, 24.47, "Europe/Tallinn"],
+    ["EQS", "SAVE", "Esquel Airport", "Esquel", "AR", -42.91, -71.14, "America/Argentina/Buenos_Aires"],
+    ["ERC", "LTCD", "Erzincan Airport", "Erzincan", "TR", 39.71, 39.52, "Europe/Istanbul"],
+    ["ERF", "EDDE", "Erfurt–Weimar Airport", "Erfurt", "DE", 50.97, 10.96, "Europe/Berlin"],
+    ["ERH", "GMFK", "Moulay Ali Cherif Airport", "Errachidia", "MA", 31.95, -4.4, "Africa/Casablanca"],
+    ["ERI", "KERI", "Erie International Airport", "Erie", "US", 42.08, -80.18, "America/New_York"],
+    ["ERL", "ZBER", "Erenhot Saiwusu International Airport", "Erenhot", "CN", 43.43, 112.1, "Asia/Shanghai"],
+    ["ERO", null, "Eldred Rock Coast Guard Heliport", "Eldred Rock Coast Guard", "US", 58.97, -135.24, "America/Juneau"],
+    ["ERS", "FYWE", "Eros Airport", "Windhoek", "NA", -22.62, 17.08, "Africa/Windhoek"],
+    ["ERZ", "LTCE", "Erzurum Airport", "Erzurum", "TR", 39.96, 41.18, "Europe/Istanbul"],
+    ["ESB", "LTAC", "Ankara Esenboga Airport", "Ankara", "TR", 40.11, 32.99, "Europe/Istanbul"],
+    ["ESC", "KESC", "Delta County Airport", "Escanaba", "US", 45.72, -87.09, "America/Detroit"],
+    ["ESD", "KORS", "Orcas Island Airport", "Eastsound", "US", 48.71, -122.91, "America/Los_Angeles"],
+    ["ESL", "URWI", "Elista Airport", "Elista", "RU", 46.37, 44.33, "Europe/Moscow"],
+    ["ESM", "SETN", "Colonel Carlos Concha Torres Airport", "Esmeraldas", "EC", 0.98, -79.63, "America/Guayaquil"],
+    ["ESR", "SCES", "El Salvador Airport", "El Salvador", "CL", -26.32, -69.77, "America/Santiago"],
+    ["ESU", "GMMI", "Essaouira Mogador Airport", "Essaouira", "MA", 31.4, -9.68, "Africa/Casablanca"],
+    ["ETM", "LLER", "Eilat-Ramon Airport", "Eilat", "IL", 29.73, 35, "Asia/Jerusalem"],
+    ["ETR", "SERO", "Coronel Artilleria Victor Larrea Airport", "Santa Rosa", "EC", -3.45, -79.96, "America/Guayaquil"],
+    ["ETZ", "LFJL", "Metz-Nancy-Lorraine Airport", "Metz / Nancy", "FR", 48.98, 6.24, "Europe/Paris"],
+    ["EUA", "NFTE", "Kaufana Airport", "Eua Island", "TO", -21.38, -174.96, "Pacific/Tongatapu"],
+    ["EUG", "KEUG", "Eugene Airport", "Eugene", "US", 44.12, -123.21, "America/Los_Angeles"],
+    ["EUN", "GMML", "Hassan I Airport", "El Aaiún", "MA", 27.13, -13.22, "Africa/Casablanca"],
+    ["EUX", "TNCE", "F D Roosevelt Airport", "Sint Eustatius", "BQ", 17.49, -62.98, "America/Curacao"],
+    ["EVE", "ENEV", "Harstad/Narvik Airport, Evenes", "Evenes", "NO", 68.49, 16.68, "Europe/Oslo"],
+    ["EVG", "ESND", "Sveg Airport", "Sveg", "SE", 62.05, 14.42, "Europe/Stockholm"],
+    ["EVN", "UDYZ", "Zvartnots International Airport", "Yerevan", "AM", 40.15, 44.4, "Asia/Yerevan"],
+    ["EVV", "KEVV", "Evansville Regional Airport", "Evansville", "US", 38.05, -87.53, "America/Chicago"],
+    ["EWB", "KEWB", "New Bedford Airport", "New Bedford", "US", 41.68, -70.96, "America/New_York"],
+    ["EWN", "KEWN", "Coastal Carolina Regional Airport", "New Bern", "US", 35.08, -77.03, "America/New_York"],
+    ["EWR", "KEWR", "Newark Liberty International Airport", "Newark", "US", 40.69, -74.18, "America/New_York"],
+    ["EXI", null, "Excursion Inlet Sea Plane Base", "Excursion Inlet", "US", 58.42, -135.45, "America/Juneau"],
+    ["EXT", "EGTE", "Exeter Airport", "Exeter", "GB", 50.73, -3.41, "Europe/London"],
+    ["EYK", "USHQ", "Beloyarsky Airport", "Beloyarsky", "RU", 63.7, 66.7, "Asia/Yekaterinburg"],
+    ["EYP", "SKYP", "El Yopal Airport", "El Yopal", "CO", 5.32, -72.39, "America/Bogota"],
+    ["EYW", "KEYW", "Key West International Airport", "Key West", "US", 24.55, -81.76, "America/New_York"],
+    ["EZE", "SAEZ", "Ezeiza/Ministro Pistarini International Airport", "Buenos Aires (Ezeiza)", "AR", -34.81, -58.54, "America/Argentina/Buenos_Aires"],
+    ["EZS", "LTCA", "Elazig Airport", "Elazığ", "TR", 38.6, 39.27, "Europe/Istanbul"],
+    ["FAE", "EKVG", "Vagar Airport", "Vágar", "FO", 62.07, -7.27, "Atlantic/Faroe"],
+    ["FAI", "PAFA", "Fairbanks International Airport", "Fairbanks", "US", 64.82, -147.87, "America/Anchorage"],
+    ["FAO", "LPFR", "Faro Airport", "Faro", "PT", 37.02, -7.97, "Europe/Lisbon"],
+    ["FAR", "KFAR", "Hector International Airport", "Fargo", "US", 46.92, -96.83, "America/Chicago"],
+    ["FAT", "KFAT", "Fresno Yosemite International Airport", "Fresno", "US", 36.77, -119.72, "America/Los_Angeles"],
+    ["FAV", "NTGF", "Fakarava Airport", "Fakarava", "PF", -16.05, -145.65, "Pacific/Tahiti"],
+    ["FAY", "KFAY", "Fayetteville Regional Airport", "Fayetteville", "US", 34.99, -78.89, "America/New_York"],
+    ["FBD", "OAFZ", "Faizabad Airport", "Faizabad", "AF", 37.12, 70.52, "Asia/Kabul"],
+    ["FBE", "SSFB", "Francisco Beltrao Airport", "Francisco Beltrao", "BR", -26.08, -53.07, "America/Sao_Paulo"],
+    ["FBM", "FZQA", "Lubumbashi International Airport", "Lubumbashi", "CD", -11.59, 27.53, "Africa/Lubumbashi"],
+    ["FCA", "KGPI", "Glacier Park International Airport", "Kalispell", "US", 48.31, -114.25, "America/Denver"],
+    ["FCN", "ETMN", "Cuxhaven/Nordholz Airport", "Cuxhaven", "DE", 53.77, 8.67, "Europe/Berlin"],
+    ["FCO", "LIRF", "Leonardo da Vinci-Fiumicino Airport", "Rome", "IT", 41.79, 12.25, "Europe/Rome"],
+    ["FCT", "KFCT", "Vagabond Heliport", "Vagabond", "US", 46.6, -120.52, "America/Los_Angeles"],
+    ["FDE", "ENBL", "Bringeland Airport", "Bringeland", "NO", 61.39, 5.76, "Europe/Oslo"],
+    ["FDF", "TFFF", "Martinique Aime Cesaire International Airport", "Fort-de-France", "MQ", 14.6, -61, "America/Martinique"],
+    ["FDH", "EDNY", "Bodensee Airport Friedrichshafen", "Friedrichshafen", "DE", 47.67, 9.52, "Europe/Berlin"],
+    ["FDU", "FZBO", "Bandundu Airport", "Bandundu", "CD", -3.31, 17.38, "Africa/Kinshasa"],
+    ["FEC", "SNJD", "Joao Durval Carneiro Airport", "Joao Durval Carneiro", "BR", -12.2, -38.91, "America/Bahia"],
+    ["FEG", "UTKF", "Fergana Airport", "Fergana", "UZ", 40.35, 71.73, "Asia/Tashkent"],
+    ["FEN", "SBFN", "Fernando De Noronha Airport", "Fernando de Noronha", "BR", -3.85, -32.42, "America/Noronha"],
+    ["FES", null, "San Fernando Airport", "San Fernando", "ES", 36.47, -6.18, "Europe/Madrid"],
+    ["FEW", null, "Warren Air Force Base", "Warren Air Force Base", "US", 41.13, -104.82, "America/Denver"],
+    ["FEZ", "GMFF", "Fes-Saiss Airport", "Saïss", "MA", 33.93, -4.98, "Africa/Casablanca"],
+    ["FGR", null, "Fuengirola Airport", "Fuengirola", "ES", 36.53, -4.63, "Europe/Madrid"],
+    ["FGU", "NTGB", "Fangatau Airport", "Fangatau", "PF", -16.05, -141.83, "Pacific/Tahiti"],
+    ["FHZ", "NTKH", "Fakahina Airport", "Fakahina", "PF", -15.99, -140.16, "Pacific/Tahiti"],
+    ["FIC", null, "Fire Cove Airport", "Fire Cove", "US", 55.78, -131.54, "America/Sitka"],
+    ["FIE", "EGEF", "Fair Isle Airport", "Fair Isle", "GB", 59.53, -1.63, "Europe/London"],
+    ["FIH", "FZAA", "N'djili International Airport", "Kinshasa", "CD", -4.39, 15.44, "Africa/Kinshasa"],
+    ["FIV", null, "Five Finger Heliport", "Five Finger", "US", 57.27, -133.63, "America/Juneau"],
+    ["FIZ", "YFTZ", "Fitzroy Crossing Airport", "Fitzroy Crossing", "AU", -18.18, 125.56, "Australia/Perth"],
+    ["FJR", "OMFJ", "Fujairah International Airport", "Fujeirah", "AE", 25.11, 56.33, "Asia/Dubai"],
+    ["FKB", "EDSB", "Baden-Airpark", "Baden-Baden", "DE", 48.78, 8.09, "Europe/Berlin"],
+    ["FKH", null, "Sculthorp Royal Air Force", "Sculthorp Royal Air Force", "GB", 52.83, 0.85, "Europe/London"],
+    ["FKI", "FZIC", "Kisangani Bangoka International Airport", "Kisangani", "CD", 0.48, 25.34, "Africa/Lubumbashi"],
+    ["FKQ", "WASF", "Fak Fak Airport", "Fakfak", "ID", -2.92, 132.3, "Asia/Jayapura"],
+    ["FKS", "RJSF", "Fukushima Airport", "Sukagawa", "JP", 37.23, 140.43, "Asia/Tokyo"],
+    ["FLA", "SKFL", "Florencia Airport", "Florencia", "CO", 1.59, -75.56, "America/Bogota"],
+    ["FLC", null, "Falls Creek Airport", "Falls Creek", "AU", -36.83, 143.28, "Australia/Sydney"],
+    ["FLG", "KFLG", "Flagstaff Pulliam Airport", "Flagstaff", "US", 35.14, -111.67, "America/Phoenix"],
+    ["FLJ", null, "Falls Bay Airport", "Falls Bay", "US", 60.03, -148.01, "America/Anchorage"],
+    ["FLL", "KFLL", "Fort Lauderdale-Hollywood International Airport", "Fort Lauderdale", "US", 26.07, -80.14, "America/New_York"],
+    ["FLN", "SBFL", "Floripa Airport", "Florianópolis", "BR", -27.66, -48.55, "America/Sao_Paulo"],
+    ["FLO", "KFLO", "Florence Airport", "Florence", "US", 34.19, -79.72, "America/New_York"],
+    ["FLR", "LIRQ", "Florence Airport, Peretola", "Firenze", "IT", 43.8, 11.2, "Europe/Rome"],
+    ["FLS", "YFLI", "Flinders Island Airport", "Flinders Island", "AU", -40.09, 148, "Australia/Hobart"],
+    ["FLW", "LPFL", "Flores Island Airport", "Santa Cruz das Flores", "PT", 39.47, -31.15, "Atlantic/Azores"],
+    ["FLZ", "WIMS", "Ferdinand Lumban Tobing Airport", "Sibolga (Pinangsori)", "ID", 1.56, 98.89, "Asia/Jakarta"],
+    ["FMA", "SARF", "Formosa Airport", "Formosa", "AR", -26.21, -58.23, "America/Argentina/Cordoba"],
+    ["FMC", "PAFV", "Five Mile Airport", "Five Mile", "US", 66.92, -149.84, "America/Anchorage"],
+    ["FMG", "MRFL", "Flamingo Airport", "Flamingo", "CR", 10.42, -85.78, "America/Costa_Rica"],
+    ["FMI", "FZRF", "Kalemie Airport", "Kalemie", "CD", -5.88, 29.25, "Africa/Lubumbashi"],
+    ["FMM", "EDJA", "Memmingen Allgau Airport", "Memmingen", "DE", 47.99, 10.24, "Europe/Berlin"],
+    ["FMO", "EDDG", "Munster Osnabruck International Airport", "Münster", "DE", 52.13, 7.69, "Europe/Berlin"],
+    ["FMT", "VRQF", "Faresmaathodaa Airport", "Faresmaathodaa", "MV", 0.19, 73.2, "Indian/Maldives"],
+    ["FNA", "GFLL", "Freetown International Airport", "Freetown (Lungi-Town)", "SL", 8.62, -13.2, "Africa/Freetown"],
+    ["FNC", "LPMA", "Madeira Airport", "Funchal", "PT", 32.69, -16.78, "Atlantic/Madeira"],
+    ["FNI", "LFTW", "Garons Airport", "Nîmes/Garons", "FR", 43.75, 4.42, "Europe/Paris"],
+    ["FNJ", "ZKPY", "Pyongyang Sunan International Airport", "Pyongyang", "KP", 39.2, 125.68, "Asia/Pyongyang"],
+    ["FNK", null, "Fin Creek Airport", "Fin Creek", "US", 69.5, -147.58, "America/Anchorage"],
+    ["FNR", "PANR", "Funter Bay Sea Plane Base", "Funter Bay", "US", 58.33, -134.58, "America/Juneau"],
+    ["FNT", "KFNT", "Bishop International Airport", "Flint", "US", 42.97, -83.74, "America/Detroit"],
+    ["FOA", "EGFO", "Foula Airport", "Foula", "GB", 60.12, -2.05, "Europe/London"],
+    ["FOC", "ZSFZ", "Changle International Airport", "Fuzhou", "CN", 25.93, 119.67, "Asia/Shanghai"],
+    ["FOD", "KFOD", "Fort Dodge Airport", "Fort Dodge", "US", 42.55, -94.19, "America/Chicago"],
+    ["FOG", "LIBF", "Gino Lisa Airport", "Foggia", "IT", 41.43, 15.54, "Europe/Rome"],
+    ["FOP", null, "Morris Army Air Field", "Morris Army Air Field", "US", 33.62, -84.37, "America/New_York"],
+    ["FOR", "SBFZ", "Pinto Martins – Fortaleza International Airport", "Fortaleza", "BR", -3.78, -38.54, "America/Belem"],
+    ["FOX", null, "Fox Airport", "Fox", "US", 64, -147, "America/Anchorage"],
+    ["FPO", "MYGF", "Grand Bahama International Airport", "Freeport", "BS", 26.55, -78.71, "America/Nassau"],
+    ["FRA", "EDDF", "Frankfurt Airport", "Frankfurt am Main", "DE", 50.05, 8.57, "Europe/Berlin"],
+    ["FRD", "KFHR", "Friday Harbor Airport", "Friday Harbor", "US", 48.52, -123.03, "America/Los_Angeles"],
+    ["FRE", "AGGF", "Fera Island Airport", "Fera Island", "SB", -8.1, 159.58, "Pacific/Guadalcanal"],
+    ["FRL", "LIPK", "Luigi Ridolfi Airport", "Forlì (FC)", "IT", 44.2, 12.07, "Europe/Rome"],
+    ["FRO", "ENFL", "Floro Airport", "Florø", "NO", 61.59, 5.02, "Europe/Oslo"],
+    ["FRS", "MGTK", "Santa Elena Airport", "San Benito", "GT", 16.92, -89.88, "America/Guatemala"],
+    ["FRW", "FBFT", "Phillip Gaonwe Matante International Airport", "Francistown", "BW", -21.16, 27.48, "Africa/Gaborone"],
+    ["FSC", "LFKF", "Sud Corse Airport", "Figari Sud-Corse", "FR", 41.5, 9.1, "Europe/Paris"],
+    ["FSD", "KFSD", "Sioux Falls Regional Airport", "Sioux Falls", "US", 43.58, -96.73, "America/Chicago"],
+    ["FSM", "KFSM", "Fort Smith Regional Airport", "Fort Smith", "US", 35.34, -94.36, "America/Chicago"],
+    ["FSP", "LFVP", "Saint Pierre Airport", "Saint-Pierre", "PM", 46.92, -56.17, "America/Miquelon"],
+    ["FSZ", "RJNS", "Shizuoka Airport", "Makinohara / Shimada", "JP", 34.8, 138.19, "Asia/Tokyo"],
+    ["FTA", "NVVF", "Futuna Airport", "Futuna Island", "VU", -19.42, 170.25, "Pacific/Efate"],
+    ["FTE", "SAWA", "Comandante Armando Tola International Airport", "El Calafate", "AR", -50.28, -72.05, "America/Argentina/Buenos_Aires"],
+    ["FTI", "NSFQ", "Fitiuta Airport", "Fitiuta Village", "AS", -14.21, -169.43, "Pacific/Pago_Pago"],
+    ["FTL", null, "Fortuna Ledge Airport", "Fortuna Ledge", "US", 61.88, -162.08, "America/Anchorage"],
+    ["FTU", "FMSD", "Marillac Airport", "Tôlanaro", "MG", -25.04, 46.96, "Indian/Antananarivo"],
+    ["FUE", "GCFV", "Fuerteventura Airport", "El Matorral", "ES", 28.45, -13.87, "Atlantic/Canary"],
+    ["FUG", "ZSFY", "Fuyang Airport", "Yingzhou, Fuyang", "CN", 32.87, 115.7, "Asia/Shanghai"],
+    ["FUJ", "RJFE", "Fukue Airport", "Goto", "JP", 32.67, 128.84, "Asia/Tokyo"],
+    ["FUK", "RJFF", "Fukuoka Airport", "Fukuoka", "JP", 33.58, 130.44, "Asia/Tokyo"],
+    ["FUN", "NGFU", "Funafuti Atol International Airport", "Funafuti", "TV", -8.52, 179.21, "Pacific/Funafuti"],
+    ["FUO", "ZGFS", "Fuoshan Airport", "Foshan (Nanhai)", "CN", 23.08, 113.07, "Asia/Shanghai"],
+    ["FUT", "NLWF", "Futuna Island Airport", "Futuna Island", "WF", -14.25, -178.15, "Pacific/Wallis"],
+    ["FWA", "KFWA", "Fort Wayne International Airport", "Fort Wayne", "US", 40.99, -85.19, "America/Indiana/Indianapolis"],
+    ["FWM", null, "Fort WilliamHeliport", "Fort WilliamHeliport", "GB", 56.82, -5.12, "Europe/London"],
+    ["FXM", null, "Flaxman Island Airport", "Flaxman Island", "US", 70.2, -146, "America/Anchorage"],
+    ["FYJ", "ZYFY", "Fuyuan Dongji Airport", "Fuyuan", "CN", 48.2, 134.36, "Asia/Shanghai"],
+    ["FYN", "ZWFY", "Fuyun Koktokay Airport", "Fuyun", "CN", 46.8, 89.54, "Asia/Shanghai"],
+    ["FYU", "PFYU", "Fort Yukon Airport", "Fort Yukon", "US", 66.57, -145.26, "America/Anchorage"],
+    ["GAE", "DTTG", "Gabes - Matmata International Airport", "Gabès", "TN", 33.74, 9.92, "Africa/Tunis"],
+    ["GAF", "DTTF", "Gafsa – Ksar International Airport", "Gafsa", "TN", 34.42, 8.82, "Africa/Tunis"],
+    ["GAJ", "RJSC", "Yamagata Airport", "Higashine", "JP", 38.41, 140.37, "Asia/Tokyo"],
+    ["GAL", "PAGA", "Edward G. Pitka Sr. Airport", "Galena", "US", 64.74, -156.94, "America/Anchorage"],
+    ["GAM", "PAGM", "Gambell Airport", "Gambell", "US", 63.78, -171.71, "America/Anchorage"],
+    ["GAN", "VRMG", "Gan International Airport", "Gan", "MV", -0.69, 73.16, "Indian/Maldives"],
+    ["GAQ", "GAGO", "Gao Airport", "Gao", "ML", 16.25, 0, "Africa/Bamako"],
+    ["GAU", "VEGT", "Lokpriya Gopinath Bordoloi International Airport", "Guwahati", "IN", 26.11, 91.59, "Asia/Kolkata"],
+    ["GAX", "FOGX", "Gamba Airport", "Gamba", "GA", -2.77, 9.98, "Africa/Libreville"],
+    ["GAY", "VEGY", "Gaya Airport", "Gaya", "IN", 24.75, 84.95, "Asia/Kolkata"],
+    ["GBB", "UBBQ", "Gabala International Airport", "Gabala", "AZ", 40.82, 47.72, "Asia/Baku"],
+    ["GBE", "FBSK", "Sir Seretse Khama International Airport", "Gaborone", "BW", -24.56, 25.92, "Africa/Gaborone"],
+    ["GBI", "VOGB", "Kalaburagi Airport", "Kalaburagi", "IN", 17.31, 76.96, "Asia/Kolkata"],
+    ["GBJ", "TFFM", "Marie-Galante Airport", "Grand Bourg", "GP", 15.87, -61.27, "America/Guadeloupe"],
+    ["GBO", null, "Baltimore Greenbelt T Station", "Baltimore Greenbelt T Station", "US", 39.01, -76.91, "America/New_York"],
+    ["GBS", null, "Port Fitzroy Seaplane Base", "Port Fitzroy", "NZ", -36.16, 175.36, "Pacific/Auckland"],
+    ["GCC", "KGCC", "Campbell County Airport", "Gillette", "US", 44.35, -105.53, "America/Denver"],
+    ["GCH", "OIAH", "Gachsaran Airport", "Gachsaran", "IR", 30.34, 50.83, "Asia/Tehran"],
+    ["GCI", "EGJB", "Guernsey Airport", "Saint Peter Port", "GG", 49.43, -2.6, "Europe/Guernsey"],
+    ["GCK", "KGCK", "Garden City Regional Airport", "Garden City", "US", 37.93, -100.73, "America/Chicago"],
+    ["GCM", "MWCR", "Owen Roberts International Airport", "Georgetown", "KY", 19.3, -81.36, "America/Cayman"],
+    ["GCN", "KGCN", "Grand Canyon National Park Airport", "Grand Canyon - Tusayan", "US", 35.95, -112.15, "America/Phoenix"],
+    ["GCV", null, "Gravatai Airport", "Gravatai", "BR", -29.94, -50.99, "America/Sao_Paulo"],
+    ["GDB", "VAGD", "Gondia Airport", "Gondia", "IN", 21.52, 80.01, "Asia/Kolkata"],
+    ["GDE", "HAGO", "Gode Airport", "Gode", "ET", 5.9, 43.63, "Africa/Addis_Ababa"],
+    ["GDL", "MMGL", "Don Miguel Hidal Y Costilla International Airport", "Ciudad de Tlajomulco de Zúñiga", "MX", 20.53, -103.3, "America/Mexico_City"],
+    ["GDN", "EPGD", "Gdansk Lech Walesa Airport", "Gdańsk", "PL", 54.38, 18.47, "Europe/Warsaw"],
+    ["GDQ", "HAGN", "Gondar Airport", "Azezo", "ET", 12.51, 37.45, "Africa/Addis_Ababa"],
+    ["GDT", "MBGT", "JAGS McCartney International Airport", "Cockburn Town", "TC", 21.44, -71.14, "America/Grand_Turk"],
+    ["GDV", "KGDV", "Dawson Community Airport", "Glendive", "US", 47.14, -104.81, "America/Denver"],
+    ["GDX", "UHMM", "Magadan Airport", "Magadan", "RU", 59.92, 150.72, "Asia/Magadan"],
+    ["GDZ", "URKG", "Gelendzhik Airport", "Gelendzhik", "RU", 44.57, 38.02, "Europe/Moscow"],
+    ["GEA", "NWWM", "Noumea Magenta Airport", "Nouméa", "NC", -22.26, 166.47, "Pacific/Noumea"],
+    ["GEC", "LCGK", "Gecitkale Airport", "Lefkoniko (Geçitkale)", "CY", 35.23, 33.73, "Asia/Famagusta"],
+    ["GEG", "KGEG", "Spokane International Airport", "Spokane", "US", 47.63, -117.54, "America/Los_Angeles"],
+    ["GEI", null, "Green Islands Airport", "Green Islands", "PG", -4.5, 154.17, "Pacific/Port_Moresby"],
+    ["GEK", null, "Ganes Creek Airport", "Ganes Creek", "US", 63.1, -156.43, "America/Anchorage"],
+    ["GEL", "SBNM", "Sepe Tiaraju Airport", "Santo Ângelo", "BR", -28.28, -54.17, "America/Sao_Paulo"],
+    ["GEN", null, "Puente Genil Airport", "Puente Genil", "ES", 37.38, -4.77, "Europe/Madrid"],
+    ["GEO", "SYCJ", "Cheddi Jagan International Airport", "Georgetown", "GY", 6.5, -58.25, "America/Guyana"],
+    ["GER", "MUNG", "Rafael Cabrera Airport", "Nueva Gerona", "CU", 21.84, -82.78, "America/Havana"],
+    ["GES", "RPMR", "General Santos International Airport", "General Santos", "PH", 6.06, 125.1, "Asia/Manila"],
+    ["GET", "YGEL", "Geraldton Airport", "Geraldton", "AU", -28.8, 114.7, "Australia/Perth"],
+    ["GEV", "ESNG", "Gallivare Airport", "Gällivare", "SE", 67.13, 20.82, "Europe/Stockholm"],
+    ["GFF", "YGTH", "Griffith Airport", "Griffith", "AU", -34.26, 146.06, "Australia/Sydney"],
+    ["GFK", "KGFK", "Grand Forks International Airport", "Grand Forks", "US", 47.95, -97.18, "America/Chicago"],
+    ["GGF", "SNYA", "Almeirim Airport", "Almeirim", "BR", -1.48, -52.58, "America/Santarem"],
+    ["GGG", "KGGG", "Gregg County Airport", "Longview", "US", 32.39, -94.72, "America/Chicago"],
+    ["GGJ", "SSGY", "Guaira Airport", "Guaira", "BR", -24.2, -54.23, "America/Sao_Paulo"],
+    ["GGR", "HCMW", "Garowe Airport", "Garowe", "SO", 8.46, 48.57, "Africa/Mogadishu"],
+    ["GGS", "SAWR", "Gobernador Gregores Airport", "Gobernador Gregores", "AR", -48.77, -70.25, "America/Argentina/Buenos_Aires"],
+    ["GGT", "MYEF", "Exuma International Airport", "Moss Town", "BS", 23.56, -75.87, "America/Nassau"],
+    ["GGW", "KGGW", "Glasgow International Airport", "Glasgow", "US", 48.21, -106.62, "America/Denver"],
+    ["GHA", "DAUG", "Noumerate Airport", "El Atteuf", "DZ", 32.38, 3.8, "Africa/Algiers"],
+    ["GHB", "MYEM", "Governor's Harbour Airport", "Governor's Harbour", "BS", 25.28, -76.33, "America/Nassau"],
+    ["GHD", null, "Ghimbi Airport", "Ghimbi", "ET", 9.17, 35.82, "Africa/Addis_Ababa"],
+    ["GHT", "HLGT", "Ghat Airport", "Ghat", "LY", 25.14, 10.15, "Africa/Tripoli"],
+    ["GHV", "LRBV", "Brașov-Ghimbav International Airport", "Brașov-Ghimbav", "RO", 45.7, 25.52, "Europe/Bucharest"],
+    ["GIB", "LXGB", "North Front Airport", "Gibraltar", "GI", 36.15, -5.35, "Europe/Gibraltar"],
+    ["GIC", "YBOI", "Boigu Island Airport", "Boigu", "AU", -9.23, 142.22, "Australia/Brisbane"],
+    ["GIG", "SBGL", "RIOgaleao International Airport", "Rio De Janeiro", "BR", -22.81, -43.25, "America/Sao_Paulo"],
+    ["GIL", "OPGT", "Gilgit Airport", "Gilgit", "PK", 35.92, 74.33, "Asia/Karachi"],
+    ["GIS", "NZGS", "Gisborne Airport", "Gisborne", "NZ", -38.66, 177.98, "Pacific/Auckland"],
+    ["GIT", "HTRU", "Geita Airport", "Geita", "TZ", -2.81, 32.17, "Africa/Dar_es_Salaam"],
+    ["GIZ", "OEGN", "Jazan Regional Airport", "Jizan", "SA", 16.9, 42.58, "Asia/Riyadh"],
+    ["GJA", "MHNJ", "Guanaja Airport", "Guanaja", "HN", 16.45, -85.91, "America/Tegucigalpa"],
+    ["GJL", "DAAV", "Jijel Ferhat Abbas Airport", "Tahir", "DZ", 36.79, 5.88, "Africa/Algiers"],
+    ["GJT", "KGJT", "Grand Junction Regional Airport", "Grand Junction", "US", 39.12, -108.53, "America/Denver"],
+    ["GKA", "AYGA", "Goroka Airport", "Goronka", "PG", -6.08, 145.39, "Pacific/Port_Moresby"],
+    ["GKK", "VRMO", "Kooddoo Island Airport", "Kooddoo", "MV", 0.73, 73.43, "Indian/Maldives"],
+    ["GKN", "PAGK", "Gulkana Airport", "Gulkana", "US", 62.16, -145.45, "America/Anchorage"],
+    ["GLA", "EGPF", "Glasgow Airport", "Paisley, Renfrewshire", "GB", 55.86, -4.43, "Europe/London"],
+    ["GLF", "MRGF", "Golfito Airport", "Golfito", "CR", 8.65, -83.18, "America/Costa_Rica"],
+    ["GLH", "KGLH", "Greenville Mid-Delta Airport", "Greenville", "US", 33.48, -90.98, "America/Chicago"],
+    ["GLK", "HCMR", "Abdullahi Yusuf Airport", "Galcaio", "SO", 6.77, 47.43, "Africa/Mogadishu"],
+    ["GLQ", null, "Glennallen Airport", "Glennallen", "US", 62.12, -145.55, "America/Anchorage"],
+    ["GLT", "YGLA", "Gladstone Airport", "Gladstone", "AU", -23.87, 151.22, "Australia/Brisbane"],
+    ["GLV", "PAGL", "Golovin Airport", "Golovin", "US", 64.54, -163.04, "America/Anchorage"],
+    ["GMA", "FZFK", "Gemena Airport", "Gemena", "CD", 3.24, 19.77, "Africa/Kinshasa"],
+    ["GMB", "HAGM", "Gambela Airport", "Gambela", "ET", 8.28, 34.58, "Africa/Addis_Ababa"],
+    ["GME", "UMGG", "Gomel Airport", "Gomel", "BY", 52.53, 31.02, "Europe/Minsk"],
+    ["GMI", "AYGT", "Gasmata Island Airport", "Gasmata Island", "PG", -6.3, 150.33, "Pacific/Port_Moresby"],
+    ["GMO", "DNGO", "Gombe Lawanti International Airport", "Gombe", "NG", 10.3, 10.9, "Africa/Lagos"],
+    ["GMP", "RKSS", "Gimpo International Airport", "Seoul", "KR", 37.56, 126.8, "Asia/Seoul"],
+    ["GMQ", "ZLGL", "Golog Maqin Airport", "Golog (Maqên)", "CN", 34.42, 100.31, "Asia/Shanghai"],
+    ["GMR", "NTGJ", "Gambier Island Airport", "Totegegie", "PF", -23.08, -134.89, "Pacific/Gambier"],
+    ["GMS", "SNGM", "Guimaraes Airport", "Guimaraes", "BR", -2.15, -44.7, "America/Belem"],
+    ["GMY", null, "Rheindahlen Airport", "Rheindahlen", "DE", 51.17, 6.37, "Europe/Berlin"],
+    ["GMZ", "GCGM", "La Gomera Airport", "La Gomera", "ES", 28.02, -17.2, "Atlantic/Canary"],
+    ["GNB", "LFLS", "Grenoble-Isere Airport", "Saint-Étienne-de-Saint-Geoirs", "FR", 45.36, 5.33, "Europe/Paris"],
+    ["GND", "TGPY", "Maurice Bishop International Airport", "Saint George's", "GD", 12, -61.79, "America/Grenada"],
+    ["GNE", null, "Ghent Airport", "Ghent", "BE", 51.05, 3.72, "Europe/Brussels"],
+    ["GNJ", "UBBG", "Gyandzha Airport", "Gyandzha", "AZ", 40.73, 46.32, "Asia/Baku"],
+    ["GNS", "WIMB", "Gunungsitoli Airport", "Gunungsitoli", "ID", 1.25, 97.5, "Asia/Jakarta"],
+    ["GNU", "KGNU", "Goodnews Bay Airport", "Goodnews Bay", "US", 59.11, -161.58, "America/Anchorage"],
+    ["GNV", "KGNV", "Gainesville Regional Airport", "Gainesville", "US", 29.69, -82.28, "America/New_York"],
+    ["GNY", "LTCS", "Sanliurfa GAP Airport", "Şanlıurfa", "TR", 37.45, 38.9, "Europe/Istanbul"],
+    ["GOA", "LIMJ", "Genoa Cristoforo Colombo Airport", "Genova", "IT", 44.42, 8.85, "Europe/Rome"],
+    ["GOF", null, "Goodfellow Air Force Base", "Goodfellow Air Force Base", "US", 31.47, -100.43, "America/Chicago"],
+    ["GOH", "BGGH", "Nuuk Airport", "Nuuk", "GL", 64.18, -51.72, "America/Godthab"],
+    ["GOI", "VOGO", "Dabolim International Airport", "Vasco da Gama", "IN", 15.38, 73.84, "Asia/Kolkata"],
+    ["GOJ", "UWGG", "Strigino International Airport", "Nizhny Novgorod", "RU", 56.22, 43.79, "Europe/Moscow"],
+    ["GOM", "FZNA", "Goma Airport", "Goma", "CD", -1.67, 29.24, "Africa/Lubumbashi"],
+    ["GOP", "VEGK", "Gorakhpur Airport", "Gorakhpur", "IN", 26.75, 83.44, "Asia/Kolkata"],
+    ["GOQ", "ZLGM", "Golmud Airport", "Golmud", "CN", 36.4, 94.79, "Asia/Shanghai"],
+    ["GOT", "ESGG", "Goteborg Landvetter Airport", "Gothenburg", "SE", 57.67, 12.29, "Europe/Stockholm"],
+    ["GOU", "FKKR", "Garoua Airport", "Garoua", "CM", 9.34, 13.38, "Africa/Douala"],
+    ["GOV", "YPGV", "Nhulunbuy Airport", "Nhulunbuy", "AU", -12.27, 136.82, "Australia/Darwin"],
+    ["GOX", "VOGA", "Manohar International Airport", "Mopa", "IN", 15.73, 73.86, "Asia/Kolkata"],
+    ["GOY", "UNIT", "Tura Gornij Airport", "Tura Gornij", "RU", 64.33, 100.43, "Asia/Krasnoyarsk"],
+    ["GPA", "LGRX", "Araxos Airport", "Patras", "GR", 38.25, 21.73, "Europe/Athens"],
+    ["GPB", "SBGU", "Tancredo Thomaz Faria Airport", "Guarapuava", "BR", -25.33, -51.5, "America/Sao_Paulo"],
+    ["GPI", "SKGP", "Guapi Airport", "Guapi", "CO", 2.5, -78.34, "America/Bogota"],
+    ["GPS", "SEGS", "Baltra Airport", "Galapagos", "EC", -0.43, -90.28, "Pacific/Galapagos"],
+    ["GPT", "KGPT", "Gulfport-Biloxi International Airport", "Gulfport", "US", 30.41, -89.07, "America/Chicago"],
+    ["GRB", "KGRB", "Austin Straubel International Airport", "Green Bay", "US", 44.49, -88.12, "America/Chicago"],
+    ["GRI", "KGRI", "Grand Island Airport", "Grand Island", "US", 40.97, -98.31, "America/Chicago"],
+    ["GRJ", "FAGG", "George Airport", "George", "ZA", -34, 22.38, "Africa/Johannesburg"],
+    ["GRK", "KGRK", "Killeen Regional Airport", "Killeen", "US", 31.06, -97.82, "America/Chicago"],
+    ["GRO", "LEGE", "Girona-Costa Brava Airport", "Girona", "ES", 41.9, 2.77, "Europe/Madrid"],
+    ["GRQ", "EHGG", "Groningen Airport Eelde", "Groningen", "NL", 53.12, 6.58, "Europe/Amsterdam"],
+    ["GRR", "KGRR", "Gerald R. Ford International Airport", "Grand Rapids", "US", 42.89, -85.53, "America/Detroit"],
+    ["GRU", "SBGR", "Sao Paulo-Guarulhos International Airport", "São Paulo", "BR", -23.43, -46.48, "America/Sao_Paulo"],
+    ["GRV", "URMG", "Groznyy Airport", "Grozny", "RU", 43.33, 45.75, "Europe/Moscow"],
+    ["GRW", "LPGR", "Graciosa Island Airport", "Santa Cruz da Graciosa", "PT", 39.09, -28.03, "Atlantic/Azores"],
+    ["GRX", "LEGR", "Granada Airport", "Granada", "ES", 37.18, -3.78, "Europe/Madrid"],
+    ["GRY", "BIGR", "Grimsey Airport", "Grímsey", "IS", 66.55, -18.02, "Atlantic/Reykjavik"],
+    ["GRZ", "LOWG", "Graz Airport", "Graz (Feldkirchen bei Graz)", "AT", 47, 15.44, "Europe/Vienna"],
+    ["GSM", "OIKQ", "Dayrestan Airport", "Dayrestan", "IR", 26.76, 55.91, "Asia/Tehran"],
+    ["GSO", "KGSO", "Piedmont Triad International Airport", "Greensboro", "US", 36.11, -79.94, "America/New_York"],
+    ["GSP", "KGSP", "Greenville-Spartanburg International Airport", "Greer", "US", 34.89, -82.22, "America/New_York"],
+    ["GST", "PAGS", "Gustavus Airport", "Gustavus", "US", 58.42, -135.7, "America/Juneau"],
+    ["GSV", "UWSG", "Gagarin International Airport", "Saratov", "RU", 51.72, 46.17, "Europe/Saratov"],
+    ["GTA", "AGOK", "Gatokae Aerodrom", "Gatokae Aerodrom", "SB", -8.77, 158.18, "Pacific/Guadalcanal"],
+    ["GTE", "YGTE", "Groote Eylandt Airport", "Groote Eylandt", "AU", -13.97, 136.46, "Australia/Darwin"],
+    ["GTF", "KGTF", "Great Falls International Airport", "Great Falls", "US", 47.48, -111.36, "America/Denver"],
+    ["GTK", null, "Sungei Tekai Airport", "Sungei Tekai", "MY", 2.6, 102.92, "Asia/Kuala_Lumpur"],
+    ["GTO", "WAMG", "Tolotio Airport", "Gorontalo", "ID", 0.64, 122.85, "Asia/Makassar"],
+    ["GTR", "KGTR", "Golden Triangle Regional Airport", "Columbus/W Point/Starkville", "US", 33.45, -88.6, "America/Chicago"],
+    ["GUA", "MGGT", "La Aurora International Airport", "Guatemala City", "GT", 14.59, -90.53, "America/Guatemala"],
+    ["GUB", "MMGR", "Guerrero Negro Airport", "Guerrero Negro", "MX", 28.03, -114.02, "America/Tijuana"],
+    ["GUC", "KGUC", "Gunnison–Crested Butte Regional Airport", "Gunnison", "US", 38.53, -106.94, "America/Denver"],
+    ["GUM", "PGUM", "A.B. Won Pat International Airport", "Hagåtña", "GU", 13.49, 144.8, "Pacific/Guam"],
+    ["GUO", null, "Guriel Airport", "Guriel", "SO", 5.32, 45.99, "Africa/Mogadishu"],
+    ["GUP", "KGUP", "Gallup Municipal Airport", "Gallup", "US", 35.51, -108.79, "America/Denver"],
+    ["GUR", "AYGN", "Gurney Airport", "Gurney", "PG", -10.31, 150.34, "Pacific/Port_Moresby"],
+    ["GUW", "UATG", "Atyrau Airport", "Atyrau", "KZ", 47.12, 51.83, "Asia/Atyrau"],
+    ["GUZ", "SNGA", "Guarapari Airport", "Guarapari", "BR", -20.65, -40.49, "America/Sao_Paulo"],
+    ["GVA", "LSGG", "Geneve Airport", "Geneva", "CH", 46.23, 6.11, "Europe/Zurich"],
+    ["GVR", "SBGV", "Governador Valadares Airport", "Governador Valadares", "BR", -18.85, -41.93, "America/Sao_Paulo"],
+    ["GVW", null, "Richards-Gebaur Airport", "Richards-Gebaur", "US", 38.88, -94.53, "America/Chicago"],
+    ["GWD", "OPGD", "Gwadar International Airport", "Gwadar", "PK", 25.23, 62.34, "Asia/Karachi"],
+    ["GWL", "VIGR", "Gwalior Airport", "Gwalior", "IN", 26.29, 78.23, "Asia/Kolkata"],
+    ["GWT", "EDXW", "Westerland - Sylt Airport", "Westerland", "DE", 54.92, 8.34, "Europe/Berlin"],
+    ["GXF", "OYSY", "Seiyun Airport", "Seiyun", "YE", 15.96, 48.79, "Asia/Aden"],
+    ["GXG", "FNNG", "Negage Airport", "Negage", "AO", -7.78, 15.45, "Africa/Luanda"],
+    ["GXH", "ZLXH", "Gannan Xiahe Airport", "Gannan (Xiahe)", "CN", 34.81, 102.64, "Asia/Shanghai"],
+    ["GYA", "SLGM", "Guayaramerin Airport", "Guayaramerín", "BO", -10.83, -65.36, "America/La_Paz"],
+    ["GYD", "UBBB", "Heydar Aliyev International Airport", "Baku", "AZ", 40.46, 50.05, "Asia/Baku"],
+    ["GYE", "SEGU", "Jose Joaquin de Olmedo Airport", "Guayaquil", "EC", -2.14, -79.88, "America/Guayaquil"],
+    ["GYM", "MMGM", "Gen Jose Maria Yanez International Airport", "Guaymas", "MX", 27.97, -110.92, "America/Hermosillo"],
+    ["GYN", "SBGO", "Goiania Santa Genoveva Airport", "Goiânia", "BR", -16.63, -49.23, "America/Sao_Paulo"],
+    ["GYS", "ZUGU", "Guang Yuan Airport", "Guangyuan (Lizhou)", "CN", 32.4, 105.7, "Asia/Shanghai"],
+    ["GYU", "ZLGY", "Guyuan Liupanshan Airport", "Guyuan (Yuanzhou)", "CN", 36.08, 106.22, "Asia/Shanghai"],
+    ["GYZ", "YGRM", "Gruyere Mine Airport", "Gruyere Mine", "AU", -28.03, 123.81, "Australia/Perth"],
+    ["GZG", "ZUGZ", "Garze (Ganzi) Gesar Airport", "Garze (Ganzi) Gesar", "CN", 31.76, 99.55, "Asia/Shanghai"],
+    ["GZM", null, "Gozo Airport", "Gozo", "MT", 36.04, 14.21, "Europe/Malta"],
+    ["GZO", "AGGN", "Nusatupe Airport", "Gizo", "SB", -8.12, 156.83, "Pacific/Guadalcanal"],
+    ["GZP", "LTFG", "Gazipasa Airport", "Gazipaşa", "TR", 36.3, 32.3, "Europe/Istanbul"],
+    ["GZT", "LTAJ", "Gaziantep Airport", "Gaziantep", "TR", 36.94, 37.47, "Europe/Istanbul"],
+    ["HAA", "ENHK", "Hasvik Airport", "Hasvik", "NO", 70.47, 22.15, "Europe/Oslo"],
+    ["HAC", "RJTH", "Hachijo Jima Airport", "Hachijojima", "JP", 33.12, 139.78, "Asia/Tokyo"],
+    ["HAD", "ESMT", "Halmstad Airport", "Halmstad", "SE", 56.68, 12.82, "Europe/Stockholm"],
+    ["HAH", "FMCH", "Prince Said Ibrahim International Airport", "Moroni", "KM", -11.54, 43.27, "Indian/Comoro"],
+    ["HAJ", "EDDV", "Hannover Airport", "Hannover", "DE", 52.46, 9.69, "Europe/Berlin"],
+    ["HAK", "ZJHK", "Haikou Meilan International Airport", "Haikou (Meilan)", "CN", 19.94, 110.46, "Asia/Shanghai"],
+    ["HAL", "FYHI", "Halali Airport", "Halali", "NA", -19.03, 16.46, "Africa/Windhoek"],
+    ["HAM", "EDDH", "Hamburg Airport", "Hamburg", "DE", 53.63, 10.01, "Europe/Berlin"],
+    ["HAN", "VVNB", "Noi Bai International Airport", "Hanoi (Soc Son)", "VN", 21.21, 105.8, "Asia/Ho_Chi_Minh"],
+    ["HAP", null, "Long Island Seaplane Base", "Long Island", "AU", -20.34, 148.85, "Australia/Brisbane"],
+    ["HAQ", "VRMH", "Hanimaadhoo Airport", "Haa Dhaalu Atoll", "MV", 6.75, 73.17, "Indian/Maldives"],
+    ["HAS", "OEHL", "Hail Airport", "Ha'il", "SA", 27.44, 41.69, "Asia/Riyadh"],
+    ["HAU", "ENHD", "Haugesund Airport", "Karmøy", "NO", 59.34, 5.22, "Europe/Oslo"],
+    ["HAV", "MUHA", "Jose Marti International Airport", "Havana", "CU", 23, -82.41, "America/Havana"],
+    ["HAX", "KHAX", "Hatbox Field", "Hatbox Field", "US", 35.75, -95.42, "America/Chicago"],
+    ["HBA", "YMHB", "Hobart International Airport", "Hobart", "AU", -42.84, 147.51, "Australia/Hobart"],
+    ["HBC", null, "Hanus Bay Airport", "Hanus Bay", "US", 57.5, -135.92, "America/Sitka"],
+    ["HBE", "HEBA", "Borg El Arab Airport", "Alexandria", "EG", 30.93, 29.7, "Africa/Cairo"],
+    ["HBI", null, "Harbour Island Airport", "Harbour Island", "BS", 25.52, -76.6, "America/Nassau"],
+    ["HBN", null, "Phu-bon Airport", "Phu-bon", "VN", 12, 106, "Asia/Ho_Chi_Minh"],
+    ["HBO", null, "Humboldt Municipal Airport", "Humboldt Municipal", "US", 40.17, -95.95, "America/Chicago"],
+    ["HBQ", "ZLHB", "Haibei Qilian Airport", "Haibei Qilian", "CN", 38.01, 100.64, "Asia/Shanghai"],
+    ["HBT", null, "Hambantota Seaplane Base", "Hambantota", "LK", 6.12, 81.1, "Asia/Colombo"],
+    ["HBX", "VAHB", "Hubli Airport", "Hubli", "IN", 15.36, 75.09, "Asia/Kolkata"],
+    ["HCB", null, "Shoal Cove Airport", "Shoal Cove", "US", 55.45, -131.28, "America/Sitka"],
+    ["HCJ", "ZGHC", "Hechi Jinchengjiang Airport", "Hechi (Jinchengjiang)", "CN", 24.78, 107.7, "Asia/Shanghai"],
+    ["HCR", "PAHC", "Holy Cross Airport", "Holy Cross", "US", 62.19, -159.77, "America/Anchorage"],
+    ["HCZ", "ZGCZ", "Chenzhou Beihu Airport", "Chenzhou", "CN", 25.75, 112.85, "Asia/Shanghai"],
+    ["HDA", null, "Hidden Falls Airport", "Hidden Falls", "US", 57.2, -134.85, "America/Sitka"],
+    ["HDD", "OPKD", "Hyderabad Airport", "Hyderabad", "PK", 25.32, 68.36, "Asia/Karachi"],
+    ["HDF", "EDAH", "Heringsdorf Airport", "Heringsdorf", "DE", 53.88, 14.14, "Europe/Berlin"],
+    ["HDG", "ZBHD", "Handan Airport", "Handan", "CN", 36.53, 114.43, "Asia/Shanghai"],
+    ["HDK", "VRBK", "Kulhudhuffushi Airport", "Kulhudhuffushi", "MV", 6.63, 73.07, "Indian/Maldives"],
+    ["HDM", "OIHH", "Hamadan Airport", "Hamadan", "IR", 34.87, 48.54, "Asia/Tehran"],
+    ["HDN", "KHDN", "Yampa Valley Airport", "Hayden", "US", 40.48, -107.22, "America/Denver"],
+    ["HDO", "VIDX", "Hindon Airport", "Hindon", "IN", 28.71, 77.34, "Asia/Kolkata"],
+    ["HDS", "FAHS", "Hoedspruit Airport", "Hoedspruit", "ZA", -24.35, 30.95, "Africa/Johannesburg"],
+    ["HDY", "VTSS", "Hat Yai International Airport", "Hat Yai", "TH", 6.94, 100.39, "Asia/Bangkok"],
+    ["HEA", "OAHR", "Herat International Airport", "Guzara", "AF", 34.21, 62.23, "Asia/Kabul"],
+    ["HEH", "VYHH", "Heho Airport", "Heho", "MM", 20.74, 96.79, "Asia/Yangon"],
+    ["HEI", "EDXB", "Heide-Buesum Airport", "Büsum", "DE", 54.16, 8.9, "Europe/Berlin"],
+    ["HEK", "ZYHE", "Heihe Aihui Airport", "Heihe", "CN", 50.22, 127.43, "Asia/Shanghai"],
+    ["HEL", "EFHK", "Helsinki-Vantaa Airport", "Helsinki", "FI", 60.32, 24.97, "Europe/Helsinki"],
+    ["HEN", "EFHE", "Hernesaari Heliport", "Hernesaari", "FI", 60.15, 24.92, "Europe/Helsinki"],
+    ["HER", "LGIR", "Heraklion Airport N. Kazantzakis", "Heraklion", "GR", 35.34, 25.17, "Europe/Athens"],
+    ["HET", "ZBHH", "Hohhot Baita International Airport", "Hohhot", "CN", 40.85, 111.81, "Asia/Shanghai"],
+    ["HEV", null, "Huelva Airport", "Huelva", "ES", 37.27, -6.95, "Europe/Madrid"],
+    ["HEY", "KHEY", "Hanchey Army Heliport", "Hanchey Army", "US", 31.35, -85.65, "America/Chicago"],
+    ["HFA", "LLHA", "Haifa Airport", "Haifa", "IL", 32.81, 35.04, "Asia/Jerusalem"],
+    ["HFE", "ZSOF", "Hefei Xinqiao International Airport", "Hefei", "CN", 31.99, 116.97, "Asia/Shanghai"],
+    ["HFN", "BIHN", "Hornafjordur Airport", "Höfn", "IS", 64.28, -15.27, "Atlantic/Reykjavik"],
+    ["HFS", "ESOH", "Hagfors Airport", "Råda", "SE", 60.02, 13.57, "Europe/Stockholm"],
+    ["HFT", "ENHF", "Hammerfest Airport", "Hammerfest", "NO", 70.68, 23.68, "Europe/Oslo"],
+    ["HGA", "HCMH", "Hargeisa Airport", "Hargeisa", "SO", 9.52, 44.09, "Africa/Mogadishu"],
+    ["HGD", "YHUG", "Hughenden Airport", "Hughenden", "AU", -20.82, 144.22, "Australia/Brisbane"],
+    ["HGH", "ZSHC", "Hangzhou Xiaoshan International Airport", "Hangzhou", "CN", 30.24, 120.43, "Asia/Shanghai"],
+    ["HGI", "VEHO", "Itanagar Hollongi Airport", "Hollongi", "IN", 26.97, 93.66, "Asia/Kolkata"],
+    ["HGL", "EDXH", "Helgoland Airport", "Helgoland", "DE", 54.19, 7.92, "Europe/Berlin"],
+    ["HGN", "VTCH", "Mae Hong Son Airport", "Mae Hong Son", "TH", 19.3, 97.98, "Asia/Bangkok"],
+    ["HGO", "DIKO", "Korhogo Airport", "Korhogo", "CI", 9.39, -5.55, "Africa/Abidjan"],
+    ["HGR", "KHGR", "Hagerstown Regional Airport", "Hagerstown", "US", 39.71, -77.73, "America/New_York"],
+    ["HGT", null, "Hunter Army Air Field", "Hunter Army Air Field", "US", 35.97, -121.15, "America/Los_Angeles"],
+    ["HGU", "AYMH", "Mount Hagen Airport", "Mount Hagen", "PG", -5.83, 144.3, "Pacific/Port_Moresby"],
+    ["HHH", "KHXD", "Hilton Head Airport", "Hilton Head Island", "US", 32.22, -80.7, "America/New_York"],
+    ["HHN", "EDFH", "Frankfurt - Hahn Airport", "Frankfurt am Main (Lautzenhausen)", "DE", 49.95, 7.26, "Europe/Berlin"],
+    ["HHP", null, "Sheung Wan Heliport", "Hong Kong", "HK", 22.29, 114.15, "Asia/Hong_Kong"],
+    ["HHQ", "VTPH", "Hua Hin Airport", "Hua Hin", "TH", 12.63, 99.95, "Asia/Bangkok"],
+    ["HHR", "KHHR", "Hawthorne Municipal Airport", "Hawthorne", "US", 33.92, -118.34, "America/Los_Angeles"],
+    ["HHZ", "NTGH", "Hikueru", "Hikueru", "PF", -17.55, -142.61, "Pacific/Tahiti"],
+    ["HIA", "ZSSH", "Huai'an Lianshui Airport", "Huai'an", "CN", 33.79, 119.13, "Asia/Shanghai"],
+    ["HIB", "KHIB", "Chisholm Airport", "Hibbing", "US", 47.39, -92.84, "America/Chicago"],
+    ["HID", "YHID", "Horn Island Airport", "Horn", "AU", -10.58, 142.28, "Australia/Brisbane"],
+    ["HIH", null, "Hook Island Airport", "Hook Island", "AU", -20.17, 148.95, "Australia/Brisbane"],
+    ["HIJ", "RJOA", "Hiroshima Airport", "Hiroshima", "JP", 34.44, 132.92, "Asia/Tokyo"],
+    ["HIL", "HASL", "Shillavo Airport", "Shillavo", "ET", 6.08, 44.77, "Africa/Addis_Ababa"],
+    ["HIN", "RKPS", "Sacheon Airport", "Sacheon", "KR", 35.09, 128.09, "Asia/Seoul"],
+    ["HIR", "AGGH", "Honiara International Airport", "Honiara", "SB", -9.43, 160.05, "Pacific/Guadalcanal"],
+    ["HIS", "YHYN", "Hayman Island Airport", "Hayman Island", "AU", -20.07, 148.87, "Australia/Lindeman"],
+    ["HJB", "ZWHJ", "Hejing Bayinbuluke Airport", "Hejing Bayinbuluke", "CN", 42.98, 83.97, "Asia/Shanghai"],
+    ["HJJ", "ZGCJ", "Zhijiang Airport", "Huaihua", "CN", 27.44, 109.7, "Asia/Shanghai"],
+    ["HJR", "VAKJ", "Khajuraho Airport", "Khajuraho", "IN", 24.82, 79.92, "Asia/Kolkata"],
+    ["HKD", "RJCH", "Hakodate Airport", "Hakodate", "JP", 41.78, 140.82, "Asia/Tokyo"],
+    ["HKG", "VHHH", "Hong Kong International Airport", "Islands", "HK", 22.31, 113.92, "Asia/Hong_Kong"],
+    ["HKK", "NZHK", "Hokitika Airport", "Hokitika", "NZ", -42.71, 170.98, "Pacific/Auckland"],
+    ["HKN", "AYHK", "Hoskins Airport", "Kimbe", "PG", -5.46, 150.4, "Pacific/Port_Moresby"],
+    ["HKT", "VTSP", "Phuket International Airport", "Phuket", "TH", 8.11, 98.31, "Asia/Bangkok"],
+    ["HLA", "FALA", "Lanseria International Airport", "Johannesburg", "ZA", -25.94, 27.93, "Africa/Johannesburg"],
+    ["HLD", "ZBLA", "Hulunbuir Hailar Airport", "Hailar", "CN", 49.21, 119.82, "Asia/Shanghai"],
+    ["HLE", "FHSH", "Saint Helena Airport", "Longwood", "SH", -15.96, -5.65, "Atlantic/St_Helena"],
+    ["HLH", "ZBUL", "Ulanhot Airport", "Ulanhot", "CN", 46.19, 122, "Asia/Shanghai"],
+    ["HLN", "KHLN", "Helena Regional Airport", "Helena", "US", 46.61, -111.99, "America/Denver"],
+    ["HLP", "WIHH", "Halim Perdanakusuma Airport", "Jakarta", "ID", -6.27, 106.89, "Asia/Jakarta"],
+    ["HLU", "NWWH", "Houailou Airport", "Houailou", "NC", -21.03, 166.07, "Pacific/Noumea"],
+    ["HLY", null, "Holyhead Airport", "Holyhead", "GB", 53.3, -4.63, "Europe/London"],
+    ["HLZ", "NZHN", "Hamilton International Airport", "Hamilton", "NZ", -37.87, 175.34, "Pacific/Auckland"],
+    ["HMA", "USHH", "Khanty-Mansiysk Airport", "Khanty-Mansiysk", "RU", 61.03, 69.1, "Asia/Yekaterinburg"],
+    ["HMB", "HEMK", "Sohag International Airport", "Suhaj", "EG", 26.34, 31.74, "Africa/Cairo"],
+    ["HME", "DAUH", "Oued Irara Airport", "Hassi Messaoud", "DZ", 31.68, 6.15, "Africa/Algiers"],
+    ["HMI", "ZWHM", "Hami Airport", "Hami", "CN", 42.92, 93.42, "Asia/Shanghai"],
+    ["HMO", "MMHO", "General Ignacio Pesqueira García International Airport", "Hermosillo", "MX", 29.09, -111.05, "America/Hermosillo"],
+    ["HMS", "WAGB", "Haji Muhammad Sidik Airport", "Haji Muhammad Sidik", "ID", -1.02, 114.93, "Asia/Pontianak"],
+    ["HMV", "ESUT", "Hemavan Tarnaby Airport", "Hemavan", "SE", 65.73, 15.27, "Europe/Stockholm"],
+    ["HNA", "RJSI", "Hanamaki Airport", "Hanamaki", "JP", 39.43, 141.13, "Asia/Tokyo"],
+    ["HND", "RJTT", "Haneda Airport", "Tokyo", "JP", 35.55, 139.78, "Asia/Tokyo"],
+    ["HNG", null, "Hienghene Airport", "Hienghene", "NC", -20.67, 164.9, "Pacific/Noumea"],
+    ["HNH", "PAOH", "Hoonah Airport", "Hoonah", "US", 58.1, -135.41, "America/Juneau"],
+    ["HNL", "PHNL", "Daniel K. Inouye International Airport", "Honolulu", "US", 21.33, -157.92, "Pacific/Honolulu"],
+    ["HNM", "PHHN", "Hana Airport", "Hana", "US", 20.8, -156.02, "Pacific/Honolulu"],
+    ["HNS", "PAHN", "Haines Municipal Airport", "Haines", "US", 59.25, -135.53, "America/Juneau"],
+    ["HNX", null, "Hanna Airport", "Hanna", "US", 41.83, -106.5, "America/Denver"],
+    ["HNY", "ZGHY", "Hengyang Nanyue Airport", "Hengyang", "CN", 26.72, 112.62, "Asia/Shanghai"],
+    ["HOB", "KHOB", "Lea County Airport", "Hobbs", "US", 32.69, -103.22, "America/Denver"],
+    ["HOD", "OYHD", "Hodeidah Airport", "Hodeida", "YE", 14.76, 42.97, "Asia/Aden"],
+    ["HOF", "OEAH", "Al-Ahsa Airport", "Hofuf", "SA", 25.29, 49.49, "Asia/Riyadh"],
+    ["HOG", "MUHG", "Frank Pais Airport", "Holguin", "CU", 20.79, -76.31, "America/Havana"],
+    ["HOI", "NTTO", "Hao Island Airport", "Otepa", "PF", -18.06, -140.97, "Pacific/Tahiti"],
+    ["HOK", "YHOO", "Hooker Creek Airport", "Hooker Creek", "AU", -18.33, 130.63, "Australia/Darwin"],
+    ["HOL", null, "Holikachu Airport", "Holikachu", "US", 62.87, -159.65, "America/Anchorage"],
+    ["HOM", "PAHO", "Homer Airport", "Homer", "US", 59.64, -151.49, "America/Anchorage"],
+    ["HOR", "LPHR", "Horta Airport", "Horta", "PT", 38.52, -28.72, "Atlantic/Azores"],
+    ["HOT", "KHOT", "Memorial Field", "Hot Springs", "US", 34.48, -93.1, "America/Chicago"],
+    ["HOU", "KHOU", "William P. Hobby Airport", "Houston", "US", 29.65, -95.28, "America/Chicago"],
+    ["HOV", "ENOV", "Orsta–Volda Airport", "Ørsta", "NO", 62.18, 6.08, "Europe/Oslo"],
+    ["HPA", "NFTL", "Salote Pilolevu Airport", "Lifuka", "TO", -19.78, -174.34, "Pacific/Tongatapu"],
+    ["HPB", "PAHP", "Hooper Bay Airport", "Hooper Bay", "US", 61.53, -166.15, "America/Anchorage"],
+    ["HPG", "ZHSN", "Shennongjia Hongping Airport", "Shennongjia (Hongping)", "CN", 31.63, 110.34, "Asia/Shanghai"],
+    ["HPH", "VVCI", "Cat Bi International Airport", "Haiphong (Hai An)", "VN", 20.82, 106.73, "Asia/Ho_Chi_Minh"],
+    ["HPN", "KHPN", "Westchester County Airport", "White Plains", "US", 41.07, -73.7, "America/New_York"],
+    ["HPR", null, "Pretoria Central Heliport", "Pretoria Central", "ZA", -25.66, 28.22, "Africa/Johannesburg"],
+    ["HQL", "ZWTK", "Tashkurgan Khunjerab Airport", "Tashkurgan Khunjerab", "CN", 37.66, 75.29, "Asia/Urumqi"],
+    ["HQQ", "ZHQQ", "Anyang Hongqiqu Airport", "Anyang Hongqiqu", "CN", 35.87, 114.46, "Asia/Shanghai"],
+    ["HRB", "ZYHB", "Harbin Taiping International Airport", "Harbin", "CN", 45.62, 126.24, "Asia/Shanghai"],
+    ["HRE", "FVHA", "Robert Gabriel Mugabe International Airport", "Harare", "ZW", -17.92, 31.1, "Africa/Harare"],
+    ["HRF", "VRAH", "Hoarafushi Airport", "Hoarafushi", "MV", 6.98, 72.9, "Indian/Maldives"],
+    ["HRG", "HEGN", "Hurghada International Airport", "Hurghada", "EG", 27.19, 33.81, "Africa/Cairo"],
+    ["HRH", "VIAH", "Aligarh Airport", "Aligarh", "IN", 27.86, 78.15, "Asia/Kolkata"],
+    ["HRI", "VCRI", "Mattala Rajapaksa International Airport", "Mattala", "LK", 6.28, 81.12, "Asia/Colombo"],
+    ["HRK", "UKHH", "International Airport Kharkiv", "Kharkiv", "UA", 49.92, 36.28, "Europe/Kyiv"],
+    ["HRL", "KHRL", "Valley International Airport", "Harlingen", "US", 26.22, -97.66, "America/Chicago"],
+    ["HRN", null, "Heron Island Heliport", "Heron Island", "AU", -23.43, 151.92, "Australia/Brisbane"],
+    ["HRO", "KHRO", "Boone County Airport", "Harrison", "US", 36.26, -93.15, "America/Chicago"],
+    ["HSA", "UAIT", "Hazrat Sultan International Airport (HSIA)", "Hazrat Sultan", "KZ", 43.31, 68.55, "Asia/Almaty"],
+    ["HSC", "ZGSG", "Shaoguan Danxia Airport", "Shaoguan", "CN", 24.98, 113.42, "Asia/Shanghai"],
+    ["HSG", "RJFS", "Saga Airport", "Saga", "JP", 33.15, 130.3, "Asia/Tokyo"],
+    ["HSL", "PAHL", "Huslia Airport", "Huslia", "US", 65.7, -156.37, "America/Anchorage"],
+    ["HSN", "ZSZS", "Zhoushan Airport", "Zhoushan", "CN", 29.94, 122.36, "Asia/Shanghai"],
+    ["HSS", "VIHR", "Maharaja Agrasen International Airport", "Hissar", "IN", 29.17, 75.8, "Asia/Kolkata"],
+    ["HSV", "KHSV", "Huntsville International Airport", "Huntsville", "US", 34.65, -86.77, "America/Chicago"],
+    ["HTA", "UIAA", "Chita Airport", "Chita", "RU", 52.03, 113.3, "Asia/Yakutsk"],
+    ["HTB", null, "Terre-de-Bas Airport", "Terre-de-Bas", "GP", 15.72, -61.63, "America/Guadeloupe"],
+    ["HTG", "UOHH", "Hatanga Airport", "Khatanga", "RU", 71.98, 102.48, "Asia/Krasnoyarsk"],
+    ["HTI", "YBHM", "Hamilton Island Airport", "Hamilton Island", "AU", -20.35, 148.95, "Australia/Lindeman"],
+    ["HTN", "ZWTN", "Hotan Airport", "Hotan", "CN", 37.04, 79.87, "Asia/Shanghai"],
+    ["HTS", "KHTS", "Huntington Tri-State Airport", "Huntington", "US", 38.37, -82.56, "America/New_York"],
+    ["HTT", "ZLHX", "Huatugou Airport", "Mengnai", "CN", 38.26, 90.83, "Asia/Shanghai"],
+    ["HTY", "LTDA", "Hatay Airport", "Antakya", "TR", 36.36, 36.28, "Europe/Istanbul"],
+    ["HUG", "MGHT", "Huehuetenango Airport", "Huehuetenango", "GT", 15.33, -91.47, "America/Guatemala"],
+    ["HUH", "NTTH", "Huahine Airport", "Fare", "PF", -16.69, -151.03, "Pacific/Tahiti"],
+    ["HUI", "VVPB", "Phu Bai Airport", "Huế", "VN", 16.4, 107.7, "Asia/Ho_Chi_Minh"],
+    ["HUN", "RCYU", "Hualien Airport", "Hualien City", "TW", 24.03, 121.61, "Asia/Taipei"],
+    ["HUO", "ZBHZ", "Holingol Huolinhe Airport", "Holingol", "CN", 45.49, 119.41, "Asia/Shanghai"],
+    ["HUS", "PAHU", "Hughes Municipal Airport", "Hughes", "US", 66.04, -154.26, "America/Anchorage"],
+    ["HUU", "SPNC", "Huanuco Airport", "Huánuco", "PE", -9.87, -76.22, "America/Lima"],
+    ["HUX", "MMBT", "Bahias De Huatulco International Airport", "Huatulco", "MX", 15.77, -96.24, "America/Mexico_City"],
+    ["HUY", "EGNJ", "Humberside Airport", "Grimsby", "GB", 53.58, -0.35, "Europe/London"],
+    ["HUZ", "ZGHZ", "Huizhou Airport", "Huizhou (Pingtan)", "CN", 23.05, 114.6, "Asia/Shanghai"],
+    ["HVB", "YHBA", "Hervey Bay Airport", "Hervey Bay", "AU", -25.32, 152.89, "Australia/Brisbane"],
+    ["HVD", "ZMKD", "Khovd Airport", "Khovd", "MN", 48.02, 91.65, "Asia/Ulaanbaatar"],
+    ["HVG", "ENHV", "Honningsvag Airport, Valan", "Honningsvåg", "NO", 70.98, 25.83, "Europe/Oslo"],
+    ["HVM", "BIHV", "Hvammstangi Airport", "Hvammstangi", "IS", 65.42, -21, "Atlantic/Reykjavik"],
+    ["HVN", "KHVN", "Tweed–New Haven Regional Airport", "New Haven", "US", 41.27, -72.89, "America/New_York"],
+    ["HVR", "KHVR", "Havre City County Airport", "Havre", "US", 48.54, -109.76, "America/Denver"],
+    ["HXD", "ZLDL", "Delingha Airport", "Haixi", "CN", 37.13, 97.27, "Asia/Shanghai"],
+    ["HYA", "KHYA", "Cape Cod Gateway Airport", "Hyannis", "US", 41.67, -70.28, "America/New_York"],
+    ["HYD", "VOHS", "Rajiv Gandhi International Airport", "Hyderabad", "IN", 17.23, 78.43, "Asia/Kolkata"],
+    ["HYG", "PAHY", "Hydaburg Sea Plane Base", "Hydaburg", "US", 55.21, -132.83, "America/Metlakatla"],
+    ["HYL", null, "Hollis Seaplane Base", "Hollis", "US", 55.49, -132.62, "America/Sitka"],
+    ["HYN", "ZSLQ", "Luqiao Airport", "Huangyan", "CN", 28.56, 121.42, "Asia/Shanghai"],
+    ["HYS", "KHYS", "Hays Municipal Airport", "Hays", "US", 38.85, -99.27, "America/Chicago"],
+    ["HZA", "ZSHZ", "Heze Mudan Airport", "Heze", "CN", 35.21, 115.74, "Asia/Shanghai"],
+    ["HZG", "ZLHZ", "Hanzhong Airport", "Hanzhong", "CN", 33.06, 107.01, "Asia/Shanghai"],
+    ["HZH", "ZUNP", "Liping Airport", "Liping", "CN", 26.32, 109.15, "Asia/Shanghai"],
+    ["HZK", "BIHU", "Husavik Airport", "Húsavík", "IS", 65.96, -17.42, "Atlantic/Reykjavik"],
+    ["IAA", "UOII", "Igarka Airport", "Igarka", "RU", 67.43, 86.63, "Asia/Krasnoyarsk"],
+    ["IAD", "KIAD", "Washington Dulles International Airport", "Dulles", "US", 38.95, -77.45, "America/New_York"],
+    ["IAG", "KIAG", "Niagara Falls International Airport", "Niagara Falls", "US", 43.1, -78.95, "America/New_York"],
+    ["IAH", "KIAH", "George Bush Intercontinental Airport", "Houston", "US", 29.98, -95.34, "America/Chicago"],
+    ["IAM", "DAUZ", "In Amenas Airport", "In Aménas", "DZ", 28.05, 9.64, "Africa/Algiers"],
+    ["IAN", "PAIK", "Bob Baker Memorial Airport", "Kiana", "US", 66.97, -160.44, "America/Anchorage"],
+    ["IAO", "RPNS", "Sayak Airport", "Siargao", "PH", 9.86, 126.01, "Asia/Manila"],
+    ["IAS", "LRIA", "Iasi Airport", "Iaşi", "RO", 47.18, 27.62, "Europe/Bucharest"],
+    ["IBA", "DNIB", "Ibadan Airport", "Ibadan", "NG", 7.36, 3.98, "Africa/Lagos"],
+    ["IBB", "SEII", "General Villamil Airport", "Isabela", "EC", -0.94, -90.95, "America/Guayaquil"],
+    ["IBE", "SKIB", "Ibague Airport", "Ibagué", "CO", 4.42, -75.14, "America/Bogota"],
+    ["IBR", "RJAH", "Ibaraki Airport", "Omitama", "JP", 36.18, 140.41, "Asia/Tokyo"],
+    ["IBZ", "LEIB", "Ibiza Airport", "Ibiza (Eivissa)", "ES", 38.88, 1.37, "Europe/Madrid"],
+    ["ICC", "SVIE", "A.M. Salazar Marcano", "Isla De Coche", "VE", 10.8, -64.03, "America/Caracas"],
+    ["ICI", "NFCI", "Cicia Airport", "Cicia", "FJ", -17.74, -179.34, "Pacific/Fiji"],
+    ["ICN", "RKSI", "Incheon International Airport", "Seoul", "KR", 37.45, 126.45, "Asia/Seoul"],
+    ["ICT", "KICT", "Wichita Dwight D. Eisenhower National Airport", "Wichita", "US", 37.65, -97.43, "America/Chicago"],
+    ["IDA", "KIDA", "Idaho Falls Regional Airport", "Idaho Falls", "US", 43.51, -112.07, "America/Boise"],
+    ["IDR", "VAID", "Devi Ahilya Bai Holkar Airport", "Indore", "IN", 22.73, 75.81, "Asia/Kolkata"],
+    ["IDY", "LFEY", "Ile 'd' Yeu Airport", "Île d'Yeu", "FR", 46.72, -2.39, "Europe/Paris"],
+    ["IEG", "EPZG", "Zielona Gora-Babimost Airport", "Babimost", "PL", 51.14, 15.78, "Europe/Warsaw"],
+    ["IEV", "UKKK", "Kyiv International Airport", "Kyiv", "UA", 50.4, 30.45, "Europe/Kyiv"],
+    ["IFJ", "BIIS", "Isafjordur Airport", "Ísafjörður", "IS", 66.06, -23.13, "Atlantic/Reykjavik"],
+    ["IFN", "OIFM", "Isfahan International Airport", "Isfahan", "IR", 32.75, 51.88, "Asia/Tehran"],
+    ["IFO", "UKLI", "Ivano-Frankovsk Airport", "Ivano-Frankivsk", "UA", 48.89, 24.71, "Europe/Kyiv"],
+    ["IGA", "MYIG", "Inagua Airport", "Matthew Town", "BS", 20.98, -73.67, "America/Nassau"],
+    ["IGD", "LTCT", "Igdir Airport", "Iğdır", "TR", 39.97, 43.88, "Europe/Istanbul"],
+    ["IGG", "PAIG", "Igiugig Airport", "Igiugig", "US", 59.32, -155.9, "America/Anchorage"],
+    ["IGR", "SARI", "Cataratas del Iguazu International Airport", "Puerto Iguazu", "AR", -25.73, -54.48, "America/Argentina/Buenos_Aires"],
+    ["IGT", "URMS", "Magas Airport", "Sunzha", "RU", 43.32, 45.01, "Europe/Moscow"],
+    ["IGU", "SBFI", "Cataratas International Airport", "Foz do Iguaçu", "BR", -25.6, -54.49, "America/Sao_Paulo"],
+    ["IHA", null, "Niihama Airport", "Niihama", "JP", 33.92, 133.27, "Asia/Tokyo"],
+    ["IHU", "AYIH", "Ihu Airport", "Ihu", "PG", -7.9, 145.38, "Pacific/Port_Moresby"],
+    ["IIA", "EIMN", "Inishmaan Airport", "Inishmaan", "IE", 53.08, -9.53, "Europe/Dublin"],
+    ["IIN", null, "Nishinoomote Airport", "Nishinoomote", "JP", 30.72, 130.98, "Asia/Tokyo"],
+    ["IJK", "USII", "Izhevsk Airport", "Izhevsk", "RU", 56.83, 53.46, "Europe/Samara"],
+    ["IKA", "OIIE", "Imam Khomeini International Airport", "Tehran", "IR", 35.41, 51.15, "Asia/Tehran"],
+    ["IKE", "BGIA", "Ikerasak Heliport", "Ikerasak", "GL", 70.5, -51.3, "America/Godthab"],
+    ["IKG", "UCFP", "Karakol International Airport", "Karakol", "KG", 42.51, 78.41, "Asia/Bishkek"],
+    ["IKI", "RJDB", "Iki Airport", "Iki", "JP", 33.75, 129.79, "Asia/Tokyo"],
+    ["IKO", "PAKO", "Nikolski Air Force Station", "Nikolski", "US", 52.94, -168.85, "America/Anchorage"],
+    ["IKS", "UEST", "Tiksi Airport", "Tiksi", "RU", 71.7, 128.9, "Asia/Yakutsk"],
+    ["IKT", "UIII", "Irkutsk International Airport", "Irkutsk", "RU", 52.27, 104.36, "Asia/Irkutsk"],
+    ["IKU", "UCFL", "Issyk-Kul International Airport", "Tamchy", "KG", 42.59, 76.71, "Asia/Bishkek"],
+    ["ILB", null, "Ilha Solteira Airport", "Ilha Solteira", "BR", -20.33, -51.33, "America/Campo_Grande"],
+    ["ILD", "LEDA", "Lleida-Alguaire Airport", "Lleida", "ES", 41.73, 0.54, "Europe/Madrid"],
+    ["ILF", "CZBD", "Ilford Airport", "Ilford", "CA", 56.07, -95.62, "America/Winnipeg"],
+    ["ILG", "KILG", "New Castle Airport", "Wilmington", "US", 39.68, -75.61, "America/New_York"],
+    ["ILI", "PAIL", "Iliamna Airport", "Iliamna", "US", 59.76, -154.91, "America/Anchorage"],
+    ["ILM", "KILM", "Wilmington International Airport", "Wilmington", "US", 34.27, -77.91, "America/New_York"],
+    ["ILO", "RPVI", "Iloilo International Airport", "Cabatuan", "PH", 10.83, 122.49, "Asia/Manila"],
+    ["ILP", "NWWE", "Ile Des Pins Airport", "Île des Pins", "NC", -22.59, 167.45, "Pacific/Noumea"],
+    ["ILQ", "SPLO", "Ilo Airport", "Ilo", "PE", -17.69, -71.34, "America/Lima"],
+    ["ILR", "DNIL", "Ilorin International Airport", "Ilorin", "NG", 8.44, 4.49, "Africa/Lagos"],
+    ["ILS", "MSSS", "Ilopango International Airport", "San Salvador", "SV", 13.77, -89.21, "America/El_Salvador"],
+    ["ILY", "EGPI", "Islay Airport", "Port Ellen", "GB", 55.68, -6.25, "Europe/London"],
+    ["IMF", "VEIM", "Imphal Airport", "Imphal", "IN", 24.76, 93.9, "Asia/Kolkata"],
+    ["IMK", "VNST", "Simikot Airport", "Simikot", "NP", 29.97, 81.82, "Asia/Kathmandu"],
+    ["IMP", "SBIZ", "Imperatriz Airport", "Imperatriz", "BR", -5.53, -47.48, "America/Belem"],
+    ["IMT", "KIMT", "Ford Airport", "Iron Mountain", "US", 45.82, -88.11, "America/Menominee"],
+    ["IMZ", null, "Nimroz Airport", "Nimroz", "AF", 31.1, 62.93, "Asia/Kabul"],
+    ["INC", "ZLIC", "Yinchuan Hedong International Airport", "Yinchuan", "CN", 38.32, 106.39, "Asia/Shanghai"],
+    ["IND", "KIND", "Indianapolis International Airport", "Indianapolis", "US", 39.72, -86.29, "America/Indiana/Indianapolis"],
+    ["INH", "FQIN", "Inhambane Airport", "Inhambane", "MZ", -23.87, 35.41, "Africa/Maputo"],
+    ["INI", "LYNI", "Nis Constantine the Great Airport", "Nis", "RS", 43.34, 21.87, "Europe/Belgrade"],
+    ["INL", "KINL", "Falls International Airport", "International Falls", "US", 48.56, -93.4, "America/Chicago"],
+    ["INN", "LOWI", "Innsbruck Airport", "Innsbruck", "AT", 47.26, 11.35, "Europe/Vienna"],
+    ["INO", "FZBA", "Inongo Airport", "Inongo", "CD", -1.95, 18.28, "Africa/Kinshasa"],
+    ["INQ", "EIIR", "Inisheer Airport", "Inisheer", "IE", 53.03, -9.43, "Europe/Dublin"],
+    ["INU", "ANYN", "Nauru Island International Airport", "Yaren District", "NR", -0.53, 166.92, "Pacific/Nauru"],
+    ["INV", "EGPE", "Inverness Airport", "Inverness", "GB", 57.54, -4.06, "Europe/London"],
+    ["INZ", "DAUI", "In Salah Airport", "In Salah", "DZ", 27.25, 2.51, "Africa/Algiers"],
+    ["IOA", "LGIO", "Ioannina Airport", "Ioannina", "GR", 39.7, 20.83, "Europe/Athens"],
+    ["IOM", "EGNS", "Isle of Man Airport", "Castletown", "IM", 54.09, -4.63, "Europe/Isle_of_Man"],
+    ["IOQ", "BGIS", "Isortoq Heliport", "Isortoq", "GL", 65.55, -38.98, "America/Godthab"],
+    ["IOR", "EIIM", "Kilronan Airport", "Inis Mor", "IE", 53.12, -9.75, "Europe/Dublin"],
+    ["IOS", "SBIL", "Ilheus/Bahia-Jorge Amado Airport", "Ilhéus", "BR", -14.82, -39.03, "America/Belem"],
+    ["IOT", "BGLL", "Illorsuit Heliport", "Illorsuit", "GL", 71.24, -53.56, "America/Godthab"],
+    ["IOU", null, "Ile Ouen Airport", "Ile Ouen", "NC", -22.46, 166.78, "Pacific/Noumea"],
+    ["IPC", "SCIP", "Mataveri International Airport", "Isla De Pascua", "CL", -27.12, -109.37, "Pacific/Easter"],
+    ["IPH", "WMKI", "Ipoh Airport", "Ipoh", "MY", 4.57, 101.1, "Asia/Kuala_Lumpur"],
+    ["IPI", "SKIP", "San Luis Airport", "Ipiales", "CO", 0.86, -77.68, "America/Bogota"],
+    ["IPL", "KIPL", "Imperial County Airport", "Imperial", "US", 32.83, -115.57, "America/Los_Angeles"],
+    ["IPN", "SBIP", "Vale do Aço Regional Airport", "Ipatinga", "BR", -19.5, -42.53, "America/Sao_Paulo"],
+    ["IPT", "KIPT", "Williamsport Regional Airport", "Williamsport", "US", 41.24, -76.92, "America/New_York"],
+    ["IQM", "ZWCM", "Qiemo Yudu Airport", "Qiemo", "CN", 38.23, 85.47, "Asia/Urumqi"],
+    ["IQN", "ZLQY", "Qingyang Airport", "Qingyang (Xifeng)", "CN", 35.8, 107.6, "Asia/Shanghai"],
+    ["IQQ", "SCDA", "Diego Aracena International Airport", "Iquique", "CL", -20.55, -70.18, "America/Santiago"],
+    ["IQT", "SPQT", "Coronel FAP Francisco Secada Vignetta International Airport", "Iquitos", "PE", -3.79, -73.3, "America/Lima"],
+    ["IRA", "AGGK", "Kirakira Airport", "Kirakira", "SB", -10.5, 161.83, "Pacific/Guadalcanal"],
+    ["IRC", "PACR", "Circle City Airport", "Circle", "US", 65.83, -144.06, "America/Anchorage"],
+    ["IRG", "YLHR", "Lockhart River Airport", "Lockhart River", "AU", -12.79, 143.31, "Australia/Brisbane"],
+    ["IRJ", "SANL", "La Rioja Airport", "La Rioja", "AR", -29.38, -66.78, "America/Argentina/Buenos_Aires"],
+    ["IRK", "KIRK", "Kirksville Municipal Airport", "Kirksville", "US", 40.09, -92.54, "America/Chicago"],
+    ["IRP", "FZJH", "Matari Airport", "Isiro", "CD", 2.83, 27.59, "Africa/Lubumbashi"],
+    ["IRZ", "SWTP", "Santa Isabel Rio Negro Airport", "Santa Isabel do Rio Negro", "BR", -0.38, -65, "America/Manaus"],
+    ["ISA", "YBMA", "Mount Isa Airport", "Mount Isa", "AU", -20.67, 139.49, "Australia/Brisbane"],
+    ["ISB", "OPIS", "Islamabad International Airport", "Attock", "PK", 33.55, 72.83, "Asia/Karachi"],
+    ["ISC", "EGHE", "Isles of Scilly Airport", "ST MARY\\'S", "GB", 49.91, -6.29, "Europe/London"],
+    ["ISE", "LTFC", "Isparta Suleyman Demirel Airport", "Isparta", "TR", 37.87, 30.38, "Europe/Istanbul"],
+    ["ISG", "ROIG", "Painushima Ishigaki Airport", "Ishigaki", "JP", 24.39, 124.25, "Asia/Tokyo"],
+    ["ISH", null, "Ischia Airport", "Ischia", "IT", 40.73, 13.95, "Europe/Rome"],
+    ["ISK", "VAOZ", "Nashik International Airport", "Nasik", "IN", 20.12, 73.92, "Asia/Kolkata"],
+    ["ISP", "KISP", "Long Island MacArthur Airport", "Islip", "US", 40.79, -73.1, "America/New_York"],
+    ["IST", "LTFM", "Istanbul Airport", "Arnavutköy, Istanbul", "TR", 41.26, 28.74, "Europe/Istanbul"],
+    ["ISU", "ORSU", "Sulaimaniyah International Airport", "Sulaymaniyah", "IQ", 35.57, 45.3, "Asia/Baghdad"],
+    ["ITB", "SBIH", "Itaituba Airport", "Itaituba", "BR", -4.28, -55.98, "America/Belem"],
+    ["ITH", "KITH", "Ithaca Tompkins Regional Airport", "Ithaca", "US", 42.49, -76.46, "America/New_York"],
+    ["ITI", "SNYH", "Itambacuri Airport", "Itambacuri", "BR", -18, -41.5, "America/Sao_Paulo"],
+    ["ITM", "RJOO", "Osaka International Airport", "Osaka", "JP", 34.79, 135.44, "Asia/Tokyo"],
+    ["ITN", "SNHA", "Itabuna Airport", "Itabuna", "BR", -14.8, -39.3, "America/Belem"],
+    ["ITO", "PHTO", "Hilo International Airport", "Hilo", "US", 19.71, -155.04, "Pacific/Honolulu"],
+    ["ITU", "UHSI", "Iturup Airport", "Iturup", "RU", 45.26, 147.95, "Asia/Sakhalin"],
+    ["IUE", "NIUE", "Hanan Airport", "Alofi", "NU", -19.08, -169.93, "Pacific/Niue"],
+    ["IUI", "BGIN", "Innarsuit Heliport", "Innarsuit", "GL", 73.2, -56.01, "America/Godthab"],
+    ["IUM", null, "Summit Lake Airport", "Summit Lake", "CA", 54.33, -122.67, "America/Vancouver"],
+    ["IVC", "NZNV", "Invercargill Airport", "Invercargill", "NZ", -46.42, 168.32, "Pacific/Auckland"],
+    ["IVL", "EFIV", "Ivalo Airport", "Ivalo", "FI", 68.61, 27.42, "Europe/Helsinki"],
+    ["IWA", "UUBI", "Ivanovo Yuzhny Airport", "Ivanovo", "RU", 56.94, 40.94, "Europe/Moscow"],
+    ["IWD", "KIWD", "Gogebic–Iron County Airport", "Gogebic–Iron County", "US", 46.53, -90.13, "America/Menominee"],
+    ["IWJ", "RJOW", "Hagi-Iwami Airport", "Masuda", "JP", 34.68, 131.79, "Asia/Tokyo"],
+    ["IWK", "RJOI", "Iwakuni Kintaikyo Airport", "Iwakuni", "JP", 34.14, 132.24, "Asia/Tokyo"],
+    ["IXA", "VEAT", "Maharaja Bir Bikram Singh Airport", "Agartala", "IN", 23.89, 91.24, "Asia/Kolkata"],
+    ["IXB", "VEBD", "Bagdogra Airport", "Siliguri", "IN", 26.68, 88.32, "Asia/Kolkata"],
+    ["IXC", "VICG", "Shaheed Bhagat Singh International Airport", "Chandigarh", "IN", 30.68, 76.79, "Asia/Kolkata"],
+    ["IXD", "VIAL", "Allahabad Airport", "Allahabad", "IN", 25.44, 81.74, "Asia/Kolkata"],
+    ["IXE", "VOML", "Mangalore International Airport", "Mangalore", "IN", 12.96, 74.89, "Asia/Kolkata"],
+    ["IXG", "VABM", "Belgaum Airport", "Belgaum", "IN", 15.86, 74.62, "Asia/Kolkata"],
+    ["IXI", "VELR", "Lilabari Airport", "Lilabari", "IN", 27.29, 94.09, "Asia/Kolkata"],
+    ["IXJ", "VIJU", "Satwari Airport", "Jammu", "IN", 32.68, 74.84, "Asia/Kolkata"],
+    ["IXK", "VAKS", "Keshod Airport", "Keshod", "IN", 21.32, 70.27, "Asia/Kolkata"],
+    ["IXL", "VILH", "Kushok Bakula Rimpoche Airport", "Leh", "IN", 34.14, 77.55, "Asia/Kolkata"],
+    ["IXM", "VOMD", "Madurai Airport", "Madurai", "IN", 9.84, 78.09, "Asia/Kolkata"],
+    ["IXP", "VIPK", "Pathankot Airport", "Pathankot", "IN", 32.22, 75.63, "Asia/Kolkata"],
+    ["IXR", "VERC", "Birsa Munda Airport", "Ranchi", "IN", 23.32, 85.32, "Asia/Kolkata"],
+    ["IXS", "VEKU", "Kumbhirgram Airport", "Silchar", "IN", 24.92, 92.98, "Asia/Kolkata"],
+    ["IXU", "VAAU", "Aurangabad Airport", "Aurangabad", "IN", 19.87, 75.4, "Asia/Kolkata"],
+    ["IXY", "VAKE", "Kandla Airport", "Kandla", "IN", 23.11, 70.1, "Asia/Kolkata"],
+    ["IXZ", "VOPB", "Veer Savarkar International Airport", "Port Blair", "IN", 11.65, 92.73, "Asia/Kolkata"],
+    ["IZA", "SBZM", "Presidente Itamar Franco Airport", "Juiz de Fora", "BR", -21.51, -43.17, "America/Sao_Paulo"],
+    ["IZO", "RJOC", "Izumo Airport", "Izumo", "JP", 35.41, 132.89, "Asia/Tokyo"],
+    ["IZT", "MMIT", "Ixtepec Airport", "Ixtepec", "MX", 16.57, -95.11, "America/Mexico_City"],
+    ["JAC", "KJAC", "Jackson Hole Airport", "Jackson", "US", 43.6, -110.74, "America/Denver"],
+    ["JAE", "SPJE", "Shumba Airport", "Jaén", "PE", -5.59, -78.77, "America/Lima"],
+    ["JAF", "VCCJ", "Kankesanturai Airport", "Jaffna", "LK", 9.79, 80.08, "Asia/Colombo"],
+    ["JAH", null, "Agora Helipad", "Agora", "FR", 43.28, 5.6, "Europe/Paris"],
+    ["JAI", "VIJP", "Jaipur International Airport", "Jaipur", "IN", 26.82, 75.8, "Asia/Kolkata"],
+    ["JAJ", null, "Perimeter Mall Heliport", "Perimeter Mall", "US", 33.92, -84.34, "America/New_York"],
+    ["JAN", "KJAN", "Jackson-Evers International Airport", "Jackson", "US", 32.31, -90.07, "America/Chicago"],
+    ["JAO", null, "Beaver Ruin Heliport", "Beaver Ruin", "US", 33.95, -84.14, "America/New_York"],
+    ["JAQ", "AYJB", "Jacquinot Bay Airport", "Jacquinot Bay", "PG", -5.6, 151.52, "Pacific/Port_Moresby"],
+    ["JAU", "SPJJ", "Jauja Airport", "Jauja", "PE", -11.75, -75.25, "America/Lima"],
+    ["JAV", "BGJN", "Ilulissat Airport", "Ilulissat", "GL", 69.24, -51.06, "America/Godthab"],
+    ["JAX", "KJAX", "Jacksonville International Airport", "Jacksonville", "US", 30.49, -81.68, "America/New_York"],
+    ["JBB", "WARE", "Noto Hadinegoro Airport", "Noto Hadinegoro", "ID", -8.24, 113.7, "Asia/Jakarta"],
+    ["JBC", null, "Boston City Heliport", "Boston City", "US", 42.34, -71.05, "America/New_York"],
+    ["JBK", "ZWQT", "Qitai Jiangbulake Airport", "Qitai Jiangbulake", "CN", 44.18, 89.59, "Asia/Shanghai"],
+    ["JBP", null, "Commerce Bus Plaza Heliport", "Commerce Bus Plaza", "US", 33.99, -118.16, "America/Los_Angeles"],
+    ["JBQ", "MDJB", "La Isabela International Airport", "La Isabela", "DO", 18.58, -69.98, "America/Santo_Domingo"],
+    ["JBR", "KJBR", "Jonesboro Airport", "Jonesboro", "US", 35.83, -90.65, "America/Chicago"],
+    ["JCC", null, "China Basin Heliport", "China Basin", "US", 37.78, -122.4, "America/Los_Angeles"],
+    ["JCD", null, "St. Croix Downtown Heliport", "St. Croix Downtown", "VI", 17.7, -64.78, "America/St_Thomas"],
+    ["JCE", null, "Convention Center Heliport", "Convention Center", "US", 37.8, -122.27, "America/Los_Angeles"],
+    ["JCH", "BGCH", "Qasigiannguit Airport", "Qasigiannguit", "GL", 68.82, -51.2, "America/Godthab"],
+    ["JCJ", null, "Chuja Heliport", "Chuja", "KR", 33.94, 126.33, "Asia/Seoul"],
+    ["JCK", "YJLC", "Julia Creek Airport", "Julia Creek", "AU", -20.58, 141.7, "Australia/Brisbane"],
+    ["JCN", null, "Incheon Heliport", "Incheon", "KR", 37.47, 126.6, "Asia/Seoul"],
+    ["JCO", null, "Comino Heliport", "Comino", "MT", 36.02, 14.33, "Europe/Malta"],
+    ["JCU", "GECE", "Ceuta Heliport", "Ceuta", "ES", 35.9, -5.34, "Europe/Madrid"],
+    ["JDB", null, "Dallas Downtown Heliport", "Dallas Downtown", "US", 32.77, -97.8, "America/Chicago"],
+    ["JDE", null, "Jiande Qiandaohu Airport", "Jiande Qiandaohu", "CN", 29.35, 119.19, "Asia/Shanghai"],
+    ["JDF", "SBJF", "Francisco De Assis Airport", "Juiz de Fora", "BR", -21.75, -43.33, "America/Sao_Paulo"],
+    ["JDH", "VIJO", "Jodhpur Airport", "Jodhpur", "IN", 26.26, 73.05, "Asia/Kolkata"],
+    ["JDM", null, "Miami Downtown Heliport", "Miami Downtown", "US", 25.79, -80.18, "America/New_York"],
+    ["JDO", "SBJU", "Orlando Bezerra de Menezes Airport", "Juazeiro Do Norte", "BR", -7.22, -39.27, "America/Belem"],
+    ["JDP", null, "Heliport De Paris", "Heliport De Paris", "FR", 48.82, 2.28, "Europe/Paris"],
+    ["JDT", null, "Minneapolis Downtown Heliport", "Minneapolis Downtown", "US", 44.98, -93.27, "America/Chicago"],
+    ["JDX", null, "Central Business District Heliport", "Central Business District", "US", 29.77, -95.33, "America/Chicago"],
+    ["JDY", null, "Downey Heliport", "Downey", "US", 33.93, -118.12, "America/Los_Angeles"],
+    ["JDZ", "ZSJD", "Jingdezhen Airport", "Jingdezhen", "CN", 29.34, 117.18, "Asia/Shanghai"],
+    ["JED", "OEJN", "King Abdulaziz International Airport", "Jeddah", "SA", 21.66, 39.17, "Asia/Riyadh"],
+    ["JEE", "MTJE", "Jeremie Airport", "Jeremie", "HT", 18.66, -74.17, "America/Port-au-Prince"],
+    ["JEG", "BGAA", "Aasiaat Airport", "Aasiaat", "GL", 68.7, -52.75, "America/Godthab"],
+    ["JEJ", null, "Jeh Airport", "Jeh", "MH", 7.57, 168.97, "Pacific/Majuro"],
+    ["JEM", null, "Emeryville Heliport", "Emeryville", "US", 37.84, -122.27, "America/Los_Angeles"],
+    ["JER", "EGJJ", "Jersey Airport", "Saint Helier", "JE", 49.21, -2.19, "Europe/Jersey"],
+    ["JEV", null, "Evry Heliport", "Evry", "FR", 48.62, 2.42, "Europe/Paris"],
+    ["JFK", "KJFK", "John F. Kennedy International Airport", "New York", "US", 40.64, -73.79, "America/New_York"],
+    ["JFM", null, "Fremantle Heliport", "Fremantle", "AU", -32.05, 115.75, "Australia/Perth"],
+    ["JFR", "BGPT", "Paamiut Airport", "Paamiut", "GL", 62, -49.7, "America/Godthab"],
+    ["JGA", "VAJM", "Govardhanpur Airport", "Jamnagar", "IN", 22.46, 70.01, "Asia/Kolkata"],
+    ["JGB", "VEJR", "Jagdalpur Airport", "Jagdalpur", "IN", 19.07, 82.03, "Asia/Kolkata"],
+    ["JGC", null, "Grand Canyon Heliport", "Grand Canyon", "US", 35.96, -112.13, "America/Phoenix"],
+    ["JGD", "ZYJD", "Daxing'anling Elunchun Airport", "Jiagedaqi", "CN", 50.37, 124.12, "Asia/Shanghai"],
+    ["JGE", null, "Geoje Heliport", "Geoje", "KR", 34.9, 128.68, "Asia/Seoul"],
+    ["JGL", null, "Galleria Heliport", "Galleria", "US", 33.89, -84.47, "America/New_York"],
+    ["JGN", "ZLJQ", "Jiayuguan Jiuquan Airport", "Jiayuguan", "CN", 39.86, 98.34, "Asia/Shanghai"],
+    ["JGO", "BGGN", "Qeqertarsuaq Airport", "Qeqertarsuaq Airport", "GL", 69.25, -53.57, "America/Godthab"],
+    ["JGP", null, "Greenway Plaza Heliport", "Greenway Plaza", "US", 29.73, -95.43, "America/Chicago"],
+    ["JGQ", null, "Transco Tower Galleria Heliport", "Transco Tower Galleria", "US", 29.77, -95.47, "America/Chicago"],
+    ["JGR", "BGGD", "Gronnedal Heliport", "Gronnedal", "GL", 61.23, -48.1, "America/Godthab"],
+    ["JGS", "ZSJA", "Ji'An/Jing Gang Shan Airport", "Ji'an", "CN", 26.9, 114.74, "Asia/Shanghai"],
+    ["JGX", null, "Glendale Heliport", "Glendale", "US", 34.17, -118.28, "America/Los_Angeles"],
+    ["JHB", "WMKJ", "Senai International Airport", "Johor Bahru", "MY", 1.64, 103.67, "Asia/Kuala_Lumpur"],
+    ["JHC", null, "Island Heliport", "Island", "US", 40.78, -74.1, "America/New_York"],
+    ["JHE", null, "Helsingborg Heliport", "Helsingborg", "SE", 56.03, 12.7, "Europe/Stockholm"],
+    ["JHG", "ZPJH", "Xishuangbanna Gasa Airport", "Jinghong (Gasa)", "CN", 21.97, 100.77, "Asia/Shanghai"],
+    ["JHM", "PHJH", "Kapalua Airport", "Lahaina", "US", 20.96, -156.68, "Pacific/Honolulu"],
+    ["JHS", "BGSS", "Sisimiut Airport", "Sisimiut", "GL", 66.94, -53.7, "America/Godthab"],
+    ["JIB", "HDAM", "Djibouti-Ambouli International Airport", "Djibouti City", "DJ", 11.55, 43.15, "Africa/Djibouti"],
+    ["JIC", "ZLJC", "Jinchang Jinchuan Airport", "Jinchuan", "CN", 38.54, 102.35, "Asia/Shanghai"],
+    ["JID", null, "City of Industry Heliport", "City of Industry", "US", 34, -118, "America/Los_Angeles"],
+    ["JIJ", "HAJJ", "Jigiga Airport", "Jijiga", "ET", 9.37, 42.77, "Africa/Addis_Ababa"],
+    ["JIK", "LGIK", "Ikaria Airport", "Ikaria", "GR", 37.67, 26.33, "Europe/Athens"],
+    ["JIM", "HAJM", "Jimma Airport", "Jimma", "ET", 7.65, 36.82, "Africa/Addis_Ababa"],
+    ["JIO", "WAPM", "Ontario International Heliport", "Ontario", "US", 34.07, -117.65, "America/Los_Angeles"],
+    ["JIQ", "ZUQJ", "Qianjiang Wulingshan Airport", "Qianjiang", "CN", 29.52, 108.83, "Asia/Shanghai"],
+    ["JIU", "ZSJJ", "Jiujiang Airport", "Jiujiang", "CN", 29.7, 115.97, "Asia/Shanghai"],
+    ["JIW", "OPJI", "Jiwani Airport", "Jiwani", "PK", 25.08, 61.82, "Asia/Karachi"],
+    ["JJD", "SBJE", "Comte. Ariston Pessoa Regional Airport", "Cruz", "BR", -2.91, -40.36, "America/Fortaleza"],
+    ["JJG", "SBJA", "Humberto Bortoluzzi Regional Airport", "Jaguaruna", "BR", -28.68, -49.06, "America/Sao_Paulo"],
+    ["JJM", "HKMK", "Mulika Lodge Airport", "Meru National Park", "KE", 0.17, 38.2, "Africa/Nairobi"],
+    ["JJN", "ZSQZ", "Quanzhou Jinjiang International Airport", "Quanzhou", "CN", 24.8, 118.59, "Asia/Shanghai"],
+    ["JJU", "BGJH", "Qaqortoq Heliport", "Qaqortoq", "GL", 60.72, -46.03, "America/Godthab"],
+    ["JKG", "ESGJ", "Jonkoping Airport", "Jönköping", "SE", 57.75, 14.07, "Europe/Stockholm"],
+    ["JKH", "LGHI", "Chios Airport", "Chios Island", "GR", 38.35, 26.14, "Europe/Athens"],
+    ["JKL", "LGKY", "Kalymnos Island National Airport", "Kalymnos", "GR", 36.96, 26.94, "Europe/Athens"],
+    ["JKR", "VNJP", "Janakpur Airport", "Janakpur", "NP", 26.71, 85.92, "Asia/Kathmandu"],
+    ["JLB", null, "Long Beach Heliport", "Long Beach", "US", 33.81, -118.15, "America/Los_Angeles"],
+    ["JLG", "VAJL", "Jalgaon Airport", "Jalgaon", "IN", 20.96, 75.63, "Asia/Kolkata"],
+    ["JLH", null, "United States Army Heliport", "United States Army", "US", 42.08, -87.98, "America/Chicago"],
+    ["JLN", "KJLN", "Joplin Airport", "Joplin", "US", 37.15, -94.5, "America/Chicago"],
+    ["JLO", null, "Jesolo Airport", "Jesolo", "IT", 45.53, 12.72, "Europe/Rome"],
+    ["JLP", null, "Juan Les Pins Airport", "Juan Les Pins", "FR", 43.65, 7.1, "Europe/Paris"],
+    ["JLR", "VAJB", "Jabalpur Airport", "Jabalpur", "IN", 22.67, 79.93, "Asia/Kolkata"],
+    ["JLX", null, "Union Station Heliport", "Union Station", "US", 34.17, -118.33, "America/Los_Angeles"],
+    ["JMC", null, "Marin County Airport", "Marin County", "US", 37.88, -122.51, "America/Los_Angeles"],
+    ["JMD", null, "Market Centre Heliport", "Market Centre", "US", 32.8, -97.33, "America/Chicago"],
+    ["JMH", null, "Schaumburg Marriott Heliport", "Schaumburg Marriott", "US", 42.03, -88.08, "America/Chicago"],
+    ["JMJ", "ZPJM", "Lancang Jingmai Airport", "Pu'er (Lancang)", "CN", 22.42, 99.79, "Asia/Shanghai"],
+    ["JMK", "LGMK", "Mikonos Airport", "Mykonos Island", "GR", 37.44, 25.34, "Europe/Athens"],
+    ["JMM", null, "Malmo Harbour Heliport", "Malmo Harbour", "SE", 55.62, 12.98, "Europe/Stockholm"],
+    ["JMN", null, "Mankato Municipal Heliport", "Mankato Municipal", "US", 44.17, -94.02, "America/Chicago"],
+    ["JMO", "VNJS", "Jomsom Airport", "Jomsom", "NP", 28.78, 83.72, "Asia/Kathmandu"],
+    ["JMS", "KJMS", "Jamestown Regional Airport", "Jamestown", "US", 46.93, -98.68, "America/Chicago"],
+    ["JMU", "ZYJM", "Jiamusi Dongjiao Airport", "Jiamusi", "CN", 46.85, 130.46, "Asia/Shanghai"],
+    ["JMY", null, "Mammy Yoko Heliport", "Mammy Yoko", "SL", 8.48, -13.27, "Africa/Freetown"],
+    ["JNB", "FAOR", "O.R. Tambo International Airport", "Johannesburg", "ZA", -26.14, 28.25, "Africa/Johannesburg"],
+    ["JNG", "ZLJN", "Jining Da'an Airport", "Jining", "CN", 35.65, 116.74, "Asia/Shanghai"],
+    ["JNH", null, "North Park Inn Heliport", "North Park Inn", "US", 32.82, -97.35, "America/Chicago"],
+    ["JNN", "BGNN", "Nanortalik Heliport", "Nanortalik", "GL", 60.14, -45.23, "America/Godthab"],
+    ["JNP", null, "Newport Beach Heliport", "Newport Beach", "US", 33.62, -117.93, "America/Los_Angeles"],
+    ["JNS", "BGNS", "Narsaq Heliport", "Narsaq", "GL", 60.92, -46.05, "America/Godthab"],
+    ["JNU", "PAJN", "Juneau International Airport", "Juneau", "US", 58.36, -134.58, "America/Juneau"],
+    ["JNX", "LGNX", "Naxos Airport", "Cyclades Islands", "GR", 37.1, 25.38, "Europe/Athens"],
+    ["JNZ", "ZYJZ", "Liaoning Province Airport", "Linghai, Jinzhou", "CN", 41.12, 121.02, "Asia/Shanghai"],
+    ["JOC", null, "Centerport Heliport", "Centerport", "US", 33.67, -117.86, "America/Los_Angeles"],
+    ["JOE", "EFJO", "Joensuu Airport", "Joensuu / Liperi", "FI", 62.66, 29.61, "Europe/Helsinki"],
+    ["JOG", "WIIJ", "Adisutjipto International Airport", "Yogyakarta", "ID", -7.79, 110.44, "Asia/Jakarta"],
+    ["JOI", "SBJV", "Joinville-Lauro Carneiro de Loyola Airport", "Joinville", "BR", -26.22, -48.8, "America/Sao_Paulo"],
+    ["JOL", "RPMJ", "Jolo Airport", "Jolo", "PH", 6.05, 121.01, "Asia/Manila"],
+    ["JOR", null, "The City Heliport", "The City", "US", 33.73, -117.85, "America/Los_Angeles"],
+    ["JOS", "DNJO", "Jos Airport", "Jos", "NG", 9.87, 8.89, "Africa/Lagos"],
+    ["JPA", "SBJP", "Presidente Castro Pinto International Airport", "João Pessoa", "BR", -7.15, -34.95, "America/Belem"],
+    ["JPD", null, "Pasadena Heliport", "Pasadena", "US", 34.15, -118.15, "America/Los_Angeles"],
+    ["JPE", "SNEB", "Paragominas Airport", "Paragominas", "BR", -3.02, -47.32, "America/Belem"],
+    ["JPN", null, "Pentagon Army Airport", "Pentagon Army", "US", 38.87, -77.06, "America/New_York"],
+    ["JPR", "SWJI", "Ji-Parana Airport", "Ji-Paraná", "BR", -10.87, -61.85, "America/Porto_Velho"],
+    ["JPT", null, "Texas Park Ten Heliport", "Texas Park Ten", "US", 29.79, -95.81, "America/Chicago"],
+    ["JPU", null, "La Defense Heliport", "La Defense", "FR", 48.87, 2.33, "Europe/Paris"],
+    ["JPX", "KJPX", "Town of East Hampton Airport", "Town of East Hampton", "US", 40.96, -72.25, "America/New_York"],
+    ["JPY", null, "Paraty Airport", "Paraty", "BR", -23.22, -44.72, "America/Sao_Paulo"],
+    ["JQA", "BGUQ", "Qaarsut Airport", "Uummannaq", "GL", 70.73, -52.7, "America/Godthab"],
+    ["JRA", "KJRA", "Port Authority-West 30Th St. Heliport", "New York", "US", 40.75, -74.01, "America/New_York"],
+    ["JRC", null, "Rochester Municipal Heliport", "Rochester Municipal", "US", 44.02, -92.47, "America/Chicago"],
+    ["JRD", null, "Riverside Heliport", "Riverside", "US", 33.98, -117.38, "America/Los_Angeles"],
+    ["JRE", null, "East 60th Street Heliport", "East 60th Street", "US", 40.75, -73.97, "America/New_York"],
+    ["JRG", "VEJH", "Veer Surendra Sai Airport", "Veer Surendra Sai", "IN", 22.04, 84.06, "Asia/Kolkata"],
+    ["JRH", "VEJT", "Rowriah Airport", "Jorhat", "IN", 26.73, 94.18, "Asia/Kolkata"],
+    ["JRK", "BGAR", "Arsuk Heliport", "Arsuk", "GL", 61.17, -48.42, "America/Godthab"],
+    ["JRN", "SWJU", "Juruena Airport", "Juruena", "BR", -10.31, -58.49, "America/Campo_Grande"],
+    ["JRO", "HTKJ", "Kilimanjaro International Airport", "Arusha", "TZ", -3.43, 37.07, "Africa/Dar_es_Salaam"],
+    ["JSA", "VIJR", "Jaisalmer Airport", "Jaisalmer", "IN", 26.92, 70.9, "Asia/Kolkata"],
+    ["JSD", null, "Sikorsky Heliport", "Sikorsky", "US", 41.2, -73.13, "America/New_York"],
+    ["JSG", null, "San Rafael Heliport", "San Rafael", "US", 37.97, -122.53, "America/Los_Angeles"],
+    ["JSH", "LGST", "Sitia Airport", "Crete Island", "GR", 35.22, 26.12, "Europe/Athens"],
+    ["JSI", "LGSK", "Skiathos Airport", "Skiathos", "GR", 39.18, 23.51, "Europe/Athens"],
+    ["JSJ", "XYJS", "Jiansanjiang Shidi Airport", "Jiansanjiang", "CN", 47.11, 132.66, "Asia/Shanghai"],
+    ["JSK", "OIZJ", "St. Cloud Municipal Heliport", "Jask", "US", 45.55, -94.17, "America/Chicago"],
+    ["JSL", null, "Steel Pier Heliport", "Steel Pier", "US", 39.33, -74.45, "America/New_York"],
+    ["JSN", null, "Sherman Oaks Heliport", "Sherman Oaks", "US", 34.16, -118.45, "America/Los_Angeles"],
+    ["JSO", "SN6L", "Sobral Regional Airport", "Sobral", "BR", -3.61, -40.23, "America/Fortaleza"],
+    ["JSP", null, "Seogwipo Heliport", "Seogwipo", "KR", 33.24, 126.57, "Asia/Seoul"],
+    ["JSR", "VGJR", "Jessore Airport", "Jashore (Jessore)", "BD", 23.18, 89.16, "Asia/Dhaka"],
+    ["JST", "KJST", "Cambria County Airport", "Johnstown", "US", 40.32, -78.83, "America/New_York"],
+    ["JSU", "BGMQ", "Maniitsoq Airport", "Maniitsoq", "GL", 65.41, -52.94, "America/Godthab"],
+    ["JSY", "LGSO", "Syros Island Airport", "Syros Island", "GR", 37.42, 24.95, "Europe/Athens"],
+    ["JTC", "SBAE", "Bauru-Arealva Airport", "Bauru", "BR", -22.17, -49.07, "America/Sao_Paulo"],
+    ["JTO", null, "Thousand Oaks Heliport", "Thousand Oaks", "US", 34.17, -118.83, "America/Los_Angeles"],
+    ["JTR", "LGSR", "Santorini International Airport", "Santorini Island", "GR", 36.4, 25.48, "Europe/Athens"],
+    ["JTY", "LGPL", "Astypalaia Airport", "Astypalaia", "GR", 36.57, 26.37, "Europe/Athens"],
+    ["JUB", "HJJJ", "Juba International Airport", "Juba", "SS", 4.87, 31.6, "Africa/Juba"],
+    ["JUC", null, "Universal City Heliport", "Universal City", "US", 34.08, -118.27, "America/Los_Angeles"],
+    ["JUH", "ZSJH", "Chizhou Jiuhuashan Airport", "Chizhou", "CN", 30.77, 117.74, "Asia/Shanghai"],
+    ["JUI", "EDWJ", "Juist Airport", "Juist", "DE", 53.68, 7.07, "Europe/Berlin"],
+    ["JUJ", "SASJ", "Gobernador H. Guzman Airport", "San Salvador de Jujuy", "AR", -24.4, -65.08, "America/Argentina/Jujuy"],
+    ["JUK", "BGUT", "Ukkusissat Heliport", "Ukkusissat", "GL", 71.05, -51.89, "America/Godthab"],
+    ["JUL", "SPJL", "Juliaca Airport", "Juliaca", "PE", -15.46, -70.15, "America/Lima"],
+    ["JUM", "VNJL", "Jumla Airport", "Jumla", "NP", 29.27, 82.19, "Asia/Kathmandu"],
+    ["JUP", null, "Cable Heliport", "Cable", "US", 34.1, -117.63, "America/Los_Angeles"],
+    ["JUU", "BGNQ", "Nuugaatsiaq Heliport", "Nuugaatsiaq", "GL", 71.54, -53.21, "America/Godthab"],
+    ["JUV", "BGUK", "Upernavik Airport", "Upernavik", "GL", 72.79, -56.13, "America/Godthab"],
+    ["JUZ", "ZSJU", "Quzhou Airport", "Quzhou", "CN", 28.97, 118.83, "Asia/Shanghai"],
+    ["JWC", null, "Warner Center Business Plaza Heliport", "Warner Center Business Plaza", "US", 34.18, -118.6, "America/Los_Angeles"],
+    ["JWH", null, "Westchase Hilton Heliport", "Westchase Hilton", "US", 29.74, -95.42, "America/Chicago"],
+    ["JWL", null, "Woodlawns Heliport", "Woodlawns", "US", 30.15, -95.47, "America/Chicago"],
+    ["JXA", "ZYJX", "Jixi Xingkaihu Airport", "Jixi", "CN", 45.3, 131.18, "Asia/Shanghai"],
+    ["JYV", "EFJY", "Jyvaskyla Airport", "Jyväskylän Maalaiskunta", "FI", 62.4, 25.68, "Europe/Helsinki"],
+    ["JZH", "ZUJZ", "Jiuzhai Huanglong Airport", "Ngawa (Songpan)", "CN", 32.86, 103.68, "Asia/Shanghai"],
+    ["KAA", "FLKS", "Kasama Airport", "Kasama", "ZM", -10.22, 31.13, "Africa/Lusaka"],
+    ["KAC", "OSKL", "Kameshly Airport", "Qamishly", "SY", 37.03, 41.2, "Asia/Damascus"],
+    ["KAD", "DNKA", "Kaduna Airport", "Kaduna", "NG", 10.6, 7.44, "Africa/Lagos"],
+    ["KAE", "PAFE", "Kake Sea Plane Base", "Kake", "US", 56.97, -133.95, "America/Sitka"],
+    ["KAH", null, "Melbourne City Heliport", "Melbourne City", "AU", -37.82, 144.97, "Australia/Sydney"],
+    ["KAI", "SYKA", "Kaieteur Airport", "Kaieteur Falls", "GY", 5.17, -59.49, "America/Guyana"],
+    ["KAJ", "EFKI", "Kajaani Airport", "Kajaani", "FI", 64.28, 27.69, "Europe/Helsinki"],
+    ["KAL", "PAKV", "Kaltag Airport", "Kaltag", "US", 64.32, -158.74, "America/Anchorage"],
+    ["KAN", "DNKN", "Mallam Aminu Kano International Airport", "Kano", "NG", 12.05, 8.52, "Africa/Lagos"],
+    ["KAO", "EFKS", "Kuusamo Airport", "Kuusamo", "FI", 65.99, 29.23, "Europe/Helsinki"],
+    ["KAT", "NZKT", "Kaitaia Airport", "Awanui", "NZ", -35.07, 173.29, "Pacific/Auckland"],
+    ["KAW", "VYKT", "Kawthaung Airport", "Kawthoung", "MM", 10.05, 98.52, "Asia/Yangon"],
+    ["KAX", "YKBR", "Kalbarri Airport", "Kalbarri", "AU", -27.69, 114.26, "Australia/Perth"],
+    ["KBC", "KZ91", "Birch Creek Airport", "Birch Creek", "US", 66.28, -145.81, "America/Anchorage"],
+    ["KBL", "OAKB", "Hamid Karzai International Airport", "Kabul", "AF", 34.56, 69.21, "Asia/Kabul"],
+    ["KBP", "UKBB", "Boryspil International Airport", "Boryspil", "UA", 50.34, 30.9, "Europe/Kyiv"],
+    ["KBR", "WMKC", "Sultan Ismail Petra Airport", "Kota Baharu", "MY", 6.17, 102.29, "Asia/Kuala_Lumpur"],
+    ["KBU", "WRBK", "Gusti Syamsir Alam Airport", "Gusti Syamsir Alam", "ID", -3.3, 116.17, "Asia/Makassar"],
+    ["KBV", "VTSG", "Krabi Airport", "Krabi", "TH", 8.1, 98.98, "Asia/Bangkok"],
+    ["KCA", "ZWKC", "Kuqa Qiuci Airport", "Kuqa", "CN", 41.17, 83.7, "Asia/Urumqi"],
+    ["KCC", null, "Coffman Cove Sea Plane Base", "Coffman Cove", "US", 55.98, -132.83, "America/Sitka"],
+    ["KCH", "WBGG", "Kuching International Airport", "Kuching", "MY", 1.48, 110.34, "Asia/Kuala_Lumpur"],
+    ["KCM", "LTCN", "Kahramanmaras Airport", "Kahramanmaraş", "TR", 37.53, 36.95, "Europe/Istanbul"],
+    ["KCQ", null, "Chignik Lake Airport", "Chignik Lake", "US", 56.26, -158.78, "America/Anchorage"],
+    ["KCT", "VCCK", "Koggala Airport", "Galle", "LK", 5.99, 80.32, "Asia/Colombo"],
+    ["KCY", "UNKM", "Krasnoyarsk Cheremshanka Airport", "Krasnoyarsk Cheremshanka", "RU", 56.18, 92.54, "Asia/Krasnoyarsk"],
+    ["KCZ", "RJOK", "Kochi Ryoma Airport", "Nankoku", "JP", 33.55, 133.67, "Asia/Tokyo"],
+    ["KDD", "OPKH", "Khuzdar Airport", "Khuzdar", "PK", 27.78, 66.63, "Asia/Karachi"],
+    ["KDH", "OAKN", "Kandahar Airport", "Khvoshab", "AF", 31.51, 65.85, "Asia/Kabul"],
+    ["KDI", "WAWW", "Haluoleo Airport", "Kendari", "ID", -4.08, 122.42, "Asia/Makassar"],
+    ["KDL", "EEKA", "Kardla Airport", "Kärdla", "EE", 58.99, 22.82, "Europe/Tallinn"],
+    ["KDM", "VRMT", "Kaadedhdhoo Airport", "Huvadhu Atoll", "MV", 0.49, 73, "Indian/Maldives"],
+    ["KDO", "VRMK", "Kadhdhoo Airport", "Kadhdhoo", "MV", 1.86, 73.52, "Indian/Maldives"],
+    ["KDU", "OPSD", "Skardu Airport", "Skardu", "PK", 35.33, 75.54, "Asia/Karachi"],
+    ["KDV", "NFKD", "Kandavu Airport", "Vunisea", "FJ", -19.05, 178.16, "Pacific/Fiji"],
+    ["KDZ", null, "Polgolla Reservoir Airport", "Polgolla Reservoir", "LK", 7.33, 80.64, "Asia/Colombo"],
+    ["KEB", null, "Nanwalek Airport", "Nanwalek", "US", 59.35, -151.92, "America/Anchorage"],
+    ["KEF", "BIKF", "Keflavik International Airport", "Reykjavík", "IS", 63.98, -22.64, "Atlantic/Reykjavik"],
+    ["KEH", "KS60", "Kenmore Air Harbor Airport", "Kenmore Air Harbor", "US", 47.76, -122.26, "America/Los_Angeles"],
+    ["KEJ", "UNEE", "Kemerovo Airport", "Kemerovo", "RU", 55.28, 86.12, "Asia/Novokuznetsk"],
+    ["KEM", "EFKE", "Kemi/Tornio Airport", "Kemi / Tornio", "FI", 65.78, 24.58, "Europe/Helsinki"],
+    ["KEP", "VNNG", "Nepalganj Airport", "Nepalgunj", "NP", 28.13, 81.58, "Asia/Kathmandu"],
+    ["KER", "OIKK", "Kerman Airport", "Kerman", "IR", 30.26, 56.96, "Asia/Tehran"],
+    ["KET", "VYKG", "Keng Tung Airport", "Kengtung", "MM", 21.3, 99.62, "Asia/Yangon"],
+    ["KEW", "CPV8", "Keewaywin Airport", "Keewaywin", "CA", 52.99, -92.84, "America/Winnipeg"],
+    ["KFG", "YKKG", "Kalkurung Airport", "Kalkgurung", "AU", -17.43, 130.82, "Australia/Darwin"],
+    ["KFP", "PAKF", "False Pass Airport", "False Pass", "US", 54.85, -163.41, "America/Anchorage"],
+    ["KGA", "FZUA", "Kananga Airport", "Kananga", "CD", -5.92, 22.47, "Africa/Lubumbashi"],
+    ["KGC", "YKSC", "Kingscote Airport", "Kingscote", "AU", -35.71, 137.52, "Australia/Adelaide"],
+    ["KGD", "UMKK", "Khrabrovo", "Kaliningrad", "RU", 54.88, 20.59, "Europe/Kaliningrad"],
+    ["KGE", "AGKG", "Kagau Airport", "Kagau Island", "SB", -8.16, 157.59, "Pacific/Guadalcanal"],
+    ["KGF", "UAKK", "Karaganda Airport", "Karaganda", "KZ", 49.68, 73.33, "Asia/Almaty"],
+    ["KGI", "YPKG", "Kalgoorlie-Boulder Airport", "Broadwood", "AU", -30.79, 121.46, "Australia/Perth"],
+    ["KGK", "PAJZ", "Koliganek Airport", "Koliganek", "US", 59.73, -157.27, "America/Anchorage"],
+    ["KGL", "HRYR", "Kigali International Airport", "Kigali", "RW", -1.96, 30.14, "Africa/Kigali"],
+    ["KGP", "USRK", "Kogalym International Airport", "Kogalym", "RU", 62.2, 74.53, "Asia/Yekaterinburg"],
+    ["KGQ", "BGKS", "Kangersuatsiaq Heliport", "Kangersuatsiaq", "GL", 72.38, -55.54, "America/Godthab"],
+    ["KGS", "LGKO", "Kos Airport", "Kos Island", "GR", 36.8, 27.09, "Europe/Athens"],
+    ["KGT", "ZUKD", "Kangding Airport", "Garzê (Kangding)", "CN", 30.13, 101.75, "Asia/Shanghai"],
+    ["KGX", "PAGX", "Grayling Airport", "Grayling", "US", 62.9, -160.06, "America/Anchorage"],
+    ["KHD", "OICK", "Khorramabad Airport", "Khorram Abad", "IR", 33.44, 48.28, "Asia/Tehran"],
+    ["KHE", "UKOH", "Kherson International Airport", "Kherson", "UA", 46.67, 32.51, "Europe/Kyiv"],
+    ["KHG", "ZWSH", "Kashi Laining International Airport", "Kashgar", "CN", 39.54, 76.01, "Asia/Shanghai"],
+    ["KHH", "RCKH", "Kaohsiung International Airport", "Kaohsiung (Xiaogang)", "TW", 22.57, 120.35, "Asia/Taipei"],
+    ["KHI", "OPKC", "Jinnah International Airport", "Karachi", "PK", 24.9, 67.17, "Asia/Karachi"],
+    ["KHK", "OIBQ", "Khark Airport", "Khark", "IR", 29.26, 50.32, "Asia/Tehran"],
+    ["KHL", null, "Khulna Airport", "Khulna", "BD", 22.8, 89.55, "Asia/Dhaka"],
+    ["KHM", "VYKI", "Khamti Airport", "Khamti", "MM", 25.99, 95.68, "Asia/Yangon"],
+    ["KHN", "ZSCN", "Nanchang Changbei International Airport", "Nanchang", "CN", 28.86, 115.91, "Asia/Shanghai"],
+    ["KHQ", "BGKQ", "Kullorsuaq Heliport", "Kullorsuaq", "GL", 74.58, -57.24, "America/Godthab"],
+    ["KHS", "OOKB", "Khasab Airport", "Khasab", "OM", 26.16, 56.24, "Asia/Muscat"],
+    ["KHV", "UHHH", "Khabarovsk Airport", "Khabarovsk", "RU", 48.52, 135.17, "Asia/Vladivostok"],
+    ["KHZ", "NTKA", "Kauehi Airport", "Kauehi", "PF", -15.78, -145.12, "Pacific/Tahiti"],
+    ["KIE", "AYIQ", "Aropa Airport", "Aropa", "PG", -6.3, 155.73, "Pacific/Port_Moresby"],
+    ["KIF", "CNM5", "Kingfisher Lake Airport", "Kingfisher Lake", "CA", 53.01, -89.85, "America/Winnipeg"],
+    ["KIH", "OIBK", "Kish International Airport", "Kish Island", "IR", 26.53, 53.97, "Asia/Tehran"],
+    ["KIJ", "RJSN", "Niigata Airport", "Niigata", "JP", 37.95, 139.11, "Asia/Tokyo"],
+    ["KIM", "FAKM", "Kimberley Airport", "Kimberley", "ZA", -28.81, 24.77, "Africa/Johannesburg"],
+    ["KIN", "MKJP", "Norman Manley International Airport", "Kingston", "JM", 17.94, -76.78, "America/Jamaica"],
+    ["KIO", null, "Kili Island Airport", "Kili Island", "MH", 5.65, 169.2, "Pacific/Majuro"],
+    ["KIR", "EIKY", "Kerry County Airport", "Killarney", "IE", 52.18, -9.54, "Europe/Dublin"],
+    ["KIS", "HKKI", "Kisumu International Airport", "Kisumu", "KE", -0.08, 34.74, "Africa/Nairobi"],
+    ["KIT", "LGKC", "Kithira Airport", "Kithira", "GR", 36.29, 23.03, "Europe/Athens"],
+    ["KIU", null, "Kiunga Airport", "Kiunga", "KE", -1.73, 41.52, "Africa/Nairobi"],
+    ["KIX", "RJBB", "Kansai International Airport", "Osaka", "JP", 34.44, 135.24, "Asia/Tokyo"],
+    ["KJA", "UNKL", "Krasnoyarsk International Airport", "Krasnoyarsk", "RU", 56.18, 92.48, "Asia/Krasnoyarsk"],
+    ["KJB", "VOKU", "Kurnool Airport", "Orvakal", "IN", 15.71, 78.16, "Asia/Kolkata"],
+    ["KJH", "ZUKJ", "Kaili Huangping Airport", "Kaili  (Huangping)", "CN", 26.97, 107.99, "Asia/Shanghai"],
+    ["KJI", "ZWKN", "Burqin Kanas Airport", "Burqin", "CN", 48.22, 87, "Asia/Urumqi"],
+    ["KJJ", "HUKJ", "Kajjansi Airfield", "Kajjansi", "UG", 0.2, 32.55, "Africa/Kampala"],
+    ["KJT", "WICA", "Kertajati International Airport", "Kertajati", "ID", -6.67, 108.19, "Asia/Jakarta"],
+    ["KKA", "PAKK", "Koyuk Airport", "Koyuk", "US", 64.94, -161.15, "America/Anchorage"],
+    ["KKB", null, "Kitoi Bay Sea Plane Base", "Kitoi Bay", "US", 58.19, -152.37, "America/Anchorage"],
+    ["KKC", "VTUK", "Khon Kaen Airport", "Khon Kaen", "TH", 16.46, 102.79, "Asia/Bangkok"],
+    ["KKE", "NZKK", "Kerikeri Airport", "Kerikeri", "NZ", -35.26, 173.91, "Pacific/Auckland"],
+    ["KKF", null, "Kagvik Creek Airport", "Kagvik Creek", "US", 67.6, -163.5, "America/Anchorage"],
+    ["KKH", "PADY", "Kongiganak Airport", "Kongiganak", "US", 59.97, -162.75, "America/Anchorage"],
+    ["KKJ", "RJFR", "Kitakyushu Airport", "Kitakyushu", "JP", 33.85, 131.03, "Asia/Tokyo"],
+    ["KKM", "VTBL", "Khok Kathiam AFB", "Khok Kathiam AFB", "TH", 14.87, 100.66, "Asia/ Bangkok"],
+    ["KKN", "ENKR", "Kirkenes Airport, Hoeybuktmoen", "Kirkenes", "NO", 69.72, 29.89, "Europe/Oslo"],
+    ["KKR", "NTGK", "Kaukura Atoll Airport", "Raitahiti", "PF", -15.78, -146.67, "Pacific/Tahiti"],
+    ["KKS", "OIFK", "Kashan Airport", "Kashan", "IR", 33.9, 51.58, "Asia/Tehran"],
+    ["KKW", "FZCA", "Kikwit Airport", "Kikwit", "CD", -5.04, 18.78, "Africa/Kinshasa"],
+    ["KKX", "RJKI", "Kikaiga Shima Airport", "Kikai", "JP", 28.32, 129.93, "Asia/Tokyo"],
+    ["KLG", "PALG", "Kalskag Municipal Airport", "Kalskag", "US", 61.53, -160.35, "America/Anchorage"],
+    ["KLH", "VAKP", "Kolhapur Airport", "Kolhapur", "IN", 16.67, 74.33, "Asia/Kolkata"],
+    ["KLN", "PALB", "Larsen Sea Plane Base", "Larsen Bay", "US", 57.53, -154, "America/Anchorage"],
+    ["KLO", "RPVK", "Kalibo International Airport", "Kalibo", "PH", 11.69, 122.38, "Asia/Manila"],
+    ["KLP", "WAGF", "Seruyan Kuala Pembuang Airport", "Seruyan Kuala Pembuang", "ID", -3.38, 112.54, "Asia/Pontianak"],
+    ["KLR", "ESMQ", "Kalmar Oland Airport", "Kalmar", "SE", 56.69, 16.29, "Europe/Stockholm"],
+    ["KLT", null, "Kaiserslautern Airport", "Kaiserslautern", "DE", 49.43, 7.75, "Europe/Berlin"],
+    ["KLU", "LOWK", "Klagenfurt Airport", "Klagenfurt am Wörthersee", "AT", 46.65, 14.32, "Europe/Vienna"],
+    ["KLV", "LKKV", "Karlovy Vary Airport", "Karlovy Vary", "CZ", 50.2, 12.92, "Europe/Prague"],
+    ["KLW", "PAKW", "Klawock Airport", "Klawock", "US", 55.56, -133.1, "America/Juneau"],
+    ["KLX", "LGKL", "Kalamata Airport", "Kalamata", "GR", 37.07, 22.03, "Europe/Athens"],
+    ["KMA", "AYKM", "Kerema Airport", "Kerema", "PG", -7.96, 145.77, "Pacific/Port_Moresby"],
+    ["KMC", "OEKK", "Hafar Al-Batin Domestic Airport", "King Khaled Military City", "SA", 27.91, 45.52, "Asia/Riyadh"],
+    ["KMD", null, "Mandji Airport", "Mandji", "GA", -1.7, 10.38, "Africa/Libreville"],
+    ["KME", "HRZA", "Kamembe Airport", "Kamembe", "RW", -2.46, 28.91, "Africa/Kigali"],
+    ["KMG", "ZPPP", "Kunming Changshui International Airport", "Kunming", "CN", 25.1, 102.93, "Asia/Shanghai"],
+    ["KMI", "RJFM", "Miyazaki Airport", "Miyazaki", "JP", 31.87, 131.44, "Asia/Tokyo"],
+    ["KMJ", "RJFT", "Kumamoto Airport", "Kumamoto", "JP", 32.83, 130.86, "Asia/Tokyo"],
+    ["KMN", "FZSB", "Kamina Airport", "Kamina Base", "CD", -8.64, 25.25, "Africa/Lubumbashi"],
+    ["KMO", "PAMB", "Manokotak Airport", "Manokotak", "US", 58.99, -159.05, "America/Anchorage"],
+    ["KMQ", "RJNK", "Komatsu Airport", "Kanazawa", "JP", 36.4, 136.41, "Asia/Tokyo"],
+    ["KMS", "DGSI", "Kumasi Airport", "Kumasi", "GH", 6.71, -1.59, "Africa/Accra"],
+    ["KMW", "UUBA", "Kostroma Airport", "Kostroma", "RU", 57.75, 40.93, "Europe/Moscow"],
+    ["KMY", null, "Moser Bay Seaplane Base", "Moser Bay", "US", 57.03, -154.14, "America/Anchorage"],
+    ["KND", "FZOA", "Kindu Airport", "Kindu", "CD", -2.92, 25.92, "Africa/Lubumbashi"],
+    ["KNG", "WASK", "Kaimana Airport", "Kaimana", "ID", -3.65, 133.75, "Asia/Jayapura"],
+    ["KNH", "RCBS", "Kinmen Airport", "Shang-I", "TW", 24.44, 118.37, "Asia/Taipei"],
+    ["KNK", "PFKK", "Kokhanok Airport", "Kokhanok", "US", 59.43, -154.8, "America/Anchorage"],
+    ["KNO", "WIMM", "Kuala Namu International Airport", "Medan", "ID", 3.64, 98.88, "Asia/Jakarta"],
+    ["KNQ", "NWWD", "Kone Airport", "Koné", "NC", -21.05, 164.84, "Pacific/Noumea"],
+    ["KNS", "YKII", "King Island Airport", "King Island", "AU", -39.88, 143.88, "Australia/Hobart"],
+    ["KNU", "VIKA", "Kanpur Airport", "Kanpur", "IN", 26.4, 80.41, "Asia/Kolkata"],
+    ["KNV", null, "Knights Inlet Airport", "Knights Inlet", "CA", 50.68, -125.83, "America/Vancouver"],
+    ["KNW", "PANW", "New Stuyahok Airport", "New Stuyahok", "US", 59.46, -157.37, "America/Anchorage"],
+    ["KNX", "YPKU", "Kununurra Airport", "Kununurra", "AU", -15.78, 128.71, "Australia/Perth"],
+    ["KNY", "UNKI", "Kodinsk Airport", "Kodinsk", "RU", 58.48, 99.1, "Asia/Krasnoyarsk"],
+    ["KOA", "PHKO", "Kona International Airport at Keahole", "Kailua-Kona", "US", 19.74, -156.04, "Pacific/Honolulu"],
+    ["KOC", "NWWK", "Koumac Airport", "Koumac", "NC", -20.5, 164.42, "Pacific/Noumea"],
+    ["KOE", "WATT", "El Tari Kupang International Airport", "Kupang", "ID", -10.17, 123.67, "Asia/Makassar"],
+    ["KOI", "EGPA", "Kirkwall Airport", "Orkney Islands", "GB", 58.96, -2.9, "Europe/London"],
+    ["KOJ", "RJFK", "Kagoshima Airport", "Kagoshima", "JP", 31.8, 130.72, "Asia/Tokyo"],
+    ["KOK", "EFKK", "Kokkola-Pietarsaari Airport", "Kokkola / Kruunupyy", "FI", 63.72, 23.13, "Europe/Helsinki"],
+    ["KOP", "VTUW", "Nakhon Phanom Airport", "Nakhon Phanom", "TH", 17.4, 104.75, "Asia/Bangkok"],
+    ["KOS", "VDSV", "Sihanouk International Airport", "Sihanoukville", "KH", 10.58, 103.64, "Asia/Phnom_Penh"],
+    ["KOT", "PFKO", "Kotlik Airport", "Kotlik", "US", 63.03, -163.53, "America/Anchorage"],
+    ["KOV", "UACK", "Kokshetau Airport", "Kokshetau", "KZ", 53.32, 69.4, "Asia/Almaty"],
+    ["KOW", "ZSGZ", "Ganzhou Huangjin Airport", "Ganzhou", "CN", 25.85, 114.78, "Asia/Shanghai"],
+    ["KOY", null, "Olga Bay Sea Plane Base", "Olga Bay", "US", 57.16, -154.23, "America/Anchorage"],
+    ["KPB", null, "Point Baker Sea Plane Base", "Point Baker", "US", 56.33, -133.58, "America/Metlakatla"],
+    ["KPN", "PAKI", "Kipnuk Sea Plane Base", "Kipnuk", "US", 59.93, -164.05, "America/Anchorage"],
+    ["KPO", "RKTH", "Pohang Airport", "Pohang", "KR", 35.98, 129.43, "Asia/Seoul"],
+    ["KPR", null, "Port Williams Sea Plane Base", "Port Williams", "US", 58.49, -152.58, "America/Anchorage"],
+    ["KPV", "PAPE", "Perryville Airport", "Perryville", "US", 55.91, -159.16, "America/Anchorage"],
+    ["KPW", "UHMK", "Keperveyem Airport", "Keperveem", "RU", 67.85, 166.14, "Asia/Anadyr"],
+    ["KPY", null, "Port Bailey Sea Plane Base", "Port Bailey", "US", 57.93, -153.04, "America/Anchorage"],
+    ["KQA", "PAUT", "Akutan Airport", "Akutan", "US", 54.13, -165.78, "America/Anchorage"],
+    ["KQB", null, "Koonibba Airport", "Koonibba", "AU", -31.9, 133.42, "Australia/Adelaide"],
+    ["KQH", "VIKG", "Kishangarh Airport", "Ajmer (Kishangarh)", "IN", 26.6, 74.81, "Asia/Kolkata"],
+    ["KQR", "YKAR", "Karara Airport", "Karara", "AU", -29.22, 116.69, "Australia/Perth"],
+    ["KQT", "UTDT", "Bokhtar International Airport", "Kurgan-Tyube", "TJ", 37.87, 68.87, "Asia/Dushanbe"],
+    ["KRB", "YKMB", "Karumba Airport", "Karumba", "AU", -17.45, 140.83, "Australia/Brisbane"],
+    ["KRC", "WIPH", "Kerinci Airport", "Kerinci Regency", "ID", -1.72, 101.25, "Asia/Jakarta"],
+    ["KRE", "HBBO", "Kirundo Airport", "Kirundo", "BI", -2.54, 30.09, "Africa/Bujumbura"],
+    ["KRF", "ESNK", "Kramfors/Solleftea Airport", "Nyland", "SE", 63.05, 17.77, "Europe/Stockholm"],
+    ["KRI", "AYKK", "Kikori Airport", "Kikori", "PG", -7.48, 144.27, "Pacific/Port_Moresby"],
+    ["KRK", "EPKK", "John Paul II Kraków-Balice International Airport", "Kraków", "PL", 50.08, 19.79, "Europe/Warsaw"],
+    ["KRL", "ZWKL", "Korla Licheng Airport", "Korla", "CN", 41.62, 86.14, "Asia/Shanghai"],
+    ["KRN", "ESNQ", "Kiruna Airport", "Kiruna", "SE", 67.82, 20.35, "Europe/Stockholm"],
+    ["KRO", "USUU", "Kurgan Airport", "Kurgan", "RU", 55.47, 65.41, "Asia/Yekaterinburg"],
+    ["KRP", "EKKA", "Midtjyllands Airport", "Karup", "DK", 56.3, 9.12, "Europe/Copenhagen"],
+    ["KRR", "URKK", "Krasnodar International Airport", "Krasnodar", "RU", 45.03, 39.14, "Europe/Moscow"],
+    ["KRS", "ENCN", "Kristiansand Airport", "Kjevik", "NO", 58.2, 8.07, "Europe/Oslo"],
+    ["KRT", "HSSK", "Khartoum International Airport", "Khartoum", "SD", 15.59, 32.55, "Africa/Khartoum"],
+    ["KRW", "UTAK", "Turkmenbashi Airport", "Turkmenbashi", "TM", 40.06, 53.01, "Asia/Ashgabat"],
+    ["KRY", "ZWKM", "Karamay Guhai Airport", "Karamay", "CN", 45.62, 84.88, "Asia/Shanghai"],
+    ["KSA", "PTSA", "Kosrae Airport", "Okat", "FM", 5.35, 162.96, "Pacific/Kosrae"],
+    ["KSC", "LZKZ", "Barca Airport", "Košice", "SK", 48.67, 21.25, "Europe/Bratislava"],
+    ["KSD", "ESOK", "Karlstad Airport", "Karlstad", "SE", 59.36, 13.47, "Europe/Stockholm"],
+    ["KSF", "EDVK", "Kassel-Calden Airport", "Kassel", "DE", 51.41, 9.38, "Europe/Berlin"],
+    ["KSH", "OICC", "Kermanshah Airport", "Kermanshah", "IR", 34.36, 47.15, "Asia/Tehran"],
+    ["KSJ", "LGKS", "Kasos Island Airport", "Kasos", "GR", 35.42, 26.91, "Europe/Athens"],
+    ["KSL", "HSKA", "Kassala Airport", "Kassala", "SD", 15.39, 36.34, "Africa/Khartoum"],
+    ["KSM", "PASM", "Saint Mary's Airport", "St Mary's", "US", 62.06, -163.29, "America/Anchorage"],
+    ["KSN", "UAUU", "Kostanay Airport", "Kostanay", "KZ", 53.2, 63.55, "Asia/Qostanay"],
+    ["KSO", "LGKA", "Aristoteles Airport", "Kastoria", "GR", 40.45, 21.27, "Europe/Athens"],
+    ["KSQ", "UTSL", "Karshi-Khanabad AB", "Khanabad", "UZ", 38.84, 65.91, "Asia/Samarkand"],
+    ["KSR", "WAWH", "H. Aroeppala Airport", "H. Aroeppala", "ID", -6.18, 120.44, "Asia/Makassar"],
+    ["KSU", "ENKB", "Kristiansund Airport, Kvernberget", "Kvernberget", "NO", 63.11, 7.83, "Europe/Oslo"],
+    ["KSY", "LTCF", "Kars Airport", "Kars", "TR", 40.55, 43.09, "Europe/Istanbul"],
+    ["KSZ", "ULKK", "Kotlas Airport", "Kotlas", "RU", 61.24, 46.7, "Europe/Moscow"],
+    ["KTA", "YPKA", "Karratha Airport", "Karratha", "AU", -20.71, 116.77, "Australia/Perth"],
+    ["KTB", null, "Thorne Bay Seaplane Base", "Thorne Bay", "US", 55.69, -132.53, "America/Anchorage"],
+    ["KTD", "RORK", "Kitadaito Airport", "Kitadaitōjima", "JP", 25.94, 131.33, "Asia/Tokyo"],
+    ["KTG", "WIOK", "Ketapang Airport", "Ketapang", "ID", -1.83, 109.98, "Asia/Jakarta"],
+    ["KTI", "VDTI", "Kratie Airport", "Kratie", "KH", 12.5, 106.05, "Asia/Phnom_Penh"],
+    ["KTM", "VNKT", "Tribhuvan International Airport", "Kathmandu", "NP", 27.7, 85.36, "Asia/Kathmandu"],
+    ["KTN", "PAKT", "Ketchikan International Airport", "Ketchikan", "US", 55.36, -131.71, "America/Sitka"],
+    ["KTP", "MKTP", "Tinson Airport", "Tinson Pen", "JM", 17.99, -76.82, "America/Jamaica"],
+    ["KTS", "PFKT", "Brevig Mission Airport", "Brevig Mission", "US", 65.33, -166.47, "America/Anchorage"],
+    ["KTT", "EFKT", "Kittila Airport", "Kittilä", "FI", 67.7, 24.86, "Europe/Helsinki"],
+    ["KTW", "EPKT", "Katowice Airport", "Katowice", "PL", 50.47, 19.07, "Europe/Warsaw"],
+    ["KUA", "WMKD", "Sultan Haji Ahmad Shah Airport", "Kuantan", "MY", 3.78, 103.22, "Asia/Kuala_Lumpur"],
+    ["KUD", "WBKT", "Kudat Airport", "Kudat", "MY", 6.93, 116.83, "Asia/Kuala_Lumpur"],
+    ["KUF", "UWWW", "Kurumoch Samara International Airport", "Samara", "RU", 53.51, 50.15, "Europe/Samara"],
+    ["KUG", "YKUB", "Kubin Island Airport", "Kubin", "AU", -10.23, 142.3, "Australia/Brisbane"],
+    ["KUH", "RJCK", "Kushiro Airport", "Kushiro", "JP", 43.05, 144.2, "Asia/Tokyo"],
+    ["KUI", null, "Kawau Island Seaplane Base", "Kawau Island", "NZ", -36.43, 174.82, "Pacific/Auckland"],
+    ["KUJ", null, "Kushimoto Airport", "Kushimoto", "JP", 33.43, 135.78, "Asia/Tokyo"],
+    ["KUK", "PFKA", "Kasigluk Airport", "Kasigluk", "US", 60.88, -162.52, "America/Anchorage"],
+    ["KUL", "WMKK", "Kuala Lumpur International Airport", "Sepang", "MY", 2.74, 101.72, "Asia/Kuala_Lumpur"],
+    ["KUM", "RJFC", "Yakushima Airport", "Yakushima", "JP", 30.39, 130.66, "Asia/Tokyo"],
+    ["KUN", "EYKA", "Kaunas Airport", "Kaunas", "LT", 54.9, 23.92, "Europe/Vilnius"],
+    ["KUO", "EFKU", "Kuopio Airport", "Kuopio / Siilinjärvi", "FI", 63.01, 27.79, "Europe/Helsinki"],
+    ["KUS", "BGKK", "Kulusuk Airport", "Kulusuk", "GL", 65.57, -37.12, "America/Godthab"],
+    ["KUT", "UGKO", "Kutaisi International Airport", "Kopitnari", "GE", 42.18, 42.48, "Asia/Tbilisi"],
+    ["KUU", "VIBR", "Bhuntar Airport", "Bhuntar", "IN", 31.98, 77.1, "Asia/Kolkata"],
+    ["KUV", "RKJK", "Gunsan Airport", "Kunsan", "KR", 35.98, 126.75, "Asia/Seoul"],
+    ["KUW", null, "Kugururok River Airport", "Kugururok River", "US", 67.97, -161.98, "America/Anchorage"],
+    ["KUY", "AYKS", "Kamusi Airport", "Kamusi", "PG", -7.43, 143.12, "Pacific/Port_Moresby"],
+    ["KUZ", "BGKM", "Kuummiit Heliport", "Kuummiit", "GL", 65.86, -37, "America/Godthab"],
+    ["KVA", "LGKV", "Kavala International Airport", "Kavala", "GR", 40.91, 24.62, "Europe/Athens"],
+    ["KVC", "PAVC", "King Cove Airport", "King Cove", "US", 55.06, -162.31, "America/Anchorage"],
+    ["KVG", "AYKV", "Kavieng Airport", "Kavieng", "PG", -2.58, 150.81, "Pacific/Port_Moresby"],
+    ["KVL", "PAVL", "Kivalina Airport", "Kivalina", "US", 67.73, -164.55, "America/Anchorage"],
+    ["KVM", "UHMO", "Markovo Airport", "Markovo", "RU", 64.67, 170.41, "Asia/Anadyr"],
+    ["KVO", "LYKV", "Morava Airport", "Kraljevo", "RS", 43.82, 20.59, "Europe/Belgrade"],
+    ["KVX", "USKK", "Kirov Airport", "Kirov", "RU", 58.5, 49.35, "Europe/Moscow"],
+    ["KWA", "PKWA", "Kwajalein Airport", "Kwajalein", "MH", 8.72, 167.72, "Pacific/Kwajalein"],
+    ["KWB", "WARU", "Dewadaru Airport", "Karimunjawa", "ID", -5.8, 110.48, "Asia/Jakarta"],
+    ["KWE", "ZUGY", "Guiyang Longdongbao International Airport", "Guiyang (Nanming)", "CN", 26.54, 106.8, "Asia/Shanghai"],
+    ["KWG", "UKDR", "Krivoy Rog Airport", "Kryvyi Rih", "UA", 48.05, 33.22, "Europe/Kyiv"],
+    ["KWI", "OKKK", "Kuwait International Airport", "Kuwait City", "KW", 29.24, 47.97, "Asia/Kuwait"],
+    ["KWJ", "RKJJ", "Gwangju Airport", "Gwangju", "KR", 35.14, 126.81, "Asia/Seoul"],
+    ["KWK", "PAGG", "Kwigillingok Airport", "Kwigillingok", "US", 59.83, -163.13, "America/Anchorage"],
+    ["KWL", "ZGKL", "Guilin Liangjiang International Airport", "Guilin (Lingui)", "CN", 25.22, 110.05, "Asia/Shanghai"],
+    ["KWM", "YKOW", "Kowanyama Airport", "Kowanyama", "AU", -15.49, 141.75, "Australia/Brisbane"],
+    ["KWN", "PAQH", "Kwinhagak Airport", "Quinhagak", "US", 59.75, -161.84, "America/Anchorage"],
+    ["KWP", null, "West Point Village Sea Plane Base", "West Point Village", "US", 57.77, -153.55, "America/Anchorage"],
+    ["KWT", "PFKW", "Kwethluk Airport", "Kwethluk", "US", 60.81, -161.44, "America/Anchorage"],
+    ["KWZ", "FZQM", "Kolwezi Airport", "Kolwezi", "CD", -10.77, 25.51, "Africa/Lubumbashi"],
+    ["KXA", null, "Kasaan Sea Plane Base", "Kasaan", "US", 55.54, -132.4, "America/Juneau"],
+    ["KXB", "WAWP", "Sangia Nibandera Airport", "Kolaka", "ID", -4.34, 121.52, "Asia/Makassar"],
+    ["KXF", "NFNO", "Koro Island Airport", "Koro Island", "FJ", -17.34, 179.42, "Pacific/Fiji"],
+    ["KXK", "UHKK", "Khurba Airport", "Komsomolsk-on-Amur", "RU", 50.4, 136.93, "Asia/Vladivostok"],
+    ["KXO", "HUKI", "Kisoro Airport", "Kisoro", "UG", -1.28, 29.72, "Africa/Kampala"],
+    ["KYA", "LTAN", "Konya Airport", "Konya", "TR", 37.98, 32.56, "Europe/Istanbul"],
+    ["KYD", "RCLY", "Orchid Island Airport", "Orchid Island", "TW", 22.08, 121.5, "Asia/Taipei"],
+    ["KYK", "PAKY", "Karluk Airport", "Karluk", "US", 57.57, -154.45, "America/Anchorage"],
+    ["KYL", null, "Port Largo Airport", "Port Largo", "US", 25.07, -80.47, "America/New_York"],
+    ["KYP", "VYKP", "Kyaukpyu Airport", "Kyaukpyu", "MM", 19.43, 93.54, "Asia/Yangon"],
+    ["KYU", "PFKU", "Koyukuk Airport", "Koyukuk", "US", 64.88, -157.71, "America/Anchorage"],
+    ["KYZ", "UNKY", "Kyzyl Airport", "Kyzyl", "RU", 51.67, 94.41, "Asia/Krasnoyarsk"],
+    ["KZB", null, "Zachar Bay Sea Plane Base", "Zachar Bay", "US", 57.55, -153.75, "America/Anchorage"],
+    ["KZH", null, "Kizhuyak Airport", "Kizhuyak", "US", 57.58, -153.15, "America/Anchorage"],
+    ["KZI", "LGKZ", "Philippos Airport", "Kozani", "GR", 40.29, 21.84, "Europe/Athens"],
+    ["KZK", null, "Kompong Thom Airport", "Kompong Thom", "KH", 12.58, 104.85, "Asia/Phnom_Penh"],
+    ["KZN", "UWKD", "Kazan International Airport", "Kazan", "RU", 55.61, 49.3, "Europe/Moscow"],
+    ["KZO", "UAOO", "Kzyl-Orda Airport", "Kzyl-Orda", "KZ", 44.71, 65.59, "Asia/Qyzylorda"],
+    ["KZR", "LTBZ", "Zafer Airport", "Kutahya", "TR", 39.12, 30.12, "Europe/Istanbul"],
+    ["KZS", "LGKJ", "Kastellorizo Airport", "Kastelorizo", "GR", 36.14, 29.58, "Europe/Athens"],
+    ["LAD", "FNLU", "4 de Fevereiro International Airport", "Luanda", "AO", -8.85, 13.23, "Africa/Luanda"],
+    ["LAE", "AYNZ", "Nadzab Airport", "Lae", "PG", -6.57, 146.73, "Pacific/Port_Moresby"],
+    ["LAF", "KLAF", "Purdue University Airport", "West Lafayette", "US", 40.41, -86.93, "America/Indiana/Indianapolis"],
+    ["LAG", null, "La Guaira Airport", "La Guaira", "VE", 10.6, -66.93, "America/Caracas"],
+    ["LAJ", "SBLJ", "Correia Pinto Airport", "Lages", "BR", -27.78, -50.28, "America/Sao_Paulo"],
+    ["LAK", "CYKD", "Aklavik Airport", "Aklavik", "CA", 68.22, -134.99, "America/Yellowknife"],
+    ["LAL", "KLAL", "Lakeland Linder International Airport", "Lakeland", "US", 27.99, -82.01, "America/New_York"],
+    ["LAN", "KLAN", "Capital Region International Airport", "Lansing", "US", 42.78, -84.59, "America/Detroit"],
+    ["LAO", "RPLI", "Laoag Airport", "Laoag City", "PH", 18.18, 120.53, "Asia/Manila"],
+    ["LAP", "MMLP", "Leon Airport", "La Paz", "MX", 24.08, -110.37, "America/Mazatlan"],
+    ["LAQ", "HLLQ", "La Braq Airport", "Al Albraq", "LY", 32.79, 21.96, "Africa/Tripoli"],
+    ["LAR", "KLAR", "General Brees Field", "Laramie", "US", 41.31, -105.67, "America/Denver"],
+    ["LAS", "KLAS", "Harry Reid International Airport", "Las Vegas", "US", 36.08, -115.15, "America/Los_Angeles"],
+    ["LAU", "HKLU", "Lamu Airport", "Lamu", "KE", -2.25, 40.91, "Africa/Nairobi"],
+    ["LAW", "KLAW", "Lawton-Fort Sill Regional Airport", "Lawton", "US", 34.57, -98.42, "America/Chicago"],
+    ["LAX", "KLAX", "Los Angeles International Airport", "Los Angeles", "US", 33.94, -118.41, "America/Los_Angeles"],
+    ["LBA", "EGNM", "Leeds Bradford Airport", "Leeds", "GB", 53.87, -1.66, "Europe/London"],
+    ["LBB", "KLBB", "Lubbock Preston Smith International Airport", "Lubbock", "US", 33.66, -101.82, "America/Chicago"],
+    ["LBC", "EDHL", "Luebeck-Blankensee Airport", "Lübeck", "DE", 53.81, 10.7, "Europe/Berlin"],
+    ["LBD", "UTDL", "Khujand Airport", "Khujand", "TJ", 40.22, 69.7, "Asia/Dushanbe"],
+    ["LBE", "KLBE", "Arnold Palmer Regional Airport", "Latrobe", "US", 40.27, -79.41, "America/New_York"],
+    ["LBF", "KLBF", "Lee Bird Field", "North Platte", "US", 41.13, -100.7, "America/Chicago"],
+    ["LBH", null, "Palm Beach Sea Plane Base", "Palm Beach", "AU", -33.59, 151.32, "Australia/Sydney"],
+    ["LBJ", "WATO", "Komodo Airport", "Labuhan Bajo", "ID", -8.49, 119.89, "Asia/Makassar"],
+    ["LBL", "KLBL", "Liberal Municipal Airport", "Liberal", "US", 37.04, -100.96, "America/Chicago"],
+    ["LBP", null, "Long Banga Airfield", "Long Banga", "MY", 3.2, 115.4, "Asia/Kuala_Lumpur"],
+    ["LBR", "SWLB", "Labrea Airport", "Labrea", "BR", -7.25, -64.85, "America/Manaus"],
+    ["LBS", "NFNL", "Labasa Airport", "Labasa", "FJ", -16.47, 179.34, "Pacific/Fiji"],
+    ["LBU", "WBKL", "Labuan Airport", "Labuan", "MY", 5.29, 115.25, "Asia/Kuala_Lumpur"],
+    ["LBV", "FOOL", "Libreville International Airport", "Libreville", "GA", 0.46, 9.41, "Africa/Libreville"],
+    ["LBW", "WRLB", "Juvai Semaring Airport", "Long Bawan-Borneo Island", "ID", 3.9, 115.69, "Asia/Makassar"],
+    ["LCA", "LCLK", "Larnaca International Airport", "Larnaca", "CY", 34.87, 33.61, "Asia/Nicosia"],
+    ["LCB", null, "Pontes-e-Lacerda Airport", "Pontes-e-Lacerda", "BR", -13.01, -60, "America/Campo_Grande"],
+    ["LCE", "MHLC", "Goloson International Airport", "La Ceiba", "HN", 15.74, -86.86, "America/Tegucigalpa"],
+    ["LCG", "LECO", "A Coruna Airport", "Culleredo", "ES", 43.3, -8.38, "Europe/Madrid"],
+    ["LCH", "KLCH", "Lake Charles Regional Airport", "Lake Charles", "US", 30.12, -93.22, "America/Chicago"],
+    ["LCJ", "EPLL", "Lodz Wladyslaw Reymont Airport", "Łódź", "PL", 51.72, 19.4, "Europe/Warsaw"],
+    ["LCK", "KLCK", "Rickenbacker International Airport", "Columbus", "US", 39.82, -82.94, "America/New_York"],
+    ["LCR", "SKHZ", "La Chorrera Airport", "La Chorrera", "CO", -1.46, -72.8, "America/Bogota"],
+    ["LCS", null, "Longchuan Guangsong Airport", "Longchuan Guangsong", "CN", 24.27, 97.9, "Asia/Shanghai"],
+    ["LCX", "ZSLD", "Longyan Guanzhishan Airport", "Longyan", "CN", 25.68, 116.75, "Asia/Shanghai"],
+    ["LCY", "EGLC", "London City Airport", "London", "GB", 51.5, 0.05, "Europe/London"],
+    ["LDB", "SBLO", "Londrina Airport", "Londrina", "BR", -23.33, -51.14, "America/Sao_Paulo"],
+    ["LDE", "LFBT", "Tarbes Ossun Lourdes Airport", "Tarbes/Lourdes/Pyrénées", "FR", 43.19, 0, "Europe/Paris"],
+    ["LDG", "ULAL", "Leshukonskoye Airport", "Arkhangelsk", "RU", 64.9, 45.75, "Europe/Moscow"],
+    ["LDH", "YLHI", "Lord Howe Island Airport", "Lord Howe Island", "AU", -31.54, 159.08, "Australia/Lord_Howe"],
+    ["LDS", "ZYLD", "Yichun Lindu Airport", "Yichun", "CN", 47.75, 129.02, "Asia/Shanghai"],
+    ["LDU", "WBKD", "Lahad Datu Airport", "Lahad Datu", "MY", 5.04, 118.33, "Asia/Kuala_Lumpur"],
+    ["LDX", "SOOM", "Saint Laurent du Maroni Airport", "Saint-Laurent-du-Maroni", "GF", 5.48, -54.05, "America/Cayenne"],
+    ["LDY", "EGAE", "City of Derry Airport", "Derry", "GB", 55.04, -7.16, "Europe/London"],
+    ["LEA", "YPLM", "Learmonth Airport", "Exmouth", "AU", -22.24, 114.09, "Australia/Perth"],
+    ["LEB", "KLEB", "Lebanon Municipal Airport", "Lebanon", "US", 43.63, -72.31, "America/New_York"],
+    ["LEC", "SBLE", "Coronel Horacio de Mattos Airport", "Lençóis", "BR", -12.49, -41.27, "America/Belem"],
+    ["LED", "ULLI", "Pulkovo Airport", "St. Petersburg", "RU", 59.8, 30.27, "Europe/Moscow"],
+    ["LEI", "LEAM", "Almeria Airport", "Almería", "ES", 36.85, -2.37, "Europe/Madrid"],
+    ["LEJ", "EDDP", "Leipzig/Halle Airport", "Leipzig", "DE", 51.42, 12.22, "Europe/Berlin"],
+    ["LEL", "YLEV", "Lake Evella Airport", "Lake Evella", "AU", -12.51, 135.8, "Australia/Darwin"],
+    ["LEN", "LELN", "Leon Airport", "León", "ES", 42.59, -5.65, "Europe/Madrid"],
+    ["LEP", "SNDN", "Leopoldina Airport", "Leopoldina", "BR", -21.47, -42.67, "America/Sao_Paulo"],
+    ["LEQ", "EGHC", "Lands End Airport", "Land's End", "GB", 50.1, -5.67, "Europe/London"],
+    ["LER", "YLST", "Leinster Airport", "Leinster", "AU", -27.84, 120.7, "Australia/Perth"],
+    ["LET", "SKLT", "Gen. A.V. Cobo Airport", "Leticia", "CO", -4.2, -69.94, "America/Bogota"],
+    ["LEU", "LESU", "Andorra–La Seu d'Urgell Airport", "Seo De Urgel", "ES", 42.42, 1.47, "Europe/Madrid"],
+    ["LEV", "NFNB", "Levuka Airfield", "Levuka", "FJ", -17.68, 178.83, "Pacific/Fiji"],
+    ["LEX", "KLEX", "Blue Grass Airport", "Lexington", "US", 38.04, -84.6, "America/New_York"],
+    ["LFH", null, "Lanping Fenghua General Airport", "Lanping Fenghua General", "CN", 26.66, 99.54, "Asia/Shanghai"],
+    ["LFM", "OISR", "Lamerd Airport", "Lamerd", "IR", 27.37, 53.2, "Asia/Tehran"],
+    ["LFQ", "ZBLF", "Linfen Yaodu Airport", "Linfen (Yaodu)", "CN", 36.04, 111.49, "Asia/Shanghai"],
+    ["LFT", "KLFT", "Lafayette Regional Airport", "Lafayette", "US", 30.21, -91.99, "America/Chicago"],
+    ["LFW", "DXXX", "Lome–Tokoin International Airport", "Lomé", "TG", 6.17, 1.25, "Africa/Lome"],
+    ["LGA", "KLGA", "LaGuardia Airport", "New York", "US", 40.77, -73.87, "America/New_York"],
+    ["LGB", "KLGB", "Long Beach Airport", "Long Beach", "US", 33.82, -118.14, "America/Los_Angeles"],
+    ["LGG", "EBLG", "Liege Airport", "Liège", "BE", 50.64, 5.46, "Europe/Brussels"],
+    ["LGI", "MYLD", "Deadmans Cay Airport", "Deadman's Cay", "BS", 23.18, -75.09, "America/Nassau"],
+    ["LGK", "WMKL", "Langkawi International Airport", "Langkawi", "MY", 6.34, 99.73, "Asia/Kuala_Lumpur"],
+    ["LGL", "WBGF", "Long Lellang Airport", "Long Datih", "MY", 4.18, 114.25, "Asia/Kuala_Lumpur"],
+    ["LGW", "EGKK", "London Gatwick Airport", "London", "GB", 51.15, -0.18, "Europe/London"],
+    ["LGZ", "ZUSH", "Shannan Longzi (Lhünzê) Airport", "Shannan Longzi (Lhünzê)", "CN", 28.42, 92.34, "Asia/Shanghai"],
+    ["LHB", null, "Lost Harbor Sea Port", "Lost Harbor Sea Port", "US", 54.23, -165.6, "America/Anchorage"],
+    ["LHE", "OPLA", "Allama Iqbal International Airport", "Lahore", "PK", 31.52, 74.4, "Asia/Karachi"],
+    ["LHG", "YLRD", "Lightning Ridge Airport", "Lightning Ridge", "AU", -29.46, 147.98, "Australia/Sydney"],
+    ["LHR", "EGLL", "London Heathrow Airport", "London", "GB", 51.47, -0.45, "Europe/London"],
+    ["LHS", "SAVH", "Las Heras Airport", "Las Heras", "AR", -32.85, -68.82, "America/Argentina/Buenos_Aires"],
+    ["LHW", "ZLLL", "Lanzhou Zhongchuan Airport", "Lanzhou (Yongdeng)", "CN", 36.51, 103.62, "Asia/Shanghai"],
+    ["LIF", "NWWL", "Lifou Airport", "Lifou", "NC", -20.77, 167.25, "Pacific/Noumea"],
+    ["LIG", "LFBL", "Bellegarde Airport", "Limoges/Bellegarde", "FR", 45.86, 1.18, "Europe/Paris"],
+    ["LIH", "PHLI", "Lihue Airport", "Lihue", "US", 21.98, -159.35, "Pacific/Honolulu"],
+    ["LIK", null, "Likiep Airport", "Likiep", "MH", 9.82, 169.32, "Pacific/Majuro"],
+    ["LIL", "LFQQ", "Lille Airport", "Lille/Lesquin", "FR", 50.57, 3.11, "Europe/Paris"],
+    ["LIM", "SPJC", "Jorge Chavez International Airport", "Lima", "PE", -12.02, -77.11, "America/Lima"],
+    ["LIN", "LIML", "Milano Linate Airport", "Milan", "IT", 45.46, 9.28, "Europe/Rome"],
+    ["LIO", "MRLM", "Limon International Airport", "Puerto Limon", "CR", 9.96, -83.03, "America/Costa_Rica"],
+    ["LIR", "MRLB", "Liberia Guanacaste Airport", "Liberia", "CR", 10.6, -85.54, "America/Costa_Rica"],
+    ["LIS", "LPPT", "Lisbon Portela Airport", "Lisbon", "PT", 38.77, -9.13, "Europe/Lisbon"],
+    ["LIT", "KLIT", "Bill and Hillary Clinton National Airport", "Little Rock", "US", 34.73, -92.22, "America/Chicago"],
+    ["LIU", null, "Linosa Heliport", "Linosa", "IT", 35.83, 12.08, "Europe/Rome"],
+    ["LIW", "VYLK", "Loikaw Airport", "Loikaw", "MM", 19.69, 97.21, "Asia/Yangon"],
+    ["LJG", "ZPLJ", "Lijiang Airport", "Lijiang (Gucheng)", "CN", 26.67, 100.24, "Asia/Shanghai"],
+    ["LJU", "LJLJ", "Ljubljana Joze Pucnik Airport", "Ljubljana", "SI", 46.23, 14.45, "Europe/Ljubljana"],
+    ["LKA", "WATL", "Gewayantana Airport", "Gewayantana", "ID", -8.27, 123, "Asia/Makassar"],
+    ["LKB", "NFNK", "Lakeba Airport", "Lakeba Island", "FJ", -18.2, 179.2, "Pacific/Fiji"],
+    ["LKE", null, "Lake Union Sea Plane Base", "Lake Union", "US", 47.63, -122.34, "America/Los_Angeles"],
+    ["LKI", "WITG", "Lasikin Airport", "Lasikin", "ID", 2.41, 96.33, "Asia/Jakarta"],
+    ["LKL", "ENNA", "Lakselv Airport", "Lakselv", "NO", 70.07, 24.97, "Europe/Oslo"],
+    ["LKM", "WAMI", "Lolak Bolaang Mongondow Airport", "Lolak Bolaang Mongondow", "ID", 0.89, 124.03, "Asia/Makassar"],
+    ["LKN", "ENLK", "Leknes Airport", "Leknes", "NO", 68.15, 13.61, "Europe/Oslo"],
+    ["LKO", "VILK", "Chaudhary Charan Singh International Airport", "Lucknow", "IN", 26.76, 80.88, "Asia/Kolkata"],
+    ["LKS", null, "Lakeside Airport", "Lakeside", "US", 30.5, -98.15, "America/Chicago"],
+    ["LKT", null, "Lakota Airport", "Lakota", "CI", 5.83, -5.5, "Africa/Abidjan"],
+    ["LLA", "ESPA", "Lulea Airport", "Luleå", "SE", 65.55, 22.12, "Europe/Stockholm"],
+    ["LLB", "ZULB", "Libo County Libo City Airport", "Libo", "CN", 25.45, 107.96, "Asia/Shanghai"],
+    ["LLF", "ZGLG", "Yongzhou Lingling Airport", "Yongzhou", "CN", 26.35, 111.61, "Asia/Shanghai"],
+    ["LLK", "UBBL", "Lankaran International Airport", "Lankaran", "AZ", 38.74, 48.82, "Asia/Baku"],
+    ["LLO", "WAFD", "Lagaligo Airport", "Lagaligo", "ID", -3.09, 120.25, "Asia/Makassar"],
+    ["LLU", "BGAP", "Alluitsup Paa Airport", "Alluitsup Paa", "GL", 60.46, -45.57, "America/Godthab"],
+    ["LLV", "ZBLL", "Luliang Dawu Airport", "Lüliang", "CN", 37.68, 111.14, "Asia/Shanghai"],
+    ["LLW", "FWKI", "Kamuzu International Airport", "Lilongwe", "MW", -13.78, 33.78, "Africa/Blantyre"],
+    ["LMA", "PAMH", "Minchumina Intermediate Airport", "Lake Minchumina", "US", 63.87, -152.29, "America/Anchorage"],
+    ["LMC", "SKNA", "Lamacarena Airport", "Lamacarena", "CO", 2.18, -73.79, "America/Bogota"],
+    ["LME", "LFRM", "Arnage Airport", "Le Mans/Arnage", "FR", 47.95, 0.2, "Europe/Paris"],
+    ["LMM", "MMLM", "Los Mochis International Airport", "Los Mochis", "MX", 25.82, -108.98, "America/Mazatlan"],
+    ["LMN", "WBGJ", "Limbang Airport", "Limbang", "MY", 4.67, 115, "Asia/Kuala_Lumpur"],
+    ["LMP", "LICD", "Lampedusa Airport", "Lampedusa", "IT", 35.5, 12.62, "Europe/Rome"],
+    ["LMY", "AYLM", "Lake Murray Airport", "Lake Murray", "PG", -6.83, 141.37, "Pacific/Port_Moresby"],
+    ["LMZ", null, "Palma Airport", "Palma", "MZ", -10.77, 40.48, "Africa/Maputo"],
+    ["LNB", "NVSM", "Lamen Bay Airport", "Lamen Bay", "VU", -16.58, 168.18, "Pacific/Efate"],
+    ["LNE", "NVSO", "Lonorore Airport", "Lonorore", "VU", -15.86, 168.17, "Pacific/Efate"],
+    ["LNJ", "ZPLC", "Lincang Airport", "Lincang", "CN", 23.74, 100.03, "Asia/Shanghai"],
+    ["LNK", "KLNK", "Lincoln Airport", "Lincoln", "US", 40.85, -96.75, "America/Chicago"],
+    ["LNL", "ZLLN", "Longnan Chengxian Airport", "Longnan (Cheng)", "CN", 33.79, 105.8, "Asia/Shanghai"],
+    ["LNO", "YLEO", "Leonora Airport", "Leonora", "AU", -28.88, 121.32, "Australia/Perth"],
+    ["LNS", "KLNS", "Lancaster Airport (Pennsylvania)", "Lancaster", "US", 40.12, -76.3, "America/New_York"],
+    ["LNU", "WALM", "Robert Atty Bessing Airport", "Robert Atty Bessing", "ID", 3.58, 116.62, "Asia/Makassar"],
+    ["LNV", "AYKY", "Lihir Island Airport", "Lihir Island", "PG", -3.04, 152.63, "Pacific/Port_Moresby"],
+    ["LNX", "UUBS", "Smolensk Airport", "Smolensk", "RU", 54.8, 32.05, "Europe/Moscow"],
+    ["LNY", "PHNY", "Lanai Airport", "Lanai City", "US", 20.79, -156.95, "Pacific/Honolulu"],
+    ["LNZ", "LOWL", "Linz Airport", "Linz", "AT", 48.24, 14.19, "Europe/Vienna"],
+    ["LOD", "NVSG", "Longana Airport", "Longana", "VU", -15.32, 167.97, "Pacific/Efate"],
+    ["LOE", "VTUL", "Loei Airport", "Loei", "TH", 17.44, 101.72, "Asia/Bangkok"],
+    ["LOH", "SETM", "Camilo Ponce", "La Toma (Catamayo)", "EC", -4.11, -79.39, "America/Guayaquil"],
+    ["LOP", "WADL", "Zainuddin Abdul Madjid International Airport", "Mataram", "ID", -8.76, 116.27, "Asia/Makassar"],
+    ["LOR", null, "Lowe Army Heliport", "Lowe Army", "US", 31.5, -85.43, "America/Chicago"],
+    ["LOS", "DNMM", "Murtala Muhammed International Airport", "Lagos", "NG", 6.58, 3.32, "Africa/Lagos"],
+    ["LPA", "GCLP", "Gran Canaria Airport", "Gran Canaria Island", "ES", 27.93, -15.38, "Atlantic/Canary"],
+    ["LPB", "SLLP", "El Alto International Airport", "La Paz / El Alto", "BO", -16.51, -68.18, "America/La_Paz"],
+    ["LPD", "SKLP", "La Pedrera Airport", "La Pedrera", "CO", -1.3, -69.72, "America/Bogota"],
+    ["LPF", "ZUPS", "Liupanshui Yuezhao Airport", "Liupanshui (Zhongshan)", "CN", 26.61, 104.97, "Asia/Shanghai"],
+    ["LPH", null, "Lochgilphead Heliport", "Lochgilphead", "GB", 56.05, -5.43, "Europe/London"],
+    ["LPI", "ESSL", "Linkoping City Airport", "Linköping", "SE", 58.41, 15.66, "Europe/Stockholm"],
+    ["LPK", "UUOL", "Lipetsk Airport", "Lipetsk", "RU", 52.7, 39.54, "Europe/Moscow"],
+    ["LPL", "EGGP", "Liverpool John Lennon Airport", "Liverpool", "GB", 53.34, -2.85, "Europe/London"],
+    ["LPM", "NVSL", "Lamap Airport", "Lamap", "VU", -16.47, 167.82, "Pacific/Efate"],
+    ["LPP", "EFLP", "Lappeenranta Airport", "Lappeenranta", "FI", 61.04, 28.16, "Europe/Helsinki"],
+    ["LPQ", "VLLB", "Luang Prabang International Airport", "Luang Phabang", "LA", 19.9, 102.16, "Asia/Vientiane"],
+    ["LPS", "KS31", "Lopez Island Airport", "Lopez", "US", 48.48, -122.94, "America/Los_Angeles"],
+    ["LPT", "VTCL", "Lampang Airport", "Lampang", "TH", 18.27, 99.51, "Asia/Bangkok"],
+    ["LPU", "WRLP", "Long Apung Airport", "Long Apung-Borneo Island", "ID", 1.71, 114.97, "Asia/Makassar"],
+    ["LPW", null, "Little Port Walter Airport", "Little Port Walter", "US", 56.38, -134.83, "America/Sitka"],
+    ["LPY", "LFHP", "Loudes Airport", "Le Puy/Loudes", "FR", 45.08, 3.77, "Europe/Paris"],
+    ["LQM", "SKLG", "Puerto Leguizamo Airport", "Puerto Leguízamo", "CO", -0.3, -74.58, "America/Bogota"],
+    ["LRD", "KLRD", "Laredo International Airport", "Laredo", "US", 27.54, -99.46, "America/Chicago"],
+    ["LRE", "YLRE", "Longreach Airport", "Longreach", "AU", -23.44, 144.27, "Australia/Brisbane"],
+    ["LRH", "LFBH", "Laleu Airport", "La Rochelle/Île de Ré", "FR", 46.18, -1.19, "Europe/Paris"],
+    ["LRM", "MDLR", "La Romana Airport", "La Romana", "DO", 18.42, -68.9, "America/Santo_Domingo"],
+    ["LRN", null, "Larson Air Force Base", "Larson Air Force Base", "US", 47.13, -119.28, "America/Los_Angeles"],
+    ["LRO", null, "Sharpe Army Air Field", "Sharpe Army Air Field", "US", 39.55, -94.33, "America/Los_Angeles"],
+    ["LRR", "OISL", "Lar Airport", "Lar", "IR", 27.67, 54.38, "Asia/Tehran"],
+    ["LRS", "LGLE", "Leros Airport", "Leros", "GR", 37.52, 26.78, "Europe/Athens"],
+    ["LRT", "LFRH", "Lann Bihoue Airport", "Lorient/Lann/Bihoué", "FR", 47.75, -3.44, "Europe/Paris"],
+    ["LRU", "KLRU", "Las Cruces Municipal Airport", "Las Cruces", "US", 32.29, -106.92, "America/Denver"],
+    ["LRV", "SVRS", "Los Roques Airport", "Los Roques", "VE", 11.86, -66.75, "America/Caracas"],
+    ["LSA", "AYKA", "Losuia Airport", "Losuia", "PG", -8.36, 151.03, "Pacific/Port_Moresby"],
+    ["LSC", "SCSE", "La Florida Airport", "La Serena-Coquimbo", "CL", -29.92, -71.2, "America/Santiago"],
+    ["LSD", null, "Lexington Creech Heliport", "Lexington Creech", "US", 38.08, -84.32, "America/New_York"],
+    ["LSE", "KLSE", "La Crosse Regional Airport", "La Crosse", "US", 43.88, -91.26, "America/Chicago"],
+    ["LSG", null, "Leshan Airport", "Leshan", "CN", 29.44, 103.75, "Asia/Shanghai"],
+    ["LSH", "VYLS", "Lashio Airport", "Lashio", "MM", 22.97, 97.75, "Asia/Yangon"],
+    ["LSI", "EGPB", "Sumburgh Airport", "Lerwick", "GB", 59.88, -1.29, "Europe/London"],
+    ["LSP", "SVJC", "Josefa Camejo Airport", "Paraguaná", "VE", 11.78, -70.15, "America/Caracas"],
+    ["LSR", "WIMU", "Alas Leuser Airport", "Kutacane", "ID", 3.39, 97.86, "Asia/Jakarta"],
+    ["LST", "YMLT", "Launceston Airport", "Launceston", "AU", -41.54, 147.21, "Australia/Hobart"],
+    ["LSW", "WITM", "Malikus Saleh Airport", "Lhok Seumawe-Sumatra Island", "ID", 5.23, 96.95, "Asia/Jakarta"],
+    ["LSY", "YLIS", "Lismore Airport", "Lismore", "AU", -28.84, 153.26, "Australia/Sydney"],
+    ["LTI", "ZMAT", "Altai Airport", "Altai", "MN", 46.38, 96.22, "Asia/Ulaanbaatar"],
+    ["LTM", "SYLT", "Lethem Airport", "Lethem", "GY", 3.37, -59.79, "America/Guyana"],
+    ["LTN", "EGGW", "London Luton Airport", "London", "GB", 51.88, -0.38, "Europe/London"],
+    ["LTO", "MMLT", "Loreto Airport", "Loreto", "MX", 25.98, -111.35, "America/Mazatlan"],
+    ["LTT", "LFTZ", "La Mole Airport", "La Môle", "FR", 43.21, 6.48, "Europe/Paris"],
+    ["LTU", "VALT", "Latur Airport", "Latur", "IN", 18.41, 76.47, "Asia/Kolkata"],
+    ["LTX", "SELT", "Cotopaxi International Airport", "Latacunga", "EC", -0.92, -78.62, "America/Guayaquil"],
+    ["LUA", "VNLK", "Tenzing-Hillary Airport", "Lukla", "NP", 27.69, 86.73, "Asia/Kathmandu"],
+    ["LUD", "FYLZ", "Luderitz Airport", "Luderitz", "NA", -26.69, 15.24, "Africa/Windhoek"],
+    ["LUG", "LSZA", "Lugano Airport", "Lugano", "CH", 46, 8.91, "Europe/Zurich"],
+    ["LUJ", "FALK", "Lusikisiki Airport", "Lusikisiki", "ZA", -31.37, 29.58, "Africa/Johannesburg"],
+    ["LUK", "KLUK", "Cincinnati Municipal Lunken Airport", "Cincinnati", "US", 39.1, -84.43, "America/New_York"],
+    ["LUM", "ZPMS", "Dehong Mangshi Airport", "Dehong (Mangshi)", "CN", 24.41, 98.53, "Asia/Shanghai"],
+    ["LUN", "FLLS", "Kenneth Kaunda International Airport", "Lusaka", "ZM", -15.33, 28.45, "Africa/Lusaka"],
+    ["LUP", "PHLU", "Kalaupapa Airport", "Molokai", "US", 21.21, -156.97, "Pacific/Honolulu"],
+    ["LUQ", "SAOU", "D. Cesar Raul Ojeda Airport", "San Luis", "AR", -33.27, -66.36, "America/Argentina/Buenos_Aires"],
+    ["LUR", "PALU", "Cape Lisburne Airport", "Cape Lisburne", "US", 68.88, -166.11, "America/Anchorage"],
+    ["LUV", "WAPL", "Langgur Airport", "Langgur", "ID", -5.67, 132.72, "Asia/Jayapura"],
+    ["LUX", "ELLX", "Luxembourg Airport", "Luxembourg", "LU", 49.63, 6.21, "Europe/Luxembourg"],
+    ["LUZ", "EPLB", "Lublin Airport", "Lublin", "PL", 51.23, 22.69, "Europe/Warsaw"],
+    ["LVI", "FLLI", "Harry Mwaanga Nkumbula International Airport", "Livingstone", "ZM", -17.82, 25.82, "Africa/Lusaka"],
+    ["LVO", "YLTN", "Laverton Airport", "Laverton", "AU", -28.61, 122.42, "Australia/Perth"],
+    ["LWB", "KLWB", "Greenbrier Valley Airport", "Lewisburg", "US", 37.86, -80.4, "America/New_York"],
+    ["LWK", "EGET", "Lerwick/Tingwall Airport", "Lerwick", "GB", 60.19, -1.25, "Europe/London"],
+    ["LWN", "UDSG", "Shirak Airport", "Gyumri", "AM", 40.72, 43.83, "Asia/Yerevan"],
+    ["LWO", "UKLL", "Lviv International Airport", "Lviv", "UA", 49.81, 23.96, "Europe/Kyiv"],
+    ["LWS", "KLWS", "Lewiston-Nez Perce County Regional Airport", "Lewiston", "US", 46.37, -117.01, "America/Los_Angeles"],
+    ["LWY", "WBGW", "Lawas Airport", "Lawas", "MY", 4.85, 115.41, "Asia/Kuala_Lumpur"],
+    ["LXA", "ZULS", "Lhasa Gonggar Airport", "Shannan (Gonggar)", "CN", 29.29, 90.9, "Asia/Shanghai"],
+    ["LXG", "VLLN", "Luang Namtha Airport", "Luang Namtha", "LA", 21.05, 101.47, "Asia/Vientiane"],
+    ["LXI", null, "Linxi Airport", "Linxi", "CN", 43.6, 118.03, "Asia/Shanghai"],
+    ["LXR", "HELX", "Luxor International Airport", "Luxor", "EG", 25.67, 32.7, "Africa/Cairo"],
+    ["LXS", "LGLM", "Limnos Airport", "Limnos", "GR", 39.92, 25.23, "Europe/Athens"],
+    ["LYA", "ZHLY", "Luoyang Beijiao Airport", "Luoyang (Laocheng)", "CN", 34.74, 112.39, "Asia/Shanghai"],
+    ["LYC", "ESNL", "Lycksele Airport", "Lycksele", "SE", 64.55, 18.71, "Europe/Stockholm"],
+    ["LYG", "ZSLG", "Lianyungang Huaguoshan International Airport", "Lianyungang", "CN", 34.41, 119.18, "Asia/Shanghai"],
+    ["LYH", "KLYH", "Preston-Glenn Field", "Lynchburg", "US", 37.33, -79.2, "America/New_York"],
+    ["LYI", "ZSLY", "Linyi Qiyang Airport", "Linyi", "CN", 35.05, 118.41, "Asia/Shanghai"],
+    ["LYP", "OPFA", "Faisalabad Airport", "Faisalabad", "PK", 31.36, 72.99, "Asia/Karachi"],
+    ["LYR", "ENSB", "Svalbard Airport", "Longyearbyen", "SJ", 78.21, 15.8, "Arctic/Longyearbyen"],
+    ["LYS", "LFLL", "Lyon Saint-Exupery Airport", "Lyon", "FR", 45.72, 5.08, "Europe/Paris"],
+    ["LZG", "ZULA", "Langzhong Gucheng Airport", "Nanchong (Langzhong)", "CN", 31.5, 106.04, "Asia/Shanghai"],
+    ["LZH", "ZGZH", "Liuzhou Airport", "Liuzhou (Liujiang)", "CN", 24.21, 109.4, "Asia/Shanghai"],
+    ["LZN", "RCFG", "Matsu Nangan Airport", "Matsu (Nangan)", "TW", 26.16, 119.96, "Asia/Taipei"],
+    ["LZO", "ZULZ", "Luzhou Yunlong Airport", "Luzhou (Yunlong)", "CN", 29.03, 105.47, "Asia/Shanghai"],
+    ["LZY", "ZUNZ", "Nyingchi Mainling Airport", "Nyingchi (Mainling)", "CN", 29.31, 94.34, "Asia/Shanghai"],
+    ["MAA", "VOMM", "Chennai International Airport", "Chennai", "IN", 12.98, 80.16, "Asia/Kolkata"],
+    ["MAB", "SBMA", "Maraba Airport", "Marabá", "BR", -5.37, -49.17, "America/Belem"],
+    ["MAD", "LEMD", "Madrid-Barajas Airport", "Madrid", "ES", 40.49, -3.56, "Europe/Madrid"],
+    ["MAF", "KMAF", "Midland International Airport", "Midland", "US", 31.94, -102.21, "America/Chicago"],
+    ["MAG", "AYMD", "Madang Airport", "Madang", "PG", -5.21, 145.79, "Pacific/Port_Moresby"],
+    ["MAH", "LEMH", "Menorca Airport", "Mahón (Maó)", "ES", 39.87, 4.22, "Europe/Madrid"],
+    ["MAJ", "PKMJ", "Amata Kabua International Airport", "Majuro Atoll", "MH", 7.07, 171.28, "Pacific/Majuro"],
+    ["MAM", "MMMA", "Matamoros Airport", "Matamoros", "MX", 25.77, -97.52, "America/Matamoros"],
+    ["MAN", "EGCC", "Manchester Airport", "Manchester", "GB", 53.36, -2.27, "Europe/London"],
+    ["MAO", "SBEG", "Manaus International Airport – Eduardo Gomes", "Manaus", "BR", -3.03, -60.05, "America/Manaus"],
+    ["MAQ", "VTPM", "Mae Sot Airport", "Tak", "TH", 16.7, 98.54, "Asia/Bangkok"],
+    ["MAR", "SVMC", "La Chinita International Airport", "Maracaibo", "VE", 10.56, -71.72, "America/Caracas"],
+    ["MAS", "AYMO", "Momote Airport", "Manus Island", "PG", -2.06, 147.42, "Pacific/Port_Moresby"],
+    ["MAU", "NTTP", "Maupiti Airport", "Maupiti", "PF", -16.43, -152.24, "Pacific/Tahiti"],
+    ["MAZ", "TJMZ", "Eugenio M. De Hostos Airport", "Mayaguez", "PR", 18.26, -67.15, "America/Puerto_Rico"],
+    ["MBA", "HKMO", "Moi International Airport", "Mombasa", "KE", -4.03, 39.6, "Africa/Nairobi"],
+    ["MBD", "FAMM", "Mafikeng Airport", "Mafeking", "ZA", -25.8, 25.54, "Africa/Johannesburg"],
+    ["MBE", "RJEB", "Monbetsu Airport", "Monbetsu", "JP", 44.27, 143.38, "Asia/Tokyo"],
+    ["MBI", "HTMB", "Songwe Airport", "Mbeya", "TZ", -8.92, 33.46, "Africa/Dar_es_Salaam"],
+    ["MBJ", "MKJS", "Sangster International Airport", "Montego Bay", "JM", 18.5, -77.92, "America/Jamaica"],
+    ["MBL", "KMBL", "Blacker Airport", "Manistee", "US", 44.27, -86.25, "America/Detroit"],
+    ["MBS", "KMBS", "MBS International Airport", "Saginaw", "US", 43.53, -84.09, "America/Detroit"],
+    ["MBT", "RPVJ", "Masbate Airport", "Masbate", "PH", 12.37, 123.07, "Asia/Manila"],
+    ["MBW", "YMMB", "Moorabbin Airport", "Melbourne", "AU", -37.98, 145.1, "Australia/Melbourne"],
+    ["MCE", "KMCE", "Merced Municipal Airport", "Merced", "US", 37.28, -120.51, "America/Los_Angeles"],
+    ["MCG", "PAMC", "McGrath Airport", "McGrath", "US", 62.95, -155.6, "America/Anchorage"],
+    ["MCI", "KMCI", "Kansas City International Airport", "Kansas City", "US", 39.29, -94.72, "America/Chicago"],
+    ["MCK", "KMCK", "Mc Cook Airport", "Mc Cook", "US", 40.26, -100.67, "America/Chicago"],
+    ["MCM", "LNMC", "Monaco Heliport", "Monaco", "MC", 43.73, 7.42, "Europe/Monaco"],
+    ["MCN", "KMCN", "Middle Georgia Regional Airport", "Macon", "US", 32.7, -83.65, "America/New_York"],
+    ["MCO", "KMCO", "Orlando International Airport", "Orlando", "US", 28.43, -81.31, "America/New_York"],
+    ["MCP", "SBMQ", "Macapa International Airport", "Macapá", "BR", 0.05, -51.07, "America/Belem"],
+    ["MCR", "MGMM", "Melchor De Menco Airport", "Melchor De Menco", "GT", 17, -92.01, "America/Guatemala"],
+    ["MCT", "OOMS", "Muscat International Airport", "Muscat", "OM", 23.6, 58.28, "Asia/Muscat"],
+    ["MCV", "YMHU", "Mcarthur River Airport", "McArthur River Mine", "AU", -16.47, 136.1, "Australia/Darwin"],
+    ["MCW", "KMCW", "Mason City Airport", "Clear Lake", "US", 43.16, -93.33, "America/Chicago"],
+    ["MCX", "URML", "Makhachkala Airport", "Makhachkala", "RU", 42.82, 47.66, "Europe/Moscow"],
+    ["MCY", "YBSU", "Sunshine Coast Airport", "Maroochydore", "AU", -26.61, 153.09, "Australia/Brisbane"],
+    ["MCZ", "SBMO", "Maceio-Zumbi dos Palmares International Airport", "Maceió", "BR", -9.51, -35.79, "America/Belem"],
+    ["MDA", "KMDA", "Martindale Army Air Field", "Martindale Army Air Field", "US", 29.43, -98.38, "America/Chicago"],
+    ["MDC", "WAMM", "Sam Ratulangi International Airport", "Manado", "ID", 1.54, 124.92, "Asia/Makassar"],
+    ["MDE", "SKRG", "Jose Maria Cordova International Airport", "Medellín", "CO", 6.17, -75.43, "America/Bogota"],
+    ["MDG", "ZYMD", "Mudanjiang Hailang International Airport", "Mudanjiang", "CN", 44.53, 129.58, "Asia/Shanghai"],
+    ["MDI", "DNMK", "Makurdi Airport", "Makurdi", "NG", 7.75, 8.53, "Africa/Lagos"],
+    ["MDK", "FZEA", "Mbandaka Airport", "Mbandaka", "CD", 0.02, 18.29, "Africa/Kinshasa"],
+    ["MDL", "VYMD", "Mandalay International Airport", "Mandalay", "MM", 21.71, 95.97, "Asia/Yangon"],
+    ["MDQ", "SAZM", "Astor Piazzolla International Airport", "Mar del Plata", "AR", -37.93, -57.57, "America/Argentina/Buenos_Aires"],
+    ["MDT", "KMDT", "Harrisburg International Airport", "Harrisburg", "US", 40.2, -76.76, "America/New_York"],
+    ["MDU", "AYMN", "Mendi Airport", "Mendi", "PG", -6.16, 143.65, "Pacific/Port_Moresby"],
+    ["MDW", "KMDW", "Chicago Midway International Airport", "Chicago", "US", 41.79, -87.74, "America/Chicago"],
+    ["MDZ", "SAME", "El Plumerillo International Airport", "Mendoza", "AR", -32.83, -68.8, "America/Argentina/Buenos_Aires"],
+    ["MEB", "YMEN", "Essendon Airport", "Essendon Fields", "AU", -37.73, 144.9, "Australia/Sydney"],
+    ["MEC", "SEMT", "Manta Airport", "Manta", "EC", -0.95, -80.68, "America/Guayaquil"],
+    ["MED", "OEMA", "Prince Mohammad Bin Abdulaziz International Airport", "Medina", "SA", 24.54, 39.7, "Asia/Riyadh"],
+    ["MEE", "NWWR", "Mare Airport", "Maré", "NC", -21.48, 168.04, "Pacific/Noumea"],
+    ["MEG", "FNMA", "Malanje Airport", "Malanje", "AO", -9.53, 16.32, "Africa/Luanda"],
+    ["MEH", "ENMH", "Mehamn Airport", "Mehamn", "NO", 71.03, 27.83, "Europe/Oslo"],
+    ["MEI", "KMEI", "Key Field", "Meridian", "US", 32.34, -88.75, "America/Chicago"],
+    ["MEL", "YMML", "Melbourne Airport", "Melbourne", "AU", -37.67, 144.85, "Australia/Melbourne"],
+    ["MEM", "KMEM", "Memphis International Airport", "Memphis", "US", 35.04, -89.98, "America/Chicago"],
+    ["MEQ", "WITC", "Cut Nyak Dhien Airport", "Kuala Pesisir", "ID", 4.15, 96.12, "Asia/Jakarta"],
+    ["MEX", "MMMX", "Mexico City International Airport", "Ciudad de México", "MX", 19.44, -99.07, "America/Mexico_City"],
+    ["MFA", "HTMA", "Mafia Island Airport", "Mafia Island", "TZ", -7.92, 39.67, "Africa/Dar_es_Salaam"],
+    ["MFE", "KMFE", "McAllen International Airport", "McAllen", "US", 26.18, -98.24, "America/Chicago"],
+    ["MFJ", "NFMO", "Moala Airport", "Moala", "FJ", -18.57, 179.93, "Pacific/Fiji"],
+    ["MFK", "RCMT", "Matsu Beigan Airport", "Matsu (Beigan)", "TW", 26.22, 120, "Asia/Taipei"],
+    ["MFM", "VMMC", "Macau International Airport", "Nossa Senhora do Carmo", "MO", 22.16, 113.57, "Asia/Macau"],
+    ["MFR", "KMFR", "Rogue Valley International-Medford Airport", "Medford", "US", 42.37, -122.87, "America/Los_Angeles"],
+    ["MFU", "FLMF", "Mfuwe Airport", "Mfuwe", "ZM", -13.27, 31.93, "Africa/Lusaka"],
+    ["MGA", "MNMG", "Augusto C Sandino International Airport", "Managua", "NI", 12.14, -86.17, "America/Managua"],
+    ["MGB", "YMTG", "Mount Gambier Airport", "Mount Gambier", "AU", -37.74, 140.78, "Australia/Adelaide"],
+    ["MGF", "SBMG", "Regional De Maringa", "Maringá", "BR", -23.48, -52.01, "America/Sao_Paulo"],
+    ["MGH", "FAMG", "Margate Airport", "Margate", "ZA", -30.86, 30.34, "Africa/Johannesburg"],
+    ["MGM", "KMGM", "Montgomery Regional Airport", "Montgomery", "US", 32.31, -86.39, "America/Chicago"],
+    ["MGQ", "HCMM", "Aden Adde International Airport", "Mogadishu", "SO", 2.01, 45.31, "Africa/Mogadishu"],
+    ["MGT", "YMGB", "Milingimbi Airport", "Milingimbi", "AU", -12.09, 134.89, "Australia/Darwin"],
+    ["MGW", "KMGW", "Morgantown Airport", "Morgantown", "US", 39.64, -79.92, "America/New_York"],
+    ["MGZ", "VYME", "Myeik Airport", "Mkeik", "MM", 12.45, 98.62, "Asia/Yangon"],
+    ["MHB", null, "Mechanics Bay Heliport", "Mechanics Bay", "NZ", -36.85, 174.79, "Pacific/Auckland"],
+    ["MHC", "SCPQ", "Mocopulli Airport", "Castro", "CL", -42.35, -73.71, "America/Santiago"],
+    ["MHD", "OIMM", "Mashhad International Airport", "Mashhad", "IR", 36.23, 59.64, "Asia/Tehran"],
+    ["MHG", "EDFM", "Mannheim City Airport", "Mannheim", "DE", 49.48, 8.52, "Europe/Berlin"],
+    ["MHH", "MYAM", "Marsh Harbour International Airport", "Marsh Harbour", "BS", 26.51, -77.08, "America/Nassau"],
+    ["MHJ", null, "Misrak Gashamo Airport", "Misrak Gashamo", "ET", 8.13, 45.28, "Africa/Addis_Ababa"],
+    ["MHK", "KMHK", "Manhattan Regional Airport", "Manhattan", "US", 39.14, -96.67, "America/Chicago"],
+    ["MHM", "AGOB", "Malaita Manaoba Island Baenalu Airport", "Malaita Manaoba Island Baenalu", "SB", -9.02, 160.95, "Pacific/Guadalcanal"],
+    ["MHQ", "EFMA", "Mariehamn Airport", "Mariehamn", "AX", 60.12, 19.9, "Europe/Mariehamn"],
+    ["MHT", "KMHT", "Manchester Boston Regional Airport", "Manchester", "US", 42.93, -71.44, "America/New_York"],
+    ["MHU", "YHOT", "Mount Hotham", "Mount Hotham", "AU", -37.18, 147.34, "Australia/Melbourne"],
+    ["MHX", "NCMH", "Manihiki Island Airport", "Manihiki Island", "CK", -10.37, -161, "Pacific/Rarotonga"],
+    ["MIA", "KMIA", "Miami International Airport", "Miami", "US", 25.8, -80.28, "America/New_York"],
+    ["MID", "MMMD", "Manuel Crescencio Rejon International Airport", "Ciudad de Mérida", "MX", 20.93, -89.66, "America/Merida"],
+    ["MIG", "ZUMY", "Mianyang Nanjiao Airport", "Mianyang (Fucheng)", "CN", 31.43, 104.75, "Asia/Shanghai"],
+    ["MII", "SBML", "Frank Miloye Milenkovich State Airport", "Marília", "BR", -22.2, -49.93, "America/Sao_Paulo"],
+    ["MIJ", "MLIP", "Mili Island Airport", "Mili Island", "MH", 6.08, 171.75, "Pacific/Majuro"],
+    ["MIM", "YMER", "Merimbula Airport", "Merimbula", "AU", -36.91, 149.9, "Australia/Sydney"],
+    ["MIP", "LLMR", "Mitspeh Ramon Airport", "Beersheba", "IL", 30.6, 34.8, "Asia/Jerusalem"],
+    ["MIR", "DTMB", "Habib Bourguiba International Airport", "Monastir", "TN", 35.76, 10.75, "Africa/Tunis"],
+    ["MIS", "AYMS", "Misima Island Airport", "Misima Island", "PG", -10.5, 152.84, "Pacific/Port_Moresby"],
+    ["MIU", "DNMA", "Maiduguri International Airport", "Maiduguri", "NG", 11.86, 13.08, "Africa/Lagos"],
+    ["MJF", "ENMS", "Kjaerstad Airport", "Mosjøen", "NO", 65.78, 13.22, "Europe/Oslo"],
+    ["MJI", "HLLM", "Mitiga International Airport", "Tripoli", "LY", 32.9, 13.28, "Africa/Tripoli"],
+    ["MJK", "YSHK", "Shark Bay Airport", "Denham", "AU", -25.89, 113.58, "Australia/Perth"],
+    ["MJM", "FZWA", "Mbuji Mayi Airport", "Mbuji Mayi", "CD", -6.15, 23.63, "Africa/Lubumbashi"],
+    ["MJN", "FMNM", "Amborovy Airport", "Mahajanga", "MG", -15.67, 46.35, "Indian/Antananarivo"],
+    ["MJT", "LGMT", "Mytilene International Airport", "Mytilene", "GR", 39.05, 26.6, "Europe/Athens"],
+    ["MJY", "UNIM", "Mangunjaya Airport", "Mangunjaya", "ID", -2.73, 103.57, "Asia/Jakarta"],
+    ["MJZ", "UERR", "Mirnyj Airport", "Mirny", "RU", 62.53, 114.03, "Asia/Yakutsk"],
+    ["MKE", "KMKE", "Milwaukee Mitchell International Airport", "Milwaukee", "US", 42.95, -87.9, "America/Chicago"],
+    ["MKG", "KMKG", "Muskegon Airport", "Muskegon", "US", 43.17, -86.24, "America/Detroit"],
+    ["MKK", "PHMK", "Molokai Airport", "Kaunakakai", "US", 21.16, -157.09, "Pacific/Honolulu"],
+    ["MKL", "KMKL", "McKellar–Sipes Regional Airport", "Jackson", "US", 35.6, -88.92, "America/Chicago"],
+    ["MKM", "WBGK", "Mukah Airport", "Mukah", "MY", 2.91, 112.08, "Asia/Kuala_Lumpur"],
+    ["MKP", "NTGM", "Makemo Airport", "Makemo", "PF", -16.59, -143.65, "Pacific/Tahiti"],
+    ["MKQ", "WAKK", "Mopah Airport", "Merauke", "ID", -8.52, 140.42, "Asia/Jayapura"],
+    ["MKR", "YMEK", "Meekatharra Airport", "Meekatharra", "AU", -26.61, 118.55, "Australia/Perth"],
+    ["MKU", "FOOK", "Makokou Airport", "Makokou", "GA", 0.56, 12.86, "Africa/Libreville"],
+    ["MKW", "WASR", "Rendani Airport", "Manokwari", "ID", -0.89, 134.05, "Asia/Jayapura"],
+    ["MKY", "YBMK", "Mackay Airport", "Mackay", "AU", -21.18, 149.18, "Australia/Brisbane"],
+    ["MLA", "LMML", "Malta International Airport", "Valletta", "MT", 35.85, 14.5, "Europe/Malta"],
+    ["MLB", "KMLB", "Orlando Melbourne International Airport", "Melbourne", "US", 28.1, -80.63, "America/New_York"],
+    ["MLE", "VRMM", "Velana International Airport", "Malé", "MV", 4.19, 73.53, "Indian/Maldives"],
+    ["MLG", "WARA", "Abdul Rachman Saleh Airport", "Malang", "ID", -7.93, 112.71, "Asia/Jayapura"],
+    ["MLI", "KMLI", "Quad City International Airport", "Moline", "US", 41.45, -90.51, "America/Chicago"],
+    ["MLL", "PADM", "Marshall Don Hunter Sr. Airport", "Marshall", "US", 61.86, -162.03, "America/Anchorage"],
+    ["MLM", "MMMM", "Morelia International Airport", "Morelia", "MX", 19.84, -101.03, "America/Mexico_City"],
+    ["MLN", "GEML", "Melilla Airport", "Melilla", "ES", 35.28, -2.96, "Europe/Madrid"],
+    ["MLO", "LGML", "Milos Airport", "Milos", "GR", 36.7, 24.48, "Europe/Athens"],
+    ["MLU", "KMLU", "Monroe Regional Airport", "Monroe", "US", 32.51, -92.04, "America/Chicago"],
+    ["MLW", "GLMR", "Spriggs Payne Airport", "Monrovia", "LR", 6.29, -10.76, "Africa/Monrovia"],
+    ["MLX", "LTAT", "Malatya Airport", "Malatya", "TR", 38.35, 38.25, "Europe/Istanbul"],
+    ["MLY", "PAML", "Manley Hot Springs Airport", "Manley Hot Springs", "US", 65, -150.64, "America/Anchorage"],
+    ["MMB", "RJCM", "Memanbetsu Airport", "Ōzora", "JP", 43.88, 144.16, "Asia/Tokyo"],
+    ["MMD", "ROMD", "Minamidaito Airport", "Minamidaito", "JP", 25.85, 131.26, "Asia/Tokyo"],
+    ["MME", "EGNV", "Teesside International Airport", "Darlington, Durham", "GB", 54.51, -1.43, "Europe/London"],
+    ["MMG", "YMOG", "Mount Magnet Airport", "Mount Magnet", "AU", -28.12, 117.84, "Australia/Perth"],
+    ["MMH", "KMMH", "Mammoth Lakes Airport", "Mammoth Lakes", "US", 37.63, -118.85, "America/Los_Angeles"],
+    ["MMJ", "RJAF", "Matsumoto Airport", "Matsumoto", "JP", 36.23, 137.97, "Asia/Tokyo"],
+    ["MMK", "ULMM", "Murmansk Airport", "Murmansk", "RU", 68.79, 32.76, "Europe/Moscow"],
+    ["MMO", "GVMA", "Vila Do Maio Airport", "Vila do Maio", "CV", 15.25, -23.17, "Atlantic/Cape_Verde"],
+    ["MMR", null, "Camp Maybry Army Heliport", "Camp Maybry Army", "US", 30.32, -97.76, "America/Chicago"],
+    ["MMW", null, "Moma Airport", "Moma", "MZ", -16.78, 39.07, "Africa/Maputo"],
+    ["MMX", "ESMS", "Malmo Airport", "Malmö", "SE", 55.54, 13.36, "Europe/Stockholm"],
+    ["MMY", "ROMY", "Miyako Airport", "Miyako City", "JP", 24.78, 125.3, "Asia/Tokyo"],
+    ["MMZ", "OAMN", "Maimana Airport", "Maymana", "AF", 35.93, 64.77, "Asia/Kabul"],
+    ["MNF", "NFMA", "Mana Island Airstrip", "Mana Island", "FJ", -17.63, 177.12, "Pacific/Fiji"],
+    ["MNG", "YMGD", "Maningrida Airport", "Maningrida", "AU", -12.05, 134.23, "Australia/Darwin"],
+    ["MNI", "TRPG", "John A. Osborne Airport", "Gerald's Park", "MS", 16.79, -62.19, "America/Montserrat"],
+    ["MNJ", "FMSM", "Mananjary Airport", "Mananjary", "MG", -21.21, 48.36, "Indian/Antananarivo"],
+    ["MNL", "RPLL", "Ninoy Aquino International Airport", "Manila", "PH", 14.51, 121.02, "Asia/Manila"],
+    ["MNU", "VYMM", "Mawlamyine Airport", "Mawlamyine", "MM", 16.44, 97.66, "Asia/Yangon"],
+    ["MNX", "SBMY", "Manicore Airport", "Manicoré", "BR", -5.82, -61.28, "America/Manaus"],
+    ["MNY", "AGGO", "Mono Airport", "Stirling Island", "SB", -7.42, 155.56, "Pacific/Guadalcanal"],
+    ["MOB", "KMOB", "Mobile Regional Airport", "Mobile", "US", 30.68, -88.24, "America/Chicago"],
+    ["MOC", "SBMK", "Montes Claros Airport", "Montes Claros", "BR", -16.71, -43.82, "America/Sao_Paulo"],
+    ["MOF", "WATC", "Frans Xavier Seda Airport", "Maumere", "ID", -8.64, 122.24, "Asia/Makassar"],
+    ["MOG", "VYMS", "Mong Hsat Airport", "Mong Hsat", "MM", 20.52, 99.26, "Asia/Yangon"],
+    ["MOI", "NCMR", "Mitiaro Island Airport", "Mitiaro Island", "CK", -19.84, -157.71, "Pacific/Rarotonga"],
+    ["MOJ", "MEMO", "Moengo Airport", "Moengo", "SR", 5.75, -54.33, "America/Paramaribo"],
+    ["MOL", "ENML", "Molde Airport, Aro", "Årø", "NO", 62.75, 7.26, "Europe/Oslo"],
+    ["MOQ", "FMMV", "Morondava Airport", "Morondava", "MG", -20.28, 44.32, "Indian/Antananarivo"],
+    ["MOT", "KMOT", "Minot International Airport", "Minot", "US", 48.26, -101.29, "America/Chicago"],
+    ["MOU", "PAMO", "Mountain Village Airport", "Mountain Village", "US", 62.09, -163.72, "America/Anchorage"],
+    ["MOV", "YMRB", "Moranbah Airport", "Moranbah", "AU", -22.06, 148.07, "Australia/Brisbane"],
+    ["MOY", null, "Monterrey Airport", "Monterrey", "CO", 4.88, -72.9, "America/Bogota"],
+    ["MOZ", "NTTM", "Temae Airport", "Moorea-Maiao", "PF", -17.49, -149.76, "Pacific/Tahiti"],
+    ["MPA", "FYKM", "Mpacha Airport", "Mpacha", "NA", -17.5, 24.27, "Africa/Windhoek"],
+    ["MPC", "WIPU", "Muko-Muko Airport", "Muko-Muko", "ID", -2.55, 101.1, "Asia/Jakarta"],
+    ["MPH", "RPVE", "Boracay Airport", "Malay", "PH", 11.93, 121.95, "Asia/Manila"],
+    ["MPL", "LFMT", "Montpellier Mediterranee Airport", "Montpellier/Méditerranée", "FR", 43.58, 3.96, "Europe/Paris"],
+    ["MPM", "FQMA", "Maputo International Airport", "Maputo", "MZ", -25.92, 32.57, "Africa/Maputo"],
+    ["MPN", "EGYP", "Mount Pleasant Airport", "Mount Pleasant", "FK", -51.82, -58.45, "Atlantic/Stanley"],
+    ["MPW", "UKCM", "Mariupol International Airport", "Mariupol", "UA", 47.08, 37.45, "Europe/Kiev"],
+    ["MQC", "LFVM", "Miquelon Airport", "Miquelon", "PM", 47.05, -56.33, "America/Miquelon"],
+    ["MQF", "USCM", "Magnitogorsk Airport", "Magnitogorsk", "RU", 53.45, 59.07, "Asia/Yekaterinburg"],
+    ["MQJ", "UEMA", "Moma Airport", "Khonuu", "RU", 66.46, 143.25, "Asia/Srednekolymsk"],
+    ["MQL", "YMIA", "Mildura Airport", "Mildura", "AU", -34.23, 142.08, "Australia/Melbourne"],
+    ["MQM", "LTCR", "Mardin Airport", "Mardin", "TR", 37.22, 40.63, "Europe/Istanbul"],
+    ["MQN", "ENRA", "Mo i Rana Airport", "Mo i Rana", "NO", 66.36, 14.3, "Europe/Oslo"],
+    ["MQP", "FAKN", "Kruger Mpumalanga International Airport", "Mpumalanga", "ZA", -25.38, 31.1, "Africa/Johannesburg"],
+    ["MQS", "TVSM", "Mustique Airport", "Mustique Island", "VC", 12.89, -61.18, "America/St_Vincent"],
+    ["MQT", "KSAW", "Sawyer International Airport", "Gwinn", "US", 46.35, -87.4, "America/Detroit"],
+    ["MQX", "HAMK", "Alula Aba Nega Airport", "Mekelle", "ET", 13.47, 39.53, "Africa/Addis_Ababa"],
+    ["MRA", "HLMS", "Misurata Airport", "Misurata", "LY", 32.4, 15.07, "Africa/Tripoli"],
+    ["MRE", "HKMS", "Mara Serena Airport", "Masai Mara", "KE", -1.3, 35.06, "Africa/Nairobi"],
+    ["MRI", "PAMR", "Merrill Field", "Anchorage", "US", 61.22, -149.86, "America/Anchorage"],
+    ["MRS", "LFML", "Marseille Provence Airport", "Marseille", "FR", 43.44, 5.22, "Europe/Paris"],
+    ["MRU", "FIMP", "Sir Seewoosagur Ramgoolam International Airport", "Plaine Magnien", "MU", -20.43, 57.68, "Indian/Mauritius"],
+    ["MRV", "URMM", "Mineralnye Vody Airport", "Mineralnyye Vody", "RU", 44.22, 43.09, "Europe/Moscow"],
+    ["MRX", "OIAM", "Mahshahr Airport", "Mahshahr", "IR", 30.55, 49.15, "Asia/Tehran"],
+    ["MRY", "KMRY", "Monterey Regional Airport", "Monterey", "US", 36.59, -121.85, "America/Los_Angeles"],
+    ["MRZ", "YMOR", "Moree Airport", "Moree", "AU", -29.5, 149.85, "Australia/Sydney"],
+    ["MSA", "CZMD", "Muskrat Dam Airport", "Muskrat Dam", "CA", 53.82, -91.98, "America/Winnipeg"],
+    ["MSJ", "RJSM", "Misawa Airport", "Misawa", "JP", 40.7, 141.39, "Asia/Tokyo"],
+    ["MSL", "KMSL", "Northwest Alabama Regional Airport", "Muscle Shoals", "US", 34.75, -87.62, "America/Chicago"],
+    ["MSN", "KMSN", "Dane County Regional Airport", "Madison", "US", 43.14, -89.35, "America/Chicago"],
+    ["MSO", "KMSO", "Missoula Montana Airport", "Missoula", "US", 46.92, -114.08, "America/Denver"],
+    ["MSP", "KMSP", "Minneapolis-St. Paul International Airport", "Minneapolis", "US", 44.88, -93.21, "America/Chicago"],
+    ["MSQ", "UMMS", "Minsk National Airport", "Minsk", "BY", 53.89, 28.03, "Europe/Minsk"],
+    ["MSR", "LTCK", "Mus Airport", "Muş", "TR", 38.73, 41.63, "Europe/Istanbul"],
+    ["MSS", "KMSS", "Massena International Airport", "Massena", "US", 44.94, -74.85, "America/New_York"],
+    ["MST", "EHBK", "Maastricht Aachen Airport", "Maastricht", "NL", 50.92, 5.77, "Europe/Amsterdam"],
+    ["MSU", "FXMM", "Moshoeshoe International Airport", "Maseru", "LS", -29.3, 27.51, "Africa/Maseru"],
+    ["MSY", "KMSY", "Louis Armstrong New Orleans International Airport", "New Orleans", "US", 29.98, -90.26, "America/Chicago"],
+    ["MSZ", "FNMO", "Yuri Gagarin Airport", "Moçâmedes", "AO", -15.26, 12.15, "Africa/Luanda"],
+    ["MTF", "HAMT", "Mizan Teferi Airport", "Mizan Teferi", "ET", 6.97, 35.53, "Africa/Addis_Ababa"],
+    ["MTG", null, "Mato Grosso Airport", "Vila Bela da Santissima Trindade", "BR", -14, -55, "America/Campo_Grande"],
+    ["MTJ", "KMTJ", "Montrose Regional Airport", "Montrose", "US", 38.51, -107.9, "America/Denver"],
+    ["MTM", "PAMM", "Metlakatla Seaplane Base", "Metakatla", "US", 55.13, -131.58, "America/Metlakatla"],
+    ["MTP", "KMTP", "Sky Portal Airport", "Montauk", "US", 41.07, -71.92, "America/New_York"],
+    ["MTR", "SKMR", "Los Garzones International Airport", "Montería", "CO", 8.83, -75.82, "America/Bogota"],
+    ["MTT", "MMMT", "Minatitlan Airport", "Cosoleacaque", "MX", 17.98, -94.52, "America/Mexico_City"],
+    ["MTY", "MMMY", "Monterrey International Airport", "Ciudad de Apodaca", "MX", 25.78, -100.11, "America/Monterrey"],
+    ["MUA", "AGGM", "Munda Airport", "Munda", "SB", -8.33, 157.27, "Pacific/Guadalcanal"],
+    ["MUB", "FBMN", "Maun Airport", "Maun", "BW", -19.97, 23.43, "Africa/Gaborone"],
+    ["MUC", "EDDM", "Munich International Airport", "Munich", "DE", 48.35, 11.79, "Europe/Berlin"],
+    ["MUE", "PHMU", "Waimea–Kohala Airport", "Waimea (Kamuela)", "US", 20, -155.65, "Pacific/Honolulu"],
+    ["MUH", "HEMM", "Marsa Matruh International Airport", "Marsa Matruh", "EG", 31.33, 27.22, "Africa/Cairo"],
+    ["MUK", "NCMK", "Mauke Island Airport", "Mauke Island", "CK", -20.14, -157.34, "Pacific/Rarotonga"],
+    ["MUN", "SVMT", "Jose Tadeo Monagas International Airport", "Maturín", "VE", 9.75, -63.16, "America/Caracas"],
+    ["MUR", "WBGM", "Marudi Airport", "Marudi", "MY", 4.18, 114.32, "Asia/Kuala_Lumpur"],
+    ["MUU", "SIRI", "Mount Union Airport", "Mount Union", "US", 40.38, -77.88, "America/New_York"],
+    ["MUV", null, "Mustin Airfield", "Mustin", "US", 39.89, -75.16, "America/New_York"],
+    ["MUX", "OPMT", "Multan Airport", "Multan", "PK", 30.2, 71.41, "Asia/Karachi"],
+    ["MUZ", "HTMU", "Musoma Airport", "Musoma", "TZ", -1.5, 33.8, "Africa/Dar_es_Salaam"],
+    ["MVB", "FOON", "M'Vengue El Hadj Omar Bongo Ondimba Intl Airport", "Franceville", "GA", -1.65, 13.43, "Africa/Libreville"],
+    ["MVD", "SUMU", "Carrasco International Airport", "Ciudad de la Costa", "UY", -34.84, -56.03, "America/Montevideo"],
+    ["MVF", "SBMS", "Dixsept Rosado Airport", "Mossoró", "BR", -5.17, -37.25, "America/Belem"],
+    ["MVJ", null, "Marlboro Airport", "Marlboro", "JM", 18.02, -77.5, "America/Jamaica"],
+    ["MVP", "SKMU", "Mitu Airport", "Mitú", "CO", 1.13, -70.05, "America/Bogota"],
+    ["MVQ", "UMOO", "Mogilev Airport", "Mogilev", "BY", 53.96, 30.1, "Europe/Minsk"],
+    ["MVR", "FKKL", "Salak Airport", "Maroua", "CM", 10.45, 14.26, "Africa/Douala"],
+    ["MVT", "NTGV", "Mataiva Airport", "Mataiva", "PF", -14.83, -148.42, "Pacific/Tahiti"],
+    ["MVY", "KMVY", "Martha's Vineyard Airport", "Vineyard Haven MA", "US", 41.39, -70.61, "America/New_York"],
+    ["MWA", "KMWA", "Veterans Airport of Southern Illinois", "Marion", "US", 37.75, -89.02, "America/Chicago"],
+    ["MWP", null, "Mountain Airport", "Mountain", "NP", 28, 85.33, "Asia/Kathmandu"],
+    ["MWQ", "VYMW", "Magwe Airport", "Magwe", "MM", 20.17, 94.94, "Asia/Yangon"],
+    ["MWW", null, "Mouscron Airport", "Mouscron", "BE", 50.73, 3.2, "Europe/Brussels"],
+    ["MWX", "RKJB", "Muan International Airport", "Piseo-ri (Muan)", "KR", 34.99, 126.38, "Asia/Seoul"],
+    ["MWZ", "HTMW", "Mwanza International Airport", "Mwanza", "TZ", -2.44, 32.92, "Africa/Dar_es_Salaam"],
+    ["MXB", "WAWM", "Andi Jemma Airport", "Masamba", "ID", -2.56, 120.33, "Asia/Jayapura"],
+    ["MXH", "AYMR", "Moro Airport", "Moro", "PG", -6.35, 143.25, "Pacific/Port_Moresby"],
+    ["MXL", "MMML", "Mexicali Airport", "Mexicali", "MX", 32.63, -115.25, "America/Tijuana"],
+    ["MXP", "LIMC", "Milano Malpensa Airport", "Milan", "IT", 45.63, 8.71, "Europe/Rome"],
+    ["MXV", "ZMMN", "Murun Airport", "Mörön", "MN", 49.66, 100.1, "Asia/Ulaanbaatar"],
+    ["MXW", "ZMMG", "Mandalgobi Airport", "Mandalgobi", "MN", 45.77, 106.28, "Asia/Ulaanbaatar"],
+    ["MXX", "ESKM", "Mora–Siljan Airport", "Mora", "SE", 60.96, 14.5, "Europe/Stockholm"],
+    ["MXZ", "ZGMX", "Mei Xian Airport", "Meixian", "CN", 24.27, 116.1, "Asia/Shanghai"],
+    ["MYA", "YMRY", "Moruya Airport", "Moruya", "AU", -35.9, 150.15, "Australia/Sydney"],
+    ["MYD", "HKML", "Malindi Airport", "Malindi", "KE", -3.23, 40.1, "Africa/Nairobi"],
+    ["MYE", "RJTQ", "Miyake Jima Airport", "Miyakejima", "JP", 34.07, 139.56, "Asia/Tokyo"],
+    ["MYG", "MYMM", "Mayaguana Airport", "Abrahams Bay", "BS", 22.38, -73.02, "America/Nassau"],
+    ["MYI", "YMUI", "Murray Island Airport", "Murray Island", "AU", -9.92, 144.06, "Australia/Lindeman"],
+    ["MYJ", "RJOM", "Matsuyama Airport", "Matsuyama", "JP", 33.83, 132.7, "Asia/Tokyo"],
+    ["MYK", "KMYK", "May Creek Airport", "May Creek", "US", 61.42, -142.92, "America/Anchorage"],
+    ["MYL", "KMYL", "McCall Municipal", "McCall", "US", 44.92, -116.1, "America/Boise"],
+    ["MYP", "UTAM", "Mary Airport", "Mary", "TM", 37.66, 61.83, "Asia/Ashgabat"],
+    ["MYQ", "VOMY", "Mysore Airport", "Mysore", "IN", 12.23, 76.66, "Asia/Kolkata"],
+    ["MYR", "KMYR", "Myrtle Beach International Airport", "Myrtle Beach", "US", 33.68, -78.92, "America/New_York"],
+    ["MYS", null, "Moyale Airport", "Moyale", "ET", 3.47, 39.1, "Africa/Addis_Ababa"],
+    ["MYT", "VYMK", "Myitkyina Airport", "Myitkyina", "MM", 25.38, 97.36, "Asia/Yangon"],
+    ["MYU", "PAMY", "Ellis Field", "Mekoryuk", "US", 60.37, -166.27, "America/Anchorage"],
+    ["MYW", "HTMT", "Mtwara Airport", "Mtwara", "TZ", -10.34, 40.19, "Africa/Dar_es_Salaam"],
+    ["MYY", "WBGR", "Miri Airport", "Miri", "MY", 4.33, 113.98, "Asia/Kuala_Lumpur"],
+    ["MZG", "RCQC", "Penghu Airport", "Huxi", "TW", 23.56, 119.63, "Asia/Taipei"],
+    ["MZH", "LTAP", "Merzifon Airport", "Merzifon", "TR", 40.88, 35.53, "Europe/Istanbul"],
+    ["MZI", "GAMB", "Mopti Airport", "Sévaré", "ML", 14.51, -4.08, "Africa/Bamako"],
+    ["MZL", "SKMZ", "La Nubia Airport", "Manizales", "CO", 5.03, -75.47, "America/Bogota"],
+    ["MZO", "MUMZ", "Sierra Maestra Airport", "Manzanillo", "CU", 20.33, -77.13, "America/Havana"],
+    ["MZR", "OAMS", "Mazar-I-Sharif Airport", "Mazar-i-Sharif", "AF", 36.71, 67.21, "Asia/Kabul"],
+    ["MZS", "VIMB", "Mostyn Airport", "Mostyn", "MY", 4.62, 118.15, "Asia/Kuala_Lumpur"],
+    ["MZT", "MMMZ", "Mazatlan International Airport", "Ciudad de Mazatlàn", "MX", 23.17, -106.27, "America/Mazatlan"],
+    ["MZV", "WBMU", "Mulu Airport", "Mulu", "MY", 4.03, 114.8, "Asia/Kuala_Lumpur"],
+    ["NAA", "YNBR", "Narrabri Airport", "Narrabri", "AU", -30.32, 149.83, "Australia/Sydney"],
+    ["NAB", null, "Albany Naval Air Station", "Albany Naval Air Station", "US", 31.58, -84.17, "America/New_York"],
+    ["NAG", "VANP", "Dr. Babasaheb Ambedkar International Airport", "Nagpur", "IN", 21.09, 79.06, "Asia/Kolkata"],
+    ["NAH", "WAMH", "Naha Airport", "Tahuna-Sangihe Island", "ID", 3.72, 125.37, "Asia/Makassar"],
+    ["NAJ", "UBBN", "Nakhichevan Airport", "Nakhchivan", "AZ", 39.19, 45.46, "Asia/Baku"],
+    ["NAL", "URMN", "Nalchik Airport", "Nalchik", "RU", 43.53, 43.7, "Europe/Moscow"],
+    ["NAM", "WAPR", "Namlea Airport", "Namlea", "ID", -3.3, 127.1, "Asia/Jayapura"],
+    ["NAN", "NFFN", "Nadi International Airport", "Nadi", "FJ", -17.75, 177.45, "Pacific/Fiji"],
+    ["NAO", "ZUNC", "Nanchong Airport", "Nanchong", "CN", 30.8, 106.07, "Asia/Shanghai"],
+    ["NAP", "LIRN", "Naples International Airport", "Napoli", "IT", 40.89, 14.29, "Europe/Rome"],
+    ["NAQ", "BGQQ", "Qaanaaq Airport", "Qaanaaq", "GL", 77.49, -69.38, "America/Thule"],
+    ["NAS", "MYNN", "Lynden Pindling International Airport", "Nassau", "BS", 25.05, -77.47, "America/Nassau"],
+    ["NAT", "SBSG", "Natal International Airport", "Natal", "BR", -5.76, -35.37, "America/Belem"],
+    ["NAU", "NTGN", "Napuka Island Airport", "Napuka", "PF", -14.17, -141.58, "Pacific/Tahiti"],
+    ["NAV", "LTAZ", "Nevsehir Airport", "Nevsehir", "TR", 38.63, 34.72, "Europe/Istanbul"],
+    ["NAW", "VTSC", "Narathiwat Airport", "Narathiwat", "TH", 6.52, 101.75, "Asia/Bangkok"],
+    ["NBC", "UWKE", "Begishevo Airport", "Nizhnekamsk", "RU", 55.57, 52.1, "Europe/Moscow"],
+    ["NBE", "DTNH", "Enfidha - Hammamet International Airport", "Enfidha", "TN", 36.08, 10.44, "Africa/Tunis"],
+    ["NBN", "FGAB", "Annobon Airport", "San Antonio de Pale", "GQ", -1.41, 5.62, "Africa/Malabo"],
+    ["NBO", "HKJK", "Jomo Kenyatta International Airport", "Nairobi", "KE", -1.32, 36.93, "Africa/Nairobi"],
+    ["NBP", null, "Battery Park City/North Cove Sea Plane Base", "Battery Park City/North Cove", "US", 40.71, -74.02, "America/New_York"],
+    ["NBR", null, "Nambour Airport", "Nambour", "AU", -26.53, 152.97, "Australia/Brisbane"],
+    ["NBS", "ZYBS", "Changbaishan Airport", "Baishan", "CN", 42.08, 127.6, "Asia/Shanghai"],
+    ["NBV", null, "Cana Brava Airport", "Cana Brava", "BR", -17.38, -45.87, "America/Sao_Paulo"],
+    ["NCA", "MBNC", "North Caicos Airport", "North Caicos", "TC", 21.93, -71.98, "America/Grand_Turk"],
+    ["NCE", "LFMN", "Nice Cote D'Azur Airport", "Nice", "FR", 43.66, 7.21, "Europe/Paris"],
+    ["NCL", "EGNT", "Newcastle International Airport", "Newcastle", "GB", 55.04, -1.71, "Europe/London"],
+    ["NCN", "PFCB", "New Chenega Airport", "Chenega", "US", 60.08, -148, "America/Anchorage"],
+    ["NCQ", null, "General Lucius D. Clay National Guard Center", "General Lucius D. Clay National Guard Center", "US", 33.92, -84.52, "America/New_York"],
+    ["NCU", "UTNN", "Nukus Airport", "Nukus", "UZ", 42.48, 59.63, "Asia/Tashkent"],
+    ["NCY", "LFLP", "Annecy-Meythet Airport", "Annecy/Meythet", "FR", 45.93, 6.1, "Europe/Paris"],
+    ["NDB", "GQPP", "Nouadhibou Airport", "Nouadhibou", "MR", 20.93, -17.03, "Africa/Nouakchott"],
+    ["NDC", "VAND", "Shri Guru Gobind Singh Ji Airport, Nanded", "Nanded", "IN", 19.18, 77.32, "Asia/Kolkata"],
+    ["NDG", "ZYQQ", "Qiqihar Sanjiazi Airport", "Qiqihar", "CN", 47.32, 123.92, "Asia/Shanghai"],
+    ["NDJ", "FTTJ", "N'Djamena International Airport", "N'Djamena", "TD", 12.13, 15.03, "Africa/Ndjamena"],
+    ["NDO", null, "La Palma Del Condado Airport", "La Palma Del Condado", "ES", 37.38, -6.58, "Europe/Madrid"],
+    ["NDR", "GMMW", "Nador El Aroui International Airport", "Al Aaroui", "MA", 34.99, -3.03, "Africa/Casablanca"],
+    ["NDU", "FYRU", "Rundu Airport", "Rundu", "NA", -17.96, 19.72, "Africa/Windhoek"],
+    ["NDV", null, "United States Naval Heliport", "United States Naval", "US", 38.86, -77.01, "America/New_York"],
+    ["NDY", "EGES", "Sanday Airport", "Sanday", "GB", 59.25, -2.58, "Europe/London"],
+    ["NEA", null, "Naval Air Station", "Naval Air Station", "US", 31.25, -81.47, "America/New_York"],
+    ["NEC", "SAZO", "Necochea Airport", "Necochea", "AR", -38.57, -58.75, "America/Argentina/Buenos_Aires"],
+    ["NER", "UELL", "Chulman Neryungri Airport", "Neryungri", "RU", 56.65, 124.6, "Asia/Yakutsk"],
+    ["NES", null, "East 34th Street - Sea Plane Base", "East 34th Street -", "US", 40.74, -73.97, "America/New_York"],
+    ["NEV", "TKPN", "Vance W. Amory International Airport", "Charlestown", "KN", 17.2, -62.59, "America/St_Kitts"],
+    ["NFB", null, "Detroit Naval Air Field", "Detroit Naval Air Field", "US", 42.97, -82.97, "America/New_York"],
+    ["NFG", "USRN", "Nefteyugansk Airport", "Nefteyugansk", "RU", 61.13, 73.05, "Asia/Yekaterinburg"],
+    ["NGB", "ZSNB", "Ningbo Lishe International Airport", "Ningbo", "CN", 29.82, 121.46, "Asia/Shanghai"],
+    ["NGC", null, "North Rim Airport", "North Rim", "US", 36.39, -112.13, "America/Phoenix"],
+    ["NGE", "FKKN", "Ngaoundere Airport", "N'Gaoundéré", "CM", 7.36, 13.56, "Africa/Douala"],
+    ["NGI", "NFNG", "Ngau Island Airport", "Ngau", "FJ", -18, 179.33, "Pacific/Fiji"],
+    ["NGK", "UHSN", "Nogliki Airport", "Nogliki", "RU", 51.78, 143.14, "Asia/Vladivostok"],
+    ["NGM", null, "Agana Naval Air Station", "Agana Naval Air Station", "GU", 13.45, 144.75, "Pacific/Guam"],
+    ["NGO", "RJGG", "Chubu Centrair International Airport", "Tokoname", "JP", 34.86, 136.81, "Asia/Tokyo"],
+    ["NGQ", "ZUAL", "Ngari Kunsha Airport", "Shiquanhe", "CN", 32.1, 80.05, "Asia/Shanghai"],
+    ["NGS", "RJFU", "Nagasaki Airport", "Nagasaki", "JP", 32.91, 129.92, "Asia/Tokyo"],
+    ["NGZ", null, "Alameda Naval Air Station", "Alameda", "US", 37.78, -122.31, "America/Los_Angeles"],
+    ["NHV", "NTMD", "Nuku Hiva Airport", "Nuku Hiva", "PF", -8.8, -140.22, "Pacific/Marquesas"],
+    ["NIB", "PAFS", "Nikolai Airport", "Nikolai", "US", 63.02, -154.38, "America/Anchorage"],
+    ["NIE", null, "Niblack Airport", "Niblack", "US", 55.07, -132.15, "America/Sitka"],
+    ["NIM", "DRRN", "Diori Hamani International Airport", "Niamey", "NE", 13.48, 2.18, "Africa/Niamey"],
+    ["NIQ", "BGNT", "Niaqornat Heliport", "Niaqornat", "GL", 70.79, -53.66, "America/Godthab"],
+    ["NIU", "NTKN", "Niau Airport", "Niau", "PF", -16.12, -146.37, "Pacific/Gambier"],
+    ["NJC", "USNN", "Nizhnevartovsk Airport", "Nizhnevartovsk", "RU", 60.95, 76.49, "Asia/Yekaterinburg"],
+    ["NJF", "ORNI", "Al-Najaf International Airport", "Najaf", "IQ", 31.99, 44.39, "Asia/Baghdad"],
+    ["NKC", "GQNO", "Nouakchott–Oumtounsy International Airport", "Nouakchott", "MR", 18.31, -15.97, "Africa/Nouakchott"],
+    ["NKG", "ZSNJ", "Nanjing Lukou International Airport", "Nanjing", "CN", 31.74, 118.87, "Asia/Shanghai"],
+    ["NKI", null, "Naukati Airport", "Naukati", "US", 55.37, -133.22, "America/Juneau"],
+    ["NKM", "RJNA", "Nagoya Airport", "Nagoya", "JP", 35.25, 136.92, "Asia/Tokyo"],
+    ["NKT", "LTCV", "Sirnak Airport", "Şırnak", "TR", 37.36, 42.06, "Europe/Istanbul"],
+    ["NLA", "FLSK", "Simon Mwansa Kapwepwe International Airport", "Ndola", "ZM", -12.96, 28.52, "Africa/Lusaka"],
+    ["NLD", "MMNL", "Quetzalcoatl International Airport", "Nuevo Laredo", "MX", 27.43, -99.57, "America/Matamoros"],
+    ["NLF", "YDNI", "Darnley Island Airport", "Darnley Island", "AU", -9.58, 143.79, "Australia/Brisbane"],
+    ["NLG", "PAOU", "Nelson Lagoon Airport", "Nelson Lagoon", "US", 56, -161.15, "America/Anchorage"],
+    ["NLH", "ZPNL", "Ninglang Luguhu Airport", "Ninglang", "CN", 27.54, 100.76, "Asia/Shanghai"],
+    ["NLI", "UHNN", "Nikolayevsk-na-Amure Airport", "Nikolayevsk-na-Amure Airport", "RU", 53.15, 140.65, "Asia/Vladivostok"],
+    ["NLK", "YSNF", "Norfolk Island Airport", "Burnt Pine", "NF", -29.04, 167.94, "Pacific/Norfolk"],
+    ["NLT", "ZWNL", "Xinyuan Nalati Airport", "Xinyuan", "CN", 43.43, 83.38, "Asia/Urumqi"],
+    ["NLU", "MMSM", "Felipe Ángeles International Airport", "Mexico City", "MX", 19.75, -99, "America/Mexico_City"],
+    ["NLV", "UKON", "Nikolaev Airport", "Nikolayev", "UA", 47.05, 31.92, "Europe/Kyiv"],
+    ["NMA", "UTFN", "Namangan Airport", "Namangan", "UZ", 40.98, 71.6, "Asia/Tashkent"],
+    ["NME", "PAGT", "Nightmute Airport", "Nightmute", "US", 60.47, -164.7, "America/Anchorage"],
+    ["NMF", "VRDA", "Maafaru International Airport", "Noonu Atoll", "MV", 5.82, 73.47, "Indian/Maldives"],
+    ["NMI", "VANM", "Navi Mumbai International Airport", "Navi Mumbai", "IN", 18.99, 73.06, "Asia/Kolkata"],
+    ["NMU", null, "Namu Airport", "Namu", "MH", 8, 168.13, "Pacific/Majuro"],
+    ["NNB", "AGGT", "Santa Ana Airport", "Santa Ana", "SB", -10.83, 162.5, "Pacific/Guadalcanal"],
+    ["NNG", "ZGNN", "Nanning Wuxu International Airport", "Nanning (Jiangnan)", "CN", 22.61, 108.17, "Asia/Shanghai"],
+    ["NNM", "ULAM", "Naryan-Mar Airport", "Naryan Mar", "RU", 67.62, 53.15, "Europe/Moscow"],
+    ["NNR", "EICA", "Connemara Airport", "Indreabhan", "IE", 53.22, -9.47, "Europe/Dublin"],
+    ["NNT", "VTCN", "Nan Airport", "Nan", "TH", 18.8, 100.78, "Asia/Bangkok"],
+    ["NNX", "WRLF", "Nunukan Airport", "Nunukan-Nunukan Island", "ID", 4.14, 117.67, "Asia/Makassar"],
+    ["NNY", "ZHNY", "Nanyang Jiangying Airport", "Nanyang", "CN", 32.98, 112.61, "Asia/Shanghai"],
+    ["NOB", "MRNS", "Nosara Beach Airport", "Nicoya", "CR", 9.98, -85.65, "America/Costa_Rica"],
+    ["NOC", "EIKN", "Ireland West Airport Knock", "Charlestown", "IE", 53.91, -8.81, "Europe/Dublin"],
+    ["NOD", "EDWS", "Norden-Norddeich Airfield", "Norden", "DE", 53.58, 7.2, "Europe/Berlin"],
+    ["NOH", null, "Naval Air Station Great Lakes", "Naval Air Station Great Lakes", "US", 42.31, -87.85, "America/Chicago"],
+    ["NOJ", "USRO", "Noyabrsk Airport", "Noyabrsk", "RU", 63.18, 75.29, "Asia/Yekaterinburg"],
+    ["NOL", null, "Nakolik River Airport", "Nakolik River", "US", 67.9, -160.72, "America/Anchorage"],
+    ["NOP", "LTCM", "Sinop Airport", "Sinop", "TR", 42.02, 35.07, "Europe/Istanbul"],
+    ["NOS", "FMNN", "Fascene Airport", "Nosy Be", "MG", -13.31, 48.31, "Indian/Antananarivo"],
+    ["NOU", "NWWW", "Tontouta Airport", "Nouméa (La Tontouta)", "NC", -22.02, 166.22, "Pacific/Noumea"],
+    ["NOV", "FNHU", "Albano Machado (Huambo) Airport", "Huambo", "AO", -12.81, 15.76, "Africa/Luanda"],
+    ["NOZ", "UNWW", "Novokuznetsk Airport", "Novokuznetsk", "RU", 53.75, 87.17, "Asia/Novokuznetsk"],
+    ["NPE", "NZNR", "Hawkes Bay Airport", "Napier", "NZ", -39.47, 176.87, "Pacific/Auckland"],
+    ["NPL", "NZNP", "New Plymouth Airport", "New Plymouth", "NZ", -39.01, 174.18, "Pacific/Auckland"],
+    ["NPO", "WIOG", "Nangapinoh Airport", "Nanga Pinoh-Borneo Island", "ID", -0.33, 111.73, "Asia/Makassar"],
+    ["NPT", "KUUU", "Newport State Airport", "Newport State", "US", 41.53, -71.28, "America/New_York"],
+    ["NQN", "SAZN", "Presidente Peron International Airport", "Neuquen", "AR", -38.95, -68.14, "America/Argentina/Buenos_Aires"],
+    ["NQU", "SKNQ", "Nuqui Airport", "Nuquí", "CO", 5.7, -77.28, "America/Bogota"],
+    ["NQY", "EGHQ", "Cornwall Airport Newquay", "Newquay", "GB", 50.44, -5, "Europe/London"],
+    ["NQZ", "UACC", "Nursultan Nazarbayev International Airport", "Nur-Sultan", "KZ", 51.03, 71.46, "Asia/Almaty"],
+    ["NRA", "YNAR", "Narrandera Airport", "Narrandera", "AU", -34.71, 146.51, "Australia/Sydney"],
+    ["NRD", "EDWY", "Norderney Airport", "Norderney", "DE", 53.83, 7.17, "Europe/Berlin"],
+    ["NRK", "ESSP", "Norrkoping Airport", "Norrköping", "SE", 58.58, 16.23, "Europe/Stockholm"],
+    ["NRL", "EGEN", "North Ronaldsay Airport", "North Ronaldsay", "GB", 59.37, -2.43, "Europe/London"],
+    ["NRN", "EDLV", "Weeze Airport", "Weeze", "DE", 51.6, 6.15, "Europe/Berlin"],
+    ["NRR", "TJRV", "Jose Aponte de la Torre Airport", "Ceiba", "PR", 18.25, -65.64, "America/Puerto_Rico"],
+    ["NRT", "RJAA", "Narita International Airport", "Narita", "JP", 35.77, 140.39, "Asia/Tokyo"],
+    ["NRV", null, "United States Coast Guard Shore Station", "United States Coast Guard Shore Station", "GU", 13.46, 144.76, "Pacific/Guam"],
+    ["NSB", null, "Bimini North Seaplane Base", "Bimini North", "BS", 25.73, -79.3, "America/Nassau"],
+    ["NSF", null, "Andrews Navy Air Field", "Andrews Navy Air Field", "US", 38.82, -76.83, "America/New_York"],
+    ["NSH", "OINN", "Now Shahr Airport", "Nowshahr", "IR", 36.67, 51.5, "Asia/Tehran"],
+    ["NSI", "FKYS", "Yaounde Nsimalen Airport", "Yaoundé", "CM", 3.7, 11.55, "Africa/Douala"],
+    ["NSK", "UOOO", "Noril'sk Airport", "Norilsk", "RU", 69.32, 87.34, "Asia/Krasnoyarsk"],
+    ["NSN", "NZNS", "Nelson Airport", "Nelson", "NZ", -41.3, 173.22, "Pacific/Auckland"],
+    ["NSQ", "BGNU", "Nuussuaq Heliport", "Nuussuaq", "GL", 74.11, -57.07, "America/Godthab"],
+    ["NST", "VTSF", "Nakhon Si Thammarat International Airport", "Nakhon Si Thammarat", "TH", 8.54, 99.94, "Asia/Bangkok"],
+    ["NSX", null, "North Sound Virgin Gorda Hovercraft/Launch Point", "North Sound Virgin Gorda Hovercraft/Launch Point", "VG", 18.5, -64.37, "America/Tortola"],
+    ["NTE", "LFRS", "Nantes Atlantique Airport", "Nantes", "FR", 47.16, -1.6, "Europe/Paris"],
+    ["NTG", "ZSNT", "Nantong Xingdong Airport", "Nantong", "CN", 32.07, 120.98, "Asia/Shanghai"],
+    ["NTL", "YWLM", "Newcastle Airport", "Williamtown", "AU", -32.8, 151.84, "Australia/Sydney"],
+    ["NTN", "YNTN", "Normanton Airport", "Normanton", "AU", -17.69, 141.07, "Australia/Brisbane"],
+    ["NTQ", "RJNW", "Noto Airport", "Wajima", "JP", 37.29, 136.96, "Asia/Tokyo"],
+    ["NTT", "NFTP", "Kuini Lavenia Airport", "Niuatoputapu", "TO", -15.5, -174, "Pacific/Tongatapu"],
+    ["NTX", "WION", "Natuna Ranai Airport", "Ranai-Natuna Besar Island", "ID", 3.95, 108.38, "Asia/Jakarta"],
+    ["NUE", "EDDN", "Nuremberg Airport", "Nuremberg", "DE", 49.49, 11.08, "Europe/Berlin"],
+    ["NUI", "PAQT", "Nuiqsut Airport", "Nuiqsut", "US", 70.21, -151.01, "America/Anchorage"],
+    ["NUL", "PANU", "Nulato Airport", "Nulato", "US", 64.73, -158.08, "America/Anchorage"],
+    ["NUM", "OENN", "Neom Bay Airport", "Sharma", "SA", 27.93, 35.29, "Asia/Riyadh"],
+    ["NUP", "PPIT", "Nunapitchuk Airport", "Nunapitchuk", "US", 60.89, -162.47, "America/Anchorage"],
+    ["NUS", "NVSP", "Norsup Airport", "Norsup", "VU", -16.06, 167.4, "Pacific/Efate"],
+    ["NUX", "USMU", "Novy Urengoy Airport", "Novy Urengoy", "RU", 66.07, 76.52, "Asia/Yekaterinburg"],
+    ["NVA", "SKNV", "Benito Salas Airport", "Neiva", "CO", 2.95, -75.29, "America/Bogota"],
+    ["NVI", "UTSA", "Navoi Airport", "Navoi", "UZ", 40.12, 65.16, "Asia/Tashkent"],
+    ["NVM", "SDNM", "Nova Mutum Airport", "Nova Mutum", "BR", -13.82, -56.04, "America/Cuiaba"],
+    ["NVT", "SBNF", "Navegantes International Airport", "Navegantes", "BR", -26.88, -48.65, "America/Sao_Paulo"],
+    ["NWI", "EGSH", "Norwich International Airport", "Norwich", "GB", 52.67, 1.28, "Europe/London"],
+    ["NWS", null, "Pier 11-Wall St Sea Plane Base", "Pier 11-Wall St", "US", 40.7, -74.01, "America/New_York"],
+    ["NWU", null, "Naval Air Station", "Naval Air Station", "BM", 32.75, -65, "Atlantic/Bermuda"],
+    ["NXX", "KNXX", "Willow Grove Naval Air Station", "Willow Grove", "US", 40.2, -75.13, "America/New_York"],
+    ["NYA", "USHN", "Nyagan Airport", "Nyagan", "RU", 62.1, 65.61, "Asia/Yekaterinburg"],
+    ["NYI", "DGSN", "Sunyani Airport", "Sunyani", "GH", 7.36, -2.33, "Africa/Accra"],
+    ["NYK", "HKNY", "Nanyuki Airport", "Nanyuki", "KE", 0.02, 37.07, "Africa/Nairobi"],
+    ["NYM", "USMM", "Nadym Airport", "Nadym", "RU", 65.48, 72.72, "Asia/Yekaterinburg"],
+    ["NYO", "ESKN", "Stockholm Skavsta Airport", "Nyköping", "SE", 58.78, 16.92, "Europe/Stockholm"],
+    ["NYT", "VYNT", "Nay Pyi Taw Airport", "Pyinmana", "MM", 19.62, 96.2, "Asia/Yangon"],
+    ["NYU", "VYBG", "Nyaung U Airport", "Bagan", "MM", 21.18, 94.93, "Asia/Yangon"],
+    ["NZC", "SPZA", "Maria Reiche Neuman Airport", "Nazca", "PE", -14.85, -74.96, "America/Lima"],
+    ["NZG", "UIUN", "Nizhneangarsk Airport", "Nizhneangarsk", "RU", 55.8, 109.6, "Asia/Irkutsk"],
+    ["NZH", "ZBMZ", "Manzhouli Xijiao Airport", "Manzhouli", "CN", 49.57, 117.33, "Asia/Shanghai"],
+    ["NZL", "ZBZL", "Zhalantun Chengjisihan Airport", "Zhalantun", "CN", 47.72, 122.83, "Asia/Shanghai"],
+    ["OAJ", "KOAJ", "Albert J Ellis Airport", "Richlands", "US", 34.83, -77.61, "America/New_York"],
+    ["OAK", "KOAK", "Metropolitan Oakland International Airport", "Oakland", "US", 37.71, -122.21, "America/Los_Angeles"],
+    ["OAL", "SSKW", "Cacoal Airport", "Cacoal", "BR", -11.43, -61.48, "America/Porto_Velho"],
+    ["OAX", "MMOX", "Oaxaca International Airport", "Oaxaca", "MX", 17, -96.72, "America/Mexico_City"],
+    ["OBK", null, "Sky Harbor Airport", "Sky Harbor", "US", 42.12, -87.82, "America/Chicago"],
+    ["OBN", "EGEO", "Oban Airport", "North Connel", "GB", 56.47, -5.4, "Europe/London"],
+    ["OBO", "RJCB", "Tokachi-Obihiro Airport", "Obihiro", "JP", 42.73, 143.21, "Asia/Tokyo"],
+    ["OBT", null, "Oakland/Coliseum Station", "Oakland/Coliseum Station", "US", 39.4, -79.42, "America/New_York"],
+    ["OBU", "PAOB", "Kobuk/Wien Airport", "Kobuk", "US", 66.91, -156.88, "America/Anchorage"],
+    ["OBX", "AYOB", "Obo Airport", "Obo", "PG", -7.58, 141.32, "Pacific/Port_Moresby"],
+    ["OBY", "BGSC", "Ittoqqortoormiit Heliport", "Ittoqqortoormiit", "GL", 70.49, -21.97, "America/Scoresbysund"],
+    ["OCC", "SECO", "Coca Airport", "Coca", "EC", -0.46, -76.99, "America/Guayaquil"],
+    ["OCJ", "MKBS", "Ian Fleming International Airport", "Boscobel", "JM", 18.4, -76.97, "America/Jamaica"],
+    ["ODE", "EKOD", "Hans Christian Andersen Airport", "Odense", "DK", 55.47, 10.33, "Europe/Copenhagen"],
+    ["ODN", "WBGI", "Long Seridan Airport", "Long Seridan", "MY", 4.03, 115.07, "Asia/Kuala_Lumpur"],
+    ["ODO", "UIKB", "Bodaybo Airport", "Bodaibo", "RU", 57.87, 114.24, "Asia/Irkutsk"],
+    ["ODS", "UKOO", "Odessa International Airport", "Odessa", "UA", 46.44, 30.68, "Europe/Kyiv"],
+    ["ODY", "VLOS", "Oudomxay Airport", "Muang Xay", "LA", 20.68, 101.99, "Asia/Vientiane"],
+    ["OEA", "KOEA", "Oneal Airport", "Oneal", "US", 38.68, -87.53, "America/Indiana/Indianapolis"],
+    ["OER", "ESNO", "Ornskoldsvik Airport", "Örnsköldsvik", "SE", 63.41, 18.99, "Europe/Stockholm"],
+    ["OES", "SAVN", "San Antonio Oeste Airport", "San Antonio Oeste", "AR", -40.73, -64.95, "America/Argentina/Buenos_Aires"],
+    ["OFU", "NSAS", "Ofu Airport", "Ofu", "AS", -14.18, -169.67, "Pacific/Pago_Pago"],
+    ["OGD", "KOGD", "Ogden Municipal Airport", "Ogden", "US", 41.2, -112.01, "America/Denver"],
+    ["OGG", "PHOG", "Kahului Airport", "Kahului", "US", 20.89, -156.44, "Pacific/Honolulu"],
+    ["OGL", "SYGO", "Ogle International Airport", "Ogle", "GY", 6.81, -58.11, "America/Guyana"],
+    ["OGN", "ROYN", "Yonaguni Airport", "Yonaguni", "JP", 24.47, 122.98, "Asia/Tokyo"],
+    ["OGS", "KOGS", "Ogdensburg Airport", "Ogdensburg", "US", 44.68, -75.47, "America/New_York"],
+    ["OGU", "LTCB", "Ordu Giresun Airport", "Ordu", "TR", 40.97, 38.08, "Europe/Istanbul"],
+    ["OGX", "DAUU", "Ain Beida Airport", "Ouargla", "DZ", 31.92, 5.4, "Africa/Algiers"],
+    ["OGZ", "URMO", "Vladikavkaz Airport", "Beslan", "RU", 43.2, 44.6, "Europe/Moscow"],
+    ["OHC", null, "Northeast Cape Air Force Station", "Northeast Cape Air Force Station", "US", 63.33, -168.97, "America/Anchorage"],
+    ["OHD", "LWOH", "Ohrid Airport", "Ohrid", "MK", 41.18, 20.74, "Europe/Skopje"],
+    ["OHE", "ZYMH", "Mohe Airport", "Mohe", "CN", 52.92, 122.42, "Asia/Shanghai"],
+    ["OHO", "UHOO", "Okhotsk Airport", "Okhotsk", "RU", 59.41, 143.06, "Asia/Vladivostok"],
+    ["OHP", null, "Oban Heliport", "Oban", "GB", 56.42, -5.48, "Europe/London"],
+    ["OHS", "OOSH", "Sohar Airport", "Sohar", "OM", 24.4, 56.62, "Asia/Muscat"],
+    ["OIL", null, "Splane Memorial Airport", "Splane Memorial", "US", 41.43, -79.7, "America/New_York"],
+    ["OIM", "RJTO", "Oshima Airport", "Izu Oshima", "JP", 34.78, 139.37, "Asia/Tokyo"],
+    ["OIR", "RJEO", "Okushiri Airport", "Okushiri Island", "JP", 42.07, 139.43, "Asia/Tokyo"],
+    ["OIT", "RJFO", "Oita Airport", "Oita", "JP", 33.48, 131.73, "Asia/Tokyo"],
+    ["OJU", "WAFU", "Tanjung Api Airport", "Tanjung Api", "ID", -0.86, 121.62, "Asia/Makassar"],
+    ["OKA", "ROAH", "Naha Airport", "Naha", "JP", 26.2, 127.65, "Asia/Tokyo"],
+    ["OKC", "KOKC", "OKC Will Rogers International Airport", "Oklahoma City", "US", 35.4, -97.6, "America/Chicago"],
+    ["OKD", "RJCO", "Sapporo Okadama Airport (OKD)", "Sapporo", "JP", 43.11, 141.38, "Asia/Tokyo"],
+    ["OKE", "RJKB", "Okino Erabu Airport", "Wadomari", "JP", 27.43, 128.71, "Asia/Tokyo"],
+    ["OKI", "RJNO", "Oki Island Airport", "Okinoshima", "JP", 36.17, 133.32, "Asia/Tokyo"],
+    ["OKJ", "RJOB", "Okayama Momotaro Airport", "Okayama", "JP", 34.76, 133.85, "Asia/Tokyo"],
+    ["OKL", "WAJO", "Gunung Bintang Airport", "Oksibil", "ID", -4.91, 140.63, "Asia/Jayapura"],
+    ["OKR", "YYKI", "Yorke Island Airport", "Yorke Island", "AU", -9.75, 143.41, "Australia/Brisbane"],
+    ["OKY", "YBOK", "Oakey Airport", "Oakey", "AU", -27.41, 151.74, "Australia/Brisbane"],
+    ["OLA", "ENOL", "Orland Airbase", "Ørland", "NO", 63.7, 9.62, "Europe/Oslo"],
+    ["OLB", "LIEO", "Olbia Costa Smeralda Airport", "Olbia (SS)", "IT", 40.9, 9.51, "Europe/Rome"],
+    ["OLF", "KOLF", "Wolf Point International Airport", "Wolf Point", "US", 48.09, -105.57, "America/Denver"],
+    ["OLG", null, "Olare Airport", "Olare", "KE", -1.32, 35.25, "Africa/Nairobi"],
+    ["OLH", null, "Old Harbor Sea Plane Base", "Old Harbor", "US", 57.2, -153.3, "America/Anchorage"],
+    ["OLJ", "NVSZ", "West Cost Santo Airport", "Olpoi", "VU", -14.88, 166.56, "Pacific/Efate"],
+    ["OLM", "KOLM", "Olympia Regional Airport", "Olympia", "US", 46.97, -122.9, "America/Los_Angeles"],
+    ["OLP", "YOLD", "Olympic Dam Airport", "Olympic Dam", "AU", -30.48, 136.88, "Australia/Adelaide"],
+    ["OLZ", "UEMO", "Olyokminsk Airport", "Olyokminsk", "RU", 60.4, 120.46, "Asia/Yakutsk"],
+    ["OMA", "KOMA", "Eppley Airfield", "Omaha", "US", 41.3, -95.9, "America/Chicago"],
+    ["OMD", "FYOG", "Oranjemund Airport", "Oranjemund", "NA", -28.58, 16.45, "Africa/Windhoek"],
+    ["OME", "PAOM", "Nome Airport", "Nome", "US", 64.51, -165.43, "America/Anchorage"],
+    ["OMH", "OITR", "Urmia Airport", "Urmia", "IR", 37.66, 45.07, "Asia/Tehran"],
+    ["OMO", "LQMO", "Mostar Airport", "Mostar", "BA", 43.29, 17.85, "Europe/Sarajevo"],
+    ["OMR", "LROD", "Oradea Airport", "Oradea", "RO", 47.03, 21.9, "Europe/Bucharest"],
+    ["OMS", "UNOO", "Omsk Airport", "Omsk", "RU", 54.96, 73.32, "Asia/Omsk"],
+    ["OND", "FYOA", "Andimba Toivo ya Toivo Airport", "Ondangwa", "NA", -17.89, 15.94, "Africa/Windhoek"],
+    ["ONG", "YMTI", "Mornington Airport", "Mornington Island", "AU", -16.66, 139.17, "Australia/Brisbane"],
+    ["ONJ", "RJSR", "Odate Noshiro Airport", "Kitaakita", "JP", 40.2, 140.37, "Asia/Tokyo"],
+    ["ONN", null, "Onion Bay Airport", "Onion Bay", "US", 58.23, -152.83, "America/Anchorage"],
+    ["ONQ", "LTAS", "Zonguldak Airport", "Zonguldak", "TR", 41.51, 32.09, "Europe/Istanbul"],
+    ["ONT", "KONT", "Ontario International Airport", "Ontario", "US", 34.06, -117.6, "America/Los_Angeles"],
+    ["ONX", "MPEJ", "Colon Airport", "Colón", "PA", 9.35, -79.9, "America/Panama"],
+    ["OOK", "PAOO", "Toksook Bay Airport", "Toksook Bay", "US", 60.53, -165.11, "America/Anchorage"],
+    ["OOL", "YBCG", "Gold Coast Airport", "Gold Coast", "AU", -28.17, 153.51, "Australia/Brisbane"],
+    ["OOM", "YCOM", "Snowy Mountains Airport", "Cooma", "AU", -36.29, 148.97, "Australia/Sydney"],
+    ["OPF", "KOPF", "Opa-locka Executive Airport", "Miami", "US", 25.91, -80.27, "America/New_York"],
+    ["OPO", "LPPR", "Porto Airport", "Porto", "PT", 41.24, -8.67, "Europe/Lisbon"],
+    ["OPP", "SNSM", "Salinopolis", "Salinopolis", "BR", -0.69, -47.33, "America/Belem"],
+    ["OPS", "SWSI", "Sinop Airport", "Sinop", "BR", -11.88, -55.58, "America/Campo_Grande"],
+    ["OPU", "AYBM", "Balimo Airport", "Balimo", "PG", -8.03, 142.93, "Pacific/Port_Moresby"],
+    ["ORB", "ESOE", "Orebro-Bofors Airport", "Örebro", "SE", 59.23, 15.05, "Europe/Stockholm"],
+    ["ORD", "KORD", "O'Hare International Airport", "Chicago", "US", 41.98, -87.9, "America/Chicago"],
+    ["ORF", "KORF", "Norfolk International Airport", "Norfolk", "US", 36.9, -76.21, "America/New_York"],
+    ["ORG", "SMZO", "Zorg En Hoop Airport", "Paramaribo", "SR", 5.81, -55.19, "America/Paramaribo"],
+    ["ORH", "KORH", "Worcester Regional Airport", "Worcester", "US", 42.27, -71.87, "America/New_York"],
+    ["ORI", "KORI", "Port Lions Sea Plane Base", "Port Lions", "US", 57.89, -152.84, "America/Anchorage"],
+    ["ORK", "EICK", "Cork Airport", "Cork", "IE", 51.85, -8.49, "Europe/Dublin"],
+    ["ORN", "DAOO", "Oran International Airport Ahmed Ben Bella", "Es-Sénia", "DZ", 35.62, -0.61, "Africa/Algiers"],
+    ["ORQ", null, "Norwalk Heliport", "Norwalk", "US", 41.12, -73.37, "America/New_York"],
+    ["ORT", "PAOR", "Northway Airport", "Northway", "US", 62.96, -141.92, "America/Anchorage"],
+    ["ORV", "PFNO", "Robert (Bob) Curtis Memorial Airport", "Noorvik", "US", 66.82, -161.03, "America/Anchorage"],
+    ["ORY", "LFPO", "Paris Orly Airport", "Paris", "FR", 48.73, 2.36, "Europe/Paris"],
+    ["ORZ", "MZTH", "Orange Walk Airport", "Orange Walk", "BZ", 18.05, -88.58, "America/Belize"],
+    ["OSD", "ESNZ", "Are Ostersund Airport", "Östersund", "SE", 63.2, 14.49, "Europe/Stockholm"],
+    ["OSI", "LDOS", "Osijek Airport", "Osijek", "HR", 45.47, 18.81, "Europe/Zagreb"],
+    ["OSJ", null, "Ol Seki Airstrip", "Ol Seki", "KE", -1.38, 35.38, "Africa/Nairobi"],
+    ["OSL", "ENGM", "Oslo Airport", "Oslo", "NO", 60.19, 11.1, "Europe/Oslo"],
+    ["OSR", "LKMT", "Mosnov Airport", "Ostrava", "CZ", 49.7, 18.12, "Europe/Prague"],
+    ["OSS", "UAFO", "Osh Airport", "Osh", "KG", 40.61, 72.79, "Asia/Bishkek"],
+    ["OST", "EBOS", "Ostend-Bruges International Airport", "Ostend", "BE", 51.2, 2.86, "Europe/Brussels"],
+    ["OSW", "UWOR", "Orsk Airport", "Orsk", "RU", 51.2, 58.57, "Asia/Yekaterinburg"],
+    ["OSY", "ENNM", "Namsos Airport", "Namsos", "NO", 64.47, 11.57, "Europe/Oslo"],
+    ["OTD", "MPRA", "Contadora Airport", "Contadora", "PA", 8.67, -79.57, "America/Panama"],
+    ["OTH", "KOTH", "Southwest Oregon Regional Airport", "North Bend", "US", 43.42, -124.25, "America/Los_Angeles"],
+    ["OTO", null, "Otog Banner Wulan Airport", "Otog Banner Wulan", "CN", 39.03, 107.99, "Asia/Shanghai"],
+    ["OTP", "LROP", "Bucharest Henri Coanda International Airport", "Bucharest", "RO", 44.57, 26.08, "Europe/Bucharest"],
+    ["OTQ", null, "Otog Front Banner Oljoq Airport", "Otog Front Banner Oljoq", "CN", 38.17, 107.39, "Asia/Shanghai"],
+    ["OTZ", "PAOT", "Ralph Wien Memorial Airport", "Kotzebue", "US", 66.89, -162.6, "America/Anchorage"],
+    ["OUA", "DFFD", "Ouagadougou International Airport", "Ouagadougou", "BF", 12.36, -1.51, "Africa/Ouagadougou"],
+    ["OUD", "GMFO", "Oujda Angads Airport", "Ahl Angad", "MA", 34.78, -1.93, "Africa/Casablanca"],
+    ["OUI", "LFEC", "Ouessant", "Ouessant", "FR", 48.59, -5.17, "Europe/Paris"],
+    ["OUL", "EFOU", "Oulu Airport", "Oulu / Oulunsalo", "FI", 64.93, 25.38, "Europe/Helsinki"],
+    ["OUZ", "GQPZ", "Zouerate Airport", "Zouerat", "MR", 22.73, -12.35, "Africa/Nouakchott"],
+    ["OVB", "UNNT", "Novosibirsk International Airport (Tolmachevo)", "Novosibirsk", "RU", 55.01, 82.67, "Asia/Novosibirsk"],
+    ["OVD", "LEAS", "Asturias Airport", "Ranón", "ES", 43.56, -6.03, "Europe/Madrid"],
+    ["OVS", "USHS", "Sovetsky Airport", "Sovetskiy", "RU", 61.33, 63.6, "Europe/Kaliningrad"],
+    ["OWB", "KOWB", "Owensboro–Daviess County Airport", "Owensboro", "US", 37.74, -87.17, "America/Chicago"],
+    ["OWE", null, "Owendo Airport", "Owendo", "GA", 0.35, 9.48, "Africa/Libreville"],
+    ["OXB", "GGOV", "Osvaldo Vieira Airport", "Bissau", "GW", 11.89, -15.66, "Africa/Bissau"],
+    ["OYE", "FOGO", "Oyem Airport", "Oyem", "GA", 1.54, 11.58, "Africa/Libreville"],
+    ["OYG", "HUMY", "Moyo Airport", "Moyo", "UG", 3.65, 31.72, "Africa/Kampala"],
+    ["OYS", null, "Yosemite National Park Airport", "Yosemite National Park", "US", 37.85, -119.55, "America/Los_Angeles"],
+    ["OZC", "RPMO", "Labo Airport", "Ozamiz", "PH", 8.18, 123.85, "Asia/Manila"],
+    ["OZH", "UKDE", "Zaporozhye Airport", "Zaporizhia", "UA", 47.87, 35.32, "Europe/Kyiv"],
+    ["OZI", null, "Bobadilla Airport", "Bobadilla", "ES", 37.66, -24.9, "Europe/Madrid"],
+    ["OZU", null, "Montilla Airport", "Montilla", "ES", 37.6, -4.63, "Europe/Madrid"],
+    ["OZZ", "GMMZ", "Ouarzazate Airport", "Ouarzazate", "MA", 30.92, -6.92, "Africa/Casablanca"],
+    ["PAB", "VEBU", "Bilaspur Airport", "Bilaspur", "IN", 31.32, 76.83, "Asia/Kolkata"],
+    ["PAC", "MPMG", "Marcos A. Gelabert International Airport", "Albrook", "PA", 8.97, -79.56, "America/Panama"],
+    ["PAD", "EDLP", "Paderborn Lippstadt Airport", "Paderborn", "DE", 51.61, 8.62, "Europe/Berlin"],
+    ["PAE", "KPAE", "Seattle Paine Field International Airport", "Everett", "US", 47.91, -122.29, "America/Los_Angeles"],
+    ["PAG", "RPMP", "Pagadian Airport", "Pagadian", "PH", 7.83, 123.46, "Asia/Manila"],
+    ["PAH", "KPAH", "Barkley Regional Airport", "Paducah", "US", 37.06, -88.77, "America/Chicago"],
+    ["PAI", null, "Pailin Airport", "Pailin", "KH", 12.08, 102.6, "Asia/Phnom_Penh"],
+    ["PAP", "MTPP", "Toussaint Louverture International Airport", "Port-au-Prince", "HT", 18.58, -72.29, "America/Port-au-Prince"],
+    ["PAR", "LFPW", "Paris Metropolitan", "Paris Metropolitan", "FR", 48.83, 2.33, "Europe/Paris"],
+    ["PAS", "LGPA", "Paros National Airport", "Paros", "GR", 37.02, 25.11, "Europe/Athens"],
+    ["PAT", "VEPT", "Jay Prakash Narayan International Airport", "Patna", "IN", 25.59, 85.09, "Asia/Kolkata"],
+    ["PAV", "SBUF", "Paulo Afonso Airport", "Paulo Afonso", "BR", -9.4, -38.25, "America/Belem"],
+    ["PAZ", "MMPA", "El Tajin National Airport", "Poza Rica", "MX", 20.6, -97.46, "America/Mexico_City"],
+    ["PBC", "MMPB", "Hermanos Serdan International Airport", "Puebla", "MX", 19.14, -98.37, "America/Mexico_City"],
+    ["PBD", "VAPR", "Porbandar Airport", "Porbandar", "IN", 21.65, 69.66, "Asia/Kolkata"],
+    ["PBG", "KPBG", "Plattsburgh International Airport", "Plattsburgh", "US", 44.66, -73.47, "America/New_York"],
+    ["PBH", "VQPR", "Paro Airport", "Paro", "BT", 27.43, 89.42, "Asia/Thimphu"],
+    ["PBI", "KPBI", "President Donald J. Trump International Airport", "West Palm Beach", "US", 26.68, -80.1, "America/New_York"],
+    ["PBJ", "NVSI", "Paama Airport", "Paama Island", "VU", -16.43, 168.22, "Pacific/Efate"],
+    ["PBK", null, "Pack Creek Airport", "Pack Creek", "US", 57.8, -134.7, "America/Sitka"],
+    ["PBM", "SMJP", "Zanderij International Airport", "Zandery", "SR", 5.45, -55.19, "America/Paramaribo"],
+    ["PBO", "YPBO", "Paraburdoo Airport", "Paraburdoo", "AU", -23.17, 117.75, "Australia/Perth"],
+    ["PBR", "MGPB", "Puerto Barrios Airport", "Puerto Barrios", "GT", 15.73, -88.58, "America/Guatemala"],
+    ["PBS", null, "Patong Beach Airport", "Patong Beach", "TH", 7.9, 98.29, "Asia/Bangkok"],
+    ["PBU", "VYPT", "Putao Airport", "Putao", "MM", 27.33, 97.42, "Asia/Yangon"],
+    ["PCE", null, "Painter Creek Airport", "Painter Creek", "US", 57.16, -157.43, "America/Anchorage"],
+    ["PCG", null, "Paso Caballos Airport", "Paso Caballos", "GT", 17.26, -90.25, "America/Guatemala"],
+    ["PCL", "SPCL", "Capitan Rolden Airport", "Pucallpa", "PE", -8.38, -74.57, "America/Lima"],
+    ["PCN", "NZOK", "Picton Aerodrome", "Picton", "NZ", -41.34, 173.96, "Pacific/Auckland"],
+    ["PCP", "FPPR", "Principe Airport", "São Tomé & Príncipe", "ST", 1.67, 7.41, "Africa/Sao_Tome"],
+    ["PCR", "SKPC", "Puerto Carreno Airport", "Puerto Carreño", "CO", 6.18, -67.63, "America/Bogota"],
+    ["PDA", "SKPD", "Puerto Inirida Airport", "Puerto Inírida", "CO", 3.88, -67.88, "America/Bogota"],
+    ["PDB", null, "Pedro Bay Airport", "Pedro Bay", "US", 59.8, -154.13, "America/Anchorage"],
+    ["PDG", "WIPT", "Minangkabau International Airport", "Padang (Katapiang)", "ID", -0.79, 100.28, "Asia/Jakarta"],
+    ["PDK", "KPDK", "DeKalb Peachtree Airport", "Atlanta", "US", 33.88, -84.3, "America/New_York"],
+    ["PDL", "LPPD", "Joao Paulo II Airport", "Ponta Delgada", "PT", 37.74, -25.7, "Atlantic/Azores"],
+    ["PDM", "MPPD", "Capt. Justiniano Montenegro Airport", "Capt. Justiniano Montenegro", "PA", 7.55, -80.02, "America/Panama"],
+    ["PDO", "WIPQ", "Pendopo Airport", "Talang Gudang-Sumatra Island", "ID", -3.28, 103.87, "Asia/Jakarta"],
+    ["PDP", "SULS", "Capitan de Corbeta Carlos A. Curbelo International Airport", "Punta del Este", "UY", -34.86, -55.09, "America/Montevideo"],
+    ["PDS", "MMPG", "Piedras Negras International Airport", "Piedras Negras", "MX", 28.63, -100.54, "America/Matamoros"],
+    ["PDT", "KPDT", "Eastern Oregon Regional Airport", "Pendleton", "US", 45.69, -118.84, "America/Los_Angeles"],
+    ["PDV", "LBPD", "Plovdiv Airport", "Plovdiv", "BG", 42.3, 24.72, "Europe/Sofia"],
+    ["PDX", "KPDX", "Portland International Airport", "Portland", "US", 45.59, -122.59, "America/Los_Angeles"],
+    ["PEC", null, "Pelican Sea Plane Base", "Pelican", "US", 57.96, -136.23, "America/Anchorage"],
+    ["PED", "LKPD", "Pardubice Airport", "Pardubice", "CZ", 50.01, 15.74, "Europe/Prague"],
+    ["PEE", "USPP", "Perm International Airport", "Perm", "RU", 57.92, 56.02, "Asia/Yekaterinburg"],
+    ["PEG", "LIRZ", "Perugia San Francesco d'Assisi – Umbria International Airport", "Perugia", "IT", 43.13, 12.37, "Europe/Rome"],
+    ["PEI", "SKPE", "Matecana International Airport", "Pereira", "CO", 4.82, -75.74, "America/Bogota"],
+    ["PEK", "ZBAA", "Beijing Capital International Airport", "Beijing", "CN", 40.08, 116.59, "Asia/Shanghai"],
+    ["PEM", "SPTU", "Puerto Maldonado Airport", "Puerto Maldonado", "PE", -12.58, -69.23, "America/Lima"],
+    ["PEN", "WMKP", "Penang International Airport", "Penang", "MY", 5.29, 100.27, "Asia/Kuala_Lumpur"],
+    ["PER", "YPPH", "Perth Airport", "Perth", "AU", -31.93, 115.96, "Australia/Perth"],
+    ["PES", "ULPB", "Petrozavodsk Airport", "Petrozavodsk", "RU", 61.88, 34.15, "Europe/Moscow"],
+    ["PET", "SBPK", "Pelotas–João Simões Lopes Neto International Airport", "Pelotas", "BR", -31.72, -52.32, "America/Sao_Paulo"],
+    ["PEU", "MHPL", "Puerto Lempira Airport", "Puerto Lempira", "HN", 15.22, -83.77, "America/Tegucigalpa"],
+    ["PEV", "LHPP", "Pécs-Pogány Airport", "Pécs-Pogány", "HU", 45.99, 18.24, "Europe/Budapest"],
+    ["PEW", "OPPS", "Bacha Khan International Airport", "Peshawar", "PK", 33.99, 71.52, "Asia/Karachi"],
+    ["PEX", "UUYP", "Pechora Airport", "Pechora", "RU", 65.12, 57.13, "Europe/Moscow"],
+    ["PEZ", "UWPP", "Penza Airport", "Penza", "RU", 53.12, 45.02, "Europe/Moscow"],
+    ["PFA", null, "Harbin Pingfang Airport", "Harbin Pingfang", "CN", 45.6, 126.66, "Asia/Shanghai"],
+    ["PFB", "SBPF", "Passo Fundo Airport", "Passo Fundo", "BR", -28.25, -52.33, "America/Sao_Paulo"],
+    ["PFD", null, "Port Frederick Airport", "Port Frederick", "US", 57.95, -135.65, "America/Juneau"],
+    ["PFO", "LCPH", "Paphos International Airport", "Paphos", "CY", 34.71, 32.49, "Asia/Nicosia"],
+    ["PFQ", "OITP", "Parsabad Moghan Airport", "Parsabad", "IR", 39.61, 47.88, "Asia/Tehran"],
+    ["PFR", "FZVS", "Ilebo Airport", "Ilebo", "CD", -4.32, 20.58, "Africa/Lubumbashi"],
+    ["PGA", "KPGA", "Page Airport", "Page", "US", 36.93, -111.45, "America/Phoenix"],
+    ["PGD", "KPGD", "Charlotte County Airport", "Punta Gorda", "US", 26.92, -81.99, "America/New_York"],
+    ["PGF", "LFMP", "Llabanere Airport", "Perpignan/Rivesaltes", "FR", 42.74, 2.87, "Europe/Paris"],
+    ["PGG", null, "Progresso Airport", "Progresso", "BR", -6.95, -55.46, "America/Belem"],
+    ["PGH", "VIPT", "Pantnagar Airport", "Pantnagar", "IN", 29.03, 79.47, "Asia/Kolkata"],
+    ["PGK", "WIPK", "Depati Amir Airport", "Pangkal Pinang", "ID", -2.16, 106.14, "Asia/Jakarta"],
+    ["PGM", "KPGM", "Port Graham Airport", "Port Graham", "US", 59.35, -151.83, "America/Anchorage"],
+    ["PGQ", "WAEM", "Pekaulang Buli Airport", "Pekaulang Buli", "ID", 0.92, 128.38, "Asia/Jayapura"],
+    ["PGU", "OIBP", "Ala'Marvdasht Airport", "Khiyaroo", "IR", 27.38, 52.74, "Asia/Tehran"],
+    ["PGV", "KPGV", "Pitt-Greenville Airport", "Greenville", "US", 35.63, -77.39, "America/New_York"],
+    ["PGZ", "SSZW", "Comte Antonio Amilton Beraldo Airport", "Ponta Grossa", "BR", -25.19, -50.15, "America/Sao_Paulo"],
+    ["PHB", "SBPB", "Parnaiba-Prefeito Dr. Joao Silva Filho International Airport", "Parnaíba", "BR", -2.89, -41.73, "America/Belem"],
+    ["PHC", "DNPO", "Port Harcourt International Airport", "Port Harcourt", "NG", 5.01, 6.95, "Africa/Lagos"],
+    ["PHE", "YPPD", "Port Hedland International Airport", "Port Hedland", "AU", -20.38, 118.63, "Australia/Perth"],
+    ["PHF", "KPHF", "Newport News/Williamsburg International Airport", "Newport News", "US", 37.13, -76.5, "America/New_York"],
+    ["PHH", "VNPR", "Pokhara International Airport", "Pokhara", "NP", 28.18, 84.01, "Asia/Kathmandu"],
+    ["PHL", "KPHL", "Philadelphia International Airport", "Philadelphia", "US", 39.88, -75.24, "America/New_York"],
+    ["PHM", null, "Boeblingen Airport", "Boeblingen", "DE", 48.68, 9, "Europe/Berlin"],
+    ["PHO", "PAPO", "Point Hope Airport", "Point Hope", "US", 68.35, -166.8, "America/Anchorage"],
+    ["PHS", "VTPP", "Phitsanulok Airport", "Phitsanulok", "TH", 16.77, 100.28, "Asia/Bangkok"],
+    ["PHU", null, "Phu Vinh Airport", "Phu Vinh", "VN", 9.95, 106.33, "Asia/Ho_Chi_Minh"],
+    ["PHW", "FAPH", "Phalaborwa Airport", "Phalaborwa", "ZA", -23.93, 31.16, "Africa/Johannesburg"],
+    ["PHX", "KPHX", "Phoenix Sky Harbor International Airport", "Phoenix", "US", 33.44, -112, "America/Phoenix"],
+    ["PHY", "VTPB", "Phetchabun Airport", "Phetchabun", "TH", 16.68, 101.2, "Asia/Bangkok"],
+    ["PHZ", null, "Phi Phi Island Airport", "Phi Phi Island", "TH", 8.17, 98.28, "Asia/Bangkok"],
+    ["PIA", "KPIA", "General Wayne A. Downing Peoria International Airport", "Peoria", "US", 40.67, -89.69, "America/Chicago"],
+    ["PIB", "KPIB", "Hattiesburg-Laurel Regional Airport", "Moselle", "US", 31.47, -89.34, "America/Chicago"],
+    ["PIE", "KPIE", "St. Petersburg-Clearwater International Airport", "Pinellas Park", "US", 27.91, -82.7, "America/New_York"],
+    ["PIF", "RCSQ", "Pingtung Airport", "Pingtung", "TW", 22.71, 120.49, "Asia/Taipei"],
+    ["PIH", "KPIH", "Pocatello Regional Airport", "Pocatello", "US", 42.91, -112.59, "America/Boise"],
+    ["PIK", "EGPK", "Glasgow Prestwick Airport", "Prestwick, South Ayrshire", "GB", 55.51, -4.61, "Europe/London"],
+    ["PIP", "PAPN", "Pilot Point Airport", "Pilot Point", "US", 57.56, -157.56, "America/Anchorage"],
+    ["PIR", "KPIR", "Pierre Regional Airport", "Pierre", "US", 44.38, -100.29, "America/Chicago"],
+    ["PIS", "LFBI", "Poitiers-Biard Airport", "Poitiers/Biard", "FR", 46.59, 0.31, "Europe/Paris"],
+    ["PIT", "KPIT", "Pittsburgh International Airport", "Pittsburgh", "US", 40.5, -80.26, "America/New_York"],
+    ["PIU", "SPUR", "Cap. FAP Guillermo Concha Iberico International Airport", "Piura", "PE", -5.2, -80.62, "America/Lima"],
+    ["PIX", "LPPI", "Pico Island Airport", "Pico Island", "PT", 38.47, -28.3, "Atlantic/Azores"],
+    ["PIZ", "PPIZ", "Point Lay LRRS Airport", "Point Lay", "US", 69.75, -163.17, "America/Anchorage"],
+    ["PJA", "ESUP", "Pajala Airport", "Pajala", "SE", 67.25, 23.07, "Europe/Stockholm"],
+    ["PJM", "MRPJ", "Puerto Jimenez Airport", "Puerto Jimenez", "CR", 8.58, -83.33, "America/Costa_Rica"],
+    ["PJS", null, "Port San Juan Airport", "Port San Juan", "US", 60.05, -148.06, "America/Anchorage"],
+    ["PKA", "PAPK", "Napaskiak Sea Plane Base", "Napaskiak", "US", 60.71, -161.76, "America/Anchorage"],
+    ["PKB", "KPKB", "Wood County Airport", "Parkersburg", "US", 39.35, -81.44, "America/New_York"],
+    ["PKC", "UHPP", "Petropavlovsk-Kamchatsky Airport", "Petropavlovsk-Kamchatsky", "RU", 53.02, 158.65, "Asia/Kamchatka"],
+    ["PKE", "YPKS", "Parkes Airport", "Parkes", "AU", -33.14, 148.23, "Australia/Sydney"],
+    ["PKG", "WMPA", "Pangkor Airport", "Pangkor Island", "MY", 4.25, 100.55, "Asia/Kuala_Lumpur"],
+    ["PKL", null, "Pakatoa Island Airport", "Pakatoa Island", "NZ", -36.8, 175.2, "Pacific/Auckland"],
+    ["PKN", "WAOI", "Iskandar Airport", "Pangkalan Bun", "ID", -2.7, 111.67, "Asia/Jakarta"],
+    ["PKP", "NTGP", "Puka Puka Airport", "Puka Puka", "PF", -14.75, -138.97, "Pacific/Tahiti"],
+    ["PKR", "VNPK", "Pokhara International Airport", "Pokhara", "NP", 28.19, 84.01, "Asia/Kathmandu"],
+    ["PKS", null, "Paksane Airport", "Paksane", "LA", 18.37, 103.68, "Asia/Vientiane"],
+    ["PKU", "WIBB", "Sultan Syarif Kasim II International Airport", "Pekanbaru", "ID", 0.46, 101.45, "Asia/Jakarta"],
+    ["PKV", "ULOO", "Pskov Airport", "Pskov", "RU", 57.79, 28.4, "Europe/Moscow"],
+    ["PKX", "ZBAD", "Beijing Daxing International Airport", "Beijing", "CN", 39.51, 116.41, "Asia/Shanghai"],
+    ["PKY", "WAGG", "Tjilik Riwut Airport", "Palangkaraya", "ID", -2.22, 113.95, "Asia/Jakarta"],
+    ["PKZ", "VLPS", "Pakse Airport", "Pakse", "LA", 15.14, 105.78, "Asia/Vientiane"],
+    ["PLJ", "MZPL", "Placencia Airport", "Placencia", "BZ", 16.54, -88.36, "America/Belize"],
+    ["PLM", "WIPP", "Sultan Mahmud Badaruddin II Airport", "Palembang", "ID", -2.9, 104.7, "Asia/Jakarta"],
+    ["PLN", "KPLN", "Emmet County Airport", "Pellston", "US", 45.57, -84.79, "America/Detroit"],
+    ["PLO", "YPLC", "Port Lincoln Airport", "Port Lincoln", "AU", -34.6, 135.87, "Australia/Adelaide"],
+    ["PLQ", "EYPA", "Palanga International Airport", "Palanga", "LT", 55.95, 21.08, "Europe/Vilnius"],
+    ["PLS", "MBPV", "Providenciales International Airport", "Providenciales", "TC", 21.78, -72.26, "America/Grand_Turk"],
+    ["PLW", "WAFF", "Mutiara Airport", "Palu", "ID", -0.92, 119.91, "Asia/Makassar"],
+    ["PLX", "UASS", "Semey International Airport", "Semey", "KZ", 50.33, 80.25, "Asia/Almaty"],
+    ["PLZ", "FAPE", "Chief Dawid Stuurman International Airport", "Gqeberha (Port Elizabeth)", "ZA", -33.98, 25.61, "Africa/Johannesburg"],
+    ["PMC", "SCTE", "El Tepual Airport", "Puerto Montt", "CL", -41.43, -73.1, "America/Santiago"],
+    ["PME", null, "Portsmouth Airport", "Portsmouth", "GB", 50.8, -1.08, "Europe/London"],
+    ["PMF", "LIMP", "Parma Airport", "Parma", "IT", 44.82, 10.3, "Europe/Rome"],
+    ["PMG", "SBPP", "Ponta Pora International Airport", "Ponta Porã", "BR", -22.55, -55.7, "America/Campo_Grande"],
+    ["PMI", "LEPA", "Palma de Mallorca Airport", "Palma de Mallorca", "ES", 39.55, 2.73, "Europe/Madrid"],
+    ["PMK", "YPAM", "Palm Island Airport", "Palm Island", "AU", -18.75, 146.58, "Australia/Lindeman"],
+    ["PMM", null, "Phanom Sarakham Airport", "Phanom Sarakham", "TH", 13.76, 101.39, "Asia/Bangkok"],
+    ["PMO", "LICJ", "Palermo-Punta Raisi Airport", "Palermo", "IT", 38.19, 13.1, "Europe/Rome"],
+    ["PMQ", "SAWP", "Perito Moreno Airport", "Perito Moreno", "AR", -46.54, -70.98, "America/Argentina/Buenos_Aires"],
+    ["PMR", "NZPM", "Palmerston North Airport", "Palmerston North", "NZ", -40.32, 175.62, "Pacific/Auckland"],
+    ["PMU", null, "Paimiut Sea Plane Base", "Paimiut", "US", 61.98, -160.33, "America/Anchorage"],
+    ["PMV", "SVMG", "Santiago Marino International Airport", "Isla Margarita", "VE", 10.92, -63.97, "America/Caracas"],
+    ["PMW", "SBPJ", "Palmas–Brigadeiro Lysias Rodrigues International Airport", "Palmas", "BR", -10.29, -48.36, "America/Belem"],
+    ["PMY", "SAVY", "El Tehuelche Airport", "Puerto Madryn", "AR", -42.73, -65.07, "America/Argentina/Buenos_Aires"],
+    ["PNA", "LEPP", "Pamplona Airport", "Pamplona", "ES", 42.77, -1.64, "Europe/Madrid"],
+    ["PND", "MZPG", "Punta Gorda Airport", "Punta Gorda", "BZ", 16.1, -88.81, "America/Belize"],
+    ["PNF", null, "Peterson's Point Airport", "Peterson's Point", "US", 58.68, -156.83, "America/Anchorage"],
+    ["PNH", "VDPP", "Phnom Penh International Airport", "Phnom Penh (Pou Senchey)", "KH", 11.55, 104.85, "Asia/Phnom_Penh"],
+    ["PNI", "PTPN", "Pohnpei Airport", "Pohnpei Island", "FM", 6.98, 158.2, "Pacific/Pohnpei"],
+    ["PNK", "WIOO", "Supadio International Airport", "Pontianak", "ID", -0.15, 109.41, "Asia/Jakarta"],
+    ["PNL", "LICG", "Pantelleria Airport", "Pantelleria (TP)", "IT", 36.81, 11.97, "Europe/Rome"],
+    ["PNP", "AYGR", "Girua Airport", "Popondetta", "PG", -8.81, 148.31, "Pacific/Port_Moresby"],
+    ["PNQ", "VAPO", "Pune International Airport", "Pune", "IN", 18.58, 73.92, "Asia/Kolkata"],
+    ["PNR", "FCPP", "Pointe Noire Airport", "Pointe Noire", "CG", -4.82, 11.88, "Africa/Brazzaville"],
+    ["PNS", "KPNS", "Pensacola International Airport", "Pensacola", "US", 30.48, -87.19, "America/Chicago"],
+    ["PNT", "SCNT", "Teniente J. Gallardo Airport", "Puerto Natales", "CL", -51.67, -72.53, "America/Santiago"],
+    ["PNY", "VOTY", "Puducherry Airport", "Puducherry (Pondicherry)", "IN", 11.97, 79.81, "Asia/Kolkata"],
+    ["PNZ", "SBPL", "Petrolina International Airport", "Petrolina", "BR", -9.37, -40.57, "America/Belem"],
+    ["POA", "SBPA", "Porto Alegre International Airport Salgado Filho", "Porto Alegre", "BR", -29.99, -51.18, "America/Sao_Paulo"],
+    ["POG", "FOOG", "Port Gentil Airport", "Port Gentil", "GA", -0.72, 8.75, "Africa/Libreville"],
+    ["POL", "FQPB", "Pemba Airport", "Pemba / Porto Amelia", "MZ", -12.99, 40.52, "Africa/Maputo"],
+    ["POM", "AYPY", "Jacksons International Airport", "Port Moresby", "PG", -9.44, 147.21, "Pacific/Port_Moresby"],
+    ["POP", "MDPP", "Gregorio Luperón International Airport", "Puerto Plata", "DO", 19.75, -70.56, "America/Santo_Domingo"],
+    ["POQ", null, "Polk Inlet Airport", "Polk Inlet", "US", 55.35, -132.5, "America/Juneau"],
+    ["POR", "EFPO", "Pori Airport", "Pori", "FI", 61.47, 21.79, "Europe/Helsinki"],
+    ["POS", "TTPP", "Piarco International Airport", "Port of Spain", "TT", 10.6, -61.34, "America/Port_of_Spain"],
+    ["POZ", "EPPO", "Poznan–Lawica Airport", "Poznań", "PL", 52.41, 16.83, "Europe/Warsaw"],
+    ["PPB", "SBDN", "A. De Barros Airport", "Presidente Prudente", "BR", -22.1, -51.45, "America/Sao_Paulo"],
+    ["PPD", null, "Palmas Del Mar Air Strip", "Palmas Del Mar Air Strip", "PR", 18.15, -65.83, "America/Puerto_Rico"],
+    ["PPE", "MMPE", "Puerto Penasco Airport", "Punta Penasco", "MX", 31.35, -113.52, "America/Hermosillo"],
+    ["PPG", "NSTU", "Pago Pago International Airport", "Pago Pago", "AS", -14.33, -170.7, "Pacific/Pago_Pago"],
+    ["PPK", "UACP", "Petropavlovsk Airport", "Petropavl", "KZ", 54.78, 69.18, "Asia/Almaty"],
+    ["PPN", "SKPP", "Guillermo Leon Valencia Airport", "Popayán", "CO", 2.45, -76.61, "America/Bogota"],
+    ["PPO", null, "Powell Point Seaplane Base", "Powell Point", "BS", 24.84, -76.34, "America/Nassau"],
+    ["PPP", "YBPN", "Whitsunday Coast Airport", "Proserpine", "AU", -20.49, 148.55, "Australia/Brisbane"],
+    ["PPS", "RPVP", "Puerto Princesa International Airport", "Puerto Princesa", "PH", 9.74, 118.76, "Asia/Manila"],
+    ["PPT", "NTAA", "Tahiti Faa'a Airport", "Papeete", "PF", -17.56, -149.61, "Pacific/Tahiti"],
+    ["PPV", null, "Port Protection Airport", "Port Protection", "US", 56.33, -133.67, "America/Anchorage"],
+    ["PPW", "EGEP", "Papa Westray Airport", "Papa Westray", "GB", 59.35, -2.9, "Europe/London"],
+    ["PQC", "VVPQ", "Phu Quoc Airport", "Phu Quoc Island", "VN", 10.16, 104, "Asia/Ho_Chi_Minh"],
+    ["PQI", "KPQI", "Presque Isle International Airport", "Presque Isle", "US", 46.69, -68.05, "America/New_York"],
+    ["PQQ", "YPMQ", "Port Macquarie Airport", "Port Macquarie", "AU", -31.43, 152.87, "Australia/Sydney"],
+    ["PQS", "K0AK", "Pilot Station Airport", "Pilot Station", "US", 61.93, -162.89, "America/Anchorage"],
+    ["PQT", null, "Qeqertaq Heliport", "Qeqertaq", "GL", 70, -51.3, "America/Godthab"],
+    ["PRA", "SAAP", "General Justo Jose de Urquiza Airport", "Parana", "AR", -31.79, -60.48, "America/Argentina/Buenos_Aires"],
+    ["PRC", "KPRC", "Prescott Airport", "Prescott", "US", 34.65, -112.42, "America/Phoenix"],
+    ["PRF", null, "Port Johnson Airport", "Port Johnson", "US", 55.13, -132, "America/Juneau"],
+    ["PRG", "LKPR", "Vaclav Havel Airport Prague", "Prague", "CZ", 50.11, 14.27, "Europe/Prague"],
+    ["PRI", "FSPP", "Praslin Island Airport", "Grand Anse", "SC", -4.32, 55.69, "Indian/Mahe"],
+    ["PRJ", "LIQC", "Capri Airport", "Capri", "IT", 40.55, 14.23, "Europe/Rome"],
+    ["PRM", "LPPM", "Portimao Airport", "Portimão", "PT", 37.15, -8.58, "Europe/Lisbon"],
+    ["PRN", "BKPR", "Pristina International Airport", "Prishtina", "XK", 42.57, 21.04, "Europe/Belgrade"],
+    ["PRT", null, "Point Retreat Coast Guard Heliport", "Point Retreat Coast Guard", "US", 58.35, -134.55, "America/Juneau"],
+    ["PSA", "LIRP", "Pisa International Airport", "Pisa", "IT", 43.7, 10.4, "Europe/Rome"],
+    ["PSC", "KPSC", "Tri-Cities Airport", "Pasco", "US", 46.26, -119.12, "America/New_York"],
+    ["PSE", "TJPS", "Mercedita Airport", "Ponce", "PR", 18.01, -66.56, "America/Puerto_Rico"],
+    ["PSG", "PAPG", "Petersburg Municipal Airport", "Petersburg", "US", 56.8, -132.94, "America/Juneau"],
+    ["PSM", "KPSM", "Portsmouth International Airport at Pease", "Portsmouth", "US", 43.18, -70.88, "America/New_York"],
+    ["PSO", "SKPS", "Antonio Nariño Airport", "Chachagüí", "CO", 1.47, -77.25, "America/Bogota"],
+    ["PSP", "KPSP", "Palm Springs International Airport", "Palm Springs", "US", 33.82, -116.51, "America/Los_Angeles"],
+    ["PSR", "LIBP", "Abruzzo Airport", "Pescara", "IT", 42.44, 14.19, "Europe/Rome"],
+    ["PSS", "SARP", "Posadas Airport", "Posadas", "AR", -27.38, -55.97, "America/Argentina/Buenos_Aires"],
+    ["PSU", "WIOP", "Putussibau Airport", "Putussibau-Borneo Island", "ID", 0.83, 112.93, "Asia/Makassar"],
+    ["PSY", "SFAL", "Port Stanley Airport", "Stanley", "FK", -51.7, -57.85, "Atlantic/Stanley"],
+    ["PSZ", "SLPS", "Puerto Suarez Airport", "Puerto Suárez", "BO", -18.98, -57.82, "America/La_Paz"],
+    ["PTA", "PALJ", "Port Alsworth Airport", "Port alsworth", "US", 60.2, -154.32, "America/Anchorage"],
+    ["PTD", "PAAP", "Port Alexander Airport", "Port Alexander", "US", 56.25, -134.65, "America/Sitka"],
+    ["PTF", "NFFO", "Malololailai Airport", "Malolo Lailai Island", "FJ", -17.78, 177.22, "Pacific/Fiji"],
+    ["PTG", "FAPP", "Polokwane International Airport", "Polokwane", "ZA", -23.85, 29.46, "Africa/Johannesburg"],
+    ["PTH", "PAPH", "Port Heiden Airport", "Port Heiden", "US", 56.96, -158.64, "America/Anchorage"],
+    ["PTI", null, "Port Douglas Airport", "Port Douglas", "AU", -16.49, 145.46, "Australia/Brisbane"],
+    ["PTJ", "YPOD", "Portland Airport (Victoria)", "Portland", "AU", -38.32, 141.47, "Australia/Melbourne"],
+    ["PTO", "SSPB", "Juvenal Loureiro Cardoso Airport", "Juvenal Loureiro Cardoso", "BR", -26.22, -52.67, "America/Sao_Paulo"],
+    ["PTP", "TFFR", "Pointe-a-Pitre International Airport", "Pointe-à-Pitre", "GP", 16.27, -61.53, "America/Guadeloupe"],
+    ["PTR", null, "Pleasant Harbor Airport", "Pleasant Harbor", "US", 57.75, -152.83, "America/Anchorage"],
+    ["PTU", "PAPM", "Platinum Airport", "Platinum", "US", 59.01, -161.82, "America/Anchorage"],
+    ["PTY", "MPTO", "Tocumen International Airport", "Tocumen", "PA", 9.07, -79.39, "America/Panama"],
+    ["PTZ", "SESM", "Pastaza Airport", "Pastaza", "EC", -2, -77, "America/Guayaquil"],
+    ["PUB", "KPUB", "Pueblo Memorial Airport", "Pueblo", "US", 38.28, -104.5, "America/Denver"],
+    ["PUD", "SAWD", "Puerto Deseado Airport", "Puerto Deseado", "AR", -47.75, -65.92, "America/Argentina/Buenos_Aires"],
+    ["PUF", "LFBP", "Pau-Pyrenees Airport", "Pau/Pyrénées (Uzein)", "FR", 43.38, -0.41, "Europe/Paris"],
+    ["PUG", "YPAG", "Port Augusta Airport", "Argyle", "AU", -32.5, 137.77, "Australia/Adelaide"],
+    ["PUH", null, "Pochutla Airport", "Pochutla", "MX", 15.73, -96.47, "America/Mexico_City"],
+    ["PUJ", "MDPC", "Punta Cana International Airport", "Punta Cana", "DO", 18.56, -68.36, "America/Santo_Domingo"],
+    ["PUM", null, "Pomala Airport", "Pomala", "ID", -4.18, 121.62, "Asia/Makassar"],
+    ["PUQ", "SCCI", "Pres Ibanez Airport", "Punta Arenas", "CL", -53.01, -70.84, "America/Santiago"],
+    ["PUR", "SLPR", "Puerto Rico Airport", "Puerto Rico/Manuripi", "BO", -11.11, -67.52, "America/La_Paz"],
+    ["PUS", "RKPK", "Gimhae International Airport", "Busan", "KR", 35.18, 128.95, "Asia/Seoul"],
+    ["PUU", "SKAS", "Puerto Asis Airport", "Puerto Asís", "CO", 0.53, -76.53, "America/Bogota"],
+    ["PUW", "KPUW", "Pullman–Moscow Regional Airport", "Pullman/Moscow", "US", 46.74, -117.1, "America/Los_Angeles"],
+    ["PUY", "LDPL", "Pula Airport", "Pula", "HR", 44.89, 13.92, "Europe/Zagreb"],
+    ["PUZ", "MNPC", "Puerto Cabezas Airport", "Puerto Cabezas", "NI", 14.05, -83.38, "America/Managua"],
+    ["PVA", "SKPV", "Providencia Airport", "Providencia", "CO", 13.35, -81.35, "America/Bogota"],
+    ["PVD", "KPVD", "T. F. Green Airport", "Warwick", "US", 41.73, -71.44, "America/New_York"],
+    ["PVG", "ZSPD", "Shanghai Pudong International Airport", "Shanghai (Pudong)", "CN", 31.15, 121.8, "Asia/Shanghai"],
+    ["PVH", "SBPV", "Porto Velho International Airport", "Porto Velho", "BR", -8.71, -63.9, "America/Porto_Velho"],
+    ["PVK", "LGPZ", "Aktion Airport", "Preveza/Lefkada", "GR", 38.93, 20.77, "Europe/Athens"],
+    ["PVN", null, "Pleven Airport", "Pleven", "BG", 43.42, 24.62, "Europe/Sofia"],
+    ["PVR", "MMPR", "Gustavo Diaz Ordaz International Airport", "Ciudad de Puerto Vallarta", "MX", 20.68, -105.25, "America/Mexico_City"],
+    ["PVU", "KPVU", "Provo Airport", "Provo", "US", 40.22, -111.72, "America/Denver"],
+    ["PVZ", "KPVZ", "Casement Airport", "Casement", "US", 41.72, -81.25, "America/New_York"],
+    ["PWE", "UHMP", "Pevek Airport", "Apapelgino", "RU", 69.78, 170.6, "Asia/Anadyr"],
+    ["PWM", "KPWM", "Portland International Jetport", "Portland", "US", 43.65, -70.31, "America/New_York"],
+    ["PWQ", "UASP", "Pavlodar Airport", "Pavlodar", "KZ", 52.18, 77.07, "Asia/Almaty"],
+    ["PXH", "YPMH", "Prominent Hill Airport", "Prominent Hill", "AU", -29.71, 135.53, "Australia/Adelaide"],
+    ["PXM", "MMPS", "Puerto Escondido Airport", "Puerto Escondido", "MX", 15.85, -97.08, "America/Mexico_City"],
+    ["PXO", "LPPS", "Porto Santo Airport", "Vila Baleira", "PT", 33.07, -16.35, "Atlantic/Madeira"],
+    ["PXR", "VTUJ", "Surin Airport", "Surin", "TH", 14.87, 103.5, "Asia/Bangkok"],
+    ["PXS", null, "Puerto De Santa Maria Airport", "Puerto De Santa Maria", "ES", 36.6, -6.22, "Europe/Madrid"],
+    ["PXU", "VVPK", "Pleiku Airport", "Pleiku", "VN", 14.01, 108.01, "Asia/Ho_Chi_Minh"],
+    ["PYG", "VEPY", "Pakyong Airport", "Pakyong", "IN", 27.23, 88.59, "Asia/Kolkata"],
+    ["PYJ", "UERP", "Polyarnyj Airport", "Yakutia", "RU", 66.42, 112.05, "Asia/Yakutsk"],
+    ["PYK", "OIIP", "Payam", "Karaj", "IR", 35.89, 50.89, "Asia/Tehran"],
+    ["PYT", "SNZR", "Paracatu Airport", "Paracatu", "BR", -17.33, -47.01, "America/Sao_Paulo"],
+    ["PZB", "FAPM", "Pietermaritzburg Airport", "Pietermaritzburg", "ZA", -29.64, 30.4, "Africa/Johannesburg"],
+    ["PZE", "EGHK", "Penzance Heliport", "Penzance", "GB", 50.13, -5.52, "Europe/London"],
+    ["PZH", "OPZB", "Zhob Airport", "Fort Sandeman", "PK", 31.36, 69.46, "Asia/Karachi"],
+    ["PZI", "ZUZH", "Pan Zhi Hua Bao An Ying", "Panzhihua (Renhe)", "CN", 26.54, 101.79, "Asia/Shanghai"],
+    ["PZO", "SVPR", "Manuel Carlos Piar Guayana Airport", "Puerto Ordaz-Ciudad Guayana", "VE", 8.29, -62.76, "America/Caracas"],
+    ["PZU", "HSPN", "Port Sudan New International Airport", "Port Sudan", "SD", 19.58, 37.21, "Africa/Khartoum"],
+    ["QBC", "CYBD", "Bella Coola Airport", "Bella Coola", "CA", 52.33, -126.67, "America/Vancouver"],
+    ["QCU", "BGAK", "Akunnaaq Heliport", "Akunnaaq", "GL", 68.75, -52.33, "America/Godthab"],
+    ["QEA", "EKAC", "Aarhus Sea Airport", "Aarhus Sea", "DK", 56.15, 10.25, "Europe/Berlin"],
+    ["QEC", "EKCC", "Copenhagen Sea Airport", "Copenhagen Sea", "DK", 55.69, 12.6, "Europe/Berlin"],
+    ["QFG", "LFGF", "Eqalugaarsuit Heliport", "Eqalugaarsuit", "GL", 60.62, -45.91, "America/Godthab"],
+    ["QFI", "LFDI", "Iginniarfik Heliport", "Iginniarfik", "GL", 68.15, -53.17, "America/Godthab"],
+    ["QFN", "LFCN", "Narsaq Kujalleq Heliport", "Narsaq Kujalleq", "GL", 60, -44.66, "America/Godthab"],
+    ["QFX", "LFMS", "Igaliku Heliport", "Igaliku", "GL", 60.99, -45.42, "America/Godthab"],
+    ["QGQ", "BGAT", "Attu Heliport", "Attu", "GL", 67.94, -53.62, "America/Godthab"],
+    ["QGY", "LHPR", "Gyor-Per International Airport", "Gyor-Per", "HU", 47.63, 17.81, "Europe/Budapest"],
+    ["QHV", "SSNH", "Novo Hamburgo", "Novo Hamburgo", "BR", -29.81, -51.22, "America/Sao_Paulo"],
+    ["QJE", "BGKT", "Kitsissuarsuit Heliport", "Kitsissuarsuit", "GL", 68.86, -53.12, "America/Godthab"],
+    ["QJH", "EDQH", "Herzogenaurach", "Herzogenaurach", "DE", 49.59, 10.94, "Europe/Berlin"],
+    ["QJI", "ETHN", "Niederstetten Army", "Ikamiut", "DE", 49.47, 10.03, "Europe/Berlin"],
+    ["QLX", null, "Lauterach Airport", "Lauterach", "AT", 47.48, 9.73, "Europe/Vienna"],
+    ["QMA", "EKAT", "Anholt", "Anholt", "DK", 56.84, 11.61, "Europe/Copenhagen"],
+    ["QNC", "KPCW", "Neuchatel railway station", "Neuchatel", "CH", 47, 6.94, "Europe/Zurich"],
+    ["QOQ", "BGSO", "Saarloq Heliport", "Saarloq", "GL", 60.54, -46.02, "America/Godthab"],
+    ["QOW", "DNIM", "Sam Mbakwe International Airport", "Owerri", "NG", 5.43, 7.2, "Africa/Lagos"],
+    ["QPW", "EPGL", "Gliwice", "Kangaatsiaq", "PL", 50.29, 18.73, "Europe/Warsaw"],
+    ["QQW", "KAWO", "London Waterloo railway station", "London Waterloo railway station", "GB", 51.5, -0.11, "Europe/London"],
+    ["QRE", "SSKZ", "Carazinho", "Carazinho", "BR", -28.36, -52.96, "America/Campo_Grande"],
+    ["QRO", "MMQT", "Queretaro Intercontinental Airport", "Querétaro", "MX", 20.62, -100.19, "America/Mexico_City"],
+    ["QRW", "DNSU", "Osubi Airstrip", "Warri", "NG", 5.59, 5.82, "Africa/Lagos"],
+    ["QRY", "EDVY", "Ikerasaarsuk Heliport", "Ikerasaarsuk", "GL", 68.14, -53.44, "America/Godthab"],
+    ["QSF", "DAAS", "Setif Airport", "Sétif", "DZ", 36.18, 5.33, "Africa/Algiers"],
+    ["QSR", "LIRI", "Salerno Costa d'Amalfi Airport", "Salerno", "IT", 40.62, 14.92, "Europe/Rome"],
+    ["QSZ", "ZWSC", "Shache Yeerqiang Airport", "Shache", "CN", 38.24, 77.06, "Asia/Shanghai"],
+    ["QTX", "KCVX", "Charlevoix Municipal", "Charlevoix Municipal", "US", 45.35, -85.35, "America/New_York"],
+    ["QUO", "DNAI", "Akwa Ibom Airport", "Uyo", "NG", 4.88, 8.09, "Africa/Lagos"],
+    ["QUP", "BGSQ", "Saqqaq Heliport", "Saqqaq", "GL", 70.05, -52, "America/Godthab"],
+    ["QUU", "EDHE", "Uetersen Airport", "Uetersen", "DE", 53.65, 9.71, "Europe/Berlin"],
+    ["QUV", "ESGV", "Aappilattoq Heliport (Kujalleq)", "Aappilattoq", "GL", 60.15, -44.29, "America/Godthab"],
+    ["QUW", "BGAS", "Ammassivik Heliport", "Ammassivik", "GL", 60.6, -45.38, "America/Godthab"],
+    ["QXC", "SNXS", "Caxias", "Caxias", "BR", -4.87, -43.36, "America/Belem"],
+    ["RAB", "AYTK", "Tokua Airport", "Kokopo", "PG", -4.34, 152.38, "Pacific/Port_Moresby"],
+    ["RAE", "OERR", "Arar Airport", "Arar", "SA", 30.9, 41.14, "Asia/Riyadh"],
+    ["RAH", "OERF", "Rafha Airport", "Rafha", "SA", 29.62, 43.49, "Asia/Riyadh"],
+    ["RAI", "GVNP", "Nelson Mandela International Airport", "Praia", "CV", 14.95, -23.49, "Atlantic/Cape_Verde"],
+    ["RAJ", "VARK", "Rajkot Airport", "Rajkot", "IN", 22.31, 70.78, "Asia/Kolkata"],
+    ["RAK", "GMMX", "Marrakech Menara Airport", "Marrakech", "MA", 31.6, -8.03, "Africa/Casablanca"],
+    ["RAM", "YRNG", "Ramingining Airport", "Ramingining", "AU", -12, 134.82, "Australia/Darwin"],
+    ["RAO", "SBRP", "Dr. Leite Lopes State Airport", "Ribeirão Preto", "BR", -21.14, -47.78, "America/Sao_Paulo"],
+    ["RAP", "KRAP", "Rapid City Regional Airport", "Rapid City", "US", 44.04, -103.06, "America/Denver"],
+    ["RAR", "NCRG", "Rarotonga Airport", "Avarua", "CK", -21.2, -159.8, "Pacific/Rarotonga"],
+    ["RAS", "OIGG", "Rasht Airport", "Rasht", "IR", 37.32, 49.62, "Asia/Tehran"],
+    ["RAU", null, "Rangpur Airport", "Rangpur", "BD", 25.7, 89.37, "Asia/Dhaka"],
+    ["RAY", null, "Rothsay Heliport", "Rothsay", "GB", 55.83, -3.97, "Europe/London"],
+    ["RBA", "GMME", "Rabat Sale Airport", "Rabat", "MA", 34.04, -6.75, "Africa/Casablanca"],
+    ["RBB", "SWBR", "Borba Airport", "Borba", "BR", -4.4, -59.58, "America/Manaus"],
+    ["RBN", null, "Fort Jefferson Airport", "Fort Jefferson", "US", 24.62, -82.87, "America/New_York"],
+    ["RBQ", "SLRQ", "Rurrenabaque Airport", "Rerrenabaque", "BO", -14.45, -67.55, "America/La_Paz"],
+    ["RBR", "SBRB", "Rio Branco-Plácido de Castro International Airport", "Rio Branco", "BR", -9.97, -67.8, "America/Rio_Branco"],
+    ["RBV", "AGRM", "Ramata Airport", "Ramata", "SB", -8.17, 157.64, "Pacific/Guadalcanal"],
+    ["RBY", "PARY", "Ruby Airport", "Ruby", "US", 64.73, -155.46, "America/Anchorage"],
+    ["RCB", "FARB", "Richards Bay Airport", "Richards Bay", "ZA", -28.74, 32.09, "Africa/Johannesburg"],
+    ["RCE", "KW39", "Roche Harbor Airport", "Roche Harbor", "US", 48.58, -123.17, "America/Los_Angeles"],
+    ["RCH", "SKRH", "Riohacha Airport", "Riohacha", "CO", 11.53, -72.92, "America/Bogota"],
+    ["RCM", "YRMD", "Richmond Airport", "Richmond", "AU", -20.7, 143.12, "Australia/Brisbane"],
+    ["RCP", null, "Cinder Park Airport", "Cinder Park", "US", 57.08, -157.81, "America/Anchorage"],
+    ["RDD", "KRDD", "Redding Municipal Airport", "Redding", "US", 40.51, -122.3, "America/Los_Angeles"],
+    ["RDL", null, "Al Bardawil International Airport", "Al Bardawil", "EG", 30.41, 33.15, "Africa/Cairo"],
+    ["RDM", "KRDM", "Roberts Field Redmond Municipal Airport", "Redmond", "US", 44.25, -121.16, "America/Los_Angeles"],
+    ["RDO", "EPRA", "Warsaw Radom Airport", "Radom", "PL", 51.39, 21.21, "Europe/Warsaw"],
+    ["RDP", "VEDG", "Kazi Nazrul Islam Airport", "Durgapur", "IN", 23.62, 87.24, "Asia/Kolkata"],
+    ["RDU", "KRDU", "Raleigh-Durham International Airport", "Raleigh/Durham", "US", 35.87, -78.79, "America/New_York"],
+    ["RDV", null, "Red Devil Airport", "Red Devil", "US", 61.79, -157.35, "America/Anchorage"],
+    ["RDZ", "LFCR", "Marcillac Airport", "Rodez/Marcillac", "FR", 44.41, 2.48, "Europe/Paris"],
+    ["REC", "SBRF", "Recife International Airport", "Recife", "BR", -8.13, -34.92, "America/Belem"],
+    ["REG", "LICR", "Tito Menniti Airport", "Reggio Calabria", "IT", 38.08, 15.65, "Europe/Rome"],
+    ["REH", null, "Rehoboth Beach Airport", "Rehoboth Beach", "US", 38.7, -75.1, "America/New_York"],
+    ["REL", "SAVT", "Trelew Airport", "Rawson", "AR", -43.23, -65.32, "America/Argentina/Buenos_Aires"],
+    ["REN", "UWOO", "Orenburg Airport", "Orenburg", "RU", 51.79, 55.46, "Asia/Yekaterinburg"],
+    ["REP", "VDSR", "Siem Reap International Airport", "Siem Reap", "KH", 13.41, 103.81, "Asia/Phnom_Penh"],
+    ["RER", "MGRT", "Retalhuleu Airport", "Retalhuleu", "GT", 14.52, -91.7, "America/Guatemala"],
+    ["RES", "SARE", "Resistencia Airport", "Resistencia", "AR", -27.45, -59.05, "America/Argentina/Buenos_Aires"],
+    ["RET", "ENRS", "Rost Airport", "Røst", "NO", 67.48, 12.08, "Europe/Oslo"],
+    ["REU", "LERS", "Reus Airport", "Reus", "ES", 41.15, 1.15, "Europe/Madrid"],
+    ["REW", "VERW", "Rewa Airport", "Rewa", "IN", 24.53, 81.3, "Asia/Kolkata"],
+    ["REX", "MMRX", "Gen Lucio Blanco International Airport", "Reynosa", "MX", 26.01, -98.23, "America/Matamoros"],
+    ["RFD", "KRFD", "Chicago Rockford International Airport", "Chicago/Rockford", "US", 42.2, -89.1, "America/Chicago"],
+    ["RFP", "NTTR", "Raiatea Airport", "Uturoa", "PF", -16.73, -151.47, "Pacific/Tahiti"],
+    ["RGA", "SAWE", "Hermes Quijada Airport", "Rio Grande", "AR", -53.78, -67.75, "America/Argentina/Ushuaia"],
+    ["RGI", "NTTG", "Rangiroa Airport", "Rangiroa", "PF", -14.96, -147.66, "Pacific/Tahiti"],
+    ["RGL", "SAWG", "Piloto N. Fernandez Airport", "Rio Gallegos", "AR", -51.62, -69.28, "America/Argentina/Rio_Gallegos"],
+    ["RGN", "VYYY", "Yangon International Airport", "Yangon", "MM", 16.9, 96.13, "Asia/Yangon"],
+    ["RGO", "ZKHM", "Chongjin Orang Airport", "Hoemun-ri", "KP", 41.43, 129.65, "Asia/Pyongyang"],
+    ["RHD", "SANR", "Termas de Rio Hondo Airport", "Termas de Río Hondo", "AR", -27.53, -64.95, "America/Argentina/Buenos_Aires"],
+    ["RHI", "KRHI", "Oneida County Airport", "Rhinelander", "US", 45.63, -89.46, "America/Chicago"],
+    ["RHO", "LGRP", "Rhodes Airport", "Rodes Island", "GR", 36.4, 28.09, "Europe/Athens"],
+    ["RHT", "ZBAR", "Alxa Right Banner Badanjilin Airport", "Alxa Right Banner", "CN", 39.21, 101.64, "Asia/Shanghai"],
+    ["RIA", "SBSM", "Santa Maria Airport", "Santa Maria", "BR", -29.71, -53.69, "America/Sao_Paulo"],
+    ["RIB", "SLRI", "Riberalta Airport", "Riberalta", "BO", -11.01, -66.09, "America/La_Paz"],
+    ["RIC", "KRIC", "Richmond International Airport (Byrd Field)", "Richmond", "US", 37.51, -77.32, "America/New_York"],
+    ["RIH", "MPSM", "Scarlett Martinez International Airport", "Rio Hato", "PA", 8.37, -80.13, "America/Panama"],
+    ["RIS", "RJER", "Rishiri Airport", "Rishiri", "JP", 45.18, 141.25, "Asia/Tokyo"],
+    ["RIT", null, "Rio Tigre Airport", "Rio Tigre", "PA", 7.83, -80.8, "America/Panama"],
+    ["RIW", "KRIW", "Riverton Airport", "Riverton", "US", 43.06, -108.46, "America/Denver"],
+    ["RIX", "EVRA", "Riga International Airport", "Riga", "LV", 56.92, 23.98, "Europe/Riga"],
+    ["RIY", "OYRN", "Riyan Airport", "Riyan", "YE", 14.67, 49.37, "Asia/Aden"],
+    ["RIZ", "ZSRZ", "Rizhao Shanzihe Airport", "Rizhao", "CN", 35.4, 119.32, "Asia/Shanghai"],
+    ["RJA", "VORY", "Rajahmundry Airport", "Madhurapudi", "IN", 17.11, 81.82, "Asia/Kolkata"],
+    ["RJH", "VGRJ", "Rajshahi Airport", "Rajshahi", "BD", 24.43, 88.62, "Asia/Dhaka"],
+    ["RJK", "LDRI", "Rijeka Airport", "Rijeka", "HR", 45.22, 14.57, "Europe/Zagreb"],
+    ["RJM", "WASN", "Marinda Airport", "Marinda", "ID", -0.42, 130.77, "Asia/Jayapura"],
+    ["RJN", "OIKR", "Rafsanjan Airport", "Rafsanjan", "IR", 30.3, 56.06, "Asia/Tehran"],
+    ["RKC", null, "Yreka Airport", "Yreka", "US", 41.73, -122.63, "America/Los_Angeles"],
+    ["RKD", "KRKD", "Knox County Regional Airport", "Rockland", "US", 44.06, -69.1, "America/New_York"],
+    ["RKE", "EKRK", "Roskilde Airport", "Copenhagen", "DK", 55.59, 12.13, "Europe/Copenhagen"],
+    ["RKI", "WIBR", "Rokot Airport", "Rokot", "ID", -0.95, 100.75, "Asia/Jakarta"],
+    ["RKS", "KRKS", "Southwest Wyoming Regional Airport", "Rock Springs", "US", 41.6, -109.07, "America/Denver"],
+    ["RKT", "OMRK", "Ras Al Khaimah International Airport", "Ras Al Khaimah", "AE", 25.62, 55.94, "Asia/Dubai"],
+    ["RKV", "BIRK", "Reykjavik Domestic Airport", "Reykjavik", "IS", 64.13, -21.93, "Atlantic/Reykjavik"],
+    ["RKZ", "ZURK", "Shigatse Peace Airport", "Xigazê (Samzhubzê)", "CN", 29.35, 89.31, "Asia/Shanghai"],
+    ["RLG", "ETNL", "Rostock–Laage Airport", "Rostock", "DE", 53.92, 12.27, "Europe/Berlin"],
+    ["RLI", null, "Reilly Army Heliport", "Reilly Army", "US", 33.67, -85.85, "America/Chicago"],
+    ["RLK", "ZBYZ", "Bayannur Tianjitai Airport", "Bavannur", "CN", 40.93, 107.74, "Asia/Shanghai"],
+    ["RLU", null, "Bornite Upper Airport", "Bornite Upper", "US", 67.75, -156, "America/Anchorage"],
+    ["RMA", "YROM", "Roma Airport", "Roma", "AU", -26.54, 148.78, "Australia/Brisbane"],
+    ["RMF", "HEMA", "Marsa Alam International Airport", "Marsa Alam", "EG", 25.56, 34.59, "Africa/Cairo"],
+    ["RMI", "LIPR", "Federico Fellini International Airport", "Rimini", "IT", 44.02, 12.62, "Europe/Rome"],
+    ["RML", "VCCC", "Ratmalana Airport", "Colombo", "LK", 6.82, 79.89, "Asia/Colombo"],
+    ["RMO", "LUKK", "Chisinau International Airport", "Chisinau", "MD", 46.94, 28.93, "Europe/Chisinau"],
+    ["RMP", "PFMP", "Rampart Airport", "Rampart", "US", 65.51, -150.14, "America/Anchorage"],
+    ["RMQ", "RCMQ", "Taichung International Airport", "Taichung (Qingshui)", "TW", 24.25, 120.6, "Asia/Taipei"],
+    ["RMT", "NTAM", "Rimatara Airport", "Rimatara", "PF", -22.64, -152.81, "Pacific/Gambier"],
+    ["RMU", "LEMI", "Murcia-Corvera Airport", "Corvera", "ES", 37.8, -1.13, "Europe/Madrid"],
+    ["RMZ", "USTJ", "Tobolsk Remezov Airport", "Tobolsk Remezov", "RU", 58.06, 68.35, "Asia/Yekaterinburg"],
+    ["RNB", "ESDF", "Kallinge Airport", "Ronneby", "SE", 56.26, 15.26, "Europe/Stockholm"],
+    ["RNJ", "RORY", "Yoron Airport", "Yoron", "JP", 27.04, 128.41, "Asia/Tokyo"],
+    ["RNL", "AGGR", "Rennell Airport", "Rennell Island", "SB", -11.67, 160.3, "Pacific/Guadalcanal"],
+    ["RNN", "EKRN", "Bornholm Airport", "Rønne", "DK", 55.06, 14.76, "Europe/Copenhagen"],
+    ["RNO", "KRNO", "Reno/Tahoe International Airport", "Reno", "US", 39.51, -119.78, "America/Los_Angeles"],
+    ["RNP", null, "Rongelap Airport", "Rongelap", "MH", 11.15, 166.88, "Pacific/Majuro"],
+    ["RNS", "LFRN", "Airport Rennes Bretagne", "Rennes/Saint-Jacques", "FR", 48.07, -1.73, "Europe/Paris"],
+    ["ROA", "KROA", "Roanoke-Blacksburg Regional Airport", "Roanoke", "US", 37.32, -79.97, "America/New_York"],
+    ["ROB", "GLRB", "Roberts International Airport", "Monrovia", "LR", 6.24, -10.36, "Africa/Monrovia"],
+    ["ROC", "KROC", "Greater Rochester International Airport", "Rochester", "US", 43.13, -77.67, "America/New_York"],
+    ["ROI", "VTUV", "Roi Et Airport", "Roi Et", "TH", 16.12, 103.77, "Asia/Bangkok"],
+    ["ROK", "YBRK", "Rockhampton Airport", "Rockhampton", "AU", -23.38, 150.48, "Australia/Brisbane"],
+    ["ROO", "SWRD", "Rondonopolis Airport", "Rondonópolis", "BR", -16.43, -54.72, "America/Campo_Grande"],
+    ["ROP", "PGRO", "Rota Airport", "Rota Island", "MP", 14.17, 145.24, "Pacific/Saipan"],
+    ["ROR", "PTRO", "Airai Airport", "Babelthuap Island", "PW", 7.36, 134.53, "Pacific/Palau"],
+    ["ROS", "SAAR", "Aeropuerto Internacional de Rosario Islas Malvinas", "Rosario", "AR", -32.93, -60.78, "America/Argentina/Buenos_Aires"],
+    ["ROT", "NZRO", "Rotorua International Airport", "Rotorua", "NZ", -38.11, 176.32, "Pacific/Auckland"],
+    ["ROV", "URRP", "Platov International Airport", "Rostov-on-Don", "RU", 47.49, 39.93, "Europe/Moscow"],
+    ["ROW", "KROW", "Roswell International Air Center", "Roswell", "US", 33.31, -104.53, "America/Denver"],
+    ["RPR", "VARP", "Swami Vivekananda Airport", "Raipur", "IN", 21.18, 81.74, "Asia/Kolkata"],
+    ["RQA", "ZWRQ", "Ruoqiang Loulan Airport", "Ruoqiang Town", "CN", 38.97, 88.01, "Asia/Shanghai"],
+    ["RRA", null, "Ronda Airport", "Ronda", "ES", 36.75, -5.17, "Europe/Madrid"],
+    ["RRG", "FIMR", "Rodrigues Island Airport", "Port Mathurin", "MU", -19.75, 63.35, "Indian/Mauritius"],
+    ["RRR", "NTKO", "Raroia Airport", "Raroia", "PF", -16.04, -142.48, "Pacific/Tahiti"],
+    ["RRS", "ENRO", "Roros Airport", "Røros", "NO", 62.58, 11.35, "Europe/Oslo"],
+    ["RSA", "SAZR", "Santa Rosa Airport", "Santa Rosa", "AR", -36.57, -64.27, "America/Argentina/Buenos_Aires"],
+    ["RSG", null, "Serra Pelada Airport", "Serra Pelada", "BR", -5.95, -49.65, "America/Belem"],
+    ["RSH", "PARS", "Russian Mission Airport", "Russian Mission", "US", 61.78, -161.32, "America/Anchorage"],
+    ["RSI", "OERS", "Red Sea International Airport", "Red Sea", "SA", 25.63, 37.08, "Asia/Riyadh"],
+    ["RSJ", null, "Rosario Sea Plane Base", "Rosario", "US", 48.65, -122.87, "America/Los_Angeles"],
+    ["RSP", null, "Raspberry Strait Airport", "Raspberry Strait", "US", 58.17, -154.83, "America/Anchorage"],
+    ["RST", "KRST", "Rochester International Airport", "Rochester", "US", 43.91, -92.49, "America/Chicago"],
+    ["RSU", "RKJY", "Yeosu Airport", "Yeosu", "KR", 34.84, 127.61, "Asia/Seoul"],
+    ["RSW", "KRSW", "Southwest Florida International Airport", "Fort Myers", "US", 26.53, -81.76, "America/New_York"],
+    ["RTA", "NFNR", "Rotuma Island Airport", "Rotuma", "FJ", -12.48, 177.07, "Pacific/Fiji"],
+    ["RTB", "MHRO", "Roatan Airport", "Coxen Hole", "HN", 16.32, -86.53, "America/Tegucigalpa"],
+    ["RTD", null, "Rotunda Airport", "Rotunda", "US", 26.87, -82.27, "America/New_York"],
+    ["RTG", "WATG", "Frans Sales Lega Airport", "Ruteng", "ID", -8.6, 120.48, "Asia/Makassar"],
+    ["RTM", "EHRD", "Rotterdam The Hague Airport", "Rotterdam", "NL", 51.95, 4.43, "Europe/Amsterdam"],
+    ["RUA", "HUAR", "Arua Airport", "Arua", "UG", 3.03, 30.93, "Africa/Kampala"],
+    ["RUH", "OERK", "King Khaled International Airport", "Riyadh", "SA", 24.96, 46.7, "Asia/Riyadh"],
+    ["RUL", "VRQM", "Maavarulu Airport", "Maavarulu", "MV", 0.34, 73.51, "Indian/Maldives"],
+    ["RUN", "FMEE", "Reunion Roland Garros Airport", "Sainte-Marie", "RE", -20.89, 55.51, "Indian/Reunion"],
+    ["RUR", "NTAR", "Rurutu Airport", "Rurutu", "PF", -22.43, -151.33, "Pacific/Tahiti"],
+    ["RUS", "AGGU", "Marau Sound Airport", "Marau", "SB", -8.5, 161.25, "Pacific/Guadalcanal"],
+    ["RUT", "KRUT", "Rutland Airport", "Rutland", "US", 43.53, -72.95, "America/New_York"],
+    ["RVE", "SKSA", "Saravena Airport", "Saravena", "CO", 6.92, -71.9, "America/Bogota"],
+    ["RVK", "ENRM", "Rorvik Airport, Ryumsjoen", "Rørvik", "NO", 64.88, 11.23, "Europe/Oslo"],
+    ["RVN", "EFRO", "Rovaniemi Airport", "Rovaniemi", "FI", 66.56, 25.83, "Europe/Helsinki"],
+    ["RVV", "NTAV", "Raivavae Airport", "Raivavae", "PF", -25.88, -147.65, "Pacific/Tahiti"],
+    ["RWB", null, "Rowan Bay Airport", "Rowan Bay", "US", 56.75, -134.13, "America/Sitka"],
+    ["RWN", "UKLR", "Rovno Airport", "Rivne", "UA", 50.6, 26.15, "Europe/Kyiv"],
+    ["RWS", null, "Sumare Airport", "Sumare", "BR", -22.8, -47.19, "America/Sao_Paulo"],
+    ["RXS", "RPVR", "Roxas City Airport", "Roxas City", "PH", 11.6, 122.75, "Asia/Manila"],
+    ["RYB", "UUBK", "Rybinsk Airport", "Rybinsk", "RU", 58.13, 38.87, "Europe/Moscow"],
+    ["RYK", "OPRK", "Rahim Yar Khan Airport", "Rahim Yar Khan", "PK", 28.39, 70.29, "Asia/Karachi"],
+    ["RYO", "SAWT", "Rio Turbio Airport", "Rio Turbio", "AR", -51.6, -72.22, "America/Argentina/Buenos_Aires"],
+    ["RZE", "EPRZ", "Rzeszow International Airport", "Rzeszów", "PL", 50.12, 22.03, "Europe/Warsaw"],
+    ["RZR", "OINR", "Ramsar Airport", "Ramsar", "IR", 36.9, 50.68, "Asia/Tehran"],
+    ["RZV", "LTFO", "Rize–Artvin Airport", "Rize", "TR", 41.17, 40.83, "Europe/Istanbul"],
+    ["SAB", "TNCS", "J. Yrausquin Airport", "Saba", "BQ", 17.65, -63.22, "America/Curacao"],
+    ["SAE", "BGST", "Saattut Heliport", "Saattut", "GL", 70.81, -51.63, "America/Godthab"],
+    ["SAF", "KSAF", "Santa Fe Regional Airport", "Santa Fe", "US", 35.62, -106.09, "America/Denver"],
+    ["SAG", "VASD", "Shirdi Airport", "Kakadi", "IN", 19.69, 74.38, "Asia/Kolkata"],
+    ["SAH", "OYSN", "Sana'a International Airport", "Sana'a", "YE", 15.47, 44.23, "Asia/Aden"],
+    ["SAI", "VDSA", "Siem Reap–Angkor International Airport", "Siem Reap–Angkor", "KH", 13.38, 104.22, "Asia/Phnom_Penh"],
+    ["SAJ", null, "Sirajganj Airport", "Sirajganj", "BD", 24.42, 89.78, "Asia/Dhaka"],
+    ["SAL", "MSLP", "El Salvador International Airport", "San Salvador (San Luis Talpa)", "SV", 13.45, -89.06, "America/El_Salvador"],
+    ["SAN", "KSAN", "San Diego International Airport", "San Diego", "US", 32.73, -117.2, "America/Los_Angeles"],
+    ["SAP", "MHLM", "Ramon Villeda Morales International Airport", "San Pedro Sula", "HN", 15.46, -87.93, "America/Tegucigalpa"],
+    ["SAQ", "MYAN", "San Andros Airport", "Andros Island", "BS", 25.05, -78.05, "America/Nassau"],
+    ["SAT", "KSAT", "San Antonio International Airport", "San Antonio", "US", 29.52, -98.47, "America/Chicago"],
+    ["SAV", "KSAV", "Savannah/Hilton Head International Airport", "Savannah", "US", 32.14, -81.21, "America/New_York"],
+    ["SAW", "LTFJ", "Sabiha Gokcen International Airport", "Pendik, Istanbul", "TR", 40.9, 29.31, "Europe/Istanbul"],
+    ["SBA", "KSBA", "Santa Barbara Municipal Airport", "Santa Barbara", "US", 34.43, -119.84, "America/Los_Angeles"],
+    ["SBD", "KSBD", "San Bernadino International Airport", "San Bernardino", "US", 34.1, -117.24, "America/Los_Angeles"],
+    ["SBH", "TFFJ", "St. Barthelemy Airport", "Gustavia / Saint-Jean", "BL", 17.9, -62.84, "America/Guadeloupe"],
+    ["SBN", "KSBN", "South Bend International Airport", "South Bend", "US", 41.7, -86.31, "America/Indiana/Indianapolis"],
+    ["SBP", "KSBP", "San Luis Obispo County Regional Airport", "San Luis Obispo", "US", 35.24, -120.64, "America/Los_Angeles"],
+    ["SBR", "YSII", "Saibai Island Airport", "Saibai Island", "AU", -9.38, 142.63, "Australia/Brisbane"],
+    ["SBT", "USDA", "Sabetta International Airport", "Sabetta", "RU", 71.22, 72.05, "Asia/Yekaterinburg"],
+    ["SBW", "WBGS", "Sibu Airport", "Sibu", "MY", 2.25, 111.99, "Asia/Kuala_Lumpur"],
+    ["SBY", "KSBY", "Wicomico Regional Airport", "Salisbury", "US", 38.34, -75.52, "America/New_York"],
+    ["SBZ", "LRSB", "Sibiu Airport", "Sibiu", "RO", 45.79, 24.09, "Europe/Bucharest"],
+    ["SCC", "PASC", "Prudhoe Bay/Deadhorse Airport", "Deadhorse", "US", 70.2, -148.46, "America/Anchorage"],
+    ["SCE", "KUNV", "University Park Airport", "State College", "US", 40.85, -77.85, "America/New_York"],
+    ["SCJ", null, "Smith Cove Airport", "Smith Cove", "US", 55.42, -132.33, "America/Juneau"],
+    ["SCK", "KSCK", "Stockton Metropolitan Airport", "Stockton", "US", 37.89, -121.24, "America/Los_Angeles"],
+    ["SCL", "SCEL", "Santiago International Airport", "Santiago", "CL", -33.4, -70.79, "America/Santiago"],
+    ["SCM", "PACM", "Scammon Bay Sea Plane Base", "Scammon Bay", "US", 61.85, -165.59, "America/Anchorage"],
+    ["SCN", "EDDR", "Saarbruecken Airport", "Saarbrücken", "DE", 49.22, 7.11, "Europe/Berlin"],
+    ["SCO", "UATE", "Aktau International Airport", "Aktau", "KZ", 43.86, 51.09, "Asia/Oral"],
+    ["SCQ", "LEST", "Santiago De Compostela Airport", "Santiago de Compostela", "ES", 42.9, -8.42, "Europe/Madrid"],
+    ["SCR", "ESKS", "Sälen/Scandinavian Mountains Airport", "Malung-Sälen", "SE", 61.16, 12.84, "Europe/Stockholm"],
+    ["SCT", "OYSQ", "Socotra Airport", "Socotra Islands", "YE", 12.63, 53.91, "Asia/Aden"],
+    ["SCU", "MUCU", "Antonio Maceo Airport", "Santiago", "CU", 19.97, -75.84, "America/Havana"],
+    ["SCV", "LRSV", "Suceava Airport", "Suceava", "RO", 47.69, 26.35, "Europe/Bucharest"],
+    ["SCW", "UUYY", "Syktyvkar Airport", "Syktyvkar", "RU", 61.67, 50.77, "Europe/Moscow"],
+    ["SCY", "SEST", "San Cristobal Airport", "San Cristóbal", "EC", -0.83, -89.43, "Pacific/Galapagos"],
+    ["SCZ", "AGGL", "Santa Cruz Island Airport", "Santa Cruz/Graciosa Bay/Luova", "SB", -11.62, 166.85, "Pacific/Guadalcanal"],
+    ["SDD", "FNUB", "Lubango Airport", "Lubango", "AO", -14.92, 13.58, "Africa/Luanda"],
+    ["SDE", "SANE", "Santiago Del Estero Airport", "Santiago del Estero", "AR", -27.77, -64.32, "America/Argentina/Buenos_Aires"],
+    ["SDF", "KSDF", "Louisville Muhammad Ali International Airport", "Louisville", "US", 38.19, -85.74, "America/Kentucky/Louisville"],
+    ["SDG", "OICS", "Sanandaj Airport", "Sanandaj", "IR", 35.25, 47.01, "Asia/Tehran"],
+    ["SDJ", "RJSS", "Sendai Airport", "Natori", "JP", 38.14, 140.92, "Asia/Tokyo"],
+    ["SDK", "WBKS", "Sandakan Airport", "Sandakan", "MY", 5.9, 118.06, "Asia/Kuala_Lumpur"],
+    ["SDL", "ESNN", "Sundsvall-Timra Airport", "Sundsvall/ Härnösand", "SE", 62.53, 17.44, "Europe/Stockholm"],
+    ["SDN", "ENSD", "Sandane Airport", "Sandane", "NO", 61.77, 6.22, "Europe/Oslo"],
+    ["SDO", null, "Ryotsu Sado Island Airport", "Ryotsu Sado Island", "JP", 38.13, 138.42, "Asia/Tokyo"],
+    ["SDP", "PASD", "Sand Point Municipal Airport", "Sand Point", "US", 55.32, -160.51, "America/Anchorage"],
+    ["SDQ", "MDSD", "Las Americas International Airport", "Santo Domingo", "DO", 18.43, -69.68, "America/Santo_Domingo"],
+    ["SDR", "LEXJ", "Santander Airport", "Santander", "ES", 43.42, -3.82, "Europe/Madrid"],
+    ["SDS", "RJSD", "Sado Shima Airport", "Sado", "JP", 38, 138.42, "Asia/Tokyo"],
+    ["SDU", "SBRJ", "Rio de Janeiro Santos Dumont Airport", "Rio de Janeiro", "BR", -22.91, -43.17, "America/Sao_Paulo"],
+    ["SDW", "VOSR", "Sindhudurg Airport", "Sindhudurg", "IN", 16, 73.53, "Asia/Kolkata"],
+    ["SDY", "KSDY", "Richland Municipal Airport", "Sidney", "US", 47.71, -104.19, "America/Denver"],
+    ["SEA", "KSEA", "Seattle-Tacoma International Airport", "Seattle", "US", 47.44, -122.3, "America/Los_Angeles"],
+    ["SEB", "HLLS", "Sebha Airport", "Sabha", "LY", 27, 14.46, "Africa/Tripoli"],
+    ["SEC", null, "Serre Chevalier Airport", "Serre Chevalier", "FR", 44.92, 6.5, "Europe/Paris"],
+    ["SEI", "SNBF", "Senhor Do Bonfim Airport", "Senhor Do Bonfim", "BR", -10.45, -40.18, "America/Belem"],
+    ["SEK", "UESK", "Srednekolymsk Airport", "Srednekolymsk", "RU", 67.48, 153.74, "Asia/Magadan"],
+    ["SEN", "EGMC", "London Southend Airport", "London", "GB", 51.57, 0.7, "Europe/London"],
+    ["SES", null, "Selfield Airport", "Selfield", "US", 32.73, -87.09, "America/Chicago"],
+    ["SET", "SNHS", "Santa Magalhaes", "Santa Magalhaes", "BR", -8.05, -38.39, "America/Recife"],
+    ["SEU", "HTSN", "Seronera Airstrip", "Seronera", "TZ", -2.46, 34.82, "Africa/Dar_es_Salaam"],
+    ["SEW", "HESW", "Siwa Oasis North Airport", "Siwa Oasis North", "EG", 29.35, 25.51, "Africa/Cairo"],
+    ["SEZ", "FSIA", "Seychelles International Airport", "Mahe Island", "SC", -4.67, 55.51, "Indian/Mahe"],
+    ["SFA", "DTTX", "Sfax–Thyna International Airport", "Sfax", "TN", 34.72, 10.68, "Africa/Tunis"],
+    ["SFB", "KSFB", "Orlando Sanford International Airport", "Orlando", "US", 28.78, -81.24, "America/New_York"],
+    ["SFC", "TFFC", "Saint Francois Airport", "St-François", "GP", 16.25, -61.28, "America/Guadeloupe"],
+    ["SFG", "TFFG", "Esperance Airport", "Grand Case", "MF", 18.1, -63.05, "America/Marigot"],
+    ["SFJ", "BGSF", "Kangerlussuaq Airport", "Kangerlussuaq", "GL", 67.01, -50.72, "America/Godthab"],
+    ["SFL", "GVSF", "Sao Filipe Airport", "Sao Filipe, Fogo Island", "CV", 14.9, -24.52, "Atlantic/Cape_Verde"],
+    ["SFN", "SAAV", "Santa Fe Airport", "Santa Fe", "AR", -31.72, -60.82, "America/Argentina/Buenos_Aires"],
+    ["SFO", "KSFO", "San Francisco International Airport", "San Francisco", "US", 37.62, -122.39, "America/Los_Angeles"],
+    ["SFR", null, "San Fernando Airport", "San Fernando", "US", 34.27, -118.43, "America/Los_Angeles"],
+    ["SFS", "RPLB", "Subic Bay International Airport", "Olongapo", "PH", 14.79, 120.27, "Asia/Manila"],
+    ["SFT", "ESNS", "Skelleftea Airport", "Skellefteå", "SE", 64.62, 21.07, "Europe/Stockholm"],
+    ["SFW", null, "Santa Fe Airport", "Santa Fe", "PA", 8.83, -81.17, "America/Panama"],
+    ["SGC", "USRR", "Surgut International Airport", "Surgut", "RU", 61.34, 73.41, "Asia/Yekaterinburg"],
+    ["SGD", "EKSB", "Sonderborg Airport", "Sønderborg", "DK", 54.96, 9.79, "Europe/Copenhagen"],
+    ["SGF", "KSGF", "Springfield-Branson National Airport", "Springfield", "US", 37.24, -93.4, "America/Chicago"],
+    ["SGN", "VVTS", "Tan Son Nhat International Airport", "Ho Chi Minh City", "VN", 10.81, 106.66, "Asia/Ho_Chi_Minh"],
+    ["SGO", "YSGE", "St. George Airport", "St George", "AU", -28.05, 148.59, "Australia/Brisbane"],
+    ["SGU", "KSGU", "St. George Regional Airport", "St George", "US", 37.03, -113.51, "America/Denver"],
+    ["SGY", "PAGY", "Skagway Airport", "Skagway", "US", 59.46, -135.32, "America/Juneau"],
+    ["SHA", "ZSSS", "Shanghai Hongqiao International Airport", "Shanghai (Minhang)", "CN", 31.2, 121.33, "Asia/Shanghai"],
+    ["SHB", "RJCN", "Nakashibetsu Airport", "Nakashibetsu", "JP", 43.57, 144.96, "Asia/Tokyo"],
+    ["SHC", "HASR", "Indaselassie Airport", "Indaselassie", "ET", 14.08, 38.27, "Africa/Addis_Ababa"],
+    ["SHD", "KSHD", "Shenandoah Valley Airport", "Weyers Cave", "US", 38.26, -78.9, "America/New_York"],
+    ["SHE", "ZYTX", "Shenyang Taoxian International Airport", "Hunnan, Shenyang", "CN", 41.63, 123.49, "Asia/Shanghai"],
+    ["SHF", "ZWHZ", "Shihezi Huayuan Airport", "Shihezi Huayuan", "CN", 44.24, 85.89, "Asia/Urumqi"],
+    ["SHG", "PAHG", "Shungnak Airport", "Shungnak", "US", 66.89, -157.16, "America/Anchorage"],
+    ["SHH", "PASH", "Shishmaref Airport", "Shishmaref", "US", 66.26, -166.06, "America/Anchorage"],
+    ["SHI", "RORS", "Shimojishima Airport", "Miyakojima", "JP", 24.82, 125.15, "Asia/Tokyo"],
+    ["SHJ", "OMSJ", "Sharjah International Airport", "Sharjah", "AE", 25.32, 55.52, "Asia/Dubai"],
+    ["SHL", "VEBI", "Shillong Airport", "Shillong", "IN", 25.7, 91.98, "Asia/Kolkata"],
+    ["SHM", "RJBD", "Shirahama Airport", "Shirahama", "JP", 33.66, 135.36, "Asia/Tokyo"],
+    ["SHO", "FDSK", "King Mswati III International Airport", "Mpaka", "SZ", -26.35, 31.72, "Africa/Mbabane"],
+    ["SHR", "KSHR", "Sheridan Airport", "Sheridan", "US", 44.77, -106.98, "America/Denver"],
+    ["SHS", "ZHSS", "Jingzhou Shashi Airport", "Jingzhou (Shashi)", "CN", 30.28, 112.45, "Asia/Shanghai"],
+    ["SHV", "KSHV", "Shreveport Regional Airport", "Shreveport", "US", 32.45, -93.83, "America/Chicago"],
+    ["SHW", "OESH", "Sharurah Airport", "Sharurah", "SA", 17.47, 47.11, "Asia/Riyadh"],
+    ["SHY", "HTSY", "Shinyanga Airport", "Shinyanga", "TZ", -3.61, 33.5, "Africa/Dar_es_Salaam"],
+    ["SID", "GVAC", "Amilcar Cabral International Airport", "Espargos", "CV", 16.73, -22.94, "Atlantic/Cape_Verde"],
+    ["SIF", "VNSI", "Simara Airport", "Simara", "NP", 27.16, 84.98, "Asia/Kathmandu"],
+    ["SIG", "TJIG", "Fernando Luis Ribas Dominicci Airport", "San Juan", "PR", 18.46, -66.1, "America/Puerto_Rico"],
+    ["SIH", "VNDT", "Silgarhi Doti Airport", "Silgarhi Doti", "NP", 29.27, 80.97, "Asia/Kathmandu"],
+    ["SIN", "WSSS", "Singapore Changi Airport", "Singapore", "SG", 1.36, 103.99, "Asia/Singapore"],
+    ["SIP", "UKFF", "Simferopol International Airport", "Simferopol", "UA", 45.02, 34, "Europe/Kyiv"],
+    ["SIS", "FASS", "Sishen Airport", "Sishen", "ZA", -27.65, 23, "Africa/Johannesburg"],
+    ["SIT", "PASI", "Sitka Airport", "Sitka", "US", 57.05, -135.23, "America/Sitka"],
+    ["SJC", "KSJC", "Norman Y. Mineta San Jose International Airport", "San Jose", "US", 37.37, -121.93, "America/Los_Angeles"],
+    ["SJD", "MMSD", "Los Cabos International Airport", "Ciudad de San José del Cabo", "MX", 23.16, -109.72, "America/Mazatlan"],
+    ["SJE", "SKSJ", "San Jose del Guaviare Airport", "San José Del Guaviare", "CO", 2.58, -72.67, "America/Bogota"],
+    ["SJI", "RPUH", "San Jose Airport", "San Jose", "PH", 12.36, 121.05, "Asia/Manila"],
+    ["SJJ", "LQSA", "Sarajevo International Airport", "Sarajevo", "BA", 43.83, 18.34, "Europe/Sarajevo"],
+    ["SJK", "SBSJ", "Professor Urbano Ernesto Stumpf Airport", "São José Dos Campos", "BR", -23.23, -45.87, "America/Sao_Paulo"],
+    ["SJL", "SBUA", "Sao Gabriel da Cachoeira Airport", "São Gabriel da Cachoeira", "BR", -0.15, -66.99, "America/Manaus"],
+    ["SJO", "MROC", "Juan Santamaria International Airport", "San José (Alajuela)", "CR", 10, -84.2, "America/Costa_Rica"],
+    ["SJP", "SBSR", "Sao Jose do Rio Preto Airport", "São José do Rio Preto", "BR", -20.81, -49.41, "America/Sao_Paulo"],
+    ["SJT", "KSJT", "San Angelo Regional Airport", "San Angelo", "US", 31.36, -100.49, "America/Chicago"],
+    ["SJU", "TJSJ", "Luis Munoz Marin International Airport", "San Juan", "PR", 18.44, -66, "America/Puerto_Rico"],
+    ["SJW", "ZBSJ", "Shijiazhuang Zhengding International Airport", "Shijiazhuang", "CN", 38.28, 114.69, "Asia/Shanghai"],
+    ["SJZ", "LPSJ", "Sao Jorge Island Airport", "Velas", "PT", 38.66, -28.17, "Atlantic/Azores"],
+    ["SKB", "TKPK", "Robert L. Bradshaw International Airport", "Basseterre", "KN", 17.31, -62.71, "America/St_Kitts"],
+    ["SKD", "UTSS", "Samarkand Airport", "Samarkand", "UZ", 39.7, 66.99, "Asia/Tashkent"],
+    ["SKG", "LGTS", "Thessaloniki Airport Makedonia", "Thessaloniki", "GR", 40.52, 22.97, "Europe/Athens"],
+    ["SKH", "VNSK", "Surkhet Airport", "Surkhet", "NP", 28.33, 82.51, "Asia/Kathmandu"],
+    ["SKK", "PFSH", "Shaktoolik Airport", "Shaktoolik", "US", 64.32, -161.14, "America/Anchorage"],
+    ["SKN", "ENSK", "Stokmarknes Skagen Airport", "Hadsel", "NO", 68.58, 15.03, "Europe/Oslo"],
+    ["SKO", "DNSO", "Sokoto Airport", "Sokoto", "NG", 13.01, 5.24, "Africa/Lagos"],
+    ["SKP", "LWSK", "Skopje International Airport", "Skopje", "MK", 41.96, 21.63, "Europe/Skopje"],
+    ["SKT", "OPST", "Sialkot Airport", "Sialkot", "PK", 32.53, 74.5, "Asia/Karachi"],
+    ["SKU", "LGSY", "Skiros Airport", "Skiros", "GR", 38.92, 24.57, "Europe/Athens"],
+    ["SKX", "UWPS", "Saransk Airport", "Saransk", "RU", 54.13, 45.22, "Europe/Moscow"],
+    ["SKZ", "OPSK", "Sukkur Airport", "Mirpur Khas", "PK", 27.72, 68.8, "Asia/Karachi"],
+    ["SLA", "SASA", "Martin Miguel de Guemes International Airport", "Salta", "AR", -24.84, -65.48, "America/Argentina/Buenos_Aires"],
+    ["SLC", "KSLC", "Salt Lake City International Airport", "Salt Lake City", "US", 40.79, -111.98, "America/Denver"],
+    ["SLD", "LZSL", "Sliac Airport", "Sliač", "SK", 48.64, 19.13, "Europe/Bratislava"],
+    ["SLE", "KSLE", "McNary Field", "Salem", "US", 45, -123.02, "America/Los_Angeles"],
+    ["SLH", "NVSC", "Sola Airport", "Sola", "VU", -13.88, 167.55, "Pacific/Efate"],
+    ["SLI", "FLSW", "Solwezi Airport", "Solwezi", "ZM", -12.17, 26.37, "Africa/Lusaka"],
+    ["SLK", "KSLK", "Adirondack Airport", "Saranac Lake", "US", 44.38, -74.21, "America/New_York"],
+    ["SLL", "OOSA", "Salalah International Airport", "Salalah", "OM", 17.05, 54.09, "Asia/Muscat"],
+    ["SLM", "LESA", "Matacan Airport", "Salamanca", "ES", 40.95, -5.5, "Europe/Madrid"],
+    ["SLN", "KSLN", "Salina Regional Airport", "Salina", "US", 38.79, -97.65, "America/Chicago"],
+    ["SLP", "MMSP", "San Luis Potosi Airport", "San Luis Potosí", "MX", 22.26, -100.94, "America/Mexico_City"],
+    ["SLQ", "PASL", "Sleetmute Airport", "Sleetmute", "US", 61.71, -157.17, "America/Anchorage"],
+    ["SLU", "TLPC", "George F. L. Charles Airport", "Castries", "LC", 14.02, -61, "America/St_Lucia"],
+    ["SLX", "MBSY", "Salt Cay Airport", "Salt Cay", "TC", 21.33, -71.2, "America/Grand_Turk"],
+    ["SLY", "USDD", "Salekhard Airport", "Salekhard", "RU", 66.59, 66.59, "Asia/Yekaterinburg"],
+    ["SLZ", "SBSL", "Marechal Cunha Machado International Airport", "São Luís", "BR", -2.58, -44.24, "America/Belem"],
+    ["SMA", "LPAZ", "Vila Do Porto Airport", "Vila do Porto", "PT", 36.97, -25.1, "Atlantic/Azores"],
+    ["SMF", "KSMF", "Sacramento International Airport", "Sacramento", "US", 38.69, -121.59, "America/Los_Angeles"],
+    ["SMI", "LGSM", "Samos Airport", "Samos Island", "GR", 37.69, 26.91, "Europe/Athens"],
+    ["SMK", "PAMK", "St. Michael Airport", "St. Michael", "US", 63.48, -162.11, "America/Anchorage"],
+    ["SML", "MYLS", "Stella Maris Airport", "Stella Maris", "BS", 23.58, -75.27, "America/Nassau"],
+    ["SMN", "KSMN", "Lemhi County Airport", "Salmon", "US", 45.12, -113.89, "America/Boise"],
+    ["SMQ", "WAOS", "H. Asan Airport", "Sampit-Borneo Island", "ID", -2.5, 112.98, "Asia/Jakarta"],
+    ["SMR", "SKSM", "Simon Bolivar International Airport", "Santa Marta", "CO", 11.12, -74.23, "America/Bogota"],
+    ["SMS", "FMMS", "Sainte Marie Airport", "Vohilava", "MG", -17.08, 49.82, "Indian/Antananarivo"],
+    ["SMT", "SBSO", "Sorriso Airport", "Sorriso", "BR", -12.48, -55.67, "America/Cuiaba"],
+    ["SMX", "KSMX", "Santa Maria Public Airport", "Santa Maria", "US", 34.91, -120.46, "America/Los_Angeles"],
+    ["SNA", "KSNA", "John Wayne Airport", "Santa Ana", "US", 33.68, -117.86, "America/Los_Angeles"],
+    ["SNB", "YSNB", "Snake Bay Airport", "Milikapiti", "AU", -11.42, 130.67, "Australia/Darwin"],
+    ["SND", null, "Seno Airport", "Seno", "LA", 16.67, 105.02, "Asia/Vientiane"],
+    ["SNE", "GVSN", "Preguica Airport", "Preguiça", "CV", 16.59, -24.29, "Atlantic/Cape_Verde"],
+    ["SNN", "EINN", "Shannon Airport", "Shannon", "IE", 52.69, -8.92, "Europe/Dublin"],
+    ["SNO", "VTUI", "Sakon Nakhon Airport", "Sakon Nakhon", "TH", 17.28, 104.1, "Asia/Bangkok"],
+    ["SNP", "PASN", "Saint Paul Island Airport", "St Paul Island", "US", 57.15, -170.22, "America/Anchorage"],
+    ["SNR", "LFRZ", "Montoir Airport", "Saint-Nazaire/Montoir", "FR", 47.31, -2.15, "Europe/Paris"],
+    ["SNU", "MUSC", "Abel Santamaria Airport", "Santa Clara", "CU", 22.49, -79.94, "America/Havana"],
+    ["SNW", "VYTD", "Thandwe Airport", "Thandwe", "MM", 18.45, 94.3, "Asia/Yangon"],
+    ["SNX", "OIIS", "Semnan Municipal", "Semnan Municipal", "IR", 35.59, 53.5, "Asia/Tehran"],
+    ["SOB", "LHSM", "Sarmellek/Balaton Airport", "Sármellék", "HU", 46.71, 17.24, "Europe/Budapest"],
+    ["SOC", "WARQ", "Adi Sumarmo International Airport", "Surakarta", "ID", -7.51, 110.75, "Asia/Jakarta"],
+    ["SOD", "SDCO", "Sorocaba Airport", "Sorocaba", "BR", -23.48, -47.48, "America/Sao_Paulo"],
+    ["SOF", "LBSF", "Sofia International Airport", "Sofia", "BG", 42.69, 23.41, "Europe/Sofia"],
+    ["SOG", "ENSG", "Sogndal Airport", "Sogndal", "NO", 61.16, 7.14, "Europe/Oslo"],
+    ["SOH", null, "Solita Airport", "Solita", "CO", 9.2, -71.77, "America/Bogota"],
+    ["SOI", "YSML", "South Molle Island Airport", "South Molle Island", "AU", -20.75, 148.58, "Australia/Lindeman"],
+    ["SOJ", "ENSR", "Sorkjosen Airport", "Sørkjosen", "NO", 69.78, 20.93, "Europe/Oslo"],
+    ["SOM", "SVST", "San Tome Airport", "El Tigre", "VE", 8.95, -64.15, "America/Caracas"],
+    ["SON", "NVSS", "Santo Pekoa International Airport", "Luganville", "VU", -15.51, 167.22, "Pacific/Efate"],
+    ["SOQ", "WASS", "Domine Eduard Osok Airport", "Sorong", "ID", -0.89, 131.29, "Asia/Jayapura"],
+    ["SOR", null, "Al Thaurah Airport", "Al Thaurah", "SY", 34.4, 40.17, "Asia/Damascus"],
+    ["SOU", "EGHI", "Southampton Airport", "Southampton", "GB", 50.95, -1.36, "Europe/London"],
+    ["SOV", "PASO", "Seldovia Airport", "Seldovia", "US", 59.44, -151.7, "America/Anchorage"],
+    ["SOW", "KSOW", "Show Low Airport", "Show Low", "US", 34.26, -110, "America/Phoenix"],
+    ["SOY", "EGER", "Stronsay Airport", "Stronsay", "GB", 59.15, -2.64, "Europe/London"],
+    ["SPB", null, "Charlotte Amalie Harbor SPB", "Charlotte Amalie", "VI", 18.34, -64.94, "America/St_Thomas"],
+    ["SPC", "GCLA", "La Palma Airport", "Sta Cruz de la Palma, La Palma Island", "ES", 28.63, -17.76, "Atlantic/Canary"],
+    ["SPD", "VGSD", "Saidpur Airport", "Saidpur", "BD", 25.76, 88.91, "Asia/Dhaka"],
+    ["SPI", "KSPI", "Abraham Lincoln Capital Airport", "Springfield", "US", 39.84, -89.68, "America/Chicago"],
+    ["SPN", "PGSN", "Saipan International Airport", "I Fadang, Saipan", "MP", 15.12, 145.72, "Pacific/Saipan"],
+    ["SPP", "FNME", "Menongue Airport", "Menongue", "AO", -14.64, 17.73, "Africa/Luanda"],
+    ["SPR", "MZSP", "San Pedro Airport", "San Pedro", "BZ", 17.92, -87.97, "America/Belize"],
+    ["SPS", "KSPS", "Sheppard Air Force Base", "Wichita Falls", "US", 33.99, -98.49, "America/Chicago"],
+    ["SPU", "LDSP", "Split Airport", "Split", "HR", 43.54, 16.3, "Europe/Zagreb"],
+    ["SPX", "HESX", "Sphinx International Airport", "Al Jiza", "EG", 30.11, 30.89, "Africa/Cairo"],
+    ["SPY", "DISP", "San Pedro Airport", "San Pedro", "CI", 4.75, -6.66, "Africa/Abidjan"],
+    ["SQD", "ZSSR", "Shangrao Sanqingshan Airport", "Shangrao", "CN", 28.38, 117.96, "Asia/Shanghai"],
+    ["SQF", null, "Solano Airport", "Solano", "CO", 2, -66.97, "America/Bogota"],
+    ["SQG", "WIOS", "Tebelian Airport", "Sintang", "ID", -0.04, 111.46, "Asia/Makassar"],
+    ["SQJ", "ZSSM", "Sanming Shaxian Airport", "Sanming", "CN", 26.43, 117.84, "Asia/Shanghai"],
+    ["SQL", "KSQL", "San Carlos Airport", "San Carlos", "US", 37.48, -122.25, "America/Los_Angeles"],
+    ["SRA", "SSZR", "Santa Rosa Airport", "Santa Rosa", "BR", -27.87, -54.48, "America/Sao_Paulo"],
+    ["SRE", "SLAL", "Alcantari International Airport", "Yamparaez", "BO", -19.25, -65.15, "America/La_Paz"],
+    ["SRG", "WARS", "Jenderal Ahmad Yani International Airport", "Semarang", "ID", -6.98, 110.38, "Asia/Jakarta"],
+    ["SRK", "BGSI", "Siorapaluk Heliport", "Siorapaluk", "GL", 77.78, -70.83, "America/Thule"],
+    ["SRL", null, "Santa Rosalia Airport", "Santa Rosalia", "MX", 27.2, -112.25, "America/Mazatlan"],
+    ["SRP", "ENSA", "Stord Airport", "Leirvik", "NO", 59.83, 5.42, "Europe/Oslo"],
+    ["SRQ", "KSRQ", "Sarasota Bradenton International Airport", "Sarasota/Bradenton", "US", 27.39, -82.55, "America/New_York"],
+    ["SRT", "HUSO", "Soroti Airport", "Soroti", "UG", 1.7, 33.62, "Africa/Kampala"],
+    ["SRV", null, "Stony River Airport", "Stony River", "US", 61.79, -156.59, "America/Anchorage"],
+    ["SRY", "OINZ", "Dashte Naz Airport", "Sari", "IR", 36.64, 53.2, "Asia/Tehran"],
+    ["SRZ", "SLET", "El Trompillo Airport", "Santa Cruz", "BO", -17.81, -63.17, "America/La_Paz"],
+    ["SSA", "SBSV", "Deputado Luis Eduardo Magalhaes International Airport", "Salvador", "BR", -12.91, -38.34, "America/Belem"],
+    ["SSB", null, "Christiansted Harbor Seaplane Base", "Christiansted Harbor", "VI", 17.75, -64.71, "America/St_Thomas"],
+    ["SSG", "FGSL", "Malabo Airport", "Malabo", "GQ", 3.76, 8.72, "Africa/Malabo"],
+    ["SSH", "HESH", "Sharm El Sheikh International Airport", "Sharm El Sheikh", "EG", 27.98, 34.39, "Africa/Cairo"],
+    ["SSJ", "ENST", "Sandnessjoen Airport", "Alstahaug", "NO", 65.96, 12.48, "Europe/Oslo"],
+    ["SSR", "NVSH", "Sara Airport", "Pentecost Island", "VU", -15.47, 168.15, "Pacific/Efate"],
+    ["SST", "SAZL", "Santa Teresita Airport", "Santa Teresita", "AR", -33.42, -60.78, "America/Argentina/Buenos_Aires"],
+    ["SSW", null, "Stuart Island Airport", "Stuart Island", "US", 48.67, -123.18, "America/Los_Angeles"],
+    ["SSY", "FNBC", "M'Banza Congo Airport", "Mbanza Congo", "AO", -6.27, 14.24, "Africa/Luanda"],
+    ["STC", "KSTC", "St. Cloud Municipal Airport", "Saint Cloud", "US", 45.55, -94.06, "America/Chicago"],
+    ["STD", "SVSO", "Mayor Buenaventura Vivas", "Santo Domingo", "VE", 7.57, -72.04, "America/Caracas"],
+    ["STG", "PAPB", "St. George Island Airport", "St George", "US", 56.6, -169.55, "America/Anchorage"],
+    ["STI", "MDST", "Cibao International Airport", "Santiago", "DO", 19.4, -70.6, "America/Santo_Domingo"],
+    ["STL", "KSTL", "St. Louis Lambert International Airport", "St Louis", "US", 38.75, -90.38, "America/Chicago"],
+    ["STM", "SBSN", "Santarem-Maestro Wilson Fonseca Airport", "Santarém", "BR", -2.42, -54.79, "America/Porto_Velho"],
+    ["STN", "EGSS", "London Stansted Airport", "London", "GB", 51.89, 0.26, "Europe/London"],
+    ["STR", "EDDS", "Stuttgart Airport", "Stuttgart", "DE", 48.69, 9.19, "Europe/Berlin"],
+    ["STS", "KSTS", "Charles M. Schulz–Sonoma County Airport", "Santa Rosa", "US", 38.51, -122.81, "America/Los_Angeles"],
+    ["STT", "TIST", "Cyril E. King Airport", "Charlotte Amalie", "VI", 18.34, -64.97, "America/St_Thomas"],
+    ["STV", "VASU", "Surat International Airport", "Surat", "IN", 21.12, 72.75, "Asia/Kolkata"],
+    ["STW", "URMT", "Stavropol Airport", "Stavropol", "RU", 45.33, 42.01, "Europe/Moscow"],
+    ["STX", "TISX", "Henry E. Rohlsen Airport", "Christiansted", "VI", 17.7, -64.8, "America/St_Thomas"],
+    ["STZ", "SWST", "Santa Terezinha Airport", "Santa Terezinha", "BR", -10.3, -50.45, "America/Cuiaba"],
+    ["SUB", "WARR", "Juanda International Airport", "Surabaya", "ID", -7.38, 112.79, "Asia/Jakarta"],
+    ["SUC", null, "Schloredt Airport", "Schloredt", "US", 44.4, -104.38, "America/Denver"],
+    ["SUF", "LICA", "Lamezia Terme International Airport", "Lamezia Terme (CZ)", "IT", 38.91, 16.24, "Europe/Rome"],
+    ["SUG", "RPMS", "Surigao Airport", "Surigao City", "PH", 9.76, 125.48, "Asia/Manila"],
+    ["SUI", "UGSS", "Babusheri Airport", "Sukhumi", "GE", 42.87, 41.12, "Asia/Tbilisi"],
+    ["SUJ", "LRSM", "Satu Mare International Airport", "Satu Mare", "RO", 47.71, 22.88, "Europe/Bucharest"],
+    ["SUK", "UEBS", "Sakkyryr Airport", "Batagay-Alyta", "RU", 67.79, 130.39, "Asia/Vladivostok"],
+    ["SUN", "KSUN", "Friedman Memorial Airport", "Hailey", "US", 43.51, -114.3, "America/Boise"],
+    ["SUR", "CJV7", "Summer Beaver Airport", "Summer Beaver", "CA", 52.72, -88.55, "America/Toronto"],
+    ["SUV", "NFNA", "Nausori Airport", "Nausori", "FJ", -18.05, 178.56, "Pacific/Fiji"],
+    ["SUX", "KSUX", "Sioux Gateway Airport", "Sioux City", "US", 42.4, -96.38, "America/Chicago"],
+    ["SUY", "UENS", "Suntar Airport", "Suntar", "RU", 62.18, 117.64, "Asia/Yakutsk"],
+    ["SVA", "PASA", "Savoonga Airport", "Savoonga", "US", 63.69, -170.49, "America/Anchorage"],
+    ["SVB", "FMNS", "Sambava Airport", "Sambava", "MG", -14.28, 50.18, "Indian/Antananarivo"],
+    ["SVC", "KSVC", "Grant County Airport (New Mexico)", "Grant County", "US", 32.63, -108.15, "America/Denver"],
+    ["SVD", "TVSA", "Argyle International Airport", "Kingstown", "VC", 13.16, -61.15, "America/St_Vincent"],
+    ["SVG", "ENZV", "Stavanger Airport Sola", "Stavanger", "NO", 58.88, 5.63, "Europe/Oslo"],
+    ["SVI", "SKSV", "San Vicente del Caguan Airport", "San Vicente Del Caguán", "CO", 2.15, -74.77, "America/Bogota"],
+    ["SVJ", "ENSH", "Svolvaer Airport, Helle", "Svolvær", "NO", 68.24, 14.67, "Europe/Oslo"],
+    ["SVL", "EFSA", "Savonlinna Airport", "Savonlinna", "FI", 61.94, 28.93, "Europe/Helsinki"],
+    ["SVO", "UUEE", "Sheremetyevo International Airport", "Moscow", "RU", 55.97, 37.42, "Europe/Moscow"],
+    ["SVQ", "LEZL", "Seville Airport", "Sevilla", "ES", 37.42, -5.9, "Europe/Madrid"],
+    ["SVR", "BGSV", "Savissivik Heliport", "Savissivik", "GL", 76.02, -65.12, "America/Thule"],
+    ["SVS", null, "Stevens Village Airport", "Stevens Village", "US", 66.01, -149.09, "America/Anchorage"],
+    ["SVU", "NFNS", "Savusavu Airport", "Savusavu", "FJ", -16.8, 179.34, "Pacific/Fiji"],
+    ["SVV", null, "San Salvador de Paul Airport", "San Salvador de Paul", "VE", 7, -62, "America/Caracas"],
+    ["SVX", "USSS", "Koltsovo Airport", "Yekaterinburg", "RU", 56.75, 60.8, "Asia/Yekaterinburg"],
+    ["SVZ", "SVSA", "Juan Vicente Gomez International Airport", "San Antonio", "VE", 7.84, -72.44, "America/Caracas"],
+    ["SWA", "ZGOW", "Jieyang Chaoshan Airport", "Jieyang (Rongcheng)", "CN", 23.55, 116.51, "Asia/Shanghai"],
+    ["SWF", "KSWF", "Stewart International Airport", "Newburgh", "US", 41.5, -74.1, "America/New_York"],
+    ["SWL", "RPSV", "San Vicente", "San Vicente", "PH", 10.53, 119.27, "Asia/Manila"],
+    ["SWO", "KSWO", "Stillwater Regional Airport", "Stillwater", "US", 36.16, -97.09, "America/Chicago"],
+    ["SWQ", "WADS", "Sultan Muhammad Kaharuddin III Airport", "Sumbawa Island", "ID", -8.49, 117.41, "Asia/Makassar"],
+    ["SWX", "FBSW", "Shakawe Airport", "Shakawe", "BW", -18.38, 21.83, "Africa/Gaborone"],
+    ["SWZ", null, "Sydney West Airport", "Sydney West", "AU", -33.89, 150.72, "Australia/Sydney"],
+    ["SXB", "LFST", "Strasbourg Airport", "Strasbourg", "FR", 48.54, 7.63, "Europe/Paris"],
+    ["SXC", null, "Avalon Vor/WP Airport", "Avalon Vor/WP", "US", 33.5, -118.42, "America/Los_Angeles"],
+    ["SXD", null, "Sophia Antipolis Airport", "Sophia Antipolis", "FR", 43.62, 7.05, "Europe/Paris"],
+    ["SXK", "WAPI", "Mathilda Batlayeri Airport", "Saumlaki", "ID", -7.85, 131.33, "Asia/Jayapura"],
+    ["SXM", "TNCM", "Princess Juliana International Airport", "Saint Martin", "SX", 18.04, -63.11, "America/Guadeloupe"],
+    ["SXP", null, "Sheldon Sea Plane Base", "Sheldon", "US", 62.53, -164.83, "America/Anchorage"],
+    ["SXR", "VISR", "Sheikh Ul-Alam International Airport Srinagar", "Srinagar", "IN", 34, 74.76, "Asia/Kolkata"],
+    ["SYB", null, "Seal Bay Seaplane Base", "Seal Bay", "US", 58.37, -152.21, "America/Anchorage"],
+    ["SYD", "YSSY", "Sydney Airport", "Sydney", "AU", -33.93, 151.18, "Australia/Sydney"],
+    ["SYF", null, "Silva Bay Airport", "Silva Bay", "CA", 49.15, -123.7, "America/Vancouver"],
+    ["SYG", null, "Spitsberg Airport", "Spitsberg", "NO", 78.24, 15.47, "Europe/Oslo"],
+    ["SYL", "KSYL", "Roberts Air Force Base", "Roberts Air Force Base", "US", 35.75, -120.7, "America/Los_Angeles"],
+    ["SYM", "ZPSM", "Pu'er Simao Airport", "Simao", "CN", 22.8, 100.96, "Asia/Shanghai"],
+    ["SYO", "RJSY", "Shonai Airport", "Shonai", "JP", 38.81, 139.79, "Asia/Tokyo"],
+    ["SYQ", "MRPV", "Tobias Bolanos International", "San Jose", "CR", 10.02, -84.23, "America/Costa_Rica"],
+    ["SYR", "KSYR", "Hancock International Airport", "Syracuse", "US", 43.11, -76.11, "America/New_York"],
+    ["SYS", "UERS", "Saskylakh Airport", "Saskylakh", "RU", 71.93, 114.08, "Asia/Yakutsk"],
+    ["SYU", "YWBS", "Warraber Island Airport", "Sue Islet", "AU", -10.21, 142.82, "Australia/Brisbane"],
+    ["SYX", "ZJSY", "Sanya Phoenix International Airport", "Sanya (Tianya)", "CN", 18.31, 109.41, "Asia/Shanghai"],
+    ["SYY", "EGPO", "Stornoway Airport", "Stornoway, Western Isles", "GB", 58.21, -6.32, "Europe/London"],
+    ["SYZ", "OISS", "Shahid Dastgheyb International Airport", "Shiraz", "IR", 29.55, 52.59, "Asia/Tehran"],
+    ["SZA", "FNSO", "Soyo Airport", "Soyo", "AO", -6.14, 12.38, "Africa/Luanda"],
+    ["SZB", "WMSA", "Sultan Abdul Aziz Shah Airport", "Subang", "MY", 3.13, 101.56, "Asia/Kuala_Lumpur"],
+    ["SZE", "HASM", "Semera Airport", "Semera", "ET", 11.79, 40.99, "Africa/Addis_Ababa"],
+    ["SZF", "LTFH", "Samsun-Carsamba Airport", "Samsun", "TR", 41.26, 36.56, "Europe/Istanbul"],
+    ["SZG", "LOWS", "Salzburg Airport", "Salzburg", "AT", 47.79, 13, "Europe/Vienna"],
+    ["SZI", "UASZ", "Zaisan Airport", "Zaisan", "KZ", 47.49, 84.89, "Asia/Almaty"],
+    ["SZR", null, "Stara Zagora Airport", "Stara Zagora", "BG", 42.43, 25.62, "Europe/Sofia"],
+    ["SZT", "MMSC", "San Cristobal de las Casas Airport", "San Cristobal de las Casas", "MX", 16.69, -92.54, "America/Mexico_City"],
+    ["SZX", "ZGSZ", "Shenzhen Bao'an International Airport", "Shenzhen (Bao'an)", "CN", 22.64, 113.81, "Asia/Shanghai"],
+    ["SZY", "EPSY", "Olsztyn-Mazury Airport", "Olsztyn", "PL", 53.48, 20.94, "Europe/Warsaw"],
+    ["SZZ", "EPSC", "Solidarity Szczecin–Goleniow Airport", "Goleniow", "PL", 53.59, 14.89, "Europe/Warsaw"],
+    ["TAB", "TTCP", "A.N.R. Robinson International Airport", "Scarborough", "TT", 11.15, -60.84, "America/Port_of_Spain"],
+    ["TAC", "RPVA", "D. Z. Romualdez Airport", "Tacloban City", "PH", 11.23, 125.03, "Asia/Manila"],
+    ["TAE", "RKTN", "Daegu International Airport", "Daegu", "KR", 35.9, 128.64, "Asia/Seoul"],
+    ["TAG", "RPSP", "Bohol–Panglao International Airport", "Panglao", "PH", 9.57, 123.78, "Asia/Manila"],
+    ["TAH", "NVVW", "Tanna Airport", "Tanna", "VU", -19.46, 169.23, "Pacific/Efate"],
+    ["TAI", "OYTZ", "Al Janad Airport", "Ta'izz", "YE", 13.69, 44.13, "Asia/Aden"],
+    ["TAJ", "AYTJ", "Tadji Airport", "Tadji", "PG", -3.18, 142.42, "Pacific/Port_Moresby"],
+    ["TAK", "RJOT", "Takamatsu Airport", "Takamatsu", "JP", 34.22, 134.02, "Asia/Tokyo"],
+    ["TAL", "PATA", "Ralph M Calhoun Airport", "Ralph M Calhoun", "US", 65.17, -152.11, "America/Anchorage"],
+    ["TAM", "MMTM", "Tampico International Airport", "Tampico", "MX", 22.29, -97.87, "America/Mexico_City"],
+    ["TAO", "ZSQD", "Qingdao Jiaodong International Airport", "Jiaozhou, Qingdao", "CN", 36.36, 120.09, "Asia/Shanghai"],
+    ["TAP", "MMTP", "Tapachula International Airport", "Tapachula", "MX", 14.91, -92.25, "America/Mexico_City"],
+    ["TAS", "UTTT", "Tashkent International Airport", "Tashkent", "UZ", 41.26, 69.27, "Asia/Tashkent"],
+    ["TAT", "LZTT", "Poprad/Tatry Airport", "Poprad", "SK", 49.07, 20.25, "Europe/Bratislava"],
+    ["TAY", "EETU", "Tartu Airport", "Tartu", "EE", 58.31, 26.69, "Europe/Tallinn"],
+    ["TAZ", "UTAT", "Dashoguz Airport", "Daşoguz", "TM", 41.76, 59.83, "Asia/Ashgabat"],
+    ["TBB", "VVTH", "Tuy Hoa Airport", "Tuy Hoa", "VN", 13.09, 109.34, "Asia/Ho_Chi_Minh"],
+    ["TBG", "AYTB", "Tabubil Airport", "Tabubil", "PG", -5.27, 141.23, "Pacific/Port_Moresby"],
+    ["TBH", "RPVU", "Tugdan Airport", "Tablas Island", "PH", 12.32, 122.08, "Asia/Manila"],
+    ["TBI", "MYCB", "New Bight Airport", "Cat Island", "BS", 24.32, -75.45, "America/Nassau"],
+    ["TBJ", "DTKA", "Tabarka-Ain Draham Airport", "Tabarka", "TN", 36.98, 8.88, "Africa/Tunis"],
+    ["TBM", "WAOW", "Tumbang Samba Airport", "Tumbang Samba", "ID", -3.25, 112.58, "Asia/Makassar"],
+    ["TBN", "KTBN", "Forney Army Air Field", "Fort Leonard Wood", "US", 37.74, -92.14, "America/Chicago"],
+    ["TBO", "HTTB", "Tabora Airport", "Tabora", "TZ", -5.07, 32.83, "Africa/Dar_es_Salaam"],
+    ["TBP", "SPME", "Capitan FAP Pedro Canga Rodriguez Airport", "Tumbes", "PE", -3.55, -80.38, "America/Lima"],
+    ["TBS", "UGTB", "Tbilisi International Airport", "Tbilisi", "GE", 41.67, 44.96, "Asia/Tbilisi"],
+    ["TBT", "SBTT", "Tabatinga International Airport", "Tabatinga", "BR", -4.25, -69.94, "America/Porto_Velho"],
+    ["TBU", "NFTF", "Fua'amotu International Airport", "Nuku'alofa", "TO", -21.24, -175.14, "Pacific/Tongatapu"],
+    ["TBZ", "OITT", "Tabriz Airport", "Tabriz", "IR", 38.12, 46.24, "Asia/Tehran"],
+    ["TCA", "YTNK", "Tennant Creek Airport", "Tennant Creek", "AU", -19.64, 134.18, "Australia/Darwin"],
+    ["TCB", "MYAT", "Treasure Cay Airport", "Treasure Cay", "BS", 26.74, -77.37, "America/Nassau"],
+    ["TCD", "SKRA", "Tarapaca Airport", "Tarapaca", "CO", -2.89, -69.75, "America/Bogota"],
+    ["TCG", "ZWTC", "Tacheng Airport", "Tacheng", "CN", 46.67, 83.34, "Asia/Urumqi"],
+    ["TCO", "SKCO", "La Florida Airport", "Tumaco", "CO", 1.82, -78.77, "America/Bogota"],
+    ["TCP", "HETB", "Taba International Airport", "Taba", "EG", 29.59, 34.78, "Africa/Cairo"],
+    ["TCQ", "SPTN", "Tacna Airport", "Tacna", "PE", -18.06, -70.28, "America/Lima"],
+    ["TCR", "VOTK", "Tuticorin Airport", "Tuticorin", "IN", 8.72, 78.03, "Asia/Kolkata"],
+    ["TCT", "PPCT", "Takotna Airport", "Takotna", "US", 62.99, -156.07, "America/Anchorage"],
+    ["TCV", null, "Tete Airport", "Tete", "MZ", -16.22, 33.58, "Africa/Maputo"],
+    ["TCZ", "ZUTC", "Tengchong Tuofeng Airport", "Baoshan (Tengchong)", "CN", 24.94, 98.48, "Asia/Shanghai"],
+    ["TDK", "UAAT", "Taldykorgan Airport", "Taldykorgan", "KZ", 45.11, 78.44, "Asia/Almaty"],
+    ["TDS", "AYSS", "Sasereme", "Sasereme", "PG", -7.62, 142.87, "Pacific/Port_Moresby"],
+    ["TDX", "VTBO", "Trat Airport", "Laem Ngop", "TH", 12.27, 102.32, "Asia/Bangkok"],
+    ["TEB", "KTEB", "Teterboro Airport", "Teterboro", "US", 40.85, -74.06, "America/New_York"],
+    ["TEE", "DABS", "Cheikh Larbi Tebessi Airport", "Tébessi", "DZ", 35.43, 8.12, "Africa/Algiers"],
+    ["TEK", "PAKA", "Tatitlek Airport", "Tatitlek", "US", 60.87, -146.69, "America/Anchorage"],
+    ["TEN", "ZUTR", "Tongren Airport", "Tongren (Daxing)", "CN", 27.88, 109.3, "Asia/Shanghai"],
+    ["TEQ", "LTBU", "Corlu Airport", "Çorlu", "TR", 40.97, 27.5, "Europe/Istanbul"],
+    ["TER", "LPLA", "Lajes Field", "Praia da Vitória", "PT", 38.75, -27.09, "Atlantic/Azores"],
+    ["TET", "FQTT", "Matundo Airport", "Tete", "MZ", -16.1, 33.64, "Africa/Maputo"],
+    ["TEX", "KTEX", "Telluride Regional Airport", "Telluride", "US", 37.95, -107.9, "America/Denver"],
+    ["TEZ", "VETZ", "Tezpur Airport", "Tezpur", "IN", 26.71, 92.78, "Asia/Kolkata"],
+    ["TFF", "SBTF", "Tefe Airport", "Tefé", "BR", -3.38, -64.72, "America/Manaus"],
+    ["TFI", "AYTU", "Tufi Airport", "Tufi", "PG", -9.08, 149.32, "Pacific/Port_Moresby"],
+    ["TFN", "GCXO", "Tenerife North Airport", "Tenerife", "ES", 28.49, -16.35, "Atlantic/Canary"],
+    ["TFS", "GCTS", "Tenerife South Airport", "Tenerife", "ES", 28.04, -16.57, "Atlantic/Canary"],
+    ["TFU", "ZUTF", "Chengdu Tianfu Airport", "Chengdu (Jianyang)", "CN", 30.32, 104.45, "Asia/Shanghai"],
+    ["TGD", "LYPG", "Podgorica Airport", "Podgorica", "ME", 42.37, 19.25, "Europe/Podgorica"],
+    ["TGF", null, "Tignes Airport", "Tignes", "FR", 45.48, 6.9, "Europe/Paris"],
+    ["TGG", "WMKN", "Sultan Mahmud Airport", "Kuala Terengganu", "MY", 5.38, 103.1, "Asia/Kuala_Lumpur"],
+    ["TGH", "NVST", "Tongoa Airport", "Tongoa Island", "VU", -16.89, 168.55, "Pacific/Efate"],
+    ["TGJ", "NWWA", "Tiga Airport", "Tiga", "NC", -21.1, 167.8, "Pacific/Noumea"],
+    ["TGK", "URRT", "Taganrog Yuzhny Airport", "Taganrog", "RU", 47.24, 38.86, "Europe/Moscow"],
+    ["TGM", "LRTM", "Targu Mures Airport", "Târgu Mureş", "RO", 46.53, 24.53, "Europe/Bucharest"],
+    ["TGO", "ZBTL", "Tongliao Airport", "Tongliao", "CN", 43.56, 122.2, "Asia/Shanghai"],
+    ["TGQ", "SWTS", "Tangara Da Serra Airport", "Tangara da Serra", "BR", -14.66, -57.45, "America/Campo_Grande"],
+    ["TGR", "DAUK", "Touggourt Airport", "Touggourt", "DZ", 33.07, 6.09, "Africa/Algiers"],
+    ["TGT", "HTTG", "Tanga Airport", "Tanga", "TZ", -5.09, 39.07, "Africa/Dar_es_Salaam"],
+    ["TGU", "MHTG", "Toncontin Airport", "Tegucigalpa", "HN", 14.06, -87.22, "America/Tegucigalpa"],
+    ["TGX", null, "Tingrela Airport", "Tingrela", "CI", 10.43, -6.33, "Africa/Abidjan"],
+    ["TGZ", "MMTG", "Angel Albino Corzo International Airport", "Tuxtla Gutiérrez", "MX", 16.56, -93.02, "America/Mexico_City"],
+    ["THD", "VVTX", "Tho Xuan Airport", "Tho Xuan", "VN", 19.9, 105.47, "Asia/Ho_Chi_Minh"],
+    ["THE", "SBTE", "Teresina Airport", "Teresina", "BR", -5.06, -42.82, "America/Belem"],
+    ["THG", "YTNG", "Thangool Airport", "Biloela", "AU", -24.49, 150.58, "Australia/Brisbane"],
+    ["THL", "VYTL", "Tachilek Airport", "Tachileik", "MM", 20.45, 99.95, "Asia/Yangon"],
+    ["THN", "ESGT", "Trollhattan/Vanersborg Airport", "Trollhättan", "SE", 58.27, 12.3, "Europe/Stockholm"],
+    ["THO", "BITN", "Thorshofn Airport", "Thorshofn", "IS", 66.22, -15.33, "Atlantic/Reykjavik"],
+    ["THQ", "ZLTS", "Tianshui Maijishan Airport", "Tianshui (Maiji)", "CN", 34.56, 105.87, "Asia/Shanghai"],
+    ["THR", "OIII", "Mehrabad International Airport", "Tehran", "IR", 35.69, 51.32, "Asia/Tehran"],
+    ["THS", "VTPO", "Sukhothai Airport", "Sukhothai", "TH", 17.22, 99.82, "Asia/Bangkok"],
+    ["THU", "BGTL", "Pituffik Space Base", "Pituffik", "GL", 76.53, -68.7, "America/Thule"],
+    ["THX", "UOTT", "Turukhansk Airport", "Turukhansk", "RU", 65.8, 87.94, "Asia/Krasnoyarsk"],
+    ["TIA", "LATI", "Tirana International Airport", "Tirana", "AL", 41.42, 19.71, "Europe/Tirane"],
+    ["TIE", "HATP", "Tippi Airport", "Tippi", "ET", 7.2, 35.42, "Africa/Addis_Ababa"],
+    ["TIF", "OETF", "Taif Airport", "Ta’if", "SA", 21.48, 40.55, "Asia/Riyadh"],
+    ["TIH", "NTGC", "Tikehau Atoll Airport", "Tikehau", "PF", -15.12, -148.23, "Pacific/Tahiti"],
+    ["TIJ", "MMTJ", "Tijuana International Airport", "Ciudad de Tijuana", "MX", 32.54, -116.98, "America/Tijuana"],
+    ["TIM", "WABP", "Mozes Kilangin Airport", "Timika", "ID", -4.53, 136.89, "Asia/Jayapura"],
+    ["TIN", "DAOF", "Tindouf Airport", "Tindouf", "DZ", 27.7, -8.16, "Africa/Algiers"],
+    ["TIQ", "PGWT", "Tinian International Airport", "Tinian Island", "MP", 14.99, 145.63, "Pacific/Saipan"],
+    ["TIR", "VOTP", "Tirupati Airport", "Tirupeti", "IN", 13.64, 79.54, "Asia/Kolkata"],
+    ["TIU", "NZTU", "Timaru Airport", "Timaru", "NZ", -44.3, 171.23, "Pacific/Auckland"],
+    ["TIV", "LYTV", "Tivat Airport", "Tivat", "ME", 42.4, 18.73, "Europe/Podgorica"],
+    ["TIW", "KTIW", "Tacoma Narrows Airport", "Tacoma", "US", 47.27, -122.58, "America/Los_Angeles"],
+    ["TIZ", "AYTA", "Tari Airport", "Tari", "PG", -5.86, 142.94, "Pacific/Port_Moresby"],
+    ["TJA", "SLTJ", "Capitan Oriel Lea Plaza Airport", "Tarija", "BO", -21.55, -64.71, "America/La_Paz"],
+    ["TJG", "WAON", "Tanjung Warukin Airport", "Tanta-Tabalong", "ID", -2.22, 115.44, "Asia/Jakarta"],
+    ["TJH", "RJBT", "Tajima Airport", "Toyooka", "JP", 35.51, 134.79, "Asia/Tokyo"],
+    ["TJK", "LTAW", "Tokat Airport", "Tokat", "TR", 40.31, 36.37, "Europe/Istanbul"],
+    ["TJL", "SBTG", "Tres Lagoas Airport", "Tres Lagoas", "BR", -20.75, -51.68, "America/Campo_Grande"],
+    ["TJM", "USTR", "Roshchino International Airport", "Tyumen", "RU", 57.18, 65.35, "Asia/Yekaterinburg"],
+    ["TJN", "NTKM", "Takume Airport", "Takume", "PF", -15.85, -142.27, "Pacific/Tahiti"],
+    ["TJQ", "WIKD", "H.A.S. Hanandjoeddin Airport", "Tanjung Pandan", "ID", -2.75, 107.65, "Asia/Jakarta"],
+    ["TJS", "WAGD", "Tanjung Harapan Airport", "Tanjung Selor-Borneo Island", "ID", 2.84, 117.37, "Asia/Makassar"],
+    ["TJU", "UTDK", "Kulyab Airport", "Kulyab", "TJ", 37.99, 69.81, "Asia/Dushanbe"],
+    ["TKD", "DGTK", "Takoradi Airport", "Sekondi-Takoradi", "GH", 4.89, -1.77, "Africa/Accra"],
+    ["TKE", null, "Tenakee Springs Sea Plane Base", "Tenakee Springs", "US", 57.78, -135.22, "America/Juneau"],
+    ["TKF", "KTRK", "Truckee Tahoe Airport", "Truckee", "US", 39.32, -120.14, "America/Los_Angeles"],
+    ["TKG", "WILL", "Radin Inten II Airport", "Bandar Lampung", "ID", -5.24, 105.18, "Asia/Jakarta"],
+    ["TKJ", "PFTO", "Tok Junction Airport", "Tok", "US", 63.33, -142.95, "America/Anchorage"],
+    ["TKK", "PTKK", "Chuuk International Airport", "Weno Island", "FM", 7.46, 151.84, "Pacific/Chuuk"],
+    ["TKM", "UIKG", "El Peten Airport", "El Peten", "GT", 17.23, -89.6, "America/Guatemala"],
+    ["TKN", "RJKN", "Tokunoshima Airport", "Amagi", "JP", 27.83, 128.88, "Asia/Tokyo"],
+    ["TKP", "NTGT", "Takapoto Airport", "Takapoto", "PF", -15.45, -145.14, "Pacific/Tahiti"],
+    ["TKQ", "HTKA", "Kigoma Airport", "Kigoma", "TZ", -4.88, 29.67, "Africa/Dar_es_Salaam"],
+    ["TKS", "RJOS", "Tokushima Awaodori Airport", "Tokushima", "JP", 34.14, 134.59, "Asia/Tokyo"],
+    ["TKU", "EFTU", "Turku Airport", "Turku", "FI", 60.51, 22.27, "Europe/Helsinki"],
+    ["TKV", "NTGO", "Tatakoto Airport", "Tatakoto", "PF", -17.28, -138.33, "Pacific/Tahiti"],
+    ["TKX", "NTKR", "Takaroa Airport", "Takaroa", "PF", -14.46, -145.03, "Pacific/Tahiti"],
+    ["TLA", "PATE", "Teller Airport", "Teller", "US", 65.27, -166.35, "America/Anchorage"],
+    ["TLC", "MMTO", "Toluca International Airport", "Ciudad de Toluca", "MX", 19.34, -99.57, "America/Mexico_City"],
+    ["TLD", "FBTL", "Limpopo Valley Airfield", "Tuli Lodge", "BW", -22.18, 29.12, "Africa/Gaborone"],
+    ["TLE", "FMST", "Toliara Airport", "Toliara", "MG", -23.39, 43.72, "Indian/Antananarivo"],
+    ["TLH", "KTLH", "Tallahassee International Airport", "Tallahassee", "US", 30.4, -84.34, "America/New_York"],
+    ["TLI", "WAFL", "Sultan Bantilan Airport", "Toli-Toli", "ID", 1.12, 120.79, "Asia/Makassar"],
+    ["TLL", "EETN", "Tallinn Airport", "Tallinn", "EE", 59.42, 24.8, "Europe/Tallinn"],
+    ["TLM", "DAON", "Zenata Airport", "Zenata", "DZ", 35.02, -1.45, "Africa/Algiers"],
+    ["TLN", "LFTH", "Hyeres Airport", "Toulon/Hyères/Le Palyvestre", "FR", 43.09, 6.16, "Europe/Paris"],
+    ["TLQ", "ZWTP", "Turpan Jiaohe Airport", "Turpan", "CN", 43.03, 89.1, "Asia/Urumqi"],
+    ["TLS", "LFBO", "Toulouse-Blagnac Airport", "Toulouse/Blagnac", "FR", 43.63, 1.37, "Europe/Paris"],
+    ["TLT", "PALT", "Tuluksak Airport", "Tuluksak", "US", 61.1, -160.96, "America/Anchorage"],
+    ["TLU", "SKTL", "Tolu Airport", "Tolu", "CO", 9.52, -75.58, "America/Bogota"],
+    ["TLV", "LLBG", "Ben Gurion Airport", "Tel Aviv", "IL", 32, 34.87, "Asia/Jerusalem"],
+    ["TLY", "UHWP", "Plastun Airport", "Plastun", "RU", 44.81, 136.29, "Asia/Vladivostok"],
+    ["TMC", "WATK", "Lede Kalumbang Airport", "Waikabubak-Sumba Island", "ID", -9.34, 119.18, "Asia/Makassar"],
+    ["TME", "SKTM", "Gabriel Vargas Santos Airport", "Tame", "CO", 6.45, -71.75, "America/Bogota"],
+    ["TMF", "VRNT", "Thimarafushi Airport", "Thimarafushi", "MV", 2.21, 73.15, "Indian/Maldives"],
+    ["TMG", "WBKM", "Tomanggong Airport", "Tomanggong", "MY", 5.4, 118.65, "Asia/Kuala_Lumpur"],
+    ["TMH", "WAKT", "Tanahmerah Airport", "Tanah Merah", "ID", -6.08, 140.27, "Asia/Jayapura"],
+    ["TMI", "VNTR", "Tumling Tar Airport", "Tumling Tar", "NP", 27.3, 87.2, "Asia/Kathmandu"],
+    ["TMJ", "UTST", "Termez Airport", "Termez", "UZ", 37.28, 67.32, "Asia/Tashkent"],
+    ["TML", "DGLE", "Tamale Airport", "Tamale", "GH", 9.41, -0.88, "Africa/Accra"],
+    ["TMM", "FMMT", "Toamasina Ambalamanasy Airport", "Toamasina", "MG", -18.11, 49.39, "Indian/Antananarivo"],
+    ["TMP", "EFTP", "Tampere-Pirkkala Airport", "Tampere / Pirkkala", "FI", 61.42, 23.62, "Europe/Helsinki"],
+    ["TMR", "DAAT", "Aguenar - Hadj Bey Akhamok Airport", "Tamanrasset", "DZ", 22.81, 5.45, "Africa/Algiers"],
+    ["TMS", "FPST", "Sao Tome Island Airport", "São Tomé", "ST", 0.38, 6.73, "Africa/Sao_Tome"],
+    ["TMT", "SBTB", "Trombetas Airport", "Oriximiná", "BR", -1.49, -56.4, "America/Porto_Velho"],
+    ["TMW", "YSTW", "Tamworth Regional Airport", "Tamworth", "AU", -31.08, 150.85, "Australia/Sydney"],
+    ["TMX", "DAUT", "Timimoun Airport", "Timimoun", "DZ", 29.24, 0.28, "Africa/Algiers"],
+    ["TNA", "ZSJN", "Jinan Yaoqiang International Airport", "Jinan", "CN", 36.86, 117.21, "Asia/Shanghai"],
+    ["TNC", "PATC", "Tin City Air Force Station", "Tin City", "US", 65.56, -167.92, "America/Anchorage"],
+    ["TND", "MUTD", "Trinidad Airport", "Trinidad", "CU", 21.8, -80, "America/Havana"],
+    ["TNE", "RJFG", "New Tanegashima Airport", "Tanegashima", "JP", 30.6, 130.99, "Asia/Tokyo"],
+    ["TNG", "GMTT", "Tangier Ibn Battouta Airport", "Tangier", "MA", 35.73, -5.91, "Africa/Casablanca"],
+    ["TNH", "ZYTN", "Tonghua Sanyuanpu Airport", "Tonghua", "CN", 42.25, 125.7, "Asia/Shanghai"],
+    ["TNJ", "WIDN", "Raja Haji Fisabilillah Airport", "Tanjung Pinang", "ID", 0.92, 104.54, "Asia/Jakarta"],
+    ["TNK", "K4KA", "Tununak Airport", "Tununak", "US", 60.57, -165.27, "America/Anchorage"],
+    ["TNM", "SCRM", "Teniente R. Marsh Airport", "Isla Rey Jorge", "AQ", -62.19, -58.99, "Antarctica/Palmer"],
+    ["TNN", "RCNN", "Tainan Airport", "Tainan (Rende)", "TW", 22.95, 120.22, "Asia/Taipei"],
+    ["TNR", "FMMI", "Ivato International Airport", "Antananarivo", "MG", -18.8, 47.48, "Indian/Antananarivo"],
+    ["TOB", "HLGN", "Tobruk Airport", "Tobruk", "LY", 31.85, 23.92, "Africa/Tripoli"],
+    ["TOD", "WMBT", "Tioman Airport", "Tioman Island", "MY", 2.82, 104.16, "Asia/Kuala_Lumpur"],
+    ["TOE", "DTTZ", "Tozeur–Nefta International Airport", "Tozeur", "TN", 33.92, 8.13, "Africa/Tunis"],
+    ["TOF", "UNTT", "Tomsk Airport", "Tomsk", "RU", 56.39, 85.21, "Asia/Omsk"],
+    ["TOG", "PATG", "Togiak Village Airport", "Togiak Village", "US", 59.05, -160.4, "America/Anchorage"],
+    ["TOL", "KTOL", "Toledo Express Airport", "Toledo", "US", 41.59, -83.81, "America/New_York"],
+    ["TOM", "GATB", "Tombouctou Airport", "Timbuktu", "ML", 16.73, -3.01, "Africa/Bamako"],
+    ["TOS", "ENTC", "Tromso Airport", "Tromsø", "NO", 69.68, 18.91, "Europe/Oslo"],
+    ["TOU", "NWWU", "Touho Airport", "Touho", "NC", -20.8, 165.25, "Pacific/Noumea"],
+    ["TOW", "SBTD", "Luis dal Canalle Filho Airport", "Toledo", "BR", -24.7, -53.7, "America/Sao_Paulo"],
+    ["TOY", "RJNT", "Toyama Airport", "Toyama", "JP", 36.64, 137.19, "Asia/Tokyo"],
+    ["TPA", "KTPA", "Tampa International Airport", "Tampa", "US", 27.98, -82.54, "America/New_York"],
+    ["TPE", "RCTP", "Taiwan Taoyuan International Airport", "Taoyuan (Dayuan)", "TW", 25.08, 121.23, "Asia/Taipei"],
+    ["TPI", "AYTI", "Tapini Airport", "Tapini", "PG", -8.37, 146.98, "Pacific/Port_Moresby"],
+    ["TPJ", "VNTJ", "Taplejung Airport", "Taplejung", "NP", 27.35, 87.68, "Asia/Kathmandu"],
+    ["TPP", "SPST", "Cad. FAP Guillermo del Castillo Paredes Airport", "Tarapoto", "PE", -6.51, -76.37, "America/Lima"],
+    ["TPQ", "MMEP", "Tepic Airport", "Tepic", "MX", 21.5, -104.9, "America/Mazatlan"],
+    ["TPS", "LICT", "Trapani-Birgi Airport", "Trapani (TP)", "IT", 37.9, 12.5, "Europe/Rome"],
+    ["TQA", "BGTA", "Tasiusaq Heliport (Avannaata)", "Tasiusaq", "GL", 73.37, -56.06, "America/Godthab"],
+    ["TQI", "BGTN", "Tiniteqilaaq Heliport", "Tiniteqilaaq", "GL", 65.89, -37.78, "America/Godthab"],
+    ["TQO", "MMTL", "Felipe Carrillo Puerto International Airport", "Felipe Carrillo Puerto", "MX", 20.17, -87.67, "America/Cancun"],
+    ["TRA", "RORT", "Tarama Airport", "Tarama", "JP", 24.65, 124.68, "Asia/Tokyo"],
+    ["TRC", "MMTC", "Torreon International Airport", "Torreón", "MX", 25.56, -103.4, "America/Monterrey"],
+    ["TRD", "ENVA", "Trondheim Airport Vaernes", "Trondheim", "NO", 63.45, 10.92, "Europe/Oslo"],
+    ["TRE", "EGPU", "Tiree Airport", "Balemartine", "GB", 56.5, -6.87, "Europe/London"],
+    ["TRF", "ENTO", "Torp Sandefjord Airport", "Torp", "NO", 59.18, 10.25, "Europe/Oslo"],
+    ["TRG", "NZTG", "Tauranga City Airport", "Tauranga", "NZ", -37.67, 176.2, "Pacific/Auckland"],
+    ["TRI", "KTRI", "Tri-Cities Regional Airport", "Blountville", "US", 36.48, -82.41, "America/New_York"],
+    ["TRK", "WALR", "Juwata International Airport", "Tarakan", "ID", 3.33, 117.57, "Asia/Makassar"],
+    ["TRN", "LIMF", "Turin Airport", "Torino", "IT", 45.19, 7.64, "Europe/Rome"],
+    ["TRR", "VCCT", "China Bay Airport", "Trincomalee", "LK", 8.54, 81.18, "Asia/Colombo"],
+    ["TRS", "LIPQ", "Trieste - Friuli Venezia Giulia Airport", "Trieste", "IT", 45.82, 13.49, "Europe/Rome"],
+    ["TRT", "WAFB", "Toraja Airport", "Toraja", "ID", -3.19, 119.92, "Asia/Makassar"],
+    ["TRU", "SPRU", "Trujillo Airport", "Trujillo", "PE", -8.09, -79.11, "America/Lima"],
+    ["TRV", "VOTV", "Thiruvananthapuram International Airport", "Thiruvananthapuram", "IN", 8.48, 76.92, "Asia/Kolkata"],
+    ["TRW", "NGTA", "Bonriki Airport", "Tarawa", "KI", 1.36, 172.94, "Pacific/Tarawa"],
+    ["TRZ", "VOTR", "Tiruchirapalli International Airport", "Tiruchirappalli", "IN", 10.76, 78.71, "Asia/Kolkata"],
+    ["TSA", "RCSS", "Taipei Songshan Airport", "Taipei City", "TW", 25.06, 121.55, "Asia/Taipei"],
+    ["TSF", "LIPH", "Treviso Airport", "Treviso", "IT", 45.66, 12.2, "Europe/Rome"],
+    ["TSJ", "RJDT", "Tsushima Airport", "Tsushima", "JP", 34.29, 129.33, "Asia/Tokyo"],
+    ["TSM", "KSKX", "Taos Airport", "Taos", "US", 36.46, -105.68, "America/Denver"],
+    ["TSN", "ZBTJ", "Tianjin Binhai International Airport", "Tianjin", "CN", 39.13, 117.36, "Asia/Shanghai"],
+    ["TSR", "LRTR", "Timisoara Traian Vuia International Airport", "Timişoara", "RO", 45.81, 21.32, "Europe/Bucharest"],
+    ["TSS", null, "East 34th Street Heliport", "East 34th Street", "US", 40.74, -73.97, "America/New_York"],
+    ["TST", "VTST", "Trang Airport", "Trang", "TH", 7.5, 99.62, "Asia/Bangkok"],
+    ["TSV", "YBTL", "Townsville Airport", "Townsville", "AU", -19.26, 146.77, "Australia/Brisbane"],
+    ["TSX", "WALT", "Tanjung Santan Airport", "Tanjung Santan", "ID", -0.08, 117.43, "Asia/Makassar"],
+    ["TTA", "GMAT", "Tan Tan Airport", "Tan Tan", "MA", 28.45, -11.08, "Africa/Casablanca"],
+    ["TTE", "WAEE", "Sultan Babullah Airport", "Sango", "ID", 0.83, 127.38, "Asia/Jayapura"],
+    ["TTJ", "RJOR", "Tottori Airport", "Tottori", "JP", 35.53, 134.17, "Asia/Tokyo"],
+    ["TTN", "KTTN", "Trenton-Mercer Airport", "Trenton", "US", 40.28, -74.81, "America/New_York"],
+    ["TTS", "FMNT", "Tsaratanana Airport", "Tsaratanana", "MG", -16.73, 47.6, "Indian/Antananarivo"],
+    ["TTT", "RCFN", "Taitung Airport", "Taitung City", "TW", 22.76, 121.11, "Asia/Taipei"],
+    ["TTU", "GMTN", "Sania Ramel Airport", "Tétouan", "MA", 35.59, -5.33, "Africa/Casablanca"],
+    ["TTW", null, "Tissa Tank Waterdrome", "Tissa Tank Waterdrome", "LK", 6.29, 81.29, "Asia/Colombo"],
+    ["TUA", "SETU", "Tulcan Airport", "Tulcán", "EC", 0.8, -77.72, "America/Guayaquil"],
+    ["TUB", "NTAT", "Tubuai Island Airport", "Tubuai", "PF", -23.35, -149.47, "Pacific/Tahiti"],
+    ["TUC", "SANT", "Teniente Benjamin Matienzo Airport", "San Miguel de Tucumán", "AR", -26.84, -65.11, "America/Argentina/Buenos_Aires"],
+    ["TUE", null, "Tupile Airport", "Tupile", "PA", 9.57, -79.49, "America/Panama"],
+    ["TUF", "LFOT", "Val de Loire Airport", "Tours/Val de Loire (Loire Valley)", "FR", 47.43, 0.73, "Europe/Paris"],
+    ["TUG", "RPUT", "Tuguegarao Airport", "Tuguegarao City", "PH", 17.64, 121.73, "Asia/Manila"],
+    ["TUH", null, "Arnold Air Force Base", "Arnold Air Force Base", "US", 35.37, -86.22, "America/Chicago"],
+    ["TUI", "OETR", "Turaif Airport", "Turaif", "SA", 31.69, 38.73, "Asia/Riyadh"],
+    ["TUJ", null, "Tum", "Tum", "ET", 9.55, 38.68, "Africa/Addis_Ababa"],
+    ["TUK", "OPTU", "Turbat Airport", "Turbat", "PK", 25.98, 63.07, "Asia/Karachi"],
+    ["TUL", "KTUL", "Tulsa International Airport", "Tulsa", "US", 36.19, -95.89, "America/Chicago"],
+    ["TUN", "DTTA", "Tunis-Carthage International Airport", "Tunis", "TN", 36.85, 10.22, "Africa/Tunis"],
+    ["TUO", "NZAP", "Taupo Airport", "Taupo", "NZ", -38.74, 176.08, "Pacific/Auckland"],
+    ["TUP", "KTUP", "Tupelo Regional Airport", "Tupelo", "US", 34.26, -88.77, "America/Chicago"],
+    ["TUR", "SBTU", "Tucurui Airport", "Tucuruí", "BR", -3.7, -49.73, "America/Belem"],
+    ["TUS", "KTUS", "Tucson International Airport", "Tucson", "US", 32.12, -110.94, "America/Phoenix"],
+    ["TUU", "OETB", "Tabuk Regional Airport", "Tabuk", "SA", 28.37, 36.6, "Asia/Riyadh"],
+    ["TVC", "KTVC", "Cherry Capital Airport", "Traverse City", "US", 44.74, -85.58, "America/Detroit"],
+    ["TVF", "KTVF", "Thief River Falls Regional Airport", "Thief River Falls", "US", 48.07, -96.18, "America/Chicago"],
+    ["TVS", "ZBTS", "Tangshan Sannuhe Airport", "Tangshan Sannuhe", "CN", 39.72, 118, "Asia/Shanghai"],
+    ["TVT", "UZTP", "Tashkent-Khumo International Airport", "Tashkent-Khumo", "UZ", 41.31, 69.4, "Asia/Tashkent"],
+    ["TVU", "NFNM", "Matei Airport", "Matei", "FJ", -16.69, 179.87, "Pacific/Fiji"],
+    ["TVY", "VYDW", "Dawei Airport", "Dawei", "MM", 14.1, 98.2, "Asia/Yangon"],
+    ["TWA", null, "Twin Hills Airport", "Twin Hills", "US", 59.07, -160.28, "America/Anchorage"],
+    ["TWF", "KTWF", "Magic Valley Regional Airport", "Twin Falls", "US", 42.48, -114.49, "America/Boise"],
+    ["TWH", null, "Two Harbors Airport", "Two Harbors", "US", 33.42, -118.51, "America/Los_Angeles"],
+    ["TWT", "RPMN", "Sanga Sanga Airport", "Bongao", "PH", 5.04, 119.74, "Asia/Manila"],
+    ["TWU", "WBKW", "Tawau Airport", "Tawau", "MY", 4.31, 118.12, "Asia/Kuala_Lumpur"],
+    ["TXE", "WITK", "Takengon Rembele Airport", "Takengon", "ID", 4.72, 96.85, "Asia/Jakarta"],
+    ["TXK", "KTXK", "Texarkana Municipal Airport", "Texarkana", "US", 33.46, -93.99, "America/Chicago"],
+    ["TXN", "ZSTX", "Huangshan Tunxi International Airport", "Huangshan", "CN", 29.73, 118.25, "Asia/Shanghai"],
+    ["TYF", "ESST", "Torsby Airport", "Torsby", "SE", 60.15, 13, "Europe/Stockholm"],
+    ["TYL", "SPYL", "Captain FAP Victor Montes Arias Airport", "Talara", "PE", -4.58, -81.25, "America/Lima"],
+    ["TYN", "ZBYN", "Taiyuan Wusu International Airport", "Taiyuan", "CN", 37.75, 112.63, "Asia/Shanghai"],
+    ["TYR", "KTYR", "Tyler Pounds Regional Airport", "Tyler", "US", 32.35, -95.41, "America/Chicago"],
+    ["TYS", "KTYS", "McGhee Tyson Airport", "Alcoa", "US", 35.81, -83.99, "America/New_York"],
+    ["TZA", "MZBE", "Belize City Municipal Airport", "Belize City", "BZ", 17.52, -88.19, "America/Belize"],
+    ["TZL", "LQTZ", "Tuzla International Airport", "Tuzla", "BA", 44.41, 18.71, "Europe/Sarajevo"],
+    ["TZN", "MYAK", "South Andros Airport", "Andros", "BS", 24.16, -77.59, "America/Nassau"],
+    ["TZX", "LTCG", "Trabzon Airport", "Trabzon", "TR", 40.99, 39.78, "Europe/Istanbul"],
+    ["UAH", "NTMU", "Ua Huka Airport", "Ua Huka", "PF", -8.93, -139.55, "Pacific/Marquesas"],
+    ["UAK", "BGBW", "Narsarsuaq Airport", "Narsarsuaq", "GL", 61.16, -45.42, "America/Godthab"],
+    ["UAP", "NTMP", "Ua Pou Airport", "Ua Pou", "PF", -9.34, -140.08, "Pacific/Marquesas"],
+    ["UAQ", "SANU", "San Juan Airport", "San Juan", "AR", -31.55, -68.52, "America/Argentina/Buenos_Aires"],
+    ["UBA", "SBUR", "Uberaba Airport", "Uberaba", "BR", -19.78, -47.96, "America/Sao_Paulo"],
+    ["UBB", "YMAA", "Mabuiag Island Airport", "Mabuiag Island", "AU", -9.95, 142.18, "Australia/Brisbane"],
+    ["UBJ", "RJDC", "Yamaguchi Ube Airport", "Ube", "JP", 33.93, 131.27, "Asia/Tokyo"],
+    ["UBN", "ZMCK", "Chinggis Khaan International Airport", "Ulaanbaatar (Sergelen)", "MN", 47.65, 106.82, "Asia/Ulaanbaatar"],
+    ["UBP", "VTUU", "Ubon Ratchathani International Airport", "Ubon Ratchathani", "TH", 15.25, 104.87, "Asia/Bangkok"],
+    ["UCB", "ZBUC", "Ulanqab (Wulanchabu) Jining Airport", "Ulanqab", "CN", 41.13, 113.11, "Asia/Shanghai"],
+    ["UCT", "UUYH", "Ukhta Airport", "Ukhta", "RU", 63.57, 53.8, "Europe/Moscow"],
+    ["UDI", "SBUL", "Uberlandia Airport", "Uberlândia", "BR", -18.89, -48.23, "America/Sao_Paulo"],
+    ["UDJ", "UKLU", "Uzhhorod International Airport", "Uzhhorod", "UA", 48.64, 22.27, "Europe/Kyiv"],
+    ["UDR", "VAUD", "Maharana Pratap Airport", "Udaipur", "IN", 24.62, 73.89, "Asia/Kolkata"],
+    ["UEL", "FQQL", "Quelimane Airport", "Quelimane", "MZ", -17.86, 36.87, "Africa/Maputo"],
+    ["UEO", "ROKJ", "Kume-jima Airport", "Kumejima", "JP", 26.37, 126.72, "Asia/Tokyo"],
+    ["UET", "OPQT", "Quetta Airport", "Quetta", "PK", 30.25, 66.95, "Asia/Karachi"],
+    ["UFA", "UWUU", "Ufa International Airport", "Ufa", "RU", 54.57, 55.88, "Asia/Yekaterinburg"],
+    ["UGA", "ZMBN", "Bulgan Airport", "Bulgan", "MN", 48.8, 103.55, "Asia/Ulaanbaatar"],
+    ["UGC", "UTNU", "Urgench Airport", "Urgench", "UZ", 41.58, 60.63, "Asia/Tashkent"],
+    ["UGU", "WABV", "Bilogai-Sugapa Airport", "Sugapa", "ID", -3.73, 137.03, "Asia/Jayapura"],
+    ["UIB", "SKUI", "El Carano Airport", "Quibdó", "CO", 5.69, -76.64, "America/Bogota"],
+    ["UIH", "VVPC", "Phu Cat Airport", "Quy Nohn", "VN", 13.96, 109.04, "Asia/Ho_Chi_Minh"],
+    ["UII", "MHUT", "Utila Airport", "Utila", "HN", 16.09, -86.89, "America/Tegucigalpa"],
+    ["UIN", "KUIN", "Quincy Regional Airport", "Quincy", "US", 39.94, -91.2, "America/Chicago"],
+    ["UIO", "SEQM", "Mariscal Sucre International Airport", "Quito", "EC", -0.12, -78.36, "America/Guayaquil"],
+    ["UIT", null, "Jaluit Airport", "Jaluit", "MH", 5.83, 169.62, "Pacific/Majuro"],
+    ["UJE", null, "Ujae Island Airport", "Ujae Atoll", "MH", 9.08, 165.67, "Pacific/Majuro"],
+    ["UKB", "RJBE", "Kobe Airport", "Kobe", "JP", 34.64, 135.23, "Asia/Tokyo"],
+    ["UKE", "VEUK", "Utkela Airport", "Utkela", "IN", 20.1, 83.18, "Asia/Kolkata"],
+    ["UKG", "UEBT", "Ust-Kuyga Airport", "Ust-Kuyga", "RU", 70.01, 135.65, "Asia/Vladivostok"],
+    ["UKK", "UASK", "Ust-Kamenogorsk Airport", "Ust-Kamenogorsk (Oskemen)", "KZ", 50.03, 82.51, "Asia/Almaty"],
+    ["UKX", "UITT", "Ust-Kut Airport", "Ust-Kut", "RU", 56.85, 105.73, "Asia/Irkutsk"],
+    ["UKY", null, "Kyoto Downtown Heliport", "Kyoto Downtown", "JP", 35, 135.75, "Asia/Tokyo"],
+    ["ULG", "ZMUL", "Olgii Airport", "Olgii", "MN", 48.99, 89.92, "Asia/Ulaanbaatar"],
+    ["ULH", "OEAO", "Prince Abdul Majeed bin Abdulaziz Airport", "Al Ula", "SA", 26.48, 38.12, "Asia/Riyadh"],
+    ["ULK", "UERL", "Lensk Airport", "Lensk", "RU", 60.72, 114.83, "Asia/Sakhalin"],
+    ["ULO", "ZMUG", "Ulaangom Airport", "Ulaangom", "MN", 49.97, 92.08, "Asia/Ulaanbaatar"],
+    ["ULP", "YQLP", "Quilpie Airport", "Quilpie", "AU", -26.63, 144.3, "Australia/Brisbane"],
+    ["ULU", "HUGU", "Gulu Airport", "Gulu", "UG", 2.79, 32.27, "Africa/Kampala"],
+    ["ULV", "UWLL", "Ulyanovsk Baratayevka Airport", "Ulyanovsk", "RU", 54.27, 48.23, "Europe/Samara"],
+    ["ULY", "UWLW", "Ulyanovsk Vostochny Airport", "Cherdakly", "RU", 54.4, 48.8, "Europe/Samara"],
+    ["ULZ", "ZMDN", "Uliastai Donoi Airport", "Uliastai", "MN", 47.75, 96.85, "Asia/Ulaanbaatar"],
+    ["UMB", null, "North Shore Airport", "North Shore", "US", 53.38, -167.89, "America/Anchorage"],
+    ["UMD", "BGUM", "Uummannaq Airport", "Uummannaq", "GL", 70.67, -52.12, "America/Godthab"],
+    ["UME", "ESNU", "Umea Airport", "Umeå", "SE", 63.79, 20.29, "Europe/Stockholm"],
+    ["UMS", "UEMU", "Ust-Maya Airport", "Ust-Maya", "RU", 60.36, 134.44, "Asia/Yakutsk"],
+    ["UMU", "SSUM", "Umuarama Airport", "Umuarama", "BR", -23.8, -53.31, "America/Sao_Paulo"],
+    ["UNA", "SBTC", "Una Airport", "Una", "BR", -15.35, -39, "America/Belem"],
+    ["UNG", "AYKI", "Kiunga Airport", "Kiunga", "PG", -6.13, 141.29, "Pacific/Port_Moresby"],
+    ["UNI", "TVSU", "Union Island Airport", "Union Island", "VC", 13.5, -61, "America/St_Vincent"],
+    ["UNK", "PAUN", "Unalakleet Airport", "Unalakleet", "US", 63.88, -160.8, "America/Anchorage"],
+    ["UNN", "VTSR", "Ranong Airport", "Ranong", "TH", 9.85, 98.63, "Asia/Bangkok"],
+    ["UNT", "EGPW", "Unst Airport", "Unst", "GB", 60.75, -0.85, "Europe/London"],
+    ["UOL", "WAMY", "Pogogul Airport", "Buol", "ID", 1.1, 121.42, "Asia/Makassar"],
+    ["UPC", null, "Puerto La Cruz Airport", "Puerto La Cruz", "VE", 10.22, -64.63, "America/Caracas"],
+    ["UPF", null, "Pforheim Airport", "Pforheim", "DE", 48.87, 8.68, "Europe/Berlin"],
+    ["UPG", "WAAA", "Sultan Hasanuddin International Airport", "Ujung Pandang", "ID", -5.08, 119.55, "Asia/Makassar"],
+    ["UPK", "BGKL", "Upernavik Kujalleq Heliport", "Upernavik Kujalleq", "GL", 72.15, -55.53, "America/Godthab"],
+    ["UPN", "MMPN", "Licenciado y General Ignacio Lopez Rayon Airport", "Uruapan", "MX", 19.4, -102.04, "America/Mexico_City"],
+    ["URA", "UARR", "Oral Ak Zhol Airport", "Uralsk", "KZ", 51.15, 51.54, "Asia/Oral"],
+    ["URC", "ZWWW", "Urumqi Diwopu International Airport", "Ürümqi", "CN", 43.9, 87.48, "Asia/Shanghai"],
+    ["URE", "EEKE", "Kuressaare Airport", "Kuressaare", "EE", 58.22, 22.5, "Europe/Tallinn"],
+    ["URG", "SBUG", "Ruben Berta Airport", "Uruguaiana", "BR", -29.78, -57.04, "America/Sao_Paulo"],
+    ["URJ", "USHU", "Uraj Airport", "Uray", "RU", 60.12, 64.83, "Asia/Yekaterinburg"],
+    ["URS", "UUOK", "Kursk Vostochny Airport", "Kursk", "RU", 51.75, 36.28, "Europe/Moscow"],
+    ["URT", "VTSB", "Surat Thani Airport", "Surat Thani", "TH", 9.13, 99.14, "Asia/Bangkok"],
+    ["URY", "OEGT", "Gurayat Airport", "Gurayat", "SA", 31.41, 37.28, "Asia/Riyadh"],
+    ["USA", "KJQF", "Concord–Padgett Regional Airport", "Concord", "US", 35.39, -80.71, "America/New_York"],
+    ["USH", "SAWH", "Malvinas Argentinas Airport", "Ushuaia", "AR", -54.84, -68.31, "America/Argentina/Ushuaia"],
+    ["USJ", "UAAL", "Usharal Airport", "Usharal", "KZ", 46.19, 80.83, "Asia/Almaty"],
+    ["USK", "UUYS", "Usinsk Airport", "Usinsk", "RU", 66, 57.37, "Europe/Moscow"],
+    ["USM", "VTSM", "Koh Samui Airport", "Na Thon (Ko Samui Island)", "TH", 9.55, 100.06, "Asia/Bangkok"],
+    ["USN", "RKPU", "Ulsan Airport", "Ulsan", "KR", 35.59, 129.36, "Asia/Seoul"],
+    ["USR", "UEMT", "Ust-Nera Airport", "Ust-Nera", "RU", 64.55, 143.11, "Asia/Vladivostok"],
+    ["UST", "KSGJ", "St. Augustine Airport", "St Augustine", "US", 29.96, -81.34, "America/New_York"],
+    ["USU", "RPVV", "Busuanga Airport", "Coron", "PH", 12.12, 120.1, "Asia/Manila"],
+    ["UTH", "VTUD", "Udon Thani International Airport", "Udon Thani", "TH", 17.39, 102.77, "Asia/Bangkok"],
+    ["UTK", null, "Utirik Island Airport", "Utirik Island", "MH", 11.23, 169.87, "Pacific/Majuro"],
+    ["UTN", "FAUP", "Upington Airport", "Upington", "ZA", -28.4, 21.25, "Africa/Johannesburg"],
+    ["UTO", "PAIM", "Indian Mountain Air Force Station", "Utopia Creek", "US", 65.99, -153.7, "America/Anchorage"],
+    ["UTP", "VTBU", "Utapao Airport", "Rayong", "TH", 12.68, 101.02, "Asia/Bangkok"],
+    ["UTT", "FAUT", "Mthatha Airport", "Mthatha", "ZA", -31.58, 28.78, "Africa/Johannesburg"],
+    ["UUA", "UWKB", "Bugulma Airport", "Bugulma", "RU", 54.63, 52.79, "Europe/Moscow"],
+    ["UUD", "UIUU", "Ulan-Ude Airport", "Ulan Ude", "RU", 51.83, 107.5, "Asia/Irkutsk"],
+    ["UUS", "UHSS", "Yuzhno-Sakhalinsk Airport", "Yuzhno-Sakhalinsk", "RU", 46.89, 142.72, "Asia/Sakhalin"],
+    ["UVE", "NWWV", "Ouvea Airport", "Ouvéa", "NC", -20.64, 166.57, "Pacific/Noumea"],
+    ["UVF", "TLPL", "Hewanorra Airport", "Vieux Fort", "LC", 13.74, -60.95, "America/St_Lucia"],
+    ["UVI", "SSUV", "Uniao Da Vitoria", "Uniao Da Vitoria", "BR", -26.37, -51.09, "America/Sao_Paulo"],
+    ["UYL", "HSNN", "Nyala Airport", "Nyala", "SD", 12.07, 24.89, "Africa/Khartoum"],
+    ["UYN", "ZLYL", "Yulin Yuyang Airport", "Yulin", "CN", 38.36, 109.6, "Asia/Shanghai"],
+    ["UYU", "SLUY", "Uyuni Airport", "Uyuni", "BO", -20.45, -66.85, "America/La_Paz"],
+    ["UZH", null, "Unayzah Airport", "Unayzah", "SA", 26.1, 43.93, "Asia/Riyadh"],
+    ["UZR", "UASU", "Urzhar Airport", "Urzhar", "KZ", 47.09, 81.66, "Asia/Almaty"],
+    ["VAA", "EFVA", "Vaasa Airport", "Vaasa", "FI", 63.04, 21.76, "Europe/Helsinki"],
+    ["VAI", "AYVN", "Vanimo Airport", "Vanimo", "PG", -2.69, 141.3, "Pacific/Port_Moresby"],
+    ["VAK", "PAVA", "Chevak Airport", "Chevak", "US", 61.53, -165.59, "America/Anchorage"],
+    ["VAL", "SNVB", "Valenca Airport", "Valenca", "BR", -13.3, -38.99, "America/Belem"],
+    ["VAM", "VRMV", "Villa International Airport Maamigili", "Maamigili", "MV", 3.47, 72.84, "Indian/Maldives"],
+    ["VAN", "LTCI", "Van Ferit Melen Airport", "Van", "TR", 38.47, 43.34, "Europe/Istanbul"],
+    ["VAO", "AGGV", "Suavanao Airport", "Suavanao", "SB", -7.59, 158.73, "Pacific/Guadalcanal"],
+    ["VAQ", "UNIW", "Vanavara Airport", "Vanavara", "RU", 60.36, 102.31, "Asia/Krasnoyarsk"],
+    ["VAR", "LBWN", "Varna Airport", "Varna", "BG", 43.24, 27.83, "Europe/Sofia"],
+    ["VAS", "LTAR", "Sivas Airport", "Sivas", "TR", 39.81, 36.9, "Europe/Istanbul"],
+    ["VAV", "NFTV", "Lupepau'u Airport", "Vava'u Island", "TO", -18.59, -173.96, "Pacific/Tongatapu"],
+    ["VAW", "ENSS", "Vardo Airport", "Vardø", "NO", 70.35, 31.05, "Europe/Oslo"],
+    ["VAZ", null, "Val D'Isere Airport", "Val D'Isere", "FR", 45.45, 6.98, "Europe/Paris"],
+    ["VBM", null, "Blue Mountain Airport", "Blue Mountain", "US", 57.86, -157.09, "America/Anchorage"],
+    ["VBS", "LIPO", "Montichiari Airport", "Montichiari (BS)", "IT", 45.43, 10.33, "Europe/Rome"],
+    ["VBV", "NFVB", "Vanua Balavu Airport", "Vanua Balavu", "FJ", -17.25, -178.96, "Pacific/Fiji"],
+    ["VBY", "ESSV", "Visby Airport", "Visby", "SE", 57.66, 18.34, "Europe/Stockholm"],
+    ["VCA", "VVCT", "Can Tho Airport", "Can Tho", "VN", 10.05, 105.77, "Asia/Ho_Chi_Minh"],
+    ["VCE", "LIPZ", "Venice Marco Polo Airport", "Venice", "IT", 45.5, 12.34, "Europe/Rome"],
+    ["VCL", "VVCA", "Chu Lai International Airport", "Chu Lai", "VN", 15.41, 108.7, "Asia/Ho_Chi_Minh"],
+    ["VCP", "SBKP", "Viracopos International Airport", "Campinas", "BR", -23.01, -47.14, "America/Sao_Paulo"],
+    ["VCS", "VVCS", "Con Dao Airport", "Con Dao", "VN", 8.73, 106.63, "Asia/Ho_Chi_Minh"],
+    ["VCT", "KVCT", "Victoria Regional Airport", "Victoria", "US", 28.85, -96.91, "America/Chicago"],
+    ["VDC", "SSVC", "Glauber Rocha Airport", "Vitória da Conquista", "BR", -14.91, -40.91, "America/Belem"],
+    ["VDE", "GCHI", "Hierro Airport", "El Hierro Island", "ES", 27.81, -17.88, "Atlantic/Canary"],
+    ["VDH", "VVDH", "Dong Hoi Airport", "Dong Hoi", "VN", 17.52, 106.59, "Asia/Ho_Chi_Minh"],
+    ["VDM", "SAVV", "Gobernador Edgardo Castello Airport", "Viedma / Carmen de Patagones", "AR", -40.86, -63, "America/Argentina/Buenos_Aires"],
+    ["VDO", "VVVD", "Van Don International Airport", "Van Don", "VN", 21.12, 107.41, "Asia/Ho_Chi_Minh"],
+    ["VDS", "ENVD", "Vadso Airport", "Vadsø", "NO", 70.07, 29.85, "Europe/Oslo"],
+    ["VDU", null, "Tom O'Connor Oil Field Airport", "Tom O'Connor Oil Field", "US", 28.3, -97.28, "America/Chicago"],
+    ["VDZ", "PAVD", "Valdez Municipal Airport", "Valdez", "US", 61.13, -146.24, "America/Anchorage"],
+    ["VEE", "PAVE", "Venetie Airport", "Venetie", "US", 67.02, -146.41, "America/Anchorage"],
+    ["VEL", "KVEL", "Vernal Regional Airport", "Vernal", "US", 40.44, -109.51, "America/Denver"],
+    ["VEO", "UNIS", "Severo-Yeniseyskiy Airport", "Severo-Yeniseyskiy", "RU", 60.37, 93.01, "Asia/Krasnoyarsk"],
+    ["VER", "MMVR", "Veracruz International Airport", "Veracruz", "MX", 19.14, -96.18, "America/Mexico_City"],
+    ["VFA", "FVFA", "Victoria Falls Airport", "Victoria Falls", "ZW", -18.09, 25.84, "Africa/Harare"],
+    ["VGA", "VOBZ", "Vijayawada Airport", "Gannavaram", "IN", 16.53, 80.8, "Asia/Kolkata"],
+    ["VGO", "LEVX", "Vigo Airport", "Vigo", "ES", 42.22, -8.63, "Europe/Madrid"],
+    ["VHM", "ESNV", "Vilhelmina Airport", "Vilhelmina", "SE", 64.62, 16.65, "Europe/Stockholm"],
+    ["VHO", null, "Vila Coutinho Airport", "Vila Coutinho", "MZ", -14.62, 34.32, "Africa/Maputo"],
+    ["VHV", "UENI", "Verkhnevilyuysk Airport", "Verkhnevilyuysk", "RU", 63.46, 120.28, "Asia/Yakutsk"],
+    ["VIE", "LOWW", "Vienna International Airport", "Vienna", "AT", 48.12, 16.56, "Europe/Vienna"],
+    ["VIF", null, "Vieste Heliport", "Vieste", "IT", 41.87, 16.17, "Europe/Rome"],
+    ["VIG", "SVVG", "El Vigia Airport", "El Vigía", "VE", 8.63, -71.65, "America/Caracas"],
+    ["VII", "VVVH", "Vinh International Airport", "Vinh", "VN", 18.73, 105.67, "Asia/Ho_Chi_Minh"],
+    ["VIJ", "TUPW", "Virgin Gorda Airport", "Spanish Town", "VG", 18.45, -64.43, "America/Tortola"],
+    ["VIL", "GMMH", "Dakhla Airport", "Dakhla", "MA", 23.71, -15.93, "Africa/Casablanca"],
+    ["VIT", "LEVT", "Vitoria Airport", "Alava", "ES", 42.83, -2.5, "Europe/Madrid"],
+    ["VIX", "SBVT", "Eurico de Aguiar Salles Airport", "Vitória", "BR", -20.26, -40.29, "America/Sao_Paulo"],
+    ["VIZ", "VOVB", "Alluri Sitarama Raju International Airport", "Alluri Sitarama Raju", "IN", 17.98, 83.5, "Asia/Kolkata"],
+    ["VJB", "FQXA", "Xai Xai Airport", "Xai Xai", "MZ", -25.03, 33.62, "Africa/Maputo"],
+    ["VKG", "VVRG", "Rach Gia Airport", "Rach Gia", "VN", 10.08, 105.08, "Asia/Ho_Chi_Minh"],
+    ["VKO", "UUWW", "Vnukovo International Airport", "Moscow", "RU", 55.6, 37.29, "Europe/Moscow"],
+    ["VKT", "UUYW", "Vorkuta Airport", "Vorkuta", "RU", 67.49, 64, "Europe/Moscow"],
+    ["VLC", "LEVC", "Valencia Airport", "Valencia", "ES", 39.49, -0.47, "Europe/Madrid"],
+    ["VLD", "KVLD", "Valdosta Regional Airport", "Valdosta", "US", 30.78, -83.27, "America/New_York"],
+    ["VLI", "NVVV", "Bauerfield International Airport", "Port Vila", "VU", -17.7, 168.32, "Pacific/Efate"],
+    ["VLL", "LEVD", "Valladolid Airport", "Valladolid", "ES", 41.71, -4.84, "Europe/Madrid"],
+    ["VLN", "SVVA", "Arturo Michelena International Airport", "Valencia", "VE", 10.15, -67.92, "America/Caracas"],
+    ["VLS", "NVSV", "Valesdir Airport", "Valesdir", "VU", -16.8, 168.18, "Pacific/Efate"],
+    ["VLV", "SVVL", "Colonel Antonio Nicolas Briceno Airport", "Valera", "VE", 9.34, -70.59, "America/Caracas"],
+    ["VMU", "AYBA", "Baimuru Airport", "Baimuru", "PG", -7.5, 144.8, "Pacific/Port_Moresby"],
+    ["VNO", "EYVI", "Vilnius International Airport", "Vilnius", "LT", 54.64, 25.28, "Europe/Vilnius"],
+    ["VNS", "VEBN", "Lal Bahadur Shastri International Airport", "Varanasi", "IN", 25.45, 82.85, "Asia/Kolkata"],
+    ["VNX", "FQVL", "Vilanculos Airport", "Vilanculo", "MZ", -22.02, 35.28, "Africa/Maputo"],
+    ["VOG", "URWW", "Volgograd International Airport", "Volgograd", "RU", 48.79, 44.35, "Europe/Moscow"],
+    ["VOL", "LGBL", "Nea Anchialos Airport", "Nea Anchialos", "GR", 39.22, 22.79, "Europe/Athens"],
+    ["VOZ", "UUOO", "Voronezh International Airport", "Voronezh", "RU", 51.81, 39.23, "Europe/Moscow"],
+    ["VPE", "FNGI", "Ongiva Airport", "Ngiva", "AO", -17.05, 15.69, "Africa/Luanda"],
+    ["VPN", "BIVO", "Vopnafjordur Airport", "Vopnafjörður", "IS", 65.72, -14.85, "Atlantic/Reykjavik"],
+    ["VPS", "KVPS", "Destin Fort Walton Beach Airport", "Valparaiso", "US", 30.5, -86.55, "America/Chicago"],
+    ["VPY", "FQCH", "Chimoio Airport", "Chimoio", "MZ", -19.15, 33.43, "Africa/Maputo"],
+    ["VQS", "TJVQ", "Antonio Rivera Rodriguez Airport", "Vieques Island", "PR", 18.13, -65.49, "America/Puerto_Rico"],
+    ["VRA", "MUVR", "Juan Gualberto Gomez Airport", "Matanzas", "CU", 23.04, -81.44, "America/Havana"],
+    ["VRB", "KVRB", "Vero Beach Municipal Airport", "Vero Beach", "US", 27.65, -80.41, "America/New_York"],
+    ["VRC", "RPUV", "Virac Airport", "Virac", "PH", 13.58, 124.21, "Asia/Manila"],
+    ["VRL", "LPVR", "Vila Real Airport", "Vila Real", "PT", 41.28, -7.72, "Europe/Lisbon"],
+    ["VRN", "LIPX", "Valerio Catullo Airport", "Villafranca di Verona", "IT", 45.4, 10.91, "Europe/Rome"],
+    ["VRY", "ENVR", "Tobbisodden Heliport", "Værøy", "NO", 67.65, 12.73, "Europe/Oslo"],
+    ["VSA", "MMVA", "Carlos Rovirosa Perez International Airport", "Villahermosa", "MX", 17.99, -92.82, "America/Mexico_City"],
+    ["VSE", "LPVZ", "Viseu Airport", "Viseu", "PT", 40.72, -7.89, "Europe/Lisbon"],
+    ["VSO", null, "Phuoc-long Airport", "Phuoc-long", "VN", 9.43, 105.47, "Asia/Ho_Chi_Minh"],
+    ["VST", "ESOW", "Vasteras/Hasslo Airport", "Stockholm / Västerås", "SE", 59.59, 16.63, "Europe/Stockholm"],
+    ["VSV", "VISV", "Shravasti Airport", "Shravasti", "IN", 27.5, 82.03, "Asia/Kolkata"],
+    ["VTE", "VLVT", "Wattay International Airport", "Vientiane", "LA", 17.98, 102.57, "Asia/Vientiane"],
+    ["VTU", "MUVT", "Hermanos Ameijeiras Airport", "Las Tunas", "CU", 20.99, -76.94, "America/Havana"],
+    ["VTZ", "VEVZ", "Visakhapatnam Airport", "Visakhapatnam", "IN", 17.72, 83.23, "Asia/Kolkata"],
+    ["VUP", "SKVP", "Valledupar Airport", "Valledupar", "CO", 10.44, -73.25, "America/Bogota"],
+    ["VUS", "ULWU", "Velikij Ustyug Airport", "Veliky Ustyug", "RU", 60.77, 46.32, "Europe/Moscow"],
+    ["VVC", "SKVV", "La Vanguardia Airport", "Villavicencio", "CO", 4.08, -73.57, "America/Bogota"],
+    ["VVI", "SLVR", "Viru Viru International Airport", "Santa Cruz", "BO", -17.65, -63.14, "America/La_Paz"],
+    ["VVO", "UHWW", "Vladivostok International Airport", "Artyom", "RU", 43.4, 132.17, "Asia/Vladivostok"],
+    ["VVZ", "DAAP", "Illizi Airport", "Illizi", "DZ", 26.53, 8.55, "Africa/Algiers"],
+    ["VXC", "FQLC", "Lichinga Airport", "Lichinga", "MZ", -13.28, 35.25, "Africa/Maputo"],
+    ["VXE", "GVSV", "Cesaria Evora International Airport", "São Pedro", "CV", 16.84, -25.05, "Atlantic/Cape_Verde"],
+    ["VXO", "ESMX", "Vaxjo-Kronoberg Airport", "Växjö", "SE", 56.93, 14.73, "Europe/Stockholm"],
+    ["VYI", "UENW", "Vilyuysk Airport", "Vilyuisk", "RU", 63.76, 121.69, "Asia/Yakutsk"],
+    ["WAA", "PAIW", "Wales Airport", "Wales", "US", 65.62, -168.09, "America/Anchorage"],
+    ["WAB", null, "Wabag Airport", "Wabag", "PG", -5.48, 143.73, "Pacific/Port_Moresby"],
+    ["WAE", "OEWD", "Wadi Ad Dawasir Airport", "Wadi Al Dawasir", "SA", 20.5, 45.2, "Asia/Riyadh"],
+    ["WAG", "NZWU", "Wanganui Airport", "Wanganui", "NZ", -39.96, 175.02, "Pacific/Auckland"],
+    ["WAN", null, "Waverney Airport", "Waverney", "AU", -25.37, 141.93, "Australia/Brisbane"],
+    ["WAW", "EPWA", "Warsaw Chopin Airport", "Warsaw", "PL", 52.17, 20.97, "Europe/Warsaw"],
+    ["WBB", "KWBB", "Stebbins Airport", "Stebbins", "US", 63.52, -162.28, "America/Anchorage"],
+    ["WBI", null, "Broker Inn Airport", "Broker Inn", "US", 40.02, -105.28, "America/Denver"],
+    ["WBM", "AYWD", "Wapenamanda Airport", "Wapenamanda", "PG", -5.63, 143.89, "Pacific/Port_Moresby"],
+    ["WBN", null, "Cummings Park Airport", "Cummings Park", "US", 42.47, -71.15, "America/New_York"],
+    ["WBQ", "PAWB", "Beaver Airport", "Beaver", "US", 66.36, -147.41, "America/Anchorage"],
+    ["WDH", "FYWH", "Hosea Kutako International Airport", "Windhoek", "NA", -22.49, 17.46, "Africa/Windhoek"],
+    ["WDN", null, "Waldron Island Airport", "Waldron Island", "US", 48.72, -123.03, "America/Los_Angeles"],
+    ["WDS", "ZHSY", "Shiyan Wudangshan Airport", "Shiyan (Maojian)", "CN", 32.59, 110.91, "Asia/Shanghai"],
+    ["WDY", null, "Kodiak FSS Airport", "Kodiak FSS", "US", 57.78, -152.4, "America/Anchorage"],
+    ["WEF", "ZSWF", "Weifang Airport", "Weifang", "CN", 36.64, 119.11, "Asia/Shanghai"],
+    ["WEH", "ZSWH", "Weihai Airport", "Weihai", "CN", 37.19, 122.24, "Asia/Shanghai"],
+    ["WEI", "YBWP", "Weipa Airport", "Weipa", "AU", -12.68, 141.92, "Australia/Brisbane"],
+    ["WEM", null, "West Malling Airport", "West Malling", "GB", 51.3, 0.42, "Europe/London"],
+    ["WES", null, "Weasua Airport", "Weasua", "LR", 7.28, -10.48, "Africa/Monrovia"],
+    ["WEX", null, "Castlebridge Airport", "Castlebridge", "IE", 52.33, -6.47, "Europe/Dublin"],
+    ["WFB", null, "Waterfront Sea Plane Base", "Waterfront", "US", 55.36, -131.67, "America/Anchorage"],
+    ["WGA", "YSWG", "Wagga Wagga Airport", "Wagga Wagga", "AU", -35.16, 147.47, "Australia/Sydney"],
+    ["WGB", null, "Bahawalnagar Airport", "Bahawalnagar", "PK", 30, 73.25, "Asia/Karachi"],
+    ["WGE", "YWLG", "Walgett Airport", "Walgett", "AU", -30.03, 148.13, "Australia/Sydney"],
+    ["WGN", "ZGSY", "Shaoyang Wugang Airport", "Shaoyang (Wugang)", "CN", 26.8, 110.64, "Asia/Shanghai"],
+    ["WGP", "WADW", "Waingapu Airport", "Waingapu", "ID", -9.67, 120.3, "Asia/Makassar"],
+    ["WHA", "ZSWA", "Wuhu Xuanzhou Airport", "Wuhu Xuanzhou", "CN", 31.1, 118.67, "Asia/Shanghai"],
+    ["WHD", null, "Hyder Sea Plane Base", "Hyder", "US", 55.9, -130.01, "America/Juneau"],
+    ["WHK", "NZWK", "Whakatane Airport", "Whakatane", "NZ", -37.92, 176.92, "Pacific/Auckland"],
+    ["WHN", null, "Wuhan Hannan Airport", "Wuhan Hannan", "CN", 30.25, 114.06, "Asia/Shanghai"],
+    ["WIC", "EGPC", "Wick Airport", "Wick", "GB", 58.46, -3.09, "Europe/London"],
+    ["WIL", "HKNW", "Wilson Airport", "Nairobi", "KE", -1.32, 36.81, "Africa/Nairobi"],
+    ["WIN", "YWTN", "Winton Airport", "Winton", "AU", -22.35, 143.07, "Australia/Brisbane"],
+    ["WJR", "HKWJ", "Wajir Airport", "Wajir", "KE", 1.77, 40.6, "Africa/Nairobi"],
+    ["WJU", "RKNW", "Wonju Airport", "Wonju", "KR", 37.44, 127.97, "Asia/Seoul"],
+    ["WKA", "NZWF", "Wanaka Airport", "Wanaka", "NZ", -44.72, 169.24, "Pacific/Auckland"],
+    ["WKJ", "RJCW", "Hokkaido Airport", "Wakkanai", "JP", 45.4, 141.8, "Asia/Tokyo"],
+    ["WKK", null, "Aleknagik Airport", "Aleknagik", "US", 59.28, -158.61, "America/Anchorage"],
+    ["WKL", null, "Waikoloa Airport", "Waikoloa Village", "US", 19.92, -155.86, "Pacific/Honolulu"],
+    ["WLB", null, "Labouchere Bay Airport", "Labouchere Bay", "US", 56.29, -133.66, "America/Juneau"],
+    ["WLG", "NZWN", "Wellington International Airport", "Wellington", "NZ", -41.33, 174.81, "Pacific/Auckland"],
+    ["WLH", "NVSW", "Walaha Airport", "Walaha", "VU", -15.41, 167.69, "Pacific/Efate"],
+    ["WLK", "PASK", "Selawik Airport", "Selawik", "US", 66.6, -159.98, "America/Anchorage"],
+    ["WLM", null, "Waltham Airport", "Waltham", "US", 42.39, -71.25, "America/New_York"],
+    ["WLN", null, "Little Naukati Airport", "Little Naukati", "US", 55.87, -133.22, "America/Metlakatla"],
+    ["WLS", "NLWW", "Wallis Island Airport", "Wallis Island", "WF", -13.23, -176.17, "Pacific/Wallis"],
+    ["WMI", "EPMO", "Warsaw-Modlin Airport", "Warsaw", "PL", 52.45, 20.65, "Europe/Warsaw"],
+    ["WMN", "FMNR", "Maroantsetra Airport", "Maroantsetra", "MG", -15.44, 49.69, "Indian/Antananarivo"],
+    ["WMO", "PAWM", "White Mountain Airport", "White Mountain", "US", 64.69, -163.41, "America/Anchorage"],
+    ["WMT", "ZUMT", "Zunyi Maotai Airport", "Zunyi", "CN", 27.97, 106.44, "Asia/Shanghai"],
+    ["WMX", "WAVV", "Wamena Airport", "Wamena", "ID", -4.1, 138.95, "Asia/Jayapura"],
+    ["WNA", "PANA", "Napakiak Sea Plane Base", "Napakiak", "US", 60.7, -162.12, "America/Anchorage"],
+    ["WNH", "ZPWS", "Wenshan Puzhehei Airport", "Wenshan Puzhehei", "CN", 23.57, 104.33, "Asia/Shanghai"],
+    ["WNI", "WAWD", "Matahora Airport", "Wangi-wangi Island", "ID", -5.32, 123.58, "Asia/Makassar"],
+    ["WNN", "CKL3", "Wunnummin Lake Airport", "Wunnumin Lake", "CA", 52.92, -89.17, "America/Winnipeg"],
+    ["WNP", "RPUN", "Naga Airport", "Naga", "PH", 13.59, 123.27, "Asia/Manila"],
+    ["WNR", "YWDH", "Windorah Airport", "Windorah", "AU", -25.42, 142.67, "Australia/Brisbane"],
+    ["WNS", "OPNH", "Nawabshah Airport", "Nawabashah", "PK", 26.22, 68.39, "Asia/Karachi"],
+    ["WNZ", "ZSWZ", "Wenzhou Longwan International Airport", "Wenzhou", "CN", 27.92, 120.85, "Asia/Shanghai"],
+    ["WOG", null, "Woodgreen Airport", "Woodgreen", "AU", -22.43, 134.2, "Australia/Darwin"],
+    ["WOL", "YWOL", "Shellharbour Airport", "Albion Park Rail", "AU", -34.57, 150.78, "Australia/Sydney"],
+    ["WOO", null, "Woodchopper Airport", "Woodchopper", "US", 65.33, -143.53, "America/Anchorage"],
+    ["WOS", "ZKWS", "Wonsan Kalma Airport", "Wonsan", "KP", 39.17, 127.48, "Asia/Pyongyang"],
+    ["WPL", "CAQ8", "Powell Lake Seaplane Base", "Powell Lake", "CA", 50.18, -124.4, "America/Vancouver"],
+    ["WRE", "NZWR", "Whangarei Airport", "Whangarei", "NZ", -35.77, 174.36, "Pacific/Auckland"],
+    ["WRG", "PAWG", "Wrangell Airport", "Wrangell", "US", 56.48, -132.37, "America/Sitka"],
+    ["WRH", null, "Wuerhe Airport", "Wuerhe", "CN", 46.02, 85.66, "Asia/Shanghai"],
+    ["WRO", "EPWR", "Wroclaw Airport", "Wrocław", "PL", 51.1, 16.9, "Europe/Warsaw"],
+    ["WRY", "EGEW", "Westray Airport", "Westray", "GB", 59.35, -2.95, "Europe/London"],
+    ["WSK", "ZUWS", "Chongqing Wushan Airport", "Chongqing Wushan", "CN", 31.06, 109.71, "Asia/Shanghai"],
+    ["WSN", "PFWS", "South Naknek Airport", "South Naknek", "US", 58.7, -157, "America/Anchorage"],
+    ["WSQ", null, "Uxin Banner Galutu Airport", "Uxin Banner Galutu", "CN", 38.62, 108.82, "Asia/Shanghai"],
+    ["WST", "KWST", "Westerly State Airport", "Washington County", "US", 41.35, -71.81, "America/New_York"],
+    ["WSX", null, "Westsound Airport", "Westsound", "US", 48.67, -122.88, "America/Los_Angeles"],
+    ["WSZ", "NZWS", "Westport Airport", "Westport", "NZ", -41.74, 171.58, "Pacific/Auckland"],
+    ["WTA", "FMMU", "Tambohorano Airport", "Tambohorano", "MG", -17.48, 43.97, "Indian/Antananarivo"],
+    ["WTB", "YBWW", "Toowoomba Wellcamp Airport", "Toowoomba", "AU", -27.56, 151.79, "Australia/Brisbane"],
+    ["WTE", null, "Wotje Airport", "Wotje", "MH", 9.45, 170.27, "Pacific/Majuro"],
+    ["WTK", "PAWN", "Noatak Airport", "Noatak", "US", 67.56, -162.98, "America/Anchorage"],
+    ["WTL", "KA61", "Tuntutuliak Airport", "Tuntutuliak", "US", 60.35, -162.63, "America/Anchorage"],
+    ["WTO", null, "Wotho Airport", "Wotho", "MH", 10.17, 166.03, "Pacific/Majuro"],
+    ["WUA", "ZBUH", "Wuhai Airport", "Wuhai", "CN", 39.79, 106.8, "Asia/Shanghai"],
+    ["WUH", "ZHHH", "Wuhan Tianhe International Airport", "Wuhan (Huangpi)", "CN", 30.78, 114.22, "Asia/Shanghai"],
+    ["WUN", "YWLU", "Wiluna Airport", "Wiluna", "AU", -26.63, 120.22, "Australia/Perth"],
+    ["WUS", "ZSWY", "Wuyishan Airport", "Wuyishan", "CN", 27.7, 118, "Asia/Shanghai"],
+    ["WUT", "ZBXZ", "Xinzhou Wutaishan Airport", "Xinzhou", "CN", 38.6, 112.98, "Asia/Shanghai"],
+    ["WUX", "ZSWX", "Sunan Shuofang International Airport", "Wuxi", "CN", 31.49, 120.42, "Asia/Shanghai"],
+    ["WUZ", "ZGWZ", "Wuzhou Xijiang Airport", "Tangbu", "CN", 23.4, 111.1, "Asia/Shanghai"],
+    ["WVB", "FYWB", "Walvis Bay International Airport", "Walvis Bay", "NA", -22.98, 14.52, "Africa/Windhoek"],
+    ["WWK", "AYWK", "Wewak Airport", "Wewak", "PG", -3.58, 143.67, "Pacific/Port_Moresby"],
+    ["WWP", null, "Whale Pass Airport", "Whale Pass", "US", 56.67, -133.83, "America/Anchorage"],
+    ["WWT", "PAEW", "Newtok Airport", "Newtok", "US", 60.92, -164.65, "America/Anchorage"],
+    ["WXN", "ZUWX", "Wanzhou Airport", "Wanxian", "CN", 30.8, 108.43, "Asia/Shanghai"],
+    ["WYA", "YWHA", "Whyalla Airport", "Whyalla", "AU", -33.05, 137.52, "Australia/Adelaide"],
+    ["WYS", "KWYS", "Yellowstone Airport", "West Yellowstone", "US", 44.69, -111.1, "America/Denver"],
+    ["XAI", "ZHXY", "Xinyang Minggang Airport", "Xinyang", "CN", 32.54, 114.08, "Asia/Shanghai"],
+    ["XAP", "SBCH", "Chapeco Airport", "Chapecó", "BR", -27.13, -52.66, "America/Sao_Paulo"],
+    ["XAY", null, "Xayabury Airport", "Xayabury", "LA", 18.67, 104.72, "Asia/Vientiane"],
+    ["XBE", "CNE3", "Bearskin Lake Airport", "Bearskin Lake", "CA", 53.95, -90.98, "America/Winnipeg"],
+    ["XBJ", "OIMB", "Birjand Airport", "Birjand", "IR", 32.9, 59.25, "Asia/Tehran"],
+    ["XCH", "YPXM", "Christmas Island Airport", "Flying Fish Cove", "CX", -10.5, 105.67, "Indian/Christmas"],
+    ["XCR", "LFOK", "Chalons Vatry Airport", "Vatry", "FR", 48.78, 4.19, "Europe/Paris"],
+    ["XEQ", "BGTQ", "Tasiusaq Heliport (Kujalleq)", "Tasiusaq", "GL", 60.19, -44.81, "America/Godthab"],
+    ["XEX", null, "Aerogare des Invalides", "Aerogare des Invalides", "FR", 48.83, 2.65, "Europe/Paris"],
+    ["XFN", "ZHXF", "Xiangyang Airport", "Xiangyang (Xiangzhou)", "CN", 32.15, 112.29, "Asia/Shanghai"],
+    ["XGB", null, "Gare Montparnasse Station", "Gare Montparnasse Station", "FR", 48.84, 2.32, "Europe/Paris"],
+    ["XGR", "CYLU", "Kangiqsualujjuaq Airport", "Kangiqsualujjuaq", "CA", 58.5, -65.98, "America/Iqaluit"],
+    ["XIC", "ZUXC", "Xichang Qingshan Airport", "Liangshan (Xichang)", "CN", 27.98, 102.19, "Asia/Shanghai"],
+    ["XIL", "ZBXH", "Xilinhot Airport", "Xilinhot", "CN", 43.92, 115.96, "Asia/Shanghai"],
+    ["XIQ", "BGIL", "Ilimanaq Harbour Heliport", "Ilimanaq", "GL", 69, -51, "America/Godthab"],
+    ["XIY", "ZLXY", "Xianyang International Airport", "Xianyang (Weicheng)", "CN", 34.44, 108.76, "Asia/Shanghai"],
+    ["XKH", "VLXK", "Xieng Khouang Airport", "Phon Savan", "LA", 19.44, 103.15, "Asia/Vientiane"],
+    ["XKO", null, "Kemano Airport", "Kemano", "CA", 53.57, -127.93, "America/Vancouver"],
+    ["XKS", "CYAQ", "Kasabonika Airport", "Kasabonika", "CA", 53.52, -88.65, "America/Winnipeg"],
+    ["XLB", "CZWH", "Lac Brochet Airport", "Lac Brochet", "CA", 58.62, -101.47, "America/Winnipeg"],
+    ["XMH", "NTGI", "Manihi Airport", "Manihi", "PF", -14.44, -146.07, "Pacific/Tahiti"],
+    ["XMN", "ZSAM", "Xiamen Gaoqi International Airport", "Xiamen", "CN", 24.54, 118.13, "Asia/Shanghai"],
+    ["XMS", "SEMC", "Macas Airport", "Macas", "EC", -2.32, -78.13, "America/Guayaquil"],
+    ["XMY", "YYMI", "Yam Island Airport", "Yam Island", "AU", -10.48, 142.45, "Australia/Lindeman"],
+    ["XNA", "KXNA", "Northwest Arkansas Regional Airport", "Fayetteville/Springdale/Rogers", "US", 36.28, -94.3, "America/Chicago"],
+    ["XNN", "ZLXN", "Xining Caojiabao Airport", "Haidong (Huzhu Tu Autonomous County)", "CN", 36.53, 102.04, "Asia/Shanghai"],
+    ["XPK", "CZFG", "Pukatawagan Airport", "Pukatawagan", "CA", 55.77, -101.23, "America/Winnipeg"],
+    ["XPL", "MHSC", "Palmerola International Airport", "Palmerola", "HN", 14.42, -87.62, "America/Tegucigalpa"],
+    ["XPU", null, "West Kuparuk Airport", "West Kuparuk", "US", 70.33, -149.33, "America/Anchorage"],
+    ["XQP", "MRQP", "Quepos Airport", "Quepos", "CR", 9.44, -84.13, "America/Costa_Rica"],
+    ["XQU", "CAT4", "Qualicum Beach Airport", "Qualicum Beach", "CA", 49.34, -124.4, "America/Vancouver"],
+    ["XRY", "LEJR", "Jerez Airport", "Jerez de la Frontera", "ES", 36.75, -6.06, "Europe/Madrid"],
+    ["XSC", "MBSC", "South Caicos International Airport", "South Caicos", "TC", 21.52, -71.53, "America/Grand_Turk"],
+    ["XSI", "CZSN", "South Indian Lake Airport", "South Indian Lake", "CA", 56.79, -98.91, "America/Winnipeg"],
+    ["XSP", "WSSL", "Seletar Airport", "Seletar", "SG", 1.42, 103.87, "Asia/Singapore"],
+    ["XTG", "YTGM", "Thargomindah Airport", "Thargomindah", "AU", -27.99, 143.82, "Australia/Brisbane"],
+    ["XTL", "CYBQ", "Tadoule Lake Airport", "Tadoule Lake", "CA", 58.71, -98.51, "America/Winnipeg"],
+    ["XUZ", "ZSXZ", "Xuzhou Guanyin Airport", "Xuzhou", "CN", 34.06, 117.55, "Asia/Shanghai"],
+    ["XWA", "KXWA", "Williston Basin International Airport", "Williston", "US", 48.26, -103.75, "America/Chicago"],
+    ["XYA", "AGGY", "Yandina Airport", "Yandina", "SB", -9.12, 159.22, "Pacific/Guadalcanal"],
+    ["XYT", null, "Montaudran Airport", "Montaudran", "FR", 43.57, 1.48, "Europe/Paris"],
+    ["XZD", null, "Kongsvinger Airport", "Kongsvinger", "NO", 60.19, 12, "Europe/Oslo"],
+    ["YAA", "CAJ4", "Anahim Lake Airport", "Anahim Lake", "CA", 52.46, -125.31, "America/Vancouver"],
+    ["YAB", "CYAB", "Arctic Bay Airport", "Arctic Bay", "CA", 73, -85.03, "America/Rankin_Inlet"],
+    ["YAC", "CYAC", "Cat Lake Airport", "Cat Lake", "CA", 51.72, -91.82, "America/Winnipeg"],
+    ["YAE", null, "Alta Lake Airport", "Alta Lake", "CA", 50.17, -123, "America/Vancouver"],
+    ["YAF", null, "Asbestos Hill Airport", "Asbestos Hill", "CA", 45.77, -71.95, "America/Toronto"],
+    ["YAG", "CYAG", "Fort Frances Municipal Airport", "Fort Frances", "CA", 48.65, -93.45, "America/Winnipeg"],
+    ["YAK", "PAYA", "Yakutat Airport", "Yakutat", "US", 59.51, -139.66, "America/Anchorage"],
+    ["YAL", "CYAL", "Alert Bay Airport", "Alert Bay", "CA", 50.58, -126.92, "America/Vancouver"],
+    ["YAM", "CYAM", "Sault Ste. Marie Airport", "Sault Ste Marie", "CA", 46.49, -84.5, "America/Toronto"],
+    ["YAP", "PTYA", "Yap International Airport", "Yap Island", "FM", 9.5, 138.09, "Pacific/Chuuk"],
+    ["YAQ", null, "Maple Bay Seaplane Base", "Maple Bay", "CA", 48.8, -123.6, "America/Vancouver"],
+    ["YAS", "NFSW", "Yasawa Island Airport", "Yasawa Island", "FJ", -16.76, 177.55, "Pacific/Fiji"],
+    ["YAT", "CYAT", "Attawapiskat Airport", "Attawapiskat", "CA", 52.94, -82.4, "America/Toronto"],
+    ["YAV", null, "Mayne Island Seaplane Base", "Mayne Island", "CA", 48.87, -123.3, "America/Vancouver"],
+    ["YAW", "CYAW", "Shearwater Heliport", "Shearwater", "CA", 44.87, -63.62, "America/Halifax"],
+    ["YAX", "CKB6", "Angling Lake Airport", "Angling Lake", "CA", 53.25, -89.56, "America/Winnipeg"],
+    ["YAY", "CYAY", "St. Anthony Airport", "St. Anthony", "CA", 51.37, -55.58, "America/St_Johns"],
+    ["YAZ", "CYAZ", "Tofino Long Beach Airport", "Tofino", "CA", 49.08, -125.77, "America/Vancouver"],
+    ["YBB", "CYBB", "Kugaaruk Airport", "Kugaaruk", "CA", 68.54, -89.79, "America/Cambridge_Bay"],
+    ["YBC", "CYBC", "Baie-Comeau Airport", "Baie-Comeau", "CA", 49.13, -68.2, "America/Toronto"],
+    ["YBD", null, "New Westminister Heliport", "New Westminister", "CA", 49.23, -122.89, "America/Vancouver"],
+    ["YBE", "CYBE", "Uranium City Airport", "Uranium City", "CA", 59.57, -108.48, "America/Regina"],
+    ["YBF", null, "Bamfield Airport", "Bamfield", "CA", 48.83, -125.14, "America/Vancouver"],
+    ["YBG", "CYBG", "Saguenay-Bagotville Airport", "Bagotville", "CA", 48.33, -70.99, "America/Toronto"],
+    ["YBI", "CCE4", "Black Tickle Airport", "Black Tickle", "CA", 53.47, -55.79, "America/Halifax"],
+    ["YBK", "CYBK", "Baker Lake Airport", "Baker Lake", "CA", 64.3, -96.08, "America/Rankin_Inlet"],
+    ["YBL", "CYBL", "Campbell River Airport", "Campbell River", "CA", 49.95, -125.27, "America/Vancouver"],
+    ["YBN", null, "Borden Airport", "Borden", "CA", 46.3, -63.78, "America/Toronto"],
+    ["YBP", "ZUYB", "Yibin Wuliangye Airport", "Yibin (Cuiping)", "CN", 28.86, 104.53, "Asia/Shanghai"],
+    ["YBR", "CYBR", "Brandon Municipal Airport", "Brandon", "CA", 49.91, -99.95, "America/Winnipeg"],
+    ["YBT", "CYBT", "Brochet Airport", "Brochet", "CA", 57.89, -101.68, "America/Winnipeg"],
+    ["YBV", "CYBV", "Berens River Airport", "Berens River", "CA", 52.36, -97.02, "America/Winnipeg"],
+    ["YBW", null, "Bedwell Harbour Seaplane Base", "Bedwell Harbour", "CA", 48.75, -123.23, "America/Vancouver"],
+    ["YBX", "CYBX", "Blanc Sablon Airport", "Blanc-Sablon", "CA", 51.43, -57.22, "America/Blanc-Sablon"],
+    ["YBY", "CYBF", "Bonnyville Airport", "Bonnyville", "CA", 54.3, -110.75, "America/Edmonton"],
+    ["YCB", "CYCB", "Cambridge Bay Airport", "Cambridge Bay", "CA", 69.1, -105.13, "America/Cambridge_Bay"],
+    ["YCD", "CYCD", "Nanaimo Airport", "Nanaimo", "CA", 49.05, -123.87, "America/Vancouver"],
+    ["YCG", "CYCG", "West Kootenay Regional Airport", "Castlegar", "CA", 49.3, -117.63, "America/Vancouver"],
+    ["YCJ", null, "Cape Saint James Airport", "Cape Saint James", "CA", 51.93, -131.02, "America/Vancouver"],
+    ["YCK", "CYVL", "Colville Lake/Tommy Kochon", "Colville Lake", "CA", 67.02, -126.13, "America/Yellowknife"],
+    ["YCL", "CYCL", "Charlo Airport", "Charlo", "CA", 47.99, -66.33, "America/Moncton"],
+    ["YCM", "CYSN", "St. Catharines Airport", "St Catharines", "CA", 43.2, -79.17, "America/Toronto"],
+    ["YCO", "CYCO", "Kugluktuk Airport", "Kugluktuk", "CA", 67.83, -115.08, "America/Cambridge_Bay"],
+    ["YCR", "CYCR", "Charlie Sinclair Memorial Airport", "Cross Lake", "CA", 54.61, -97.75, "America/Winnipeg"],
+    ["YCS", "CYCS", "Chesterfield Inlet Airport", "Chesterfield Inlet", "CA", 63.33, -90.72, "America/Rankin_Inlet"],
+    ["YCU", "ZBYC", "Yuncheng Guangong Airport", "Yuncheng", "CN", 35.11, 111.04, "Asia/Shanghai"],
+    ["YCX", "CYCX", "CFB Heliport", "CFB", "CA", 45.77, -66.17, "America/Moncton"],
+    ["YCY", "CYCY", "Clyde River Airport", "Clyde River", "CA", 70.42, -68.5, "America/Iqaluit"],
+    ["YDA", "CYDA", "Dawson City Airport", "Dawson City", "CA", 64.05, -139.12, "America/Whitehorse"],
+    ["YDF", "CYDF", "Deer Lake Regional Airport", "Deer Lake", "CA", 49.21, -57.4, "America/St_Johns"],
+    ["YDH", null, "Daniels Harbour Airport", "Daniels Harbour", "CA", 50.22, -57.58, "America/St_Johns"],
+    ["YDK", null, "Main Duck Island Airport", "Main Duck Island", "CA", 43.93, -76.62, "America/Toronto"],
+    ["YDL", "CYDL", "Dease Lake Airport", "Dease Lake", "CA", 58.42, -130.03, "America/Vancouver"],
+    ["YDN", "CYDN", "Dauphin Airport", "Dauphin", "CA", 51.1, -100.05, "America/Winnipeg"],
+    ["YDP", "CYDP", "Nain Airport", "Nain", "CA", 56.53, -61.67, "America/Goose_Bay"],
+    ["YDR", null, "Broadview Airport", "Broadview", "CA", 50.37, -102.58, "America/Regina"],
+    ["YDS", null, "Desolation Sound", "Desolation Sound", "CA", 50.33, -125, "America/Vancouver"],
+    ["YDV", "CZTA", "Bloodvein Airport", "Bloodvein", "CA", 51.75, -96.73, "America/Winnipeg"],
+    ["YED", "CYED", "CFB Edmonton", "CFB Edmonton", "CA", 53.67, -113.46, "America/Edmonton"],
+    ["YEG", "CYEG", "Edmonton International Airport", "Edmonton", "CA", 53.31, -113.58, "America/Edmonton"],
+    ["YEH", null, "Yinchuan Helanshan Airport", "Yinchuan Helanshan", "CN", 38.48, 106.01, "Asia/Shanghai"],
+    ["YEI", "LTBR", "Yenisehir Airport", "Bursa", "TR", 40.26, 29.54, "Europe/Istanbul"],
+    ["YEK", "CYEK", "Arviat Airport", "Arviat", "CA", 61.12, -94.05, "America/Rankin_Inlet"],
+    ["YER", "CYER", "Fort Severn Airport", "Fort Severn", "CA", 56.02, -87.68, "America/Toronto"],
+    ["YEV", "CYEV", "Inuvik Mike Zubko Airport", "Inuvik", "CA", 68.31, -133.5, "America/Inuvik"],
+    ["YFA", "CYFA", "Fort Albany Airport", "Fort Albany", "CA", 52.24, -81.59, "America/Toronto"],
+    ["YFB", "CYFB", "Iqaluit Airport", "Iqaluit", "CA", 63.75, -68.54, "America/Iqaluit"],
+    ["YFC", "CYFC", "Fredericton International Airport", "Fredericton", "CA", 45.87, -66.53, "America/Moncton"],
+    ["YFH", "CYFH", "Fort Hope Airport", "Fort Hope", "CA", 51.56, -87.9, "America/Toronto"],
+    ["YFJ", "CYWE", "Wekweeti Airport", "Wekweeti", "CA", 64.19, -114.08, "America/Yellowknife"],
+    ["YFO", "CYFO", "Flin Flon Airport", "Flin Flon", "CA", 54.68, -101.68, "America/Winnipeg"],
+    ["YFS", "CYFS", "Fort Simpson Airport", "Fort Simpson", "CA", 61.75, -121.23, "America/Yellowknife"],
+    ["YFX", null, "Fox Harbour Airport", "St. Lewis", "CA", 52.37, -55.68, "America/St_Johns"],
+    ["YGG", "CAX6", "Ganges Harbor Seaplane Base", "Ganges", "CA", 48.85, -123.5, "America/Vancouver"],
+    ["YGH", "CYGH", "Fort Good Hope Airport", "Fort Good Hope", "CA", 66.27, -128.65, "America/Yellowknife"],
+    ["YGJ", "RJOH", "Miho Airport", "Yonago", "JP", 35.5, 133.24, "Asia/Tokyo"],
+    ["YGL", "CYGL", "La Grande Riviere", "La Grande Rivière", "CA", 53.63, -77.71, "America/Toronto"],
+    ["YGN", "CYGN", "Greenway Sound Airport", "Greenway Sound", "CA", 50.85, -126.85, "America/Vancouver"],
+    ["YGO", "CYGO", "Gods Lake Narrows Airport", "Gods Lake Narrows", "CA", 54.56, -94.49, "America/Winnipeg"],
+    ["YGP", "CYGP", "Michel-Pouliot Gaspe Airport", "Gaspé", "CA", 48.78, -64.48, "America/Toronto"],
+    ["YGR", "CYGR", "Iles De La Madeleine Airport", "Les Îles-de-la-Madeleine", "CA", 47.37, -61.9, "America/Halifax"],
+    ["YGS", null, "Germansen Airport", "Germansen", "CA", 55.78, -124.72, "America/Vancouver"],
+    ["YGT", "CYGT", "Igloolik Airport", "Igloolik", "CA", 69.4, -81.82, "America/Iqaluit"],
+    ["YGV", "CYGV", "Havre St. Pierre Airport", "Havre-Saint-Pierre", "CA", 50.25, -63.58, "America/Toronto"],
+    ["YGW", "CYGW", "Kuujjuarapik Airport", "Kuujjuarapik", "CA", 55.28, -77.77, "America/Toronto"],
+    ["YGX", "CYGX", "Gillam Airport", "Gillam", "CA", 56.35, -94.7, "America/Winnipeg"],
+    ["YGY", null, "Deception Bay Airport", "Deception Bay", "CA", 62.1, -74.62, "America/Toronto"],
+    ["YGZ", "CYGZ", "Grise Fiord Airport", "Grise Fiord", "CA", 76.42, -82.96, "America/Iqaluit"],
+    ["YHA", "CCP4", "Port Hope Simpson Airport", "Port Hope Simpson", "CA", 52.53, -56.29, "America/St_Johns"],
+    ["YHG", "CCH4", "Charlottetown Airport", "Charlottetown", "CA", 52.77, -56.12, "America/St_Johns"],
+    ["YHH", null, "Campbell River Seaplane Base", "Campbell River", "CA", 50.05, -125.26, "America/Vancouver"],
+    ["YHI", "CYHI", "Ulukhaktok/Holman Airport", "Ulukhaktok", "CA", 70.72, -117.72, "America/Yellowknife"],
+    ["YHK", "CYHK", "Gjoa Haven Airport", "Gjoa Haven", "CA", 68.63, -95.95, "America/Cambridge_Bay"],
+    ["YHM", "CYHM", "Hamilton International Airport", "Hamilton", "CA", 43.16, -79.93, "America/Toronto"],
+    ["YHO", "CYHO", "Hopedale Airport", "Hopedale", "CA", 55.45, -60.23, "America/Goose_Bay"],
+    ["YHP", "CYHP", "Poplar Hill Airport", "Poplar Hill", "CA", 52.08, -94.3, "America/Winnipeg"],
+    ["YHR", "CYHR", "Chevery Airport", "Chevery", "CA", 50.5, -59.5, "America/Blanc-Sablon"],
+    ["YHU", "CYHU", "St. Hubert Airport", "Montréal", "CA", 45.52, -73.42, "America/Toronto"],
+    ["YHY", "CYHY", "Hay River Airport", "Hay River", "CA", 60.85, -115.78, "America/Yellowknife"],
+    ["YHZ", "CYHZ", "Halifax Stanfield International Airport", "Halifax", "CA", 44.88, -63.51, "America/Halifax"],
+    ["YIA", "WAHI", "Yogyakarta International Airport", "Yogyakarta", "ID", -7.91, 110.05, "Asia/Jakarta"],
+    ["YIC", "ZSYC", "Yichun Mingyueshan Airport", "Yichun", "CN", 27.8, 114.31, "Asia/Shanghai"],
+    ["YIE", "ZBES", "Arxan Yiershi Airport", "Arxan", "CN", 47.31, 119.91, "Asia/Shanghai"],
+    ["YIF", "CYIF", "St-Augustin/Pakuashipi Airport", "St-Augustin", "CA", 51.22, -58.67, "America/Blanc-Sablon"],
+    ["YIG", null, "Big Bay SPB", "Big Bay SPB", "CA", 50.4, -125.13, "America/Vancouver"],
+    ["YIH", "ZHYC", "Yichang Sanxia Airport", "Yichang (Xiaoting)", "CN", 30.55, 111.48, "Asia/Shanghai"],
+    ["YIK", "CYIK", "Ivujivik Airport", "Ivujivik", "CA", 62.42, -76.08, "America/Toronto"],
+    ["YIN", "ZWYN", "Yining Airport", "Yining", "CN", 43.95, 81.33, "Asia/Shanghai"],
+    ["YIO", "CYIO", "Pond Inlet Airport", "Pond Inlet", "CA", 72.68, -78, "America/Iqaluit"],
+    ["YIV", "CYIV", "Island Lake Airport", "Island Lake", "CA", 53.86, -94.65, "America/Winnipeg"],
+    ["YIW", "ZSYW", "Yiwu Airport", "Yiwu", "CN", 29.34, 120.03, "Asia/Shanghai"],
+    ["YJO", null, "Johnny Mountain Airport", "Johnny Mountain", "CA", 56.67, -131.12, "America/Vancouver"],
+    ["YKA", "CYKA", "Kamloops Airport", "Kamloops", "CA", 50.71, -120.44, "America/Vancouver"],
+    ["YKF", "CYKF", "Region of Waterloo International Airport", "Kitchener", "CA", 43.46, -80.39, "America/Toronto"],
+    ["YKG", "CYAS", "Kangirsuk Airport", "Kangirsuk", "CA", 60.02, -70, "America/Toronto"],
+    ["YKH", "ZYYK", "Yingkou Airport", "Laobian, Yingkou", "CN", 40.54, 122.36, "Asia/Shanghai"],
+    ["YKL", "CYKL", "Schefferville Airport", "Schefferville", "CA", 54.78, -64.82, "America/Toronto"],
+    ["YKM", "KYKM", "Yakima Air Terminal", "Yakima", "US", 46.57, -120.54, "America/Los_Angeles"],
+    ["YKO", "LTCW", "Hakkari Yuksekova Selahaddin Eyyubi Airport", "Hakkari", "TR", 37.55, 44.26, "Europe/Istanbul"],
+    ["YKQ", "CYKQ", "Waskaganish Airport", "Waskaganish", "CA", 51.49, -78.75, "America/Toronto"],
+    ["YKS", "UEEE", "Yakutsk International Airport", "Yakutsk", "RU", 62.09, 129.75, "Asia/Yakutsk"],
+    ["YKU", "CSU2", "Chisasibi Airport", "Chisasibi", "CA", 53.81, -78.92, "America/Toronto"],
+    ["YLC", "CYLC", "Kimmirut Airport", "Kimmirut", "CA", 62.85, -69.88, "America/Iqaluit"],
+    ["YLE", "CEM3", "Whati Airport", "Whatì", "CA", 63.13, -117.24, "America/Yellowknife"],
+    ["YLH", "CYLH", "Lansdowne House Airport", "Lansdowne House", "CA", 52.2, -87.93, "America/Toronto"],
+    ["YLK", "CYLS", "Lake Simcoe Regional Airport", "Barrie-Orillia", "CA", 44.49, -79.56, "America/Toronto"],
+    ["YLL", "CYLL", "Lloydminster Airport", "Lloydminster", "CA", 53.31, -110.07, "America/Edmonton"],
+    ["YLO", "CYLO", "CFB Shilo Heliport", "CFB Shilo", "CA", 49.78, -99.64, "America/Winnipeg"],
+    ["YLW", "CYLW", "Kelowna International Airport", "Kelowna", "CA", 49.95, -119.38, "America/Vancouver"],
+    ["YLX", "ZGYL", "Yulin Fumian Airport", "Yùlín", "CN", 22.44, 110.12, "Asia/Shanghai"],
+    ["YMC", null, "Maricourt Airstrip", "Maricourt", "CA", 56.57, -70.82, "America/Toronto"],
+    ["YMH", "CYMH", "Mary's Harbour Airport", "Mary's Harbour", "CA", 52.3, -55.85, "America/St_Johns"],
+    ["YMM", "CYMM", "Fort McMurray International Airport", "Fort McMurray", "CA", 56.66, -111.22, "America/Edmonton"],
+    ["YMN", "CYFT", "Makkovik Airport", "Makkovik", "CA", 55.17, -59.17, "America/Goose_Bay"],
+    ["YMO", "CYMO", "Moosonee Airport", "Moosonee", "CA", 51.29, -80.6, "America/Toronto"],
+    ["YMP", "CAT5", "Port McNeill Seaplane Base", "Port McNeill", "CA", 50.59, -127.09, "America/Vancouver"],
+    ["YMR", null, "Merry Island Airport", "Merry Island", "CA", 55.48, -77.52, "America/Vancouver"],
+    ["YMS", "SPMS", "Yurimaguas Airport", "Yurimaguas", "PE", -5.9, -76.1, "America/Lima"],
+    ["YMT", "CYMT", "Chibougamau Airport", "Chibougamau", "CA", 49.92, -74.37, "America/Toronto"],
+    ["YNA", "CYNA", "Natashquan Airport", "Natashquan", "CA", 50.18, -61.8, "America/Toronto"],
+    ["YNB", "OEYN", "Yanbu Airport", "Yanbu", "SA", 24.14, 38.06, "Asia/Riyadh"],
+    ["YNC", "CYNC", "Wemindji Airport", "Wemindji", "CA", 53, -78.82, "America/Toronto"],
+    ["YND", "CYND", "Gatineau Airport", "Gatineau", "CA", 45.52, -75.56, "America/Toronto"],
+    ["YNE", "CYNE", "Norway House Airport", "Norway House", "CA", 53.95, -97.85, "America/Winnipeg"],
+    ["YNF", null, "Deer Lake/Stephenville Airport", "Deer Lake/Stephenville", "CA", 48.95, -57.94, "America/St_Johns"],
+    ["YNI", null, "Nitchequon Airport", "Nitchequon", "CA", 53.17, -70.97, "America/Toronto"],
+    ["YNJ", "ZYYJ", "Yanji Chaoyangchuan Airport", "Yanji", "CN", 42.89, 129.44, "Asia/Shanghai"],
+    ["YNK", null, "Nootka Sound Airport", "Nootka Sound", "CA", 50.08, -125.92, "America/Vancouver"],
+    ["YNL", "CYNL", "Points North Landing Airport", "Points North Landing", "CA", 58.28, -104.08, "America/Regina"],
+    ["YNO", "CKQ3", "North Spirit Lake Airport", "North Spirit Lake", "CA", 52.49, -92.98, "America/Winnipeg"],
+    ["YNP", "CNH2", "Natuashish Airport", "Natuashish", "CA", 55.91, -61.18, "America/Goose_Bay"],
+    ["YNS", "CYHH", "Nemiscau Airport", "Nemiscau", "CA", 49.74, -76.74, "America/Toronto"],
+    ["YNT", "ZSYT", "Yantai Penglai International Airport", "Yantai", "CN", 37.66, 120.99, "Asia/Shanghai"],
+    ["YNY", "RKNY", "Yangyang Airport", "Gonghang-ro", "KR", 38.06, 128.66, "Asia/Seoul"],
+    ["YNZ", "ZSYN", "Yancheng Nanyang International Airport", "Yancheng", "CN", 33.43, 120.2, "Asia/Shanghai"],
+    ["YOC", "CYOC", "Old Crow Airport", "Old Crow", "CA", 67.57, -139.85, "America/Whitehorse"],
+    ["YOG", "CYKP", "Ogoki Airport", "Ogoki Post", "CA", 51.67, -85.92, "America/Toronto"],
+    ["YOH", "CYOH", "Oxford House Airport", "Oxford House", "CA", 54.93, -95.28, "America/Winnipeg"],
+    ["YOI", null, "Opinaca Aerodrome", "Opinaca", "CA", 52.22, -76.61, "America/Toronto"],
+    ["YOJ", "CYOJ", "High Level Airport", "High Level", "CA", 58.62, -117.17, "America/Edmonton"],
+    ["YOK", null, "Yokohama Airport", "Yokohama", "JP", 35.47, 139.47, "Asia/Tokyo"],
+    ["YOL", "DNYO", "Yola Airport", "Yola", "NG", 9.27, 12.43, "Africa/Lagos"],
+    ["YON", "VQTY", "Yongphulla Airport", "Yongphulla", "BT", 27.26, 91.51, "Asia/Thimphu"],
+    ["YOW", "CYOW", "Ottawa International Airport", "Ottawa", "CA", 45.32, -75.67, "America/Toronto"],
+    ["YOY", "CYOY", "Valcartier CFB Heliport", "Valcartier CFB", "CA", 46.9, -71.5, "America/Toronto"],
+    ["YPA", "CYPA", "Prince Albert Glass Field Airport", "Prince Albert", "CA", 53.22, -105.68, "America/Regina"],
+    ["YPC", "CYPC", "Paulatuk (Nora Aliqatchialuk Ruben) Airport", "Paulatuk", "CA", 69.36, -124.07, "America/Yellowknife"],
+    ["YPE", "CYPE", "Peace River Airport", "Peace River", "CA", 56.23, -117.44, "America/Edmonton"],
+    ["YPH", "CYPH", "Inukjuak Airport", "Inukjuak", "CA", 58.43, -78.17, "America/Toronto"],
+    ["YPJ", "CYLA", "Aupaluk Airport", "Aupaluk", "CA", 59.3, -69.67, "America/Toronto"],
+    ["YPL", "CYPL", "Pickle Lake Airport", "Pickle Lake", "CA", 51.21, -90.21, "America/Atikokan"],
+    ["YPM", "CYPM", "Pikangikum Airport", "Pikangikum", "CA", 51.82, -93.97, "America/Winnipeg"],
+    ["YPN", "CYPN", "Port-Menier Airport", "Port-Menier", "CA", 49.84, -64.29, "America/Toronto"],
+    ["YPO", "CYPO", "Peawanuk Airport", "Peawanuck", "CA", 54.98, -85.43, "America/Toronto"],
+    ["YPP", null, "Pine Point Airport", "Pine Point", "CA", 60.85, -114.85, "America/Edmonton"],
+    ["YPR", "CYPR", "Prince Rupert Airport", "Prince Rupert", "CA", 54.29, -130.44, "America/Vancouver"],
+    ["YPW", "CYPW", "Powell River Airport", "Powell River", "CA", 49.82, -124.5, "America/Vancouver"],
+    ["YPX", "CYPX", "Puvirnituq Airport", "Puvirnituq", "CA", 60.03, -77.17, "America/Toronto"],
+    ["YPY", "CYPY", "Fort Chipewyan Airport", "Fort Chipewyan", "CA", 58.77, -111.11, "America/Edmonton"],
+    ["YPZ", "CYPZ", "Burns Lake Airport", "Burns Lake", "CA", 54.23, -125.77, "America/Vancouver"],
+    ["YQA", "CYQA", "Muskoka Airport", "Muskoka", "CA", 44.97, -79.3, "America/Toronto"],
+    ["YQB", "CYQB", "Quebec City Jean Lesage International Airport", "Quebec", "CA", 46.79, -71.38, "America/Toronto"],
+    ["YQC", "CYHA", "Quaqtaq Airport", "Quaqtaq", "CA", 61.33, -69.63, "America/Toronto"],
+    ["YQD", "CYQD", "The Pas Airport", "The Pas", "CA", 53.97, -101.1, "America/Winnipeg"],
+    ["YQE", null, "Kimberley Airport", "Kimberley", "CA", 49.67, -115.98, "America/Vancouver"],
+    ["YQG", "CYQG", "Windsor International Airport", "Windsor", "CA", 42.27, -82.96, "America/Toronto"],
+    ["YQH", "CYQH", "Watson Lake Airport", "Watson Lake", "CA", 60.12, -128.82, "America/Whitehorse"],
+    ["YQK", "CYQK", "Kenora Airport", "Kenora", "CA", 49.79, -94.36, "America/Winnipeg"],
+    ["YQL", "CYQL", "Lethbridge Airport", "Lethbridge", "CA", 49.63, -112.79, "America/Edmonton"],
+    ["YQM", "CYQM", "Greater Moncton International Airport", "Moncton", "CA", 46.11, -64.69, "America/Moncton"],
+    ["YQN", "CYQN", "Nakina Airport", "Nakina", "CA", 50.18, -86.7, "America/Toronto"],
+    ["YQQ", "CYQQ", "Comox Valley Airport", "Comox", "CA", 49.71, -124.91, "America/Vancouver"],
+    ["YQR", "CYQR", "Regina International Airport", "Regina", "CA", 50.43, -104.66, "America/Regina"],
+    ["YQT", "CYQT", "Thunder Bay International Airport", "Thunder Bay", "CA", 48.37, -89.31, "America/Thunder_Bay"],
+    ["YQU", "CYQU", "Grande Prairie Airport", "Grande Prairie", "CA", 55.18, -118.87, "America/Edmonton"],
+    ["YQX", "CYQX", "Gander International Airport", "Gander", "CA", 48.95, -54.57, "America/St_Johns"],
+    ["YQY", "CYQY", "JA Douglas McCurdy Sydney Airport", "Sydney", "CA", 46.17, -60.05, "America/Halifax"],
+    ["YQZ", "CYQZ", "Quesnel Airport", "Quesnel", "CA", 53.03, -122.51, "America/Vancouver"],
+    ["YRA", "CYRA", "Gameti/Rae Lakes Airport", "Gamètì", "CA", 64.12, -117.31, "America/Yellowknife"],
+    ["YRB", "CYRB", "Resolute Bay Airport", "Resolute Bay", "CA", 74.72, -94.97, "America/Resolute"],
+    ["YRE", null, "Resolution Island Airport", "Resolution Island", "CA", 61.5, -65, "America/Pangnirtung"],
+    ["YRF", "CYCA", "Cartwright Airport", "Cartwright", "CA", 53.68, -57.04, "America/Goose_Bay"],
+    ["YRG", "CCZ2", "Rigolet Airport", "Rigolet", "CA", 54.33, -58.42, "America/Goose_Bay"],
+    ["YRJ", "CYRJ", "Roberval Airport", "Roberval", "CA", 48.52, -72.27, "America/Toronto"],
+    ["YRL", "CYRL", "Red Lake Airport", "Red Lake", "CA", 51.07, -93.8, "America/Winnipeg"],
+    ["YRS", "CYRS", "Red Sucker Lake Airport", "Red Sucker Lake", "CA", 54.17, -93.56, "America/Winnipeg"],
+    ["YRT", "CYRT", "Rankin Inlet Airport", "Rankin Inlet", "CA", 62.81, -92.1, "America/Rankin_Inlet"],
+    ["YSB", "CYSB", "Greater Sudbury Airport", "Sudbury", "CA", 46.62, -80.8, "America/Toronto"],
+    ["YSF", "CYSF", "Stony Rapids Airport", "Stony Rapids", "CA", 59.25, -105.84, "America/Regina"],
+    ["YSG", "CYLK", "Lutselke Airport", "Lutselk'e", "CA", 62.42, -110.08, "America/Yellowknife"],
+    ["YSJ", "CYSJ", "Saint John Airport", "Saint John", "CA", 45.33, -65.89, "America/Moncton"],
+    ["YSK", "CYSK", "Sanikiluaq Airport", "Sanikiluaq", "CA", 56.55, -79.22, "America/Iqaluit"],
+    ["YSM", "CYSM", "Fort Smith Airport", "Fort Smith", "CA", 60.02, -111.97, "America/Yellowknife"],
+    ["YSO", "CCD4", "Postville Airport", "Postville", "CA", 54.92, -59.97, "America/Goose_Bay"],
+    ["YSQ", "ZYSQ", "Songyuan Chaganhu Airport", "Qian Gorlos Mongol Autonomous County", "CN", 44.94, 124.55, "Asia/Shanghai"],
+    ["YST", "CYST", "St. Theresa Point Airport", "St. Theresa Point", "CA", 53.85, -94.85, "America/Winnipeg"],
+    ["YSY", "CYSY", "Sachs Harbour (D. Nasogaluak Jr. Saaryuaq) Airport", "Sachs Harbour", "CA", 71.99, -125.24, "America/Yellowknife"],
+    ["YSZ", null, "Squirrel Cove Seaplane Base", "Squirrel Cove", "CA", 50.12, -124.91, "America/Vancouver"],
+    ["YTC", null, "Sturdee Airport", "Sturdee", "CA", 57.2, -127.15, "America/Vancouver"],
+    ["YTE", "CYTE", "Cape Dorset Airport", "Kinngait", "CA", 64.23, -76.53, "America/Iqaluit"],
+    ["YTG", null, "Sullivan Bay Seaplane Base", "Sullivan Bay", "CA", 50.89, -126.83, "America/Vancouver"],
+    ["YTH", "CYTH", "Thompson Airport", "Thompson", "CA", 55.8, -97.86, "America/Winnipeg"],
+    ["YTL", "CYTL", "Big Trout Airport", "Big Trout Lake", "CA", 53.82, -89.89, "America/Winnipeg"],
+    ["YTN", null, "Riviere Au Tonnerre Airport", "Riviere Au Tonnerre", "CA", 50.28, -64.75, "America/Toronto"],
+    ["YTP", "CAB4", "Tofino Sea Plane Base", "Tofino", "CA", 49.15, -125.41, "America/Vancouver"],
+    ["YTQ", "CYTQ", "Tasiujuaq Airport", "Tasiujaq", "CA", 58.67, -69.96, "America/Toronto"],
+    ["YTS", "CYTS", "Timmins Victor M. Power Airport", "Timmins", "CA", 48.57, -81.37, "America/Toronto"],
+    ["YTW", "ZWYT", "Yutian Wanfang Airport", "Yutian Wanfang", "CN", 36.81, 81.78, "Asia/Shanghai"],
+    ["YTY", "ZSYA", "Yangzhou Taizhou Airport", "Yangzhou", "CN", 32.56, 119.72, "Asia/Shanghai"],
+    ["YTZ", "CYTZ", "Billy Bishop Toronto City Airport", "Toronto", "CA", 43.63, -79.4, "America/Toronto"],
+    ["YUD", "CYMU", "Umiujaq Airport", "Umiujaq", "CA", 56.54, -76.52, "America/Toronto"],
+    ["YUL", "CYUL", "Montreal-Pierre Elliott Trudeau International Airport", "Montréal", "CA", 45.46, -73.75, "America/Toronto"],
+    ["YUM", "KNYL", "Yuma International Airport", "Yuma", "US", 32.67, -114.6, "America/Phoenix"],
+    ["YUS", "ZLYS", "Yushu Batang Airport", "Yushu (Batang)", "CN", 32.84, 97.04, "Asia/Shanghai"],
+    ["YUT", "CYUT", "Naujaat Airport", "Repulse Bay", "CA", 66.52, -86.23, "America/Rankin_Inlet"],
+    ["YUX", "CYUX", "Hall Beach Airport", "Sanirajak", "CA", 68.78, -81.25, "America/Iqaluit"],
+    ["YUY", "CYUY", "Rouyn-Noranda Airport", "Rouyn-Noranda", "CA", 48.21, -78.83, "America/Toronto"],
+    ["YVB", "CYVB", "Bonaventure Airport", "Bonaventure", "CA", 48.07, -65.46, "America/Toronto"],
+    ["YVC", "CYVC", "La Ronge Airport", "La Ronge", "CA", 55.15, -105.27, "America/Regina"],
+    ["YVM", "CYVM", "Qikiqtarjuaq Airport", "Qikiqtarjuaq", "CA", 67.58, -63.83, "America/Pangnirtung"],
+    ["YVO", "CYVO", "Val-d'Or Airport", "Val-d'Or", "CA", 48.05, -77.79, "America/Toronto"],
+    ["YVP", "CYVP", "Kuujjuaq Airport", "Kuujjuaq", "CA", 58.1, -68.42, "America/Toronto"],
+    ["YVQ", "CYVQ", "Norman Wells Airport", "Norman Wells", "CA", 65.28, -126.79, "America/Yellowknife"],
+    ["YVR", "CYVR", "Vancouver International Airport", "Vancouver", "CA", 49.19, -123.18, "America/Vancouver"],
+    ["YVV", "CYVV", "Wiarton Airport", "Wiarton", "CA", 44.67, -81.17, "America/Toronto"],
+    ["YVZ", "CYVZ", "Deer Lake Airport", "Deer Lake", "CA", 52.67, -94.5, "America/Winnipeg"],
+    ["YWB", "CYKG", "Kangiqsujuaq Airport", "Kangiqsujuaq", "CA", 61.6, -71.95, "America/Toronto"],
+    ["YWF", null, "Halifax Downtown Waterfront Heliport", "Halifax Downtown Waterfront", "CA", 44.63, -63.58, "America/Halifax"],
+    ["YWG", "CYWG", "Winnipeg James Armstrong Richardson International Airport", "Winnipeg", "CA", 49.91, -97.22, "America/Winnipeg"],
+    ["YWH", "CYWH", "Victoria Inner Harbour Airport", "Victoria", "CA", 48.42, -123.37, "America/Vancouver"],
+    ["YWJ", "CYWJ", "Deline Airport", "Déline", "CA", 65.17, -123.5, "America/Yellowknife"],
+    ["YWK", "CYWK", "Wabush Airport", "Wabush", "CA", 52.93, -66.87, "America/Goose_Bay"],
+    ["YWL", "CYWL", "Williams Lake Airport", "Williams Lake", "CA", 52.18, -122.04, "America/Vancouver"],
+    ["YWM", "CCA6", "Williams Harbour Airport", "Williams Harbour", "CA", 52.57, -55.78, "America/St_Johns"],
+    ["YWN", null, "Winisk Airport", "Winisk", "CA", 55.25, -85.12, "America/Toronto"],
+    ["YWP", "CYWP", "Webequie Airport", "Webequie", "CA", 52.96, -87.37, "America/Toronto"],
+    ["YWS", "CAE5", "Whistler/Green Lake SPB", "Whistler", "CA", 50.15, -122.97, "America/Vancouver"],
+    ["YXC", "CYXC", "Canadian Rockies International Airport", "Cranbrook", "CA", 49.61, -115.79, "America/Edmonton"],
+    ["YXE", "CYXE", "Saskatoon International Airport", "Saskatoon", "CA", 52.17, -106.69, "America/Regina"],
+    ["YXF", null, "Snake River Airport", "Snake River", "CA", 59.03, -122.43, "America/Whitehorse"],
+    ["YXH", "CYXH", "Medicine Hat Regional Airport", "Medicine Hat", "CA", 50.02, -110.72, "America/Edmonton"],
+    ["YXJ", "CYXJ", "North Peace Regional Airport", "Fort St.John", "CA", 56.24, -120.74, "America/Dawson_Creek"],
+    ["YXK", "CYXK", "Rimouski Airport", "Rimouski", "CA", 48.48, -68.51, "America/Toronto"],
+    ["YXL", "CYXL", "Sioux Lookout Airport", "Sioux Lookout", "CA", 50.12, -91.9, "America/Winnipeg"],
+    ["YXN", "CYXN", "Whale Cove Airport", "Whale Cove", "CA", 62.23, -92.6, "America/Rankin_Inlet"],
+    ["YXP", "CYXP", "Pangnirtung Airport", "Pangnirtung", "CA", 66.13, -65.73, "America/Pangnirtung"],
+    ["YXS", "CYXS", "Prince George Airport", "Prince George", "CA", 53.88, -122.67, "America/Vancouver"],
+    ["YXT", "CYXT", "Northwest Regional Airport", "Terrace", "CA", 54.47, -128.58, "America/Vancouver"],
+    ["YXU", "CYXU", "London International Airport", "London", "CA", 43.03, -81.15, "America/Toronto"],
+    ["YXX", "CYXX", "Abbotsford International Airport", "Abbotsford", "CA", 49.03, -122.36, "America/Vancouver"],
+    ["YXY", "CYXY", "Whitehorse Airport", "Whitehorse", "CA", 60.72, -135.07, "America/Whitehorse"],
+    ["YYA", "ZGYY", "Yueyang Sanhe Airport", "Yueyang (Yueyanglou)", "CN", 29.31, 113.28, "Asia/Shanghai"],
+    ["YYB", "CYYB", "Jack Garland Airport", "North Bay", "CA", 46.36, -79.43, "America/Toronto"],
+    ["YYC", "CYYC", "Calgary International Airport", "Calgary", "CA", 51.13, -114.01, "America/Edmonton"],
+    ["YYD", "CYYD", "Smithers Airport", "Smithers", "CA", 54.83, -127.18, "America/Vancouver"],
+    ["YYE", "CYYE", "Northern Rockies Regional Airport", "Fort Nelson", "CA", 58.84, -122.58, "America/Fort_Nelson"],
+    ["YYF", "CYYF", "Penticton Airport", "Penticton", "CA", 49.46, -119.6, "America/Vancouver"],
+    ["YYG", "CYYG", "Charlottetown Airport", "Charlottetown", "CA", 46.29, -63.13, "America/Halifax"],
+    ["YYH", "CYYH", "Taloyoak Airport", "Taloyoak", "CA", 69.53, -93.52, "America/Cambridge_Bay"],
+    ["YYJ", "CYYJ", "Victoria International Airport", "Victoria", "CA", 48.64, -123.43, "America/Vancouver"],
+    ["YYL", "CYYL", "Lynn Lake Airport", "Lynn Lake", "CA", 56.86, -101.07, "America/Winnipeg"],
+    ["YYQ", "CYYQ", "Churchill Airport", "Churchill", "CA", 58.75, -94.07, "America/Winnipeg"],
+    ["YYR", "CYYR", "Goose Bay Airport", "Goose Bay", "CA", 53.31, -60.41, "America/Goose_Bay"],
+    ["YYT", "CYYT", "St. John's International Airport", "St. John's", "CA", 47.61, -52.74, "America/St_Johns"],
+    ["YYY", "CYYY", "Mont Joli Airport", "Mont-Joli", "CA", 48.61, -68.21, "America/Toronto"],
+    ["YYZ", "CYYZ", "Pearson International Airport", "Toronto", "CA", 43.68, -79.61, "America/Toronto"],
+    ["YZC", null, "Beatton River Airport", "Beatton River", "CA", 57.43, -121.33, "America/Vancouver"],
+    ["YZF", "CYZF", "Yellowknife Airport", "Yellowknife", "CA", 62.47, -114.44, "America/Yellowknife"],
+    ["YZG", "CYZG", "Salluit Airport", "Salluit", "CA", 62.2, -75.63, "America/Toronto"],
+    ["YZP", "CYZP", "Sandspit Airport", "Sandspit", "CA", 53.25, -131.81, "America/Vancouver"],
+    ["YZS", "CYZS", "Coral Harbour Airport", "Coral Harbour", "CA", 64.19, -83.35, "America/Atikokan"],
+    ["YZT", "CYZT", "Port Hardy Airport", "Port Hardy", "CA", 50.68, -127.36, "America/Vancouver"],
+    ["YZU", "CYZU", "Whitecourt Airport", "Whitecourt", "CA", 54.14, -115.78, "America/Edmonton"],
+    ["YZV", "CYZV", "Sept-Iles Airport", "Sept-Îles", "CA", 50.22, -66.26, "America/Toronto"],
+    ["YZY", "ZLZY", "Zhangye Ganzhou Airport", "Zhangye", "CN", 38.8, 100.68, "Asia/Shanghai"],
+    ["YZZ", "CAD4", "Trail", "Trail", "CA", 49.07, -117.6, "America/Vancouver"],
+    ["ZAD", "LDZD", "Zadar Airport", "Zemunik (Zadar)", "HR", 44.1, 15.36, "Europe/Zagreb"],
+    ["ZAG", "LDZA", "Zagreb International Airport", "Zagreb", "HR", 45.73, 16.06, "Europe/Zagreb"],
+    ["ZAH", "OIZH", "Zahedan Airport", "Zahedan", "IR", 29.48, 60.9, "Asia/Tehran"],
+    ["ZAL", "SCVD", "Pichoy Airport", "Valdivia", "CL", -39.79, -73.24, "America/Santiago"],
+    ["ZAM", "RPMZ", "Zamboanga International Airport", "Zamboanga City", "PH", 6.92, 122.06, "Asia/Manila"],
+    ["ZAT", "ZPZT", "Zhaotong Airport", "Zhaotong", "CN", 27.32, 103.8, "Asia/Shanghai"],
+    ["ZAZ", "LEZG", "Zaragoza Airport", "Zaragoza", "ES", 41.66, -1.01, "Europe/Madrid"],
+    ["ZBF", "CZBF", "Bathurst Airport", "South Tetagouche", "CA", 47.63, -65.74, "America/Moncton"],
+    ["ZBR", "OIZC", "Chah-Bahar Airport", "Konarak", "IR", 25.44, 60.38, "Asia/Tehran"],
+    ["ZCL", "MMZC", "La Calera Airport", "Zacatecas", "MX", 22.8, -102.55, "America/Mexico_City"],
+    ["ZCO", "SCQP", "La Araucania International Airport", "Temuco", "CL", -38.92, -72.65, "America/Santiago"],
+    ["ZDY", "OMDL", "Dalma Island Airport", "Dalma Island", "AE", 24.51, 52.34, "Asia/Dubai"],
+    ["ZEL", "CBBC", "Bella Bella Airport", "Bella Bella", "CA", 52.19, -128.16, "America/Vancouver"],
+    ["ZEM", "CZEM", "East Main Airport", "Eastmain River", "CA", 52.25, -78.52, "America/Toronto"],
+    ["ZFB", null, "Old Fort Bay Airport", "Old Fort Bay", "CA", 51.58, -57.92, "America/Halifax"],
+    ["ZFD", "CZFD", "Fond Du Lac Airport", "Fond-Du-Lac", "CA", 59.33, -107.18, "America/Regina"],
+    ["ZFL", "ZWZS", "Zhaosu Tianma Airport", "Zhaosu Tianma", "CN", 43.11, 81.16, "Asia/Urumqi"],
+    ["ZFM", "CZFM", "Fort Mcpherson Airport", "Fort Mcpherson", "CA", 67.41, -134.86, "America/Yellowknife"],
+    ["ZFN", "CZFN", "Tulita Airport", "Tulita", "CA", 64.92, -125.57, "America/Yellowknife"],
+    ["ZGI", "CZGI", "Gods River Airport", "Gods River", "CA", 54.84, -94.08, "America/Winnipeg"],
+    ["ZGS", "CTT5", "La Romaine Airport", "La Romaine", "CA", 50.33, -60.67, "America/Blanc-Sablon"],
+    ["ZHA", "ZGZJ", "Zhanjiang Wuchuan Airport", "Zhanjiang", "CN", 21.21, 110.36, "Asia/Shanghai"],
+    ["ZHY", "ZLZW", "Zhongwei Airport", "Zhongwei (Shapotou)", "CN", 37.57, 105.15, "Asia/Shanghai"],
+    ["ZIA", "UUBW", "Zhukovsky International Airport", "Moscow", "RU", 55.57, 38.13, "Europe/Moscow"],
+    ["ZIH", "MMZH", "Ixtapa/Zihuatanejo Internacional Airport", "Ixtapa", "MX", 17.61, -101.46, "America/Mexico_City"],
+    ["ZIX", "UEVV", "Zhigansk Airport", "Zhigansk", "RU", 66.8, 123.36, "Asia/Yakutsk"],
+    ["ZKE", "CZKE", "Kashechewan Airport", "Kashechewan", "CA", 52.33, -81.33, "America/Toronto"],
+    ["ZKG", "CTK6", "Kegaska Airport", "Kegaska", "CA", 50.19, -61.29, "America/Blanc-Sablon"],
+    ["ZKL", null, "Zigong Fengming General Airport", "Zigong Fengming General", "CN", 29.38, 104.63, "Asia/Shanghai"],
+    ["ZKM", "FOOS", "Sette Cama Airport", "Sette Cama", "GA", -2.53, 9.75, "Africa/Libreville"],
+    ["ZKP", "UESU", "Zyryanka Airport", "Zyryanka", "RU", 65.74, 150.71, "Asia/Magadan"],
+    ["ZLO", "MMZO", "Manzanillo Airport", "Manzanillo", "MX", 19.11, -104.35, "America/Mexico_City"],
+    ["ZLT", "CTU5", "La Tabatiere Airport", "La Tabatière", "CA", 50.83, -58.98, "America/Blanc-Sablon"],
+    ["ZMD", null, "Sena Madureira Airport", "Sena Madureira", "BR", -9.08, -68.75, "America/Rio_Branco"],
+    ["ZMT", "CZMT", "Masset Airport", "Masset", "CA", 54.02, -132.12, "America/Vancouver"],
+    ["ZNA", "CAC8", "Nanaimo Harbor Seaplane Base", "Nanaimo", "CA", 49.17, -123.94, "America/Vancouver"],
+    ["ZND", "DRZR", "Zinder Airport", "Zinder", "NE", 13.78, 8.98, "Africa/Niamey"],
+    ["ZNE", "YNWN", "Newman Airport", "Newman", "AU", -23.42, 119.8, "Australia/Perth"],
+    ["ZNZ", "HTZA", "Abeid Amani Karume International Airport", "Zanzibar", "TZ", -6.22, 39.22, "Africa/Dar_es_Salaam"],
+    ["ZOS", "SCJO", "Canal Bajo Airport", "Osorno", "CL", -40.61, -73.06, "America/Santiago"],
+    ["ZPB", "CZPB", "Sachigo Lake Airport", "Sachigo Lake", "CA", 53.89, -92.2, "America/Winnipeg"],
+    ["ZPC", "SCPC", "Pucon Airport", "Pucon", "CL", -39.76, -71.63, "America/Santiago"],
+    ["ZQN", "NZQN", "Queenstown Airport", "Queenstown", "NZ", -45.02, 168.74, "Pacific/Auckland"],
+    ["ZQZ", "ZBZJ", "Zhangjiakou Ningyuan Airport", "Zhangjiakou", "CN", 40.74, 114.93, "Asia/Shanghai"],
+    ["ZRH", "LSZH", "Zurich Airport", "Zurich", "CH", 47.45, 8.56, "Europe/Zurich"],
+    ["ZRJ", "CZRJ", "Round Lake Airport", "Round Lake", "CA", 52.95, -91.32, "America/Toronto"],
+    ["ZRS", null, "Zuers/Lech Heliport", "Zuers/Lech", "AT", 47.19, 10.16, "Europe/Vienna"],
+    ["ZSA", "MYSM", "San Salvador Airport", "San Salvador", "BS", 24.06, -74.53, "America/Nassau"],
+    ["ZSE", "FMEP", "St. Pierre de la Reunion Airport", "Saint-Pierre", "RE", -21.32, 55.43, "Indian/Reunion"],
+    ["ZSJ", "CZSJ", "Sandy Lake Airport", "Sandy Lake", "CA", 53.03, -93.23, "America/Winnipeg"],
+    ["ZTB", "CTB6", "Tete-A-La Baleine Airport", "Tête-à-la-Baleine", "CA", 50.72, -59.33, "America/Blanc-Sablon"],
+    ["ZTH", "LGZA", "Zakinthos Airport", "Zakynthos Island", "GR", 37.75, 20.88, "Europe/Athens"],
+    ["ZTM", "CZTM", "Shamattawa Airport", "Shamattawa", "CA", 55.86, -92.08, "America/Winnipeg"],
+    ["ZUE", null, "Zuenoula Airport", "Zuenoula", "CI", 7.43, -6.05, "Africa/Abidjan"],
+    ["ZUH", "ZGSD", "Zhuhai Jinwan Airport", "Zhuhai (Jinwan)", "CN", 22.01, 113.37, "Asia/Shanghai"],
+    ["ZUM", "CZUM", "Churchill Falls Airport", "Churchill Falls", "CA", 53.56, -64.11, "America/Goose_Bay"],
+    ["ZWL", "CZWL", "Wollaston Lake Airport", "Wollaston Lake", "CA", 58.11, -103.17, "America/Regina"],
+    ["ZXQ", null, "Solstad Airport", "Solstad", "NO", 60.18, 5.52, "Europe/Oslo"],
+    ["ZYI", "ZUZY", "Zunyi Xinzhou Airport", "Zunyi", "CN", 27.59, 107, "Asia/Shanghai"],
+    ["ZYL", "VGSY", "Osmani International Airport, Sylhet", "Sylhet", "BD", 24.96, 91.87, "Asia/Dhaka"],
+];
@@ -0,0 +1,27 @@
+import {
+    useQuery,
+    useAction,
+    getExchangeRates,
+    updatePreferredCurrency,
+} from "wasp/client/operations";
+import { DEFAULT_EXCHANGE_RATES } from "../utils/currency.js";
+
+/**
+ * The user's display currency and the current exchange rates. Until the rates load, the
+ * bundled defaults are used so totals still render.
+ */
+export default function useCurrency() {
+    const { data, isLoading } = useQuery(getExchangeRates);
+    const updatePreferredCurrencyFn = useAction(updatePreferredCurrency);
+
+    const exchangeRates = data
+        ? { base: data.base, rateDate: data.rateDate, rates: data.rates }
+        : DEFAULT_EXCHANGE_RATES;
+
+    return {
+        currency: data?.preferredCurrency || "USD",
+        exchangeRates,
+        isLoading,
+        setCurrency: (currency) => updatePreferredCurrencyFn({ currency }),
+    };
+}
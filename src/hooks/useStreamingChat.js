@@ -0,0 +1,129 @@
+import { useState, useCallback } from "react";
+import { api } from "wasp/client/api";
+
+const STREAM_ROUTE = "/api/chat/stream";
+
+// Split a server-sent events buffer into complete events and the unfinished remainder
+const parseEvents = (buffer) => {
+    const chunks = buffer.split("\n\n");
+    const rest = chunks.pop();
+
+    const events = chunks
+        .map((chunk) => {
+            let event = "message";
+            const dataLines = [];
+            chunk.split("\n").forEach((line) => {
+                if (line.startsWith("event:")) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith("data:")) {
+                    dataLines.push(line.slice(5).trim());
+                }
+            });
+
+            if (dataLines.length === 0) return null;
+            try {
+                return { event, data: JSON.parse(dataLines.join("\n")) };
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean);
+
+    return [events, rest];
+};
+
+export const useStreamingChat = () => {
+    const [isStreaming, setIsStreaming] = useState(false);
+    const [progress, setProgress] = useState([]);
+    const [streamedText, setStreamedText] = useState("");
+    const [streamedCards, setStreamedCards] = useState([]);
+
+    // Send a chat message and stream the AI reply; resolves with the saved messages
+    const streamMessage = useCallback(async ({ message, frontendTimezone, conversationId }) => {
+        setProgress([]);
+        setStreamedText("");
+        setStreamedCards([]);
+        setIsStreaming(true);
+
+        let processedLength = 0;
+        let buffer = "";
+        let accepted = false;
+        let result = null;
+        let streamError = null;
+
+        const handleEvent = ({ event, data }) => {
+            // Any event means the server has the message, even if "accepted" itself was missed
+            accepted = true;
+            switch (event) {
+                case "progress":
+                    setProgress((prev) => [...prev, data]);
+                    break;
+                case "cards":
+                    setStreamedCards(data.cards || []);
+                    break;
+                case "token":
+                    setStreamedText((prev) => prev + data.text);
+                    break;
+                case "done":
+                    result = data;
+                    break;
+                case "error":
+                    streamError = data.message;
+                    break;
+                default:
+                    break;
+            }
+        };
+
+        const consume = (responseText) => {
+            if (typeof responseText !== "string" || responseText.length <= processedLength) {
+                return;
+            }
+            buffer += responseText.slice(processedLength);
+            processedLength = responseText.length;
+
+            const [events, rest] = parseEvents(buffer);
+            buffer = rest;
+            events.forEach(handleEvent);
+        };
+
+        try {
+            const response = await api.post(
+                STREAM_ROUTE,
+                { message, frontendTimezone, conversationId },
+                {
+                    responseType: "text",
+                    onDownloadProgress: (progressEvent) => {
+                        consume(progressEvent.event?.target?.responseText);
+                    },
+                },
+            );
+            // The whole stream was received, whether or not a reply came of it
+            accepted = true;
+            consume(response.data);
+
+            if (streamError) {
+                throw new Error(streamError);
+            }
+            if (!result) {
+                throw new Error("The reply stream ended before the reply was complete");
+            }
+            return result;
+        } catch (error) {
+            // Tell the caller whether the server already has this message; if it does, resending
+            // it through another route would save it twice
+            error.streamStarted = accepted;
+            throw error;
+        } finally {
+            setIsStreaming(false);
+        }
+    }, []);
+
+    return {
+        streamMessage,
+        isStreaming,
+        progress,
+        streamedText,
+        streamedCards,
+    };
+};
@@ -1,4 +1,4 @@
-import OpenAI from "openai";
+import { createOpenAIClient, isOpenAIAvailable } from "../services/openaiClient.js";
 import { HttpError } from "wasp/server";
 
 export const getActivities = async ({ location, date, timeOfDay, interests = [] }, context) => {
@@ -22,9 +22,9 @@ export const getActivities = async ({ location, date, timeOfDay, interests = []
     console.log("Is Mumbai clubbing request?", isMumbaiClubbing);
 
     if (!context.user) throw new HttpError(401, "Not authenticated");
-    if (!process.env.OPENAI_API_KEY) throw new HttpError(500, "OpenAI key missing");
+    if (!isOpenAIAvailable()) throw new HttpError(500, "OpenAI key missing");
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const openai = createOpenAIClient();
 
     if (isMumbaiClubbing) {
         // Return hardcoded Mumbai clubs with real booking links
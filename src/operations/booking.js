@@ -54,7 +54,7 @@ export const fetchFlightBookingOptions = async (args, context) => {
     logger.info(`Token length: ${args.bookingToken.length}`);
 
     // Check cache first
-    const cached = getCachedBookingOptions(args.bookingToken);
+    const cached = await getCachedBookingOptions(args.bookingToken);
     if (cached) {
         logger.info("Returning cached booking options");
         return cached;
@@ -74,7 +74,7 @@ export const fetchFlightBookingOptions = async (args, context) => {
         };
 
         // Cache the processed data
-        setCachedBookingOptions(args.bookingToken, processedData);
+        await setCachedBookingOptions(args.bookingToken, processedData);
 
         logger.info(`Successfully fetched ${bookingCards.length} booking options`);
         return processedData;
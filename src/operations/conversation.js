@@ -2,6 +2,56 @@ import { HttpError } from "wasp/server";
 import { AIAgent } from "../services/aiAgent.js";
 import logger from "../utils/logger.js";
 
+const DEFAULT_CONVERSATION_TITLE = "Travel Planning Session";
+const MAX_TITLE_LENGTH = 80;
+
+// Find a conversation owned by the current user, or throw a 404
+const findOwnedConversation = async (conversationId, context) => {
+    const conversation = await context.entities.Conversation.findFirst({
+        where: {
+            id: conversationId,
+            userId: context.user.id,
+        },
+    });
+
+    if (!conversation) {
+        throw new HttpError(404, "Conversation not found or access denied");
+    }
+
+    return conversation;
+};
+
+// Make a conversation the one shown in the chat, deactivating all others for the user
+const activateConversation = async (conversationId, context) => {
+    await context.entities.Conversation.updateMany({
+        where: {
+            userId: context.user.id,
+            isActive: true,
+            NOT: { id: conversationId },
+        },
+        data: { isActive: false },
+    });
+
+    return context.entities.Conversation.update({
+        where: { id: conversationId },
+        data: { isActive: true, isArchived: false },
+    });
+};
+
+// Trim and validate a user-supplied conversation title
+const normalizeTitle = (title) => {
+    if (typeof title !== "string" || !title.trim()) {
+        throw new HttpError(400, "Conversation title is required");
+    }
+    return title.trim().slice(0, MAX_TITLE_LENGTH);
+};
+
+// Derive a conversation title from the first message the user sends
+const titleFromMessage = (message) => {
+    const firstLine = message.trim().split("\n")[0];
+    return firstLine.length > 40 ? `${firstLine.slice(0, 40).trimEnd()}…` : firstLine;
+};
+
 // Get or create the active conversation for a user
 export const getActiveConversation = async (args, context) => {
     if (!context.user) {
@@ -9,26 +59,48 @@ export const getActiveConversation = async (args, context) => {
     }
 
     try {
+        const includeMessages = {
+            messages: {
+                orderBy: { timestamp: "asc" },
+                take: 50, // Limit to last 50 messages for performance
+            },
+        };
+
         // First, try to find an existing active conversation
         let conversation = await context.entities.Conversation.findFirst({
             where: {
                 userId: context.user.id,
                 isActive: true,
+                isArchived: false,
             },
-            include: {
-                messages: {
-                    orderBy: { timestamp: "asc" },
-                    take: 50, // Limit to last 50 messages for performance
-                },
-            },
+            include: includeMessages,
         });
 
-        // If no active conversation exists, create one
+        // Fall back to the most recently used conversation that is not archived
+        if (!conversation) {
+            const recent = await context.entities.Conversation.findFirst({
+                where: {
+                    userId: context.user.id,
+                    isArchived: false,
+                },
+                orderBy: { updatedAt: "desc" },
+            });
+
+            if (recent) {
+                await activateConversation(recent.id, context);
+                conversation = await context.entities.Conversation.findUnique({
+                    where: { id: recent.id },
+                    include: includeMessages,
+                });
+            }
+        }
+
+        // If no usable conversation exists, create one
         if (!conversation) {
             conversation = await context.entities.Conversation.create({
                 data: {
                     userId: context.user.id,
-                    title: "Travel Planning Session",
+                    title: DEFAULT_CONVERSATION_TITLE,
                     isActive: true,
                 },
                 include: {
@@ -58,27 +130,152 @@ export const getActiveConversation = async (args, context) => {
     }
 };
 
-// Save a message to the conversation
-export const saveMessage = async (
-    { conversationId, sender, content, messageType, metadata },
-    context,
-) => {
+// List the user's conversations, most recently used first
+export const getConversations = async ({ includeArchived = false } = {}, context) => {
     if (!context.user) {
         throw new HttpError(401, "User must be logged in");
     }
 
     try {
-        // Verify the conversation belongs to the user
-        const conversation = await context.entities.Conversation.findFirst({
+        const conversations = await context.entities.Conversation.findMany({
             where: {
-                id: conversationId,
                 userId: context.user.id,
+                ...(includeArchived ? {} : { isArchived: false }),
+            },
+            orderBy: { updatedAt: "desc" },
+            include: {
+                _count: { select: { messages: true } },
             },
         });
 
-        if (!conversation) {
-            throw new HttpError(404, "Conversation not found or access denied");
+        return conversations.map((conversation) => ({
+            id: conversation.id,
+            title: conversation.title,
+            isActive: conversation.isActive,
+            isArchived: conversation.isArchived,
+            messageCount: conversation._count.messages,
+            createdAt: conversation.createdAt,
+            updatedAt: conversation.updatedAt,
+        }));
+    } catch (error) {
+        logger.error("Get conversations error:", error);
+        throw new HttpError(500, "Failed to get conversations");
+    }
+};
+
+// Start a new conversation and make it the active one
+export const createConversation = async ({ title } = {}, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        const conversation = await context.entities.Conversation.create({
+            data: {
+                userId: context.user.id,
+                title: title ? normalizeTitle(title) : DEFAULT_CONVERSATION_TITLE,
+                isActive: false,
+            },
+        });
+
+        const activeConversation = await activateConversation(conversation.id, context);
+
+        logger.info(`Created conversation ${conversation.id} for user ${context.user.id}`);
+        return activeConversation;
+    } catch (error) {
+        logger.error("Create conversation error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to create conversation");
+    }
+};
+
+// Rename one of the user's conversations
+export const renameConversation = async ({ conversationId, title }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        await findOwnedConversation(conversationId, context);
+
+        const conversation = await context.entities.Conversation.update({
+            where: { id: conversationId },
+            data: { title: normalizeTitle(title) },
+        });
+
+        logger.info(`Renamed conversation ${conversationId} for user ${context.user.id}`);
+        return conversation;
+    } catch (error) {
+        logger.error("Rename conversation error:", error);
+        if (error instanceof HttpError) {
+            throw error;
         }
+        throw new HttpError(500, "Failed to rename conversation");
+    }
+};
+
+// Archive (or restore) a conversation; archiving the active one hands over to the next most recent
+export const archiveConversation = async ({ conversationId, archived = true }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        await findOwnedConversation(conversationId, context);
+
+        const conversation = await context.entities.Conversation.update({
+            where: { id: conversationId },
+            data: archived ? { isArchived: true, isActive: false } : { isArchived: false },
+        });
+
+        logger.info(
+            `${archived ? "Archived" : "Restored"} conversation ${conversationId} for user ${context.user.id}`,
+        );
+        return conversation;
+    } catch (error) {
+        logger.error("Archive conversation error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to archive conversation");
+    }
+};
+
+// Switch the chat to another of the user's conversations
+export const switchConversation = async ({ conversationId }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        await findOwnedConversation(conversationId, context);
+        const conversation = await activateConversation(conversationId, context);
+
+        logger.info(`Switched user ${context.user.id} to conversation ${conversationId}`);
+        return conversation;
+    } catch (error) {
+        logger.error("Switch conversation error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to switch conversation");
+    }
+};
+
+// Save a message to the conversation
+export const saveMessage = async (
+    { conversationId, sender, content, messageType, metadata },
+    context,
+) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        // Verify the conversation belongs to the user
+        await findOwnedConversation(conversationId, context);
 
         // Create the message
         const message = await context.entities.Message.create({
@@ -157,79 +354,115 @@ export const getConversationHistory = async ({ conversationId, limit = 50 }, con
     }
 };
 
-// Process AI message - combines AI processing with message saving
-export const processAIMessage = async ({ message, frontendTimezone }, context) => {
-    if (!context.user) {
-        throw new HttpError(401, "User must be logged in");
-    }
-
-    try {
-        // Get or create active conversation
-        const conversation = await getActiveConversation({}, context);
-
-        // Save the user's message first
-        const savedUserMessage = await saveMessage(
-            {
-                conversationId: conversation.id,
-                sender: "user",
-                content: message,
-                messageType: "text",
-            },
-            context,
-        );
+/**
+ * Run one chat turn: save the user's message, let the AI agent answer it and save the reply.
+ * Shared by the processAIMessage action and the streaming chat API route.
+ * @param {Object} args - { message, frontendTimezone, conversationId }
+ * @param {Object} context - Wasp context with user and entities
+ * @param {Object} callbacks - Optional streaming callbacks ({ onProgress, onCards, onToken })
+ */
+export const runAIConversationTurn = async (
+    { message, frontendTimezone, conversationId },
+    context,
+    callbacks = {},
+) => {
+    // Use the conversation the client is showing, or fall back to the active one
+    const conversation = conversationId
+        ? await findOwnedConversation(conversationId, context)
+        : await getActiveConversation({}, context);
 
-        // Create AI Agent instance
-        const aiAgent = new AIAgent();
+    // Name untitled conversations after their first message so they are easy to find later
+    if (conversation.title === DEFAULT_CONVERSATION_TITLE) {
+        const messageCount = await context.entities.Message.count({
+            where: { conversationId: conversation.id },
+        });
+        if (messageCount === 0) {
+            conversation.title = titleFromMessage(message);
+            await context.entities.Conversation.update({
+                where: { id: conversation.id },
+                data: { title: conversation.title },
+            });
+        }
+    }
 
-        // Process the message with AI
-        const aiResponse = await aiAgent.processUserMessage(
-            message,
-            { conversationId: conversation.id },
-            context.user.id,
-            context,
-            frontendTimezone,
-        );
+    // Save the user's message first
+    const savedUserMessage = await saveMessage(
+        {
+            conversationId: conversation.id,
+            sender: "user",
+            content: message,
+            messageType: "text",
+        },
+        context,
+    );
 
-        // Save the AI response
-        const aiMessage = await saveMessage(
-            {
-                conversationId: conversation.id,
-                sender: "ai",
-                content: aiResponse.message,
-                messageType: aiResponse.type,
-                metadata: {
-                    cards: aiResponse.cards || [],
-                    parameters: aiResponse.parameters || {},
-                },
-            },
-            context,
-        );
+    // Create AI Agent instance
+    const aiAgent = new AIAgent();
 
-        logger.info(
-            `Processed AI message for user ${context.user.id}, conversation ${conversation.id}`,
-        );
+    // Process the message with AI
+    const aiResponse = await aiAgent.processUserMessage(
+        message,
+        { conversationId: conversation.id },
+        context.user.id,
+        context,
+        frontendTimezone,
+        callbacks,
+    );
 
-        return {
-            conversation: {
-                id: conversation.id,
-                title: conversation.title,
-            },
-            userMessage: {
-                id: savedUserMessage.id,
-                content: message,
-                sender: "user",
-                timestamp: savedUserMessage.timestamp,
-            },
-            aiMessage: {
-                id: aiMessage.id,
-                content: aiResponse.message,
-                sender: "ai",
-                type: aiResponse.type,
+    // Save the AI response
+    const aiMessage = await saveMessage(
+        {
+            conversationId: conversation.id,
+            sender: "ai",
+            content: aiResponse.message,
+            messageType: aiResponse.type,
+            metadata: {
                 cards: aiResponse.cards || [],
                 parameters: aiResponse.parameters || {},
-                timestamp: aiMessage.timestamp,
+                ...(aiResponse.fareCalendar && { fareCalendar: aiResponse.fareCalendar }),
+                ...(aiResponse.flightFilters && { flightFilters: aiResponse.flightFilters }),
             },
-        };
+        },
+        context,
+    );
+
+    logger.info(
+        `Processed AI message for user ${context.user.id}, conversation ${conversation.id}`,
+    );
+
+    return {
+        conversation: {
+            id: conversation.id,
+            title: conversation.title,
+        },
+        userMessage: {
+            id: savedUserMessage.id,
+            content: message,
+            sender: "user",
+            timestamp: savedUserMessage.timestamp,
+        },
+        aiMessage: {
+            id: aiMessage.id,
+            content: aiResponse.message,
+            sender: "ai",
+            type: aiResponse.type,
+            cards: aiResponse.cards || [],
+            parameters: aiResponse.parameters || {},
+            fareCalendar: aiResponse.fareCalendar || null,
+            flightFilters: aiResponse.flightFilters || null,
+            timestamp: aiMessage.timestamp,
+        },
+    };
+};
+
+// Process AI message - combines AI processing with message saving
+export const processAIMessage = async ({ message, frontendTimezone, conversationId }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        return await runAIConversationTurn({ message, frontendTimezone, conversationId }, context);
     } catch (error) {
         logger.error("Process AI message error:", error);
         if (error instanceof HttpError) {
@@ -239,36 +472,32 @@ export const processAIMessage = async ({ message, frontendTimezone }, context) =
     }
 };
 
-// Clear conversation - permanently delete active conversation and all messages
-export const clearConversation = async (args, context) => {
+// Clear conversation - permanently delete all messages of a conversation (the active one by default)
+export const clearConversation = async ({ conversationId } = {}, context) => {
     if (!context.user) {
         throw new HttpError(401, "User must be logged in");
     }
 
     try {
-        // Find active conversation
-        const conversation = await context.entities.Conversation.findFirst({
-            where: {
-                userId: context.user.id,
-                isActive: true,
-            },
-        });
+        const conversation = conversationId
+            ? await findOwnedConversation(conversationId, context)
+            : await context.entities.Conversation.findFirst({
+                  where: {
+                      userId: context.user.id,
+                      isActive: true,
+                  },
+              });
 
         // If no conversation exists, return success
         if (!conversation) {
             return { success: true };
         }
 
-        // Delete all messages first
+        // Delete all messages but keep the named conversation in the list
         await context.entities.Message.deleteMany({
             where: { conversationId: conversation.id },
         });
 
-        // Delete the conversation
-        await context.entities.Conversation.delete({
-            where: { id: conversation.id },
-        });
-
         logger.info(`Cleared conversation ${conversation.id} for user ${context.user.id}`);
         return { success: true };
     } catch (error) {
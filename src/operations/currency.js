@@ -0,0 +1,47 @@
+import { HttpError } from "wasp/server";
+import { getExchangeRates as loadExchangeRates } from "../services/exchangeRates.js";
+import logger from "../utils/logger.js";
+
+// Get the exchange-rate table and the user's display currency
+export const getExchangeRates = async (args, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        const exchangeRates = await loadExchangeRates();
+        return { ...exchangeRates, preferredCurrency: context.user.preferredCurrency || "USD" };
+    } catch (error) {
+        logger.error("Get exchange rates error:", error);
+        throw new HttpError(500, "Failed to fetch exchange rates");
+    }
+};
+
+// Set the currency prices and totals are shown in
+export const updatePreferredCurrency = async ({ currency }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        const code = String(currency || "").toUpperCase();
+        const exchangeRates = await loadExchangeRates();
+        if (!exchangeRates.rates[code]) {
+            throw new HttpError(400, `Unsupported currency: ${currency}`);
+        }
+
+        await context.entities.User.update({
+            where: { id: context.user.id },
+            data: { preferredCurrency: code },
+        });
+
+        logger.info(`User ${context.user.id} now shows prices in ${code}`);
+        return { preferredCurrency: code };
+    } catch (error) {
+        logger.error("Update preferred currency error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to update preferred currency");
+    }
+};
@@ -1,181 +1,280 @@
 import { HttpError } from "wasp/server";
-import { aiHotelBookingAgent } from "../services/aiHotelBookingAgent.js";
-
-let globalBookingStatus = {
-    isBooking: false,
-    currentStep: 0,
-    bookingId: null,
-    status: "idle",
-    error: null,
+import { AIHotelBookingAgent } from "../services/aiHotelBookingAgent.js";
+import { getHotelOffer, bookHotel } from "../api/amadeus/hotelService.js";
+import { validatePaymentCard } from "../utils/paymentCard.js";
+import logger from "../utils/logger.js";
+import { ITINERARY_ROLES, findAccessibleItem, findAccessibleItinerary } from "./itineraryAccess.js";
+import {
+    CHANGE_ACTIONS,
+    describeItem,
+    recordItineraryChange,
+    snapshotItem,
+} from "./itineraryHistory.js";
+
+const DEFAULT_ITINERARY_TITLE = "My Travel Plans";
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BOOKING_JOB_HISTORY_LIMIT = 20;
+const BOOKING_TIMEOUT_MS = 45000;
+// Extra time after the timeout before a job with no agent is treated as interrupted
+const STALE_JOB_GRACE_MS = 15000;
+
+// Agents for jobs running in this server process, keyed by job id (used for cancellation)
+const runningAgents = new Map();
+
+// Direct bookings being charged in this server process, keyed by user and offer id
+const bookingsInProgress = new Set();
+
+// Shape a HotelBooking row for the client, leaving out the guest's email and the raw provider
+// response
+const serializeHotelBooking = (booking) => ({
+    id: booking.id,
+    providerBookingId: booking.providerBookingId,
+    confirmationNumber: booking.confirmationNumber,
+    hotelName: booking.hotelName,
+    checkInDate: booking.checkInDate,
+    checkOutDate: booking.checkOutDate,
+    totalPrice: booking.totalPrice,
+    currency: booking.currency,
+    cardLast4: booking.cardLast4,
+    status: booking.status,
+});
+
+// Shape a BookingJob row for the client
+const serializeBookingJob = (job) => ({
+    id: job.id,
+    hotelName: job.hotelName,
+    checkInDate: job.checkInDate,
+    checkOutDate: job.checkOutDate,
+    status: job.status,
+    isBooking: job.status === "running",
+    currentStep: job.currentStep,
+    totalSteps: job.totalSteps,
+    progress: job.totalSteps ? Math.round((job.currentStep / job.totalSteps) * 100) : 0,
+    steps: JSON.parse(job.steps || "[]"),
+    error: job.error,
+    resultUrl: job.resultUrl,
+    result: job.result ? JSON.parse(job.result) : null,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+});
+
+// Fail running jobs whose agent is gone, e.g. after a server restart. Jobs past the timeout
+// plus a grace period can't still be running on another instance either.
+const failStaleBookingJobs = async (userId, entities) => {
+    const { count } = await entities.BookingJob.updateMany({
+        where: {
+            userId,
+            status: "running",
+            id: { notIn: [...runningAgents.keys()] },
+            createdAt: { lt: new Date(Date.now() - BOOKING_TIMEOUT_MS - STALE_JOB_GRACE_MS) },
+        },
+        data: {
+            status: "failed",
+            error: "Booking was interrupted - please try again",
+            finishedAt: new Date(),
+        },
+    });
+    if (count > 0) {
+        logger.warn(`Marked ${count} interrupted booking job(s) as failed for user ${userId}`);
+    }
 };
 
-/**
- * Book hotel with AI automation
- */
-export const bookHotelWithAI = async (bookingData, context) => {
-    try {
-        // Validate input data
-        if (!bookingData) {
-            throw new Error("Booking data is required");
-        }
+// Load a booking job owned by the current user
+const findOwnedBookingJob = async (jobId, context) => {
+    if (!jobId) {
+        throw new HttpError(400, "Booking job ID is required");
+    }
 
-        if (!bookingData.hotel) {
-            throw new Error("Hotel information is required");
-        }
+    const job = await context.entities.BookingJob.findFirst({
+        where: { id: jobId, userId: context.user.id },
+    });
+    if (!job) {
+        throw new HttpError(404, "Booking job not found");
+    }
+    return job;
+};
 
-        if (
-            !bookingData.guestInfo ||
-            !bookingData.guestInfo.firstName ||
-            !bookingData.guestInfo.email
-        ) {
-            throw new Error("Guest information (name and email) is required");
-        }
+// Run the booking agent for a job, recording each step. Updates are conditional on the job
+// still running, so a cancellation from any server instance stops further progress.
+const runBookingJob = async (job, bookingData, entities) => {
+    const steps = [];
+    let stopped = false;
 
-        console.log("📊 Starting AI hotel booking with data:", {
-            hotel: bookingData.hotel?.title || bookingData.hotel?.name,
-            checkIn: bookingData.offer?.checkInDate,
-            checkOut: bookingData.offer?.checkOutDate,
-            guest: bookingData.guestInfo?.firstName + " " + bookingData.guestInfo?.lastName,
-        });
+    const agent = new AIHotelBookingAgent({
+        onProgress: (progress) => {
+            steps.push({ step: progress.step, message: progress.message, at: new Date() });
+            entities.BookingJob.updateMany({
+                where: { id: job.id, status: "running" },
+                data: { currentStep: progress.step, steps: JSON.stringify(steps) },
+            })
+                .then(({ count }) => {
+                    if (count === 0 && !stopped) {
+                        stopped = true;
+                        agent.cancelBooking();
+                    }
+                })
+                .catch((error) => logger.error("Booking job progress update failed:", error));
+        },
+    });
+    runningAgents.set(job.id, agent);
 
-        // Reset global status
-        globalBookingStatus = {
-            isBooking: true,
-            currentStep: 0,
-            bookingId: `HTL-${Date.now()}`,
-            status: "processing",
-            error: null,
-        };
+    let timeoutId;
+    try {
+        await entities.BookingJob.update({
+            where: { id: job.id },
+            data: { totalSteps: agent.bookingSteps.length },
+        });
 
-        // Start the AI booking process with longer timeout for real automation
         const result = await Promise.race([
-            aiHotelBookingAgent.startAutomatedBooking(bookingData),
-            new Promise(
-                (_, reject) =>
-                    setTimeout(
-                        () => reject(new Error("Automation timeout - using fallback booking")),
-                        45000,
-                    ), // 45 seconds for real browser automation
-            ),
+            agent.startAutomatedBooking(bookingData),
+            new Promise((_, reject) => {
+                timeoutId = setTimeout(
+                    () => reject(new Error("Automation timeout - please use manual booking")),
+                    BOOKING_TIMEOUT_MS,
+                );
+            }),
         ]);
 
-        if (result.success) {
-            globalBookingStatus = {
-                isBooking: false,
-                currentStep: 5,
-                bookingId: result.bookingId,
-                status: "completed",
-                error: null,
-            };
+        if (result.cancelled) return;
 
-            console.log("✅ AI hotel booking completed successfully:", result.bookingId);
-            console.log("🔍 Full result object:", result);
+        await entities.BookingJob.updateMany({
+            where: { id: job.id, status: "running" },
+            data: result.success
+                ? {
+                      status: "completed",
+                      currentStep: agent.bookingSteps.length,
+                      resultUrl: result.checkoutUrl || result.bookingDetails?.bookingUrl || null,
+                      result: JSON.stringify(result),
+                      finishedAt: new Date(),
+                  }
+                : {
+                      status: "failed",
+                      error: result.error || result.message || "Hotel booking failed",
+                      result: JSON.stringify(result),
+                      finishedAt: new Date(),
+                  },
+        });
+        logger.info(`Booking job ${job.id} finished: ${result.success ? "completed" : "failed"}`);
+    } catch (error) {
+        logger.error(`Booking job ${job.id} error:`, error);
+        agent.cancelBooking();
+        await entities.BookingJob.updateMany({
+            where: { id: job.id, status: "running" },
+            data: { status: "failed", error: error.message, finishedAt: new Date() },
+        });
+    } finally {
+        clearTimeout(timeoutId);
+        runningAgents.delete(job.id);
+    }
+};
 
-            return {
-                success: true,
-                bookingId: result.bookingId,
-                confirmationCode: result.confirmationCode,
-                checkoutUrl: result.checkoutUrl,
-                bookingUrl: result.bookingDetails?.bookingUrl || result.checkoutUrl,
-                openFinalPage: result.openFinalPage,
-                fallback: result.fallback,
-                message: result.message || "Hotel booking completed successfully",
-            };
-        } else {
-            globalBookingStatus = {
-                isBooking: false,
-                currentStep: globalBookingStatus.currentStep,
-                bookingId: globalBookingStatus.bookingId,
-                status: "failed",
-                error: result.error,
-            };
+/**
+ * Start an AI-assisted hotel booking job
+ * Returns immediately with the job id; poll getAIBookingStatus({ jobId }) for progress.
+ */
+export const bookHotelWithAI = async (bookingData, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in to book hotels");
+    }
 
-            console.log("❌ AI hotel booking failed:", result.error);
-            return {
-                success: false,
-                error: result.error,
-                message: result.error || "Hotel booking failed",
-            };
-        }
+    if (!bookingData?.hotel) {
+        throw new HttpError(400, "Hotel information is required");
+    }
+    if (!bookingData.guestInfo?.firstName || !bookingData.guestInfo?.email) {
+        throw new HttpError(400, "Guest information (name and email) is required");
+    }
+
+    try {
+        const job = await context.entities.BookingJob.create({
+            data: {
+                userId: context.user.id,
+                hotelName: bookingData.hotel.title || bookingData.hotel.name || "Hotel",
+                checkInDate: bookingData.offer?.checkInDate || null,
+                checkOutDate: bookingData.offer?.checkOutDate || null,
+            },
+        });
+
+        logger.info(`Started booking job ${job.id} for user ${context.user.id}:`, job.hotelName);
+
+        // Not awaited: the client follows progress through getAIBookingStatus
+        runBookingJob(job, bookingData, context.entities).catch((error) =>
+            logger.error("Booking job error:", error),
+        );
+
+        return { jobId: job.id, status: job.status };
     } catch (error) {
-        console.error("💥 Hotel booking error:", error);
+        logger.error("Start booking job error:", error);
+        throw new HttpError(500, "Failed to start hotel booking");
+    }
+};
 
-        globalBookingStatus = {
-            isBooking: false,
-            currentStep: globalBookingStatus.currentStep,
-            bookingId: globalBookingStatus.bookingId,
-            status: "failed",
-            error: error.message,
-        };
+/**
+ * Get the status of one of the user's booking jobs
+ */
+export const getAIBookingStatus = async ({ jobId }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
 
-        throw new HttpError(500, "Hotel booking failed: " + error.message);
+    try {
+        await failStaleBookingJobs(context.user.id, context.entities);
+        const job = await findOwnedBookingJob(jobId, context);
+        return serializeBookingJob(job);
+    } catch (error) {
+        logger.error("Get booking status error:", error);
+        if (error instanceof HttpError) throw error;
+        throw new HttpError(500, "Failed to get booking status");
     }
 };
 
 /**
- * Get current AI booking status
+ * Cancel one of the user's running booking jobs
  */
-export const getAIBookingStatus = async (args, context) => {
+export const cancelAIBooking = async ({ jobId }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
     try {
-        // Get current status from AI agent with error handling
-        let agentStatus;
-        try {
-            agentStatus = aiHotelBookingAgent.getBookingStatus();
-        } catch (agentError) {
-            console.warn(
-                "⚠️ Error getting agent status, using global status only:",
-                agentError.message,
-            );
-            agentStatus = { isBooking: false, currentStep: 0, progress: 0 };
+        const job = await findOwnedBookingJob(jobId, context);
+        if (job.status !== "running") {
+            return { success: false, message: `Booking already ${job.status}` };
         }
 
-        // Merge with global status
-        const currentStatus = {
-            ...globalBookingStatus,
-            currentStep: agentStatus.currentStep || globalBookingStatus.currentStep,
-            isBooking: agentStatus.isBooking || globalBookingStatus.isBooking,
-            progress:
-                agentStatus.progress || Math.round((globalBookingStatus.currentStep / 5) * 100),
-        };
+        await context.entities.BookingJob.updateMany({
+            where: { id: job.id, status: "running" },
+            data: { status: "cancelled", finishedAt: new Date() },
+        });
+        await runningAgents.get(job.id)?.cancelBooking();
 
-        console.log("📈 Current booking status:", currentStatus);
-        return currentStatus;
+        logger.info(`Booking job ${job.id} cancelled by user ${context.user.id}`);
+        return { success: true, message: "Booking cancelled successfully" };
     } catch (error) {
-        console.error("❌ Error getting booking status:", error);
-        return {
-            isBooking: false,
-            currentStep: 0,
-            bookingId: null,
-            status: "error",
-            error: error.message,
-            progress: 0,
-        };
+        logger.error("Cancel booking error:", error);
+        if (error instanceof HttpError) throw error;
+        throw new HttpError(500, "Failed to cancel booking");
     }
 };
 
 /**
- * Cancel AI booking
+ * Get the user's most recent booking attempts, newest first
  */
-export const cancelAIBooking = async (args, context) => {
-    try {
-        console.log("🛑 Cancelling AI hotel booking");
-
-        const result = await aiHotelBookingAgent.cancelBooking();
-
-        if (result.success) {
-            globalBookingStatus = {
-                isBooking: false,
-                currentStep: 0,
-                bookingId: null,
-                status: "cancelled",
-                error: null,
-            };
-        }
+export const getBookingJobs = async (args, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
 
-        return result;
+    try {
+        await failStaleBookingJobs(context.user.id, context.entities);
+        const jobs = await context.entities.BookingJob.findMany({
+            where: { userId: context.user.id },
+            orderBy: { createdAt: "desc" },
+            take: Math.min(args?.limit || BOOKING_JOB_HISTORY_LIMIT, BOOKING_JOB_HISTORY_LIMIT),
+        });
+        return jobs.map(serializeBookingJob);
     } catch (error) {
-        console.error("❌ Error cancelling booking:", error);
-        throw new HttpError(500, "Failed to cancel booking: " + error.message);
+        logger.error("Get booking jobs error:", error);
+        throw new HttpError(500, "Failed to fetch booking history");
     }
 };
 
@@ -214,3 +313,225 @@ export const getHotelBookingSites = async (args, context) => {
         throw new HttpError(500, "Failed to get booking sites: " + error.message);
     }
 };
+
+// Check the itinerary (or item) a booking should be saved to, before anything is charged.
+// Throws 404/403 for a missing or foreign itinerary; returns what linkBookingItinerary needs.
+const authorizeBookingItinerary = async ({ itineraryId, itineraryItemId }, context) => {
+    if (itineraryItemId) {
+        const item = await findAccessibleItem(itineraryItemId, context);
+        return { itineraryId: item.itineraryId, itineraryItemId: item.id };
+    }
+
+    const itinerary = itineraryId
+        ? await findAccessibleItinerary(itineraryId, context, ITINERARY_ROLES.EDITOR)
+        : await context.entities.Itinerary.findFirst({
+              where: { userId: context.user.id, title: DEFAULT_ITINERARY_TITLE },
+          });
+    return { itineraryId: itinerary?.id || null, itineraryItemId: null };
+};
+
+// Save the hotel card to the authorized itinerary (creating the default one if needed) and
+// return the itinerary and item the booking belongs to
+const linkBookingItinerary = async (target, hotel, context) => {
+    if (target.itineraryItemId) {
+        return target;
+    }
+
+    let itineraryId = target.itineraryId;
+    if (!itineraryId) {
+        const itinerary = await context.entities.Itinerary.create({
+            data: {
+                title: DEFAULT_ITINERARY_TITLE,
+                description: "Items saved from AI travel search",
+                userId: context.user.id,
+            },
+        });
+        itineraryId = itinerary.id;
+    }
+
+    const lastItem = await context.entities.ItineraryItem.findFirst({
+        where: { itineraryId },
+        orderBy: { orderIndex: "desc" },
+    });
+    const item = await context.entities.ItineraryItem.create({
+        data: {
+            itineraryId,
+            cardData: JSON.stringify(hotel),
+            orderIndex: lastItem ? lastItem.orderIndex + 1 : 0,
+        },
+    });
+    await recordItineraryChange(context, {
+        itineraryId,
+        action: CHANGE_ACTIONS.ADD_ITEM,
+        itemId: item.id,
+        summary: `Added ${describeItem(item)} while booking`,
+        after: snapshotItem(item),
+    });
+
+    return { itineraryId, itineraryItemId: item.id };
+};
+
+// Store a confirmed booking. The provider has already charged the card, so a failure to link
+// the itinerary must not lose the confirmation: the row is then saved without the link.
+const saveConfirmedBooking = async (data, target, hotel, context) => {
+    let link = { itineraryId: null, itineraryItemId: null };
+    try {
+        link = await linkBookingItinerary(target, hotel, context);
+    } catch (error) {
+        logger.error(
+            `Saving confirmed booking ${data.providerBookingId} without an itinerary link:`,
+            error,
+        );
+    }
+
+    try {
+        return await context.entities.HotelBooking.create({ data: { ...data, ...link } });
+    } catch (error) {
+        if (!link.itineraryId) throw error;
+        logger.error(
+            `Retrying booking ${data.providerBookingId} without an itinerary link:`,
+            error,
+        );
+        return context.entities.HotelBooking.create({ data });
+    }
+};
+
+/**
+ * Book an Amadeus hotel offer directly: re-price, charge the guest's card through the
+ * hotel-bookings API and store the confirmation against the user's itinerary.
+ * Returns { status: "price_changed", offer } instead of booking when the price moved since
+ * the search, unless acceptPriceChange is set.
+ */
+export const bookHotelOffer = async (args, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in to book hotels");
+    }
+
+    const { offerId, hotel, guest, payment, itineraryId, itineraryItemId, expectedTotal } = args;
+
+    if (!offerId) {
+        throw new HttpError(400, "This hotel has no bookable offer. Please search again.");
+    }
+    if (!guest?.firstName?.trim() || !guest?.lastName?.trim()) {
+        throw new HttpError(400, "Guest first and last name are required");
+    }
+    if (!EMAIL_PATTERN.test(guest?.email || "")) {
+        throw new HttpError(400, "A valid guest email is required");
+    }
+    if (!guest?.phone?.trim()) {
+        throw new HttpError(400, "Guest phone number is required by the hotel");
+    }
+
+    const cardValidation = validatePaymentCard(payment);
+    if (!cardValidation.isValid) {
+        throw new HttpError(400, cardValidation.errors.join(". "));
+    }
+    const { card } = cardValidation;
+
+    // One charge per offer: a second submit while the first is running is refused, and a retry
+    // after it succeeded gets the stored booking back
+    const bookingKey = `${context.user.id}:${offerId}`;
+    if (bookingsInProgress.has(bookingKey)) {
+        throw new HttpError(409, "This booking is already being processed");
+    }
+    bookingsInProgress.add(bookingKey);
+
+    try {
+        const existing = await context.entities.HotelBooking.findFirst({
+            where: { userId: context.user.id, offerId, status: "confirmed" },
+        });
+        if (existing) {
+            logger.warn(`Hotel offer ${offerId} already booked by user ${context.user.id}`);
+            return { status: "confirmed", booking: serializeHotelBooking(existing) };
+        }
+
+        // Re-price: offers expire and prices move between search and booking
+        const current = await getHotelOffer(offerId);
+        if (!current) {
+            throw new HttpError(409, "This room is no longer available. Please search again.");
+        }
+
+        const { offer } = current;
+        const total = parseFloat(offer.price?.total);
+        if (
+            expectedTotal !== undefined &&
+            !args.acceptPriceChange &&
+            Math.abs(total - parseFloat(expectedTotal)) >= 0.01
+        ) {
+            logger.info(`Hotel offer ${offerId} re-priced from ${expectedTotal} to ${total}`);
+            return {
+                status: "price_changed",
+                offer: {
+                    id: offer.id,
+                    checkInDate: offer.checkInDate,
+                    checkOutDate: offer.checkOutDate,
+                    price: offer.price,
+                },
+            };
+        }
+
+        // Check the itinerary before charging, so a bad link can't fail a paid booking
+        const target = await authorizeBookingItinerary({ itineraryId, itineraryItemId }, context);
+
+        const confirmation = await bookHotel({
+            offerId: offer.id,
+            guest: {
+                title: guest.title,
+                firstName: guest.firstName.trim(),
+                lastName: guest.lastName.trim(),
+                email: guest.email.trim(),
+                phone: guest.phone.trim(),
+            },
+            card,
+        });
+
+        const bookingData = {
+            userId: context.user.id,
+            offerId: offer.id,
+            hotelId: current.hotel?.hotelId || hotel?.details?.hotelId || null,
+            hotelName: current.hotel?.name || hotel?.title || "Hotel",
+            checkInDate: offer.checkInDate,
+            checkOutDate: offer.checkOutDate,
+            guestName: `${guest.firstName.trim()} ${guest.lastName.trim()}`,
+            guestEmail: guest.email.trim(),
+            totalPrice: Number.isFinite(total) ? total : null,
+            currency: offer.price?.currency || "USD",
+            providerBookingId: confirmation.id,
+            confirmationNumber:
+                confirmation.providerConfirmationId ||
+                confirmation.associatedRecords?.[0]?.reference ||
+                null,
+            cardVendor: card.vendorCode,
+            cardLast4: card.last4,
+            providerResponse: JSON.stringify(confirmation),
+        };
+
+        let booking;
+        try {
+            booking = await saveConfirmedBooking(bookingData, target, hotel, context);
+        } catch (error) {
+            // Still report the confirmation: the guest has been charged
+            logger.error(
+                `Confirmed booking ${confirmation.id} could not be stored:`,
+                error,
+                bookingData.providerResponse,
+            );
+            return {
+                status: "confirmed",
+                booking: serializeHotelBooking({ id: null, status: "confirmed", ...bookingData }),
+                saved: false,
+            };
+        }
+
+        logger.info(`Booked hotel offer ${offerId} for user ${context.user.id}: ${booking.id}`);
+        return { status: "confirmed", booking: serializeHotelBooking(booking) };
+    } catch (error) {
+        logger.error("Hotel offer booking error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(502, "The hotel could not be booked. Please try again later.");
+    } finally {
+        bookingsInProgress.delete(bookingKey);
+    }
+};
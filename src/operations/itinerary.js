@@ -1,7 +1,83 @@
-import { HttpError } from "wasp/server";
+import crypto from "crypto";
+import { HttpError, prisma } from "wasp/server";
+import { renderItineraryDocument } from "../services/itineraryDocument.js";
+import { getExchangeRates } from "../services/exchangeRates.js";
+import { getCalendarFileName } from "../utils/icalendar.js";
+import {
+    daysBetweenDates,
+    getItineraryStartDate,
+    isDateSensitiveCard,
+    shiftCardDates,
+} from "../utils/itineraryShift.js";
 import logger from "../utils/logger.js";
+import {
+    CHANGE_ACTIONS,
+    describeItem,
+    describeItineraryUpdate,
+    recordItineraryChange,
+    snapshotItem,
+    snapshotOrder,
+} from "./itineraryHistory.js";
+import {
+    ITINERARY_ROLES,
+    accessibleItinerariesWhere,
+    findAccessibleItem,
+    findAccessibleItinerary,
+    getItineraryRole,
+    serializeItinerary,
+} from "./itineraryAccess.js";
+
+// Stable sort by day, unscheduled items last
+const sortItemsByDay = (items) =>
+    [...items].sort(
+        (a, b) =>
+            (a.dayNumber ?? Infinity) - (b.dayNumber ?? Infinity) || a.orderIndex - b.orderIndex,
+    );
+
+// Persist item order and days in one transaction, renumbering orderIndex from 0
+const saveItemOrder = (items, context) =>
+    prisma.$transaction(
+        items.map((item, index) =>
+            context.entities.ItineraryItem.update({
+                where: { id: item.id },
+                data: { orderIndex: index, dayNumber: item.dayNumber },
+            }),
+        ),
+    );
+
+const parseOptionalDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new HttpError(400, `Invalid date: ${value}`);
+    }
+    return date;
+};
+
+const parseTravelers = (value) => {
+    const travelers = Number(value);
+    if (!Number.isInteger(travelers) || travelers < 1) {
+        throw new HttpError(400, "Travelers must be a whole number of at least 1");
+    }
+    return travelers;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const shiftDate = (date, days) => (date ? new Date(date.getTime() + days * DAY_MS) : null);
+
+const HISTORY_LIMIT = 50;
+
+const parseOptionalBudget = (value) => {
+    if (value === null || value === "") return null;
+    const budget = parseFloat(value);
+    if (Number.isNaN(budget) || budget < 0) {
+        throw new HttpError(400, "Budget must be a non-negative number");
+    }
+    return budget;
+};
 
-// Get all itineraries for the logged-in user
+// Get all itineraries the logged-in user owns or is a member of, each with the user's role
 export const getItineraries = async (args, context) => {
     if (!context.user) {
         throw new HttpError(401, "User must be logged in");
@@ -9,47 +85,37 @@ export const getItineraries = async (args, context) => {
 
     try {
         const itineraries = await context.entities.Itinerary.findMany({
-            where: { userId: context.user.id },
+            where: accessibleItinerariesWhere(context.user.id),
             include: {
                 items: {
                     orderBy: { orderIndex: "asc" },
                 },
+                members: { where: { userId: context.user.id } },
             },
             orderBy: { createdAt: "desc" },
         });
 
         logger.info(`Found ${itineraries.length} itineraries for user ${context.user.id}`);
-        return itineraries;
+        return itineraries.map(({ members, ...itinerary }) =>
+            serializeItinerary(
+                itinerary,
+                getItineraryRole({ ...itinerary, members }, context.user.id),
+            ),
+        );
     } catch (error) {
         logger.error("Get itineraries error:", error);
         throw new HttpError(500, "Failed to fetch itineraries");
     }
 };
 
-// Get a specific itinerary by ID
+// Get a specific itinerary by ID, with the user's role on it
 export const getItinerary = async ({ id }, context) => {
     if (!context.user) {
         throw new HttpError(401, "User must be logged in");
     }
 
     try {
-        const itinerary = await context.entities.Itinerary.findFirst({
-            where: {
-                id: id,
-                userId: context.user.id,
-            },
-            include: {
-                items: {
-                    orderBy: { orderIndex: "asc" },
-                },
-            },
-        });
-
-        if (!itinerary) {
-            throw new HttpError(404, "Itinerary not found");
-        }
-
-        return itinerary;
+        return await findAccessibleItinerary(id, context);
     } catch (error) {
         logger.error("Get itinerary error:", error);
         if (error instanceof HttpError) {
@@ -66,7 +132,7 @@ export const createItinerary = async (args, context) => {
     }
 
     try {
-        const { title, description, destination, startDate, endDate, budget } = args;
+        const { title, description, destination, startDate, endDate, budget, travelers } = args;
 
         // Validate required fields
         if (!title) {
@@ -81,6 +147,7 @@ export const createItinerary = async (args, context) => {
                 startDate: startDate ? new Date(startDate) : null,
                 endDate: endDate ? new Date(endDate) : null,
                 budget: budget ? parseFloat(budget) : null,
+                ...(travelers !== undefined && { travelers: parseTravelers(travelers) }),
                 userId: context.user.id,
             },
         });
@@ -110,17 +177,7 @@ export const addToItinerary = async (args, context) => {
             throw new HttpError(400, "Itinerary ID and card data are required");
         }
 
-        // Verify the itinerary belongs to the user
-        const itinerary = await context.entities.Itinerary.findFirst({
-            where: {
-                id: itineraryId,
-                userId: context.user.id,
-            },
-        });
-
-        if (!itinerary) {
-            throw new HttpError(404, "Itinerary not found");
-        }
+        await findAccessibleItinerary(itineraryId, context, ITINERARY_ROLES.EDITOR);
 
         // Get the next order index
         const lastItem = await context.entities.ItineraryItem.findFirst({
@@ -133,13 +190,26 @@ export const addToItinerary = async (args, context) => {
         const itineraryItem = await context.entities.ItineraryItem.create({
             data: {
                 itineraryId,
-                cardData: JSON.stringify(cardData),
+                // Budget impact and converted price are recalculated whenever the card is shown
+                cardData: JSON.stringify({
+                    ...cardData,
+                    budgetImpact: undefined,
+                    convertedPrice: undefined,
+                }),
                 orderIndex: nextOrderIndex,
                 dayNumber,
                 notes,
             },
         });
 
+        await recordItineraryChange(context, {
+            itineraryId,
+            action: CHANGE_ACTIONS.ADD_ITEM,
+            itemId: itineraryItem.id,
+            summary: `Added ${describeItem(itineraryItem)}`,
+            after: snapshotItem(itineraryItem),
+        });
+
         logger.info(`Added item ${itineraryItem.id} to itinerary ${itineraryId}`);
         return itineraryItem;
     } catch (error) {
@@ -158,26 +228,21 @@ export const removeFromItinerary = async ({ itemId }, context) => {
     }
 
     try {
-        // First, get the item and verify ownership through the itinerary
-        const item = await context.entities.ItineraryItem.findFirst({
-            where: { id: itemId },
-            include: {
-                itinerary: true,
-            },
-        });
-
-        if (!item) {
-            throw new HttpError(404, "Itinerary item not found");
-        }
-
-        if (item.itinerary.userId !== context.user.id) {
-            throw new HttpError(403, "Not authorized to remove this item");
-        }
+        const item = await findAccessibleItem(itemId, context);
 
         await context.entities.ItineraryItem.delete({
             where: { id: itemId },
         });
 
+        // The removed item is kept in the history so the removal can be undone
+        await recordItineraryChange(context, {
+            itineraryId: item.itineraryId,
+            action: CHANGE_ACTIONS.REMOVE_ITEM,
+            itemId,
+            summary: `Removed ${describeItem(item)}`,
+            before: snapshotItem(item),
+        });
+
         logger.info(`Removed item ${itemId} from itinerary ${item.itineraryId}`);
         return { success: true };
     } catch (error) {
@@ -189,41 +254,64 @@ export const removeFromItinerary = async ({ itemId }, context) => {
     }
 };
 
-// Update itinerary details
+// Update itinerary details. Omitted fields are left unchanged; pass null (or "") to clear
+// an optional field.
 export const updateItinerary = async (args, context) => {
     if (!context.user) {
         throw new HttpError(401, "User must be logged in");
     }
 
     try {
-        const { id, title, description, destination, startDate, endDate, budget } = args;
+        const { id, title, description, destination, startDate, endDate, budget, travelers } = args;
 
-        // Verify the itinerary belongs to the user
-        const existingItinerary = await context.entities.Itinerary.findFirst({
-            where: {
-                id,
-                userId: context.user.id,
-            },
-        });
+        const existingItinerary = await findAccessibleItinerary(
+            id,
+            context,
+            ITINERARY_ROLES.EDITOR,
+        );
 
-        if (!existingItinerary) {
-            throw new HttpError(404, "Itinerary not found");
+        if (title !== undefined && !String(title).trim()) {
+            throw new HttpError(400, "Title cannot be empty");
+        }
+
+        const data = {
+            ...(title !== undefined && { title: String(title).trim() }),
+            ...(description !== undefined && { description: description || null }),
+            ...(destination !== undefined && { destination: destination || null }),
+            ...(startDate !== undefined && { startDate: parseOptionalDate(startDate) }),
+            ...(endDate !== undefined && { endDate: parseOptionalDate(endDate) }),
+            ...(budget !== undefined && { budget: parseOptionalBudget(budget) }),
+            ...(travelers !== undefined && { travelers: parseTravelers(travelers) }),
+        };
+
+        const nextStartDate = "startDate" in data ? data.startDate : existingItinerary.startDate;
+        const nextEndDate = "endDate" in data ? data.endDate : existingItinerary.endDate;
+        if (nextStartDate && nextEndDate && nextEndDate < nextStartDate) {
+            throw new HttpError(400, "End date must be on or after the start date");
         }
 
         const updatedItinerary = await context.entities.Itinerary.update({
             where: { id },
-            data: {
-                ...(title && { title }),
-                ...(description && { description }),
-                ...(destination && { destination }),
-                ...(startDate && { startDate: new Date(startDate) }),
-                ...(endDate && { endDate: new Date(endDate) }),
-                ...(budget && { budget: parseFloat(budget) }),
-            },
+            data,
         });
 
+        const changedFields = Object.keys(data).filter(
+            (field) => String(existingItinerary[field]) !== String(data[field]),
+        );
+        if (changedFields.length > 0) {
+            await recordItineraryChange(context, {
+                itineraryId: id,
+                action: CHANGE_ACTIONS.UPDATE_ITINERARY,
+                summary: describeItineraryUpdate(changedFields),
+                before: Object.fromEntries(
+                    changedFields.map((field) => [field, existingItinerary[field]]),
+                ),
+                after: Object.fromEntries(changedFields.map((field) => [field, data[field]])),
+            });
+        }
+
         logger.info(`Updated itinerary ${id} for user ${context.user.id}`);
-        return updatedItinerary;
+        return serializeItinerary(updatedItinerary, existingItinerary.role);
     } catch (error) {
         logger.error("Update itinerary error:", error);
         if (error instanceof HttpError) {
@@ -232,3 +320,605 @@ export const updateItinerary = async (args, context) => {
         throw new HttpError(500, "Failed to update itinerary");
     }
 };
+
+// Reorder all items of an itinerary; itemIds lists every item id in the new order
+export const reorderItineraryItems = async ({ itineraryId, itemIds }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        if (!itineraryId || !Array.isArray(itemIds)) {
+            throw new HttpError(400, "Itinerary ID and item IDs are required");
+        }
+
+        const itinerary = await findAccessibleItinerary(
+            itineraryId,
+            context,
+            ITINERARY_ROLES.EDITOR,
+        );
+        const currentIds = itinerary.items.map((item) => item.id);
+        const isSameSet =
+            itemIds.length === currentIds.length &&
+            new Set(itemIds).size === itemIds.length &&
+            itemIds.every((itemId) => currentIds.includes(itemId));
+        if (!isSameSet) {
+            throw new HttpError(400, "Item IDs must list every item in the itinerary exactly once");
+        }
+
+        const itemsById = new Map(itinerary.items.map((item) => [item.id, item]));
+        const ordered = itemIds.map((itemId) => itemsById.get(itemId));
+        await saveItemOrder(ordered, context);
+
+        await recordItineraryChange(context, {
+            itineraryId,
+            action: CHANGE_ACTIONS.REORDER_ITEMS,
+            summary: "Reordered items",
+            before: snapshotOrder(itinerary.items),
+            after: snapshotOrder(ordered),
+        });
+
+        logger.info(`Reordered ${itemIds.length} items in itinerary ${itineraryId}`);
+        return { success: true };
+    } catch (error) {
+        logger.error("Reorder itinerary items error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to reorder itinerary items");
+    }
+};
+
+// Move an item to a day (null for unscheduled), optionally at a position within that day
+export const moveItineraryItem = async ({ itemId, dayNumber, position }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        if (dayNumber !== null && (!Number.isInteger(dayNumber) || dayNumber < 1)) {
+            throw new HttpError(400, "Day number must be a positive whole number or null");
+        }
+
+        const item = await findAccessibleItem(itemId, context);
+        const itinerary = await findAccessibleItinerary(
+            item.itineraryId,
+            context,
+            ITINERARY_ROLES.EDITOR,
+        );
+
+        // Keep the whole itinerary ordered by day so orderIndex stays meaningful on its own
+        const others = sortItemsByDay(itinerary.items.filter((other) => other.id !== itemId));
+        const dayItems = others.filter((other) => other.dayNumber === dayNumber);
+        const insertAt = Math.max(0, Math.min(position ?? dayItems.length, dayItems.length));
+
+        const movedItem = { ...item, dayNumber };
+        let ordered;
+        if (dayItems.length === 0) {
+            ordered = sortItemsByDay([...others, movedItem]);
+        } else {
+            const anchorIndex =
+                insertAt < dayItems.length
+                    ? others.indexOf(dayItems[insertAt])
+                    : others.indexOf(dayItems[dayItems.length - 1]) + 1;
+            ordered = [...others.slice(0, anchorIndex), movedItem, ...others.slice(anchorIndex)];
+        }
+
+        await saveItemOrder(ordered, context);
+
+        await recordItineraryChange(context, {
+            itineraryId: item.itineraryId,
+            action: CHANGE_ACTIONS.MOVE_ITEM,
+            itemId,
+            summary: `Moved ${describeItem(item)} to ${dayNumber ? `day ${dayNumber}` : "unscheduled"}`,
+            before: snapshotOrder(itinerary.items),
+            after: snapshotOrder(ordered),
+        });
+
+        logger.info(`Moved item ${itemId} to day ${dayNumber ?? "unscheduled"}`);
+        return { success: true, dayNumber };
+    } catch (error) {
+        logger.error("Move itinerary item error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to move itinerary item");
+    }
+};
+
+// Update the notes on an itinerary item
+export const updateItineraryItemNotes = async ({ itemId, notes }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        const item = await findAccessibleItem(itemId, context);
+
+        const updatedItem = await context.entities.ItineraryItem.update({
+            where: { id: itemId },
+            data: { notes: notes?.trim() ? notes.trim() : null },
+        });
+
+        if (updatedItem.notes !== item.notes) {
+            await recordItineraryChange(context, {
+                itineraryId: item.itineraryId,
+                action: CHANGE_ACTIONS.UPDATE_NOTES,
+                itemId,
+                summary: `${updatedItem.notes ? "Edited" : "Cleared"} notes on ${describeItem(item)}`,
+                before: { notes: item.notes },
+                after: { notes: updatedItem.notes },
+            });
+        }
+
+        logger.info(`Updated notes for itinerary item ${itemId}`);
+        return updatedItem;
+    } catch (error) {
+        logger.error("Update itinerary item notes error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to update item notes");
+    }
+};
+
+// Copy an itinerary and all of its items into a new itinerary owned by the logged-in user.
+// Dates move onto `startDate`, or by `shiftDays`; shifted items with prices are marked stale.
+export const duplicateItinerary = async (args, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        const { itineraryId, title, startDate, shiftDays } = args;
+
+        const source = await findAccessibleItinerary(itineraryId, context);
+
+        let days = 0;
+        if (startDate) {
+            const sourceStartDate = getItineraryStartDate(source);
+            if (!sourceStartDate) {
+                throw new HttpError(400, "This itinerary has no dates to move");
+            }
+            days = daysBetweenDates(sourceStartDate, parseOptionalDate(startDate));
+        } else if (shiftDays !== undefined && shiftDays !== null && shiftDays !== "") {
+            days = Number(shiftDays);
+            if (!Number.isInteger(days)) {
+                throw new HttpError(400, "Shift must be a whole number of days");
+            }
+        }
+
+        const items = source.items.map((item) => {
+            const card = shiftCardDates(JSON.parse(item.cardData), days);
+            delete card.budgetImpact;
+            delete card.convertedPrice;
+            return {
+                cardData: JSON.stringify(card),
+                orderIndex: item.orderIndex,
+                dayNumber: item.dayNumber,
+                notes: item.notes,
+                isStale: item.isStale || (days !== 0 && isDateSensitiveCard(card)),
+            };
+        });
+
+        const itinerary = await context.entities.Itinerary.create({
+            data: {
+                title: title?.trim() || `${source.title} (copy)`,
+                description: source.description,
+                destination: source.destination,
+                startDate: shiftDate(source.startDate, days),
+                endDate: shiftDate(source.endDate, days),
+                budget: source.budget,
+                currency: source.currency,
+                travelers: source.travelers,
+                userId: context.user.id,
+                items: { create: items },
+            },
+            include: { items: { orderBy: { orderIndex: "asc" } } },
+        });
+
+        logger.info(
+            `Duplicated itinerary ${itineraryId} as ${itinerary.id} for user ${context.user.id}, shifted ${days} days`,
+        );
+        return itinerary;
+    } catch (error) {
+        logger.error("Duplicate itinerary error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to duplicate itinerary");
+    }
+};
+
+// Clear an item's stale mark, replacing its card with a fresh search result when one is given
+export const refreshItineraryItem = async ({ itemId, cardData }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        const item = await findAccessibleItem(itemId, context);
+
+        const updatedItem = await context.entities.ItineraryItem.update({
+            where: { id: itemId },
+            data: {
+                isStale: false,
+                ...(cardData && {
+                    cardData: JSON.stringify({
+                        ...cardData,
+                        budgetImpact: undefined,
+                        convertedPrice: undefined,
+                    }),
+                }),
+            },
+        });
+
+        await recordItineraryChange(context, {
+            itineraryId: item.itineraryId,
+            action: CHANGE_ACTIONS.REFRESH_ITEM,
+            itemId,
+            summary: cardData
+                ? `Replaced ${describeItem(item)} with ${describeItem(updatedItem)} for the new dates`
+                : `Kept ${describeItem(item)} for the new dates`,
+            before: { cardData: item.cardData, isStale: item.isStale },
+            after: { cardData: updatedItem.cardData, isStale: updatedItem.isStale },
+        });
+
+        logger.info(`Refreshed itinerary item ${itemId}`);
+        return updatedItem;
+    } catch (error) {
+        logger.error("Refresh itinerary item error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to refresh itinerary item");
+    }
+};
+
+// Get the most recent changes to an itinerary, newest first
+export const getItineraryHistory = async ({ itineraryId }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        const itinerary = await findAccessibleItinerary(itineraryId, context);
+        const canEdit = itinerary.role !== ITINERARY_ROLES.VIEWER;
+
+        const changes = await context.entities.ItineraryChange.findMany({
+            where: { itineraryId },
+            orderBy: { createdAt: "desc" },
+            take: HISTORY_LIMIT,
+            include: {
+                user: { select: { email: true, username: true, firstName: true } },
+                revertedBy: { select: { createdAt: true } },
+            },
+        });
+
+        return changes.map((change) => ({
+            id: change.id,
+            action: change.action,
+            summary: change.summary,
+            itemId: change.itemId,
+            createdAt: change.createdAt,
+            changedBy: change.user
+                ? change.user.firstName || change.user.username || change.user.email
+                : null,
+            revertedAt: change.revertedBy?.createdAt || null,
+            canRevert: canEdit && change.action !== CHANGE_ACTIONS.REVERT && !change.revertedBy,
+        }));
+    } catch (error) {
+        logger.error("Get itinerary history error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to fetch itinerary history");
+    }
+};
+
+// Undo one change from the itinerary history. The undo is itself recorded as a change.
+export const revertItineraryChange = async ({ changeId }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        const change = await context.entities.ItineraryChange.findUnique({
+            where: { id: changeId },
+            include: { revertedBy: true },
+        });
+        if (!change) {
+            throw new HttpError(404, "Change not found");
+        }
+
+        const itinerary = await findAccessibleItinerary(
+            change.itineraryId,
+            context,
+            ITINERARY_ROLES.EDITOR,
+        );
+        if (change.action === CHANGE_ACTIONS.REVERT) {
+            throw new HttpError(400, "An undo cannot be reverted");
+        }
+        if (change.revertedBy) {
+            throw new HttpError(409, "This change has already been reverted");
+        }
+
+        const before = change.before ? JSON.parse(change.before) : null;
+        const after = change.after ? JSON.parse(change.after) : null;
+        const hasItem = (itemId) => itinerary.items.some((item) => item.id === itemId);
+
+        switch (change.action) {
+            case CHANGE_ACTIONS.ADD_ITEM:
+                if (!hasItem(after.id)) {
+                    throw new HttpError(409, "The item has already been removed");
+                }
+                await context.entities.ItineraryItem.delete({ where: { id: after.id } });
+                break;
+
+            case CHANGE_ACTIONS.REMOVE_ITEM: {
+                if (hasItem(before.id)) {
+                    throw new HttpError(409, "The item is already in the itinerary");
+                }
+                // Restore the item under its old id, back in its old position
+                const restored = await context.entities.ItineraryItem.create({
+                    data: { ...before, itineraryId: itinerary.id },
+                });
+                const insertAt = Math.min(before.orderIndex, itinerary.items.length);
+                await saveItemOrder(
+                    [
+                        ...itinerary.items.slice(0, insertAt),
+                        restored,
+                        ...itinerary.items.slice(insertAt),
+                    ],
+                    context,
+                );
+                break;
+            }
+
+            case CHANGE_ACTIONS.REORDER_ITEMS:
+            case CHANGE_ACTIONS.MOVE_ITEM: {
+                // Items added since the change keep their relative order after the others
+                const previous = new Map(before.map((position) => [position.id, position]));
+                const ordered = itinerary.items
+                    .map((item) => ({ ...item, ...previous.get(item.id) }))
+                    .sort(
+                        (a, b) =>
+                            (previous.get(a.id)?.orderIndex ?? Infinity) -
+                                (previous.get(b.id)?.orderIndex ?? Infinity) ||
+                            a.orderIndex - b.orderIndex,
+                    );
+                await saveItemOrder(ordered, context);
+                break;
+            }
+
+            case CHANGE_ACTIONS.UPDATE_NOTES:
+            case CHANGE_ACTIONS.REFRESH_ITEM:
+                if (!hasItem(change.itemId)) {
+                    throw new HttpError(409, "The item has been removed from the itinerary");
+                }
+                await context.entities.ItineraryItem.update({
+                    where: { id: change.itemId },
+                    data: before,
+                });
+                break;
+
+            case CHANGE_ACTIONS.UPDATE_ITINERARY:
+                await context.entities.Itinerary.update({
+                    where: { id: itinerary.id },
+                    data: {
+                        ...before,
+                        ...("startDate" in before && {
+                            startDate: parseOptionalDate(before.startDate),
+                        }),
+                        ...("endDate" in before && { endDate: parseOptionalDate(before.endDate) }),
+                    },
+                });
+                break;
+
+            default:
+                throw new HttpError(400, `Changes of type ${change.action} cannot be reverted`);
+        }
+
+        const revert = await recordItineraryChange(context, {
+            itineraryId: itinerary.id,
+            action: CHANGE_ACTIONS.REVERT,
+            itemId: change.itemId,
+            summary: `Undid: ${change.summary}`,
+            revertOfId: change.id,
+        });
+
+        logger.info(`Reverted change ${changeId} on itinerary ${itinerary.id}`);
+        return revert;
+    } catch (error) {
+        logger.error("Revert itinerary change error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to revert change");
+    }
+};
+
+// Create (or rotate) the secret calendar feed token for an itinerary
+export const createItineraryCalendarFeed = async ({ itineraryId }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        await findAccessibleItinerary(itineraryId, context, ITINERARY_ROLES.OWNER);
+
+        // Rotating invalidates any calendar already subscribed with the old URL
+        const itinerary = await context.entities.Itinerary.update({
+            where: { id: itineraryId },
+            data: { calendarToken: crypto.randomBytes(24).toString("base64url") },
+        });
+
+        logger.info(`Created calendar feed for itinerary ${itineraryId}`);
+        return { calendarToken: itinerary.calendarToken };
+    } catch (error) {
+        logger.error("Create calendar feed error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to create calendar feed");
+    }
+};
+
+// Turn off the calendar feed for an itinerary
+export const revokeItineraryCalendarFeed = async ({ itineraryId }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        await findAccessibleItinerary(itineraryId, context, ITINERARY_ROLES.OWNER);
+
+        await context.entities.Itinerary.update({
+            where: { id: itineraryId },
+            data: { calendarToken: null },
+        });
+
+        logger.info(`Revoked calendar feed for itinerary ${itineraryId}`);
+        return { success: true };
+    } catch (error) {
+        logger.error("Revoke calendar feed error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to revoke calendar feed");
+    }
+};
+
+// Render an itinerary as a printable HTML document (cover, schedule, bookings, costs)
+export const getItineraryDocument = async ({ itineraryId }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        const itinerary = await findAccessibleItinerary(itineraryId, context);
+        const bookings = await context.entities.HotelBooking.findMany({
+            where: { itineraryId, userId: context.user.id },
+            orderBy: { checkInDate: "asc" },
+        });
+
+        const travelerName = [context.user.firstName, context.user.lastName]
+            .filter(Boolean)
+            .join(" ");
+
+        return {
+            fileName: getCalendarFileName(itinerary).replace(/\.ics$/, ".html"),
+            html: renderItineraryDocument(itinerary, {
+                bookings,
+                travelerName: travelerName || context.user.email,
+                currency: context.user.preferredCurrency || "USD",
+                exchangeRates: await getExchangeRates(),
+            }),
+        };
+    } catch (error) {
+        logger.error("Get itinerary document error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to generate itinerary document");
+    }
+};
+
+// Card fields that stay private when an itinerary is shared publicly
+const PRIVATE_CARD_FIELDS = ["notes", "guest", "guests", "guestDetails", "bookingDetails"];
+
+// Read-only copy of an itinerary for the public share page: no owner, budget, notes,
+// feed tokens or guest details
+const toSharedItinerary = (itinerary) => ({
+    title: itinerary.title,
+    description: itinerary.description,
+    destination: itinerary.destination,
+    startDate: itinerary.startDate,
+    endDate: itinerary.endDate,
+    currency: itinerary.currency,
+    items: itinerary.items.map((item) => {
+        const card = JSON.parse(item.cardData);
+        PRIVATE_CARD_FIELDS.forEach((field) => delete card[field]);
+        return {
+            id: item.id,
+            orderIndex: item.orderIndex,
+            dayNumber: item.dayNumber,
+            cardData: JSON.stringify(card),
+        };
+    }),
+});
+
+// Make an itinerary public with a new secret share token, replacing any previous link
+export const shareItinerary = async ({ itineraryId }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        await findAccessibleItinerary(itineraryId, context, ITINERARY_ROLES.OWNER);
+
+        const itinerary = await context.entities.Itinerary.update({
+            where: { id: itineraryId },
+            data: { isPublic: true, shareToken: crypto.randomBytes(24).toString("base64url") },
+        });
+
+        logger.info(`Shared itinerary ${itineraryId}`);
+        return { shareToken: itinerary.shareToken };
+    } catch (error) {
+        logger.error("Share itinerary error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to share itinerary");
+    }
+};
+
+// Revoke the public share link for an itinerary
+export const unshareItinerary = async ({ itineraryId }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        await findAccessibleItinerary(itineraryId, context, ITINERARY_ROLES.OWNER);
+
+        await context.entities.Itinerary.update({
+            where: { id: itineraryId },
+            data: { isPublic: false, shareToken: null },
+        });
+
+        logger.info(`Unshared itinerary ${itineraryId}`);
+        return { success: true };
+    } catch (error) {
+        logger.error("Unshare itinerary error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to unshare itinerary");
+    }
+};
+
+// Get a shared itinerary by its share token. Does not require login.
+export const getSharedItinerary = async ({ token }, context) => {
+    if (!token) {
+        throw new HttpError(404, "Shared itinerary not found");
+    }
+
+    try {
+        const itinerary = await context.entities.Itinerary.findFirst({
+            where: { shareToken: token, isPublic: true },
+            include: { items: { orderBy: { orderIndex: "asc" } } },
+        });
+
+        if (!itinerary) {
+            throw new HttpError(404, "Shared itinerary not found");
+        }
+        return toSharedItinerary(itinerary);
+    } catch (error) {
+        logger.error("Get shared itinerary error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to fetch shared itinerary");
+    }
+};
@@ -0,0 +1,137 @@
+import { HttpError } from "wasp/server";
+
+/**
+ * Itinerary Access - Permission checks for shared itineraries
+ * An itinerary is visible to its owner and to members who accepted an invitation. Viewers can
+ * read the trip, editors can also change its items and details, and only the owner can manage
+ * members, sharing and feeds. Used by the itinerary, member and hotel booking operations.
+ */
+
+export const ITINERARY_ROLES = {
+    VIEWER: "viewer",
+    EDITOR: "editor",
+    OWNER: "owner",
+};
+
+// Roles that can be given to invited members
+export const MEMBER_ROLES = [ITINERARY_ROLES.VIEWER, ITINERARY_ROLES.EDITOR];
+
+const ROLE_RANK = {
+    [ITINERARY_ROLES.VIEWER]: 1,
+    [ITINERARY_ROLES.EDITOR]: 2,
+    [ITINERARY_ROLES.OWNER]: 3,
+};
+
+// Itinerary fields only the owner receives
+const OWNER_ONLY_FIELDS = ["shareToken", "calendarToken", "isPublic"];
+
+const ACTION_LABELS = {
+    [ITINERARY_ROLES.EDITOR]: "edit",
+    [ITINERARY_ROLES.OWNER]: "manage",
+};
+
+/**
+ * Prisma filter for itineraries the user owns or is an accepted member of
+ * @param {number} userId
+ * @returns {Object} Itinerary where clause
+ */
+export const accessibleItinerariesWhere = (userId) => ({
+    OR: [{ userId }, { members: { some: { userId } } }],
+});
+
+/**
+ * Role of a user on an itinerary loaded with its members (or the user's membership)
+ * @param {Object} itinerary - Itinerary with userId and members
+ * @param {number} userId
+ * @returns {string|null} "owner", "editor", "viewer", or null without access
+ */
+export const getItineraryRole = (itinerary, userId) => {
+    if (itinerary.userId === userId) {
+        return ITINERARY_ROLES.OWNER;
+    }
+    const membership = (itinerary.members || []).find((member) => member.userId === userId);
+    return membership ? membership.role : null;
+};
+
+/**
+ * Shape an itinerary for a user with the given role. Only the owner manages sharing and the
+ * calendar feed, so members don't receive the share or feed tokens: a removed member can't keep
+ * using them.
+ * @param {Object} itinerary - Itinerary row
+ * @param {string} role - The user's role on it
+ * @returns {Object} Itinerary with `role` and `isOwner`
+ */
+export const serializeItinerary = (itinerary, role) => {
+    if (role === ITINERARY_ROLES.OWNER) {
+        return { ...itinerary, role, isOwner: true };
+    }
+    const visible = { ...itinerary, role, isOwner: false };
+    for (const field of OWNER_ONLY_FIELDS) {
+        delete visible[field];
+    }
+    return visible;
+};
+
+const assertRole = (role, requiredRole, resource) => {
+    if (ROLE_RANK[role] < ROLE_RANK[requiredRole]) {
+        throw new HttpError(
+            403,
+            `Not authorized to ${ACTION_LABELS[requiredRole] || "view"} this ${resource}`,
+        );
+    }
+};
+
+/**
+ * Load an itinerary the current user can access with at least the required role
+ * @param {number} itineraryId
+ * @param {Object} context - Operation context with user and entities
+ * @param {string} [requiredRole] - Minimum role, defaults to viewer
+ * @returns {Promise<Object>} Itinerary with items in order, shaped by serializeItinerary
+ * @throws {HttpError} 404 when the itinerary is not visible, 403 when the role is too low
+ */
+export const findAccessibleItinerary = async (
+    itineraryId,
+    context,
+    requiredRole = ITINERARY_ROLES.VIEWER,
+) => {
+    const itinerary = await context.entities.Itinerary.findFirst({
+        where: { id: itineraryId, ...accessibleItinerariesWhere(context.user.id) },
+        include: {
+            items: { orderBy: { orderIndex: "asc" } },
+            members: { where: { userId: context.user.id } },
+        },
+    });
+
+    if (!itinerary) {
+        throw new HttpError(404, "Itinerary not found");
+    }
+
+    const role = getItineraryRole(itinerary, context.user.id);
+    assertRole(role, requiredRole, "itinerary");
+    return serializeItinerary(itinerary, role);
+};
+
+/**
+ * Load an itinerary item, verifying the current user's role through its itinerary
+ * @param {number} itemId
+ * @param {Object} context - Operation context with user and entities
+ * @param {string} [requiredRole] - Minimum role, defaults to editor
+ * @returns {Promise<Object>} Item including its itinerary
+ */
+export const findAccessibleItem = async (
+    itemId,
+    context,
+    requiredRole = ITINERARY_ROLES.EDITOR,
+) => {
+    const item = await context.entities.ItineraryItem.findFirst({
+        where: { id: itemId },
+        include: { itinerary: { include: { members: { where: { userId: context.user.id } } } } },
+    });
+
+    const role = item ? getItineraryRole(item.itinerary, context.user.id) : null;
+    if (!role) {
+        throw new HttpError(404, "Itinerary item not found");
+    }
+    assertRole(role, requiredRole, "item");
+    return item;
+};
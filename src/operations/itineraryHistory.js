@@ -0,0 +1,107 @@
+/**
+ * Itinerary History - Append-only log of itinerary changes
+ * Each item and detail change records who made it, a readable summary, and the before/after
+ * state needed to undo it. Reverting a change adds a new "revert" entry linked to the original
+ * instead of editing or deleting history. Used by the itinerary operations.
+ */
+
+export const CHANGE_ACTIONS = {
+    ADD_ITEM: "add_item",
+    REMOVE_ITEM: "remove_item",
+    REORDER_ITEMS: "reorder_items",
+    MOVE_ITEM: "move_item",
+    UPDATE_NOTES: "update_notes",
+    UPDATE_ITINERARY: "update_itinerary",
+    REFRESH_ITEM: "refresh_item",
+    REVERT: "revert",
+};
+
+const ITINERARY_FIELD_LABELS = {
+    title: "title",
+    description: "description",
+    destination: "destination",
+    startDate: "start date",
+    endDate: "end date",
+    budget: "budget",
+    travelers: "travelers",
+};
+
+/**
+ * Item columns needed to restore a removed item
+ * @param {Object} item - ItineraryItem row
+ * @returns {Object}
+ */
+export const snapshotItem = (item) => ({
+    id: item.id,
+    cardData: item.cardData,
+    orderIndex: item.orderIndex,
+    dayNumber: item.dayNumber,
+    notes: item.notes,
+    isStale: item.isStale,
+});
+
+/**
+ * Position of every item, for undoing reorders and moves
+ * @param {Object[]} items - ItineraryItem rows in order
+ * @returns {Array<{id: number, orderIndex: number, dayNumber: number|null}>} orderIndex is the
+ *   position in `items`
+ */
+export const snapshotOrder = (items) =>
+    items.map((item, index) => ({ id: item.id, orderIndex: index, dayNumber: item.dayNumber }));
+
+/**
+ * Quoted card title of an item, for change summaries
+ * @param {Object} item - ItineraryItem row
+ * @returns {string}
+ */
+export const describeItem = (item) => {
+    try {
+        return `"${JSON.parse(item.cardData).title || "Untitled item"}"`;
+    } catch {
+        return "an item";
+    }
+};
+
+/**
+ * Summary for an itinerary details update
+ * @param {string[]} fields - Changed Itinerary columns
+ * @returns {string} e.g. "Changed trip title and start date"
+ */
+export const describeItineraryUpdate = (fields) => {
+    const labels = fields.map((field) => ITINERARY_FIELD_LABELS[field] || field);
+    const list =
+        labels.length > 1
+            ? `${labels.slice(0, -1).join(", ")} and ${labels[labels.length - 1]}`
+            : labels[0];
+    return `Changed trip ${list}`;
+};
+
+/**
+ * Append a change to an itinerary's history
+ * @param {Object} context - Operation context with user and entities.ItineraryChange
+ * @param {Object} change
+ * @param {number} change.itineraryId
+ * @param {string} change.action - One of CHANGE_ACTIONS
+ * @param {string} change.summary - Shown in the history list
+ * @param {number} [change.itemId]
+ * @param {Object} [change.before] - State needed to undo the change
+ * @param {Object} [change.after] - State after the change
+ * @param {number} [change.revertOfId] - For a revert, the change it undid
+ * @returns {Promise<Object>} The ItineraryChange row
+ */
+export const recordItineraryChange = (
+    context,
+    { itineraryId, action, summary, itemId = null, before = null, after = null, revertOfId = null },
+) =>
+    context.entities.ItineraryChange.create({
+        data: {
+            itineraryId,
+            userId: context.user.id,
+            action,
+            summary,
+            itemId,
+            before: before === null ? null : JSON.stringify(before),
+            after: after === null ? null : JSON.stringify(after),
+            revertOfId,
+        },
+    });
@@ -0,0 +1,258 @@
+import crypto from "crypto";
+import { HttpError, config } from "wasp/server";
+import { emailSender } from "wasp/server/email";
+import logger from "../utils/logger.js";
+import { ITINERARY_ROLES, MEMBER_ROLES, findAccessibleItinerary } from "./itineraryAccess.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const escapeHtml = (value) =>
+    String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const getDisplayName = (user) =>
+    [user.firstName, user.lastName].filter(Boolean).join(" ") || user.email;
+
+const validateRole = (role) => {
+    if (!MEMBER_ROLES.includes(role)) {
+        throw new HttpError(400, `Role must be one of: ${MEMBER_ROLES.join(", ")}`);
+    }
+};
+
+// Load a member row together with its itinerary
+const findMember = async (memberId, context) => {
+    const member = await context.entities.ItineraryMember.findFirst({
+        where: { id: memberId },
+        include: { itinerary: true },
+    });
+
+    if (!member) {
+        throw new HttpError(404, "Member not found");
+    }
+    return member;
+};
+
+const serializeMember = (member) => ({
+    id: member.id,
+    email: member.email,
+    name: member.user ? getDisplayName(member.user) : null,
+    role: member.role,
+    status: member.acceptedAt ? "accepted" : "pending",
+    invitedAt: member.invitedAt,
+});
+
+// Send the invitation email; failures are logged so the owner can resend
+const sendInviteEmail = async ({ email, role, inviteToken, itinerary, inviter }) => {
+    const inviteUrl = `${config.frontendUrl}/invite/${inviteToken}`;
+    const inviterName = getDisplayName(inviter);
+    const access = role === ITINERARY_ROLES.EDITOR ? "plan and edit" : "view";
+
+    try {
+        await emailSender.send({
+            to: email,
+            subject: `${inviterName} invited you to "${itinerary.title}"`,
+            text:
+                `${inviterName} invited you to ${access} the trip "${itinerary.title}" on AI Travel Planner.\n\n` +
+                `Accept the invitation: ${inviteUrl}\n\n` +
+                `Log in or sign up with ${email} to join.`,
+            html: `
+                <p>${escapeHtml(inviterName)} invited you to ${access} the trip <strong>${escapeHtml(itinerary.title)}</strong> on AI Travel Planner.</p>
+                <p><a href="${inviteUrl}">Accept the invitation</a></p>
+                <p>Log in or sign up with ${escapeHtml(email)} to join.</p>
+            `,
+        });
+        return true;
+    } catch (error) {
+        logger.error(`Failed to send itinerary invitation to ${email}:`, error);
+        return false;
+    }
+};
+
+// Get the owner and members of an itinerary
+export const getItineraryMembers = async ({ itineraryId }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        const itinerary = await findAccessibleItinerary(itineraryId, context);
+
+        const [owner, members] = await Promise.all([
+            context.entities.User.findUnique({ where: { id: itinerary.userId } }),
+            context.entities.ItineraryMember.findMany({
+                where: { itineraryId },
+                include: { user: true },
+                orderBy: { invitedAt: "asc" },
+            }),
+        ]);
+
+        return {
+            role: itinerary.role,
+            owner: { email: owner.email, name: getDisplayName(owner) },
+            members: members.map(serializeMember),
+        };
+    } catch (error) {
+        logger.error("Get itinerary members error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to fetch itinerary members");
+    }
+};
+
+// Invite someone by email. Inviting a pending address again sends a fresh link.
+export const inviteItineraryMember = async (
+    { itineraryId, email, role = ITINERARY_ROLES.VIEWER },
+    context,
+) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        const normalizedEmail = String(email || "")
+            .trim()
+            .toLowerCase();
+        if (!EMAIL_PATTERN.test(normalizedEmail)) {
+            throw new HttpError(400, "A valid email address is required");
+        }
+        validateRole(role);
+
+        const itinerary = await findAccessibleItinerary(
+            itineraryId,
+            context,
+            ITINERARY_ROLES.OWNER,
+        );
+        if (normalizedEmail === context.user.email.toLowerCase()) {
+            throw new HttpError(400, "You already own this itinerary");
+        }
+
+        const existing = await context.entities.ItineraryMember.findUnique({
+            where: { itineraryId_email: { itineraryId, email: normalizedEmail } },
+        });
+        if (existing?.acceptedAt) {
+            throw new HttpError(409, `${normalizedEmail} is already a member of this itinerary`);
+        }
+
+        const inviteToken = crypto.randomBytes(24).toString("base64url");
+        const member = existing
+            ? await context.entities.ItineraryMember.update({
+                  where: { id: existing.id },
+                  data: { role, inviteToken, invitedAt: new Date() },
+              })
+            : await context.entities.ItineraryMember.create({
+                  data: { itineraryId, email: normalizedEmail, role, inviteToken },
+              });
+
+        const emailSent = await sendInviteEmail({
+            email: normalizedEmail,
+            role,
+            inviteToken,
+            itinerary,
+            inviter: context.user,
+        });
+
+        logger.info(`Invited ${normalizedEmail} as ${role} to itinerary ${itineraryId}`);
+        return { member: serializeMember(member), emailSent };
+    } catch (error) {
+        logger.error("Invite itinerary member error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to invite member");
+    }
+};
+
+// Accept an invitation with the token from the email link
+export const acceptItineraryInvite = async ({ token }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        const member = token
+            ? await context.entities.ItineraryMember.findUnique({
+                  where: { inviteToken: token },
+              })
+            : null;
+        if (!member) {
+            throw new HttpError(404, "This invitation is invalid or has already been used");
+        }
+
+        // The link may be forwarded, so it only works for the invited address
+        if (member.email !== context.user.email.toLowerCase()) {
+            throw new HttpError(403, `This invitation was sent to ${member.email}`);
+        }
+
+        await context.entities.ItineraryMember.update({
+            where: { id: member.id },
+            data: { userId: context.user.id, acceptedAt: new Date(), inviteToken: null },
+        });
+
+        logger.info(`User ${context.user.id} joined itinerary ${member.itineraryId}`);
+        return { itineraryId: member.itineraryId, role: member.role };
+    } catch (error) {
+        logger.error("Accept itinerary invite error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to accept invitation");
+    }
+};
+
+// Change a member's role (owner only)
+export const updateItineraryMemberRole = async ({ memberId, role }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        validateRole(role);
+
+        const member = await findMember(memberId, context);
+        if (member.itinerary.userId !== context.user.id) {
+            throw new HttpError(403, "Only the owner can change member roles");
+        }
+
+        const updatedMember = await context.entities.ItineraryMember.update({
+            where: { id: memberId },
+            data: { role },
+        });
+
+        logger.info(`Set member ${memberId} of itinerary ${member.itineraryId} to ${role}`);
+        return serializeMember(updatedMember);
+    } catch (error) {
+        logger.error("Update itinerary member role error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to update member role");
+    }
+};
+
+// Remove a member or cancel an invitation. The owner can remove anyone; members can leave.
+export const removeItineraryMember = async ({ memberId }, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in");
+    }
+
+    try {
+        const member = await findMember(memberId, context);
+        const isOwner = member.itinerary.userId === context.user.id;
+        if (!isOwner && member.userId !== context.user.id) {
+            throw new HttpError(403, "Not authorized to remove this member");
+        }
+
+        await context.entities.ItineraryMember.delete({
+            where: { id: memberId },
+        });
+
+        logger.info(`Removed member ${memberId} from itinerary ${member.itineraryId}`);
+        return { success: true };
+    } catch (error) {
+        logger.error("Remove itinerary member error:", error);
+        if (error instanceof HttpError) {
+            throw error;
+        }
+        throw new HttpError(500, "Failed to remove member");
+    }
+};
@@ -1,6 +1,9 @@
 import { HttpError } from "wasp/server";
 import { travelAPI } from "../api/index.js";
 import { searchHotels as amadeusSearchHotels } from "../api/amadeus/hotelService.js";
+import { getCacheMetrics } from "../api/cache/ttlCache.js";
+import { AIAgent } from "../services/aiAgent.js";
+import { searchAirports as searchAirportDirectory } from "../services/airportDirectory.js";
 import logger from "../utils/logger.js";
 
 // Search for flights
@@ -148,6 +151,11 @@ export const searchHotels = async (params, context) => {
         logger.info(
             `Found ${hotelResults?.data?.length || 0} hotel options for user ${context.user.id}`,
         );
+
+        // The search form renders results as cards, like hotel results in chat
+        if (params.asCards) {
+            return new AIAgent().transformHotelResultsToCards(hotelResults, params.cityCode);
+        }
         return hotelResults;
     } catch (error) {
         logger.error("Hotel search error:", error);
@@ -162,6 +170,28 @@ export const searchHotels = async (params, context) => {
     }
 };
 
+// Airport and city autocomplete for the search form, from the bundled airport dataset
+export const searchAirports = async (params, context) => {
+    if (!context.user) {
+        throw new HttpError(401, "User must be logged in to search airports");
+    }
+
+    const query = typeof params?.query === "string" ? params.query.trim() : "";
+    if (!query) {
+        return [];
+    }
+
+    const limit = Math.min(Math.max(parseInt(params.limit) || 8, 1), 20);
+    return searchAirportDirectory(query, { limit }).map((airport) => ({
+        iata: airport.iata,
+        name: airport.name,
+        city: airport.city,
+        cityCode: airport.metro || airport.iata, // Hotel search city code
+        country: airport.country,
+        timezone: airport.timezone,
+    }));
+};
+
 // Health check for API services
 export const checkApiHealth = async (args, context) => {
     if (!context.user) {
@@ -177,6 +207,7 @@ export const checkApiHealth = async (args, context) => {
             status: "healthy",
             services: services,
             apiHealth: health,
+            cache: getCacheMetrics(),
         };
     } catch (error) {
         logger.error("API health check error:", error);
@@ -1,4 +1,4 @@
-import OpenAI from "openai";
+import { createOpenAIClient, isOpenAIAvailable } from "../services/openaiClient.js";
 import { HttpError } from "wasp/server";
 
 export const processVoiceMessage = async ({ audioBlob }, context) => {
@@ -6,13 +6,11 @@ export const processVoiceMessage = async ({ audioBlob }, context) => {
         throw new HttpError(401, "User not authenticated");
     }
 
-    if (!process.env.OPENAI_API_KEY) {
+    if (!isOpenAIAvailable()) {
         throw new HttpError(500, "OpenAI API key not configured");
     }
 
-    const openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-    });
+    const openai = createOpenAIClient();
 
     try {
         // Convert base64 to buffer
@@ -11,6 +11,7 @@ import {
     createItinerary,
     addToItinerary,
     processVoiceMessage,
+    searchFlights,
 } from "wasp/client/operations";
 import { CardList } from "../components/CardList";
 import { OrganizedCardList } from "../components/OrganizedCardList";
@@ -18,11 +19,19 @@ import { InfoModal } from "../components/InfoModal.jsx";
 import { BookingOptionsModal } from "../components/BookingOptionsModal.jsx";
 import { HotelBookingModal } from "../components/HotelBookingModal.jsx";
 import { ConfirmationModal } from "../components/ConfirmationModal.jsx";
+import {
+    ItineraryPicker,
+    NEW_ITINERARY,
+    getDefaultItinerarySelection,
+} from "../components/ItineraryPicker.jsx";
 import AppLayout from "../components/layout/AppLayout.jsx";
 import useInfoModal from "../hooks/useInfoModal.js";
 import { useVoiceRecorder } from "../hooks/useVoiceRecorder";
+import { useStreamingChat } from "../hooks/useStreamingChat.js";
 import { ChatNavigation } from "../components/ChatNavigation.jsx";
 import { FloatingCostSummary } from "../components/FloatingCostSummary.jsx";
+import { FareCalendar } from "../components/FareCalendar.jsx";
+import { StructuredSearchPanel } from "../components/StructuredSearchPanel.jsx";
 
 export function DashboardPage() {
     const { data: user, isLoading } = useAuth();
@@ -45,6 +54,15 @@ export function DashboardPage() {
     // Add to itinerary confirmation modal states
     const [showAddConfirm, setShowAddConfirm] = useState(false);
     const [itemToAdd, setItemToAdd] = useState(null);
+    const [itinerarySelection, setItinerarySelection] = useState(getDefaultItinerarySelection());
+    const [lastItineraryId, setLastItineraryId] = useState(null);
+    const [isAddingToItinerary, setIsAddingToItinerary] = useState(false);
+
+    // Fare calendar date pair whose flights are loading ({ messageId, outboundDate, returnDate })
+    const [loadingFareDates, setLoadingFareDates] = useState(null);
+
+    // Classic search form, for searching without chatting
+    const [isSearchFormOpen, setIsSearchFormOpen] = useState(false);
 
     // Voice recording hooks
     const { isRecording, startVoiceRecording, stopVoiceRecording } = useVoiceRecorder();
@@ -52,6 +70,8 @@ export function DashboardPage() {
 
     // Hooks for AI operations
     const processAIMessageFn = useAction(processAIMessage);
+    const { streamMessage, isStreaming, progress, streamedText, streamedCards } =
+        useStreamingChat();
     const { data: activeConversation, isLoading: conversationLoading } = useQuery(
         getActiveConversation,
         {},
@@ -60,6 +80,10 @@ export function DashboardPage() {
 
     // Hooks for itinerary operations
     const { data: itineraries } = useQuery(getItineraries, {}, { enabled: !!user });
+    // Trips shared with the user as a viewer cannot take new items
+    const editableItineraries = (itineraries || []).filter(
+        (itinerary) => itinerary.role !== "viewer",
+    );
     const createItineraryFn = useAction(createItinerary);
     const addToItineraryFn = useAction(addToItinerary);
 
@@ -76,6 +100,8 @@ export function DashboardPage() {
                 timestamp: new Date(msg.timestamp),
                 type: msg.messageType,
                 cards: msg.metadata?.cards || [],
+                fareCalendar: msg.metadata?.fareCalendar || null,
+                flightFilters: msg.metadata?.flightFilters || null,
             }));
 
             // Add welcome message if no messages exist
@@ -112,17 +138,41 @@ export function DashboardPage() {
         setInputValue("");
         setIsProcessing(true);
 
+        // Show the user's message right away while the reply streams in
+        const pendingUserMessage = {
+            id: `pending-${crypto.randomUUID()}`,
+            sender: "user",
+            text: messageText,
+            timestamp: new Date(),
+            type: "text",
+        };
+        setMessages((prev) => [...prev, pendingUserMessage]);
+
         try {
             // Detect user timezone
             const frontendTimezone = detectUserTimezone();
-
-            // Process message with AI Agent and save to database
-            const result = await processAIMessageFn({
+            const request = {
                 message: messageText,
                 frontendTimezone: frontendTimezone,
-            });
+                conversationId: activeConversation?.id,
+            };
 
-            // Add both user and AI messages to local state
+            // Stream the reply; fall back to the regular action if streaming is unavailable
+            let result;
+            try {
+                result = await streamMessage(request);
+            } catch (streamError) {
+                if (streamError.streamStarted) {
+                    throw streamError;
+                }
+                logger.warn(
+                    "Streaming unavailable, falling back to processAIMessage:",
+                    streamError,
+                );
+                result = await processAIMessageFn(request);
+            }
+
+            // Replace the pending user message with the saved one and add the AI reply
             const userMessage = {
                 id: result.userMessage.id,
                 sender: "user",
@@ -138,21 +188,18 @@ export function DashboardPage() {
                 timestamp: result.aiMessage.timestamp,
                 type: result.aiMessage.type,
                 cards: result.aiMessage.cards || [],
+                fareCalendar: result.aiMessage.fareCalendar || null,
+                flightFilters: result.aiMessage.flightFilters || null,
             };
 
-            setMessages((prev) => [...prev, userMessage, aiMessage]);
+            setMessages((prev) => [
+                ...prev.filter((msg) => msg.id !== pendingUserMessage.id),
+                userMessage,
+                aiMessage,
+            ]);
         } catch (error) {
             logger.error("Error processing message:", error);
 
-            // Add user message and error response
-            const userMessage = {
-                id: crypto.randomUUID(),
-                sender: "user",
-                text: messageText,
-                timestamp: new Date(),
-                type: "text",
-            };
-
             const errorMessage = {
                 id: crypto.randomUUID(),
                 sender: "ai",
@@ -161,7 +208,7 @@ export function DashboardPage() {
                 type: "error",
             };
 
-            setMessages((prev) => [...prev, userMessage, errorMessage]);
+            setMessages((prev) => [...prev, errorMessage]);
         } finally {
             setIsProcessing(false);
         }
@@ -176,36 +223,41 @@ export function DashboardPage() {
 
     const handleAddToItinerary = (cardData) => {
         setItemToAdd(cardData);
+        // Default to the trip the user last added to
+        setItinerarySelection(getDefaultItinerarySelection(editableItineraries, lastItineraryId));
         setShowAddConfirm(true);
     };
 
     const confirmAdd = async () => {
         if (itemToAdd) {
+            setIsAddingToItinerary(true);
             try {
-                // Get or create a default itinerary
-                let targetItinerary = itineraries?.find((it) => it.title === "My Travel Plans");
+                let targetItineraryId = itinerarySelection.itineraryId;
 
-                if (!targetItinerary) {
-                    // Create a default itinerary
-                    targetItinerary = await createItineraryFn({
-                        title: "My Travel Plans",
+                if (targetItineraryId === NEW_ITINERARY) {
+                    const newItinerary = await createItineraryFn({
+                        title: itinerarySelection.newTitle.trim(),
                         description: "Items saved from AI travel search",
                     });
+                    targetItineraryId = newItinerary.id;
                 }
 
-                // Add the card to the itinerary
+                // Add the card to the chosen itinerary
                 await addToItineraryFn({
-                    itineraryId: targetItinerary.id,
+                    itineraryId: targetItineraryId,
                     cardData: itemToAdd,
                 });
 
                 logger.info("Successfully added to itinerary:", itemToAdd.title);
 
+                setLastItineraryId(targetItineraryId);
                 setShowAddConfirm(false);
                 setItemToAdd(null);
             } catch (error) {
                 logger.error("Error adding to itinerary:", error);
                 alert("Failed to add item to itinerary. Please try again.");
+            } finally {
+                setIsAddingToItinerary(false);
             }
         }
     };
@@ -215,6 +267,44 @@ export function DashboardPage() {
         setItemToAdd(null);
     };
 
+    // Replace a message's flights with the full results for a fare calendar date pair
+    const handleSelectFareDates = async (message, { outboundDate, returnDate }) => {
+        setLoadingFareDates({ messageId: message.id, outboundDate, returnDate });
+        try {
+            const searchContext = {
+                ...message.fareCalendar.searchContext,
+                outboundDate,
+                returnDate,
+            };
+            const flights = await searchFlights(searchContext);
+            const flightCards = flights.map((card) =>
+                card.metadata?.bookingToken
+                    ? { ...card, metadata: { ...card.metadata, searchContext } }
+                    : card,
+            );
+
+            setMessages((prev) =>
+                prev.map((msg) =>
+                    msg.id === message.id
+                        ? {
+                              ...msg,
+                              cards: [
+                                  ...flightCards,
+                                  ...msg.cards.filter((card) => card.type !== "flight"),
+                              ],
+                              fareSelection: { outboundDate, returnDate },
+                          }
+                        : msg,
+                ),
+            );
+        } catch (error) {
+            logger.error("Error loading flights for selected dates:", error);
+            alert(error.message || "Failed to load flights for those dates");
+        } finally {
+            setLoadingFareDates(null);
+        }
+    };
+
     const handleBookFlight = (bookingToken, searchContext, flightInfo) => {
         setSelectedBookingToken(bookingToken);
         setSelectedSearchContext(searchContext);
@@ -234,7 +324,18 @@ export function DashboardPage() {
 
         // Different messages based on booking method
         let successText;
-        if (bookingResult.method === "real_browser_automation" && bookingResult.automationSuccess) {
+        if (bookingResult.method === "direct_booking") {
+            const { booking } = bookingResult;
+            successText = `✅ **Hotel booked!** ${booking.hotelName}, ${booking.checkInDate} → ${booking.checkOutDate}
+
+Confirmation number: ${booking.confirmationNumber || booking.providerBookingId}
+Total: ${booking.currency} ${booking.totalPrice}
+
+The booking has been saved to your itinerary.`;
+        } else if (
+            bookingResult.method === "real_browser_automation" &&
+            bookingResult.automationSuccess
+        ) {
             successText = `🤖✨ **REAL BROWSER AUTOMATION COMPLETED!**
 
 I've just controlled a live browser and automatically:
@@ -339,6 +440,26 @@ ${bookingResult.message || ""}`;
             <div className="chat-container">
                 {/* Messages Area */}
                 <div className="chat-messages" ref={messagesRef}>
+                    <div>
+                        <button
+                            onClick={() => setIsSearchFormOpen(!isSearchFormOpen)}
+                            aria-expanded={isSearchFormOpen}
+                            className="search-form-toggle"
+                        >
+                            🔎 {isSearchFormOpen ? "Hide search form" : "Search with a form"}
+                        </button>
+                        {isSearchFormOpen && (
+                            <StructuredSearchPanel
+                                onGoToWebsite={(url) =>
+                                    window.open(url, "_blank", "noopener,noreferrer")
+                                }
+                                onMoreInfo={openModal}
+                                onAddToItinerary={handleAddToItinerary}
+                                onBookFlight={handleBookFlight}
+                                onBookHotel={handleBookHotel}
+                            />
+                        )}
+                    </div>
                     {messages.map((message) => (
                         <div
                             key={message.id}
@@ -347,6 +468,23 @@ ${bookingResult.message || ""}`;
                             <div className={`message-bubble message-bubble--${message.sender}`}>
                                 {message.text}
                             </div>
+                            {/* Flexible-date price grid above the flights it searched */}
+                            {message.sender === "ai" && message.fareCalendar && (
+                                <div className="message-cards">
+                                    <FareCalendar
+                                        calendar={message.fareCalendar}
+                                        selected={message.fareSelection}
+                                        loadingDates={
+                                            loadingFareDates?.messageId === message.id
+                                                ? loadingFareDates
+                                                : null
+                                        }
+                                        onSelectDates={(dates) =>
+                                            handleSelectFareDates(message, dates)
+                                        }
+                                    />
+                                </div>
+                            )}
                             {/* Display cards if this is an AI message with cards */}
                             {message.sender === "ai" &&
                                 message.cards &&
@@ -354,6 +492,8 @@ ${bookingResult.message || ""}`;
                                     <div className="message-cards">
                                         <OrganizedCardList
                                             cards={message.cards}
+                                            showFlightFilters
+                                            initialFlightFilters={message.flightFilters}
                                             onGoToWebsite={(url) =>
                                                 window.open(url, "_blank", "noopener,noreferrer")
                                             }
@@ -369,11 +509,36 @@ ${bookingResult.message || ""}`;
 
                     {isProcessing && (
                         <div className="message-container message-container--ai">
-                            <div className="typing-indicator">
-                                <div className="typing-dot"></div>
-                                <div className="typing-dot"></div>
-                                <div className="typing-dot"></div>
-                            </div>
+                            {isStreaming && progress.length > 0 && !streamedText && (
+                                <div className="stream-progress">
+                                    {progress[progress.length - 1].message}…
+                                </div>
+                            )}
+                            {isStreaming && streamedText ? (
+                                <div className="message-bubble message-bubble--ai">
+                                    {streamedText}
+                                </div>
+                            ) : (
+                                <div className="typing-indicator">
+                                    <div className="typing-dot"></div>
+                                    <div className="typing-dot"></div>
+                                    <div className="typing-dot"></div>
+                                </div>
+                            )}
+                            {isStreaming && streamedCards.length > 0 && (
+                                <div className="message-cards">
+                                    <OrganizedCardList
+                                        cards={streamedCards}
+                                        onGoToWebsite={(url) =>
+                                            window.open(url, "_blank", "noopener,noreferrer")
+                                        }
+                                        onMoreInfo={openModal}
+                                        onAddToItinerary={handleAddToItinerary}
+                                        onBookFlight={handleBookFlight}
+                                        onBookHotel={handleBookHotel}
+                                    />
+                                </div>
+                            )}
                         </div>
                     )}
                 </div>
@@ -445,13 +610,24 @@ ${bookingResult.message || ""}`;
             <ConfirmationModal
                 isOpen={showAddConfirm}
                 title="Add to Itinerary"
-                message={`Are you sure you want to add "${itemToAdd?.title}" to your itinerary?`}
-                confirmText="Add"
+                message={`Which trip should "${itemToAdd?.title}" be added to?`}
+                confirmText={isAddingToItinerary ? "Adding..." : "Add"}
                 onConfirm={confirmAdd}
                 onCancel={cancelAdd}
                 confirmButtonColor="#28a745"
                 icon="➕"
-            />
+                confirmDisabled={
+                    isAddingToItinerary ||
+                    (itinerarySelection.itineraryId === NEW_ITINERARY &&
+                        !itinerarySelection.newTitle.trim())
+                }
+            >
+                <ItineraryPicker
+                    itineraries={editableItineraries}
+                    selection={itinerarySelection}
+                    onChange={setItinerarySelection}
+                />
+            </ConfirmationModal>
 
             {/* Floating Cost Summary */}
             <FloatingCostSummary cards={currentCards} />
@@ -0,0 +1,45 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { acceptItineraryInvite } from "wasp/client/operations";
+import { Link } from "wasp/client/router";
+import AppLayout from "../components/layout/AppLayout.jsx";
+import logger from "../utils/logger.js";
+
+/**
+ * Landing page for itinerary invitation links: accepts the invite and opens My Itinerary
+ */
+export function ItineraryInvitePage() {
+    const { token } = useParams();
+    const navigate = useNavigate();
+    const [error, setError] = useState(null);
+
+    // Invite tokens are single-use, so accept only once even if the effect re-runs
+    const hasAccepted = useRef(false);
+
+    useEffect(() => {
+        if (hasAccepted.current) return;
+        hasAccepted.current = true;
+
+        acceptItineraryInvite({ token })
+            .then(() => navigate("/my-itinerary"))
+            .catch((acceptError) => {
+                logger.error("Error accepting itinerary invite:", acceptError);
+                setError(acceptError.message || "Failed to accept invitation");
+            });
+    }, [token, navigate]);
+
+    return (
+        <AppLayout>
+            <div style={{ padding: "2rem", textAlign: "center" }}>
+                {error ? (
+                    <>
+                        <div style={{ marginBottom: "1rem" }}>{error}</div>
+                        <Link to="/my-itinerary">Go to My Itinerary</Link>
+                    </>
+                ) : (
+                    <div>Joining trip...</div>
+                )}
+            </div>
+        </AppLayout>
+    );
+}
@@ -1,6 +1,6 @@
 import React, { useState } from "react";
 import { useQuery, useAction } from "wasp/client/operations";
-import { getItineraries, removeFromItinerary } from "wasp/client/operations";
+import { getItineraries, createItinerary, removeFromItinerary } from "wasp/client/operations";
 import { useAuth } from "wasp/client/auth";
 import { Link } from "wasp/client/router";
 import { OrganizedCardList } from "../components/OrganizedCardList.jsx";
@@ -12,17 +12,43 @@ import AppLayout from "../components/layout/AppLayout.jsx";
 import useInfoModal from "../hooks/useInfoModal.js";
 import logger from "../utils/logger.js";
 import { FloatingCostSummary } from "../components/FloatingCostSummary.jsx";
+import { calculateCostBreakdown, formatCurrency } from "../utils/costBreakdown.js";
+import { formatEmissions } from "../utils/emissions.js";
+import { calculateBudgetStatus } from "../utils/budget.js";
+import { convertCards, getConversionRateDate } from "../utils/currency.js";
+import useCurrency from "../hooks/useCurrency.js";
+import { CurrencySelector } from "../components/CurrencySelector.jsx";
+import { BudgetSummary } from "../components/BudgetSummary.jsx";
+import { BookingJobHistory } from "../components/BookingJobHistory.jsx";
+import { ItineraryEditor } from "../components/ItineraryEditor.jsx";
+import { ItineraryTimeline } from "../components/ItineraryTimeline.jsx";
+import { ItineraryCalendarExport } from "../components/ItineraryCalendarExport.jsx";
+import { ItineraryDocumentExport } from "../components/ItineraryDocumentExport.jsx";
+import { ItineraryShareToggle } from "../components/ItineraryShareToggle.jsx";
+import { ItineraryDuplicate } from "../components/ItineraryDuplicate.jsx";
+import { StaleItineraryItems } from "../components/StaleItineraryItems.jsx";
+import { ItineraryHistory } from "../components/ItineraryHistory.jsx";
+import { ItineraryMembers } from "../components/ItineraryMembers.jsx";
+import { ItineraryPicker, NEW_ITINERARY } from "../components/ItineraryPicker.jsx";
 
 export function MyItineraryPage() {
     const { data: user } = useAuth();
     const { data: itineraries, isLoading, error } = useQuery(getItineraries);
     const removeFromItineraryFn = useAction(removeFromItinerary);
+    const createItineraryFn = useAction(createItinerary);
 
     // Hook for modal management
     const { openModal, modalProps } = useInfoModal();
+    const { currency, exchangeRates, setCurrency } = useCurrency();
 
     const [showRemoveConfirm, setShowRemoveConfirm] = useState(false);
     const [itemToRemove, setItemToRemove] = useState(null);
+    const [viewMode, setViewMode] = useState("days"); // 'days', 'timeline', 'categories'
+
+    // Trip selection - one itinerary is shown at a time
+    const [selectedItineraryId, setSelectedItineraryId] = useState(null);
+    const [newTripTitle, setNewTripTitle] = useState(null); // non-null while naming a new trip
+    const [isCreatingTrip, setIsCreatingTrip] = useState(false);
 
     // Booking modal states
     const [isBookingModalOpen, setIsBookingModalOpen] = useState(false);
@@ -34,27 +60,63 @@ export function MyItineraryPage() {
     const [isHotelBookingModalOpen, setIsHotelBookingModalOpen] = useState(false);
     const [selectedHotel, setSelectedHotel] = useState(null);
     const [selectedHotelOffer, setSelectedHotelOffer] = useState(null);
-    // Convert itinerary items to card format
-    const allCards =
-        itineraries?.flatMap(
-            (itinerary) =>
-                itinerary.items
-                    ?.map((item) => {
-                        try {
-                            const cardData = JSON.parse(item.cardData);
-                            return {
-                                ...cardData,
-                                itineraryItemId: item.id,
-                                itineraryId: itinerary.id,
-                                itineraryTitle: itinerary.title,
-                            };
-                        } catch (e) {
-                            logger.error("Error parsing card data:", e);
-                            return null;
-                        }
-                    })
-                    .filter(Boolean) || [],
-        ) || [];
+    const selectedItinerary =
+        itineraries?.find((itinerary) => itinerary.id === selectedItineraryId) ||
+        itineraries?.[0] ||
+        null;
+    const isOwner = selectedItinerary?.isOwner === true;
+    const canEdit = isOwner || selectedItinerary?.role === "editor";
+    // Viewers of a shared trip get the timeline instead of the day editor
+    const activeViewMode = !canEdit && viewMode === "days" ? "timeline" : viewMode;
+
+    // Convert the selected trip's items to card format, with prices in the display currency
+    const parsedTripCards =
+        selectedItinerary?.items
+            ?.map((item) => {
+                try {
+                    const cardData = JSON.parse(item.cardData);
+                    return {
+                        ...cardData,
+                        itineraryItemId: item.id,
+                        itineraryId: selectedItinerary.id,
+                        itineraryTitle: selectedItinerary.title,
+                    };
+                } catch (e) {
+                    logger.error("Error parsing card data:", e);
+                    return null;
+                }
+            })
+            .filter(Boolean) || [];
+    const tripCards = convertCards(parsedTripCards, currency, exchangeRates);
+
+    const tripCost = calculateCostBreakdown(tripCards);
+    const rateDate = getConversionRateDate(tripCards);
+    const budgetStatus = selectedItinerary
+        ? calculateBudgetStatus(selectedItinerary, { exchangeRates })
+        : null;
+
+    const handleTripSelectionChange = ({ itineraryId, newTitle }) => {
+        if (itineraryId === NEW_ITINERARY) {
+            setNewTripTitle(newTitle);
+        } else {
+            setSelectedItineraryId(itineraryId);
+            setNewTripTitle(null);
+        }
+    };
+
+    const handleCreateTrip = async () => {
+        setIsCreatingTrip(true);
+        try {
+            const itinerary = await createItineraryFn({ title: newTripTitle.trim() });
+            setSelectedItineraryId(itinerary.id);
+            setNewTripTitle(null);
+        } catch (error) {
+            logger.error("Error creating trip:", error);
+            alert("Failed to create trip");
+        } finally {
+            setIsCreatingTrip(false);
+        }
+    };
 
     const handleGoToWebsite = (url) => {
         if (url) {
@@ -65,6 +127,10 @@ export function MyItineraryPage() {
     const handleMoreInfo = openModal;
 
     const handleRemoveFromItinerary = (cardData) => {
+        if (!canEdit) {
+            alert("You have view-only access to this trip");
+            return;
+        }
         setItemToRemove(cardData);
         setShowRemoveConfirm(true);
     };
@@ -163,8 +229,82 @@ export function MyItineraryPage() {
                             margin: 0,
                         }}
                     >
-                        {allCards.length} saved items
+                        {tripCards.length} saved items
                     </p>
+                    <div style={{ marginTop: "1rem" }}>
+                        <ItineraryPicker
+                            itineraries={itineraries || []}
+                            selection={{
+                                itineraryId:
+                                    newTripTitle !== null || !selectedItinerary
+                                        ? NEW_ITINERARY
+                                        : selectedItinerary.id,
+                                newTitle: newTripTitle || "",
+                            }}
+                            onChange={handleTripSelectionChange}
+                            onCreate={handleCreateTrip}
+                            isCreating={isCreatingTrip}
+                        />
+                    </div>
+                    {selectedItinerary && newTripTitle === null && (
+                        <div style={{ marginTop: "0.75rem" }}>
+                            <ItineraryMembers
+                                key={selectedItinerary.id}
+                                itinerary={selectedItinerary}
+                                currentUserEmail={user.email}
+                            />
+                        </div>
+                    )}
+                    {tripCards.length > 0 && (
+                        <div style={{ display: "flex", gap: "0.5rem", marginTop: "1rem" }}>
+                            {[
+                                { mode: "days", label: "📅 Day by day" },
+                                { mode: "timeline", label: "⏱️ Timeline" },
+                                { mode: "categories", label: "🗂️ By category" },
+                            ]
+                                .filter(({ mode }) => canEdit || mode !== "days")
+                                .map(({ mode, label }) => (
+                                    <button
+                                        key={mode}
+                                        onClick={() => setViewMode(mode)}
+                                        style={{
+                                            padding: "0.5rem 1rem",
+                                            borderRadius: "6px",
+                                            border: "1px solid #007bff",
+                                            backgroundColor:
+                                                activeViewMode === mode ? "#007bff" : "white",
+                                            color: activeViewMode === mode ? "white" : "#007bff",
+                                            cursor: "pointer",
+                                            fontWeight: "500",
+                                        }}
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                        </div>
+                    )}
+                    {tripCards.length > 0 && (
+                        <div
+                            style={{
+                                marginTop: "0.75rem",
+                                display: "flex",
+                                gap: "0.5rem",
+                                flexWrap: "wrap",
+                                alignItems: "flex-start",
+                            }}
+                        >
+                            <ItineraryDocumentExport itinerary={selectedItinerary} />
+                            <ItineraryCalendarExport
+                                itinerary={selectedItinerary}
+                                canManageFeed={isOwner}
+                            />
+                            {isOwner && <ItineraryShareToggle itinerary={selectedItinerary} />}
+                            <ItineraryDuplicate
+                                itinerary={selectedItinerary}
+                                onDuplicated={(copy) => setSelectedItineraryId(copy.id)}
+                            />
+                        </div>
+                    )}
                 </div>
 
                 <div
@@ -175,7 +315,7 @@ export function MyItineraryPage() {
                         padding: "0 2rem 2rem 2rem",
                     }}
                 >
-                    {allCards.length === 0 ? (
+                    {tripCards.length === 0 ? (
                         <div
                             style={{
                                 textAlign: "center",
@@ -197,7 +337,9 @@ export function MyItineraryPage() {
                                     marginBottom: "1rem",
                                 }}
                             >
-                                Your itinerary is empty
+                                {selectedItinerary
+                                    ? `${selectedItinerary.title} is empty`
+                                    : "Your itinerary is empty"}
                             </h2>
                             <p
                                 style={{
@@ -227,16 +369,32 @@ export function MyItineraryPage() {
                         </div>
                     ) : (
                         <>
-                            <OrganizedCardList
-                                cards={allCards}
-                                onGoToWebsite={handleGoToWebsite}
-                                onMoreInfo={handleMoreInfo}
-                                onAddToItinerary={handleRemoveFromItinerary}
-                                onBookFlight={handleBookFlight}
-                                onBookHotel={handleBookHotel}
-                                addToItineraryText="Remove from Itinerary"
-                                addToItineraryIcon="Remove"
-                            />
+                            {canEdit && <StaleItineraryItems itinerary={selectedItinerary} />}
+                            {activeViewMode === "days" && (
+                                <ItineraryEditor
+                                    key={selectedItinerary.id}
+                                    itinerary={selectedItinerary}
+                                    onMoreInfo={handleMoreInfo}
+                                />
+                            )}
+                            {activeViewMode === "timeline" && (
+                                <ItineraryTimeline
+                                    itinerary={selectedItinerary}
+                                    onMoreInfo={handleMoreInfo}
+                                />
+                            )}
+                            {activeViewMode === "categories" && (
+                                <OrganizedCardList
+                                    cards={tripCards}
+                                    onGoToWebsite={handleGoToWebsite}
+                                    onMoreInfo={handleMoreInfo}
+                                    onAddToItinerary={handleRemoveFromItinerary}
+                                    onBookFlight={handleBookFlight}
+                                    onBookHotel={handleBookHotel}
+                                    addToItineraryText="Remove from Itinerary"
+                                    addToItineraryIcon="Remove"
+                                />
+                            )}
 
                             {/* Total Cost Summary */}
                             <div
@@ -265,147 +423,51 @@ export function MyItineraryPage() {
                                     }}
                                 >
                                     Total estimated cost:{" "}
-                                    {(() => {
-                                        // Use same logic as FloatingCostSummary for consistency
-                                        const categories = {
-                                            outboundFlights: [],
-                                            returnFlights: [],
-                                            hotels: [],
-                                            activities: [],
-                                            rentalCars: [],
-                                        };
-
-                                        allCards.forEach((card) => {
-                                            if (card.price?.amount) {
-                                                const amount = parseFloat(card.price.amount);
-                                                if (amount > 0) {
-                                                    if (card.type === "flight") {
-                                                        const title = card.title || "";
-                                                        const isReturn =
-                                                            title.includes("→") &&
-                                                            (title.includes("SFO → ORD") ||
-                                                                title.includes("LAX → ORD") ||
-                                                                title.includes("LIS → CDG") ||
-                                                                title.includes("LIS → ORD") ||
-                                                                title.match(
-                                                                    /[A-Z]{3}\s*→\s*(ORD|JFK|LAX|CDG|LHR|BOS|SEA|DEN|ATL|MIA)/,
-                                                                ));
-
-                                                        if (isReturn) {
-                                                            categories.returnFlights.push({
-                                                                ...card,
-                                                                amount,
-                                                            });
-                                                        } else {
-                                                            categories.outboundFlights.push({
-                                                                ...card,
-                                                                amount,
-                                                            });
-                                                        }
-                                                    } else if (
-                                                        card.type === "hotel" ||
-                                                        card.additionalInfo?.hotelId ||
-                                                        card.details?.hotelId ||
-                                                        (card.title &&
-                                                            (card.title
-                                                                .toLowerCase()
-                                                                .includes("hotel") ||
-                                                                card.title
-                                                                    .toLowerCase()
-                                                                    .includes("resort")))
-                                                    ) {
-                                                        categories.hotels.push({ ...card, amount });
-                                                    } else if (
-                                                        card.type === "activity" ||
-                                                        (card.title &&
-                                                            (card.title
-                                                                .toLowerCase()
-                                                                .includes("activity") ||
-                                                                card.title
-                                                                    .toLowerCase()
-                                                                    .includes("tour") ||
-                                                                card.title
-                                                                    .toLowerCase()
-                                                                    .includes("attraction")))
-                                                    ) {
-                                                        categories.activities.push({
-                                                            ...card,
-                                                            amount,
-                                                        });
-                                                    } else if (
-                                                        card.type === "rental_car" ||
-                                                        (card.title &&
-                                                            (card.title
-                                                                .toLowerCase()
-                                                                .includes("car rental") ||
-                                                                card.title
-                                                                    .toLowerCase()
-                                                                    .includes("vehicle")))
-                                                    ) {
-                                                        categories.rentalCars.push({
-                                                            ...card,
-                                                            amount,
-                                                        });
-                                                    }
-                                                }
-                                            }
-                                        });
-
-                                        let total = 0;
-
-                                        // Get cheapest outbound flight
-                                        if (categories.outboundFlights.length > 0) {
-                                            const cheapest = categories.outboundFlights.reduce(
-                                                (min, flight) =>
-                                                    flight.amount < min.amount ? flight : min,
-                                            );
-                                            total += cheapest.amount;
-                                        }
-
-                                        // Get cheapest return flight
-                                        if (categories.returnFlights.length > 0) {
-                                            const cheapest = categories.returnFlights.reduce(
-                                                (min, flight) =>
-                                                    flight.amount < min.amount ? flight : min,
-                                            );
-                                            total += cheapest.amount;
-                                        }
-
-                                        // Get cheapest hotel
-                                        if (categories.hotels.length > 0) {
-                                            const cheapest = categories.hotels.reduce(
-                                                (min, hotel) =>
-                                                    hotel.amount < min.amount ? hotel : min,
-                                            );
-                                            total += cheapest.amount;
-                                        }
-
-                                        // Get cheapest activity
-                                        if (categories.activities.length > 0) {
-                                            const cheapest = categories.activities.reduce(
-                                                (min, activity) =>
-                                                    activity.amount < min.amount ? activity : min,
-                                            );
-                                            total += cheapest.amount;
-                                        }
-
-                                        // Get cheapest car rental
-                                        if (categories.rentalCars.length > 0) {
-                                            const cheapest = categories.rentalCars.reduce(
-                                                (min, car) => (car.amount < min.amount ? car : min),
-                                            );
-                                            total += cheapest.amount;
-                                        }
-
-                                        return total;
-                                    })().toLocaleString("en-US", {
-                                        style: "currency",
-                                        currency: allCards[0]?.price?.currency || "USD",
-                                    })}
+                                    {formatCurrency(tripCost.total, tripCost.currency)}
+                                    {rateDate && (
+                                        <span style={{ fontSize: "0.8rem", color: "#527b84" }}>
+                                            {" "}
+                                            (exchange rates from {rateDate})
+                                        </span>
+                                    )}
                                 </p>
+                                {tripCost.emissions.flightCount > 0 && (
+                                    <p
+                                        style={{
+                                            color: "#0c5460",
+                                            margin: "0.25rem 0 0",
+                                            fontSize: "0.9rem",
+                                        }}
+                                    >
+                                        🌱 Flight emissions:{" "}
+                                        {formatEmissions(tripCost.emissions.kg)}
+                                        {tripCost.emissions.missingCount > 0 && (
+                                            <span style={{ fontSize: "0.8rem", color: "#527b84" }}>
+                                                {" "}
+                                                ({tripCost.emissions.missingCount} flight
+                                                {tripCost.emissions.missingCount > 1
+                                                    ? "s"
+                                                    : ""}{" "}
+                                                without an estimate)
+                                            </span>
+                                        )}
+                                    </p>
+                                )}
+                                <div style={{ marginTop: "0.5rem" }}>
+                                    <CurrencySelector currency={currency} onChange={setCurrency} />
+                                </div>
+                                {budgetStatus && <BudgetSummary budgetStatus={budgetStatus} />}
                             </div>
                         </>
                     )}
+
+                    {selectedItinerary && (
+                        <ItineraryHistory
+                            key={selectedItinerary.id}
+                            itinerary={selectedItinerary}
+                        />
+                    )}
+                    <BookingJobHistory />
                 </div>
 
                 {/* Info Modal */}
@@ -432,7 +494,7 @@ export function MyItineraryPage() {
                 <ConfirmationModal
                     isOpen={showRemoveConfirm}
                     title="Remove Item"
-                    message={`Are you sure you want to remove "${itemToRemove?.title}" from your itinerary?`}
+                    message={`Are you sure you want to remove "${itemToRemove?.title}" from your itinerary? You can undo this from the change history.`}
                     confirmText="Remove"
                     onConfirm={confirmRemove}
                     onCancel={cancelRemove}
@@ -463,7 +525,7 @@ export function MyItineraryPage() {
                 />
 
                 {/* Floating Cost Summary */}
-                <FloatingCostSummary cards={allCards} />
+                <FloatingCostSummary cards={tripCards} budgetStatus={budgetStatus} />
             </div>
         </AppLayout>
     );
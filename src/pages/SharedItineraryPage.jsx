@@ -0,0 +1,73 @@
+import React from "react";
+import { useParams } from "react-router-dom";
+import { useQuery, getSharedItinerary } from "wasp/client/operations";
+import { Link } from "wasp/client/router";
+import { ItineraryTimeline } from "../components/ItineraryTimeline.jsx";
+
+const formatDate = (value) =>
+    new Date(value).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+        timeZone: "UTC",
+    });
+
+/**
+ * Public, read-only view of an itinerary shared through its /trip/:token link
+ */
+export function SharedItineraryPage() {
+    const { token } = useParams();
+    const { data: itinerary, isLoading, error } = useQuery(getSharedItinerary, { token });
+
+    if (isLoading) {
+        return (
+            <div style={{ padding: "2rem", textAlign: "center" }}>
+                <div>Loading trip...</div>
+            </div>
+        );
+    }
+
+    if (error || !itinerary) {
+        return (
+            <div style={{ padding: "2rem", textAlign: "center" }}>
+                <div>This trip link is invalid or is no longer shared.</div>
+                <Link to="/">Plan your own trip</Link>
+            </div>
+        );
+    }
+
+    return (
+        <div style={{ maxWidth: "900px", margin: "0 auto", padding: "2rem" }}>
+            <h1
+                style={{
+                    fontSize: "2rem",
+                    fontWeight: "bold",
+                    color: "#2c3e50",
+                    marginBottom: "0.5rem",
+                }}
+            >
+                {itinerary.title}
+            </h1>
+            <p style={{ color: "#666", fontSize: "1rem", margin: "0 0 0.5rem 0" }}>
+                {[
+                    itinerary.destination,
+                    itinerary.startDate &&
+                        itinerary.endDate &&
+                        `${formatDate(itinerary.startDate)} – ${formatDate(itinerary.endDate)}`,
+                    `${itinerary.items.length} saved items`,
+                ]
+                    .filter(Boolean)
+                    .join(" · ")}
+            </p>
+            {itinerary.description && (
+                <p style={{ color: "#495057", margin: "0 0 1.5rem 0" }}>{itinerary.description}</p>
+            )}
+
+            <ItineraryTimeline itinerary={itinerary} />
+
+            <p style={{ color: "#6c757d", fontSize: "0.875rem", textAlign: "center" }}>
+                Shared read-only · <Link to="/">Plan your own trip</Link>
+            </p>
+        </div>
+    );
+}
@@ -1,4 +1,4 @@
-import OpenAI from "openai";
+import { createOpenAIClient } from "./openaiClient.js";
 import ParameterMappingService from "./parameterMapping.js";
 import ValidationService from "./validation.js";
 import { travelAPI } from "../api/index.js";
@@ -6,13 +6,23 @@ import { TimeContextManager } from "./timeContextManager.js";
 import { SystemMessageBuilder } from "../utils/systemMessageBuilder.js";
 import { extractDestinationCityCode, formatCityName } from "../utils/airportMapping.js";
 import { getActivities } from "../operations/activities.js";
+import { accessibleItinerariesWhere } from "../operations/itineraryAccess.js";
+import { calculateBudgetStatus, evaluateCardAgainstBudget } from "../utils/budget.js";
+import { formatCurrency } from "../utils/costBreakdown.js";
+import { withConvertedPrice } from "../utils/currency.js";
+import { getExchangeRates } from "./exchangeRates.js";
+import {
+    DEFAULT_INTENT,
+    getIntent,
+    getRegisteredIntents,
+    isRegisteredIntent,
+    registerIntent,
+} from "./intents/index.js";
 import logger from "../utils/logger.js";
 
 export class AIAgent {
     constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-        });
+        this.openai = createOpenAIClient();
 
         this.model = process.env.OPENAI_MODEL || "gpt-4.1-mini";
         this.temperature = 0.7;
@@ -27,53 +37,14 @@ export class AIAgent {
         // Initialize system message builder
         this.systemMessageBuilder = new SystemMessageBuilder(this.systemPrompt);
 
-        // Define supported intents - easy to maintain and extend
-        this.supportedIntents = {
-            flight_search: {
-                description: "User wants to search for flights between cities",
-                requiredParams: ["departure", "destination", "outboundDate"],
-                examples: ["Find flights from NYC to Paris", "Book a flight to Tokyo"],
-            },
-            place_search: {
-                description:
-                    "User wants to find places like restaurants, activities, attractions, things to do (NOT hotels)",
-                requiredParams: ["destination"],
-                examples: [
-                    "Things to do in Rome",
-                    "What can I do in Portugal",
-                    "Activities in Paris",
-                    "Attractions in Barcelona",
-                    "Show me restaurants in Tokyo",
-                ],
-            },
-            hotel_search: {
-                description: "User specifically wants to search for hotels in a destination",
-                requiredParams: ["destination"],
-                examples: [
-                    "Show me hotels in Paris",
-                    "Find hotels in Tokyo",
-                    "Book a hotel in London",
-                ],
-            },
-            trip_planning: {
-                description:
-                    "User wants to plan a complex multi-destination trip with 3+ destinations or multiple transportation modes (NOT simple round-trip flights)",
-                requiredParams: ["destinations"],
-                examples: [
-                    "I want to go to LAX then drive to Yosemite and fly back from SFO",
-                    "Plan a trip from NYC to Boston then rental car to Cape Cod",
-                    "Multi-city trip with flights and car rental",
-                ],
-            },
-            general_question: {
-                description: "General travel questions or conversations",
-                requiredParams: [],
-                examples: [
-                    "What's the best time to visit Japan?",
-                    "Tell me about travel insurance",
-                ],
-            },
-        };
+        // Streaming callbacks for the message currently being processed (see processUserMessage)
+        this.callbacks = {};
+
+        // Display currency and rates for converting card prices (see loadCurrencyContext)
+        this.currencyContext = null;
+
+        // Budget of the user's current trip, used to flag suggestions that would exceed it
+        this.budgetContext = null;
 
         // System prompt for travel planning assistant
         this.systemPrompt = `
@@ -89,14 +60,26 @@ export class AIAgent {
     }
 
     generateIntentPrompt() {
-        const intentDescriptions = Object.entries(this.supportedIntents)
-            .map(([intent, config]) => `- ${intent}: ${config.description}`)
+        const intents = getRegisteredIntents();
+
+        const intentDescriptions = intents
+            .map((intent) => `- ${intent.name}: ${intent.description}`)
             .join("\n");
 
-        const intentExamples = Object.entries(this.supportedIntents)
-            .map(([intent, config]) => `${intent} examples: ${config.examples.join(", ")}`)
+        const intentExamples = intents
+            .map((intent) => `${intent.name} examples: ${intent.examples.join(", ")}`)
             .join("\n");
 
+        const intentParameters = intents
+            .flatMap((intent) => intent.parameters)
+            .map((parameter) => `- ${parameter}`)
+            .join("\n            ");
+
+        const intentGuidance = intents
+            .filter((intent) => intent.promptGuidance)
+            .map((intent) => intent.promptGuidance)
+            .join("\n\n            ");
+
         return `Extract travel parameters from the user's message. Return ONLY a valid JSON object (no markdown formatting) with these fields:
 
             INTENT (choose one):
@@ -118,20 +101,17 @@ export class AIAgent {
             - checkInDate: check-in date in YYYY-MM-DD format (for hotel searches)
             - checkOutDate: check-out date in YYYY-MM-DD format (for hotel searches)
             - destinations: array of destinations for trip planning (e.g., ["LAX", "Yosemite", "SFO"])
-            - flightSegments: array of flight segments for multi-segment trips (e.g., [{"from": "LAX", "to": "ORD", "date": "2025-08-15"}, {"from": "MSN", "to": "LAX", "date": "2025-08-19"}])
+            - flightSegments: array of flight segments for multi-city or open-jaw trips, searched as one multi-city ticket (e.g., [{"from": "LAX", "to": "ORD", "date": "2025-08-15"}, {"from": "MSN", "to": "LAX", "date": "2025-08-19"}])
             - transportation: transportation preferences (flights, rental car, etc.)
             - activities: specific activities or interests mentioned (e.g., "clubbing", "nightlife", "museums", "hiking", "food tours", "Indian restaurants", "Italian food")
             - tripType: type of trip (multi-city, road trip, etc.)
             - iataConversionNotes: optional field to track IATA conversions (e.g., "Selected JFK for New York - multiple airports available")
+            ${intentParameters}
 
             EXAMPLES:
             ${intentExamples}
 
-            PLACE SEARCH EXAMPLES:
-            - "Indian restaurants in Munich" → intent: "place_search", destination: "Munich", query: "Indian restaurants", activities: ["Indian restaurants"]
-            - "Italian food in Rome" → intent: "place_search", destination: "Rome", query: "Italian food", activities: ["Italian restaurants"]
-            - "museums in Paris" → intent: "place_search", destination: "Paris", query: "museums", activities: ["museums"]
-            - "things to do in Tokyo" → intent: "place_search", destination: "Tokyo", query: "things to do", activities: ["sightseeing", "attractions"]
+            ${intentGuidance}
 
             DATE EXAMPLES:
             - "I want to travel from ORD to BOM and go clubbing from august 17th to august 21st" → outboundDate: "2025-08-17", returnDate: "2025-08-21", activities: ["clubbing"]
@@ -139,7 +119,7 @@ export class AIAgent {
             - "from march 10 to march 15" → outboundDate: "2025-03-10", returnDate: "2025-03-15"
 
             Only include fields that are clearly mentioned or can be reasonably inferred.
-            If the intent is unclear, default to "general_question".
+            If the intent is unclear, default to "${DEFAULT_INTENT}".
 
             When converting city names to IATA codes:
             - Always use the primary international airport for cities with multiple airports
@@ -151,15 +131,64 @@ export class AIAgent {
         `;
     }
 
+    /**
+     * Report a processing step to a streaming client, if one is listening
+     * @param {string} stage - Machine-readable stage name (e.g. "searching_flights")
+     * @param {string} message - Human-readable progress text
+     * @param {Object} data - Optional extra data such as result counts
+     */
+    emitProgress(stage, message, data = {}) {
+        this.callbacks.onProgress?.({ stage, message, ...data });
+    }
+
+    /**
+     * Hand result cards to a streaming client before the reply text is generated
+     * @param {Array} cards - Standardized cards found so far
+     */
+    emitCards(cards) {
+        if (cards && cards.length > 0) {
+            this.annotateCards(cards);
+            this.callbacks.onCards?.(cards);
+        }
+    }
+
+    /**
+     * Create the chat completion that produces the user-facing reply. When a streaming client
+     * is listening, tokens are forwarded as they arrive; the return shape is the same either way.
+     * @param {Object} params - OpenAI chat completion parameters
+     * @returns {Promise<Object>} Completion with choices[0].message.content
+     */
+    async createResponseCompletion(params) {
+        if (!this.callbacks.onToken) {
+            return this.openai.chat.completions.create(params);
+        }
+
+        const stream = await this.openai.chat.completions.create({ ...params, stream: true });
+        let content = "";
+        for await (const chunk of stream) {
+            const delta = chunk.choices[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                this.callbacks.onToken(delta);
+            }
+        }
+
+        return { choices: [{ message: { content } }] };
+    }
+
     async processUserMessage(
         message,
         conversationContext = {},
         userId,
         dbContext,
         frontendTimezone = null,
+        callbacks = {},
     ) {
+        this.callbacks = callbacks;
+
         try {
             logger.info(`Processing message for user ${userId}:`, message);
+            this.emitProgress("understanding", "Understanding your request");
 
             // Initialize time context manager for this conversation
             const timeContextManager = new TimeContextManager(conversationContext.conversationId);
@@ -182,6 +211,9 @@ export class AIAgent {
                 dbContext,
             );
 
+            this.currencyContext = await this.loadCurrencyContext(dbContext);
+            this.budgetContext = await this.loadBudgetContext(userId, dbContext);
+
             // Extract travel parameters from the message
             const parameters = await this.extractTravelParameters(
                 message,
@@ -193,16 +225,23 @@ export class AIAgent {
             // Validate the extracted intent
             if (!this.isValidIntent(parameters.intent)) {
                 logger.warn(
-                    `Invalid intent detected: ${parameters.intent}, defaulting to general_question`,
+                    `Invalid intent detected: ${parameters.intent}, defaulting to ${DEFAULT_INTENT}`,
                 );
-                parameters.intent = "general_question";
+                parameters.intent = DEFAULT_INTENT;
             }
 
             // Store original message in conversation context for handlers
             conversationContext.originalMessage = message;
+            this.emitProgress(
+                "intent_detected",
+                `Detected ${parameters.intent.replaceAll("_", " ")}`,
+                {
+                    intent: parameters.intent,
+                },
+            );
 
             // Route to appropriate intent handler
-            return await this.routeToIntentHandler(
+            const result = await this.routeToIntentHandler(
                 parameters.intent,
                 parameters,
                 message,
@@ -210,6 +249,7 @@ export class AIAgent {
                 conversationHistory,
                 timeContext,
             );
+            return this.applyBudgetToResult(result);
         } catch (error) {
             logger.error("AI Agent error:", error);
             return {
@@ -260,7 +300,7 @@ export class AIAgent {
 
             // Ensure we have a valid intent
             if (!parameters.intent || !this.isValidIntent(parameters.intent)) {
-                parameters.intent = "general_question";
+                parameters.intent = DEFAULT_INTENT;
             }
 
             return parameters;
@@ -273,6 +313,15 @@ export class AIAgent {
 
     async fallbackParameterExtraction(message) {
         try {
+            const intents = getRegisteredIntents();
+            const intentList = intents
+                .map((intent) => `- ${intent.name}: ${intent.description}`)
+                .join("\n                            ");
+            const intentExamples = intents
+                .flatMap((intent) =>
+                    intent.examples.map((example) => `- "${example}" → ${intent.name}`),
+                )
+                .join("\n                            ");
             // Simplified AI-based fallback - just get the intent
             const completion = await this.openai.chat.completions.create({
                 model: this.model,
@@ -280,32 +329,10 @@ export class AIAgent {
                     {
                         role: "system",
                         content: `Classify this travel-related message into one of these intents:
-                            - flight_search: looking for flights between cities (e.g. "flights from A to B", "fly from X to Y")
-                            - hotel_search: specifically looking for hotels or accommodation ONLY
-                            - place_search: looking for activities, attractions, things to do, restaurants, or other places to visit. Also use for questions like "what can I do", "things to do", "activities", "attractions" (NOT hotels)
-                            - trip_planning: complex multi-destination trips with multiple transport modes (e.g. "fly to LAX, drive to Yosemite, fly back from SFO")
-                            - general_question: general travel questions
-
-                            IMPORTANT: 
-                            - Use "flight_search" for simple flight requests between two cities with simple returns.
-                            - Use "place_search" for any query about activities, attractions, or "what to do" - even if dates are mentioned
-                            - Use "hotel_search" ONLY when specifically asking for hotels/accommodation
-                            - Use "trip_planning" for complex itineraries with 3+ destinations, multiple transportation modes, OR multi-segment flights where return is from different city than outbound destination.
+                            ${intentList}
 
                             Examples:
-                            - "flights from bom to lax on august 15th and back on august 17th" → flight_search
-                            - "fly from NYC to LA" → flight_search
-                            - "what can I do in Portugal from august 17th to august 21st" → place_search
-                            - "things to do in Paris" → place_search
-                            - "activities in Tokyo" → place_search
-                            - "attractions in Rome" → place_search
-                            - "I want to travel from ORD to BOM and go clubbing from august 17th to august 21st" → flight_search (includes flights + specific activity interest)
-                            - "show me hotels in Paris" → hotel_search
-                            - "find accommodation in London" → hotel_search
-                            - "I want to fly to LAX, drive to Yosemite, then fly back from SFO" → trip_planning
-                            - "travel from LAX to ORD, explore ORD, travel to Madison, fly back to LAX from Madison" → trip_planning
-                            - "fly LAX to Chicago, then Madison to LAX" → trip_planning
-                            - "LAX to ORD then fly back from Madison to LAX" → trip_planning
+                            ${intentExamples}
 
                             Respond with only the intent name.`,
                     },
@@ -320,318 +347,42 @@ export class AIAgent {
 
             const intent = completion.choices[0].message.content.trim();
             return {
-                intent: this.isValidIntent(intent) ? intent : "general_question",
+                intent: this.isValidIntent(intent) ? intent : DEFAULT_INTENT,
             };
         } catch (error) {
             logger.error("Fallback parameter extraction error:", error);
             // Ultimate fallback
-            return { intent: "general_question" };
+            return { intent: DEFAULT_INTENT };
         }
     }
 
     isValidIntent(intent) {
-        return intent && Object.prototype.hasOwnProperty.call(this.supportedIntents, intent);
+        return isRegisteredIntent(intent);
     }
 
-    async handleFlightSearch(parameters, conversationContext, conversationHistory, timeContext) {
+    async routeToIntentHandler(
+        intent,
+        parameters,
+        message,
+        conversationContext,
+        conversationHistory,
+        timeContext,
+    ) {
         try {
-            logger.info("HandleFlightSearch called with parameters:", parameters);
-
-            // Validate parameters first
-            const validation = this.validationService.validateByIntent("flight_search", parameters);
-            if (!validation.isValid) {
-                logger.warn("Flight parameter validation failed:", validation.errors);
-                // Return clarification request instead of throwing error
-                const clarificationResponse = await this.generateClarificationResponse(
-                    conversationContext.originalMessage || "Flight search request",
-                    parameters,
-                    conversationContext,
-                    conversationHistory,
-                    timeContext,
-                );
-
-                return {
-                    type: "clarification",
-                    message: clarificationResponse,
-                    parameters: parameters,
-                };
-            }
-
-            // Log warnings if present
-            if (validation.warnings.length > 0) {
-                logger.warn("Flight parameter warnings:", validation.warnings);
-            }
-
-            // Map AI parameters to SerpAPI format
-            const mappedParams = this.mappingService.mapToSerpAPI(parameters);
-            logger.debug("Original AI parameters:", JSON.stringify(parameters, null, 2));
-            logger.debug("Mapped parameters for SerpAPI:", JSON.stringify(mappedParams, null, 2));
-
-            // Perform outbound flight search with detailed logging
-            logger.info("Starting outbound flight search with mapped params:", mappedParams);
-            const outboundFlightResults = await travelAPI.searchFlights(mappedParams);
-            logger.info(
-                `Outbound flight search completed: ${outboundFlightResults.length} results found`,
-            );
-            logger.debug(
-                "Outbound flight results:",
-                JSON.stringify(outboundFlightResults, null, 2),
-            );
-
-            const allFlightResults = [...outboundFlightResults];
-
-            // Store return flight params at a higher scope for access in mapping function
-            let returnFlightParams = null;
-
-            // If return date is provided, also search for return flights
-            if (mappedParams.returnDate) {
-                logger.info("========== RETURN FLIGHT SEARCH ==========");
-                logger.info(
-                    `Searching return flights from ${mappedParams.arrival} to ${mappedParams.departure} on ${mappedParams.returnDate}`,
-                );
-
-                try {
-                    // Create return flight parameters by swapping departure and arrival
-                    returnFlightParams = {
-                        ...mappedParams,
-                        departure: mappedParams.arrival, // Swap: destination becomes origin
-                        arrival: mappedParams.departure, // Swap: origin becomes destination
-                        outboundDate: mappedParams.returnDate, // Use return date as outbound date
-                        returnDate: undefined, // Clear return date for one-way return search
-                    };
-
-                    logger.info("Return flight search parameters:", returnFlightParams);
-
-                    const returnFlightResults = await travelAPI.searchFlights(returnFlightParams);
-                    logger.info(
-                        `Return flight search completed: ${returnFlightResults.length} results found`,
-                    );
-
-                    // Add search context to return flights IMMEDIATELY
-                    // IMPORTANT: Only use fallback for return flights with long/problematic tokens
-                    const returnFlightResultsWithContext = returnFlightResults.map((flightCard) => {
-                        if (flightCard.type === "flight" && flightCard.metadata?.bookingToken) {
-                            // Check if this return flight has a problematic booking token
-                            const hasProblematicToken =
-                                flightCard.metadata.bookingToken.length > 300;
-
-                            let fallbackBookingUrl = null;
-                            if (hasProblematicToken) {
-                                // Create fallback Google Flights URL only for problematic tokens
-                                const fallbackParams = new URLSearchParams({
-                                    f: returnFlightParams.departure, // From
-                                    t: returnFlightParams.arrival, // To
-                                    d: returnFlightParams.outboundDate, // Date
-                                    tt: "o", // One-way
-                                    c: returnFlightParams.currency || "USD",
-                                });
-                                fallbackBookingUrl = `https://www.google.com/travel/flights?${fallbackParams.toString()}`;
-                                logger.info(
-                                    `Created fallback URL for return flight with long token (${flightCard.metadata.bookingToken.length} chars)`,
-                                );
-                            }
-
-                            return {
-                                ...flightCard,
-                                metadata: {
-                                    ...flightCard.metadata,
-                                    searchContext: returnFlightParams,
-                                    isReturnFlight: true,
-                                    usesFallbackBooking: hasProblematicToken, // Only use fallback for problematic tokens
-                                },
-                                externalLinks: fallbackBookingUrl
-                                    ? {
-                                          ...flightCard.externalLinks,
-                                          booking: fallbackBookingUrl,
-                                      }
-                                    : flightCard.externalLinks,
-                            };
-                        }
-                        return flightCard;
-                    });
-
-                    logger.debug(
-                        "Return flight results with context:",
-                        JSON.stringify(returnFlightResultsWithContext, null, 2),
-                    );
-
-                    // Add return flights with context to the results
-                    allFlightResults.push(...returnFlightResultsWithContext);
-                    logger.info(
-                        `Combined flight results: ${allFlightResults.length} total (${outboundFlightResults.length} outbound + ${returnFlightResults.length} return)`,
-                    );
-                } catch (returnFlightError) {
-                    logger.error("Return flight search failed:", returnFlightError);
-                    logger.error("Return flight error details:", {
-                        message: returnFlightError.message,
-                        stack: returnFlightError.stack,
-                    });
-                    // Continue with just outbound flights if return search fails
-                }
+            let definition = getIntent(intent);
+            if (!definition) {
+                logger.warn(`Unknown intent: ${intent}, defaulting to ${DEFAULT_INTENT}`);
+                definition = getIntent(DEFAULT_INTENT);
             }
 
-            const flightResults = allFlightResults;
-
-            // Add search context to OUTBOUND flight cards that don't have it yet
-            const flightResultsWithContext = flightResults.map((flightCard, index) => {
-                if (flightCard.type === "flight" && flightCard.metadata?.bookingToken) {
-                    // Check if this flight already has searchContext (return flights already have it)
-                    if (flightCard.metadata?.searchContext) {
-                        // Return flight already has context and fallback URL - no changes needed
-                        return flightCard;
-                    }
+            logger.info(`Routing to handler for intent: ${definition.name}`);
 
-                    // OUTBOUND flight - add search context
-                    logger.info(
-                        `Processing outbound flight ${index + 1} - Token length: ${flightCard.metadata.bookingToken.length}`,
-                    );
-
-                    const searchContext = {
-                        departure: mappedParams.departure,
-                        arrival: mappedParams.arrival,
-                        outboundDate: mappedParams.outboundDate,
-                        returnDate: mappedParams.returnDate, // Keep round-trip context for outbound
-                        currency: mappedParams.currency,
-                        adults: mappedParams.adults,
-                        children: mappedParams.children || 0,
-                        travelClass: mappedParams.travelClass,
-                        gl: mappedParams.gl,
-                        hl: mappedParams.hl,
-                    };
-
-                    logger.info(
-                        `Outbound flight search context:`,
-                        JSON.stringify(searchContext, null, 2),
-                    );
-
-                    return {
-                        ...flightCard,
-                        metadata: {
-                            ...flightCard.metadata,
-                            searchContext,
-                            isReturnFlight: false,
-                            usesFallbackBooking: false,
-                        },
-                    };
-                }
-                return flightCard;
-            });
-            logger.info(
-                `Added search context to ${flightResultsWithContext.filter((card) => card.metadata?.searchContext).length} flight cards`,
-            );
-
-            // Perform real hotel search with optimized approach
-            logger.info("Starting hotel search with original parameters:", parameters);
-            const hotelResults = await this.performAutomaticHotelSearch(parameters);
-            logger.info(`Hotel search completed: ${hotelResults.length} results found`);
-            logger.debug("Hotel results:", JSON.stringify(hotelResults, null, 2));
-
-            // Check if specific activities were mentioned - if so, search for activities too
-            let activityResults = [];
-            if (parameters.activities && parameters.activities.length > 0) {
-                logger.info(
-                    "Specific activities mentioned, searching for activity recommendations:",
-                    parameters.activities,
-                );
-
-                const tripPlan = {
-                    destination: parameters.destination,
-                    destinations: [parameters.destination],
-                    outboundDate: parameters.outboundDate,
-                    activities: parameters.activities,
-                };
-
-                try {
-                    activityResults = await this.createRealActivityCards(
-                        tripPlan,
-                        conversationContext,
-                    );
-                    logger.info(
-                        `Activity search completed: ${activityResults.length} results found`,
-                    );
-                } catch (error) {
-                    logger.error("Activity search failed:", error);
-                }
-            }
-
-            // Handle flight results - use the version with search context
-            const flights = flightResultsWithContext;
-            const hotels = hotelResults;
-            const activities = activityResults;
-
-            // Combine flight, hotel, and activity cards
-            const allCards = [...flights, ...hotels, ...activities];
-            logger.info(
-                `Total combined cards: ${allCards.length} (${flights.length} flights + ${hotels.length} hotels + ${activities.length} activities)`,
-            );
-
-            // Generate response with search results
-            const response = await this.generateFlightHotelResponse(
-                conversationContext.originalMessage || "Flight search request",
-                parameters,
-                flights,
-                hotels,
-                activities,
-                conversationContext,
-                conversationHistory,
-                timeContext,
-            );
-
-            const finalResponse = {
-                type: "response_with_cards",
-                message: response.text,
-                cards: allCards,
-                parameters: parameters,
-            };
-
-            logger.info("Final response prepared with", finalResponse.cards.length, "cards");
-            logger.debug("Final response cards:", JSON.stringify(finalResponse.cards, null, 2));
-
-            // Debug card types in final response
-            const cardTypeCounts = finalResponse.cards.reduce((acc, card) => {
-                acc[card.type] = (acc[card.type] || 0) + 1;
-                return acc;
-            }, {});
-            logger.info("Card type counts in final response:", cardTypeCounts);
-
-            // Debug hotel cards specifically
-            const hotelCards = finalResponse.cards.filter(
-                (card) => card.type === "place" && card.additionalInfo?.hotelId,
-            );
-            logger.info(`Hotel cards in final response: ${hotelCards.length}`);
-            logger.debug(
-                "Hotel cards details:",
-                hotelCards.map((card) => ({
-                    id: card.id,
-                    title: card.title,
-                    hotelId: card.additionalInfo?.hotelId,
-                    hasOffers: card.additionalInfo?.hasOffers,
-                })),
-            );
-
-            return finalResponse;
-        } catch (error) {
-            logger.error("HandleFlightSearch error:", error);
-
-            // Surface API errors directly to users as requested
-            if (error.message && error.message.includes("SerpAPI")) {
-                throw error; // Pass through SerpAPI errors unchanged
-            }
-
-            // For other errors, provide user-friendly message
-            throw new Error(`I encountered an issue searching for flights: ${error.message}`);
-        }
-    }
-
-    async handlePlaceSearch(parameters, conversationContext, conversationHistory, timeContext) {
-        try {
-            logger.info("HandlePlaceSearch called with parameters:", parameters);
-
-            // Check if we have a destination
-            if (!parameters.destination) {
-                logger.info("Missing destination, requesting clarification");
+            // Validate parameters before the handler runs; ask for what is missing instead of failing
+            const validation = definition.validate ? definition.validate(parameters) : null;
+            if (validation && !validation.isValid) {
+                logger.warn(`${definition.name} parameter validation failed:`, validation.errors);
                 const clarificationResponse = await this.generateClarificationResponse(
-                    conversationContext.originalMessage || "Place search request",
+                    conversationContext.originalMessage || message,
                     parameters,
                     conversationContext,
                     conversationHistory,
@@ -645,441 +396,18 @@ export class AIAgent {
                 };
             }
 
-            // Implement place search for activities/attractions
-            logger.info("Implementing place search for activities and attractions");
-
-            // Create a trip plan object for the activity search
-            // Detect if this is a restaurant search and extract cuisine type
-            const originalMessage = conversationContext.originalMessage || "";
-            const lowerMessage = originalMessage.toLowerCase();
-            const isRestaurantSearch =
-                lowerMessage.includes("restaurant") ||
-                lowerMessage.includes("food") ||
-                lowerMessage.includes("dining") ||
-                lowerMessage.includes("eat") ||
-                lowerMessage.includes("cuisine");
-
-            // Extract specific cuisine type if mentioned (e.g., "Indian restaurants", "Italian food", "Chinese cuisine")
-            let activities = parameters.activities || [];
-
-            logger.info("DEBUG - Place search parameters:", parameters);
-            logger.info("DEBUG - Original message:", originalMessage);
-            logger.info("DEBUG - Is restaurant search?", isRestaurantSearch);
-
-            // If we have a specific query from the AI extraction, check if it contains cuisine info
-            if (parameters.query) {
-                // Even with a query, extract specific cuisine types for better results
-                const queryLower = parameters.query.toLowerCase();
-                const cuisinePatterns = [
-                    "indian",
-                    "italian",
-                    "chinese",
-                    "japanese",
-                    "thai",
-                    "mexican",
-                    "french",
-                    "korean",
-                    "vietnamese",
-                    "mediterranean",
-                    "greek",
-                    "spanish",
-                    "american",
-                    "seafood",
-                    "steakhouse",
-                    "vegetarian",
-                    "vegan",
-                    "sushi",
-                    "pizza",
-                    "burgers",
-                    "bbq",
-                    "barbecue",
-                    "german",
-                ];
-
-                const mentionedCuisines = cuisinePatterns.filter((cuisine) =>
-                    queryLower.includes(cuisine),
-                );
-
-                if (mentionedCuisines.length > 0) {
-                    // Use the specific cuisine + restaurants format
-                    activities = mentionedCuisines.map((c) => `${c} restaurants`);
-                    logger.info("DEBUG - Extracted cuisine from query:", activities);
-                } else {
-                    // Use the query as-is
-                    activities = [parameters.query];
-                    logger.info("DEBUG - Using query as-is:", activities);
-                }
-            } else if (isRestaurantSearch) {
-                // Check for specific cuisine types
-                const cuisinePatterns = [
-                    "indian",
-                    "italian",
-                    "chinese",
-                    "japanese",
-                    "thai",
-                    "mexican",
-                    "french",
-                    "korean",
-                    "vietnamese",
-                    "mediterranean",
-                    "greek",
-                    "spanish",
-                    "american",
-                    "seafood",
-                    "steakhouse",
-                    "vegetarian",
-                    "vegan",
-                    "sushi",
-                    "pizza",
-                    "burgers",
-                    "bbq",
-                    "barbecue",
-                    "german",
-                ];
-
-                const mentionedCuisines = cuisinePatterns.filter((cuisine) =>
-                    lowerMessage.includes(cuisine),
-                );
-
-                logger.info("DEBUG - Mentioned cuisines found:", mentionedCuisines);
-
-                if (mentionedCuisines.length > 0) {
-                    // If specific cuisine mentioned, use it
-                    activities = mentionedCuisines.map((c) => `${c} restaurants`);
-                    logger.info("DEBUG - Using specific cuisine activities:", activities);
-                } else {
-                    // Generic restaurant search
-                    activities = ["restaurants", "dining", "food"];
-                    logger.info("DEBUG - Using generic restaurant activities:", activities);
-                }
-            } else {
-                // Non-restaurant activities
-                activities =
-                    activities.length > 0
-                        ? activities
-                        : ["sightseeing", "attractions", "things to do"];
+            if (validation?.warnings.length > 0) {
+                logger.warn(`${definition.name} parameter warnings:`, validation.warnings);
             }
 
-            const tripPlan = {
-                destination: parameters.destination,
-                destinations: [parameters.destination],
-                outboundDate: parameters.checkInDate || parameters.outboundDate,
-                activities: activities,
-            };
-
-            logger.info("DEBUG - Final tripPlan for activity search:", tripPlan);
-            logger.info("DEBUG - Activities being passed:", activities);
-
-            // Use the existing createRealActivityCards method
-            const results = await this.createRealActivityCards(tripPlan, conversationContext);
-
-            // Generate response with search results
-            const response = await this.generateResponseWithResults(
-                conversationContext.originalMessage || "Place search request",
-                parameters,
-                results,
-                conversationContext,
-                conversationHistory,
-                timeContext,
-            );
-
-            return {
-                type: "response_with_cards",
-                message: response.text,
-                cards: results,
-                parameters: parameters,
-            };
-        } catch (error) {
-            logger.error("HandlePlaceSearch error:", error);
-            throw new Error(`I encountered an issue searching for places: ${error.message}`);
-        }
-    }
-
-    async handleHotelSearch(parameters, conversationContext, conversationHistory, timeContext) {
-        try {
-            logger.info("HandleHotelSearch called with parameters:", parameters);
-
-            // Check if we have dates - if not, ask for them
-            if (!parameters.checkInDate || !parameters.checkOutDate) {
-                logger.info("Missing hotel dates, requesting clarification");
-                const clarificationResponse = await this.generateHotelDateClarification(
-                    conversationContext.originalMessage || "Hotel search request",
-                    parameters,
-                    conversationContext,
-                    conversationHistory,
-                    timeContext,
-                );
-
-                return {
-                    type: "clarification",
-                    message: clarificationResponse,
-                    parameters: parameters,
-                };
-            }
-
-            // Extract city code from destination
-            const cityCode = extractDestinationCityCode({
-                arrival: parameters.destination,
-            });
-
-            if (!cityCode) {
-                logger.warn(
-                    "Could not extract city code for hotel search from:",
-                    parameters.destination,
-                );
-                return {
-                    type: "clarification",
-                    message: `I'd love to help you find hotels! Could you please specify which city you'd like to search in? For example, you could say "Show me hotels in Paris" or "Find hotels in Tokyo".`,
-                    parameters: parameters,
-                };
-            }
-
-            // Perform hotel search
-            const { searchHotels } = await import("../api/amadeus/hotelService.js");
-
-            const hotelParams = {
-                cityCode: cityCode,
-                checkInDate: parameters.checkInDate,
-                checkOutDate: parameters.checkOutDate,
-                adults: parameters.adults || 1,
-                filters: {},
-            };
-
-            logger.info("Performing hotel search with params:", hotelParams);
-            const hotelResults = await searchHotels(hotelParams);
-            logger.info("Hotel search results:", hotelResults);
-
-            // Transform hotel results to card format
-            const hotelCards = this.transformHotelResultsToCards(hotelResults, cityCode);
-
-            // Generate response
-            const response = await this.generateHotelResponse(
-                conversationContext.originalMessage || "Hotel search request",
-                parameters,
-                hotelCards,
-                cityCode,
-                conversationContext,
-                conversationHistory,
-                timeContext,
-            );
-
-            return {
-                type: "response_with_cards",
-                message: response.text,
-                cards: hotelCards,
-                parameters: parameters,
-            };
-        } catch (error) {
-            logger.error("HandleHotelSearch error:", error);
-            throw new Error(`I encountered an issue searching for hotels: ${error.message}`);
-        }
-    }
-
-    async handleTripPlanning(parameters, conversationContext, conversationHistory, timeContext) {
-        try {
-            logger.info("HandleTripPlanning called with parameters:", parameters);
-
-            // Parse the complex trip planning request
-            const tripPlan = await this.parseTripPlanningRequest(
-                conversationContext.originalMessage || "Trip planning request",
-                parameters,
-                conversationHistory,
-                timeContext,
-            );
-
-            if (!tripPlan.isValid) {
-                logger.info("Trip planning request needs clarification");
-                return {
-                    type: "clarification",
-                    message: tripPlan.clarificationMessage,
-                    parameters: parameters,
-                };
-            }
-
-            // Execute multi-service search for comprehensive trip planning
-            logger.info("Executing comprehensive trip search for:", tripPlan);
-            const tripResults = await this.executeComprehensiveTripSearch(
-                tripPlan,
-                conversationContext,
-            );
-
-            // Log trip results summary
-            logger.info("Trip results received:", {
-                flights: tripResults.flights?.length || 0,
-                hotels: tripResults.hotels?.length || 0,
-                rentalCars: tripResults.rentalCars?.length || 0,
-                activities: tripResults.activities?.length || 0,
-            });
-
-            // Generate comprehensive trip planning response
-            const response = await this.generateTripPlanningResponse(
-                conversationContext.originalMessage || "Trip planning request",
+            return await definition.handle(this, {
+                message,
                 parameters,
-                tripResults,
                 conversationContext,
                 conversationHistory,
                 timeContext,
-            );
-
-            // Combine all result cards (flights, hotels, cars, activities)
-            const allCards = [
-                ...(tripResults.flights || []),
-                ...(tripResults.hotels || []),
-                ...(tripResults.rentalCars || []),
-                ...(tripResults.activities || []),
-            ];
-
-            // Log final cards summary
-            logger.info("Final cards being returned:", {
-                total: allCards.length,
-                types: allCards.reduce((acc, card) => {
-                    acc[card.type] = (acc[card.type] || 0) + 1;
-                    return acc;
-                }, {}),
-            });
-
-            return {
-                type: "response_with_cards",
-                message: response.text,
-                cards: allCards,
-                parameters: parameters,
-            };
-        } catch (error) {
-            logger.error("HandleTripPlanning error:", error);
-            throw new Error(`I encountered an issue planning your trip: ${error.message}`);
-        }
-    }
-
-    async handleGeneralQuestion(
-        message,
-        parameters,
-        conversationContext,
-        conversationHistory,
-        timeContext,
-    ) {
-        try {
-            logger.info("HandleGeneralQuestion called with message:", message);
-
-            // Validate parameters first
-            const validation = this.validationService.validateByIntent(
-                "general_question",
-                parameters,
-            );
-            if (!validation.isValid) {
-                logger.warn("General question parameter validation failed:", validation.errors);
-                // For general questions, we can proceed even with validation issues
-            }
-
-            // Log warnings if present
-            if (validation.warnings.length > 0) {
-                logger.warn("General question parameter warnings:", validation.warnings);
-            }
-
-            // Build system message with time context
-            const baseSystemMessage = `You are a helpful travel assistant. Answer the user's general travel question with accurate, helpful information.
-                Use web search if needed to provide current information. Be conversational and friendly.
-                Focus on providing practical travel advice and information.
-            `;
-
-            const systemMessage = timeContext
-                ? `${baseSystemMessage}\n\n${timeContext}`
-                : baseSystemMessage;
-
-            // Use OpenAI with web search tools for general questions
-            const completion = await this.openai.chat.completions.create({
-                model: this.model,
-                messages: [
-                    {
-                        role: "system",
-                        content: systemMessage,
-                    },
-                    ...conversationHistory,
-                    {
-                        role: "user",
-                        content: message,
-                    },
-                ],
-                temperature: this.temperature,
-                max_tokens: this.maxTokens,
+                validation,
             });
-
-            const aiResponse = completion.choices[0].message.content;
-            logger.info("General question response generated");
-
-            return {
-                type: "response",
-                message: aiResponse,
-                parameters: parameters,
-            };
-        } catch (error) {
-            logger.error("HandleGeneralQuestion error:", error);
-            return {
-                type: "response",
-                message:
-                    "I'd be happy to help answer your travel question! Could you please rephrase it or provide more details?",
-                parameters: parameters,
-            };
-        }
-    }
-
-    async routeToIntentHandler(
-        intent,
-        parameters,
-        message,
-        conversationContext,
-        conversationHistory,
-        timeContext,
-    ) {
-        try {
-            logger.info(`Routing to handler for intent: ${intent}`);
-
-            switch (intent) {
-                case "flight_search":
-                    return await this.handleFlightSearch(
-                        parameters,
-                        conversationContext,
-                        conversationHistory,
-                        timeContext,
-                    );
-                case "place_search":
-                    return await this.handlePlaceSearch(
-                        parameters,
-                        conversationContext,
-                        conversationHistory,
-                        timeContext,
-                    );
-                case "hotel_search":
-                    return await this.handleHotelSearch(
-                        parameters,
-                        conversationContext,
-                        conversationHistory,
-                        timeContext,
-                    );
-                case "trip_planning":
-                    return await this.handleTripPlanning(
-                        parameters,
-                        conversationContext,
-                        conversationHistory,
-                        timeContext,
-                    );
-                case "general_question":
-                    return await this.handleGeneralQuestion(
-                        message,
-                        parameters,
-                        conversationContext,
-                        conversationHistory,
-                        timeContext,
-                    );
-                default:
-                    logger.warn(`Unknown intent: ${intent}, defaulting to general question`);
-                    return await this.handleGeneralQuestion(
-                        message,
-                        parameters,
-                        conversationContext,
-                        conversationHistory,
-                        timeContext,
-                    );
-            }
         } catch (error) {
             logger.error(`Intent handler error for ${intent}:`, error);
             throw error; // Re-throw to be handled by processUserMessage
@@ -1110,7 +438,7 @@ export class AIAgent {
                 ? `${baseSystemMessage}\n\n${timeContext}`
                 : baseSystemMessage;
 
-            const completion = await this.openai.chat.completions.create({
+            const completion = await this.createResponseCompletion({
                 model: this.model,
                 messages: [
                     {
@@ -1151,7 +479,7 @@ export class AIAgent {
         timeContext = null,
     ) {
         try {
-            const requiredParams = this.supportedIntents[parameters.intent]?.requiredParams || [];
+            const requiredParams = getIntent(parameters.intent)?.requiredParams || [];
             const missingParams = requiredParams.filter((param) => {
                 if (param === "query" && parameters.intent === "place_search") {
                     return !parameters.destination && !parameters.query;
@@ -1174,7 +502,7 @@ export class AIAgent {
                 ? `${baseSystemMessage}\n\n${timeContext}`
                 : baseSystemMessage;
 
-            const completion = await this.openai.chat.completions.create({
+            const completion = await this.createResponseCompletion({
                 model: this.model,
                 messages: [
                     {
@@ -1205,7 +533,7 @@ export class AIAgent {
     }
 
     getFallbackClarificationMessage(intent) {
-        const intentConfig = this.supportedIntents[intent];
+        const intentConfig = getIntent(intent);
         if (!intentConfig) {
             return "I'd love to help you plan your trip! Could you tell me more about what you're looking for?";
         }
@@ -1217,18 +545,14 @@ export class AIAgent {
         )}! Could you provide more details? For example: '${examples}'`;
     }
 
-    // Utility method to add new intents easily
-    addIntent(intentName, config) {
-        this.supportedIntents[intentName] = {
-            description: config.description,
-            requiredParams: config.requiredParams || [],
-            examples: config.examples || [],
-        };
+    // Utility method to add new intents easily - see src/services/intents/index.js
+    addIntent(definition) {
+        return registerIntent(definition);
     }
 
     // Utility method to get all supported intents
     getSupportedIntents() {
-        return Object.keys(this.supportedIntents);
+        return getRegisteredIntents().map((intent) => intent.name);
     }
 
     estimateTokenCount(text) {
@@ -1519,6 +843,7 @@ export class AIAgent {
                 - transportationLegs: array of transport segments with mode, from, to
                 - activities: array of mentioned activities
                 - dates: object with startDate and endDate in YYYY-MM-DD format if mentioned
+                - flightSegments: array of the flights in travel order with IATA codes and dates, e.g. [{"from": "ORD", "to": "LAX", "date": "2025-08-16"}, {"from": "SFO", "to": "ORD", "date": "2025-08-21"}] (only when every flight's date is known)
 
                 IMPORTANT: For dates mentioned like "august 16th to august 21st", convert to proper YYYY-MM-DD format.
                 Use current year (2025) if year not specified. Examples:
@@ -1664,6 +989,35 @@ export class AIAgent {
         }
     }
 
+    /**
+     * Search a trip's dated flight legs as one multi-city itinerary
+     * @param {Object} tripPlan - Parsed trip plan
+     * @returns {Promise<Array|null>} Linked multi-city flight cards, or null when the trip has
+     *   fewer than two dated flight legs or the search fails
+     */
+    async searchTripMultiCityFlights(tripPlan) {
+        const segments =
+            tripPlan.flightSegments?.length > 1
+                ? tripPlan.flightSegments
+                : (tripPlan.transportationLegs || []).filter(
+                      (leg) => leg.mode === "flight" && leg.date,
+                  );
+        if (segments.length < 2) return null;
+
+        try {
+            const mappedParams = this.mappingService.mapToSerpAPI({
+                intent: "flight_search",
+                flightSegments: segments,
+                adults: 1,
+            });
+            logger.info("Searching multi-city flights for trip:", mappedParams.multiCityLegs);
+            return await travelAPI.searchMultiCityFlights(mappedParams);
+        } catch (error) {
+            logger.error("Multi-city flight search failed, searching legs separately:", error);
+            return null;
+        }
+    }
+
     async executeComprehensiveTripSearch(tripPlan, context = null) {
         try {
             logger.info("========== STARTING COMPREHENSIVE TRIP SEARCH ==========");
@@ -1691,6 +1045,12 @@ export class AIAgent {
                 // Infer flights from trip structure
                 const flights = [];
 
+                // Dated flight legs are priced together as one multi-city ticket
+                const multiCityFlights = await this.searchTripMultiCityFlights(tripPlan);
+                if (multiCityFlights) {
+                    flights.push(...multiCityFlights);
+                }
+
                 logger.error("Checking outbound flight conditions:");
                 logger.error("- tripPlan.origin:", tripPlan.origin);
                 logger.error("- tripPlan.intermediateStops:", tripPlan.intermediateStops);
@@ -1698,6 +1058,7 @@ export class AIAgent {
 
                 // Origin to first destination flight (OUTBOUND)
                 if (
+                    !multiCityFlights &&
                     tripPlan.origin &&
                     (tripPlan.intermediateStops?.length > 0 || tripPlan.finalDestination)
                 ) {
@@ -1712,11 +1073,11 @@ export class AIAgent {
                     );
 
                     try {
-                        // Handle "HOME" case and validate IATA codes
-                        let originCode = tripPlan.origin;
-                        if (originCode === "HOME" || originCode === "home") {
-                            originCode = "ORD"; // Use ORD as requested in the prompt
-                            logger.info(`Using ORD for HOME`);
+                        // "HOME" means the user did not say where they start; there is no
+                        // airport to search from
+                        const originCode = tripPlan.origin;
+                        if (originCode.toUpperCase() === "HOME") {
+                            throw new Error("Origin airport not specified");
                         }
 
                         // Validate IATA codes (3 letters)
@@ -1799,6 +1160,7 @@ export class AIAgent {
                 // Always search for return flight if we have a finalDestination that's different from origin
                 // OR if we have intermediate stops (indicating multi-city trip)
                 if (
+                    !multiCityFlights &&
                     tripPlan.finalDestination &&
                     tripPlan.origin &&
                     (tripPlan.finalDestination !== tripPlan.origin ||
@@ -1810,11 +1172,10 @@ export class AIAgent {
                     );
 
                     try {
-                        // Handle "HOME" case for return destination and validate IATA codes
-                        let returnOriginCode = tripPlan.origin;
-                        if (returnOriginCode === "HOME" || returnOriginCode === "home") {
-                            returnOriginCode = "ORD"; // Use ORD as requested in the prompt
-                            logger.info(`Using ORD for HOME return destination`);
+                        // As for the outbound flight, "HOME" is not an airport to fly back to
+                        const returnOriginCode = tripPlan.origin;
+                        if (returnOriginCode.toUpperCase() === "HOME") {
+                            throw new Error("Return airport not specified");
                         }
 
                         // Validate IATA codes for return flight
@@ -2349,7 +1710,7 @@ export class AIAgent {
                 Be enthusiastic about the comprehensive trip you've planned for them.
             `;
 
-            const completion = await this.openai.chat.completions.create({
+            const completion = await this.createResponseCompletion({
                 model: this.model,
                 messages: [
                     {
@@ -2421,7 +1782,7 @@ export class AIAgent {
                 Be specific about needing both check-in and check-out dates for hotels.
             `;
 
-            const completion = await this.openai.chat.completions.create({
+            const completion = await this.createResponseCompletion({
                 model: this.model,
                 messages: [
                     {
@@ -2478,7 +1839,7 @@ export class AIAgent {
                 ? `${baseSystemMessage}\n\n${timeContext}`
                 : baseSystemMessage;
 
-            const completion = await this.openai.chat.completions.create({
+            const completion = await this.createResponseCompletion({
                 model: this.model,
                 messages: [
                     {
@@ -2558,7 +1919,7 @@ export class AIAgent {
                 ? `${baseSystemMessage}\n\n${timeContext}`
                 : baseSystemMessage;
 
-            const completion = await this.openai.chat.completions.create({
+            const completion = await this.createResponseCompletion({
                 model: this.model,
                 messages: [
                     {
@@ -2599,6 +1960,113 @@ export class AIAgent {
         }
     }
 
+    /**
+     * Load the budget of the user's most recently updated trip that has one
+     * @returns {Promise<Object|null>} { title, status } with status from calculateBudgetStatus
+     */
+    async loadBudgetContext(userId, dbContext) {
+        if (!dbContext?.entities?.Itinerary) {
+            return null;
+        }
+
+        try {
+            const itinerary = await dbContext.entities.Itinerary.findFirst({
+                where: { ...accessibleItinerariesWhere(userId), budget: { not: null } },
+                include: { items: { orderBy: { orderIndex: "asc" } } },
+                orderBy: { updatedAt: "desc" },
+            });
+            if (!itinerary) return null;
+
+            const status = calculateBudgetStatus(itinerary, {
+                exchangeRates: this.currencyContext?.exchangeRates,
+            });
+            return { title: itinerary.title, status };
+        } catch (error) {
+            logger.warn("Could not load trip budget for AI suggestions:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Load the user's display currency and the current exchange rates
+     * @returns {Promise<Object|null>} { currency, exchangeRates }
+     */
+    async loadCurrencyContext(dbContext) {
+        try {
+            return {
+                currency: dbContext?.user?.preferredCurrency || "USD",
+                exchangeRates: await getExchangeRates(),
+            };
+        } catch (error) {
+            logger.warn("Could not load exchange rates for AI suggestions:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Attach a convertedPrice in the user's display currency and a budgetImpact describing
+     * what picking the card would do to the budget of the user's trip
+     * @param {Array} cards - Standardized cards (modified in place)
+     */
+    annotateCards(cards) {
+        cards.forEach((card) => {
+            if (this.currencyContext && card.convertedPrice === undefined) {
+                const { currency, exchangeRates } = this.currencyContext;
+                card.convertedPrice =
+                    withConvertedPrice(card, currency, exchangeRates).convertedPrice || null;
+            }
+            if (this.budgetContext && card.budgetImpact === undefined) {
+                card.budgetImpact = evaluateCardAgainstBudget(this.budgetContext.status, card);
+            }
+        });
+    }
+
+    /**
+     * Add a budget note to replies with cards, e.g. "Hotel X would put you $300 over budget"
+     * @param {Object} result - Intent handler result
+     * @returns {Object} The result, with converted prices and budget impacts on its cards and a
+     *   note in its message
+     */
+    applyBudgetToResult(result) {
+        if (!result?.cards?.length) {
+            return result;
+        }
+
+        this.annotateCards(result.cards);
+        if (!this.budgetContext) {
+            return result;
+        }
+
+        const evaluated = result.cards.filter((card) => card.budgetImpact);
+        if (evaluated.length === 0) {
+            return result;
+        }
+
+        const { title, status } = this.budgetContext;
+        const budget = formatCurrency(status.budget, status.currency);
+        const overBudget = evaluated
+            .filter((card) => card.budgetImpact.isOverBudget)
+            .sort((a, b) => b.budgetImpact.remaining - a.budgetImpact.remaining);
+
+        let note;
+        if (overBudget.length === 0) {
+            note = `All of these options fit within your ${budget} budget for "${title}".`;
+        } else {
+            // The options closest to the budget are the most useful to mention
+            const examples = overBudget
+                .slice(0, 3)
+                .map((card) => `${card.title} ${card.budgetImpact.message}`);
+            const fitting = evaluated.length - overBudget.length;
+            note =
+                `Budget check for "${title}" (${budget}): ${examples.join("; ")}.` +
+                (fitting > 0
+                    ? ` ${fitting} option${fitting === 1 ? "" : "s"} would keep you within budget.`
+                    : "");
+        }
+
+        return { ...result, message: `${result.message}\n\n💰 ${note}` };
+    }
+
     async retrieveConversationContext(conversationId, userId, dbContext) {
         const startTime = Date.now();
 
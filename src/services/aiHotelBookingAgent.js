@@ -3,10 +3,17 @@ import { simpleBrowserAutomation } from "./simpleBrowserAutomation.js";
 
 /**
  * AI Hotel Booking Agent
- * This service handles automated hotel booking through AI-powered web automation
+ * This service handles automated hotel booking through AI-powered web automation.
+ * Create one agent per booking job so concurrent bookings never share progress.
  */
-class AIHotelBookingAgent {
-    constructor() {
+export class AIHotelBookingAgent {
+    /**
+     * @param {Object} options
+     * @param {(progress: {step: number, message: string}) => void} [options.onProgress] - Step callback
+     */
+    constructor({ onProgress } = {}) {
+        this.onProgress = onProgress;
+        this.cancelled = false;
         this.isBooking = false;
         this.bookingSteps = [
             "Analyzing booking requirements",
@@ -41,8 +48,10 @@ class AIHotelBookingAgent {
         try {
             // Prepare enhanced progress callback
             const onProgress = (progress) => {
+                this.throwIfCancelled();
                 this.currentStep = progress.step;
                 logger.info(`🤖 AI Agent Progress: ${progress.message}`);
+                this.onProgress?.(progress);
             };
 
             // Prepare comprehensive hotel data for targeted automation
@@ -133,6 +142,16 @@ class AIHotelBookingAgent {
                 hotelSpecific: true,
             };
         } catch (error) {
+            if (this.cancelled) {
+                logger.info("🛑 AI booking stopped after cancellation");
+                return {
+                    success: false,
+                    cancelled: true,
+                    error: "Booking cancelled",
+                    message: "Booking cancelled",
+                };
+            }
+
             logger.error("❌ AI Agentic booking encountered issue:", error);
 
             // Generate enhanced fallback URL with hotel targeting
@@ -450,6 +469,7 @@ class AIHotelBookingAgent {
     async cancelBooking() {
         if (this.isBooking) {
             logger.info("AI Hotel booking cancelled by user");
+            this.cancelled = true;
             this.isBooking = false;
             return { success: true, message: "Booking cancelled successfully" };
         }
@@ -468,6 +488,15 @@ class AIHotelBookingAgent {
         };
     }
 
+    /**
+     * Stop the run at the next step boundary once cancelBooking() was called
+     */
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new Error("Booking cancelled");
+        }
+    }
+
     /**
      * Simple delay utility for UI animation
      */
@@ -475,6 +504,3 @@ class AIHotelBookingAgent {
         return new Promise((resolve) => setTimeout(resolve, ms));
     }
 }
-
-// Export singleton instance
-export const aiHotelBookingAgent = new AIHotelBookingAgent();
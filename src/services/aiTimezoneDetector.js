@@ -1,12 +1,10 @@
-import OpenAI from "openai";
+import { createOpenAIClient } from "./openaiClient.js";
 import { isValidTimezone } from "../utils/timezoneParser.js";
 import logger from "../utils/logger.js";
 
 class AITimezoneDetector {
     constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-        });
+        this.openai = createOpenAIClient();
         this.model = process.env.OPENAI_MODEL || "gpt-4.1-mini";
         this.temperature = 0.1;
     }
@@ -0,0 +1,239 @@
+import { AIRPORT_COLUMNS, AIRPORT_ROWS, LOCATION_ALIASES } from "../data/airports.js";
+import { COMMERCIAL_AIRPORT_COLUMNS, COMMERCIAL_AIRPORT_ROWS } from "../data/commercialAirports.js";
+
+/**
+ * Airport Directory - Offline lookup and fuzzy search over the bundled airport datasets
+ * Resolves airport codes (IATA or ICAO), metro codes, city names and common aliases without an
+ * API call, so parameter mapping and validation can catch a misspelled or made-up code before a
+ * search is sent. Covers every commercial airport; the curated major airports come first, so
+ * they win city lookups and ties in search. Lookups are case- and accent-insensitive.
+ */
+
+const toRecords = (columns, rows) =>
+    rows.map((row) => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+
+const MAJOR_AIRPORTS = toRecords(AIRPORT_COLUMNS, AIRPORT_ROWS);
+const majorCodes = new Set(MAJOR_AIRPORTS.map((airport) => airport.iata));
+
+const AIRPORTS = [
+    ...MAJOR_AIRPORTS,
+    ...toRecords(COMMERCIAL_AIRPORT_COLUMNS, COMMERCIAL_AIRPORT_ROWS)
+        .filter((airport) => !majorCodes.has(airport.iata))
+        .map((airport) => ({ ...airport, metro: null })),
+];
+
+const MIN_FUZZY_SCORE = 50;
+
+// Lowercase, strip accents and punctuation: "São Paulo" → "sao paulo"
+const normalizeText = (value) =>
+    String(value)
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9 ]/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+
+const sameCity = (a, b) => normalizeText(a.city) === normalizeText(b.city);
+
+const byIata = new Map(AIRPORTS.map((airport) => [airport.iata, airport]));
+const byIcao = new Map(
+    AIRPORTS.filter((airport) => airport.icao).map((airport) => [airport.icao, airport]),
+);
+
+const byMetro = new Map();
+const byCity = new Map();
+for (const airport of AIRPORTS) {
+    if (airport.metro) {
+        byMetro.set(airport.metro, [...(byMetro.get(airport.metro) || []), airport]);
+    }
+    const city = normalizeText(airport.city);
+    byCity.set(city, [...(byCity.get(city) || []), airport]);
+}
+
+const ALIASES = new Map(
+    Object.entries(LOCATION_ALIASES).map(([alias, code]) => [normalizeText(alias), code]),
+);
+
+// Edit distance, used to catch typos like "Lisbn" or "Frankfrut"
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// How well one airport matches a normalized query, 0-100
+function scoreAirport(airport, query) {
+    const code = query.toUpperCase();
+    if (airport.iata === code || airport.icao === code) return 100;
+    if (airport.metro === code) return 95;
+
+    const city = normalizeText(airport.city);
+    if (city === query) return 90;
+    if (city.startsWith(query) && query.length >= 3) return 75;
+
+    const words = normalizeText(airport.name).split(" ");
+    if (words.includes(query)) return 70;
+    if (query.length >= 3 && words.some((word) => word.startsWith(query))) return 60;
+
+    if (query.length >= 4) {
+        const distance = levenshtein(city, query);
+        const allowed = query.length >= 8 ? 2 : 1;
+        if (distance <= allowed) return 80 - distance * 10;
+    }
+    return 0;
+}
+
+/**
+ * Airport record for an IATA or ICAO code
+ * @param {string} code - e.g. 'LHR' or 'EGLL'
+ * @returns {Object|null} - { iata, icao, name, city, metro, country, latitude, longitude, timezone }
+ */
+export function getAirport(code) {
+    if (!code || typeof code !== "string") return null;
+    const upper = code.toUpperCase().trim();
+    return byIata.get(upper) || byIcao.get(upper) || null;
+}
+
+/**
+ * Whether a code is a known IATA airport or metro area code
+ * @param {string} code - 3-letter code
+ * @returns {boolean}
+ */
+export function isKnownAirportCode(code) {
+    if (!code || typeof code !== "string") return false;
+    const upper = code.toUpperCase().trim();
+    return byIata.has(upper) || byMetro.has(upper);
+}
+
+/**
+ * Airports whose city matches a name exactly
+ * @param {string} city - City name, e.g. 'Chicago'
+ * @returns {Object[]} - Airport records, dataset order
+ */
+export function findAirportsByCity(city) {
+    if (!city || typeof city !== "string") return [];
+    return byCity.get(normalizeText(city)) || [];
+}
+
+/**
+ * Metro area code for an airport code, metro code or city name
+ * @param {string} location - e.g. 'EWR', 'NYC' or 'New York'
+ * @returns {string|null} - Metro code, or null if the location is not a multi-airport metro area
+ */
+export function getMetroCode(location) {
+    if (!location || typeof location !== "string") return null;
+
+    const upper = location.toUpperCase().trim();
+    if (byMetro.has(upper)) return upper;
+
+    const airport = getAirport(upper);
+    if (airport) return airport.metro;
+
+    const alias = ALIASES.get(normalizeText(location));
+    if (alias) return getMetroCode(alias);
+
+    return findAirportsByCity(location).find((candidate) => candidate.metro)?.metro || null;
+}
+
+/**
+ * Airports of a metro area
+ * @param {string} metroCode - e.g. 'LON'
+ * @returns {string[]} - IATA codes, main airport first; empty for an unknown metro code
+ */
+export function getMetroAirportCodes(metroCode) {
+    return (byMetro.get(metroCode) || []).map((airport) => airport.iata);
+}
+
+/**
+ * Resolve a location to the IATA code of the airport a search should use
+ * @param {string} location - Airport code, ICAO code, metro code, city name or alias
+ * @returns {string|null} - IATA code, or null when the location cannot be resolved confidently
+ */
+export function resolveAirportCode(location) {
+    if (!location || typeof location !== "string") return null;
+
+    // Capitals mean a code, even one that spells a place ("GOA" is Genoa)
+    const upper = location.toUpperCase().trim();
+    const code = lookupCode(upper);
+    if (code && location.trim() === upper) return code;
+
+    const query = normalizeText(location);
+    const alias = ALIASES.get(query);
+    if (alias) return resolveAirportCode(alias);
+
+    const cityAirports = byCity.get(query);
+    if (cityAirports) {
+        const metro = cityAirports.find((airport) => airport.metro)?.metro;
+        return metro ? byMetro.get(metro)[0].iata : cityAirports[0].iata;
+    }
+
+    // Lowercase codes ("okc") once names have had their chance ("Goa" is the Indian state)
+    if (code) return code;
+
+    // A code that isn't listed ("XQZ") is made up, not a typo to correct
+    if (/^[A-Z]{3}$/.test(upper)) {
+        return null;
+    }
+
+    // "Chicago, IL" or "Paris, France": retry with the part before the comma
+    if (location.includes(",")) {
+        return resolveAirportCode(location.split(",")[0]);
+    }
+
+    // Only accept a fuzzy match when it is clearly better than the runner-up
+    const [best, second] = searchAirports(location, { limit: 2 });
+    if (
+        best &&
+        best.score >= 70 &&
+        (!second || best.score > second.score || sameCity(best, second))
+    ) {
+        return best.iata;
+    }
+    return null;
+}
+
+// IATA code for an airport, ICAO or metro code (the metro's main airport), or null
+function lookupCode(upper) {
+    if (byIata.has(upper)) return upper;
+    if (byIcao.has(upper)) return byIcao.get(upper).iata;
+    if (byMetro.has(upper)) return byMetro.get(upper)[0].iata;
+    return null;
+}
+
+/**
+ * Fuzzy search by code, city or airport name
+ * @param {string} query - Free text, e.g. 'heathrow', 'san fran' or 'NRT'
+ * @param {Object} [options]
+ * @param {number} [options.limit=8] - Maximum number of results
+ * @returns {Object[]} - Airport records with a `score` (0-100), best match first
+ */
+export function searchAirports(query, { limit = 8 } = {}) {
+    if (!query || typeof query !== "string") return [];
+
+    const normalized = normalizeText(query);
+    if (!normalized) return [];
+
+    const alias = ALIASES.get(normalized);
+    const aliasAirports = alias
+        ? byMetro.get(alias) || (byIata.has(alias) ? [byIata.get(alias)] : [])
+        : [];
+
+    return AIRPORTS.map((airport) => ({
+        ...airport,
+        score: aliasAirports.includes(airport) ? 95 : scoreAirport(airport, normalized),
+    }))
+        .filter((airport) => airport.score >= MIN_FUZZY_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
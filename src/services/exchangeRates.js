@@ -0,0 +1,118 @@
+import { prisma } from "wasp/server";
+import { isMockMode } from "../config/environment.js";
+import { DEFAULT_EXCHANGE_RATES } from "../utils/currency.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Exchange Rates - Stored exchange-rate table with periodic refresh
+ * Rates live in the ExchangeRate entity so every server instance converts with the same table.
+ * When the stored rates are older than REFRESH_INTERVAL_MS they are refreshed from
+ * EXCHANGE_RATES_URL (any endpoint returning USD-based `rates`, open.er-api.com by default).
+ * If the provider is unreachable the stored rates, or the bundled defaults, are used instead.
+ * Mock mode never fetches.
+ */
+
+const RATES_URL = process.env.EXCHANGE_RATES_URL || "https://open.er-api.com/v6/latest/USD";
+const REFRESH_INTERVAL_MS = 12 * 60 * 60 * 1000;
+const MEMORY_TTL_MS = 10 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 5000;
+
+let memoryCache = null; // { exchangeRates, updatedAt, loadedAt }
+let refreshInFlight = null;
+
+// Read the stored table, or null when no rates have been stored yet
+async function readStoredRates() {
+    const rows = await prisma.exchangeRate.findMany();
+    if (rows.length === 0) return null;
+
+    return {
+        exchangeRates: {
+            base: "USD",
+            rateDate: rows.reduce(
+                (latest, row) => (row.rateDate > latest ? row.rateDate : latest),
+                "",
+            ),
+            rates: Object.fromEntries(rows.map((row) => [row.currency, row.rate])),
+        },
+        updatedAt: Math.min(...rows.map((row) => row.updatedAt.getTime())),
+    };
+}
+
+const parseRateDate = (data) => {
+    if (data.time_last_update_unix) {
+        return new Date(data.time_last_update_unix * 1000).toISOString().slice(0, 10);
+    }
+    return data.date || new Date().toISOString().slice(0, 10);
+};
+
+/**
+ * Fetch current rates from the provider and store them
+ * @returns {Promise<Object>} The new table { base, rateDate, rates }
+ */
+export async function refreshExchangeRates() {
+    const response = await fetch(RATES_URL, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+        throw new Error(`Exchange rate provider returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    const base = data.base_code || data.base;
+    if (base !== "USD" || !data.rates?.USD) {
+        throw new Error(`Exchange rate provider returned unexpected base currency ${base}`);
+    }
+
+    const rateDate = parseRateDate(data);
+    const entries = Object.entries(data.rates).filter(
+        ([currency, rate]) => /^[A-Z]{3}$/.test(currency) && rate > 0,
+    );
+
+    await prisma.$transaction(
+        entries.map(([currency, rate]) =>
+            prisma.exchangeRate.upsert({
+                where: { currency },
+                create: { currency, rate, rateDate },
+                update: { rate, rateDate },
+            }),
+        ),
+    );
+
+    const exchangeRates = { base: "USD", rateDate, rates: Object.fromEntries(entries) };
+    memoryCache = { exchangeRates, updatedAt: Date.now(), loadedAt: Date.now() };
+    logger.info(`Stored ${entries.length} exchange rates dated ${rateDate}`);
+    return exchangeRates;
+}
+
+/**
+ * Current exchange-rate table, refreshing it when the stored rates are stale
+ * @returns {Promise<{base: string, rateDate: string, rates: Object<string, number>}>}
+ */
+export async function getExchangeRates() {
+    const now = Date.now();
+    if (memoryCache && now - memoryCache.loadedAt < MEMORY_TTL_MS) {
+        return memoryCache.exchangeRates;
+    }
+
+    let stored = null;
+    try {
+        stored = await readStoredRates();
+    } catch (error) {
+        logger.warn("Could not read stored exchange rates:", error);
+    }
+
+    const isStale = !stored || now - stored.updatedAt > REFRESH_INTERVAL_MS;
+    if (isStale && !isMockMode()) {
+        try {
+            // Concurrent requests share one refresh
+            refreshInFlight = refreshInFlight || refreshExchangeRates();
+            return await refreshInFlight;
+        } catch (error) {
+            logger.warn("Exchange rate refresh failed, using stored rates:", error.message);
+        } finally {
+            refreshInFlight = null;
+        }
+    }
+
+    const exchangeRates = stored?.exchangeRates || DEFAULT_EXCHANGE_RATES;
+    memoryCache = { exchangeRates, updatedAt: stored?.updatedAt ?? 0, loadedAt: now };
+    return exchangeRates;
+}
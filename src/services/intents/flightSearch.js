@@ -0,0 +1,390 @@
+import ValidationService from "../validation.js";
+import { travelAPI } from "../../api/index.js";
+import {
+    applyFlightFilters,
+    hasActiveFlightFilters,
+    normalizeFlightFilters,
+} from "../../utils/flightFilters.js";
+import logger from "../../utils/logger.js";
+
+const validationService = new ValidationService();
+
+// Metro-area searches cover every airport pair; other searches use the single route
+const searchRoute = (params) =>
+    params.departureAirports || params.arrivalAirports
+        ? travelAPI.searchMetroAreaFlights(params)
+        : travelAPI.searchFlights(params);
+
+/**
+ * Flight Search Intent
+ * Searches outbound and return flights (or multi-city legs), then adds hotels (and requested activities) at the destination
+ */
+export default {
+    name: "flight_search",
+    description:
+        "User wants to search for flights between two cities, one way or with a simple return (even when they also mention what they'll do there)",
+    requiredParams: ["departure", "destination", "outboundDate"],
+    examples: [
+        "Find flights from NYC to Paris",
+        "Book a flight to Tokyo",
+        "flights from bom to lax on august 15th and back on august 17th",
+        "I want to travel from ORD to BOM and go clubbing from august 17th to august 21st",
+    ],
+    parameters: [
+        'flightFilters: filters and sort order for flight results, only the fields mentioned - {"nonstopOnly": true, "maxStops": 1, "includeAirlines": ["Delta"], "excludeAirlines": ["Spirit"], "departureAfter": "HH:MM", "departureBefore": "HH:MM", "arrivalAfter": "HH:MM", "arrivalBefore": "HH:MM", "maxDurationMinutes": 600, "maxLayoverMinutes": 120, "sortBy": "price" | "duration" | "departure" | "arrival" | "emissions"} (e.g. "only nonstop" → {"nonstopOnly": true}, "leaving after 6pm" → {"departureAfter": "18:00"}, "no layovers over 2 hours" → {"maxLayoverMinutes": 120}, "greenest flights first" → {"sortBy": "emissions"}). For a follow-up like "only nonstop" about earlier results, repeat the earlier flight search parameters with these filters',
+        'searchAllAirports: true when the user is happy to use any airport of a city with several (e.g. "any London airport", "anywhere in the New York area", "JFK or Newark is fine") - departure and destination stay the primary airport codes',
+        'flexibleDays: days either side of the requested dates the user could travel (e.g. "give or take a day" → 1, "my dates are flexible" → 2, "what if I leave a day earlier" → 1) - integer between 1-3, only when mentioned',
+    ],
+
+    validate(parameters) {
+        return validationService.validateByIntent("flight_search", parameters);
+    },
+
+    async handle(agent, { parameters, conversationContext, conversationHistory, timeContext }) {
+        try {
+            logger.info("HandleFlightSearch called with parameters:", parameters);
+
+            // Map AI parameters to SerpAPI format
+            const mappedParams = agent.mappingService.mapToSerpAPI(parameters);
+            logger.debug("Original AI parameters:", JSON.stringify(parameters, null, 2));
+            logger.debug("Mapped parameters for SerpAPI:", JSON.stringify(mappedParams, null, 2));
+
+            // Perform outbound flight search with detailed logging
+            logger.info("Starting outbound flight search with mapped params:", mappedParams);
+            const multiCityLegs = mappedParams.multiCityLegs;
+            agent.emitProgress(
+                "searching_flights",
+                multiCityLegs
+                    ? `Searching multi-city flights ${[multiCityLegs[0].departure, ...multiCityLegs.map((leg) => leg.arrival)].join(" → ")}`
+                    : `Searching flights ${mappedParams.departure} → ${mappedParams.arrival}`,
+            );
+            // Multi-city legs come back as linked cards priced as one ticket, with no return search
+            const outboundFlightResults = multiCityLegs
+                ? await travelAPI.searchMultiCityFlights(mappedParams)
+                : await searchRoute(mappedParams);
+            logger.info(
+                `Outbound flight search completed: ${outboundFlightResults.length} results found`,
+            );
+            agent.emitProgress(
+                "flights_found",
+                `Found ${outboundFlightResults.length} outbound flights`,
+                { count: outboundFlightResults.length },
+            );
+            logger.debug(
+                "Outbound flight results:",
+                JSON.stringify(outboundFlightResults, null, 2),
+            );
+
+            const allFlightResults = [...outboundFlightResults];
+
+            // Store return flight params at a higher scope for access in mapping function
+            let returnFlightParams = null;
+
+            // If return date is provided, also search for return flights
+            if (mappedParams.returnDate) {
+                logger.info("========== RETURN FLIGHT SEARCH ==========");
+                logger.info(
+                    `Searching return flights from ${mappedParams.arrival} to ${mappedParams.departure} on ${mappedParams.returnDate}`,
+                );
+
+                try {
+                    // Create return flight parameters by swapping departure and arrival
+                    returnFlightParams = {
+                        ...mappedParams,
+                        departure: mappedParams.arrival, // Swap: destination becomes origin
+                        arrival: mappedParams.departure, // Swap: origin becomes destination
+                        departureAirports: mappedParams.arrivalAirports,
+                        arrivalAirports: mappedParams.departureAirports,
+                        outboundDate: mappedParams.returnDate, // Use return date as outbound date
+                        returnDate: undefined, // Clear return date for one-way return search
+                    };
+
+                    logger.info("Return flight search parameters:", returnFlightParams);
+                    agent.emitProgress(
+                        "searching_flights",
+                        `Searching return flights ${returnFlightParams.departure} → ${returnFlightParams.arrival}`,
+                    );
+
+                    const returnFlightResults = await searchRoute(returnFlightParams);
+                    logger.info(
+                        `Return flight search completed: ${returnFlightResults.length} results found`,
+                    );
+                    agent.emitProgress(
+                        "flights_found",
+                        `Found ${returnFlightResults.length} return flights`,
+                        { count: returnFlightResults.length },
+                    );
+
+                    // Add search context to return flights IMMEDIATELY
+                    // IMPORTANT: Only use fallback for return flights with long/problematic tokens
+                    const returnFlightResultsWithContext = returnFlightResults.map((flightCard) => {
+                        if (flightCard.type === "flight" && flightCard.metadata?.bookingToken) {
+                            // Check if this return flight has a problematic booking token
+                            const hasProblematicToken =
+                                flightCard.metadata.bookingToken.length > 300;
+
+                            // Metro-area cards already carry their own airport pair
+                            const searchContext =
+                                flightCard.metadata.searchContext || returnFlightParams;
+
+                            let fallbackBookingUrl = null;
+                            if (hasProblematicToken) {
+                                // Create fallback Google Flights URL only for problematic tokens
+                                const fallbackParams = new URLSearchParams({
+                                    f: searchContext.departure, // From
+                                    t: searchContext.arrival, // To
+                                    d: searchContext.outboundDate, // Date
+                                    tt: "o", // One-way
+                                    c: searchContext.currency || "USD",
+                                });
+                                fallbackBookingUrl = `https://www.google.com/travel/flights?${fallbackParams.toString()}`;
+                                logger.info(
+                                    `Created fallback URL for return flight with long token (${flightCard.metadata.bookingToken.length} chars)`,
+                                );
+                            }
+
+                            return {
+                                ...flightCard,
+                                metadata: {
+                                    ...flightCard.metadata,
+                                    searchContext,
+                                    isReturnFlight: true,
+                                    usesFallbackBooking: hasProblematicToken, // Only use fallback for problematic tokens
+                                },
+                                externalLinks: fallbackBookingUrl
+                                    ? {
+                                          ...flightCard.externalLinks,
+                                          booking: fallbackBookingUrl,
+                                      }
+                                    : flightCard.externalLinks,
+                            };
+                        }
+                        return flightCard;
+                    });
+
+                    logger.debug(
+                        "Return flight results with context:",
+                        JSON.stringify(returnFlightResultsWithContext, null, 2),
+                    );
+
+                    // Add return flights with context to the results
+                    allFlightResults.push(...returnFlightResultsWithContext);
+                    logger.info(
+                        `Combined flight results: ${allFlightResults.length} total (${outboundFlightResults.length} outbound + ${returnFlightResults.length} return)`,
+                    );
+                } catch (returnFlightError) {
+                    logger.error("Return flight search failed:", returnFlightError);
+                    logger.error("Return flight error details:", {
+                        message: returnFlightError.message,
+                        stack: returnFlightError.stack,
+                    });
+                    // Continue with just outbound flights if return search fails
+                }
+            }
+
+            const flightResults = allFlightResults;
+
+            // Add search context to OUTBOUND flight cards that don't have it yet
+            const flightResultsWithContext = flightResults.map((flightCard, index) => {
+                if (flightCard.type === "flight" && flightCard.metadata?.bookingToken) {
+                    // Return flights already have their context and fallback flag
+                    if (flightCard.metadata.isReturnFlight) {
+                        return flightCard;
+                    }
+
+                    // Metro-area searches set each card's own airports; keep that context
+                    if (flightCard.metadata.searchContext) {
+                        return {
+                            ...flightCard,
+                            metadata: {
+                                ...flightCard.metadata,
+                                isReturnFlight: false,
+                                usesFallbackBooking: false,
+                            },
+                        };
+                    }
+
+                    // OUTBOUND flight - add search context
+                    logger.info(
+                        `Processing outbound flight ${index + 1} - Token length: ${flightCard.metadata.bookingToken.length}`,
+                    );
+
+                    const searchContext = {
+                        departure: mappedParams.departure,
+                        arrival: mappedParams.arrival,
+                        outboundDate: mappedParams.outboundDate,
+                        returnDate: mappedParams.returnDate, // Keep round-trip context for outbound
+                        currency: mappedParams.currency,
+                        adults: mappedParams.adults,
+                        children: mappedParams.children || 0,
+                        travelClass: mappedParams.travelClass,
+                        gl: mappedParams.gl,
+                        hl: mappedParams.hl,
+                    };
+
+                    logger.info(
+                        `Outbound flight search context:`,
+                        JSON.stringify(searchContext, null, 2),
+                    );
+
+                    return {
+                        ...flightCard,
+                        metadata: {
+                            ...flightCard.metadata,
+                            searchContext,
+                            isReturnFlight: false,
+                            usesFallbackBooking: false,
+                        },
+                    };
+                }
+                return flightCard;
+            });
+            logger.info(
+                `Added search context to ${flightResultsWithContext.filter((card) => card.metadata?.searchContext).length} flight cards`,
+            );
+
+            // Let a streaming client show the flights while hotels are still loading
+            agent.emitCards(flightResultsWithContext);
+
+            // Flexible dates: price the surrounding date pairs for a fare calendar
+            let fareCalendar = null;
+            if (parameters.flexibleDays > 0 && !multiCityLegs) {
+                agent.emitProgress("searching_fare_calendar", "Comparing prices on nearby dates");
+                try {
+                    fareCalendar = await travelAPI.searchFareCalendar(
+                        mappedParams,
+                        parameters.flexibleDays,
+                    );
+                    logger.info(
+                        `Fare calendar completed: ${fareCalendar.cells.length} date pairs priced`,
+                    );
+                } catch (error) {
+                    logger.error("Fare calendar search failed:", error);
+                }
+            }
+
+            // Perform real hotel search with optimized approach
+            logger.info("Starting hotel search with original parameters:", parameters);
+            agent.emitProgress("searching_hotels", "Searching hotels at your destination");
+            const hotelResults = await agent.performAutomaticHotelSearch(parameters);
+            logger.info(`Hotel search completed: ${hotelResults.length} results found`);
+            agent.emitProgress("hotels_found", `Found ${hotelResults.length} hotels`, {
+                count: hotelResults.length,
+            });
+            logger.debug("Hotel results:", JSON.stringify(hotelResults, null, 2));
+
+            // Check if specific activities were mentioned - if so, search for activities too
+            let activityResults = [];
+            if (parameters.activities && parameters.activities.length > 0) {
+                logger.info(
+                    "Specific activities mentioned, searching for activity recommendations:",
+                    parameters.activities,
+                );
+
+                const tripPlan = {
+                    destination: parameters.destination,
+                    destinations: [parameters.destination],
+                    outboundDate: parameters.outboundDate,
+                    activities: parameters.activities,
+                };
+
+                try {
+                    agent.emitProgress(
+                        "searching_activities",
+                        `Finding ${parameters.activities.join(", ")}`,
+                    );
+                    activityResults = await agent.createRealActivityCards(
+                        tripPlan,
+                        conversationContext,
+                    );
+                    logger.info(
+                        `Activity search completed: ${activityResults.length} results found`,
+                    );
+                } catch (error) {
+                    logger.error("Activity search failed:", error);
+                }
+            }
+
+            // Filters asked for in chat narrow the flights the reply talks about; every card is
+            // still returned so the filter panel can loosen them again
+            const flightFilters = parameters.flightFilters
+                ? normalizeFlightFilters(parameters.flightFilters)
+                : null;
+            const hasFlightFilters = flightFilters && hasActiveFlightFilters(flightFilters);
+
+            // Handle flight results - use the version with search context
+            const flights = hasFlightFilters
+                ? applyFlightFilters(flightResultsWithContext, flightFilters)
+                : flightResultsWithContext;
+            const hotels = hotelResults;
+            const activities = activityResults;
+
+            // Combine flight, hotel, and activity cards
+            const allCards = [...flightResultsWithContext, ...hotels, ...activities];
+            logger.info(
+                `Total combined cards: ${allCards.length} (${flightResultsWithContext.length} flights + ${hotels.length} hotels + ${activities.length} activities)`,
+            );
+
+            agent.emitCards(allCards);
+            agent.emitProgress("writing_response", "Writing your reply");
+
+            // Generate response with search results
+            const response = await agent.generateFlightHotelResponse(
+                conversationContext.originalMessage || "Flight search request",
+                parameters,
+                flights,
+                hotels,
+                activities,
+                conversationContext,
+                conversationHistory,
+                timeContext,
+            );
+
+            const finalResponse = {
+                type: "response_with_cards",
+                message: response.text,
+                cards: allCards,
+                parameters: parameters,
+                ...(fareCalendar && { fareCalendar }),
+                ...(hasFlightFilters && { flightFilters }),
+            };
+
+            logger.info("Final response prepared with", finalResponse.cards.length, "cards");
+            logger.debug("Final response cards:", JSON.stringify(finalResponse.cards, null, 2));
+
+            // Debug card types in final response
+            const cardTypeCounts = finalResponse.cards.reduce((acc, card) => {
+                acc[card.type] = (acc[card.type] || 0) + 1;
+                return acc;
+            }, {});
+            logger.info("Card type counts in final response:", cardTypeCounts);
+
+            // Debug hotel cards specifically
+            const hotelCards = finalResponse.cards.filter(
+                (card) => card.type === "place" && card.additionalInfo?.hotelId,
+            );
+            logger.info(`Hotel cards in final response: ${hotelCards.length}`);
+            logger.debug(
+                "Hotel cards details:",
+                hotelCards.map((card) => ({
+                    id: card.id,
+                    title: card.title,
+                    hotelId: card.additionalInfo?.hotelId,
+                    hasOffers: card.additionalInfo?.hasOffers,
+                })),
+            );
+
+            return finalResponse;
+        } catch (error) {
+            logger.error("HandleFlightSearch error:", error);
+
+            // Surface API errors directly to users as requested
+            if (error.message && error.message.includes("SerpAPI")) {
+                throw error; // Pass through SerpAPI errors unchanged
+            }
+
+            // For other errors, provide user-friendly message
+            throw new Error(`I encountered an issue searching for flights: ${error.message}`);
+        }
+    },
+};
@@ -0,0 +1,70 @@
+import ValidationService from "../validation.js";
+import logger from "../../utils/logger.js";
+
+const validationService = new ValidationService();
+
+/**
+ * General Question Intent
+ * Answers general travel questions; also the fallback for anything no other intent handles
+ */
+export default {
+    name: "general_question",
+    description: "General travel questions or conversations",
+    requiredParams: [],
+    examples: ["What's the best time to visit Japan?", "Tell me about travel insurance"],
+
+    validate(parameters) {
+        return validationService.validateByIntent("general_question", parameters);
+    },
+
+    async handle(agent, { message, parameters, conversationHistory, timeContext }) {
+        try {
+            logger.info("HandleGeneralQuestion called with message:", message);
+
+            // Build system message with time context
+            const baseSystemMessage = `You are a helpful travel assistant. Answer the user's general travel question with accurate, helpful information.
+                Use web search if needed to provide current information. Be conversational and friendly.
+                Focus on providing practical travel advice and information.
+            `;
+
+            const systemMessage = timeContext
+                ? `${baseSystemMessage}\n\n${timeContext}`
+                : baseSystemMessage;
+
+            // Use OpenAI with web search tools for general questions
+            const completion = await agent.createResponseCompletion({
+                model: agent.model,
+                messages: [
+                    {
+                        role: "system",
+                        content: systemMessage,
+                    },
+                    ...conversationHistory,
+                    {
+                        role: "user",
+                        content: message,
+                    },
+                ],
+                temperature: agent.temperature,
+                max_tokens: agent.maxTokens,
+            });
+
+            const aiResponse = completion.choices[0].message.content;
+            logger.info("General question response generated");
+
+            return {
+                type: "response",
+                message: aiResponse,
+                parameters: parameters,
+            };
+        } catch (error) {
+            logger.error("HandleGeneralQuestion error:", error);
+            return {
+                type: "response",
+                message:
+                    "I'd be happy to help answer your travel question! Could you please rephrase it or provide more details?",
+                parameters: parameters,
+            };
+        }
+    },
+};
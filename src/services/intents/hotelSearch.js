@@ -0,0 +1,114 @@
+import ValidationService from "../validation.js";
+import { extractDestinationCityCode, formatCityName } from "../../utils/airportMapping.js";
+import logger from "../../utils/logger.js";
+
+const validationService = new ValidationService();
+
+/**
+ * Hotel Search Intent
+ * Searches Amadeus hotel offers for a destination city and stay dates
+ */
+export default {
+    name: "hotel_search",
+    description: "User specifically asks for hotels or other accommodation in a destination",
+    requiredParams: ["destination"],
+    examples: [
+        "Show me hotels in Paris",
+        "Find hotels in Tokyo",
+        "Book a hotel in London",
+        "Find accommodation in London",
+    ],
+
+    validate(parameters) {
+        return validationService.validateByIntent("hotel_search", parameters);
+    },
+
+    async handle(agent, { parameters, conversationContext, conversationHistory, timeContext }) {
+        try {
+            logger.info("HandleHotelSearch called with parameters:", parameters);
+
+            // Check if we have dates - if not, ask for them
+            if (!parameters.checkInDate || !parameters.checkOutDate) {
+                logger.info("Missing hotel dates, requesting clarification");
+                const clarificationResponse = await agent.generateHotelDateClarification(
+                    conversationContext.originalMessage || "Hotel search request",
+                    parameters,
+                    conversationContext,
+                    conversationHistory,
+                    timeContext,
+                );
+
+                return {
+                    type: "clarification",
+                    message: clarificationResponse,
+                    parameters: parameters,
+                };
+            }
+
+            // Extract city code from destination
+            const cityCode = extractDestinationCityCode({
+                arrival: parameters.destination,
+            });
+
+            if (!cityCode) {
+                logger.warn(
+                    "Could not extract city code for hotel search from:",
+                    parameters.destination,
+                );
+                return {
+                    type: "clarification",
+                    message: `I'd love to help you find hotels! Could you please specify which city you'd like to search in? For example, you could say "Show me hotels in Paris" or "Find hotels in Tokyo".`,
+                    parameters: parameters,
+                };
+            }
+
+            // Perform hotel search
+            const { searchHotels } = await import("../../api/amadeus/hotelService.js");
+
+            const hotelParams = {
+                cityCode: cityCode,
+                checkInDate: parameters.checkInDate,
+                checkOutDate: parameters.checkOutDate,
+                adults: parameters.adults || 1,
+                filters: {},
+            };
+
+            logger.info("Performing hotel search with params:", hotelParams);
+            agent.emitProgress(
+                "searching_hotels",
+                `Searching hotels in ${formatCityName(cityCode)}`,
+            );
+            const hotelResults = await searchHotels(hotelParams);
+            logger.info("Hotel search results:", hotelResults);
+
+            // Transform hotel results to card format
+            const hotelCards = agent.transformHotelResultsToCards(hotelResults, cityCode);
+            agent.emitProgress("hotels_found", `Found ${hotelCards.length} hotels`, {
+                count: hotelCards.length,
+            });
+            agent.emitCards(hotelCards);
+            agent.emitProgress("writing_response", "Writing your reply");
+
+            // Generate response
+            const response = await agent.generateHotelResponse(
+                conversationContext.originalMessage || "Hotel search request",
+                parameters,
+                hotelCards,
+                cityCode,
+                conversationContext,
+                conversationHistory,
+                timeContext,
+            );
+
+            return {
+                type: "response_with_cards",
+                message: response.text,
+                cards: hotelCards,
+                parameters: parameters,
+            };
+        } catch (error) {
+            logger.error("HandleHotelSearch error:", error);
+            throw new Error(`I encountered an issue searching for hotels: ${error.message}`);
+        }
+    },
+};
@@ -0,0 +1,78 @@
+import flightSearch from "./flightSearch.js";
+import placeSearch from "./placeSearch.js";
+import hotelSearch from "./hotelSearch.js";
+import tripPlanning from "./tripPlanning.js";
+import generalQuestion from "./generalQuestion.js";
+
+/**
+ * Intent Registry
+ * Each intent is a module declaring its name, description, required params, examples,
+ * validator and handler. The AI agent builds its extraction prompt and routing from
+ * whatever is registered here, so adding an intent never requires editing the agent.
+ *
+ * @typedef {Object} IntentDefinition
+ * @property {string} name - Intent name returned by parameter extraction (e.g. "hotel_search")
+ * @property {string} description - One-line description used in the extraction prompt
+ * @property {string[]} requiredParams - Parameters needed before the handler can run
+ * @property {string[]} examples - Example user messages for this intent
+ * @property {string[]} [parameters] - Extra PARAMETERS lines this intent adds to the prompt
+ * @property {string} [promptGuidance] - Extra prompt section (e.g. worked examples)
+ * @property {(parameters: Object) => import("../validation.js").ValidationResult} [validate]
+ * @property {(agent: Object, request: Object) => Promise<Object>} handle - Produces the AI response
+ */
+
+export const DEFAULT_INTENT = "general_question";
+
+const intents = new Map();
+
+/**
+ * Register an intent, replacing any existing intent with the same name
+ * @param {IntentDefinition} definition - Intent module
+ * @returns {IntentDefinition} The registered definition
+ */
+export function registerIntent(definition) {
+    if (!definition || typeof definition.name !== "string" || !definition.name) {
+        throw new Error("Intent definition must have a name");
+    }
+    if (typeof definition.handle !== "function") {
+        throw new Error(`Intent "${definition.name}" must provide a handle function`);
+    }
+
+    const normalized = {
+        description: "",
+        requiredParams: [],
+        examples: [],
+        parameters: [],
+        ...definition,
+    };
+    intents.set(definition.name, normalized);
+    return normalized;
+}
+
+/**
+ * Look up a registered intent
+ * @param {string} name - Intent name
+ * @returns {IntentDefinition|undefined}
+ */
+export function getIntent(name) {
+    return intents.get(name);
+}
+
+/**
+ * Check whether an intent name is registered
+ * @param {string} name - Intent name
+ * @returns {boolean}
+ */
+export function isRegisteredIntent(name) {
+    return typeof name === "string" && intents.has(name);
+}
+
+/**
+ * Get all registered intents in registration order
+ * @returns {IntentDefinition[]}
+ */
+export function getRegisteredIntents() {
+    return [...intents.values()];
+}
+
+[flightSearch, placeSearch, hotelSearch, tripPlanning, generalQuestion].forEach(registerIntent);
@@ -0,0 +1,209 @@
+import ValidationService from "../validation.js";
+import logger from "../../utils/logger.js";
+
+const validationService = new ValidationService();
+
+/**
+ * Place Search Intent
+ * Finds restaurants, attractions and other things to do at a destination
+ */
+export default {
+    name: "place_search",
+    description:
+        "User wants to find places like restaurants, activities, attractions, things to do (NOT hotels), even when dates are mentioned",
+    requiredParams: ["destination"],
+    examples: [
+        "Things to do in Rome",
+        "What can I do in Portugal from august 17th to august 21st",
+        "Activities in Paris",
+        "Attractions in Barcelona",
+        "Show me restaurants in Tokyo",
+    ],
+    promptGuidance: `PLACE SEARCH EXAMPLES:
+            - "Indian restaurants in Munich" → intent: "place_search", destination: "Munich", query: "Indian restaurants", activities: ["Indian restaurants"]
+            - "Italian food in Rome" → intent: "place_search", destination: "Rome", query: "Italian food", activities: ["Italian restaurants"]
+            - "museums in Paris" → intent: "place_search", destination: "Paris", query: "museums", activities: ["museums"]
+            - "things to do in Tokyo" → intent: "place_search", destination: "Tokyo", query: "things to do", activities: ["sightseeing", "attractions"]`,
+
+    validate(parameters) {
+        return validationService.validateByIntent("place_search", parameters);
+    },
+
+    async handle(agent, { parameters, conversationContext, conversationHistory, timeContext }) {
+        try {
+            logger.info("HandlePlaceSearch called with parameters:", parameters);
+
+            // Check if we have a destination
+            if (!parameters.destination) {
+                logger.info("Missing destination, requesting clarification");
+                const clarificationResponse = await agent.generateClarificationResponse(
+                    conversationContext.originalMessage || "Place search request",
+                    parameters,
+                    conversationContext,
+                    conversationHistory,
+                    timeContext,
+                );
+
+                return {
+                    type: "clarification",
+                    message: clarificationResponse,
+                    parameters: parameters,
+                };
+            }
+
+            // Implement place search for activities/attractions
+            logger.info("Implementing place search for activities and attractions");
+
+            // Create a trip plan object for the activity search
+            // Detect if this is a restaurant search and extract cuisine type
+            const originalMessage = conversationContext.originalMessage || "";
+            const lowerMessage = originalMessage.toLowerCase();
+            const isRestaurantSearch =
+                lowerMessage.includes("restaurant") ||
+                lowerMessage.includes("food") ||
+                lowerMessage.includes("dining") ||
+                lowerMessage.includes("eat") ||
+                lowerMessage.includes("cuisine");
+
+            // Extract specific cuisine type if mentioned (e.g., "Indian restaurants", "Italian food", "Chinese cuisine")
+            let activities = parameters.activities || [];
+
+            logger.info("DEBUG - Place search parameters:", parameters);
+            logger.info("DEBUG - Original message:", originalMessage);
+            logger.info("DEBUG - Is restaurant search?", isRestaurantSearch);
+
+            // If we have a specific query from the AI extraction, check if it contains cuisine info
+            if (parameters.query) {
+                // Even with a query, extract specific cuisine types for better results
+                const queryLower = parameters.query.toLowerCase();
+                const cuisinePatterns = [
+                    "indian",
+                    "italian",
+                    "chinese",
+                    "japanese",
+                    "thai",
+                    "mexican",
+                    "french",
+                    "korean",
+                    "vietnamese",
+                    "mediterranean",
+                    "greek",
+                    "spanish",
+                    "american",
+                    "seafood",
+                    "steakhouse",
+                    "vegetarian",
+                    "vegan",
+                    "sushi",
+                    "pizza",
+                    "burgers",
+                    "bbq",
+                    "barbecue",
+                    "german",
+                ];
+
+                const mentionedCuisines = cuisinePatterns.filter((cuisine) =>
+                    queryLower.includes(cuisine),
+                );
+
+                if (mentionedCuisines.length > 0) {
+                    // Use the specific cuisine + restaurants format
+                    activities = mentionedCuisines.map((c) => `${c} restaurants`);
+                    logger.info("DEBUG - Extracted cuisine from query:", activities);
+                } else {
+                    // Use the query as-is
+                    activities = [parameters.query];
+                    logger.info("DEBUG - Using query as-is:", activities);
+                }
+            } else if (isRestaurantSearch) {
+                // Check for specific cuisine types
+                const cuisinePatterns = [
+                    "indian",
+                    "italian",
+                    "chinese",
+                    "japanese",
+                    "thai",
+                    "mexican",
+                    "french",
+                    "korean",
+                    "vietnamese",
+                    "mediterranean",
+                    "greek",
+                    "spanish",
+                    "american",
+                    "seafood",
+                    "steakhouse",
+                    "vegetarian",
+                    "vegan",
+                    "sushi",
+                    "pizza",
+                    "burgers",
+                    "bbq",
+                    "barbecue",
+                    "german",
+                ];
+
+                const mentionedCuisines = cuisinePatterns.filter((cuisine) =>
+                    lowerMessage.includes(cuisine),
+                );
+
+                logger.info("DEBUG - Mentioned cuisines found:", mentionedCuisines);
+
+                if (mentionedCuisines.length > 0) {
+                    // If specific cuisine mentioned, use it
+                    activities = mentionedCuisines.map((c) => `${c} restaurants`);
+                    logger.info("DEBUG - Using specific cuisine activities:", activities);
+                } else {
+                    // Generic restaurant search
+                    activities = ["restaurants", "dining", "food"];
+                    logger.info("DEBUG - Using generic restaurant activities:", activities);
+                }
+            } else {
+                // Non-restaurant activities
+                activities =
+                    activities.length > 0
+                        ? activities
+                        : ["sightseeing", "attractions", "things to do"];
+            }
+
+            const tripPlan = {
+                destination: parameters.destination,
+                destinations: [parameters.destination],
+                outboundDate: parameters.checkInDate || parameters.outboundDate,
+                activities: activities,
+            };
+
+            logger.info("DEBUG - Final tripPlan for activity search:", tripPlan);
+            logger.info("DEBUG - Activities being passed:", activities);
+
+            // Use the existing createRealActivityCards method
+            agent.emitProgress("searching_places", `Searching places in ${parameters.destination}`);
+            const results = await agent.createRealActivityCards(tripPlan, conversationContext);
+            agent.emitProgress("places_found", `Found ${results.length} places`, {
+                count: results.length,
+            });
+            agent.emitCards(results);
+            agent.emitProgress("writing_response", "Writing your reply");
+
+            // Generate response with search results
+            const response = await agent.generateResponseWithResults(
+                conversationContext.originalMessage || "Place search request",
+                parameters,
+                results,
+                conversationContext,
+                conversationHistory,
+                timeContext,
+            );
+
+            return {
+                type: "response_with_cards",
+                message: response.text,
+                cards: results,
+                parameters: parameters,
+            };
+        } catch (error) {
+            logger.error("HandlePlaceSearch error:", error);
+            throw new Error(`I encountered an issue searching for places: ${error.message}`);
+        }
+    },
+};
@@ -0,0 +1,120 @@
+import ValidationService from "../validation.js";
+import logger from "../../utils/logger.js";
+
+const validationService = new ValidationService();
+
+/**
+ * Trip Planning Intent
+ * Plans multi-destination trips across flights, hotels, rental cars and activities
+ */
+export default {
+    name: "trip_planning",
+    description:
+        "User wants to plan a complex multi-destination trip with 3+ destinations, multiple transportation modes, or a return from a different city than the outbound destination (NOT simple round-trip flights)",
+    requiredParams: ["destinations"],
+    examples: [
+        "I want to go to LAX then drive to Yosemite and fly back from SFO",
+        "Plan a trip from NYC to Boston then rental car to Cape Cod",
+        "Multi-city trip with flights and car rental",
+        "LAX to ORD then fly back from Madison to LAX",
+    ],
+
+    validate(parameters) {
+        return validationService.validateByIntent("trip_planning", parameters);
+    },
+
+    async handle(agent, { parameters, conversationContext, conversationHistory, timeContext }) {
+        try {
+            logger.info("HandleTripPlanning called with parameters:", parameters);
+
+            // Parse the complex trip planning request
+            agent.emitProgress("planning_trip", "Working out the legs of your trip");
+            const tripPlan = await agent.parseTripPlanningRequest(
+                conversationContext.originalMessage || "Trip planning request",
+                parameters,
+                conversationHistory,
+                timeContext,
+            );
+
+            if (!tripPlan.isValid) {
+                logger.info("Trip planning request needs clarification");
+                return {
+                    type: "clarification",
+                    message: tripPlan.clarificationMessage,
+                    parameters: parameters,
+                };
+            }
+
+            // Execute multi-service search for comprehensive trip planning
+            logger.info("Executing comprehensive trip search for:", tripPlan);
+            agent.emitProgress(
+                "searching_trip",
+                "Searching flights, hotels, rental cars and activities for your trip",
+            );
+            const tripResults = await agent.executeComprehensiveTripSearch(
+                {
+                    ...tripPlan,
+                    flightSegments: tripPlan.flightSegments || parameters.flightSegments,
+                },
+                conversationContext,
+            );
+
+            // Log trip results summary
+            logger.info("Trip results received:", {
+                flights: tripResults.flights?.length || 0,
+                hotels: tripResults.hotels?.length || 0,
+                rentalCars: tripResults.rentalCars?.length || 0,
+                activities: tripResults.activities?.length || 0,
+            });
+
+            agent.emitProgress(
+                "trip_results_found",
+                `Found ${tripResults.flights?.length || 0} flights, ${tripResults.hotels?.length || 0} hotels and ${tripResults.activities?.length || 0} activities`,
+            );
+            agent.emitCards([
+                ...(tripResults.flights || []),
+                ...(tripResults.hotels || []),
+                ...(tripResults.rentalCars || []),
+                ...(tripResults.activities || []),
+            ]);
+            agent.emitProgress("writing_response", "Writing your reply");
+
+            // Generate comprehensive trip planning response
+            const response = await agent.generateTripPlanningResponse(
+                conversationContext.originalMessage || "Trip planning request",
+                parameters,
+                tripResults,
+                conversationContext,
+                conversationHistory,
+                timeContext,
+            );
+
+            // Combine all result cards (flights, hotels, cars, activities)
+            const allCards = [
+                ...(tripResults.flights || []),
+                ...(tripResults.hotels || []),
+                ...(tripResults.rentalCars || []),
+                ...(tripResults.activities || []),
+            ];
+
+            // Log final cards summary
+            logger.info("Final cards being returned:", {
+                total: allCards.length,
+                types: allCards.reduce((acc, card) => {
+                    acc[card.type] = (acc[card.type] || 0) + 1;
+                    return acc;
+                }, {}),
+            });
+
+            return {
+                type: "response_with_cards",
+                message: response.text,
+                cards: allCards,
+                parameters: parameters,
+            };
+        } catch (error) {
+            logger.error("HandleTripPlanning error:", error);
+            throw new Error(`I encountered an issue planning your trip: ${error.message}`);
+        }
+    },
+};
@@ -0,0 +1,258 @@
+/**
+ * Itinerary Document - Printable, self-contained HTML for a saved itinerary
+ * Cover page, bookings with confirmation numbers, a day-by-day schedule with notes and booking
+ * links, and the best-price cost breakdown. The HTML has no external assets so a downloaded
+ * copy works offline, and its print stylesheet makes "Save as PDF" produce a clean document.
+ */
+
+import { buildItineraryTimeline, buildTimelineEntries } from "../utils/itineraryTimeline.js";
+import { calculateCostBreakdown, formatCurrency } from "../utils/costBreakdown.js";
+import { formatEmissions } from "../utils/emissions.js";
+import { convertCards, getConversionRateDate } from "../utils/currency.js";
+
+const KIND_ICONS = { flight: "✈️", stay: "🏨", activity: "🎯" };
+
+const STYLES = `
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2937; margin: 0; padding: 2rem; line-height: 1.45; }
+    h1, h2, h3 { color: #111827; margin: 0 0 0.5rem 0; }
+    .cover { min-height: 90vh; display: flex; flex-direction: column; justify-content: center; text-align: center; page-break-after: always; }
+    .cover h1 { font-size: 2.5rem; }
+    .cover .meta { color: #4b5563; font-size: 1.1rem; }
+    section { margin-bottom: 2rem; }
+    .day { border-left: 4px solid #2563eb; padding: 0.25rem 0 0.25rem 1rem; margin-bottom: 1.25rem; page-break-inside: avoid; }
+    .entry { display: flex; gap: 0.75rem; padding: 0.35rem 0; }
+    .entry .time { width: 8rem; flex-shrink: 0; color: #4b5563; font-variant-numeric: tabular-nums; }
+    .subtitle, .muted { color: #6b7280; font-size: 0.9rem; }
+    .notes { background: #f3f4f6; border-radius: 4px; padding: 0.35rem 0.5rem; margin-top: 0.25rem; white-space: pre-wrap; font-size: 0.9rem; }
+    .link { font-size: 0.8rem; word-break: break-all; color: #2563eb; }
+    .warning { color: #92400e; font-size: 0.9rem; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    td.amount, th.amount { text-align: right; font-variant-numeric: tabular-nums; }
+    tfoot td { font-weight: 700; border-bottom: none; }
+    @media print {
+        body { padding: 0; }
+        .link { color: #1f2937; }
+        @page { margin: 1.5cm; }
+    }
+`;
+
+const escapeHtml = (value) =>
+    String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+
+const formatDay = (date) =>
+    new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", {
+        weekday: "long",
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+        timeZone: "UTC",
+    });
+
+const getBookingLink = (card) =>
+    card.externalLinks?.booking || card.bookingUrl || card.externalLinks?.maps || null;
+
+const renderLink = (url) =>
+    url ? `<div class="link"><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></div>` : "";
+
+const describeTime = (entry) => {
+    if (entry.kind === "flight") {
+        if (!entry.startTime) return "";
+        const arrivesNextDay = entry.endDate && entry.endDate !== entry.date;
+        return `${entry.startTime} → ${entry.endTime || "?"}${arrivesNextDay ? " (+1)" : ""}`;
+    }
+    if (entry.kind === "stay") {
+        return entry.event === "check_in" ? "Check-in" : "Check-out";
+    }
+    return entry.startTime || "";
+};
+
+function renderEntry(entry, confirmations) {
+    const confirmation = confirmations.get(entry.itemId);
+    return `
+        <div class="entry">
+            <div class="time">${escapeHtml(describeTime(entry))}</div>
+            <div>
+                <strong>${KIND_ICONS[entry.kind] || ""} ${escapeHtml(entry.title)}</strong>
+                ${entry.subtitle ? `<div class="subtitle">${escapeHtml(entry.subtitle)}</div>` : ""}
+                ${confirmation ? `<div>Confirmation: <strong>${escapeHtml(confirmation)}</strong></div>` : ""}
+                ${entry.notes && entry.event !== "check_out" ? `<div class="notes">${escapeHtml(entry.notes)}</div>` : ""}
+                ${entry.event === "check_out" ? "" : renderLink(getBookingLink(entry.card))}
+            </div>
+        </div>`;
+}
+
+function renderSchedule(timeline, confirmations) {
+    const days = timeline.days
+        .map(
+            (day) => `
+        <div class="day">
+            <h3>Day ${day.dayNumber} · ${escapeHtml(formatDay(day.date))}</h3>
+            ${day.entries.map((entry) => renderEntry(entry, confirmations)).join("")}
+            ${day.stays
+                .map(
+                    (stay) =>
+                        `<div class="muted">🛏️ Night ${stay.night} of ${stay.nights} at ${escapeHtml(stay.title)}</div>`,
+                )
+                .join("")}
+            ${day.entries.length === 0 && day.stays.length === 0 ? `<div class="muted">Nothing planned</div>` : ""}
+            ${day.warnings.map((warning) => `<div class="warning">⚠️ ${escapeHtml(warning.message)}</div>`).join("")}
+        </div>`,
+        )
+        .join("");
+
+    const unscheduled = timeline.unscheduled.length
+        ? `
+        <div class="day">
+            <h3>Not scheduled</h3>
+            ${timeline.unscheduled.map((entry) => renderEntry(entry, confirmations)).join("")}
+        </div>`
+        : "";
+
+    return `<section><h2>Day-by-day schedule</h2>${days}${unscheduled}</section>`;
+}
+
+function renderBookings(bookings) {
+    if (bookings.length === 0) return "";
+    const rows = bookings
+        .map(
+            (booking) => `
+            <tr>
+                <td>${escapeHtml(booking.hotelName)}</td>
+                <td>${escapeHtml(booking.checkInDate)} → ${escapeHtml(booking.checkOutDate)}</td>
+                <td>${escapeHtml(booking.guestName)}</td>
+                <td><strong>${escapeHtml(booking.confirmationNumber || booking.providerBookingId)}</strong></td>
+                <td>${escapeHtml(booking.status)}</td>
+                <td class="amount">${booking.totalPrice != null ? escapeHtml(formatCurrency(booking.totalPrice, booking.currency)) : ""}</td>
+            </tr>`,
+        )
+        .join("");
+
+    return `
+        <section>
+            <h2>Bookings</h2>
+            <table>
+                <thead>
+                    <tr><th>Hotel</th><th>Dates</th><th>Guest</th><th>Confirmation</th><th>Status</th><th class="amount">Total</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </section>`;
+}
+
+function renderEmissions(emissions) {
+    if (emissions.flightCount === 0) return "";
+
+    const missing =
+        emissions.missingCount > 0
+            ? ` ${emissions.missingCount} flight${emissions.missingCount > 1 ? "s have" : " has"} no estimate and ${emissions.missingCount > 1 ? "are" : "is"} not included.`
+            : "";
+    return `<p>Flight emissions: <strong>${escapeHtml(formatEmissions(emissions.kg))}</strong> (Google Flights estimate).${missing}</p>`;
+}
+
+function renderCosts(cards, currency, exchangeRates) {
+    const convertedCards = convertCards(cards, currency, exchangeRates);
+    const breakdown = calculateCostBreakdown(convertedCards);
+    if (breakdown.total <= 0) return "";
+
+    const rateDate = getConversionRateDate(convertedCards);
+
+    const rows = [
+        ["Flights", breakdown.flights],
+        ["Hotels", breakdown.hotels],
+        ["Activities", breakdown.activities],
+        ["Car rentals", breakdown.rentalCars],
+    ]
+        .filter(([, category]) => category.count > 0)
+        .map(
+            ([label, category]) => `
+            <tr>
+                <td>${label}</td>
+                <td>${escapeHtml(category.cheapest?.title || "")}</td>
+                <td class="amount">${escapeHtml(formatCurrency(category.total, breakdown.currency))}</td>
+            </tr>`,
+        )
+        .join("");
+
+    return `
+        <section>
+            <h2>Estimated cost (best price)</h2>
+            <table>
+                <thead><tr><th>Category</th><th>Cheapest option</th><th class="amount">Amount</th></tr></thead>
+                <tbody>${rows}</tbody>
+                <tfoot><tr><td colspan="2">Total</td><td class="amount">${escapeHtml(formatCurrency(breakdown.total, breakdown.currency))}</td></tr></tfoot>
+            </table>
+            ${rateDate ? `<p class="muted">Converted to ${escapeHtml(currency)} at exchange rates from ${escapeHtml(rateDate)}.</p>` : ""}
+            ${renderEmissions(breakdown.emissions)}
+        </section>`;
+}
+
+/**
+ * Render an itinerary as a printable HTML document
+ * @param {Object} itinerary - Itinerary with items (cardData JSON strings)
+ * @param {Object} [options]
+ * @param {Object[]} [options.bookings] - HotelBooking rows for the itinerary
+ * @param {string} [options.travelerName] - Shown on the cover page
+ * @param {Date} [options.generatedAt] - Timestamp shown on the cover page
+ * @param {string} [options.currency] - Currency for the cost breakdown
+ * @param {Object} [options.exchangeRates] - Rate table (see utils/currency.js)
+ * @returns {string} Complete HTML document
+ */
+export function renderItineraryDocument(
+    itinerary,
+    {
+        bookings = [],
+        travelerName,
+        generatedAt = new Date(),
+        currency = itinerary.currency || "USD",
+        exchangeRates,
+    } = {},
+) {
+    const timeline = buildItineraryTimeline(itinerary);
+    const cards = buildTimelineEntries(itinerary).map((entry) => entry.card);
+
+    // Confirmation numbers by itinerary item, for bookings tied to a saved card
+    const confirmations = new Map(
+        bookings
+            .filter((booking) => booking.itineraryItemId)
+            .map((booking) => [
+                booking.itineraryItemId,
+                booking.confirmationNumber || booking.providerBookingId,
+            ]),
+    );
+
+    const dateRange =
+        timeline.startDate && timeline.endDate
+            ? `${formatDay(timeline.startDate)} – ${formatDay(timeline.endDate)}`
+            : "Dates to be decided";
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(itinerary.title)}</title>
+    <style>${STYLES}</style>
+</head>
+<body>
+    <div class="cover">
+        <h1>${escapeHtml(itinerary.title)}</h1>
+        ${itinerary.destination ? `<div class="meta">${escapeHtml(itinerary.destination)}</div>` : ""}
+        <div class="meta">${escapeHtml(dateRange)}</div>
+        ${travelerName ? `<div class="meta">Prepared for ${escapeHtml(travelerName)}</div>` : ""}
+        ${itinerary.description ? `<p>${escapeHtml(itinerary.description)}</p>` : ""}
+        <p class="muted">${timeline.days.length} days · ${cards.length} saved items · Generated ${escapeHtml(generatedAt.toUTCString())}</p>
+    </div>
+    ${renderBookings(bookings)}
+    ${renderSchedule(timeline, confirmations)}
+    ${renderCosts(cards, currency, exchangeRates)}
+</body>
+</html>
+`;
+}
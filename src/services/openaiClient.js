@@ -0,0 +1,26 @@
+import OpenAI from "openai";
+import { isMockMode } from "../config/environment.js";
+import { createMockOpenAI } from "../api/testing/mockOpenAI.js";
+
+/**
+ * Create the OpenAI client for server code
+ * Returns the fixture-backed mock when TRAVEL_API_MODE=mock, so no key or network is needed.
+ * @returns {OpenAI|Object} OpenAI SDK client or mock with the same chat/audio surface
+ */
+export function createOpenAIClient() {
+    if (isMockMode()) {
+        return createMockOpenAI();
+    }
+
+    return new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+    });
+}
+
+/**
+ * Check whether OpenAI calls can be made (a key is set or mock mode is on)
+ * @returns {boolean}
+ */
+export function isOpenAIAvailable() {
+    return isMockMode() || !!process.env.OPENAI_API_KEY;
+}
@@ -1,4 +1,6 @@
 import { TravelAPIError } from "../api/utils/errors.js";
+import { getMetroAirports } from "../utils/airportMapping.js";
+import { isKnownAirportCode, resolveAirportCode } from "./airportDirectory.js";
 
 // API mapping configurations for different travel APIs
 const API_MAPPINGS = {
@@ -78,6 +80,20 @@ export default class ParameterMappingService {
         // Apply parameter mappings
         const mappedParams = {};
 
+        // Multi-city trips: every leg goes to SerpAPI in one search, and the first leg stands in
+        // for the single-route fields that validation and search context expect
+        if (intent === "flight_search" && aiParameters.flightSegments?.length > 1) {
+            const legs = this.mapFlightSegments(aiParameters.flightSegments);
+            mappedParams.multiCityLegs = legs;
+            aiParameters = {
+                ...aiParameters,
+                departure: aiParameters.departure || legs[0].departure,
+                destination: aiParameters.destination || legs[0].arrival,
+                outboundDate: aiParameters.outboundDate || legs[0].date,
+                returnDate: undefined,
+            };
+        }
+
         // Map each parameter according to the configuration
         Object.entries(mapping.parameterMap).forEach(([aiParam, apiParam]) => {
             if (aiParameters[aiParam] !== undefined) {
@@ -109,6 +125,17 @@ export default class ParameterMappingService {
                 mappedParams.arrival = mappedParams.arrival.toUpperCase().trim();
             }
 
+            // Catch misspelled or made-up codes before they reach the API
+            ["departure", "arrival"].forEach((field) => {
+                if (mappedParams[field] && !isKnownAirportCode(mappedParams[field])) {
+                    throw new TravelAPIError(
+                        "INVALID_PARAMS",
+                        `Unknown ${field} airport: ${mappedParams[field]}`,
+                        "ParameterMapping",
+                    );
+                }
+            });
+
             // Validate date formats
             if (
                 mappedParams.outboundDate &&
@@ -125,11 +152,61 @@ export default class ParameterMappingService {
             if (mappedParams.adults && typeof mappedParams.adults !== "number") {
                 mappedParams.adults = parseInt(mappedParams.adults) || 1;
             }
+
+            // Metro-area mode: search every airport of the departure and arrival cities
+            if (aiParameters.searchAllAirports && !mappedParams.multiCityLegs) {
+                const departureAirports = getMetroAirports(aiParameters.departure);
+                const arrivalAirports = getMetroAirports(aiParameters.destination);
+                if (departureAirports.length > 1) {
+                    mappedParams.departureAirports = departureAirports;
+                }
+                if (arrivalAirports.length > 1) {
+                    mappedParams.arrivalAirports = arrivalAirports;
+                }
+            }
         }
 
         return mappedParams;
     }
 
+    /**
+     * Maps AI-extracted flight segments to SerpAPI multi-city legs
+     * @param {Array<{from: string, to: string, date: string}>} segments - Legs in travel order
+     * @returns {Array<{departure: string, arrival: string, date: string}>} - Legs with IATA codes
+     */
+    mapFlightSegments(segments) {
+        const dateOf = (segment) => segment.date || segment.outboundDate;
+        return segments.map((segment, index) => {
+            const departure = this.normalizeAirportCode(segment.from || segment.departure);
+            const arrival = this.normalizeAirportCode(segment.to || segment.arrival);
+            const date = dateOf(segment);
+
+            if (!isKnownAirportCode(departure) || !isKnownAirportCode(arrival)) {
+                throw new TravelAPIError(
+                    "INVALID_PARAMS",
+                    `Flight leg ${index + 1} needs known airports, got ${departure} → ${arrival}`,
+                    "ParameterMapping",
+                );
+            }
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+                throw new TravelAPIError(
+                    "INVALID_PARAMS",
+                    `Invalid date for flight leg ${index + 1}: ${date}. Must be YYYY-MM-DD`,
+                    "ParameterMapping",
+                );
+            }
+            if (index > 0 && date < dateOf(segments[index - 1])) {
+                throw new TravelAPIError(
+                    "INVALID_PARAMS",
+                    `Flight leg ${index + 1} departs before the leg before it`,
+                    "ParameterMapping",
+                );
+            }
+
+            return { departure, arrival, date };
+        });
+    }
+
     /**
      * Validates that mapped parameters meet API requirements
      * @param {Object} mappedParams - API-specific parameters after mapping
@@ -225,66 +302,29 @@ export default class ParameterMappingService {
     /**
      * Normalizes airport codes - converts city names to IATA codes
      * @param {string} location - Location string (airport code or city name)
-     * @returns {string} - Normalized IATA airport code
+     * @returns {string} - Normalized IATA airport or metro code; unknown locations are returned
+     *   uppercased
      */
     normalizeAirportCode(location) {
         if (!location || typeof location !== "string") {
             return location;
         }
 
-        const cleaned = location.toLowerCase().trim();
-
-        // Common city name to primary airport code mappings
-        const CITY_TO_AIRPORT_MAP = {
-            paris: "CDG",
-            london: "LHR",
-            "new york": "JFK",
-            "los angeles": "LAX",
-            chicago: "ORD",
-            "san francisco": "SFO",
-            miami: "MIA",
-            dallas: "DFW",
-            houston: "IAH",
-            atlanta: "ATL",
-            boston: "BOS",
-            seattle: "SEA",
-            denver: "DEN",
-            "las vegas": "LAS",
-            phoenix: "PHX",
-            tokyo: "NRT",
-            amsterdam: "AMS",
-            frankfurt: "FRA",
-            rome: "FCO",
-            madrid: "MAD",
-            barcelona: "BCN",
-            berlin: "BER",
-            munich: "MUC",
-            dubai: "DXB",
-            singapore: "SIN",
-            "hong kong": "HKG",
-            sydney: "SYD",
-            melbourne: "MEL",
-            toronto: "YYZ",
-            vancouver: "YVR",
-            portugal: "LIS", // Lisbon - main Portugal airport
-            lisbon: "LIS",
-            porto: "OPO",
-            madison: "MSN", // Madison, Wisconsin
-            milwaukee: "MKE", // Milwaukee, Wisconsin
-        };
-
-        // Check if it's a city name that needs conversion
-        if (CITY_TO_AIRPORT_MAP[cleaned]) {
-            return CITY_TO_AIRPORT_MAP[cleaned];
-        }
-
-        // If already looks like an airport code (3 letters), return uppercase
+        // Known airport and metro codes in capitals ("NYC" searches every New York airport) pass
+        // through
         const upper = location.toUpperCase().trim();
-        if (upper.length === 3 && /^[A-Z]{3}$/.test(upper)) {
+        if (location.trim() === upper && isKnownAirportCode(upper)) {
             return upper;
         }
 
-        // For anything else, return as-is (will be validated later)
+        // ICAO code, city name, alias or lowercase code known to the airport directory
+        // ("Goa" → GOI, "okc" → OKC)
+        const resolved = resolveAirportCode(location);
+        if (resolved) {
+            return resolved;
+        }
+
+        // For anything else, return as-is (rejected in mapToSerpAPI)
         return upper;
     }
 }
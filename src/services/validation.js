@@ -1,4 +1,5 @@
 import logger from "../utils/logger.js";
+import { resolveAirportCode, searchAirports } from "./airportDirectory.js";
 
 /**
  * @typedef {Object} ValidationResult
@@ -52,6 +53,8 @@ export default class ValidationService {
             suggestions.push("Please specify where you want to fly from");
         } else if (typeof params.departure !== "string") {
             errors.push("Departure must be a valid location or airport code");
+        } else {
+            this.validateAirportLocation(params.departure, "Departure", errors, suggestions);
         }
 
         // Validate destination (will be mapped to arrival)
@@ -60,6 +63,8 @@ export default class ValidationService {
             suggestions.push("Please specify where you want to fly to");
         } else if (typeof params.destination !== "string") {
             errors.push("Destination must be a valid location or airport code");
+        } else {
+            this.validateAirportLocation(params.destination, "Destination", errors, suggestions);
         }
 
         // Validate outbound date
@@ -180,6 +185,10 @@ export default class ValidationService {
                 return this.validateFlightParameters(parameters);
             case "place_search":
                 return this.validatePlaceSearchParameters(parameters);
+            case "hotel_search":
+                return this.validateHotelSearchParameters(parameters);
+            case "trip_planning":
+                return this.validateTripPlanningParameters(parameters);
             case "general_question":
                 return this.validateGeneralQuestionParameters(parameters);
             default:
@@ -221,6 +230,74 @@ export default class ValidationService {
         };
     }
 
+    /**
+     * Validates hotel search parameters
+     * Missing stay dates are only warnings - the hotel intent asks for them itself
+     * @param {Object} params - AI-extracted parameters
+     * @returns {ValidationResult} - Validation result
+     */
+    validateHotelSearchParameters(params) {
+        const errors = [];
+        const warnings = [];
+        const suggestions = [];
+
+        if (!params) {
+            errors.push("No parameters provided");
+            return { isValid: false, errors, warnings, suggestions };
+        }
+
+        if (!params.destination) {
+            errors.push("Destination city is required");
+            suggestions.push("Please specify which city you'd like to stay in");
+        }
+
+        if (!params.checkInDate || !params.checkOutDate) {
+            warnings.push("Check-in and check-out dates are missing");
+        } else if (
+            !this.datePattern.test(params.checkInDate) ||
+            !this.datePattern.test(params.checkOutDate)
+        ) {
+            errors.push("Hotel dates must be in YYYY-MM-DD format");
+        } else if (params.checkOutDate <= params.checkInDate) {
+            errors.push("Check-out date must be after check-in date");
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            warnings,
+            suggestions,
+        };
+    }
+
+    /**
+     * Validates trip planning parameters
+     * The trip planner parses the full request itself, so only obvious gaps are reported
+     * @param {Object} params - AI-extracted parameters
+     * @returns {ValidationResult} - Validation result
+     */
+    validateTripPlanningParameters(params) {
+        const errors = [];
+        const warnings = [];
+        const suggestions = [];
+
+        if (!params) {
+            errors.push("No parameters provided");
+            return { isValid: false, errors, warnings, suggestions };
+        }
+
+        if (!Array.isArray(params.destinations) || params.destinations.length === 0) {
+            warnings.push("No destinations extracted - trip planner will parse the message");
+        }
+
+        return {
+            isValid: true,
+            errors,
+            warnings,
+            suggestions,
+        };
+    }
+
     /**
      * Validates place search parameters (enhanced from existing logic)
      * @param {Object} params - AI-extracted parameters
@@ -326,6 +403,43 @@ export default class ValidationService {
         }
     }
 
+    /**
+     * Helper method to check a departure or destination against the airport directory, so a
+     * misspelled city or a made-up airport code is reported with suggestions instead of being
+     * sent to the flight API
+     * @param {string} location - Airport code, city name or alias
+     * @param {string} label - "Departure" or "Destination"
+     * @param {string[]} errors - Collected error messages
+     * @param {string[]} suggestions - Collected suggestions
+     */
+    validateAirportLocation(location, label, errors, suggestions) {
+        if (location.includes("ERROR:") || location.includes("Cannot determine")) {
+            errors.push(`${label} could not be determined`);
+            suggestions.push(`Please specify the ${label.toLowerCase()} city or airport`);
+            return;
+        }
+        if (resolveAirportCode(location)) {
+            return;
+        }
+
+        const looksLikeCode = this.iataCodePattern.test(location.trim());
+        errors.push(
+            looksLikeCode
+                ? `${label} airport code ${location.trim()} is not a known airport`
+                : `${label} "${location}" does not match a known airport`,
+        );
+
+        const candidates = searchAirports(location, { limit: 3 });
+        if (candidates.length > 0) {
+            const names = candidates.map((airport) => `${airport.city} (${airport.iata})`);
+            suggestions.push(`Did you mean ${names.join(", ")}?`);
+        } else {
+            suggestions.push(
+                `Please give the ${label.toLowerCase()} as a city name or airport code`,
+            );
+        }
+    }
+
     /**
      * Helper method to validate date string
      * @param {string} dateString - Date in YYYY-MM-DD format
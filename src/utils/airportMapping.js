@@ -1,84 +1,29 @@
-// Minimal airport to city code mapping for hotel search only
-const HOTEL_CITY_MAP = {
-    // Major airport codes to hotel city codes
-    JFK: "NYC",
-    LGA: "NYC",
-    EWR: "NYC", // New York
-    ORD: "CHI",
-    MDW: "CHI", // Chicago
-    SJC: "SFO",
-    OAK: "SFO", // San Francisco Bay Area
-    DFW: "DFW",
-    DAL: "DFW", // Dallas
-    IAH: "HOU",
-    HOU: "HOU", // Houston
-    IAD: "WAS",
-    DCA: "WAS",
-    BWI: "WAS", // Washington DC
-    LHR: "LON",
-    LGW: "LON",
-    STN: "LON",
-    LTN: "LON", // London
-    CDG: "PAR",
-    ORY: "PAR", // Paris
-    FCO: "ROM",
-    CIA: "ROM", // Rome
-    MXP: "MIL",
-    LIN: "MIL", // Milan
-    NRT: "TYO",
-    HND: "TYO", // Tokyo
-    PVG: "SHA",
-    SHA: "SHA", // Shanghai
-    YYZ: "YTO",
-    YUL: "YMQ", // Canada
-    GRU: "SAO",
-    GIG: "RIO",
-    EZE: "BUE", // South America
-    ARN: "STO", // Stockholm
-    LIS: "LIS", // Lisbon
-    OPO: "OPO", // Porto
-    // Major Indian airports
-    BOM: "BOM", // Mumbai
-    DEL: "DEL", // Delhi
-    BLR: "BLR", // Bangalore
-    MAA: "MAA", // Chennai
-    CCU: "CCU", // Kolkata
-    HYD: "HYD", // Hyderabad
-};
+import {
+    getAirport,
+    getMetroAirportCodes,
+    getMetroCode,
+    resolveAirportCode,
+} from "../services/airportDirectory.js";
 
-// Common city names to city codes for hotel search
-const HOTEL_CITY_NAME_MAP = {
-    "new york": "NYC",
-    chicago: "CHI",
-    "san francisco": "SFO",
-    dallas: "DFW",
-    houston: "HOU",
-    washington: "WAS",
-    "washington dc": "WAS",
-    london: "LON",
-    paris: "PAR",
-    rome: "ROM",
-    milan: "MIL",
-    tokyo: "TYO",
-    shanghai: "SHA",
-    toronto: "YTO",
-    montreal: "YMQ",
-    "sao paulo": "SAO",
-    "são paulo": "SAO",
-    "rio de janeiro": "RIO",
-    "buenos aires": "BUE",
-    stockholm: "STO",
-    portugal: "LIS", // Default Portugal to Lisbon
-    lisbon: "LIS",
-    porto: "OPO",
-    // Major Indian cities
-    mumbai: "BOM",
-    delhi: "DEL",
-    bangalore: "BLR",
-    chennai: "MAA",
-    kolkata: "CCU",
-    hyderabad: "HYD",
-};
+// Airport and city codes for hotel search, backed by the airport directory (see
+// services/airportDirectory.js). Hotels are searched by metro code where a city has several
+// airports ("NYC", "LON"), otherwise by the airport code itself.
+
+export { getMetroCode };
+
+/**
+ * All commercial airports serving the same metro area as a location
+ * @param {string} location - Airport code, metro code or city name
+ * @returns {string[]} - Airport codes, main airport first; just the location itself when it is
+ *   not part of a multi-airport metro area
+ */
+export function getMetroAirports(location) {
+    const metro = getMetroCode(location);
+    if (metro) {
+        return getMetroAirportCodes(metro);
+    }
+    return location ? [resolveAirportCode(location) || location.toUpperCase().trim()] : [];
+}
 
 /**
  * Convert airport code to city code for hotel search
@@ -91,27 +36,28 @@ export function getHotelCityCode(airportCode) {
     }
 
     const upperCode = airportCode.toUpperCase().trim();
-    return HOTEL_CITY_MAP[upperCode] || upperCode;
+    const airport = getAirport(upperCode);
+    return airport ? airport.metro || airport.iata : upperCode;
 }
 
 /**
  * Convert city name to city code for hotel search
- * @param {string} cityName - City name (e.g., 'Mumbai', 'Los Angeles')
- * @returns {string} - City code for hotel search
+ * @param {string} cityName - City name (e.g., 'Mumbai', 'Los Angeles'), alias or airport code
+ * @returns {string|null} - City code for hotel search, or null if the city is not in the directory
  */
 export function getCityCodeFromName(cityName) {
     if (!cityName || typeof cityName !== "string") {
         return null;
     }
 
-    const lowerName = cityName.toLowerCase().trim();
-    return HOTEL_CITY_NAME_MAP[lowerName] || null;
+    const airportCode = resolveAirportCode(cityName);
+    return airportCode ? getHotelCityCode(airportCode) : null;
 }
 
 /**
  * Extract destination city code from flight search parameters
  * @param {Object} flightParams - Flight search parameters
- * @returns {string} - City code for hotel search
+ * @returns {string|null} - City code for hotel search, or null if the destination is unknown
  */
 export function extractDestinationCityCode(flightParams) {
     if (!flightParams || !flightParams.arrival) {
@@ -126,24 +72,9 @@ export function extractDestinationCityCode(flightParams) {
         return null;
     }
 
-    // First try city name mapping (more flexible for hotel searches)
-    const cityFromName = getCityCodeFromName(flightParams.arrival);
-    if (cityFromName) {
-        return cityFromName;
-    }
-
-    // Then try airport code mapping
-    const cityCode = getHotelCityCode(flightParams.arrival);
-    if (cityCode) {
-        return cityCode;
-    }
-
-    // If it's a 3-letter code, assume it's already a valid city/airport code
-    if (flightParams.arrival.length === 3 && /^[A-Z]{3}$/i.test(flightParams.arrival)) {
-        return flightParams.arrival.toUpperCase();
-    }
-
-    return null;
+    // Codes and names the airport directory doesn't know are treated as invalid rather than
+    // passed on to the hotel API
+    return getCityCodeFromName(flightParams.arrival);
 }
 
 /**
@@ -151,29 +82,8 @@ export function extractDestinationCityCode(flightParams) {
  * @param {string} cityCode - City code
  * @returns {string} - Formatted city name
  */
-
 export function formatCityName(cityCode) {
-    const cityNames = {
-        BOM: "Mumbai",
-        DEL: "Delhi",
-        BLR: "Bangalore",
-        MAA: "Chennai",
-        CCU: "Kolkata",
-        HYD: "Hyderabad",
-        LAX: "Los Angeles",
-        NYC: "New York",
-        CHI: "Chicago",
-        MIA: "Miami",
-        SFO: "San Francisco",
-        LON: "London",
-        PAR: "Paris",
-        TYO: "Tokyo",
-        SIN: "Singapore",
-        DXB: "Dubai",
-        LIS: "Lisbon",
-        OPO: "Porto",
-        // Add more as needed
-    };
-
-    return cityNames[cityCode] || cityCode;
+    const metroAirport = getMetroAirportCodes(cityCode)[0];
+    const airport = getAirport(metroAirport || cityCode);
+    return airport ? airport.city : cityCode;
 }
@@ -0,0 +1,168 @@
+/**
+ * Budget - Compares an itinerary's saved cards with its budget
+ * Spending is the best-price estimate from costBreakdown (the cheapest option per category),
+ * so the budget figures match the cost summary shown next to them. Flights and activities are
+ * also given per traveler and hotels per night of the trip. Card prices are converted to the
+ * itinerary's currency first. Used by the itinerary page, the floating cost summary and the AI
+ * agent when it suggests new options.
+ */
+
+import { calculateCostBreakdown, formatCurrency, getCostCategory } from "./costBreakdown.js";
+import {
+    DEFAULT_EXCHANGE_RATES,
+    convertCards,
+    getCardPrice,
+    getConversionRateDate,
+    withConvertedPrice,
+} from "./currency.js";
+import { buildItineraryTimeline } from "./itineraryTimeline.js";
+
+// Share of the budget after which the trip is flagged as close to the limit
+const NEAR_LIMIT_RATIO = 0.9;
+
+const parseCards = (itinerary) =>
+    (itinerary.items || [])
+        .map((item) => {
+            try {
+                return typeof item.cardData === "string"
+                    ? JSON.parse(item.cardData)
+                    : item.cardData;
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean);
+
+const perUnit = (total, units) => (units > 0 ? total / units : null);
+
+/**
+ * Calculate the budget status of an itinerary
+ * @param {Object} itinerary - Itinerary with budget, currency, travelers and items
+ * @param {Object} [options]
+ * @param {Object} [options.exchangeRates] - Rate table (see utils/currency.js)
+ * @returns {{
+ *   budget: number|null,
+ *   currency: string,
+ *   travelers: number,
+ *   nights: number|null,
+ *   spent: number,
+ *   perTraveler: number|null,
+ *   remaining: number|null,
+ *   percentUsed: number|null,
+ *   status: "no_budget"|"under"|"near_limit"|"over"|"currency_mismatch",
+ *   categories: Object<string, {total: number, count: number, perTraveler?: number|null,
+ *     perNight?: number|null}>,
+ *   rateDate: string|null,
+ *   breakdown: Object
+ * }} remaining is negative when over budget; rateDate is set when prices were converted
+ */
+export function calculateBudgetStatus(itinerary, { exchangeRates = DEFAULT_EXCHANGE_RATES } = {}) {
+    const currency = itinerary.currency || "USD";
+    const cards = convertCards(parseCards(itinerary), currency, exchangeRates);
+    const breakdown = calculateCostBreakdown(cards);
+    const travelers = Math.max(parseInt(itinerary.travelers, 10) || 1, 1);
+    const budget = itinerary.budget ?? null;
+
+    // Nights between the first and last day of the trip
+    const timeline = buildItineraryTimeline(itinerary);
+    const nights = timeline.days.length > 1 ? timeline.days.length - 1 : null;
+
+    const spent = breakdown.total;
+    let status = "no_budget";
+    // Cards in currencies missing from the rate table cannot be compared with the budget
+    const hasUnconverted = breakdown.mixedCurrencies || breakdown.currency !== currency;
+    if (budget !== null && spent > 0 && hasUnconverted) {
+        status = "currency_mismatch";
+    } else if (budget !== null) {
+        status =
+            spent > budget ? "over" : spent >= budget * NEAR_LIMIT_RATIO ? "near_limit" : "under";
+    }
+    const comparable = status !== "no_budget" && status !== "currency_mismatch";
+
+    return {
+        budget,
+        currency,
+        travelers,
+        nights,
+        spent,
+        perTraveler: perUnit(spent, travelers),
+        remaining: comparable ? budget - spent : null,
+        percentUsed: comparable && budget > 0 ? Math.round((spent / budget) * 100) : null,
+        status,
+        categories: {
+            flights: {
+                ...breakdown.flights,
+                perTraveler: perUnit(breakdown.flights.total, travelers),
+            },
+            hotels: { ...breakdown.hotels, perNight: perUnit(breakdown.hotels.total, nights) },
+            activities: {
+                ...breakdown.activities,
+                perTraveler: perUnit(breakdown.activities.total, travelers),
+            },
+            rentalCars: { ...breakdown.rentalCars },
+        },
+        rateDate: getConversionRateDate(cards),
+        exchangeRates,
+        breakdown,
+    };
+}
+
+/**
+ * Work out how choosing a card would change the budget, assuming it replaces the option
+ * currently counted for its category
+ * @param {Object} budgetStatus - Result of calculateBudgetStatus
+ * @param {Object} card - StandardizedCard being considered; converted with the rates the
+ *   budget status was calculated with
+ * @returns {{projectedTotal: number, remaining: number, currency: string, isOverBudget: boolean,
+ *   message: string}|null}
+ *   null when there is no budget, the card has no price, or its currency differs
+ */
+export function evaluateCardAgainstBudget(budgetStatus, card) {
+    const price = getCardPrice(
+        withConvertedPrice(card, budgetStatus.currency, budgetStatus.exchangeRates),
+    );
+    const category = getCostCategory(card);
+    if (
+        budgetStatus.budget === null ||
+        budgetStatus.status === "currency_mismatch" ||
+        !price ||
+        !category ||
+        price.currency !== budgetStatus.currency
+    ) {
+        return null;
+    }
+
+    const current = budgetStatus.breakdown.selections[category];
+    const projectedTotal = budgetStatus.spent - (current?.amount || 0) + price.amount;
+    const remaining = budgetStatus.budget - projectedTotal;
+    const formatted = formatCurrency(Math.abs(remaining), budgetStatus.currency);
+
+    return {
+        projectedTotal,
+        remaining,
+        currency: budgetStatus.currency,
+        isOverBudget: remaining < 0,
+        message:
+            remaining < 0
+                ? `would put you ${formatted} over budget`
+                : `would leave ${formatted} of your budget`,
+    };
+}
+
+/**
+ * One-line summary of a budget status for the UI
+ * @param {Object} budgetStatus - Result of calculateBudgetStatus
+ * @returns {string|null} e.g. "$200.00 left of $1,000.00", or null without a budget
+ */
+export function describeBudgetStatus(budgetStatus) {
+    const { budget, currency, remaining, status } = budgetStatus;
+    if (status === "no_budget") return null;
+    if (status === "currency_mismatch") {
+        return `Some prices could not be converted to ${currency}`;
+    }
+
+    const formattedBudget = formatCurrency(budget, currency);
+    return remaining < 0
+        ? `${formatCurrency(-remaining, currency)} over your ${formattedBudget} budget`
+        : `${formatCurrency(remaining, currency)} left of ${formattedBudget}`;
+}
@@ -0,0 +1,148 @@
+/**
+ * Cost Breakdown - "Best price" trip estimate from saved cards
+ * Picks the cheapest outbound flight, return flight, hotel, activity and car rental, since
+ * saved cards are usually alternatives rather than things booked together. Shared by the
+ * floating cost summary, the itinerary page and the printable itinerary document.
+ * Cards priced in different currencies should be converted first (see utils/currency.js);
+ * each card's convertedPrice is used in place of its price when present.
+ * The CO₂ total covers the same flights as the price estimate.
+ */
+
+import { getCardPrice } from "./currency.js";
+import { sumFlightEmissions } from "./emissions.js";
+
+// Common home airports; a flight into one of these is treated as the return leg
+const RETURN_FLIGHT_PATTERN = /[A-Z]{3}\s*→\s*(ORD|JFK|LAX|CDG|LHR|BOS|SEA|DEN|ATL|MIA)/;
+const RETURN_ROUTES = ["SFO → ORD", "LAX → ORD", "LIS → CDG", "LIS → ORD"];
+
+const includesAny = (title, words) => words.some((word) => title.includes(word));
+
+/**
+ * Work out which cost category a card belongs to
+ * @param {Object} card - StandardizedCard
+ * @returns {string|null} "outboundFlights", "returnFlights", "hotels", "activities",
+ *   "rentalCars", or null for uncategorized cards
+ */
+export function getCostCategory(card) {
+    const title = card.title || "";
+    const lowerTitle = title.toLowerCase();
+
+    if (card.type === "flight") {
+        const isReturn =
+            title.includes("→") &&
+            (includesAny(title, RETURN_ROUTES) || RETURN_FLIGHT_PATTERN.test(title));
+        return isReturn ? "returnFlights" : "outboundFlights";
+    }
+    if (
+        card.type === "hotel" ||
+        card.additionalInfo?.hotelId ||
+        card.details?.hotelId ||
+        includesAny(lowerTitle, ["hotel", "resort"])
+    ) {
+        return "hotels";
+    }
+    if (card.type === "activity" || includesAny(lowerTitle, ["activity", "tour", "attraction"])) {
+        return "activities";
+    }
+    if (card.type === "rental_car" || includesAny(lowerTitle, ["car rental", "vehicle"])) {
+        return "rentalCars";
+    }
+    return null;
+}
+
+const cheapestOf = (cards) =>
+    cards.length > 0 ? cards.reduce((min, card) => (card.amount < min.amount ? card : min)) : null;
+
+/**
+ * Calculate the best-price trip estimate for a set of cards
+ * @param {Object[]} cards - StandardizedCards; cards without a positive price are ignored
+ * @returns {{
+ *   flights: {count: number, total: number, cheapest: Object|null},
+ *   hotels: {count: number, total: number, cheapest: Object|null},
+ *   activities: {count: number, total: number, cheapest: Object|null},
+ *   rentalCars: {count: number, total: number, cheapest: Object|null},
+ *   selections: Object<string, Object|null>,
+ *   total: number,
+ *   currency: string,
+ *   mixedCurrencies: boolean,
+ *   emissions: {kg: number, flightCount: number, missingCount: number}
+ * }} cheapest cards carry their parsed price as `amount`; `selections` holds the card picked
+ *   for each category returned by getCostCategory; `emissions` totals the selected flights
+ */
+export function calculateCostBreakdown(cards = []) {
+    const categories = {
+        outboundFlights: [],
+        returnFlights: [],
+        hotels: [],
+        activities: [],
+        rentalCars: [],
+    };
+
+    cards.forEach((card) => {
+        const price = getCardPrice(card);
+        const category = price ? getCostCategory(card) : null;
+        if (category) {
+            categories[category].push({
+                ...card,
+                amount: price.amount,
+                amountCurrency: price.currency,
+            });
+        }
+    });
+
+    const selections = Object.fromEntries(
+        Object.entries(categories).map(([category, categoryCards]) => [
+            category,
+            cheapestOf(categoryCards),
+        ]),
+    );
+
+    const breakdown = {
+        flights: { count: 0, total: 0, cheapest: null },
+        hotels: { count: 0, total: 0, cheapest: null },
+        activities: { count: 0, total: 0, cheapest: null },
+        rentalCars: { count: 0, total: 0, cheapest: null },
+        selections,
+        total: 0,
+        currency: "USD",
+        mixedCurrencies: false,
+    };
+
+    const currencies = new Set();
+    const add = (key, card) => {
+        if (!card) return;
+        breakdown[key].total += card.amount;
+        breakdown[key].count++;
+        breakdown[key].cheapest = breakdown[key].cheapest || card;
+        breakdown.currency = card.amountCurrency;
+        currencies.add(card.amountCurrency);
+    };
+
+    add("flights", selections.outboundFlights);
+    add("flights", selections.returnFlights);
+    add("hotels", selections.hotels);
+    add("activities", selections.activities);
+    add("rentalCars", selections.rentalCars);
+
+    breakdown.total =
+        breakdown.flights.total +
+        breakdown.hotels.total +
+        breakdown.activities.total +
+        breakdown.rentalCars.total;
+    breakdown.mixedCurrencies = currencies.size > 1;
+    breakdown.emissions = sumFlightEmissions(
+        [selections.outboundFlights, selections.returnFlights].filter(Boolean),
+    );
+
+    return breakdown;
+}
+
+/**
+ * Format an amount as currency
+ * @param {number} amount
+ * @param {string} [currency]
+ * @returns {string} e.g. "$1,234.00"
+ */
+export function formatCurrency(amount, currency = "USD") {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(amount);
+}
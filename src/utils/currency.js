@@ -0,0 +1,123 @@
+/**
+ * Currency - Converts card prices between currencies with an exchange-rate table
+ * Rates are expressed as units of each currency per one unit of the base currency. The server
+ * keeps the current table in the ExchangeRate entity (see services/exchangeRates.js); the
+ * bundled table below is the fallback until the first refresh. Cards keep their original
+ * `price` and gain a `convertedPrice` in the display currency.
+ */
+
+// Fallback rates (units per 1 USD), used until rates are fetched and stored
+export const DEFAULT_EXCHANGE_RATES = {
+    base: "USD",
+    rateDate: "2025-10-01",
+    rates: {
+        USD: 1,
+        EUR: 0.852,
+        GBP: 0.743,
+        JPY: 147.9,
+        CAD: 1.393,
+        AUD: 1.514,
+        CHF: 0.796,
+        CNY: 7.12,
+        INR: 88.77,
+        MXN: 18.37,
+        BRL: 5.32,
+        SGD: 1.289,
+        HKD: 7.781,
+        NZD: 1.726,
+        SEK: 9.41,
+        NOK: 9.98,
+        DKK: 6.36,
+        KRW: 1402,
+        THB: 32.4,
+        AED: 3.6725,
+        ZAR: 17.28,
+        TRY: 41.6,
+    },
+};
+
+// Common currencies offered as display currency choices
+export const DISPLAY_CURRENCIES = ["USD", "EUR", "GBP", "CAD", "AUD", "JPY", "CHF", "INR", "MXN"];
+
+const roundToCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Convert an amount between two currencies
+ * @param {number} amount
+ * @param {string} from - ISO 4217 code of the amount
+ * @param {string} to - ISO 4217 code to convert to
+ * @param {Object} [exchangeRates] - { base, rates, rateDate }
+ * @returns {number|null} Converted amount rounded to cents, or null for an unknown currency
+ */
+export function convertAmount(amount, from, to, exchangeRates = DEFAULT_EXCHANGE_RATES) {
+    if (from === to) return amount;
+
+    const fromRate = exchangeRates.rates[from];
+    const toRate = exchangeRates.rates[to];
+    if (!fromRate || !toRate) return null;
+
+    return roundToCents((amount / fromRate) * toRate);
+}
+
+/**
+ * Price of a card for totals: its converted price when present, otherwise its own price
+ * @param {Object} card - StandardizedCard
+ * @returns {{amount: number, currency: string}|null} null when the card has no positive price
+ */
+export function getCardPrice(card) {
+    const price = card.convertedPrice || card.price;
+    const amount = parseFloat(price?.amount);
+    return amount > 0 ? { amount, currency: price.currency || "USD" } : null;
+}
+
+/**
+ * Copy of a card with its price converted to a display currency
+ * @param {Object} card - StandardizedCard with price {amount, currency}
+ * @param {string} currency - Display currency
+ * @param {Object} [exchangeRates] - { base, rates, rateDate }
+ * @returns {Object} Card with convertedPrice {amount, currency, rate, rateDate}; cards without
+ *   a price or in an unknown currency are returned without a convertedPrice
+ */
+export function withConvertedPrice(card, currency, exchangeRates = DEFAULT_EXCHANGE_RATES) {
+    const rest = { ...card };
+    delete rest.convertedPrice;
+    const amount = parseFloat(card.price?.amount);
+    if (!(amount > 0)) return rest;
+
+    const from = card.price.currency || "USD";
+    const converted = convertAmount(amount, from, currency, exchangeRates);
+    if (converted === null) return rest;
+
+    return {
+        ...rest,
+        convertedPrice: {
+            amount: converted,
+            currency,
+            rate: converted / amount,
+            rateDate: exchangeRates.rateDate,
+        },
+    };
+}
+
+/**
+ * Convert every card in a list to a display currency
+ * @param {Object[]} cards
+ * @param {string} currency
+ * @param {Object} [exchangeRates]
+ * @returns {Object[]} New card objects (see withConvertedPrice)
+ */
+export function convertCards(cards, currency, exchangeRates = DEFAULT_EXCHANGE_RATES) {
+    return cards.map((card) => withConvertedPrice(card, currency, exchangeRates));
+}
+
+/**
+ * Whether any card was converted from another currency, i.e. totals depend on exchange rates
+ * @param {Object[]} cards
+ * @returns {string|null} Rate date used, or null when no conversion took place
+ */
+export function getConversionRateDate(cards) {
+    const converted = cards.find(
+        (card) => card.convertedPrice && card.convertedPrice.currency !== card.price?.currency,
+    );
+    return converted ? converted.convertedPrice.rateDate : null;
+}
@@ -0,0 +1,63 @@
+/**
+ * Flight Emissions - CO₂ estimates for flight cards
+ * Google Flights (via SerpAPI) estimates each flight's emissions and the typical value for the
+ * route. The translator stores them on card.details.emissions in kilograms; cards saved before
+ * that only have the raw SerpAPI object (in grams) on card.details.carbonEmissions.
+ */
+
+/**
+ * CO₂ estimate of a flight card
+ * @param {Object} card - Flight StandardizedCard
+ * @returns {{kg: number, typicalKg: number|null, differencePercent: number|null}|null} null when
+ *   the card has no estimate
+ */
+export function getFlightEmissions(card) {
+    if (card?.details?.emissions?.kg > 0) return card.details.emissions;
+
+    const raw = card?.details?.carbonEmissions;
+    if (!(raw?.this_flight > 0)) return null;
+    return {
+        kg: Math.round(raw.this_flight / 1000),
+        typicalKg: raw.typical_for_this_route
+            ? Math.round(raw.typical_for_this_route / 1000)
+            : null,
+        differencePercent:
+            typeof raw.difference_percent === "number" ? raw.difference_percent : null,
+    };
+}
+
+/**
+ * Format a CO₂ amount
+ * @param {number} kg
+ * @returns {string} e.g. "288 kg CO₂" or "1.4 t CO₂"
+ */
+export function formatEmissions(kg) {
+    return kg >= 1000 ? `${(kg / 1000).toFixed(1)} t CO₂` : `${Math.round(kg)} kg CO₂`;
+}
+
+/**
+ * Describe how a flight's emissions compare with the typical value for its route
+ * @param {number|null} differencePercent - e.g. -12 for 12% below typical
+ * @returns {string|null} e.g. "12% below typical", or null when unknown
+ */
+export function describeEmissionsDifference(differencePercent) {
+    if (typeof differencePercent !== "number") return null;
+    if (differencePercent === 0) return "typical for this route";
+    return `${Math.abs(differencePercent)}% ${differencePercent < 0 ? "below" : "above"} typical`;
+}
+
+/**
+ * Total CO₂ of a set of flight cards
+ * @param {Object[]} cards - StandardizedCards; non-flight cards are ignored
+ * @returns {{kg: number, flightCount: number, missingCount: number}} missingCount flights had no
+ *   estimate and are not in the total
+ */
+export function sumFlightEmissions(cards) {
+    const flights = cards.filter((card) => card?.type === "flight");
+    const estimates = flights.map(getFlightEmissions).filter(Boolean);
+    return {
+        kg: estimates.reduce((total, estimate) => total + estimate.kg, 0),
+        flightCount: estimates.length,
+        missingCount: flights.length - estimates.length,
+    };
+}
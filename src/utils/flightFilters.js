@@ -0,0 +1,252 @@
+/**
+ * Flight Filters - Filtering and sorting for flight result cards
+ * Works on the timing, layover and airline data the translator already puts on each card, so
+ * results can be narrowed without searching again. Shared by the filter panel above flight
+ * results and the flight search intent, which turns requests like "only nonstop" into filters.
+ * Legs of a multi-city combination are kept or dropped together.
+ */
+
+import { getFlightEmissions } from "./emissions.js";
+
+export const FLIGHT_SORT_OPTIONS = {
+    recommended: "Recommended",
+    price: "Lowest price",
+    duration: "Shortest",
+    departure: "Earliest departure",
+    arrival: "Earliest arrival",
+    emissions: "Lowest emissions",
+};
+
+export const DEFAULT_FLIGHT_FILTERS = {
+    nonstopOnly: false,
+    maxStops: null,
+    includeAirlines: [],
+    excludeAirlines: [],
+    departureAfter: null, // "HH:MM"
+    departureBefore: null,
+    arrivalAfter: null,
+    arrivalBefore: null,
+    maxDurationMinutes: null,
+    maxLayoverMinutes: null,
+    sortBy: "recommended",
+};
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Minutes past midnight from "2025-08-15 08:30", "8:30 AM" or "HH:MM"; null if unreadable
+const toMinutesOfDay = (value) => {
+    const match = typeof value === "string" && value.match(/(\d{1,2}):(\d{2})\s*(AM|PM)?/i);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]) % 24;
+    const meridiem = match[3]?.toUpperCase();
+    if (meridiem === "PM" && hours < 12) hours += 12;
+    if (meridiem === "AM" && hours === 12) hours = 0;
+    return hours * 60 + parseInt(match[2]);
+};
+
+// Whether a time falls in a window; a window like 22:00-06:00 wraps past midnight
+const inTimeWindow = (minutes, after, before) => {
+    if (after === null && before === null) return true;
+    if (minutes === null) return false;
+    if (after !== null && before !== null && after > before) {
+        return minutes >= after || minutes <= before;
+    }
+    return (after === null || minutes >= after) && (before === null || minutes <= before);
+};
+
+const sameAirline = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Number of stops on a flight card
+ * @param {Object} card - Flight StandardizedCard
+ * @returns {number}
+ */
+export function getFlightStops(card) {
+    if (typeof card.essentialDetails?.stops === "number") return card.essentialDetails.stops;
+    if (card.layoverInfo) return card.layoverInfo.length;
+    return Math.max(0, (card.details?.segments?.length || 1) - 1);
+}
+
+/**
+ * Airlines operating a flight card's segments
+ * @param {Object} card - Flight StandardizedCard
+ * @returns {string[]} Unique airline names
+ */
+export function getFlightAirlines(card) {
+    const names = card.details?.segments?.length
+        ? card.details.segments.map((segment) => segment.airline)
+        : (card.essentialDetails?.airline || card.subtitle || "").split(",");
+    return [...new Set(names.filter(Boolean).map((name) => name.trim()))];
+}
+
+/**
+ * Total travel time of a flight card
+ * @param {Object} card - Flight StandardizedCard
+ * @returns {number|null} Minutes, or null when unknown
+ */
+export function getFlightDurationMinutes(card) {
+    return card.duration || card.details?.timingDetails?.totalDuration || null;
+}
+
+/**
+ * Longest layover on a flight card
+ * @param {Object} card - Flight StandardizedCard
+ * @returns {number} Minutes (0 for nonstop flights)
+ */
+export function getLongestLayoverMinutes(card) {
+    const layovers =
+        card.layoverInfo || card.details?.timingDetails?.layoverInfo || card.details?.layovers;
+    return Math.max(0, ...(layovers || []).map((layover) => layover.duration || 0));
+}
+
+/**
+ * Departure and arrival times of day of a flight card
+ * @param {Object} card - Flight StandardizedCard
+ * @returns {{departure: number|null, arrival: number|null}} Minutes past midnight
+ */
+export function getFlightTimesOfDay(card) {
+    const segments = card.details?.segments || [];
+    return {
+        departure: toMinutesOfDay(
+            segments[0]?.departure_airport?.time || card.essentialDetails?.departure,
+        ),
+        arrival: toMinutesOfDay(
+            segments[segments.length - 1]?.arrival_airport?.time || card.essentialDetails?.arrival,
+        ),
+    };
+}
+
+/**
+ * Clean up filters from the panel or the AI, dropping unknown keys and invalid values
+ * @param {Object} [filters] - Partial filters
+ * @returns {Object} Complete filters based on DEFAULT_FLIGHT_FILTERS
+ */
+export function normalizeFlightFilters(filters = {}) {
+    const number = (value) => {
+        const parsed = Number(value);
+        return value !== null && value !== "" && Number.isFinite(parsed) && parsed >= 0
+            ? Math.round(parsed)
+            : null;
+    };
+    const time = (value) => (TIME_PATTERN.test(value || "") ? value.padStart(5, "0") : null);
+    const names = (value) =>
+        (Array.isArray(value) ? value : [])
+            .filter((name) => typeof name === "string" && name.trim())
+            .map((name) => name.trim());
+
+    const normalized = {
+        nonstopOnly: filters.nonstopOnly === true || number(filters.maxStops) === 0,
+        maxStops: number(filters.maxStops),
+        includeAirlines: names(filters.includeAirlines),
+        excludeAirlines: names(filters.excludeAirlines),
+        departureAfter: time(filters.departureAfter),
+        departureBefore: time(filters.departureBefore),
+        arrivalAfter: time(filters.arrivalAfter),
+        arrivalBefore: time(filters.arrivalBefore),
+        maxDurationMinutes: number(filters.maxDurationMinutes),
+        maxLayoverMinutes: number(filters.maxLayoverMinutes),
+        sortBy: FLIGHT_SORT_OPTIONS[filters.sortBy] ? filters.sortBy : "recommended",
+    };
+    if (normalized.nonstopOnly) normalized.maxStops = 0;
+    return normalized;
+}
+
+/**
+ * Whether any filter or a non-default sort is set
+ * @param {Object} filters - Normalized filters
+ * @returns {boolean}
+ */
+export function hasActiveFlightFilters(filters) {
+    return Object.entries(DEFAULT_FLIGHT_FILTERS).some(([key, value]) =>
+        Array.isArray(value) ? filters[key]?.length > 0 : filters[key] !== value,
+    );
+}
+
+/**
+ * Whether one flight card passes the filters
+ * @param {Object} card - Flight StandardizedCard
+ * @param {Object} filters - Normalized filters
+ * @returns {boolean}
+ */
+export function matchesFlightFilters(card, filters) {
+    const maxStops = filters.nonstopOnly ? 0 : filters.maxStops;
+    if (maxStops !== null && getFlightStops(card) > maxStops) return false;
+
+    const airlines = getFlightAirlines(card);
+    if (
+        filters.includeAirlines.length > 0 &&
+        !airlines.some((airline) => filters.includeAirlines.some((n) => sameAirline(airline, n)))
+    ) {
+        return false;
+    }
+    if (airlines.some((airline) => filters.excludeAirlines.some((n) => sameAirline(airline, n)))) {
+        return false;
+    }
+
+    const duration = getFlightDurationMinutes(card);
+    if (filters.maxDurationMinutes !== null && duration && duration > filters.maxDurationMinutes) {
+        return false;
+    }
+    if (
+        filters.maxLayoverMinutes !== null &&
+        getLongestLayoverMinutes(card) > filters.maxLayoverMinutes
+    ) {
+        return false;
+    }
+
+    const times = getFlightTimesOfDay(card);
+    return (
+        inTimeWindow(
+            times.departure,
+            toMinutesOfDay(filters.departureAfter),
+            toMinutesOfDay(filters.departureBefore),
+        ) &&
+        inTimeWindow(
+            times.arrival,
+            toMinutesOfDay(filters.arrivalAfter),
+            toMinutesOfDay(filters.arrivalBefore),
+        )
+    );
+}
+
+const SORT_KEYS = {
+    price: (card) => card.price?.amount,
+    duration: getFlightDurationMinutes,
+    departure: (card) => getFlightTimesOfDay(card).departure,
+    arrival: (card) => getFlightTimesOfDay(card).arrival,
+    emissions: (card) => getFlightEmissions(card)?.kg,
+};
+
+/**
+ * Filter and sort flight cards; other cards are returned unchanged after the flights
+ * @param {Object[]} cards - StandardizedCards
+ * @param {Object} [filters] - Partial or normalized filters
+ * @returns {Object[]} Matching flights in the requested order, then the non-flight cards
+ */
+export function applyFlightFilters(cards, filters) {
+    const normalized = normalizeFlightFilters(filters);
+    const flights = cards.filter((card) => card.type === "flight");
+    const others = cards.filter((card) => card.type !== "flight");
+
+    // A multi-city combination only survives if every leg matches
+    const rejectedGroups = new Set(
+        flights
+            .filter((card) => !matchesFlightFilters(card, normalized))
+            .map((card) => card.details?.multiCity?.groupId)
+            .filter(Boolean),
+    );
+    const matching = flights.filter((card) =>
+        card.details?.multiCity
+            ? !rejectedGroups.has(card.details.multiCity.groupId)
+            : matchesFlightFilters(card, normalized),
+    );
+
+    const sortKey = SORT_KEYS[normalized.sortBy];
+    if (sortKey && !matching.some((card) => card.details?.multiCity)) {
+        const value = (card) => sortKey(card) ?? Infinity;
+        matching.sort((a, b) => value(a) - value(b));
+    }
+
+    return [...matching, ...others];
+}
@@ -0,0 +1,192 @@
+/**
+ * iCalendar - Exports an itinerary as an RFC 5545 calendar
+ * Flights become timed events between their airports, hotel stays all-day spans from check-in
+ * to check-out, and scheduled activities timed or all-day events. Used for the .ics download
+ * on the itinerary page and the per-itinerary subscription feed.
+ * Flight and activity times are local to the airport or venue, so they are written as
+ * floating times (no timezone) and show at the same clock time wherever the calendar is.
+ */
+
+import { addDays, buildTimelineEntries } from "./itineraryTimeline.js";
+
+const PRODUCT_ID = "-//AI Travel Planner//Itinerary Export//EN";
+const UID_DOMAIN = "ai-travel-planner";
+const MAX_LINE_OCTETS = 75;
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) =>
+    String(value ?? "")
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+
+// Fold lines longer than 75 octets, continuing with a leading space (RFC 5545 section 3.1)
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+    const parts = [];
+    let current = "";
+    for (const char of line) {
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = "";
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+};
+
+const formatDate = (date) => date.replace(/-/g, "");
+
+const formatLocalDateTime = (date, time) => `${formatDate(date)}T${time.replace(":", "")}00`;
+
+const formatUtcDateTime = (value) =>
+    new Date(value)
+        .toISOString()
+        .replace(/[-:]/g, "")
+        .replace(/\.\d{3}/, "");
+
+// "14:30" plus minutes → { date, time }, rolling over midnight
+const addMinutes = (date, time, minutes) => {
+    const [hours, mins] = time.split(":").map((part) => parseInt(part, 10));
+    const total = hours * 60 + mins + minutes;
+    const dayOffset = Math.floor(total / (24 * 60));
+    const minuteOfDay = total - dayOffset * 24 * 60;
+    return {
+        date: addDays(date, dayOffset),
+        time: `${String(Math.floor(minuteOfDay / 60)).padStart(2, "0")}:${String(minuteOfDay % 60).padStart(2, "0")}`,
+    };
+};
+
+const getAirport = (card, side) => {
+    const segments = card.details?.segments || [];
+    const segment = side === "from" ? segments[0] : segments[segments.length - 1];
+    const airport = side === "from" ? segment?.departure_airport : segment?.arrival_airport;
+    const code = airport?.id || card.location?.[side]?.code;
+    return airport?.name && code ? `${airport.name} (${code})` : code || airport?.name || null;
+};
+
+const getLink = (card) =>
+    card.externalLinks?.booking || card.externalLinks?.maps || card.bookingUrl || null;
+
+// Property lines for one timeline entry, or null when it cannot be placed on a date
+function buildEventProperties(entry) {
+    if (!entry.date) return null;
+    const card = entry.card;
+
+    if (entry.kind === "flight") {
+        const from = getAirport(card, "from");
+        const to = getAirport(card, "to");
+        const description = [card.subtitle, from && `Departs ${from}`, to && `Arrives ${to}`];
+        const timing = entry.startTime
+            ? [
+                  `DTSTART:${formatLocalDateTime(entry.date, entry.startTime)}`,
+                  `DTEND:${formatLocalDateTime(
+                      entry.endTime ? entry.endDate : entry.date,
+                      entry.endTime || entry.startTime,
+                  )}`,
+              ]
+            : [
+                  `DTSTART;VALUE=DATE:${formatDate(entry.date)}`,
+                  `DTEND;VALUE=DATE:${formatDate(addDays(entry.date, 1))}`,
+              ];
+        return {
+            summary: `✈️ ${card.title}`,
+            location: from,
+            description,
+            timing,
+        };
+    }
+
+    if (entry.kind === "stay") {
+        // All-day events end exclusively, so the span runs through the check-out day
+        return {
+            summary: `🏨 ${card.title}`,
+            location: card.location?.address || null,
+            description: [card.subtitle, `Check-out ${entry.endDate}`],
+            timing: [
+                `DTSTART;VALUE=DATE:${formatDate(entry.date)}`,
+                `DTEND;VALUE=DATE:${formatDate(addDays(entry.endDate, 1))}`,
+            ],
+        };
+    }
+
+    const end = entry.startTime
+        ? addMinutes(entry.date, entry.startTime, entry.durationMinutes)
+        : null;
+    return {
+        summary: card.title,
+        location: card.location?.address || null,
+        description: [card.subtitle],
+        timing: end
+            ? [
+                  `DTSTART:${formatLocalDateTime(entry.date, entry.startTime)}`,
+                  `DTEND:${formatLocalDateTime(end.date, end.time)}`,
+              ]
+            : [
+                  `DTSTART;VALUE=DATE:${formatDate(entry.date)}`,
+                  `DTEND;VALUE=DATE:${formatDate(addDays(entry.date, 1))}`,
+              ],
+    };
+}
+
+/**
+ * Build an iCalendar document for an itinerary
+ * Unscheduled items (no dates and no dayNumber) are left out.
+ * @param {Object} itinerary - Itinerary with id, title and items
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Timestamp written as DTSTAMP
+ * @returns {string} Calendar text with CRLF line endings
+ */
+export function buildItineraryCalendar(itinerary, { now = new Date() } = {}) {
+    const stamp = formatUtcDateTime(now);
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODUCT_ID}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(itinerary.title)}`,
+    ];
+
+    buildTimelineEntries(itinerary).forEach((entry) => {
+        const event = buildEventProperties(entry);
+        if (!event) return;
+
+        const link = getLink(entry.card);
+        const description = [...event.description, entry.notes, link].filter(Boolean).join("\n");
+
+        lines.push(
+            "BEGIN:VEVENT",
+            `UID:itinerary-${itinerary.id}-item-${entry.itemId}@${UID_DOMAIN}`,
+            `DTSTAMP:${stamp}`,
+            ...event.timing,
+            `SUMMARY:${escapeText(event.summary)}`,
+            ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+            ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+            ...(link ? [`URL:${link}`] : []),
+            ...(entry.kind === "stay" ? ["TRANSP:TRANSPARENT"] : []),
+            "END:VEVENT",
+        );
+    });
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * File name for an itinerary's calendar download
+ * @param {Object} itinerary - Itinerary with a title
+ * @returns {string} e.g. "lisbon-in-may.ics"
+ */
+export function getCalendarFileName(itinerary) {
+    const slug = String(itinerary.title || "itinerary")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "");
+    return `${slug || "itinerary"}.ics`;
+}
@@ -0,0 +1,175 @@
+/**
+ * Itinerary Shift - Moves saved cards to new dates when an itinerary is duplicated
+ * Flight segment times and hotel check-in/check-out dates are shifted by whole days; times of
+ * day are kept. Prices and availability for the new dates are unknown until the card is
+ * searched again, so shifted cards with dates or prices are flagged for a re-search.
+ */
+
+import { addDays, buildItineraryTimeline, buildTimelineEntries } from "./itineraryTimeline.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PREFIX = /^(\d{4}-\d{2}-\d{2})/;
+
+// Shift the leading YYYY-MM-DD of a date or "YYYY-MM-DD HH:MM" string, keeping the rest
+const shiftDateText = (value, days) => {
+    if (typeof value !== "string") return value;
+    const match = value.match(DATE_PREFIX);
+    return match ? addDays(match[1], days) + value.slice(match[1].length) : value;
+};
+
+const shiftFields = (object, fields, days) => {
+    if (!object) return object;
+    const shifted = { ...object };
+    fields.forEach((field) => {
+        if (shifted[field]) shifted[field] = shiftDateText(shifted[field], days);
+    });
+    return shifted;
+};
+
+/**
+ * Whole days between two dates
+ * @param {Date|string} from
+ * @param {Date|string} to
+ * @returns {number} Days from `from` to `to` (negative if `to` is earlier)
+ */
+export function daysBetweenDates(from, to) {
+    const day = (value) => Date.parse(`${new Date(value).toISOString().slice(0, 10)}T00:00:00Z`);
+    return Math.round((day(to) - day(from)) / DAY_MS);
+}
+
+/**
+ * First day of an itinerary: its start date, or the earliest scheduled item
+ * @param {Object} itinerary - Itinerary with items
+ * @returns {string|null} Date as YYYY-MM-DD
+ */
+export function getItineraryStartDate(itinerary) {
+    return buildItineraryTimeline(itinerary).startDate;
+}
+
+/**
+ * Shift every date on a card by a number of days
+ * @param {Object} card - StandardizedCard
+ * @param {number} days - Days to move the card (may be negative)
+ * @returns {Object} New card; the original is not modified
+ */
+export function shiftCardDates(card, days) {
+    if (!days) return card;
+
+    const details = card.details ? { ...card.details } : card.details;
+    if (details?.segments) {
+        details.segments = details.segments.map((segment) => ({
+            ...segment,
+            departure_airport: shiftFields(segment.departure_airport, ["time"], days),
+            arrival_airport: shiftFields(segment.arrival_airport, ["time"], days),
+        }));
+    }
+    if (details?.offers) {
+        details.offers = details.offers.map((offer) =>
+            shiftFields(offer, ["checkInDate", "checkOutDate"], days),
+        );
+    }
+
+    return {
+        ...card,
+        details: shiftFields(details, ["checkIn", "checkOut", "date"], days),
+        essentialDetails: shiftFields(card.essentialDetails, ["checkIn", "checkOut"], days),
+        additionalInfo: shiftFields(card.additionalInfo, ["checkIn", "checkOut"], days),
+    };
+}
+
+/**
+ * Whether a card's price or availability depends on its dates
+ * @param {Object} card - StandardizedCard
+ * @returns {boolean}
+ */
+export function isDateSensitiveCard(card) {
+    return Boolean(
+        card.price?.amount ||
+            card.details?.segments?.length ||
+            card.details?.checkIn ||
+            card.details?.offers?.length,
+    );
+}
+
+/**
+ * Parameters for searching a stale card again on its (shifted) dates
+ * @param {Object} card - StandardizedCard
+ * @param {Object} [options]
+ * @param {number} [options.travelers] - Number of adults to search for
+ * @returns {{type: "flight", params: Object}|{type: "hotel", params: Object}|null} Arguments for
+ *   the searchFlights or searchHotels query, or null when the card cannot be searched again
+ */
+export function getResearchParams(card, { travelers = 1 } = {}) {
+    const [timelineEntry] = buildTimelineEntries({ items: [{ id: 0, cardData: card }] });
+    if (!timelineEntry?.date) return null;
+
+    if (timelineEntry.kind === "flight") {
+        const departure = card.location?.from?.code;
+        const arrival = card.location?.to?.code;
+        if (!departure || !arrival) return null;
+        return {
+            type: "flight",
+            params: {
+                departure,
+                arrival,
+                outboundDate: timelineEntry.date,
+                adults: travelers,
+                currency: card.price?.currency,
+            },
+        };
+    }
+
+    if (timelineEntry.kind === "stay") {
+        const cityCode = card.details?.hotel?.cityCode || card.additionalInfo?.cityCode;
+        if (!cityCode) return null;
+        return {
+            type: "hotel",
+            params: {
+                cityCode,
+                checkInDate: timelineEntry.date,
+                checkOutDate: timelineEntry.endDate,
+                adults: travelers,
+            },
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Replace a hotel card's hotel and offer with a result from the searchHotels query
+ * @param {Object} card - Existing hotel StandardizedCard
+ * @param {Object} result - Amadeus hotel offer ({ hotel, offers })
+ * @returns {Object|null} Updated card, or null when the result has no offers
+ */
+export function applyHotelOffer(card, result) {
+    const offer = result?.offers?.[0];
+    if (!offer) return null;
+
+    const price = offer.price
+        ? { amount: parseFloat(offer.price.total), currency: offer.price.currency }
+        : undefined;
+    return {
+        ...card,
+        title: result.hotel?.name || card.title,
+        price,
+        details: {
+            ...card.details,
+            hotel: result.hotel,
+            offers: result.offers,
+            checkIn: offer.checkInDate,
+            checkOut: offer.checkOutDate,
+            hotelId: result.hotel?.hotelId,
+            offerId: offer.id,
+            roomType: offer.room?.description?.text,
+        },
+        essentialDetails: {
+            ...card.essentialDetails,
+            checkIn: offer.checkInDate,
+            checkOut: offer.checkOutDate,
+            price: price ? `${price.currency} ${offer.price.total}` : "Price on request",
+        },
+        externalLinks: { ...card.externalLinks, booking: offer.self || null },
+        metadata: { ...card.metadata, timestamp: new Date().toISOString() },
+    };
+}
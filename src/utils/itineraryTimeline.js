@@ -0,0 +1,317 @@
+/**
+ * Itinerary Timeline - Lays saved itinerary items out chronologically
+ * Flights are placed by their segment times, hotel stays span the nights between check-in and
+ * check-out, and other items use their dayNumber plus any time of day they carry.
+ * Times are compared as written (local to each airport or venue); no timezone conversion.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ACTIVITY_MINUTES = 120;
+
+// Rough start times for activities described by part of day
+const PART_OF_DAY_TIMES = {
+    morning: "09:00",
+    afternoon: "14:00",
+    evening: "19:00",
+    night: "21:00",
+};
+
+const HOTEL_TITLE_PATTERN = /\b(hotel|resort|inn|suites|hostel|motel)\b/i;
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// Normalize a Date, ISO string or "YYYY-MM-DD HH:MM" to YYYY-MM-DD
+const toDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    const match = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+    return match ? match[1] : null;
+};
+
+// Minutes since the epoch for a date and HH:MM, ignoring timezones
+const toMinutes = (date, time) => {
+    const [hours, minutes] = time.split(":").map((part) => parseInt(part, 10));
+    return Date.parse(`${date}T00:00:00Z`) / 60000 + hours * 60 + minutes;
+};
+
+// "YYYY-MM-DD HH:MM" (SerpAPI segment time) → { date, time }
+const parseDateTime = (value) => {
+    const match = String(value || "").match(/^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})/);
+    if (!match) return null;
+    return { date: match[1], time: `${match[2].padStart(2, "0")}:${match[3]}` };
+};
+
+// Time of day from "14:30", "2:30 PM" or "Morning" style text
+const parseTimeOfDay = (value) => {
+    if (!value) return null;
+    const text = String(value).trim().toLowerCase();
+
+    const clock =
+        text.match(/\b(\d{1,2}):(\d{2})\s*(am|pm)?\b/) || text.match(/\b(\d{1,2})()\s*(am|pm)\b/);
+    if (clock) {
+        let hours = parseInt(clock[1], 10);
+        if (clock[3] === "pm" && hours < 12) hours += 12;
+        if (clock[3] === "am" && hours === 12) hours = 0;
+        if (hours > 23) return null;
+        return `${String(hours).padStart(2, "0")}:${clock[2] || "00"}`;
+    }
+
+    const part = Object.keys(PART_OF_DAY_TIMES).find((key) => text.includes(key));
+    return part ? PART_OF_DAY_TIMES[part] : null;
+};
+
+// Lower bound of "2-4 hours" / "90 minutes" style durations, in minutes
+const parseDurationMinutes = (value) => {
+    if (typeof value === "number") return value;
+    const match = String(value || "").match(
+        /(\d+(?:\.\d+)?)\s*(?:-\s*\d+(?:\.\d+)?\s*)?(hours?|hrs?|h|minutes?|mins?|m)\b/i,
+    );
+    if (!match) return DEFAULT_ACTIVITY_MINUTES;
+    const amount = parseFloat(match[1]);
+    return /^h/i.test(match[2]) ? Math.round(amount * 60) : Math.round(amount);
+};
+
+const isFlightCard = (card) => card.type === "flight";
+
+const isHotelCard = (card) =>
+    card.type === "hotel" ||
+    Boolean(card.details?.hotelId || card.additionalInfo?.hotelId) ||
+    HOTEL_TITLE_PATTERN.test(card.title || "");
+
+const parseCardData = (item) => {
+    try {
+        return typeof item.cardData === "string" ? JSON.parse(item.cardData) : item.cardData;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Convert one itinerary item to a timeline entry
+ * @returns {Object} Entry with kind "flight", "stay" or "activity"
+ */
+function toTimelineEntry(item, card, tripStartDate) {
+    const dayDate =
+        item.dayNumber && tripStartDate ? addDays(tripStartDate, item.dayNumber - 1) : null;
+    const base = {
+        itemId: item.id,
+        title: card.title,
+        subtitle: card.subtitle,
+        notes: item.notes || null,
+        card,
+    };
+
+    if (isFlightCard(card)) {
+        const segments = card.details?.segments || [];
+        const departure = parseDateTime(segments[0]?.departure_airport?.time);
+        const arrival = parseDateTime(segments[segments.length - 1]?.arrival_airport?.time);
+        return {
+            ...base,
+            kind: "flight",
+            date: departure?.date || dayDate,
+            startTime: departure?.time || null,
+            endDate: arrival?.date || departure?.date || dayDate,
+            endTime: arrival?.time || null,
+        };
+    }
+
+    if (isHotelCard(card)) {
+        const checkIn = toDate(
+            card.details?.checkIn || card.additionalInfo?.checkIn || card.essentialDetails?.checkIn,
+        );
+        const checkOut = toDate(
+            card.details?.checkOut ||
+                card.additionalInfo?.checkOut ||
+                card.essentialDetails?.checkOut,
+        );
+        const startDate = checkIn || dayDate;
+        const endDate = checkOut || (startDate ? addDays(startDate, 1) : null);
+        return {
+            ...base,
+            kind: "stay",
+            date: startDate,
+            endDate,
+            nights: startDate && endDate ? Math.max(daysBetween(startDate, endDate), 0) : 0,
+        };
+    }
+
+    const startTime = parseTimeOfDay(
+        card.details?.time ||
+            card.details?.startTime ||
+            card.details?.timing ||
+            card.essentialDetails?.timing,
+    );
+    return {
+        ...base,
+        kind: "activity",
+        date: dayDate,
+        startTime,
+        durationMinutes: parseDurationMinutes(card.details?.duration || card.duration),
+    };
+}
+
+// Time interval of an entry in minutes, or null if it has no time
+const getInterval = (entry) => {
+    if (!entry.date || !entry.startTime) return null;
+    const start = toMinutes(entry.date, entry.startTime);
+    if (entry.kind === "flight") {
+        const end = entry.endTime ? toMinutes(entry.endDate, entry.endTime) : start;
+        return { start, end: Math.max(end, start) };
+    }
+    return { start, end: start + entry.durationMinutes };
+};
+
+/**
+ * Convert an itinerary's items to timeline entries, without grouping them into days
+ * @param {Object} itinerary - Itinerary with items (cardData as JSON string or object)
+ * @returns {Object[]} Entries with kind "flight" | "stay" | "activity", itemId, title, card,
+ *   notes, date (YYYY-MM-DD or null when unscheduled) and, where known, startTime/endTime
+ *   (HH:MM), endDate and durationMinutes
+ */
+export function buildTimelineEntries(itinerary) {
+    const tripStart = toDate(itinerary?.startDate);
+    return (itinerary?.items || [])
+        .map((item) => {
+            const card = parseCardData(item);
+            return card ? toTimelineEntry(item, card, tripStart) : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Build a day-by-day timeline for an itinerary
+ * @param {Object} itinerary - Itinerary with items (cardData as JSON string or object)
+ * @returns {{
+ *   startDate: string|null,
+ *   endDate: string|null,
+ *   days: Array<{date: string, dayNumber: number, entries: Object[], stays: Object[], warnings: Object[]}>,
+ *   unscheduled: Object[],
+ *   warnings: Object[]
+ * }} Days in order with their entries sorted by time; warnings are
+ *   { type: "missing_hotel" | "overlap" | "double_booked_hotel", date, message, itemIds }
+ */
+export function buildItineraryTimeline(itinerary) {
+    const tripStart = toDate(itinerary?.startDate);
+    const entries = buildTimelineEntries(itinerary);
+
+    const dated = entries.filter((entry) => entry.date);
+    const unscheduled = entries.filter((entry) => !entry.date);
+
+    // Trip range: explicit dates win, otherwise span everything that is scheduled
+    const lastDates = dated.map((entry) => entry.endDate || entry.date);
+    const startDate = tripStart || dated.map((entry) => entry.date).sort()[0] || null;
+    const endDate =
+        toDate(itinerary?.endDate) ||
+        [...lastDates, startDate].filter(Boolean).sort().pop() ||
+        null;
+
+    if (!startDate || !endDate) {
+        return { startDate: null, endDate: null, days: [], unscheduled: entries, warnings: [] };
+    }
+
+    const dayCount = Math.max(daysBetween(startDate, endDate) + 1, 1);
+    const days = Array.from({ length: dayCount }, (_, index) => ({
+        date: addDays(startDate, index),
+        dayNumber: index + 1,
+        entries: [],
+        stays: [],
+        warnings: [],
+    }));
+    const dayByDate = new Map(days.map((day) => [day.date, day]));
+
+    dated.forEach((entry) => {
+        if (entry.kind === "stay") {
+            for (let night = 0; night < entry.nights; night++) {
+                dayByDate
+                    .get(addDays(entry.date, night))
+                    ?.stays.push({ ...entry, night: night + 1 });
+            }
+            // Check-in and check-out show up as events on their own days
+            dayByDate.get(entry.date)?.entries.push({ ...entry, event: "check_in" });
+            dayByDate.get(entry.endDate)?.entries.push({ ...entry, event: "check_out" });
+            return;
+        }
+        const day = dayByDate.get(entry.date);
+        if (day) {
+            day.entries.push(entry);
+        } else {
+            unscheduled.push(entry);
+        }
+    });
+
+    const warnings = [];
+    const addWarning = (day, warning) => {
+        const full = { date: day.date, ...warning };
+        day.warnings.push(full);
+        warnings.push(full);
+    };
+
+    // Nights spent in the air do not need a hotel
+    const overnightFlightDates = new Set(
+        dated
+            .filter((entry) => entry.kind === "flight" && entry.endDate > entry.date)
+            .flatMap((flight) =>
+                Array.from({ length: daysBetween(flight.date, flight.endDate) }, (_, index) =>
+                    addDays(flight.date, index),
+                ),
+            ),
+    );
+
+    days.forEach((day, index) => {
+        day.entries.sort((a, b) => (a.startTime || "99:99").localeCompare(b.startTime || "99:99"));
+
+        const isLastDay = index === days.length - 1;
+        if (!isLastDay && day.stays.length === 0 && !overnightFlightDates.has(day.date)) {
+            addWarning(day, {
+                type: "missing_hotel",
+                message: `No hotel booked for the night of ${day.date}`,
+                itemIds: [],
+            });
+        }
+        if (day.stays.length > 1) {
+            addWarning(day, {
+                type: "double_booked_hotel",
+                message: `${day.stays.length} hotels booked for the night of ${day.date}`,
+                itemIds: day.stays.map((stay) => stay.itemId),
+            });
+        }
+    });
+
+    // Compare every timed pair so a flight crossing midnight is checked against the next day too
+    const timed = dated
+        .filter((entry) => entry.kind !== "stay" && dayByDate.has(entry.date))
+        .map((entry) => ({ entry, interval: getInterval(entry) }))
+        .filter(({ interval }) => interval)
+        .sort((a, b) => a.interval.start - b.interval.start);
+    for (let i = 0; i < timed.length; i++) {
+        for (
+            let j = i + 1;
+            j < timed.length && timed[j].interval.start < timed[i].interval.end;
+            j++
+        ) {
+            const [a, b] = [timed[i].entry, timed[j].entry];
+            addWarning(dayByDate.get(b.date), {
+                type: "overlap",
+                message: `"${b.title}" overlaps "${a.title}"`,
+                itemIds: [a.itemId, b.itemId],
+            });
+        }
+    }
+
+    return { startDate, endDate, days, unscheduled, warnings };
+}
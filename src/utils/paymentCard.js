@@ -0,0 +1,135 @@
+/**
+ * Payment Card - Validation helpers for hotel booking payments
+ * Shared by the booking modal (instant feedback) and the bookHotelOffer action (authoritative check).
+ * Vendor codes follow the Amadeus hotel-bookings API.
+ */
+
+const CARD_VENDORS = [
+    { code: "VI", name: "Visa", pattern: /^4\d{12}(\d{3}){0,2}$/ },
+    { code: "CA", name: "Mastercard", pattern: /^(5[1-5]\d{14}|2(2[2-9]|[3-6]\d|7[01])\d{12})$/ },
+    { code: "AX", name: "American Express", pattern: /^3[47]\d{13}$/ },
+    { code: "DC", name: "Diners Club", pattern: /^3(0[0-5]|[68]\d)\d{11,16}$/ },
+    { code: "JC", name: "JCB", pattern: /^35\d{14,17}$/ },
+];
+
+/**
+ * Strip spaces and dashes from a card number
+ * @param {string} cardNumber - Card number as typed
+ * @returns {string} Digits only
+ */
+function normalizeCardNumber(cardNumber) {
+    return String(cardNumber || "").replace(/[\s-]/g, "");
+}
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} cardNumber - Card number (digits only)
+ * @returns {boolean}
+ */
+function passesLuhnCheck(cardNumber) {
+    if (!/^\d{12,19}$/.test(cardNumber)) return false;
+
+    let sum = 0;
+    let double = false;
+    for (let i = cardNumber.length - 1; i >= 0; i--) {
+        let digit = parseInt(cardNumber[i], 10);
+        if (double) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+        double = !double;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Detect the card vendor from its number
+ * @param {string} cardNumber - Card number (digits only)
+ * @returns {{code: string, name: string}|null} Amadeus vendor code and display name
+ */
+function detectCardVendor(cardNumber) {
+    const vendor = CARD_VENDORS.find(({ pattern }) => pattern.test(cardNumber));
+    return vendor ? { code: vendor.code, name: vendor.name } : null;
+}
+
+/**
+ * Normalize an expiry date to YYYY-MM
+ * @param {string} expiryDate - "MM/YY", "MM/YYYY" or "YYYY-MM"
+ * @returns {string|null} Expiry as YYYY-MM, or null if unparseable
+ */
+function normalizeExpiryDate(expiryDate) {
+    const value = String(expiryDate || "").trim();
+
+    const isoMatch = value.match(/^(\d{4})-(\d{2})$/);
+    if (isoMatch) {
+        return parseInt(isoMatch[2], 10) >= 1 && parseInt(isoMatch[2], 10) <= 12 ? value : null;
+    }
+
+    const slashMatch = value.match(/^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/);
+    if (!slashMatch) return null;
+
+    const month = parseInt(slashMatch[1], 10);
+    if (month < 1 || month > 12) return null;
+    const year = slashMatch[2].length === 2 ? `20${slashMatch[2]}` : slashMatch[2];
+    return `${year}-${String(month).padStart(2, "0")}`;
+}
+
+/**
+ * Validate payment card details
+ * @param {Object} payment - { cardNumber, expiryDate, holderName }
+ * @param {Date} [now] - Reference date for the expiry check
+ * @returns {{isValid: boolean, errors: string[], card: Object|null}} card holds the normalized
+ *   vendorCode, cardNumber, expiryDate (YYYY-MM), holderName and last4 when valid
+ */
+function validatePaymentCard(payment, now = new Date()) {
+    const errors = [];
+    const cardNumber = normalizeCardNumber(payment?.cardNumber);
+    const expiryDate = normalizeExpiryDate(payment?.expiryDate);
+    const holderName = String(payment?.holderName || "").trim();
+    const vendor = detectCardVendor(cardNumber);
+
+    if (!passesLuhnCheck(cardNumber)) {
+        errors.push("Card number is invalid");
+    } else if (!vendor) {
+        errors.push("Card type is not supported (Visa, Mastercard, American Express, Diners, JCB)");
+    }
+
+    if (!expiryDate) {
+        errors.push("Expiry date must be in MM/YY format");
+    } else {
+        const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+        if (expiryDate < currentMonth) {
+            errors.push("Card has expired");
+        }
+    }
+
+    if (!holderName) {
+        errors.push("Cardholder name is required");
+    }
+
+    if (errors.length > 0) {
+        return { isValid: false, errors, card: null };
+    }
+
+    return {
+        isValid: true,
+        errors,
+        card: {
+            vendorCode: vendor.code,
+            vendorName: vendor.name,
+            cardNumber,
+            expiryDate,
+            holderName,
+            last4: cardNumber.slice(-4),
+        },
+    };
+}
+
+export {
+    normalizeCardNumber,
+    passesLuhnCheck,
+    detectCardVendor,
+    normalizeExpiryDate,
+    validatePaymentCard,
+};